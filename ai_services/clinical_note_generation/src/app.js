@@ -14,6 +14,8 @@ const {
 
 // Import routes
 const clinicalNoteRoutes = require('./routes/clinicalNote.routes');
+const noteTemplateRoutes = require('./routes/noteTemplate.routes');
+const terminologyRoutes = require('./routes/terminology.routes');
 const healthRoutes = require('./routes/health.routes');
 
 // Import middleware
@@ -67,7 +69,9 @@ app.use(defaultRateLimit);
 // Health check routes (no rate limiting)
 app.use('/health', healthRoutes);
 
-// API routes
+// API routes (templates and terminology first so /:clinicalNoteId does not match them)
+app.use('/api/clinical-notes/templates', noteTemplateRoutes);
+app.use('/api/clinical-notes/terminology', terminologyRoutes);
 app.use('/api/clinical-notes', clinicalNoteRoutes);
 
 // Root endpoint
@@ -93,17 +97,28 @@ app.get('/api/docs', (req, res) => {
     description: 'AI-powered clinical note generation using Google Gemini',
     endpoints: {
       'POST /api/clinical-notes/generate': 'Generate clinical note from transcription',
+      'POST /api/clinical-notes/generate/stream': 'Generate clinical note, streaming sections as server-sent events',
       'GET /api/clinical-notes/:id': 'Get clinical note by ID',
       'GET /api/clinical-notes/encounter/:encounterId': 'Get clinical note by encounter ID',
       'PUT /api/clinical-notes/:id': 'Update clinical note',
       'POST /api/clinical-notes/:id/review': 'Review clinical note',
       'POST /api/clinical-notes/:id/approve': 'Approve clinical note',
       'POST /api/clinical-notes/:id/sign': 'Sign clinical note',
+      'POST /api/clinical-notes/:id/amendments': 'Add a signed amendment or addendum to a signed note',
+      'GET /api/clinical-notes/:id/versions': 'List clinical note versions and amendments',
+      'GET /api/clinical-notes/:id/versions/:version': 'Get a clinical note version',
+      'GET /api/clinical-notes/:id/compare': 'Compare two clinical note versions',
       'GET /api/clinical-notes/patient/:patientId': 'Get clinical notes by patient',
       'GET /api/clinical-notes/doctor/:doctorId': 'Get clinical notes by doctor',
       'GET /api/clinical-notes/pending': 'Get pending clinical notes for review',
       'GET /api/clinical-notes/stats': 'Get clinical note statistics',
-      'POST /api/clinical-notes/:id/regenerate': 'Regenerate clinical note'
+      'POST /api/clinical-notes/:id/regenerate': 'Regenerate clinical note',
+      'GET /api/clinical-notes/templates': 'List note templates',
+      'GET /api/clinical-notes/templates/:templateId': 'Get note template',
+      'GET /api/clinical-notes/templates/default': 'Get your default note template',
+      'PUT /api/clinical-notes/templates/default': 'Set your default note template',
+      'GET /api/clinical-notes/terminology/suggest': 'Suggest ICD-10 or SNOMED CT codes for a description',
+      'GET /api/clinical-notes/terminology/validate': 'Validate a diagnosis code'
     },
     authentication: {
       type: 'Bearer Token',
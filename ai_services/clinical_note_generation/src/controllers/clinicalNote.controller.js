@@ -1,6 +1,11 @@
 const clinicalNoteService = require('../services/clinicalNote.service');
+const noteHistoryService = require('../services/noteHistory.service');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError } = require('../utils/error-handler');
+const { hasPermission } = require('@dr-assistant/auth');
+
+// Comment line sent while the model is quiet so proxies keep the stream open
+const STREAM_HEARTBEAT_MS = 15000;
 
 class ClinicalNoteController {
   /**
@@ -36,6 +41,75 @@ class ClinicalNoteController {
     }
   }
 
+  /**
+   * Generate clinical note from transcription as server-sent events
+   * Sends 'progress' and 'section' events while the note is written, then
+   * 'complete' with the saved note, or 'error'. The stream opens with the first
+   * event, so a missing transcription is still an ordinary error response. A
+   * client that disconnects does not stop generation; the note is still saved.
+   * @route POST /api/clinical-notes/generate/stream
+   */
+  async generateClinicalNoteStream(req, res, next) {
+    const { transcriptionId, context = {} } = req.body;
+    let heartbeat = null;
+    let closed = false;
+
+    const send = (event, data) => {
+      if (!res.headersSent) {
+        res.status(200).set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          Connection: 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+      }
+
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+    });
+
+    try {
+      logger.info('Streaming clinical note generation', {
+        transcriptionId,
+        userId: req.user.id,
+        context
+      });
+
+      const clinicalNote = await clinicalNoteService.generateFromTranscriptionId(
+        transcriptionId,
+        {
+          ...context,
+          doctorId: req.user.id
+        },
+        send
+      );
+
+      send('complete', clinicalNote);
+      clearInterval(heartbeat);
+      res.end();
+    } catch (error) {
+      clearInterval(heartbeat);
+
+      if (!res.headersSent) {
+        return next(error);
+      }
+
+      send('error', {
+        message: error.isOperational ? error.message : 'Failed to generate clinical note',
+        statusCode: error.statusCode || 500
+      });
+      res.end();
+    }
+  }
+
   /**
    * Get clinical note by ID
    * @route GET /api/clinical-notes/:clinicalNoteId
@@ -52,7 +126,7 @@ class ClinicalNoteController {
       const clinicalNote = await clinicalNoteService.getClinicalNoteById(clinicalNoteId);
 
       // Check access
-      if (clinicalNote.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (clinicalNote.doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
         throw new ValidationError('Access denied to this clinical note');
       }
 
@@ -85,7 +159,7 @@ class ClinicalNoteController {
       }
 
       // Check access
-      if (clinicalNote.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (clinicalNote.doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
         throw new ValidationError('Access denied to this clinical note');
       }
 
@@ -215,6 +289,128 @@ class ClinicalNoteController {
     }
   }
 
+  /**
+   * Add a signed amendment or addendum to a signed clinical note
+   * @route POST /api/clinical-notes/:clinicalNoteId/amendments
+   */
+  async amendClinicalNote(req, res, next) {
+    try {
+      const { clinicalNoteId } = req.params;
+      const { type = 'amendment', reason, text } = req.body;
+
+      logger.info('Amending clinical note', {
+        clinicalNoteId,
+        signerId: req.user.id,
+        type
+      });
+
+      const clinicalNote = await clinicalNoteService.getClinicalNoteById(clinicalNoteId);
+
+      // Check access
+      if (clinicalNote.doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
+        throw new ValidationError('Access denied to this clinical note');
+      }
+
+      const amendedNote = await noteHistoryService.amendClinicalNote(clinicalNote, req.user.id, {
+        type,
+        reason,
+        text,
+        updates: req.body
+      });
+
+      res.status(201).json({
+        success: true,
+        message: type === 'addendum' ? 'Addendum added successfully' : 'Clinical note amended successfully',
+        data: amendedNote
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the versions of a clinical note
+   * @route GET /api/clinical-notes/:clinicalNoteId/versions
+   */
+  async getVersions(req, res, next) {
+    try {
+      const { clinicalNoteId } = req.params;
+
+      const clinicalNote = await clinicalNoteService.getClinicalNoteById(clinicalNoteId);
+
+      // Check access
+      if (clinicalNote.doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
+        throw new ValidationError('Access denied to this clinical note');
+      }
+
+      const versions = await noteHistoryService.listVersions(clinicalNoteId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          currentVersion: clinicalNote.version,
+          versions,
+          amendments: clinicalNote.amendments
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one version of a clinical note
+   * @route GET /api/clinical-notes/:clinicalNoteId/versions/:version
+   */
+  async getVersion(req, res, next) {
+    try {
+      const { clinicalNoteId, version } = req.params;
+
+      const clinicalNote = await clinicalNoteService.getClinicalNoteById(clinicalNoteId);
+
+      // Check access
+      if (clinicalNote.doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
+        throw new ValidationError('Access denied to this clinical note');
+      }
+
+      const noteVersion = await noteHistoryService.getVersion(clinicalNoteId, version);
+
+      res.status(200).json({
+        success: true,
+        data: noteVersion
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Compare two versions of a clinical note
+   * @route GET /api/clinical-notes/:clinicalNoteId/compare
+   */
+  async compareVersions(req, res, next) {
+    try {
+      const { clinicalNoteId } = req.params;
+      const { version1, version2 } = req.query;
+
+      const clinicalNote = await clinicalNoteService.getClinicalNoteById(clinicalNoteId);
+
+      // Check access
+      if (clinicalNote.doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
+        throw new ValidationError('Access denied to this clinical note');
+      }
+
+      const comparison = await noteHistoryService.compareVersions(clinicalNoteId, version1, version2);
+
+      res.status(200).json({
+        success: true,
+        data: comparison
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get clinical notes by patient
    * @route GET /api/clinical-notes/patient/:patientId
@@ -235,8 +431,8 @@ class ClinicalNoteController {
         parseInt(limit)
       );
 
-      // Filter by doctor access if not admin
-      const accessibleNotes = req.user.role === 'admin' 
+      // Filter by doctor access without clinical_note:manage
+      const accessibleNotes = hasPermission(req.user, 'clinical_note:manage') 
         ? clinicalNotes 
         : clinicalNotes.filter(note => note.doctorId === req.user.id);
 
@@ -259,8 +455,8 @@ class ClinicalNoteController {
       const { doctorId } = req.params;
       const { startDate, endDate } = req.query;
 
-      // Check access - doctors can only see their own notes unless admin
-      if (doctorId !== req.user.id && req.user.role !== 'admin') {
+      // Check access - doctors can only see their own notes without clinical_note:manage
+      if (doctorId !== req.user.id && !hasPermission(req.user, 'clinical_note:manage')) {
         throw new ValidationError('Access denied to other doctor\'s notes');
       }
 
@@ -293,7 +489,7 @@ class ClinicalNoteController {
    */
   async getPendingReview(req, res, next) {
     try {
-      const doctorId = req.user.role === 'admin' ? req.query.doctorId : req.user.id;
+      const doctorId = hasPermission(req.user, 'clinical_note:manage') ? req.query.doctorId : req.user.id;
 
       logger.info('Getting pending clinical notes', {
         doctorId,
@@ -319,7 +515,7 @@ class ClinicalNoteController {
   async getStatistics(req, res, next) {
     try {
       const { startDate, endDate } = req.query;
-      const doctorId = req.user.role === 'admin' ? req.query.doctorId : req.user.id;
+      const doctorId = hasPermission(req.user, 'clinical_note:manage') ? req.query.doctorId : req.user.id;
 
       logger.info('Getting clinical note statistics', {
         doctorId,
@@ -0,0 +1,83 @@
+const noteTemplateService = require('../services/noteTemplate.service');
+const logger = require('../utils/logger');
+
+class NoteTemplateController {
+  /**
+   * List note templates
+   * @route GET /api/clinical-notes/templates
+   */
+  async listTemplates(req, res, next) {
+    try {
+      const templates = noteTemplateService.listTemplates();
+
+      res.status(200).json({
+        success: true,
+        data: templates,
+        count: templates.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get note template by ID
+   * @route GET /api/clinical-notes/templates/:templateId
+   */
+  async getTemplate(req, res, next) {
+    try {
+      const template = noteTemplateService.getTemplate(req.params.templateId);
+
+      res.status(200).json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's default note template
+   * @route GET /api/clinical-notes/templates/default
+   */
+  async getDefaultTemplate(req, res, next) {
+    try {
+      const defaultTemplate = await noteTemplateService.getDefaultTemplate(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: defaultTemplate
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the current user's default note template
+   * @route PUT /api/clinical-notes/templates/default
+   */
+  async setDefaultTemplate(req, res, next) {
+    try {
+      const { templateId } = req.body;
+
+      logger.info('Setting default note template', {
+        userId: req.user.id,
+        templateId
+      });
+
+      const defaultTemplate = await noteTemplateService.setDefaultTemplate(req.user.id, templateId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Default note template updated successfully',
+        data: defaultTemplate
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new NoteTemplateController();
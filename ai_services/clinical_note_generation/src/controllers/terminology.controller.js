@@ -0,0 +1,44 @@
+const terminology = require('@dr-assistant/terminology');
+
+class TerminologyController {
+  /**
+   * Suggest diagnosis codes for a description
+   * @route GET /api/clinical-notes/terminology/suggest
+   */
+  async suggestCodes(req, res, next) {
+    try {
+      const { q, system = terminology.SYSTEMS.ICD10, limit = 5 } = req.query;
+
+      const suggestions = terminology.suggest(q, { system, limit: parseInt(limit) });
+
+      res.status(200).json({
+        success: true,
+        data: suggestions,
+        count: suggestions.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Validate a diagnosis code
+   * @route GET /api/clinical-notes/terminology/validate
+   */
+  async validateCode(req, res, next) {
+    try {
+      const { code, system, description } = req.query;
+
+      const result = terminology.checkDiagnosis({ code, system, description });
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TerminologyController();
@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
+const { ConflictError } = require('../utils/error-handler');
 const Schema = mongoose.Schema;
 
+// Sections that make up the note's clinical content
+const CONTENT_SECTIONS = ['subjective', 'objective', 'assessment', 'plan', 'specialtySections'];
+
+// Fields that only an amendment may change once the note is signed
+const SIGNED_FIELDS = [...CONTENT_SECTIONS, 'status', 'signedBy', 'signedAt'];
+
 // Subjective section schema (Patient's perspective)
 const SubjectiveSchema = new Schema({
   chiefComplaint: {
@@ -158,6 +165,7 @@ const PlanSchema = new Schema({
 
 // AI Generation metadata
 const AIMetadataSchema = new Schema({
+  provider: String,
   model: {
     type: String,
     required: true
@@ -212,6 +220,74 @@ const EditHistorySchema = new Schema({
   reason: String
 }, { _id: false });
 
+// Amendment schema (signed correction or addendum to a signed note)
+const AmendmentSchema = new Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['amendment', 'addendum'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  text: {
+    type: String,
+    maxlength: 5000
+  },
+  changes: [{
+    field: String,
+    oldValue: String,
+    newValue: String
+  }],
+  version: Number,
+  signedBy: {
+    type: String,
+    required: true
+  },
+  signedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Transcript evidence for one statement of the note
+const GroundedStatementSchema = new Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  text: String,
+  status: {
+    type: String,
+    enum: ['supported', 'partial', 'unsupported'],
+    required: true
+  },
+  support: Number,
+  missingNumbers: [String],
+  evidence: {
+    startWord: Number,
+    endWord: Number,
+    startTime: Number,
+    endTime: Number,
+    text: String
+  }
+}, { _id: false });
+
+// How well the note's statements are backed by the transcript
+const GroundingSchema = new Schema({
+  score: Number,
+  hasTimings: Boolean,
+  unsupportedCount: Number,
+  statements: [GroundedStatementSchema],
+  checkedAt: Date
+}, { _id: false });
+
 // Main clinical note schema
 const ClinicalNoteSchema = new Schema({
   encounterId: {
@@ -285,6 +361,20 @@ const ClinicalNoteSchema = new Schema({
     required: true
   },
 
+  // Specialty template the note was generated with, and its extra sections
+  noteTemplate: {
+    id: {
+      type: String,
+      default: 'soap',
+      index: true
+    },
+    version: String
+  },
+  specialtySections: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
   // Source and processing data
   rawTranscription: {
     type: String,
@@ -296,6 +386,9 @@ const ClinicalNoteSchema = new Schema({
     required: true
   },
 
+  // Transcript evidence for each generated statement (see grounding.service)
+  grounding: GroundingSchema,
+
   // Review and approval
   reviewedBy: String,
   reviewedAt: Date,
@@ -305,6 +398,15 @@ const ClinicalNoteSchema = new Schema({
   signedBy: String,
   signedAt: Date,
 
+  // Signed corrections and addenda, oldest first
+  amendments: [AmendmentSchema],
+
+  // Content version, bumped on every recorded change (see ClinicalNoteVersion)
+  version: {
+    type: Number,
+    default: 1
+  },
+
   // Edit tracking
   editHistory: [EditHistorySchema],
   lastEditedBy: String,
@@ -411,6 +513,42 @@ ClinicalNoteSchema.methods.markAsSigned = function(signerId) {
   return this.save();
 };
 
+ClinicalNoteSchema.methods.isSigned = function() {
+  return Boolean(this.signedAt);
+};
+
+ClinicalNoteSchema.methods.addAmendment = function(signerId, { type, reason, text, changes = [] }) {
+  const amendment = {
+    number: this.amendments.length + 1,
+    type,
+    reason,
+    text,
+    changes,
+    version: this.version,
+    signedBy: signerId,
+    signedAt: new Date()
+  };
+
+  this.amendments.push(amendment);
+  this.status = 'amended';
+  this.addAuditEntry(type === 'addendum' ? 'addendum_added' : 'amended', signerId, {
+    number: amendment.number,
+    reason,
+    changes
+  });
+  return amendment;
+};
+
+ClinicalNoteSchema.methods.getContent = function() {
+  const note = this.toObject({ virtuals: false, versionKey: false });
+
+  // Drop subdocument ids so snapshots compare on content alone
+  return JSON.parse(JSON.stringify(
+    Object.fromEntries(CONTENT_SECTIONS.map(section => [section, note[section] || {}])),
+    (key, value) => (key === '_id' ? undefined : value)
+  ));
+};
+
 ClinicalNoteSchema.methods.addEdit = function(editorId, section, changes, reason) {
   this.editHistory.push({
     editedBy: editorId,
@@ -503,8 +641,21 @@ ClinicalNoteSchema.statics.getStatistics = function(doctorId, startDate, endDate
   ]);
 };
 
+ClinicalNoteSchema.statics.CONTENT_SECTIONS = CONTENT_SECTIONS;
+
+// Remember whether the note was signed when loaded, for the pre-save guard
+ClinicalNoteSchema.post('init', function() {
+  this.$locals.wasSigned = this.isSigned();
+});
+
 // Pre-save middleware
 ClinicalNoteSchema.pre('save', function(next) {
+  // Signed notes are immutable; corrections go through addAmendment
+  if (this.$locals.wasSigned && !this.$locals.amending &&
+      SIGNED_FIELDS.some(field => this.isModified(field))) {
+    return next(new ConflictError('Signed clinical notes cannot be changed; add an amendment instead'));
+  }
+
   // Update lastEditedAt if content changed
   if (this.isModified() && !this.isNew) {
     this.lastEditedAt = new Date();
@@ -518,4 +669,9 @@ ClinicalNoteSchema.pre('save', function(next) {
   next();
 });
 
+ClinicalNoteSchema.post('save', function() {
+  this.$locals.wasSigned = this.isSigned();
+  this.$locals.amending = false;
+});
+
 module.exports = mongoose.model('ClinicalNote', ClinicalNoteSchema);
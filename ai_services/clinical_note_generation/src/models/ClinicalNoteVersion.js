@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Snapshot of a clinical note's content after each recorded change
+const ClinicalNoteVersionSchema = new Schema({
+  clinicalNoteId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ClinicalNote',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  changeType: {
+    type: String,
+    enum: ['generated', 'edited', 'regenerated', 'amended'],
+    required: true
+  },
+  content: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  changes: [{
+    field: String,
+    oldValue: String,
+    newValue: String
+  }],
+  reason: String,
+  createdBy: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ClinicalNoteVersionSchema.index({ clinicalNoteId: 1, version: 1 }, { unique: true });
+
+ClinicalNoteVersionSchema.statics.findByNote = function(clinicalNoteId) {
+  return this.find({ clinicalNoteId })
+    .sort({ version: 1 })
+    .select('-content');
+};
+
+ClinicalNoteVersionSchema.statics.findVersion = function(clinicalNoteId, version) {
+  return this.findOne({ clinicalNoteId, version });
+};
+
+ClinicalNoteVersionSchema.statics.findLatest = function(clinicalNoteId) {
+  return this.findOne({ clinicalNoteId }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('ClinicalNoteVersion', ClinicalNoteVersionSchema);
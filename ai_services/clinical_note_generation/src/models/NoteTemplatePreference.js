@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A user's default note template, used when /generate names none
+const NoteTemplatePreferenceSchema = new Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  templateId: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+NoteTemplatePreferenceSchema.statics.findByUser = function(userId) {
+  return this.findOne({ userId });
+};
+
+module.exports = mongoose.model('NoteTemplatePreference', NoteTemplatePreferenceSchema);
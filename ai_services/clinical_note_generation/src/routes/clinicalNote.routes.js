@@ -1,12 +1,41 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const clinicalNoteController = require('../controllers/clinicalNote.controller');
-const { verifyToken, requireDoctor, requireAdmin } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validation.middleware');
 const { aiGenerationRateLimit, defaultRateLimit } = require('../middleware/rateLimit.middleware');
+const { hasTemplate } = require('../templates');
 
 const router = express.Router();
 
+// Request body shared by the blocking and streaming generate endpoints
+const generateValidation = [
+  body('transcriptionId')
+    .isMongoId()
+    .withMessage('Transcription ID must be a valid MongoDB ObjectId'),
+  body('context')
+    .optional()
+    .isObject()
+    .withMessage('Context must be an object'),
+  body('context.noteType')
+    .optional()
+    .isIn(['soap', 'progress', 'procedure', 'discharge', 'referral', 'consultation', 'follow-up'])
+    .withMessage('Invalid note type'),
+  body('context.priority')
+    .optional()
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+  body('context.specialty')
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Specialty must be between 2 and 100 characters'),
+  body('context.templateId')
+    .optional()
+    .custom(hasTemplate)
+    .withMessage('Unknown note template')
+];
+
 /**
  * @route POST /api/clinical-notes/generate
  * @desc Generate clinical note from transcription
@@ -15,33 +44,26 @@ const router = express.Router();
 router.post('/generate',
   aiGenerationRateLimit,
   verifyToken,
-  requireDoctor,
-  [
-    body('transcriptionId')
-      .isMongoId()
-      .withMessage('Transcription ID must be a valid MongoDB ObjectId'),
-    body('context')
-      .optional()
-      .isObject()
-      .withMessage('Context must be an object'),
-    body('context.noteType')
-      .optional()
-      .isIn(['soap', 'progress', 'procedure', 'discharge', 'referral', 'consultation', 'follow-up'])
-      .withMessage('Invalid note type'),
-    body('context.priority')
-      .optional()
-      .isIn(['low', 'normal', 'high', 'urgent'])
-      .withMessage('Invalid priority level'),
-    body('context.specialty')
-      .optional()
-      .isString()
-      .isLength({ min: 2, max: 100 })
-      .withMessage('Specialty must be between 2 and 100 characters')
-  ],
+  requirePermission('clinical_note:create'),
+  generateValidation,
   validate,
   clinicalNoteController.generateClinicalNote
 );
 
+/**
+ * @route POST /api/clinical-notes/generate/stream
+ * @desc Generate clinical note from transcription, streaming progress and sections as server-sent events
+ * @access Private (Doctor)
+ */
+router.post('/generate/stream',
+  aiGenerationRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:create'),
+  generateValidation,
+  validate,
+  clinicalNoteController.generateClinicalNoteStream
+);
+
 /**
  * @route GET /api/clinical-notes/:clinicalNoteId
  * @desc Get clinical note by ID
@@ -50,7 +72,7 @@ router.post('/generate',
 router.get('/:clinicalNoteId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:read'),
   [
     param('clinicalNoteId')
       .isMongoId()
@@ -68,7 +90,7 @@ router.get('/:clinicalNoteId',
 router.get('/encounter/:encounterId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:read'),
   [
     param('encounterId')
       .isUUID()
@@ -86,7 +108,7 @@ router.get('/encounter/:encounterId',
 router.put('/:clinicalNoteId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:update'),
   [
     param('clinicalNoteId')
       .isMongoId()
@@ -107,10 +129,14 @@ router.put('/:clinicalNoteId',
       .optional()
       .isObject()
       .withMessage('Plan section must be an object'),
+    body('specialtySections')
+      .optional()
+      .isObject()
+      .withMessage('Specialty sections must be an object'),
     body('status')
       .optional()
-      .isIn(['generating', 'draft', 'review', 'approved', 'signed', 'amended', 'cancelled'])
-      .withMessage('Invalid status'),
+      .isIn(['generating', 'draft', 'review', 'approved', 'cancelled'])
+      .withMessage('Invalid status; sign or amend the note through their own endpoints'),
     body('priority')
       .optional()
       .isIn(['low', 'normal', 'high', 'urgent'])
@@ -128,7 +154,7 @@ router.put('/:clinicalNoteId',
 router.post('/:clinicalNoteId/review',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:update'),
   [
     param('clinicalNoteId')
       .isMongoId()
@@ -151,7 +177,7 @@ router.post('/:clinicalNoteId/review',
 router.post('/:clinicalNoteId/approve',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:sign'),
   [
     param('clinicalNoteId')
       .isMongoId()
@@ -169,7 +195,7 @@ router.post('/:clinicalNoteId/approve',
 router.post('/:clinicalNoteId/sign',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:sign'),
   [
     param('clinicalNoteId')
       .isMongoId()
@@ -179,6 +205,109 @@ router.post('/:clinicalNoteId/sign',
   clinicalNoteController.signClinicalNote
 );
 
+/**
+ * @route POST /api/clinical-notes/:clinicalNoteId/amendments
+ * @desc Add a signed amendment or addendum to a signed clinical note
+ * @access Private (Doctor)
+ */
+router.post('/:clinicalNoteId/amendments',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:sign'),
+  [
+    param('clinicalNoteId')
+      .isMongoId()
+      .withMessage('Clinical note ID must be a valid MongoDB ObjectId'),
+    body('type')
+      .optional()
+      .isIn(['amendment', 'addendum'])
+      .withMessage('Type must be amendment or addendum'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Reason is required and must be at most 1000 characters'),
+    body('text')
+      .if(body('type').equals('addendum'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Addendum text is required and must be at most 5000 characters'),
+    body(['subjective', 'objective', 'assessment', 'plan', 'specialtySections'])
+      .optional()
+      .isObject()
+      .withMessage('Amended sections must be objects')
+  ],
+  validate,
+  clinicalNoteController.amendClinicalNote
+);
+
+/**
+ * @route GET /api/clinical-notes/:clinicalNoteId/versions
+ * @desc List the versions of a clinical note
+ * @access Private (Doctor)
+ */
+router.get('/:clinicalNoteId/versions',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  [
+    param('clinicalNoteId')
+      .isMongoId()
+      .withMessage('Clinical note ID must be a valid MongoDB ObjectId')
+  ],
+  validate,
+  clinicalNoteController.getVersions
+);
+
+/**
+ * @route GET /api/clinical-notes/:clinicalNoteId/versions/:version
+ * @desc Get one version of a clinical note
+ * @access Private (Doctor)
+ */
+router.get('/:clinicalNoteId/versions/:version',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  [
+    param('clinicalNoteId')
+      .isMongoId()
+      .withMessage('Clinical note ID must be a valid MongoDB ObjectId'),
+    param('version')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Version must be a positive integer')
+  ],
+  validate,
+  clinicalNoteController.getVersion
+);
+
+/**
+ * @route GET /api/clinical-notes/:clinicalNoteId/compare
+ * @desc Field-level differences between two versions of a clinical note
+ * @access Private (Doctor)
+ */
+router.get('/:clinicalNoteId/compare',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  [
+    param('clinicalNoteId')
+      .isMongoId()
+      .withMessage('Clinical note ID must be a valid MongoDB ObjectId'),
+    query('version1')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Version 1 must be a positive integer'),
+    query('version2')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Version 2 must be a positive integer')
+  ],
+  validate,
+  clinicalNoteController.compareVersions
+);
+
 /**
  * @route GET /api/clinical-notes/patient/:patientId
  * @desc Get clinical notes by patient
@@ -187,7 +316,7 @@ router.post('/:clinicalNoteId/sign',
 router.get('/patient/:patientId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:read'),
   [
     param('patientId')
       .isUUID()
@@ -209,7 +338,7 @@ router.get('/patient/:patientId',
 router.get('/doctor/:doctorId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:read'),
   [
     param('doctorId')
       .isUUID()
@@ -235,7 +364,7 @@ router.get('/doctor/:doctorId',
 router.get('/pending',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:read'),
   [
     query('doctorId')
       .optional()
@@ -254,7 +383,7 @@ router.get('/pending',
 router.get('/stats',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:read'),
   [
     query('startDate')
       .optional()
@@ -281,7 +410,7 @@ router.get('/stats',
 router.post('/:clinicalNoteId/regenerate',
   aiGenerationRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('clinical_note:create'),
   [
     param('clinicalNoteId')
       .isMongoId()
@@ -1,6 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getLLM } = require('../services/llm');
 
 const router = express.Router();
 
@@ -19,7 +19,7 @@ router.get('/', async (req, res) => {
     uptime: process.uptime(),
     checks: {
       database: 'unknown',
-      gemini: 'unknown',
+      llm: 'unknown',
       memory: 'unknown'
     }
   };
@@ -33,20 +33,16 @@ router.get('/', async (req, res) => {
       healthCheck.status = 'DEGRADED';
     }
 
-    // Check Gemini API availability
+    // Check the LLM provider is configured
     try {
-      if (process.env.GOOGLE_GEMINI_API_KEY) {
-        const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-        const model = genAI.getGenerativeModel({ model: 'gemini-1.5-pro' });
-        
-        // Simple test to check if API is accessible
-        healthCheck.checks.gemini = 'healthy';
+      if (getLLM().describe().configured) {
+        healthCheck.checks.llm = 'healthy';
       } else {
-        healthCheck.checks.gemini = 'not_configured';
+        healthCheck.checks.llm = 'not_configured';
         healthCheck.status = 'DEGRADED';
       }
     } catch (error) {
-      healthCheck.checks.gemini = 'unhealthy';
+      healthCheck.checks.llm = 'unhealthy';
       healthCheck.status = 'DEGRADED';
     }
 
@@ -65,7 +61,7 @@ router.get('/', async (req, res) => {
     };
 
     // Overall status
-    if (healthCheck.checks.database === 'unhealthy' || healthCheck.checks.gemini === 'unhealthy') {
+    if (healthCheck.checks.database === 'unhealthy' || healthCheck.checks.llm === 'unhealthy') {
       healthCheck.status = 'UNHEALTHY';
     }
 
@@ -110,8 +106,8 @@ router.get('/detailed', async (req, res) => {
         connection: mongoose.connection.readyState
       },
       ai: {
-        provider: 'Google Gemini',
-        model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+        provider: 'unknown',
+        model: 'unknown',
         status: 'unknown'
       }
     },
@@ -135,12 +131,14 @@ router.get('/detailed', async (req, res) => {
     }
 
     // AI service check
-    if (process.env.GOOGLE_GEMINI_API_KEY) {
+    const llm = getLLM().describe();
+    detailedHealth.dependencies.ai.provider = llm.provider;
+    detailedHealth.dependencies.ai.model = llm.model;
+
+    if (llm.configured) {
       detailedHealth.dependencies.ai.status = 'configured';
-      detailedHealth.dependencies.ai.keyConfigured = true;
     } else {
       detailedHealth.dependencies.ai.status = 'not_configured';
-      detailedHealth.dependencies.ai.keyConfigured = false;
       detailedHealth.status = 'DEGRADED';
     }
 
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const noteTemplateController = require('../controllers/noteTemplate.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { defaultRateLimit } = require('../middleware/rateLimit.middleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/clinical-notes/templates
+ * @desc List note templates
+ * @access Private (Doctor)
+ */
+router.get('/',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  noteTemplateController.listTemplates
+);
+
+/**
+ * @route GET /api/clinical-notes/templates/default
+ * @desc Get the current user's default note template
+ * @access Private (Doctor)
+ */
+router.get('/default',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  noteTemplateController.getDefaultTemplate
+);
+
+/**
+ * @route PUT /api/clinical-notes/templates/default
+ * @desc Set the current user's default note template
+ * @access Private (Doctor)
+ */
+router.put('/default',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:create'),
+  [
+    body('templateId')
+      .isString()
+      .notEmpty()
+      .withMessage('Template ID is required')
+  ],
+  validate,
+  noteTemplateController.setDefaultTemplate
+);
+
+/**
+ * @route GET /api/clinical-notes/templates/:templateId
+ * @desc Get note template by ID
+ * @access Private (Doctor)
+ */
+router.get('/:templateId',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  [
+    param('templateId')
+      .isString()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Template ID must be between 1 and 50 characters')
+  ],
+  validate,
+  noteTemplateController.getTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { query } = require('express-validator');
+const terminologyController = require('../controllers/terminology.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { defaultRateLimit } = require('../middleware/rateLimit.middleware');
+const { SYSTEMS } = require('@dr-assistant/terminology');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/clinical-notes/terminology/suggest
+ * @desc Suggest ICD-10 or SNOMED CT codes for a diagnosis description
+ * @access Private (Doctor)
+ */
+router.get('/suggest',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  [
+    query('q')
+      .isString()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Query must be between 2 and 200 characters'),
+    query('system')
+      .optional()
+      .isIn(Object.values(SYSTEMS))
+      .withMessage('Invalid code system'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Limit must be between 1 and 20')
+  ],
+  validate,
+  terminologyController.suggestCodes
+);
+
+/**
+ * @route GET /api/clinical-notes/terminology/validate
+ * @desc Validate a diagnosis code, optionally against its description
+ * @access Private (Doctor)
+ */
+router.get('/validate',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('clinical_note:read'),
+  [
+    query('code')
+      .isString()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Code must be between 1 and 20 characters'),
+    query('system')
+      .optional()
+      .isIn(Object.values(SYSTEMS))
+      .withMessage('Invalid code system'),
+    query('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters')
+  ],
+  validate,
+  terminologyController.validateCode
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ require('dotenv').config();
 const app = require('./app');
 const database = require('./config/database');
 const logger = require('./utils/logger');
+const { getLLM } = require('./services/llm');
 
 const PORT = process.env.PORT || 9002;
 
@@ -108,6 +109,10 @@ function validateEnvironment() {
     logger.warn('Google Gemini API key format may be incorrect');
   }
 
+  // Build the LLM client now, so a misconfigured provider stops startup
+  // rather than the first note request
+  getLLM();
+
   logger.info('Environment validation passed');
 }
 
@@ -1,8 +1,19 @@
 const ClinicalNote = require('../models/ClinicalNote');
 const geminiService = require('./gemini.service');
+const noteTemplateService = require('./noteTemplate.service');
+const noteHistoryService = require('./noteHistory.service');
+const groundingService = require('./grounding.service');
+const { getTemplate, runQualityChecks } = require('../templates');
+const terminology = require('@dr-assistant/terminology');
 const logger = require('../utils/logger');
 const axios = require('axios');
-const { InternalServerError, ValidationError, NotFoundError } = require('../utils/error-handler');
+const { InternalServerError, ValidationError, NotFoundError, ConflictError } = require('../utils/error-handler');
+
+// Fields set only by signing and amending, never by a plain update
+const PROTECTED_FIELDS = ['signedBy', 'signedAt', 'amendments', 'version', 'grounding'];
+
+// Most unsupported statements flagged individually; the rest are summarized
+const MAX_GROUNDING_FLAGS = 10;
 
 class ClinicalNoteService {
   constructor() {
@@ -13,11 +24,15 @@ class ClinicalNoteService {
 
   /**
    * Generate clinical note from transcription
+   * With onEvent the note is streamed: onEvent(type, data) receives 'progress'
+   * events for each stage and a 'section' event as each SOAP section is
+   * written. The note is saved the same way either way.
    * @param {Object} transcriptionData - Transcription data
    * @param {Object} context - Additional context
+   * @param {Function} onEvent - Streaming event callback (optional)
    * @returns {Promise<Object>} Generated clinical note
    */
-  async generateClinicalNote(transcriptionData, context = {}) {
+  async generateClinicalNote(transcriptionData, context = {}, onEvent = null) {
     try {
       logger.info('Starting clinical note generation', {
         transcriptionId: transcriptionData._id,
@@ -31,28 +46,73 @@ class ClinicalNoteService {
       // Validate input
       this.validateTranscriptionData(transcriptionData);
 
-      // Get additional context
-      const enrichedContext = await this.enrichContext(context);
+      // Get additional context; word timings let statements link to the audio,
+      // and speaker turns let the prompt say who said what
+      const enrichedContext = await this.enrichContext({
+        ...context,
+        transcriptWords: transcriptionData.words,
+        transcriptTurns: transcriptionData.turns
+      });
 
       // Create initial clinical note record
       const clinicalNote = await this.createInitialNote(transcriptionData, enrichedContext);
 
-      // Generate SOAP note using Gemini
-      const generationResult = await geminiService.generateClinicalNote(
-        transcriptionData.transcript,
-        enrichedContext,
-        {
-          temperature: 0.3,
-          maxOutputTokens: 8192
-        }
-      );
+      // Generate SOAP note with the configured LLM
+      const generationOptions = {
+        temperature: 0.3,
+        maxOutputTokens: 8192
+      };
+      let generationResult;
+
+      if (onEvent) {
+        const sections = geminiService.getNoteSections(geminiService.resolveTemplate(enrichedContext.templateId));
+        let sectionsCompleted = 0;
+
+        onEvent('progress', {
+          stage: 'generating',
+          clinicalNoteId: clinicalNote._id,
+          sectionsCompleted,
+          totalSections: sections.length
+        });
+
+        generationResult = await geminiService.streamClinicalNote(
+          transcriptionData.transcript,
+          enrichedContext,
+          generationOptions,
+          (section) => {
+            sectionsCompleted++;
+            onEvent('section', section);
+            onEvent('progress', {
+              stage: 'generating',
+              clinicalNoteId: clinicalNote._id,
+              sectionsCompleted,
+              totalSections: sections.length
+            });
+          }
+        );
+
+        onEvent('progress', { stage: 'saving', clinicalNoteId: clinicalNote._id });
+      } else {
+        generationResult = await geminiService.generateClinicalNote(
+          transcriptionData.transcript,
+          enrichedContext,
+          generationOptions
+        );
+      }
 
       // Update clinical note with generated content
       await this.updateNoteWithGeneratedContent(clinicalNote, generationResult, transcriptionData);
 
       // Perform quality checks
+      onEvent?.('progress', { stage: 'quality_checks', clinicalNoteId: clinicalNote._id });
       await this.performQualityChecks(clinicalNote);
 
+      // The generated content is version 1
+      await noteHistoryService.recordVersion(clinicalNote, {
+        changeType: 'generated',
+        userId: context.doctorId
+      });
+
       // Log completion
       const processingTime = Date.now() - startTime;
       logger.info('Clinical note generation completed', {
@@ -76,9 +136,10 @@ class ClinicalNoteService {
    * Generate clinical note from transcription ID
    * @param {string} transcriptionId - Transcription ID
    * @param {Object} context - Additional context
+   * @param {Function} onEvent - Streaming event callback (optional, see generateClinicalNote)
    * @returns {Promise<Object>} Generated clinical note
    */
-  async generateFromTranscriptionId(transcriptionId, context = {}) {
+  async generateFromTranscriptionId(transcriptionId, context = {}, onEvent = null) {
     try {
       // Get transcription data from voice recording service
       const transcriptionData = await this.getTranscriptionData(transcriptionId);
@@ -87,15 +148,19 @@ class ClinicalNoteService {
         throw new NotFoundError('Transcription not found');
       }
 
+      // The requesting doctor's default applies when no template was picked
+      const templateId = await noteTemplateService.resolveTemplateId(context.templateId, context.doctorId);
+
       // Merge context with transcription data
       const mergedContext = {
         ...context,
+        templateId,
         encounterId: transcriptionData.encounterId,
         patientId: transcriptionData.patientId,
         doctorId: transcriptionData.doctorId
       };
 
-      return await this.generateClinicalNote(transcriptionData, mergedContext);
+      return await this.generateClinicalNote(transcriptionData, mergedContext, onEvent);
     } catch (error) {
       logger.error('Failed to generate clinical note from transcription ID', {
         transcriptionId,
@@ -156,15 +221,26 @@ class ClinicalNoteService {
     try {
       const clinicalNote = await this.getClinicalNoteById(clinicalNoteId);
 
-      // Track changes for audit
-      const changes = this.trackChanges(clinicalNote, updates);
+      if (clinicalNote.isSigned()) {
+        throw new ConflictError('Signed clinical notes cannot be edited; add an amendment instead');
+      }
 
-      // Apply updates
-      Object.assign(clinicalNote, updates);
+      // Apply updates, tracking changes for audit
+      const before = clinicalNote.getContent();
+      Object.assign(clinicalNote, Object.fromEntries(
+        Object.entries(updates).filter(([field]) => !PROTECTED_FIELDS.includes(field))
+      ));
+      const changes = this.trackChanges(before, clinicalNote.getContent());
 
-      // Add edit history
+      // Add edit history and a new version
       if (changes.length > 0) {
+        await this.groundClinicalNote(clinicalNote);
         await clinicalNote.addEdit(editorId, 'manual_edit', changes, 'Manual edit by user');
+        await noteHistoryService.recordVersion(clinicalNote, {
+          changeType: 'edited',
+          userId: editorId,
+          changes
+        });
       }
 
       await clinicalNote.save();
@@ -247,6 +323,11 @@ class ClinicalNoteService {
   async signClinicalNote(clinicalNoteId, signerId) {
     try {
       const clinicalNote = await this.getClinicalNoteById(clinicalNoteId);
+
+      if (clinicalNote.isSigned()) {
+        throw new ConflictError('Clinical note is already signed');
+      }
+
       await clinicalNote.markAsSigned(signerId);
 
       logger.info('Clinical note signed', {
@@ -412,6 +493,9 @@ class ClinicalNoteService {
       status: 'generating',
       noteType: context.noteType || 'soap',
       priority: context.priority || 'normal',
+      noteTemplate: {
+        id: geminiService.resolveTemplate(context.templateId).id
+      },
       rawTranscription: transcriptionData.transcript,
       subjective: {
         chiefComplaint: '',
@@ -437,7 +521,7 @@ class ClinicalNoteService {
   /**
    * Update clinical note with generated content
    * @param {Object} clinicalNote - Clinical note to update
-   * @param {Object} generationResult - Generation result from Gemini
+   * @param {Object} generationResult - Generation result from the LLM
    * @param {Object} transcriptionData - Original transcription data
    */
   async updateNoteWithGeneratedContent(clinicalNote, generationResult, transcriptionData) {
@@ -446,9 +530,12 @@ class ClinicalNoteService {
     clinicalNote.objective = generationResult.soapNote.objective;
     clinicalNote.assessment = generationResult.soapNote.assessment;
     clinicalNote.plan = generationResult.soapNote.plan;
+    clinicalNote.specialtySections = generationResult.soapNote.specialtySections;
+    clinicalNote.noteTemplate = generationResult.template;
 
     // Update AI metadata
     clinicalNote.aiMetadata = generationResult.metadata;
+    clinicalNote.grounding = generationResult.grounding;
 
     // Update status based on confidence
     if (generationResult.metadata.confidenceScore >= this.confidenceThreshold) {
@@ -510,6 +597,18 @@ class ClinicalNoteService {
       });
     }
 
+    // Diagnosis codes the model made up or misapplied
+    flags.push(...this.checkDiagnosisCodes(clinicalNote.assessment));
+
+    // Statements the transcript doesn't back up
+    flags.push(...this.checkGrounding(clinicalNote.grounding));
+
+    // Template-specific required fields and checks
+    const template = getTemplate(clinicalNote.noteTemplate?.id);
+    if (template) {
+      flags.push(...runQualityChecks(template, clinicalNote.toObject()));
+    }
+
     // Add compliance flags
     for (const flag of flags) {
       await clinicalNote.addComplianceFlag(flag.type, flag.description, flag.severity);
@@ -517,36 +616,114 @@ class ClinicalNoteService {
   }
 
   /**
-   * Track changes between old and new clinical note data
-   * @param {Object} oldNote - Original clinical note
-   * @param {Object} updates - Updates to apply
-   * @returns {Array} Array of changes
+   * Flag statements that could not be found in the transcript
+   * @param {Object} grounding - Grounding result
+   * @returns {Array} Compliance flags
    */
-  trackChanges(oldNote, updates) {
-    const changes = [];
-
-    // Track changes in main sections
-    const sectionsToTrack = ['subjective', 'objective', 'assessment', 'plan'];
-
-    for (const section of sectionsToTrack) {
-      if (updates[section]) {
-        const oldSection = oldNote[section] || {};
-        const newSection = updates[section];
-
-        for (const [field, newValue] of Object.entries(newSection)) {
-          const oldValue = oldSection[field];
-          if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-            changes.push({
-              field: `${section}.${field}`,
-              oldValue: typeof oldValue === 'object' ? JSON.stringify(oldValue) : String(oldValue || ''),
-              newValue: typeof newValue === 'object' ? JSON.stringify(newValue) : String(newValue || '')
-            });
-          }
-        }
+  checkGrounding(grounding) {
+    const unsupported = (grounding?.statements || [])
+      .filter(statement => statement.status === 'unsupported');
+
+    const flags = unsupported.slice(0, MAX_GROUNDING_FLAGS).map(({ path, text, missingNumbers }) => ({
+      type: 'unsupported_statement',
+      description: missingNumbers?.length > 0
+        ? `${path}: "${text}" gives ${missingNumbers.join(', ')}, which the transcript does not mention`
+        : `${path}: "${text}" was not found in the transcript`,
+      severity: 'warning'
+    }));
+
+    if (unsupported.length > MAX_GROUNDING_FLAGS) {
+      flags.push({
+        type: 'unsupported_statement',
+        description: `${unsupported.length - MAX_GROUNDING_FLAGS} more statements were not found in the transcript`,
+        severity: 'warning'
+      });
+    }
+
+    return flags;
+  }
+
+  /**
+   * Re-check a clinical note's content against its transcript
+   * Used after manual edits, so the review highlights match what the note says.
+   * @param {Object} clinicalNote - Clinical note (not saved)
+   * @returns {Promise<Object>} Grounding result
+   */
+  async groundClinicalNote(clinicalNote) {
+    const words = await this.getTranscriptWords(clinicalNote.transcriptionId);
+
+    clinicalNote.grounding = groundingService.groundNote(clinicalNote.getContent(), {
+      transcript: clinicalNote.rawTranscription,
+      words
+    });
+
+    return clinicalNote.grounding;
+  }
+
+  /**
+   * Get a transcription's timed words, if the voice recording service has them
+   * @param {string} transcriptionId - Transcription ID
+   * @returns {Promise<Array>} Words, or an empty array to ground on text alone
+   */
+  async getTranscriptWords(transcriptionId) {
+    if (!transcriptionId) return [];
+
+    try {
+      const transcriptionData = await this.getTranscriptionData(transcriptionId);
+      return transcriptionData?.words || [];
+    } catch (error) {
+      logger.warn('Grounding without word timings', { transcriptionId });
+      return [];
+    }
+  }
+
+  /**
+   * Check the assessment's diagnosis codes against the terminology
+   * @param {Object} assessment - Assessment section
+   * @returns {Array} Compliance flags
+   */
+  checkDiagnosisCodes(assessment = {}) {
+    const flags = [];
+    const diagnoses = [assessment.primaryDiagnosis, ...(assessment.secondaryDiagnoses || [])]
+      .filter(diagnosis => diagnosis?.code);
+
+    for (const { code, description } of diagnoses) {
+      const result = terminology.checkDiagnosis({ code, description });
+      const [suggestion] = result.suggestions;
+      const suggested = suggestion ? `; suggested ${suggestion.code} (${suggestion.display})` : '';
+
+      if (result.status === 'invalid') {
+        flags.push({
+          type: 'invalid_diagnosis_code',
+          description: `${result.message} for "${description}"${suggested}`,
+          severity: 'error'
+        });
+      } else if (result.status === 'unknown') {
+        flags.push({
+          type: 'unverified_diagnosis_code',
+          description: `${result.message} for "${description}"${suggested}`,
+          severity: 'warning'
+        });
+      } else if (result.matchesDescription === false) {
+        flags.push({
+          type: 'diagnosis_code_mismatch',
+          description: `${result.code} (${result.display}) does not match "${description}"${suggested}`,
+          severity: 'warning'
+        });
       }
     }
 
-    return changes;
+    return flags;
+  }
+
+  /**
+   * Track field-level changes between two versions of a note's content
+   * @param {Object} before - Content before the change (see ClinicalNote#getContent)
+   * @param {Object} after - Content after the change
+   * @returns {Array} Array of changes
+   */
+  trackChanges(before, after) {
+    return noteHistoryService.diffContent(before, after);
   }
 
   /**
@@ -644,6 +821,10 @@ class ClinicalNoteService {
         throw new ValidationError('Cannot regenerate: original transcription not available');
       }
 
+      if (clinicalNote.isSigned()) {
+        throw new ConflictError('Signed clinical notes cannot be regenerated; add an amendment instead');
+      }
+
       logger.info('Regenerating clinical note', {
         clinicalNoteId,
         options
@@ -655,7 +836,9 @@ class ClinicalNoteService {
         patientId: clinicalNote.patientId,
         doctorId: clinicalNote.doctorId,
         noteType: clinicalNote.noteType,
-        priority: clinicalNote.priority
+        priority: clinicalNote.priority,
+        templateId: clinicalNote.noteTemplate?.id,
+        transcriptWords: await this.getTranscriptWords(clinicalNote.transcriptionId)
       };
 
       // Generate new content
@@ -673,7 +856,10 @@ class ClinicalNoteService {
       // Add audit entry
       clinicalNote.addAuditEntry('regenerated', context.doctorId, { options });
 
-      await clinicalNote.save();
+      await noteHistoryService.recordVersion(clinicalNote, {
+        changeType: 'regenerated',
+        userId: context.doctorId
+      });
 
       logger.info('Clinical note regenerated', {
         clinicalNoteId,
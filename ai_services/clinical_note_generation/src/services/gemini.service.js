@@ -1,17 +1,13 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getLLM, estimateTokens } = require('./llm');
+const { DEFAULT_TEMPLATE_ID, getTemplate, getField, isPresent } = require('../templates');
+const terminology = require('@dr-assistant/terminology');
+const groundingService = require('./grounding.service');
+const { createSectionReader } = require('../utils/section-reader');
 const logger = require('../utils/logger');
 const { InternalServerError, ValidationError } = require('../utils/error-handler');
 
 class GeminiService {
   constructor() {
-    // Initialize Google Generative AI
-    this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-
-    // Get the model
-    this.model = this.genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-pro'
-    });
-
     // Default generation configuration
     this.defaultConfig = {
       temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || 0.3,
@@ -55,53 +51,83 @@ class GeminiService {
       });
 
       const startTime = Date.now();
+      const template = this.resolveTemplate(context.templateId);
 
       // Build the prompt
       const prompt = this.buildClinicalNotePrompt(transcription, context);
 
       // Generate content
       const config = { ...this.defaultConfig, ...options };
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: config
+      const result = await getLLM().generate(prompt, config);
+
+      return this.buildGenerationResult(result, {
+        transcription,
+        words: context.transcriptWords,
+        template,
+        config,
+        startTime
       });
+    } catch (error) {
+      logger.error('Clinical note generation failed', {
+        error: error.message,
+        stack: error.stack,
+        transcriptionLength: transcription.length
+      });
+      throw new InternalServerError('Failed to generate clinical note');
+    }
+  }
 
-      const response = await result.response;
-      const generatedText = response.text();
+  /**
+   * Generate clinical note from transcription, streaming sections as they arrive
+   * Each top-level section (subjective, objective, assessment, plan and the
+   * template's specialtySections) is passed to onSection, normalized, as soon as
+   * the model has finished writing it. The result is the same as from
+   * generateClinicalNote.
+   * @param {string} transcription - Raw transcription text
+   * @param {Object} context - Additional context (patient info, encounter details)
+   * @param {Object} options - Generation options
+   * @param {Function} onSection - Called with { section, content } per completed section
+   * @returns {Promise<Object>} Generated clinical note
+   */
+  async streamClinicalNote(transcription, context = {}, options = {}, onSection = () => {}) {
+    try {
+      logger.info('Starting streamed clinical note generation', {
+        transcriptionLength: transcription.length,
+        patientId: context.patientId,
+        encounterId: context.encounterId
+      });
 
-      // Parse the generated SOAP note
-      const parsedNote = this.parseSoapNote(generatedText);
+      const startTime = Date.now();
+      const template = this.resolveTemplate(context.templateId);
+      const sections = this.getNoteSections(template);
 
-      // Calculate processing metrics
-      const processingTime = Date.now() - startTime;
-      const tokenUsage = this.estimateTokenUsage(prompt, generatedText);
+      const prompt = this.buildClinicalNotePrompt(transcription, context);
+      const config = { ...this.defaultConfig, ...options };
+      const llm = getLLM();
 
-      // Calculate confidence score
-      const confidenceScore = this.calculateConfidenceScore(parsedNote, transcription);
+      const reader = createSectionReader((section, value) => {
+        if (!sections.includes(section)) return;
 
-      logger.info('Clinical note generation completed', {
-        processingTime,
-        confidenceScore,
-        tokenUsage: tokenUsage.totalTokens
+        onSection({
+          section,
+          content: this.validateAndNormalizeSoapNote({ [section]: value }, template)[section]
+        });
       });
 
-      return {
-        soapNote: parsedNote,
-        metadata: {
-          model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
-          version: '1.0',
-          temperature: config.temperature,
-          maxTokens: config.maxOutputTokens,
-          promptVersion: '1.0',
-          processingTime,
-          tokenUsage,
-          confidenceScore,
-          qualityMetrics: this.assessQuality(parsedNote)
-        },
-        rawResponse: generatedText
-      };
+      let generatedText = '';
+      for await (const chunk of llm.stream(prompt, config)) {
+        generatedText += chunk;
+        reader.push(chunk);
+      }
+
+      return this.buildGenerationResult({
+        text: generatedText,
+        provider: llm.provider,
+        model: llm.model,
+        usage: this.estimateTokenUsage(prompt, generatedText)
+      }, { transcription, words: context.transcriptWords, template, config, startTime });
     } catch (error) {
-      logger.error('Clinical note generation failed', {
+      logger.error('Streamed clinical note generation failed', {
         error: error.message,
         stack: error.stack,
         transcriptionLength: transcription.length
@@ -110,6 +136,78 @@ class GeminiService {
     }
   }
 
+  /**
+   * Turn a model response into a generation result
+   * @param {Object} result - LLM result ({ text, provider, model, usage })
+   * @param {Object} generation - { transcription, words, template, config, startTime }
+   * @returns {Object} Generated clinical note
+   */
+  buildGenerationResult(result, { transcription, words, template, config, startTime }) {
+    const generatedText = result.text;
+
+    // Parse the generated SOAP note
+    const parsedNote = this.parseSoapNote(generatedText, template);
+
+    // Link each statement back to the transcript
+    const grounding = groundingService.groundNote(parsedNote, { transcript: transcription, words });
+
+    // Calculate processing metrics
+    const processingTime = Date.now() - startTime;
+    const tokenUsage = result.usage;
+
+    // Calculate confidence score
+    const confidenceScore = this.calculateConfidenceScore(parsedNote, transcription, grounding);
+
+    logger.info('Clinical note generation completed', {
+      processingTime,
+      confidenceScore,
+      groundingScore: grounding.score,
+      unsupportedStatements: grounding.unsupportedCount,
+      tokenUsage: tokenUsage.totalTokens
+    });
+
+    return {
+      soapNote: parsedNote,
+      template: {
+        id: template.id,
+        version: template.version
+      },
+      metadata: {
+        provider: result.provider,
+        model: result.model,
+        version: '1.0',
+        temperature: config.temperature,
+        maxTokens: config.maxOutputTokens,
+        promptVersion: '1.0',
+        processingTime,
+        tokenUsage,
+        confidenceScore,
+        qualityMetrics: this.assessQuality(parsedNote, template, grounding)
+      },
+      grounding,
+      rawResponse: generatedText
+    };
+  }
+
+  /**
+   * List the top-level sections a note has for a template
+   * @param {Object} template - Note template
+   * @returns {Array<string>} Section keys, in the order the model writes them
+   */
+  getNoteSections(template = this.resolveTemplate()) {
+    const sections = ['subjective', 'objective', 'assessment', 'plan'];
+    return template.sections.length > 0 ? [...sections, 'specialtySections'] : sections;
+  }
+
+  /**
+   * Resolve the note template to generate with
+   * @param {string} templateId - Template ID (defaults to the SOAP template)
+   * @returns {Object} Note template
+   */
+  resolveTemplate(templateId) {
+    return getTemplate(templateId) || getTemplate(DEFAULT_TEMPLATE_ID);
+  }
+
   /**
    * Build the prompt for clinical note generation
    * @param {string} transcription - Raw transcription
@@ -117,12 +215,18 @@ class GeminiService {
    * @returns {string} Formatted prompt
    */
   buildClinicalNotePrompt(transcription, context) {
-    const { patientInfo = {}, encounterType = 'consultation', specialty = 'Internal Medicine' } = context;
+    const template = this.resolveTemplate(context.templateId);
+    const {
+      patientInfo = {},
+      encounterType = 'consultation',
+      specialty = template.specialty || 'Internal Medicine'
+    } = context;
 
     return `You are an expert medical AI assistant specializing in clinical documentation. Your task is to generate a comprehensive SOAP note from a doctor-patient conversation transcription.
 
 **CONTEXT:**
 - Specialty: ${specialty}
+- Note Template: ${template.name}
 - Encounter Type: ${encounterType}
 - Patient Age: ${patientInfo.age || 'Not specified'}
 - Patient Gender: ${patientInfo.gender || 'Not specified'}
@@ -140,7 +244,7 @@ class GeminiService {
 4. Be concise but comprehensive
 5. Only include information that is explicitly mentioned or can be reasonably inferred
 6. If information is missing, indicate it as "Not documented" or "Not assessed"
-
+${this.buildTemplateInstructions(template)}
 **OUTPUT FORMAT:**
 Please structure your response as a JSON object with the following format:
 
@@ -236,22 +340,83 @@ Please structure your response as a JSON object with the following format:
         "urgency": "routine"
       }
     ]
-  }
+  }${this.buildSpecialtyFormat(template)}
 }
 \`\`\`
 
 **CONVERSATION TRANSCRIPTION:**
-${transcription}
+${this.formatConversation(transcription, context.transcriptTurns)}
 
-Please analyze this conversation and generate a comprehensive SOAP note following the format above. Ensure all medical information is accurately captured and properly categorized.`;
+Please analyze this conversation and generate a comprehensive ${template.id === DEFAULT_TEMPLATE_ID ? 'SOAP note' : `${template.name} SOAP note`} following the format above. Ensure all medical information is accurately captured and properly categorized.`;
   }
 
   /**
-   * Parse the generated SOAP note from Gemini response
-   * @param {string} generatedText - Raw response from Gemini
+   * Format the conversation for the prompt
+   * When the voice recording service has labelled who is speaking, each turn
+   * is written as "Doctor: ...", "Patient: ..." so the model can tell
+   * reported symptoms from the doctor's questions and plan.
+   * @param {string} transcription - Raw transcription
+   * @param {Array} turns - Optional turns ({ role, speakerTag, text })
+   * @returns {string} Conversation text
+   */
+  formatConversation(transcription, turns = []) {
+    if (!turns || !turns.some(turn => turn.role && turn.role !== 'unknown')) {
+      return transcription;
+    }
+
+    const labels = { doctor: 'Doctor', patient: 'Patient', attendant: 'Attendant' };
+
+    return turns
+      .map(turn => `${labels[turn.role] || `Speaker ${turn.speakerTag}`}: ${turn.text}`)
+      .join('\n');
+  }
+
+  /**
+   * Build the template-specific instructions for the prompt
+   * @param {Object} template - Note template
+   * @returns {string} Prompt fragment (empty for the plain SOAP template)
+   */
+  buildTemplateInstructions(template) {
+    const { focus, instructions = [] } = template.promptFragments;
+
+    if (!focus && instructions.length === 0 && template.sections.length === 0) {
+      return '';
+    }
+
+    const lines = [`\n**${template.name.toUpperCase()} TEMPLATE:**`];
+    if (focus) lines.push(focus);
+    instructions.forEach(instruction => lines.push(`- ${instruction}`));
+    if (template.sections.length > 0) {
+      const titles = template.sections.map(section => section.title).join(', ');
+      lines.push(`- Record ${titles} under "specialtySections" as shown in the output format`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build the specialtySections part of the JSON output format
+   * @param {Object} template - Note template
+   * @returns {string} JSON fragment to append after the plan section
+   */
+  buildSpecialtyFormat(template) {
+    if (template.sections.length === 0) {
+      return '';
+    }
+
+    const format = Object.fromEntries(template.sections.map(section => [section.key, section.format]));
+    const json = JSON.stringify(format, null, 2).replace(/\n/g, '\n  ');
+
+    return `,\n  "specialtySections": ${json}`;
+  }
+
+  /**
+   * Parse the generated SOAP note from the model response
+   * @param {string} generatedText - Raw response from the model
+   * @param {Object} template - Note template the note was generated with
    * @returns {Object} Parsed SOAP note
    */
-  parseSoapNote(generatedText) {
+  parseSoapNote(generatedText, template = this.resolveTemplate()) {
     try {
       // Extract JSON from the response (handle markdown code blocks)
       const jsonMatch = generatedText.match(/```json\s*([\s\S]*?)\s*```/) ||
@@ -262,7 +427,7 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
       const parsed = JSON.parse(jsonString.trim());
 
       // Validate and normalize the structure
-      return this.validateAndNormalizeSoapNote(parsed);
+      return this.validateAndNormalizeSoapNote(parsed, template);
     } catch (error) {
       logger.error('Failed to parse SOAP note JSON', {
         error: error.message,
@@ -270,16 +435,17 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
       });
 
       // Fallback: try to extract information using regex patterns
-      return this.extractSoapNoteWithRegex(generatedText);
+      return this.extractSoapNoteWithRegex(generatedText, template);
     }
   }
 
   /**
    * Validate and normalize SOAP note structure
    * @param {Object} soapNote - Parsed SOAP note
+   * @param {Object} template - Note template
    * @returns {Object} Validated SOAP note
    */
-  validateAndNormalizeSoapNote(soapNote) {
+  validateAndNormalizeSoapNote(soapNote, template = this.resolveTemplate()) {
     const normalized = {
       subjective: {
         chiefComplaint: soapNote.subjective?.chiefComplaint || '',
@@ -317,18 +483,33 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
         referrals: soapNote.plan?.referrals || [],
         lifestyle: soapNote.plan?.lifestyle || [],
         monitoring: soapNote.plan?.monitoring || []
-      }
+      },
+      specialtySections: this.normalizeSpecialtySections(soapNote.specialtySections, template)
     };
 
     return normalized;
   }
 
+  /**
+   * Keep only the specialty sections the template defines
+   * @param {Object} sections - Parsed specialty sections
+   * @param {Object} template - Note template
+   * @returns {Object} Specialty sections keyed by section
+   */
+  normalizeSpecialtySections(sections = {}, template = this.resolveTemplate()) {
+    return Object.fromEntries(template.sections.map(section => [
+      section.key,
+      sections?.[section.key] || (Array.isArray(section.format) ? [] : {})
+    ]));
+  }
+
   /**
    * Extract SOAP note using regex patterns (fallback method)
    * @param {string} text - Generated text
+   * @param {Object} template - Note template
    * @returns {Object} Extracted SOAP note
    */
-  extractSoapNoteWithRegex(text) {
+  extractSoapNoteWithRegex(text, template = this.resolveTemplate()) {
     logger.warn('Using regex fallback for SOAP note extraction');
 
     // Basic regex patterns to extract sections
@@ -378,7 +559,8 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
         referrals: [],
         lifestyle: [],
         monitoring: []
-      }
+      },
+      specialtySections: this.normalizeSpecialtySections({}, template)
     };
   }
 
@@ -396,9 +578,10 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
    * Calculate confidence score for generated note
    * @param {Object} soapNote - Generated SOAP note
    * @param {string} transcription - Original transcription
+   * @param {Object} grounding - Grounding result (optional)
    * @returns {number} Confidence score (0-1)
    */
-  calculateConfidenceScore(soapNote, transcription) {
+  calculateConfidenceScore(soapNote, transcription, grounding = null) {
     let score = 0;
     let factors = 0;
 
@@ -418,7 +601,12 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
       factors++;
     }
 
-    return factors > 0 ? Math.min(score / factors, 1) : 0.5;
+    const structuralScore = factors > 0 ? Math.min(score / factors, 1) : 0.5;
+
+    // A well-formed note the transcript doesn't back up is not one to trust
+    return typeof grounding?.score === 'number'
+      ? (structuralScore + grounding.score) / 2
+      : structuralScore;
   }
 
   /**
@@ -451,11 +639,13 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
   /**
    * Assess quality of generated SOAP note
    * @param {Object} soapNote - Generated SOAP note
+   * @param {Object} template - Note template
+   * @param {Object} grounding - Grounding result (optional)
    * @returns {Object} Quality metrics
    */
-  assessQuality(soapNote) {
-    const completeness = this.assessCompleteness(soapNote);
-    const accuracy = this.assessAccuracy(soapNote);
+  assessQuality(soapNote, template, grounding = null) {
+    const completeness = this.assessCompleteness(soapNote, template);
+    const accuracy = this.assessAccuracy(soapNote, grounding);
     const relevance = this.assessRelevance(soapNote);
     const clarity = this.assessClarity(soapNote);
 
@@ -471,14 +661,16 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
   /**
    * Assess completeness of SOAP note
    * @param {Object} soapNote - SOAP note
+   * @param {Object} template - Note template
    * @returns {number} Completeness score (0-1)
    */
-  assessCompleteness(soapNote) {
+  assessCompleteness(soapNote, template = this.resolveTemplate()) {
     const requiredFields = [
       soapNote.subjective?.chiefComplaint,
       soapNote.subjective?.historyOfPresentIllness,
       soapNote.assessment?.clinicalImpression,
-      soapNote.plan?.followUp || soapNote.plan?.treatments?.length > 0
+      soapNote.plan?.followUp || soapNote.plan?.treatments?.length > 0,
+      ...template.requiredFields.map(fieldPath => isPresent(getField(soapNote, fieldPath)))
     ];
 
     const completedFields = requiredFields.filter(Boolean).length;
@@ -487,10 +679,14 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
 
   /**
    * Assess accuracy of SOAP note
+   * Uses how much of the note the transcript supports when grounding is available.
    * @param {Object} soapNote - SOAP note
+   * @param {Object} grounding - Grounding result (optional)
    * @returns {number} Accuracy score (0-1)
    */
-  assessAccuracy(soapNote) {
+  assessAccuracy(soapNote, grounding = null) {
+    if (typeof grounding?.score === 'number') return grounding.score;
+
     // Basic accuracy assessment based on structure and content
     let score = 0.8; // Base score
 
@@ -544,9 +740,8 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
    * @returns {Object} Token usage estimate
    */
   estimateTokenUsage(prompt, response) {
-    // Rough estimation: 1 token ≈ 4 characters for English text
-    const inputTokens = Math.ceil(prompt.length / 4);
-    const outputTokens = Math.ceil(response.length / 4);
+    const inputTokens = estimateTokens(prompt);
+    const outputTokens = estimateTokens(response);
 
     return {
       inputTokens,
@@ -590,26 +785,9 @@ Please analyze this conversation and generate a comprehensive SOAP note followin
    * @returns {string} Suggested ICD-10 code
    */
   suggestICD10Code(diagnosis) {
-    const commonCodes = {
-      'hypertension': 'I10',
-      'diabetes': 'E11.9',
-      'chest pain': 'R06.02',
-      'headache': 'R51',
-      'fever': 'R50.9',
-      'cough': 'R05',
-      'fatigue': 'R53.83',
-      'nausea': 'R11.10',
-      'dizziness': 'R42'
-    };
-
-    const lowerDiagnosis = diagnosis.toLowerCase();
-    for (const [condition, code] of Object.entries(commonCodes)) {
-      if (lowerDiagnosis.includes(condition)) {
-        return code;
-      }
-    }
-
-    return ''; // Return empty if no match found
+    // Only a close match; a loose one is worse than leaving the code empty
+    const [best] = terminology.suggest(diagnosis, { limit: 1, minScore: 0.5 });
+    return best ? best.code : '';
   }
 }
 
@@ -0,0 +1,264 @@
+/**
+ * Grounding Service
+ * Links each statement in a generated note to the stretch of transcript that
+ * supports it, so fabricated findings stand out for the reviewer.
+ *
+ * A statement is one sentence of a text field (e.g. subjective.allergies). It
+ * is supported when most of its content words occur close together in the
+ * transcript, and unsupported when they do not or when it states a number the
+ * transcript never mentions. With word timings from the transcription, the
+ * evidence carries start and end times for playback.
+ */
+
+// Fields that hold the model's own reasoning or codes rather than what was said
+const INFERRED_FIELDS = [
+  'code', 'confidence', 'clinicalImpression', 'differentialDiagnoses', 'prognosis',
+  'riskFactors', 'patientEducation', 'priority', 'urgency', 'timeframe'
+];
+
+// Placeholder values the prompt asks for when something was not discussed
+const PLACEHOLDER_PATTERN = /^(not (documented|assessed|mentioned|discussed|performed|reported|applicable)|none( reported)?|n\/?a|unknown|nil|-+)\.?$/i;
+
+// Words that carry no clinical content
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'being', 'but', 'by', 'can', 'could', 'currently', 'describes', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'if', 'in', 'into', 'is', 'it', 'its', 'noted', 'notes',
+  'of', 'on', 'or', 'patient', 'per', 'presents', 'reported', 'reports', 'she', 'so', 'stated',
+  'states', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'today',
+  'was', 'were', 'what', 'when', 'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Spoken numbers, so "five days" in the transcript supports "5 days" in the note
+const NUMBER_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8',
+  nine: '9', ten: '10', eleven: '11', twelve: '12', thirteen: '13', fourteen: '14', fifteen: '15',
+  sixteen: '16', seventeen: '17', eighteen: '18', nineteen: '19', twenty: '20', thirty: '30',
+  forty: '40', fifty: '50', sixty: '60', seventy: '70', eighty: '80', ninety: '90'
+};
+
+const SUPPORTED_THRESHOLD = 0.6;
+const PARTIAL_THRESHOLD = 0.3;
+
+// Longest transcript excerpt kept as evidence, in words
+const MAX_EVIDENCE_WORDS = 40;
+
+class GroundingService {
+  /**
+   * Ground a generated note in its transcript
+   * @param {Object} soapNote - Generated note content
+   * @param {Object} source - { transcript, words } where words carry startTime/endTime
+   * @returns {Object} { score, hasTimings, statements, unsupportedCount, checkedAt }
+   */
+  groundNote(soapNote, { transcript = '', words = [] } = {}) {
+    const index = this.buildTranscriptIndex(transcript, words);
+
+    const statements = this.extractStatements(soapNote)
+      .map(statement => this.groundStatement(statement, index))
+      .filter(Boolean);
+
+    const credit = statements.reduce((sum, statement) =>
+      sum + (statement.status === 'supported' ? 1 : statement.status === 'partial' ? 0.5 : 0), 0);
+
+    return {
+      score: statements.length > 0 ? Math.round((credit / statements.length) * 100) / 100 : null,
+      hasTimings: index.hasTimings,
+      statements,
+      unsupportedCount: statements.filter(statement => statement.status === 'unsupported').length,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Split text into comparable tokens
+   * Numbers are split from units (5mg -> 5, mg) and spoken numbers become digits.
+   * @param {string} text - Text
+   * @returns {Array<string>} Lowercase tokens
+   */
+  tokenize(text = '') {
+    return String(text)
+      .toLowerCase()
+      .replace(/(\d)([a-z])/g, '$1 $2')
+      .replace(/([a-z])(\d)/g, '$1 $2')
+      .split(/[^a-z0-9.]+/)
+      .map(token => token.replace(/^\.+|\.+$/g, ''))
+      .filter(Boolean)
+      .map(token => NUMBER_WORDS[token] || token);
+  }
+
+  /**
+   * Check whether two tokens are the same word
+   * Allows different endings on longer words, e.g. swelling/swollen is not a
+   * match but radiating/radiates is.
+   * @param {string} a - Token
+   * @param {string} b - Token
+   * @returns {boolean} True if they match
+   */
+  wordsMatch(a, b) {
+    if (a === b) return true;
+    if (a[0] !== b[0] || /\d/.test(a) || /\d/.test(b)) return false;
+
+    let shared = 0;
+    while (shared < a.length && a[shared] === b[shared]) shared++;
+
+    return shared >= Math.max(5, Math.max(a.length, b.length) - 3);
+  }
+
+  /**
+   * Index the transcript by token, keeping each token's source word
+   * @param {string} transcript - Transcript text
+   * @param {Array} words - Timed words from the transcription (optional)
+   * @returns {Object} { tokens: [{ token, wordIndex }], words, numbers, hasTimings }
+   */
+  buildTranscriptIndex(transcript, words = []) {
+    const hasTimings = Array.isArray(words) && words.length > 0;
+    const sourceWords = hasTimings
+      ? words
+      : String(transcript).split(/\s+/).filter(Boolean).map(word => ({ word }));
+
+    const tokens = [];
+    sourceWords.forEach((word, wordIndex) => {
+      this.tokenize(word.word).forEach(token => tokens.push({ token, wordIndex }));
+    });
+
+    return {
+      tokens,
+      words: sourceWords,
+      numbers: new Set(tokens.map(({ token }) => token).filter(token => /^\d/.test(token))),
+      hasTimings
+    };
+  }
+
+  /**
+   * Collect the checkable statements in a note
+   * @param {Object} soapNote - Note content
+   * @returns {Array} Statements ({ path, text })
+   */
+  extractStatements(soapNote = {}) {
+    const statements = [];
+
+    const walk = (value, path) => {
+      const key = path[path.length - 1];
+      if (INFERRED_FIELDS.includes(key)) return;
+
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => walk(item, [...path, String(index)]));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([field, fieldValue]) => walk(fieldValue, [...path, field]));
+      } else if (typeof value === 'string' || typeof value === 'number') {
+        const text = String(value).trim();
+        if (!text || PLACEHOLDER_PATTERN.test(text)) return;
+
+        text.split(/(?<=[.!?;])\s+/).forEach(sentence => {
+          if (sentence.trim()) {
+            statements.push({ path: path.join('.'), text: sentence.trim() });
+          }
+        });
+      }
+    };
+
+    ['subjective', 'objective', 'assessment', 'plan', 'specialtySections']
+      .forEach(section => walk(soapNote[section], [section]));
+
+    return statements;
+  }
+
+  /**
+   * Find the transcript evidence for one statement
+   * Looks for the window of transcript holding the most of the statement's
+   * content words.
+   * @param {Object} statement - { path, text }
+   * @param {Object} index - Transcript index
+   * @returns {Object|null} Grounded statement, or null if it has no content words
+   */
+  groundStatement(statement, index) {
+    const terms = Array.from(new Set(
+      this.tokenize(statement.text).filter(token => !STOP_WORDS.has(token) && (token.length > 1 || /\d/.test(token)))
+    ));
+    if (terms.length === 0) return null;
+
+    const missingNumbers = terms.filter(term => /^\d/.test(term) && !index.numbers.has(term));
+
+    // Every place a statement term occurs in the transcript, in transcript order
+    const matches = [];
+    index.tokens.forEach(({ token }, position) => {
+      terms.forEach((term, termIndex) => {
+        if (this.wordsMatch(term, token)) matches.push({ position, termIndex });
+      });
+    });
+
+    const best = this.findBestWindow(matches, Math.max(12, terms.length * 4));
+    const support = Math.round((best.covered / terms.length) * 100) / 100;
+
+    let status = 'unsupported';
+    if (missingNumbers.length === 0) {
+      if (support >= SUPPORTED_THRESHOLD) status = 'supported';
+      else if (support >= PARTIAL_THRESHOLD) status = 'partial';
+    }
+
+    return {
+      ...statement,
+      status,
+      support,
+      missingNumbers,
+      evidence: best.covered > 0 ? this.buildEvidence(index, best.start, best.end) : null
+    };
+  }
+
+  /**
+   * Find the transcript window covering the most distinct terms
+   * @param {Array} matches - Term matches ({ position, termIndex }), sorted by position
+   * @param {number} maxSpan - Widest window, in tokens
+   * @returns {Object} { covered, start, end } with token positions
+   */
+  findBestWindow(matches, maxSpan) {
+    const counts = new Map();
+    let best = { covered: 0, start: 0, end: 0 };
+    let left = 0;
+
+    matches.forEach((match, right) => {
+      counts.set(match.termIndex, (counts.get(match.termIndex) || 0) + 1);
+
+      while (match.position - matches[left].position >= maxSpan) {
+        const leaving = matches[left].termIndex;
+        counts.set(leaving, counts.get(leaving) - 1);
+        if (counts.get(leaving) === 0) counts.delete(leaving);
+        left++;
+      }
+
+      if (counts.size > best.covered) {
+        best = { covered: counts.size, start: matches[left].position, end: matches[right].position };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Describe a stretch of transcript
+   * @param {Object} index - Transcript index
+   * @param {number} startToken - First token position
+   * @param {number} endToken - Last token position
+   * @returns {Object} { startWord, endWord, startTime?, endTime?, text }
+   */
+  buildEvidence(index, startToken, endToken) {
+    const startWord = index.tokens[startToken].wordIndex;
+    const endWord = index.tokens[endToken].wordIndex;
+    const excerptEnd = Math.min(endWord, startWord + MAX_EVIDENCE_WORDS - 1);
+
+    const evidence = {
+      startWord,
+      endWord,
+      text: index.words.slice(startWord, excerptEnd + 1).map(word => word.word).join(' ')
+    };
+
+    if (index.hasTimings) {
+      evidence.startTime = index.words[startWord].startTime;
+      evidence.endTime = index.words[endWord].endTime;
+    }
+
+    return evidence;
+  }
+}
+
+module.exports = new GroundingService();
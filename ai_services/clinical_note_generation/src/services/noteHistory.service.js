@@ -0,0 +1,175 @@
+const ClinicalNote = require('../models/ClinicalNote');
+const ClinicalNoteVersion = require('../models/ClinicalNoteVersion');
+const { diffObjects, toChangeList } = require('../utils/diff');
+const logger = require('../utils/logger');
+const { InternalServerError, ValidationError, NotFoundError, ConflictError } = require('../utils/error-handler');
+
+class NoteHistoryService {
+  /**
+   * Snapshot a clinical note's content as its next version
+   * The first snapshot of a note is version 1. Call once the change has been
+   * applied; the note is saved with its new version number.
+   * @param {Object} clinicalNote - Clinical note
+   * @param {Object} change - { changeType, userId, reason, changes }
+   * @returns {Promise<Object>} Recorded version
+   */
+  async recordVersion(clinicalNote, change) {
+    await this.assignNextVersion(clinicalNote);
+    await clinicalNote.save();
+    return this.saveSnapshot(clinicalNote, change);
+  }
+
+  /**
+   * Set a clinical note's version number to the next unused one
+   * @param {Object} clinicalNote - Clinical note (not saved)
+   * @returns {Promise<number>} Version number
+   */
+  async assignNextVersion(clinicalNote) {
+    const latest = await ClinicalNoteVersion.findLatest(clinicalNote._id);
+    clinicalNote.version = latest ? latest.version + 1 : 1;
+    return clinicalNote.version;
+  }
+
+  /**
+   * Store the content of a saved clinical note under its version number
+   * @param {Object} clinicalNote - Clinical note
+   * @param {Object} change - { changeType, userId, reason, changes }
+   * @returns {Promise<Object>} Recorded version
+   */
+  saveSnapshot(clinicalNote, { changeType, userId, reason, changes = [] }) {
+    return ClinicalNoteVersion.create({
+      clinicalNoteId: clinicalNote._id,
+      version: clinicalNote.version,
+      changeType,
+      content: clinicalNote.getContent(),
+      changes,
+      reason,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Work out the field-level changes between two content snapshots
+   * @param {Object} before - Content before the change
+   * @param {Object} after - Content after the change
+   * @returns {Array} Changes ({ field, oldValue, newValue })
+   */
+  diffContent(before, after) {
+    return toChangeList(diffObjects(before, after));
+  }
+
+  /**
+   * List a clinical note's versions, without their content
+   * @param {string} clinicalNoteId - Clinical note ID
+   * @returns {Promise<Array>} Versions, oldest first
+   */
+  async listVersions(clinicalNoteId) {
+    try {
+      return await ClinicalNoteVersion.findByNote(clinicalNoteId);
+    } catch (error) {
+      logger.error('Failed to list clinical note versions', {
+        clinicalNoteId,
+        error: error.message
+      });
+      throw new InternalServerError('Failed to retrieve clinical note versions');
+    }
+  }
+
+  /**
+   * Get one version of a clinical note
+   * @param {string} clinicalNoteId - Clinical note ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Version with its content
+   */
+  async getVersion(clinicalNoteId, version) {
+    const noteVersion = await ClinicalNoteVersion.findVersion(clinicalNoteId, version);
+    if (!noteVersion) {
+      throw new NotFoundError('Clinical note version not found');
+    }
+    return noteVersion;
+  }
+
+  /**
+   * Compare two versions of a clinical note
+   * @param {string} clinicalNoteId - Clinical note ID
+   * @param {number} version1 - Earlier version
+   * @param {number} version2 - Later version
+   * @returns {Promise<Object>} { version1, version2, differences }
+   */
+  async compareVersions(clinicalNoteId, version1, version2) {
+    const [from, to] = await Promise.all([
+      ClinicalNoteVersion.findVersion(clinicalNoteId, version1),
+      ClinicalNoteVersion.findVersion(clinicalNoteId, version2)
+    ]);
+
+    if (!from || !to) {
+      throw new NotFoundError('One or both versions not found');
+    }
+
+    return {
+      version1: from.version,
+      version2: to.version,
+      differences: diffObjects(from.content, to.content)
+    };
+  }
+
+  /**
+   * Amend a signed clinical note
+   * An amendment corrects the note's content; an addendum appends text and
+   * leaves the content alone. Either is signed by the user adding it.
+   * @param {Object} clinicalNote - Signed clinical note
+   * @param {string} signerId - ID of the user signing the amendment
+   * @param {Object} amendment - { type, reason, text, updates }
+   * @returns {Promise<Object>} Amended clinical note
+   */
+  async amendClinicalNote(clinicalNote, signerId, { type = 'amendment', reason, text, updates = {} }) {
+    if (!clinicalNote.isSigned()) {
+      throw new ValidationError('Only signed clinical notes can be amended; edit the note instead');
+    }
+
+    try {
+      if (type === 'addendum') {
+        clinicalNote.addAmendment(signerId, { type, reason, text });
+        clinicalNote.$locals.amending = true;
+        await clinicalNote.save();
+      } else {
+        const before = clinicalNote.getContent();
+        const sections = ClinicalNote.CONTENT_SECTIONS.filter(section => updates[section]);
+
+        // Amended fields replace their originals; the rest of each section stays
+        clinicalNote.$locals.amending = true;
+        sections.forEach(section => {
+          clinicalNote[section] = { ...before[section], ...updates[section] };
+        });
+
+        const changes = this.diffContent(before, clinicalNote.getContent());
+        if (changes.length === 0) {
+          throw new ValidationError('Amendment does not change the note');
+        }
+
+        await this.assignNextVersion(clinicalNote);
+        clinicalNote.addAmendment(signerId, { type, reason, text, changes });
+        await clinicalNote.save();
+        await this.saveSnapshot(clinicalNote, { changeType: 'amended', userId: signerId, reason, changes });
+      }
+
+      logger.info('Clinical note amended', {
+        clinicalNoteId: clinicalNote._id,
+        signerId,
+        type,
+        amendment: clinicalNote.amendments.length
+      });
+
+      return clinicalNote;
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError) throw error;
+      logger.error('Failed to amend clinical note', {
+        clinicalNoteId: clinicalNote._id,
+        error: error.message
+      });
+      throw new InternalServerError('Failed to amend clinical note');
+    }
+  }
+}
+
+module.exports = new NoteHistoryService();
@@ -0,0 +1,113 @@
+const NoteTemplatePreference = require('../models/NoteTemplatePreference');
+const templates = require('../templates');
+const logger = require('../utils/logger');
+const { InternalServerError, ValidationError, NotFoundError } = require('../utils/error-handler');
+
+class NoteTemplateService {
+  /**
+   * List available note templates
+   * @returns {Array} Template summaries
+   */
+  listTemplates() {
+    return templates.listTemplates();
+  }
+
+  /**
+   * Get a note template by ID
+   * @param {string} templateId - Template ID
+   * @returns {Object} Template summary
+   */
+  getTemplate(templateId) {
+    const template = templates.getTemplate(templateId);
+    if (!template) {
+      throw new NotFoundError('Note template not found');
+    }
+    return templates.describeTemplate(template);
+  }
+
+  /**
+   * Get a user's default note template
+   * Falls back to the SOAP template when the user has not chosen one or the
+   * chosen template has since been removed.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Default template and whether the user chose it
+   */
+  async getDefaultTemplate(userId) {
+    try {
+      const preference = await NoteTemplatePreference.findByUser(userId);
+      const isUserDefault = Boolean(preference && templates.hasTemplate(preference.templateId));
+      const templateId = isUserDefault ? preference.templateId : templates.DEFAULT_TEMPLATE_ID;
+
+      return {
+        templateId,
+        isUserDefault,
+        template: templates.describeTemplate(templates.getTemplate(templateId))
+      };
+    } catch (error) {
+      logger.error('Failed to get default note template', {
+        userId,
+        error: error.message
+      });
+      throw new InternalServerError('Failed to retrieve default note template');
+    }
+  }
+
+  /**
+   * Set a user's default note template
+   * @param {string} userId - User ID
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Default template
+   */
+  async setDefaultTemplate(userId, templateId) {
+    if (!templates.hasTemplate(templateId)) {
+      throw new ValidationError(`Unknown note template: ${templateId}`);
+    }
+
+    try {
+      await NoteTemplatePreference.findOneAndUpdate(
+        { userId },
+        { templateId },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      logger.info('Default note template set', { userId, templateId });
+
+      return {
+        templateId,
+        isUserDefault: true,
+        template: templates.describeTemplate(templates.getTemplate(templateId))
+      };
+    } catch (error) {
+      logger.error('Failed to set default note template', {
+        userId,
+        templateId,
+        error: error.message
+      });
+      throw new InternalServerError('Failed to set default note template');
+    }
+  }
+
+  /**
+   * Resolve the template for a generation request
+   * @param {string} templateId - Template ID picked for this note (optional)
+   * @param {string} userId - Requesting user, whose default applies otherwise
+   * @returns {Promise<string>} Template ID
+   */
+  async resolveTemplateId(templateId, userId) {
+    if (templateId) {
+      if (!templates.hasTemplate(templateId)) {
+        throw new ValidationError(`Unknown note template: ${templateId}`);
+      }
+      return templateId;
+    }
+
+    if (!userId) {
+      return templates.DEFAULT_TEMPLATE_ID;
+    }
+
+    const { templateId: defaultTemplateId } = await this.getDefaultTemplate(userId);
+    return defaultTemplateId;
+  }
+}
+
+module.exports = new NoteTemplateService();
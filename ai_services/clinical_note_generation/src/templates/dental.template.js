@@ -0,0 +1,69 @@
+/**
+ * Dental Template
+ * Adds a tooth chart, periodontal findings and procedures performed
+ */
+
+module.exports = {
+  id: 'dental',
+  name: 'Dental',
+  version: '1.0',
+  specialty: 'Dentistry',
+  description: 'SOAP note with tooth charting, periodontal findings and procedures',
+  sections: [
+    {
+      key: 'toothChart',
+      title: 'Tooth Chart',
+      format: [
+        {
+          tooth: 'FDI tooth number, e.g. 36',
+          surfaces: 'Affected surfaces (M, O, D, B, L)',
+          condition: 'caries, restoration, missing, fracture, crown, root canal treated or other',
+          notes: 'Findings for this tooth'
+        }
+      ]
+    },
+    {
+      key: 'periodontal',
+      title: 'Periodontal Findings',
+      format: {
+        gingiva: 'Gingival condition',
+        pocketDepths: 'Notable pocket depths by tooth',
+        mobility: 'Tooth mobility',
+        oralHygiene: 'Plaque and calculus'
+      }
+    },
+    {
+      key: 'procedures',
+      title: 'Procedures Performed',
+      format: [
+        {
+          tooth: 'FDI tooth number',
+          procedure: 'Procedure performed',
+          anesthesia: 'Local anesthetic used',
+          materials: 'Materials used'
+        }
+      ]
+    }
+  ],
+  requiredFields: [
+    'specialtySections.toothChart'
+  ],
+  promptFragments: {
+    focus: 'This is a dental encounter. Chart findings against individual teeth.',
+    instructions: [
+      'Use FDI two-digit tooth numbering; convert universal or Palmer numbering if that was used',
+      'Add one toothChart entry per tooth discussed',
+      'List procedures performed today separately from treatment planned in the plan'
+    ]
+  },
+  qualityChecks: [
+    {
+      type: 'invalid_tooth_number',
+      description: 'Tooth chart entries should use valid FDI tooth numbers',
+      severity: 'warning',
+      check: (note) => (note.specialtySections?.toothChart || []).every(entry =>
+        /^([1-4][1-8]|[5-8][1-5])$/.test(String(entry.tooth || '').trim())
+      )
+    }
+  ]
+};
@@ -0,0 +1,152 @@
+/**
+ * Note Template Registry
+ * Specialty templates layered on top of the SOAP note. Every note keeps the
+ * four SOAP sections; a template adds its own sections under
+ * `specialtySections`, extra prompt instructions, the fields it requires and
+ * the quality checks run once the note is generated.
+ *
+ * A template looks like:
+ * {
+ *   id, name, version, specialty, description,
+ *   sections: [{ key, title, format }],   // format is the JSON shape asked of the model
+ *   requiredFields: ['specialtySections.growth.weight', ...],
+ *   promptFragments: { focus, instructions: [...] },
+ *   qualityChecks: [{ type, description, severity, check: (note) => boolean }]
+ * }
+ */
+
+const soapTemplate = require('./soap.template');
+const pediatricsTemplate = require('./pediatrics.template');
+const psychiatryTemplate = require('./psychiatry.template');
+const ophthalmologyTemplate = require('./ophthalmology.template');
+const dentalTemplate = require('./dental.template');
+
+const DEFAULT_TEMPLATE_ID = 'soap';
+
+const templates = new Map();
+
+/**
+ * Register a note template
+ * @param {Object} template - Template definition
+ */
+const registerTemplate = (template) => {
+  if (!template.id || !template.name || !template.version) {
+    throw new Error('Note template requires an id, name and version');
+  }
+
+  templates.set(template.id, {
+    sections: [],
+    requiredFields: [],
+    promptFragments: {},
+    qualityChecks: [],
+    ...template
+  });
+};
+
+registerTemplate(soapTemplate);
+registerTemplate(pediatricsTemplate);
+registerTemplate(psychiatryTemplate);
+registerTemplate(ophthalmologyTemplate);
+registerTemplate(dentalTemplate);
+
+/**
+ * Get a template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Object|undefined} Template
+ */
+const getTemplate = (templateId) => templates.get(templateId);
+
+/**
+ * Check whether a template is registered
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if registered
+ */
+const hasTemplate = (templateId) => templates.has(templateId);
+
+/**
+ * Describe a template for API responses (quality check functions left out)
+ * @param {Object} template - Template
+ * @returns {Object} Template summary
+ */
+const describeTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  version: template.version,
+  specialty: template.specialty,
+  description: template.description,
+  sections: template.sections.map(({ key, title, format }) => ({ key, title, format })),
+  requiredFields: template.requiredFields,
+  qualityChecks: template.qualityChecks.map(({ type, description, severity }) => ({ type, description, severity }))
+});
+
+/**
+ * List all registered templates
+ * @returns {Array} Template summaries
+ */
+const listTemplates = () => Array.from(templates.values()).map(describeTemplate);
+
+/**
+ * Read a dotted path from a note
+ * @param {Object} note - Clinical note
+ * @param {string} fieldPath - Path such as 'specialtySections.growth.weight'
+ * @returns {*} Field value
+ */
+const getField = (note, fieldPath) =>
+  fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), note);
+
+/**
+ * Check that a field holds something
+ * @param {*} value - Field value
+ * @returns {boolean} True if present
+ */
+const isPresent = (value) => {
+  if (value == null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.values(value).some(isPresent);
+  return true;
+};
+
+/**
+ * Find the required fields a note is missing
+ * @param {Object} template - Template
+ * @param {Object} note - Clinical note
+ * @returns {Array<string>} Missing field paths
+ */
+const findMissingFields = (template, note) =>
+  template.requiredFields.filter(fieldPath => !isPresent(getField(note, fieldPath)));
+
+/**
+ * Run a template's required field and quality checks against a note
+ * @param {Object} template - Template
+ * @param {Object} note - Clinical note
+ * @returns {Array} Compliance flags ({ type, description, severity })
+ */
+const runQualityChecks = (template, note) => {
+  const flags = findMissingFields(template, note).map(fieldPath => ({
+    type: 'missing_required_field',
+    description: `${template.name} template requires ${fieldPath}`,
+    severity: 'warning'
+  }));
+
+  for (const { type, description, severity, check } of template.qualityChecks) {
+    if (!check(note, { getField, isPresent })) {
+      flags.push({ type, description, severity });
+    }
+  }
+
+  return flags;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  registerTemplate,
+  getTemplate,
+  hasTemplate,
+  describeTemplate,
+  listTemplates,
+  getField,
+  isPresent,
+  findMissingFields,
+  runQualityChecks
+};
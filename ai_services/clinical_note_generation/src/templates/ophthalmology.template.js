@@ -0,0 +1,76 @@
+/**
+ * Ophthalmology Template
+ * Adds per-eye visual acuity, intraocular pressure and slit lamp/fundus findings
+ */
+
+const perEye = (description) => ({
+  rightEye: `${description} (OD)`,
+  leftEye: `${description} (OS)`
+});
+
+module.exports = {
+  id: 'ophthalmology',
+  name: 'Ophthalmology',
+  version: '1.0',
+  specialty: 'Ophthalmology',
+  description: 'SOAP note with visual acuity, intraocular pressure and eye examination per eye',
+  sections: [
+    {
+      key: 'visualAcuity',
+      title: 'Visual Acuity',
+      format: {
+        uncorrected: perEye('Uncorrected acuity, e.g. 6/9 or 20/30'),
+        corrected: perEye('Best corrected acuity'),
+        pinhole: perEye('Pinhole acuity if tested')
+      }
+    },
+    {
+      key: 'intraocularPressure',
+      title: 'Intraocular Pressure',
+      format: {
+        ...perEye('IOP in mmHg'),
+        method: 'Goldmann, non-contact or other'
+      }
+    },
+    {
+      key: 'examination',
+      title: 'Eye Examination',
+      format: {
+        pupils: 'Pupil reactions, RAPD',
+        extraocularMovements: 'Ocular motility',
+        anteriorSegment: perEye('Slit lamp findings'),
+        fundus: perEye('Fundus findings: disc, macula, vessels, periphery')
+      }
+    },
+    {
+      key: 'refraction',
+      title: 'Refraction',
+      format: perEye('Sphere / cylinder x axis, add')
+    }
+  ],
+  requiredFields: [
+    'specialtySections.visualAcuity.uncorrected.rightEye',
+    'specialtySections.visualAcuity.uncorrected.leftEye',
+    'specialtySections.intraocularPressure.rightEye',
+    'specialtySections.intraocularPressure.leftEye'
+  ],
+  promptFragments: {
+    focus: 'This is an eye examination. Record every measurement per eye.',
+    instructions: [
+      'Keep right eye (OD) and left eye (OS) findings separate; never merge them',
+      'Write visual acuity exactly as stated, in the notation the doctor used',
+      'State which eye each diagnosis and treatment applies to'
+    ]
+  },
+  qualityChecks: [
+    {
+      type: 'diagnosis_without_laterality',
+      description: 'Ophthalmic diagnoses should state which eye is affected',
+      severity: 'warning',
+      check: (note) => {
+        const diagnosis = note.assessment?.primaryDiagnosis?.description;
+        return !diagnosis || /right|left|both|bilateral|OD|OS|OU/i.test(diagnosis);
+      }
+    }
+  ]
+};
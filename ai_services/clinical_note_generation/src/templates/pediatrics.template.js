@@ -0,0 +1,81 @@
+/**
+ * Pediatrics Template
+ * Adds growth measurements with percentiles, developmental milestones and
+ * immunization status
+ */
+
+module.exports = {
+  id: 'pediatrics',
+  name: 'Pediatrics',
+  version: '1.0',
+  specialty: 'Pediatrics',
+  description: 'SOAP note with growth chart, developmental milestones and immunizations',
+  sections: [
+    {
+      key: 'growth',
+      title: 'Growth',
+      format: {
+        weight: 'Weight with units',
+        weightPercentile: 'Weight-for-age percentile if mentioned',
+        height: 'Length or height with units',
+        heightPercentile: 'Height-for-age percentile if mentioned',
+        headCircumference: 'Head circumference with units (under 3 years)',
+        headCircumferencePercentile: 'Head circumference percentile if mentioned',
+        bmiPercentile: 'BMI-for-age percentile (2 years and over)',
+        growthTrend: 'Trend against previous measurements'
+      }
+    },
+    {
+      key: 'development',
+      title: 'Developmental Milestones',
+      format: {
+        grossMotor: 'Gross motor milestones',
+        fineMotor: 'Fine motor milestones',
+        language: 'Speech and language milestones',
+        social: 'Social and emotional milestones',
+        concerns: 'Developmental concerns raised'
+      }
+    },
+    {
+      key: 'immunizations',
+      title: 'Immunizations',
+      format: {
+        status: 'up-to-date, delayed or unknown',
+        givenToday: ['Vaccines given at this visit'],
+        due: ['Vaccines due next']
+      }
+    },
+    {
+      key: 'feeding',
+      title: 'Feeding & Nutrition',
+      format: {
+        method: 'Breast, formula, mixed or solids',
+        details: 'Feeding frequency, volumes and diet'
+      }
+    }
+  ],
+  requiredFields: [
+    'subjective.historyOfPresentIllness',
+    'specialtySections.growth.weight',
+    'specialtySections.immunizations.status'
+  ],
+  promptFragments: {
+    focus: 'This is a pediatric encounter. Record findings against the child\'s age.',
+    instructions: [
+      'Give weight, height and head circumference with units and percentiles when they are stated',
+      'Note any milestone the parent or doctor reports as delayed under development.concerns',
+      'Record which vaccines were given and which are due',
+      'Weight-based medication doses must state the dose per kg'
+    ]
+  },
+  qualityChecks: [
+    {
+      type: 'missing_weight_based_dose',
+      description: 'Medications in a pediatric note should state a weight-based dose',
+      severity: 'warning',
+      check: (note) => (note.plan?.medications || []).every(medication =>
+        /\/\s*kg/i.test(`${medication.dosage || ''} ${medication.instructions || ''}`)
+      )
+    }
+  ]
+};
@@ -0,0 +1,80 @@
+/**
+ * Psychiatry Template
+ * Adds the mental status examination and a risk assessment
+ */
+
+module.exports = {
+  id: 'psychiatry',
+  name: 'Psychiatry',
+  version: '1.0',
+  specialty: 'Psychiatry',
+  description: 'SOAP note with mental status examination and risk assessment',
+  sections: [
+    {
+      key: 'mentalStatusExam',
+      title: 'Mental Status Examination',
+      format: {
+        appearance: 'Appearance and grooming',
+        behavior: 'Behavior, eye contact and psychomotor activity',
+        speech: 'Rate, volume and tone of speech',
+        mood: 'Mood in the patient\'s own words',
+        affect: 'Observed affect (range, congruence)',
+        thoughtProcess: 'Form of thought',
+        thoughtContent: 'Preoccupations, obsessions, delusions',
+        perception: 'Hallucinations or other perceptual disturbances',
+        cognition: 'Orientation, attention and memory',
+        insight: 'Insight',
+        judgment: 'Judgment'
+      }
+    },
+    {
+      key: 'riskAssessment',
+      title: 'Risk Assessment',
+      format: {
+        suicidalIdeation: 'Suicidal ideation, plan, intent and means',
+        homicidalIdeation: 'Homicidal ideation',
+        selfHarm: 'Self-harm history and recent behavior',
+        protectiveFactors: ['Protective factors'],
+        riskLevel: 'low, moderate or high'
+      }
+    },
+    {
+      key: 'screeningScores',
+      title: 'Screening Scores',
+      format: [
+        {
+          instrument: 'PHQ-9, GAD-7 or other instrument',
+          score: 'Score',
+          interpretation: 'Severity band'
+        }
+      ]
+    }
+  ],
+  requiredFields: [
+    'specialtySections.mentalStatusExam.mood',
+    'specialtySections.mentalStatusExam.affect',
+    'specialtySections.riskAssessment.suicidalIdeation',
+    'specialtySections.riskAssessment.riskLevel'
+  ],
+  promptFragments: {
+    focus: 'This is a psychiatric encounter. The mental status examination and risk assessment are mandatory.',
+    instructions: [
+      'Quote the patient\'s own words for mood where they are given',
+      'Always document suicidal and homicidal ideation; write "Denied" only if the patient explicitly denied it, otherwise "Not assessed"',
+      'Record any standardized screening scores mentioned with their instrument'
+    ]
+  },
+  qualityChecks: [
+    {
+      type: 'high_risk_without_safety_plan',
+      description: 'A high risk level must be matched by a safety plan or referral in the plan',
+      severity: 'error',
+      check: (note) => {
+        const riskLevel = note.specialtySections?.riskAssessment?.riskLevel || '';
+        if (!/high/i.test(riskLevel)) return true;
+        return (note.plan?.referrals || []).length > 0 ||
+          /safety plan|crisis/i.test(JSON.stringify(note.plan?.treatments || []));
+      }
+    }
+  ]
+};
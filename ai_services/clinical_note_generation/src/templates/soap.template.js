@@ -0,0 +1,19 @@
+/**
+ * SOAP Template
+ * The general-purpose note: the four SOAP sections and nothing more
+ */
+
+module.exports = {
+  id: 'soap',
+  name: 'General SOAP',
+  version: '1.0',
+  specialty: 'Internal Medicine',
+  description: 'Standard Subjective, Objective, Assessment and Plan note',
+  sections: [],
+  requiredFields: [
+    'subjective.historyOfPresentIllness',
+    'assessment.primaryDiagnosis.description'
+  ],
+  promptFragments: {},
+  qualityChecks: []
+};
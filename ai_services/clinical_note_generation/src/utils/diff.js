@@ -0,0 +1,65 @@
+/**
+ * Diff
+ * Field-level differences between two versions of a document.
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Check whether a value is absent or blank
+ * Missing and empty fields are treated alike, so an omitted optional field
+ * is not reported as a change.
+ * @param {*} value - Value
+ * @returns {boolean} True if empty
+ */
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (isPlainObject(value) && Object.keys(value).length === 0);
+
+/**
+ * Compare two values field by field
+ * Objects and arrays are walked down to their leaves, so a changed dosage in
+ * the third medication shows up as `plan.medications.2.dosage`.
+ * @param {*} from - Earlier value
+ * @param {*} to - Later value
+ * @param {string} prefix - Path of the values being compared
+ * @returns {Object} Differences keyed by dotted path ({ from, to })
+ */
+const diffObjects = (from, to, prefix = '') => {
+  const bothObjects = isPlainObject(from) && isPlainObject(to);
+  const bothArrays = Array.isArray(from) && Array.isArray(to);
+
+  if (!bothObjects && !bothArrays) {
+    return JSON.stringify(from) === JSON.stringify(to) || (isEmpty(from) && isEmpty(to))
+      ? {}
+      : { [prefix]: { from, to } };
+  }
+
+  const keys = bothArrays
+    ? Array.from({ length: Math.max(from.length, to.length) }, (_, index) => String(index))
+    : Array.from(new Set([...Object.keys(from), ...Object.keys(to)]));
+
+  return keys.reduce((differences, key) => ({
+    ...differences,
+    ...diffObjects(from[key], to[key], prefix ? `${prefix}.${key}` : key)
+  }), {});
+};
+
+/**
+ * Turn differences into edit history entries
+ * @param {Object} differences - Differences from diffObjects
+ * @returns {Array} Changes ({ field, oldValue, newValue })
+ */
+const toChangeList = (differences) =>
+  Object.entries(differences).map(([field, { from, to }]) => ({
+    field,
+    oldValue: typeof from === 'object' && from !== null ? JSON.stringify(from) : String(from ?? ''),
+    newValue: typeof to === 'object' && to !== null ? JSON.stringify(to) : String(to ?? '')
+  }));
+
+module.exports = {
+  diffObjects,
+  toChangeList
+};
@@ -0,0 +1,89 @@
+/**
+ * Section Reader
+ * Picks complete top-level sections out of a JSON object while it is still
+ * arriving, so a streamed response can be shown one section at a time.
+ *
+ * Text before the opening brace (e.g. a ```json fence) and after the closing
+ * one is ignored. A section whose value does not parse is skipped; the full
+ * response is parsed again once it has all arrived.
+ */
+
+/**
+ * Create a section reader
+ * @param {Function} onSection - Called with (key, value) as each section completes
+ * @returns {Object} Reader ({ push(text) })
+ */
+const createSectionReader = (onSection) => {
+  let buffer = '';
+  let position = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+  let key = null;
+  let keyStart = -1;
+  let valueStart = -1;
+
+  const emit = (end) => {
+    try {
+      onSection(key, JSON.parse(buffer.slice(valueStart, end)));
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+    }
+    key = null;
+    valueStart = -1;
+  };
+
+  /**
+   * Add the next piece of the response
+   * @param {string} text - Text chunk
+   */
+  const push = (text) => {
+    buffer += text;
+
+    for (; position < buffer.length && !finished; position++) {
+      const char = buffer[position];
+
+      if (depth === 0) {
+        if (char === '{') depth = 1;
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (keyStart >= 0) {
+            key = JSON.parse(buffer.slice(keyStart, position + 1));
+            keyStart = -1;
+          }
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        // A string at the top level before the colon is the next section's key
+        if (depth === 1 && key === null) keyStart = position;
+      } else if (char === ':' && depth === 1 && key !== null && valueStart < 0) {
+        valueStart = position + 1;
+      } else if (depth === 1 && (char === ',' || char === '}')) {
+        if (valueStart >= 0) emit(position);
+        if (char === '}') finished = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+    }
+  };
+
+  return { push };
+};
+
+module.exports = {
+  createSectionReader
+};
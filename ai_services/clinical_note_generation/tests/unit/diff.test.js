@@ -0,0 +1,43 @@
+const { diffObjects, toChangeList } = require('../../src/utils/diff');
+
+describe('Diff', () => {
+  describe('diffObjects', () => {
+    it('should report changed leaves by dotted path', () => {
+      const before = {
+        subjective: { chiefComplaint: 'Cough', allergies: 'None' },
+        plan: { medications: [{ name: 'Amlodipine', dosage: '5 mg' }] }
+      };
+      const after = {
+        subjective: { chiefComplaint: 'Productive cough', allergies: 'None' },
+        plan: { medications: [{ name: 'Amlodipine', dosage: '10 mg' }, { name: 'Salbutamol' }] }
+      };
+
+      expect(diffObjects(before, after)).toEqual({
+        'subjective.chiefComplaint': { from: 'Cough', to: 'Productive cough' },
+        'plan.medications.0.dosage': { from: '5 mg', to: '10 mg' },
+        'plan.medications.1': { from: undefined, to: { name: 'Salbutamol' } }
+      });
+    });
+
+    it('should treat missing and empty fields alike', () => {
+      const before = { subjective: { socialHistory: '', reviewOfSystems: {} }, plan: { lifestyle: [] } };
+      const after = { subjective: {}, plan: {} };
+
+      expect(diffObjects(before, after)).toEqual({});
+    });
+  });
+
+  describe('toChangeList', () => {
+    it('should turn differences into edit history entries', () => {
+      const changes = toChangeList({
+        'assessment.primaryDiagnosis': { from: { code: 'R51.9' }, to: undefined },
+        'subjective.allergies': { from: 'None', to: 'Penicillin' }
+      });
+
+      expect(changes).toEqual([
+        { field: 'assessment.primaryDiagnosis', oldValue: '{"code":"R51.9"}', newValue: '' },
+        { field: 'subjective.allergies', oldValue: 'None', newValue: 'Penicillin' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const groundingService = require('../../src/services/grounding.service');
+
+const transcript = 'Doctor: What brings you in? Patient: I have had a dull headache for three days, mostly in the front. ' +
+  'No fever. I take amlodipine 5 mg daily for blood pressure.';
+
+// Timed words as stored by the voice recording service
+const words = transcript.split(' ').map((word, index) => ({
+  word,
+  startTime: index * 0.5,
+  endTime: index * 0.5 + 0.4,
+  confidence: 0.95
+}));
+
+const statusOf = (grounding, path) =>
+  grounding.statements.filter(statement => statement.path === path).map(statement => statement.status);
+
+describe('Grounding Service', () => {
+  describe('groundNote', () => {
+    it('should mark statements found in the transcript as supported', () => {
+      const grounding = groundingService.groundNote({
+        subjective: {
+          chiefComplaint: 'Headache for three days',
+          medications: 'Amlodipine 5mg daily'
+        }
+      }, { transcript, words });
+
+      expect(statusOf(grounding, 'subjective.chiefComplaint')).toEqual(['supported']);
+      expect(statusOf(grounding, 'subjective.medications')).toEqual(['supported']);
+      expect(grounding.score).toBe(1);
+    });
+
+    it('should flag statements the transcript does not mention', () => {
+      const grounding = groundingService.groundNote({
+        subjective: { chiefComplaint: 'Headache', familyHistory: 'Mother had breast cancer' }
+      }, { transcript, words });
+
+      expect(statusOf(grounding, 'subjective.familyHistory')).toEqual(['unsupported']);
+      expect(grounding.unsupportedCount).toBe(1);
+      expect(grounding.score).toBe(0.5);
+    });
+
+    it('should flag numbers that are not in the transcript', () => {
+      const grounding = groundingService.groundNote({
+        subjective: { medications: 'Amlodipine 10 mg daily' }
+      }, { transcript, words });
+
+      const [statement] = grounding.statements;
+      expect(statement.status).toBe('unsupported');
+      expect(statement.missingNumbers).toEqual(['10']);
+    });
+
+    it('should check each sentence of a field separately', () => {
+      const grounding = groundingService.groundNote({
+        subjective: { historyOfPresentIllness: 'Dull frontal headache for three days. Also reports chest pain on exertion.' }
+      }, { transcript, words });
+
+      expect(statusOf(grounding, 'subjective.historyOfPresentIllness')).toEqual(['supported', 'unsupported']);
+    });
+
+    it('should skip inferred fields and placeholders', () => {
+      const grounding = groundingService.groundNote({
+        subjective: { allergies: 'Not documented' },
+        assessment: {
+          clinicalImpression: 'Likely tension-type headache',
+          primaryDiagnosis: { code: 'G44.209', description: 'Tension-type headache', confidence: 0.8 }
+        }
+      }, { transcript, words });
+
+      expect(grounding.statements.map(statement => statement.path)).toEqual(['assessment.primaryDiagnosis.description']);
+    });
+
+    it('should give evidence with word timings', () => {
+      const grounding = groundingService.groundNote({
+        subjective: { medications: 'Amlodipine 5 mg daily' }
+      }, { transcript, words });
+
+      const { evidence } = grounding.statements[0];
+      expect(evidence.text).toBe('amlodipine 5 mg daily');
+      expect(evidence.startTime).toBe(words[evidence.startWord].startTime);
+      expect(evidence.endTime).toBe(words[evidence.endWord].endTime);
+      expect(grounding.hasTimings).toBe(true);
+    });
+
+    it('should fall back to the transcript text without word timings', () => {
+      const grounding = groundingService.groundNote({
+        subjective: { chiefComplaint: 'Headache for three days' }
+      }, { transcript });
+
+      const { evidence } = grounding.statements[0];
+      expect(grounding.hasTimings).toBe(false);
+      expect(evidence.text).toBe('headache for three days,');
+      expect(evidence.startTime).toBeUndefined();
+    });
+
+    it('should have no score for a note without statements', () => {
+      const grounding = groundingService.groundNote({ subjective: { allergies: 'None' } }, { transcript });
+
+      expect(grounding.statements).toEqual([]);
+      expect(grounding.score).toBeNull();
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should split units from numbers and turn spoken numbers into digits', () => {
+      expect(groundingService.tokenize('Five days of 500mg')).toEqual(['5', 'days', 'of', '500', 'mg']);
+    });
+  });
+});
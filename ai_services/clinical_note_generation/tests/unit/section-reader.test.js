@@ -0,0 +1,40 @@
+const { createSectionReader } = require('../../src/utils/section-reader');
+
+describe('Section reader', () => {
+  const readInChunks = (text, size) => {
+    const sections = [];
+    const reader = createSectionReader((key, value) => sections.push([key, value]));
+    for (let i = 0; i < text.length; i += size) {
+      reader.push(text.slice(i, i + size));
+    }
+    return sections;
+  };
+
+  it('should emit each top-level section once it is complete', () => {
+    const sections = [];
+    const reader = createSectionReader(key => sections.push(key));
+
+    reader.push('{"subjective": {"chiefComplaint": "Cough"}, "objective": {"vitalSigns"');
+    expect(sections).toEqual(['subjective']);
+
+    reader.push(': {}}, "plan": []}');
+    expect(sections).toEqual(['subjective', 'objective', 'plan']);
+  });
+
+  it('should handle markdown fences, braces in strings and escaped quotes', () => {
+    const note = {
+      subjective: { chiefComplaint: 'Said "it hurts}" , twice', reviewOfSystems: { general: [1, { a: 2 }] } },
+      assessment: 'Viral URI'
+    };
+    const text = `Here is the note:\n\`\`\`json\n${JSON.stringify(note, null, 2)}\n\`\`\`\n{"ignored": true}`;
+
+    expect(readInChunks(text, 3)).toEqual([
+      ['subjective', note.subjective],
+      ['assessment', 'Viral URI']
+    ]);
+  });
+
+  it('should skip sections that do not parse', () => {
+    expect(readInChunks('{"subjective": {bad}, "plan": []}', 5)).toEqual([['plan', []]]);
+  });
+});
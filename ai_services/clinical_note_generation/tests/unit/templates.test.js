@@ -0,0 +1,126 @@
+const templates = require('../../src/templates');
+
+// Mock Google Generative AI
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: jest.fn().mockReturnValue({
+      generateContent: jest.fn()
+    })
+  }))
+}));
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const geminiService = require('../../src/services/gemini.service');
+
+describe('Note templates', () => {
+  describe('registry', () => {
+    it('should list the built-in templates without their check functions', () => {
+      const listed = templates.listTemplates();
+
+      expect(listed.map(template => template.id)).toEqual(
+        expect.arrayContaining(['soap', 'pediatrics', 'psychiatry', 'ophthalmology', 'dental'])
+      );
+
+      const psychiatry = listed.find(template => template.id === 'psychiatry');
+      expect(psychiatry.sections.map(section => section.key)).toContain('mentalStatusExam');
+      expect(psychiatry.qualityChecks[0]).not.toHaveProperty('check');
+    });
+
+    it('should reject templates without an id, name or version', () => {
+      expect(() => templates.registerTemplate({ id: 'broken' })).toThrow('Note template requires an id, name and version');
+    });
+  });
+
+  describe('runQualityChecks', () => {
+    it('should flag missing required fields', () => {
+      const note = {
+        specialtySections: {
+          mentalStatusExam: { mood: '"Low"', affect: '' },
+          riskAssessment: { suicidalIdeation: 'Denied', riskLevel: 'low' }
+        }
+      };
+
+      const flags = templates.runQualityChecks(templates.getTemplate('psychiatry'), note);
+
+      expect(flags).toEqual([{
+        type: 'missing_required_field',
+        description: 'Psychiatry template requires specialtySections.mentalStatusExam.affect',
+        severity: 'warning'
+      }]);
+    });
+
+    it('should run the template quality checks', () => {
+      const note = {
+        specialtySections: {
+          toothChart: [{ tooth: '36', condition: 'caries' }, { tooth: '19', condition: 'missing' }]
+        }
+      };
+
+      const flags = templates.runQualityChecks(templates.getTemplate('dental'), note);
+
+      expect(flags.map(flag => flag.type)).toEqual(['invalid_tooth_number']);
+    });
+
+    it('should flag high psychiatric risk with no safety plan', () => {
+      const note = {
+        specialtySections: {
+          mentalStatusExam: { mood: 'Hopeless', affect: 'Flat' },
+          riskAssessment: { suicidalIdeation: 'Active, with plan', riskLevel: 'high' }
+        },
+        plan: { referrals: [], treatments: [] }
+      };
+
+      const flags = templates.runQualityChecks(templates.getTemplate('psychiatry'), note);
+
+      expect(flags).toContainEqual(expect.objectContaining({
+        type: 'high_risk_without_safety_plan',
+        severity: 'error'
+      }));
+    });
+  });
+
+  describe('buildClinicalNotePrompt', () => {
+    it('should add the template sections and instructions', () => {
+      const prompt = geminiService.buildClinicalNotePrompt('Child seen for a well visit.', {
+        templateId: 'pediatrics'
+      });
+
+      expect(prompt).toContain('Specialty: Pediatrics');
+      expect(prompt).toContain('**PEDIATRICS TEMPLATE:**');
+      expect(prompt).toContain('"specialtySections": {');
+      expect(prompt).toContain('"headCircumference"');
+    });
+
+    it('should leave the SOAP prompt without specialty sections', () => {
+      const prompt = geminiService.buildClinicalNotePrompt('Patient has a cough.', {});
+
+      expect(prompt).toContain('Note Template: General SOAP');
+      expect(prompt).not.toContain('specialtySections');
+    });
+  });
+
+  describe('parseSoapNote', () => {
+    it('should keep only the sections the template defines', () => {
+      const response = JSON.stringify({
+        subjective: { chiefComplaint: 'Blurred vision' },
+        specialtySections: {
+          visualAcuity: { uncorrected: { rightEye: '6/12', leftEye: '6/6' } },
+          toothChart: [{ tooth: '11' }]
+        }
+      });
+
+      const note = geminiService.parseSoapNote(response, templates.getTemplate('ophthalmology'));
+
+      expect(note.specialtySections.visualAcuity.uncorrected.rightEye).toBe('6/12');
+      expect(note.specialtySections.intraocularPressure).toEqual({});
+      expect(note.specialtySections).not.toHaveProperty('toothChart');
+    });
+  });
+});
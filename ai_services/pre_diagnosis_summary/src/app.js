@@ -9,7 +9,8 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
-const authMiddleware = require('./middleware/auth');
+const { authMiddleware } = require('./middleware/auth');
+const { getLLM } = require('./services/llm');
 
 // Import routes
 const preDiagnosisRoutes = require('./routes/preDiagnosis.routes');
@@ -95,6 +96,10 @@ process.on('SIGINT', () => {
 
 // Start server
 if (process.env.NODE_ENV !== 'test') {
+  // Build the LLM client now, so a misconfigured provider stops startup
+  // rather than the first summary request
+  getLLM();
+
   app.listen(PORT, () => {
     logger.info(`Pre-Diagnosis Summary Service running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -1,6 +1,7 @@
 const preDiagnosisSummaryService = require('../services/preDiagnosisSummary.service');
 const logger = require('../utils/logger');
 const { ValidationError } = require('../middleware/errorHandler');
+const { hasPermission } = require('@dr-assistant/auth');
 const { body, param, query, validationResult } = require('express-validator');
 
 class PreDiagnosisController {
@@ -138,8 +139,8 @@ class PreDiagnosisController {
       const { doctorId } = req.params;
       const { limit, offset, status, urgency, startDate, endDate } = req.query;
 
-      // Check access - doctors can only see their own summaries unless admin
-      if (doctorId !== req.user.id && req.user.role !== 'admin') {
+      // Check access - doctors can only see their own summaries without pre_diagnosis:manage
+      if (doctorId !== req.user.id && !hasPermission(req.user, 'pre_diagnosis:manage')) {
         throw new ValidationError('Access denied to other doctor\'s summaries');
       }
 
@@ -254,7 +255,7 @@ class PreDiagnosisController {
       const { startDate, endDate } = req.query;
 
       // Check access
-      if (doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (doctorId !== req.user.id && !hasPermission(req.user, 'pre_diagnosis:manage')) {
         throw new ValidationError('Access denied to other doctor\'s statistics');
       }
 
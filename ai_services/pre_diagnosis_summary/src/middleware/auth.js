@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const logger = require('../utils/logger');
-const { UnauthorizedError } = require('./errorHandler');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+const { createRequirePermission } = require('@dr-assistant/auth');
 
 /**
  * Authentication middleware
@@ -21,7 +22,8 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key');
     
-    if (!decoded || !decoded.userId) {
+    // auth_service puts the user ID in `sub`
+    if (!decoded || !(decoded.sub || decoded.userId)) {
       throw new UnauthorizedError('Invalid token');
     }
 
@@ -40,7 +42,7 @@ const authMiddleware = async (req, res, next) => {
       }
 
       // Attach user to request
-      req.user = userResponse.data.data;
+      req.user = userResponse.data.data.user;
       req.token = token;
 
       logger.debug('User authenticated successfully', {
@@ -53,7 +55,7 @@ const authMiddleware = async (req, res, next) => {
     } catch (authError) {
       logger.error('Auth service verification failed', {
         error: authError.message,
-        userId: decoded.userId
+        userId: decoded.sub || decoded.userId
       });
       
       if (authError.response?.status === 401) {
@@ -94,6 +96,12 @@ const authorize = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Permission-based authorization middleware
+ * @param {...string} permissions - Permissions the user must hold (format: 'resource:action')
+ */
+const requirePermission = createRequirePermission({ UnauthorizedError, ForbiddenError });
+
 /**
  * Optional authentication middleware
  * Doesn't throw error if no token provided
@@ -117,5 +125,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   authorize,
+  requirePermission,
   optionalAuth
 };
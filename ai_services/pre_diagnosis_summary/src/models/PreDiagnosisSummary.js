@@ -155,6 +155,7 @@ const AISummarySchema = new Schema({
     type: Date,
     default: Date.now
   },
+  provider: String,
   model: {
     type: String,
     default: 'gemini-1.5-pro'
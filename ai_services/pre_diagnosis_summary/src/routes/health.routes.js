@@ -2,6 +2,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { getLLM } = require('../services/llm');
 
 const router = express.Router();
 
@@ -123,15 +124,16 @@ router.get('/detailed', async (req, res) => {
     };
   }
 
-  // Check Gemini AI availability
+  // Check the LLM provider is configured
   try {
-    const geminiApiKey = process.env.GOOGLE_GEMINI_API_KEY;
-    healthCheck.dependencies.geminiAI = {
-      status: geminiApiKey ? 'configured' : 'not_configured',
-      hasApiKey: !!geminiApiKey
+    const llm = getLLM().describe();
+    healthCheck.dependencies.llm = {
+      status: llm.configured ? 'configured' : 'not_configured',
+      provider: llm.provider,
+      model: llm.model
     };
   } catch (error) {
-    healthCheck.dependencies.geminiAI = {
+    healthCheck.dependencies.llm = {
       status: 'error',
       error: error.message
     };
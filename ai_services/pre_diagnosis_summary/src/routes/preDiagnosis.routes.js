@@ -1,5 +1,6 @@
 const express = require('express');
 const { controller, validation } = require('../controllers/preDiagnosis.controller');
+const { requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -11,6 +12,7 @@ const router = express.Router();
 router.post(
   '/generate',
   validation.generateSummaryValidation,
+  requirePermission('pre_diagnosis:create'),
   controller.generateSummary.bind(controller)
 );
 
@@ -22,6 +24,7 @@ router.post(
 router.get(
   '/:summaryId',
   validation.summaryIdValidation,
+  requirePermission('pre_diagnosis:read'),
   controller.getSummaryById.bind(controller)
 );
 
@@ -36,13 +39,14 @@ router.get(
     ...validation.patientIdValidation,
     ...validation.paginationValidation
   ],
+  requirePermission('pre_diagnosis:read'),
   controller.getSummariesByPatient.bind(controller)
 );
 
 /**
  * @route GET /api/pre-diagnosis/doctor/:doctorId
  * @desc Get summaries by doctor
- * @access Private (Doctor - own summaries only, Admin - any doctor)
+ * @access Private (Doctor - own summaries only, pre_diagnosis:manage - any doctor)
  */
 router.get(
   '/doctor/:doctorId',
@@ -50,6 +54,7 @@ router.get(
     ...validation.doctorIdValidation,
     ...validation.paginationValidation
   ],
+  requirePermission('pre_diagnosis:read'),
   controller.getSummariesByDoctor.bind(controller)
 );
 
@@ -61,28 +66,31 @@ router.get(
 router.patch(
   '/:summaryId/status',
   validation.statusUpdateValidation,
+  requirePermission('pre_diagnosis:update'),
   controller.updateSummaryStatus.bind(controller)
 );
 
 /**
  * @route DELETE /api/pre-diagnosis/:summaryId
  * @desc Delete summary
- * @access Private (Doctor - creator only, Admin)
+ * @access Private (Doctor - creator only, pre_diagnosis:manage)
  */
 router.delete(
   '/:summaryId',
   validation.summaryIdValidation,
+  requirePermission('pre_diagnosis:delete'),
   controller.deleteSummary.bind(controller)
 );
 
 /**
  * @route GET /api/pre-diagnosis/stats/:doctorId
  * @desc Get summary statistics for doctor
- * @access Private (Doctor - own stats only, Admin - any doctor)
+ * @access Private (Doctor - own stats only, pre_diagnosis:manage - any doctor)
  */
 router.get(
   '/stats/:doctorId',
   validation.doctorIdValidation,
+  requirePermission('pre_diagnosis:read'),
   controller.getSummaryStatistics.bind(controller)
 );
 
@@ -93,6 +101,7 @@ router.get(
  */
 router.get(
   '/my/recent',
+  requirePermission('pre_diagnosis:read'),
   controller.getMyRecentSummaries.bind(controller)
 );
 
@@ -103,6 +112,7 @@ router.get(
  */
 router.get(
   '/urgent',
+  requirePermission('pre_diagnosis:read'),
   controller.getUrgentSummaries.bind(controller)
 );
 
@@ -1,17 +1,9 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getLLM, estimateTokens } = require('./llm');
 const logger = require('../utils/logger');
 const { InternalServerError, ValidationError } = require('../middleware/errorHandler');
 
 class GeminiService {
   constructor() {
-    // Initialize Google Generative AI
-    this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-
-    // Get the model
-    this.model = this.genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-pro'
-    });
-
     // Default generation configuration for pre-diagnosis summaries
     this.defaultConfig = {
       temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || 0.2, // Lower temperature for medical accuracy
@@ -58,20 +50,15 @@ class GeminiService {
 
       // Generate content
       const config = { ...this.defaultConfig, ...options };
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: config
-      });
-
-      const response = await result.response;
-      const generatedText = response.text();
+      const result = await getLLM().generate(prompt, config);
+      const generatedText = result.text;
 
       // Parse the generated summary
       const parsedSummary = this.parsePreDiagnosisSummary(generatedText);
 
       // Calculate processing metrics
       const processingTime = Date.now() - startTime;
-      const tokenUsage = this.estimateTokenUsage(prompt, generatedText);
+      const tokenUsage = result.usage;
 
       // Calculate confidence score
       const confidenceScore = this.calculateConfidenceScore(parsedSummary, patientData);
@@ -90,7 +77,8 @@ class GeminiService {
         urgencyLevel: parsedSummary.urgencyLevel,
         confidenceScore,
         generatedAt: new Date(),
-        model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+        provider: result.provider,
+        model: result.model,
         version: '1.0',
         processingTime,
         tokenUsage
@@ -217,7 +205,7 @@ Please analyze this patient data and generate a comprehensive pre-diagnosis summ
 
   /**
    * Parse the generated pre-diagnosis summary
-   * @param {string} generatedText - Raw response from Gemini
+   * @param {string} generatedText - Raw response from the model
    * @returns {Object} Parsed summary
    */
   parsePreDiagnosisSummary(generatedText) {
@@ -347,9 +335,8 @@ Please analyze this patient data and generate a comprehensive pre-diagnosis summ
    * @returns {Object} Token usage estimate
    */
   estimateTokenUsage(prompt, response) {
-    // Rough estimation: 1 token ≈ 4 characters
-    const inputTokens = Math.ceil(prompt.length / 4);
-    const outputTokens = Math.ceil(response.length / 4);
+    const inputTokens = estimateTokens(prompt);
+    const outputTokens = estimateTokens(response);
     
     return {
       inputTokens,
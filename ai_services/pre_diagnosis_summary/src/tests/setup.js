@@ -17,6 +17,7 @@ jest.mock('../middleware/auth', () => ({
     next();
   },
   authorize: (roles) => (req, res, next) => next(),
+  requirePermission: (...permissions) => (req, res, next) => next(),
   optionalAuth: (req, res, next) => next()
 }));
 
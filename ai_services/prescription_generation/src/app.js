@@ -14,6 +14,8 @@ const {
 
 // Import routes
 const prescriptionRoutes = require('./routes/prescription.routes');
+const prescriptionTemplateRoutes = require('./routes/prescriptionTemplate.routes');
+const formularyRoutes = require('./routes/formulary.routes');
 const healthRoutes = require('./routes/health.routes');
 
 // Import middleware
@@ -68,7 +70,10 @@ app.use(defaultRateLimit);
 app.use('/health', healthRoutes);
 
 // API routes
+// Mounted before the prescription routes so /templates is not read as a prescription ID
+app.use('/api/prescriptions/templates', prescriptionTemplateRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/formulary', formularyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -80,6 +85,7 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       prescriptions: '/api/prescriptions',
+      formulary: '/api/formulary',
       docs: '/api/docs'
     }
   });
@@ -95,17 +101,31 @@ app.get('/api/docs', (req, res) => {
       'POST /api/prescriptions/generate/clinical-note': 'Generate prescription from clinical note',
       'POST /api/prescriptions/generate/transcription': 'Generate prescription from transcription',
       'POST /api/prescriptions/generate/text': 'Generate prescription from text input',
+      'POST /api/prescriptions/generate/template': 'Create prescription from a saved template',
+      'POST /api/prescriptions/templates': 'Create prescription template',
+      'GET /api/prescriptions/templates': 'List own and clinic templates',
+      'GET /api/prescriptions/templates/favourites': 'Get most used templates',
+      'GET /api/prescriptions/templates/:id': 'Get prescription template',
+      'PUT /api/prescriptions/templates/:id': 'Update prescription template',
+      'DELETE /api/prescriptions/templates/:id': 'Delete prescription template',
       'GET /api/prescriptions/:id': 'Get prescription by ID',
       'GET /api/prescriptions/encounter/:encounterId': 'Get prescription by encounter ID',
       'PUT /api/prescriptions/:id': 'Update prescription',
       'POST /api/prescriptions/:id/review': 'Review prescription',
       'POST /api/prescriptions/:id/approve': 'Approve prescription',
       'POST /api/prescriptions/:id/sign': 'Sign prescription',
+      'GET /api/prescriptions/:id/pdf': 'Download signed prescription as PDF',
+      'GET /api/prescriptions/verify/:code': 'Verify a printed prescription (public)',
       'POST /api/prescriptions/:id/send': 'Send prescription to pharmacy',
       'GET /api/prescriptions/patient/:patientId': 'Get prescriptions by patient',
       'GET /api/prescriptions/doctor/:doctorId': 'Get prescriptions by doctor',
       'GET /api/prescriptions/pending': 'Get pending prescriptions for review',
-      'GET /api/prescriptions/stats': 'Get prescription statistics'
+      'GET /api/prescriptions/stats': 'Get prescription statistics',
+      'GET /api/formulary/search': 'Search generic and brand drug names',
+      'GET /api/formulary/drugs/:genericName': 'Get formulary drug',
+      'POST /api/formulary/import': 'Import drugs from CSV or JSON',
+      'GET /api/formulary/versions': 'List formulary versions',
+      'GET /api/formulary/versions/:version': 'Get formulary version'
     },
     authentication: {
       type: 'Bearer Token',
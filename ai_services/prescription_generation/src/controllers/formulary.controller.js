@@ -0,0 +1,116 @@
+const formularyService = require('../services/formulary.service');
+const logger = require('../utils/logger');
+
+class FormularyController {
+  /**
+   * Suggest drugs for a partly typed name
+   * @route GET /api/formulary/search
+   */
+  async search(req, res, next) {
+    try {
+      const { q, limit = 10 } = req.query;
+
+      const suggestions = await formularyService.search(q, parseInt(limit));
+
+      res.status(200).json({
+        success: true,
+        message: 'Formulary search completed',
+        data: suggestions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a drug by generic name
+   * @route GET /api/formulary/drugs/:genericName
+   */
+  async getDrug(req, res, next) {
+    try {
+      const drug = await formularyService.getDrug(req.params.genericName);
+
+      res.status(200).json({
+        success: true,
+        message: 'Drug retrieved successfully',
+        data: drug
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import drugs from a CSV or JSON file
+   * @route POST /api/formulary/import
+   */
+  async importFormulary(req, res, next) {
+    try {
+      const format = req.is('text/csv') ? 'csv' : 'json';
+      const options = format === 'csv' ? req.query : req.body;
+      const dryRun = String(options.dryRun) === 'true';
+
+      logger.info('Importing formulary', {
+        format,
+        dryRun,
+        userId: req.user.id
+      });
+
+      const records = formularyService.parseImport(req.body, format);
+      const version = await formularyService.importDrugs(records, {
+        source: format,
+        importedBy: req.user.id,
+        description: options.description,
+        dryRun
+      });
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun ? 'Formulary import validated' : 'Formulary imported successfully',
+        data: version
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List formulary versions
+   * @route GET /api/formulary/versions
+   */
+  async listVersions(req, res, next) {
+    try {
+      const { limit = 20 } = req.query;
+
+      const versions = await formularyService.listVersions(parseInt(limit));
+
+      res.status(200).json({
+        success: true,
+        message: 'Formulary versions retrieved successfully',
+        data: versions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a formulary version with its changes
+   * @route GET /api/formulary/versions/:version
+   */
+  async getVersion(req, res, next) {
+    try {
+      const version = await formularyService.getVersion(parseInt(req.params.version));
+
+      res.status(200).json({
+        success: true,
+        message: 'Formulary version retrieved successfully',
+        data: version
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FormularyController();
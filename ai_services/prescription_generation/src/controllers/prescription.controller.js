@@ -1,6 +1,8 @@
 const prescriptionService = require('../services/prescription.service');
+const prescriptionTemplateService = require('../services/prescriptionTemplate.service');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError } = require('../utils/error-handler');
+const { hasPermission } = require('@dr-assistant/auth');
 
 class PrescriptionController {
   /**
@@ -112,6 +114,32 @@ class PrescriptionController {
     }
   }
 
+  /**
+   * Create prescription from a saved template
+   * @route POST /api/prescriptions/generate/template
+   */
+  async generateFromTemplate(req, res, next) {
+    try {
+      const { templateId, context } = req.body;
+
+      logger.info('Creating prescription from template', {
+        templateId,
+        encounterId: context.encounterId,
+        userId: req.user.id
+      });
+
+      const prescription = await prescriptionTemplateService.applyTemplate(templateId, context, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Prescription created from template',
+        data: prescription
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get prescription by ID
    * @route GET /api/prescriptions/:prescriptionId
@@ -128,7 +156,7 @@ class PrescriptionController {
       const prescription = await prescriptionService.getPrescriptionById(prescriptionId);
 
       // Check access
-      if (prescription.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (prescription.doctorId !== req.user.id && !hasPermission(req.user, 'prescription:manage')) {
         throw new ValidationError('Access denied to this prescription');
       }
 
@@ -161,7 +189,7 @@ class PrescriptionController {
       }
 
       // Check access
-      if (prescription.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (prescription.doctorId !== req.user.id && !hasPermission(req.user, 'prescription:manage')) {
         throw new ValidationError('Access denied to this prescription');
       }
 
@@ -276,9 +304,17 @@ class PrescriptionController {
         signerId: req.user.id
       });
 
+      // Printed details come from the doctor's record in auth_service, where an administrator set them
+      const profile = await prescriptionService.getPrescriberProfile(req.headers.authorization);
       const prescription = await prescriptionService.signPrescription(
         prescriptionId,
-        req.user.id
+        req.user.id,
+        {
+          name: profile.full_name,
+          specialty: profile.specialty,
+          registrationNumber: profile.registration_number,
+          registrationCouncil: profile.registration_council
+        }
       );
 
       res.status(200).json({
@@ -291,6 +327,112 @@ class PrescriptionController {
     }
   }
 
+  /**
+   * Download a signed prescription as a PDF
+   * @route GET /api/prescriptions/:prescriptionId/pdf
+   */
+  async getPrescriptionPdf(req, res, next) {
+    try {
+      const { prescriptionId } = req.params;
+
+      logger.info('Rendering prescription PDF', {
+        prescriptionId,
+        language: req.query.language,
+        userId: req.user.id
+      });
+
+      const { buffer, language } = await prescriptionService.getPrescriptionPdf(prescriptionId, {
+        language: req.query.language
+      });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="prescription-${prescriptionId}.pdf"`,
+        'Content-Language': language,
+        'Cache-Control': 'no-store'
+      });
+      res.status(200).send(buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify a printed prescription from its QR code
+   * @route GET /api/prescriptions/verify/:code
+   */
+  async verifyPrescription(req, res, next) {
+    try {
+      const result = await prescriptionService.verifyPrescription(req.params.code);
+
+      res.status(200).json({
+        success: true,
+        message: result.valid ? 'Prescription is valid' : 'Prescription is no longer valid',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-run drug safety checks
+   * @route POST /api/prescriptions/:prescriptionId/safety-check
+   */
+  async runSafetyChecks(req, res, next) {
+    try {
+      const { prescriptionId } = req.params;
+      const { patientInfo } = req.body;
+
+      logger.info('Running prescription safety checks', {
+        prescriptionId,
+        userId: req.user.id
+      });
+
+      const prescription = await prescriptionService.runSafetyChecks(prescriptionId, { patientInfo });
+
+      res.status(200).json({
+        success: true,
+        message: 'Safety checks completed',
+        data: prescription
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Acknowledge a safety alert
+   * @route POST /api/prescriptions/:prescriptionId/alerts/:alertId/acknowledge
+   */
+  async acknowledgeSafetyAlert(req, res, next) {
+    try {
+      const { prescriptionId, alertId } = req.params;
+      const { reason } = req.body;
+
+      logger.info('Acknowledging prescription safety alert', {
+        prescriptionId,
+        alertId,
+        userId: req.user.id
+      });
+
+      const prescription = await prescriptionService.acknowledgeSafetyAlert(
+        prescriptionId,
+        alertId,
+        req.user.id,
+        reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Safety alert acknowledged',
+        data: prescription
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Send prescription to pharmacy
    * @route POST /api/prescriptions/:prescriptionId/send
@@ -341,8 +483,8 @@ class PrescriptionController {
         parseInt(limit)
       );
 
-      // Filter by doctor access if not admin
-      const accessiblePrescriptions = req.user.role === 'admin' 
+      // Filter by doctor access without prescription:manage
+      const accessiblePrescriptions = hasPermission(req.user, 'prescription:manage') 
         ? prescriptions 
         : prescriptions.filter(prescription => prescription.doctorId === req.user.id);
 
@@ -365,8 +507,8 @@ class PrescriptionController {
       const { doctorId } = req.params;
       const { startDate, endDate } = req.query;
 
-      // Check access - doctors can only see their own prescriptions unless admin
-      if (doctorId !== req.user.id && req.user.role !== 'admin') {
+      // Check access - doctors can only see their own prescriptions without prescription:manage
+      if (doctorId !== req.user.id && !hasPermission(req.user, 'prescription:manage')) {
         throw new ValidationError('Access denied to other doctor\'s prescriptions');
       }
 
@@ -399,7 +541,7 @@ class PrescriptionController {
    */
   async getPendingReview(req, res, next) {
     try {
-      const doctorId = req.user.role === 'admin' ? req.query.doctorId : req.user.id;
+      const doctorId = hasPermission(req.user, 'prescription:manage') ? req.query.doctorId : req.user.id;
 
       logger.info('Getting pending prescriptions', {
         doctorId,
@@ -425,7 +567,7 @@ class PrescriptionController {
   async getStatistics(req, res, next) {
     try {
       const { startDate, endDate } = req.query;
-      const doctorId = req.user.role === 'admin' ? req.query.doctorId : req.user.id;
+      const doctorId = hasPermission(req.user, 'prescription:manage') ? req.query.doctorId : req.user.id;
 
       logger.info('Getting prescription statistics', {
         doctorId,
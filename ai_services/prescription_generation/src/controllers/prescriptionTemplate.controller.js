@@ -0,0 +1,138 @@
+const prescriptionTemplateService = require('../services/prescriptionTemplate.service');
+const logger = require('../utils/logger');
+
+class PrescriptionTemplateController {
+  /**
+   * Create a template
+   * @route POST /api/prescriptions/templates
+   */
+  async createTemplate(req, res, next) {
+    try {
+      logger.info('Creating prescription template', {
+        name: req.body.name,
+        prescriptionId: req.body.prescriptionId,
+        userId: req.user.id
+      });
+
+      const template = await prescriptionTemplateService.createTemplate(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Prescription template created successfully',
+        data: template
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List templates available to the doctor
+   * @route GET /api/prescriptions/templates
+   */
+  async listTemplates(req, res, next) {
+    try {
+      const { q, tag, scope } = req.query;
+
+      const templates = await prescriptionTemplateService.listTemplates(req.user.id, { q, tag, scope });
+
+      res.status(200).json({
+        success: true,
+        message: 'Prescription templates retrieved successfully',
+        data: templates
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the doctor's most used templates
+   * @route GET /api/prescriptions/templates/favourites
+   */
+  async getFavourites(req, res, next) {
+    try {
+      const { limit = 10 } = req.query;
+
+      const templates = await prescriptionTemplateService.getFavourites(req.user.id, parseInt(limit));
+
+      res.status(200).json({
+        success: true,
+        message: 'Favourite templates retrieved successfully',
+        data: templates
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a template
+   * @route GET /api/prescriptions/templates/:templateId
+   */
+  async getTemplate(req, res, next) {
+    try {
+      const template = await prescriptionTemplateService.getTemplate(req.params.templateId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Prescription template retrieved successfully',
+        data: prescriptionTemplateService.withStats(template, req.user.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a template
+   * @route PUT /api/prescriptions/templates/:templateId
+   */
+  async updateTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      logger.info('Updating prescription template', {
+        templateId,
+        userId: req.user.id,
+        fields: Object.keys(req.body)
+      });
+
+      const template = await prescriptionTemplateService.updateTemplate(templateId, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Prescription template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Archive a template
+   * @route DELETE /api/prescriptions/templates/:templateId
+   */
+  async deleteTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      logger.info('Deleting prescription template', {
+        templateId,
+        userId: req.user.id
+      });
+
+      await prescriptionTemplateService.deleteTemplate(templateId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Prescription template deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PrescriptionTemplateController();
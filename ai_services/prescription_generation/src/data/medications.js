@@ -1,6 +1,12 @@
 /**
  * Comprehensive Medications Database
  * Contains common medications, dosages, interactions, and guidelines
+ *
+ * This is the starter formulary: it seeds the FormularyDrug catalogue on first
+ * start and backs lookups until the catalogue is loaded (see formulary.service).
+ *
+ * pregnancy and lactation are one of 'compatible', 'caution', 'avoid' or
+ * 'contraindicated'.
  */
 
 const medications = {
@@ -18,7 +24,9 @@ const medications = {
     sideEffects: ['fatigue', 'dizziness', 'bradycardia', 'hypotension'],
     maxDailyDose: '400mg',
     renalAdjustment: true,
-    hepaticAdjustment: false
+    hepaticAdjustment: false,
+    pregnancy: 'caution',
+    lactation: 'compatible'
   },
   'lisinopril': {
     genericName: 'lisinopril',
@@ -33,7 +41,9 @@ const medications = {
     sideEffects: ['dry cough', 'hyperkalemia', 'angioedema', 'hypotension'],
     maxDailyDose: '80mg',
     renalAdjustment: true,
-    hepaticAdjustment: false
+    hepaticAdjustment: false,
+    pregnancy: 'contraindicated',
+    lactation: 'caution'
   },
   'amlodipine': {
     genericName: 'amlodipine',
@@ -48,7 +58,9 @@ const medications = {
     sideEffects: ['peripheral edema', 'flushing', 'dizziness', 'fatigue'],
     maxDailyDose: '10mg',
     renalAdjustment: false,
-    hepaticAdjustment: true
+    hepaticAdjustment: true,
+    pregnancy: 'caution',
+    lactation: 'caution'
   },
 
   // Diabetes Medications
@@ -65,7 +77,9 @@ const medications = {
     sideEffects: ['nausea', 'diarrhea', 'metallic taste', 'vitamin B12 deficiency'],
     maxDailyDose: '2550mg',
     renalAdjustment: true,
-    hepaticAdjustment: false
+    hepaticAdjustment: false,
+    pregnancy: 'compatible',
+    lactation: 'compatible'
   },
   'glipizide': {
     genericName: 'glipizide',
@@ -80,7 +94,9 @@ const medications = {
     sideEffects: ['hypoglycemia', 'weight gain', 'nausea'],
     maxDailyDose: '40mg',
     renalAdjustment: true,
-    hepaticAdjustment: true
+    hepaticAdjustment: true,
+    pregnancy: 'avoid',
+    lactation: 'avoid'
   },
 
   // Antibiotics
@@ -97,7 +113,9 @@ const medications = {
     sideEffects: ['nausea', 'diarrhea', 'rash', 'allergic reactions'],
     maxDailyDose: '3000mg',
     renalAdjustment: true,
-    hepaticAdjustment: false
+    hepaticAdjustment: false,
+    pregnancy: 'compatible',
+    lactation: 'compatible'
   },
   'azithromycin': {
     genericName: 'azithromycin',
@@ -112,7 +130,9 @@ const medications = {
     sideEffects: ['nausea', 'diarrhea', 'QT prolongation'],
     maxDailyDose: '500mg',
     renalAdjustment: false,
-    hepaticAdjustment: true
+    hepaticAdjustment: true,
+    pregnancy: 'compatible',
+    lactation: 'compatible'
   },
 
   // Pain Management
@@ -129,10 +149,13 @@ const medications = {
     sideEffects: ['GI upset', 'renal impairment', 'cardiovascular risk'],
     maxDailyDose: '3200mg',
     renalAdjustment: true,
-    hepaticAdjustment: true
+    hepaticAdjustment: true,
+    pregnancy: 'avoid',
+    lactation: 'compatible'
   },
   'acetaminophen': {
     genericName: 'acetaminophen',
+    synonyms: ['paracetamol'],
     brandNames: ['Tylenol'],
     category: 'analgesic',
     class: 'analgesic/antipyretic',
@@ -144,12 +167,15 @@ const medications = {
     sideEffects: ['hepatotoxicity (overdose)', 'rare allergic reactions'],
     maxDailyDose: '4000mg',
     renalAdjustment: false,
-    hepaticAdjustment: true
+    hepaticAdjustment: true,
+    pregnancy: 'compatible',
+    lactation: 'compatible'
   },
 
   // Respiratory
   'albuterol': {
     genericName: 'albuterol',
+    synonyms: ['salbutamol'],
     brandNames: ['ProAir', 'Ventolin'],
     category: 'respiratory',
     class: 'beta2-agonist',
@@ -161,7 +187,9 @@ const medications = {
     sideEffects: ['tremor', 'tachycardia', 'nervousness'],
     maxDailyDose: '8 puffs',
     renalAdjustment: false,
-    hepaticAdjustment: false
+    hepaticAdjustment: false,
+    pregnancy: 'compatible',
+    lactation: 'compatible'
   },
 
   // Psychiatric
@@ -178,7 +206,9 @@ const medications = {
     sideEffects: ['nausea', 'sexual dysfunction', 'insomnia', 'weight changes'],
     maxDailyDose: '200mg',
     renalAdjustment: false,
-    hepaticAdjustment: true
+    hepaticAdjustment: true,
+    pregnancy: 'caution',
+    lactation: 'compatible'
   }
 };
 
@@ -240,6 +270,34 @@ const dosageGuidelines = {
   }
 };
 
+// Allergens that rule out a drug class, and related allergens that may cross-react
+const allergyGroups = {
+  'penicillin': {
+    allergens: ['penicillin', 'beta-lactam', 'amoxicillin', 'ampicillin'],
+    crossReactive: ['cephalosporin', 'cephalexin', 'ceftriaxone']
+  },
+  'macrolide': {
+    allergens: ['macrolide', 'erythromycin', 'azithromycin', 'clarithromycin']
+  },
+  'NSAID': {
+    allergens: ['nsaid', 'ibuprofen', 'naproxen', 'diclofenac'],
+    crossReactive: ['aspirin']
+  },
+  'ACE inhibitor': {
+    allergens: ['ace inhibitor', 'lisinopril', 'enalapril', 'ramipril']
+  },
+  'sulfonylurea': {
+    allergens: ['sulfonylurea', 'glipizide', 'glyburide', 'glimepiride'],
+    crossReactive: ['sulfa', 'sulfonamide']
+  },
+  'beta-blocker': {
+    allergens: ['beta-blocker', 'beta blocker', 'metoprolol', 'atenolol', 'propranolol']
+  },
+  'SSRI': {
+    allergens: ['ssri', 'sertraline', 'fluoxetine', 'citalopram', 'escitalopram']
+  }
+};
+
 // Common Prescription Patterns
 const prescriptionPatterns = [
   {
@@ -280,6 +338,7 @@ module.exports = {
   medications,
   drugInteractions,
   dosageGuidelines,
+  allergyGroups,
   prescriptionPatterns,
   frequencyMappings
 };
@@ -0,0 +1,147 @@
+// Wording of printed prescriptions, by patient language.
+// Dosing directions are built from the structured medication fields so they can
+// be printed in the patient's language; the prescriber's free-text instructions
+// are printed as written. Scripts the standard PDF fonts cannot draw name a font
+// file, looked up in PRESCRIPTION_FONTS_DIR.
+
+const prescriptionLabels = {
+  en: {
+    name: 'English',
+    title: 'Prescription',
+    patient: 'Patient',
+    age: 'Age',
+    sex: 'Sex',
+    mrn: 'MRN',
+    date: 'Date',
+    registration: 'Reg. No.',
+    directions: 'Directions',
+    duration: 'Duration',
+    quantity: 'Quantity',
+    refills: 'Refills',
+    instructions: 'Instructions',
+    validUntil: 'Valid until',
+    signedBy: 'Digitally signed by',
+    prescriptionId: 'Prescription ID',
+    verify: 'Scan to verify this prescription',
+    years: 'years',
+    sexes: { male: 'Male', female: 'Female', other: 'Other' },
+    units: { tablets: 'tablet(s)', capsules: 'capsule(s)', puffs: 'puff(s)', drops: 'drop(s)', units: 'units' },
+    routes: {
+      oral: 'by mouth',
+      topical: 'apply to the skin',
+      injection: 'by injection',
+      inhalation: 'inhale',
+      sublingual: 'under the tongue',
+      rectal: 'rectally',
+      ophthalmic: 'in the eye',
+      otic: 'in the ear',
+      nasal: 'in the nose'
+    },
+    frequency: {
+      daily: { 1: 'once a day', 2: 'twice a day', other: '{times} times a day' },
+      weekly: { 1: 'once a week', other: '{times} times a week' },
+      monthly: { 1: 'once a month', other: '{times} times a month' },
+      'as needed': 'when needed'
+    },
+    interval: 'every {interval} hours',
+    durationText: 'for {amount} {unit}',
+    durationUnits: { days: ['day', 'days'], weeks: ['week', 'weeks'], months: ['month', 'months'] },
+    ongoing: 'until told to stop'
+  },
+
+  hi: {
+    name: 'हिन्दी',
+    font: 'NotoSansDevanagari-Regular.ttf',
+    title: 'पर्चा',
+    patient: 'मरीज़',
+    age: 'आयु',
+    sex: 'लिंग',
+    mrn: 'MRN',
+    date: 'दिनांक',
+    registration: 'पंजीकरण सं.',
+    directions: 'कैसे लें',
+    duration: 'अवधि',
+    quantity: 'मात्रा',
+    refills: 'रिफ़िल',
+    instructions: 'निर्देश',
+    validUntil: 'मान्य तिथि तक',
+    signedBy: 'डिजिटल हस्ताक्षर',
+    prescriptionId: 'पर्चा आईडी',
+    verify: 'इस पर्चे की पुष्टि के लिए स्कैन करें',
+    years: 'वर्ष',
+    sexes: { male: 'पुरुष', female: 'महिला', other: 'अन्य' },
+    units: { tablets: 'गोली', capsules: 'कैप्सूल', puffs: 'पफ़', drops: 'बूँद', units: 'यूनिट' },
+    routes: {
+      oral: 'मुँह से',
+      topical: 'त्वचा पर लगाएँ',
+      injection: 'इंजेक्शन द्वारा',
+      inhalation: 'साँस से लें',
+      sublingual: 'जीभ के नीचे',
+      rectal: 'गुदा मार्ग से',
+      ophthalmic: 'आँख में',
+      otic: 'कान में',
+      nasal: 'नाक में'
+    },
+    frequency: {
+      daily: { 1: 'दिन में एक बार', 2: 'दिन में दो बार', 3: 'दिन में तीन बार', other: 'दिन में {times} बार' },
+      weekly: { 1: 'सप्ताह में एक बार', other: 'सप्ताह में {times} बार' },
+      monthly: { 1: 'महीने में एक बार', other: 'महीने में {times} बार' },
+      'as needed': 'ज़रूरत पड़ने पर'
+    },
+    interval: 'हर {interval} घंटे',
+    durationText: '{amount} {unit} तक',
+    durationUnits: { days: ['दिन', 'दिन'], weeks: ['सप्ताह', 'सप्ताह'], months: ['महीना', 'महीने'] },
+    ongoing: 'अगली सलाह तक जारी रखें'
+  },
+
+  es: {
+    name: 'Español',
+    title: 'Receta médica',
+    patient: 'Paciente',
+    age: 'Edad',
+    sex: 'Sexo',
+    mrn: 'N.º de historia',
+    date: 'Fecha',
+    registration: 'N.º de colegiado',
+    directions: 'Indicaciones',
+    duration: 'Duración',
+    quantity: 'Cantidad',
+    refills: 'Renovaciones',
+    instructions: 'Instrucciones',
+    validUntil: 'Válida hasta',
+    signedBy: 'Firmada digitalmente por',
+    prescriptionId: 'ID de receta',
+    verify: 'Escanee para verificar esta receta',
+    years: 'años',
+    sexes: { male: 'Hombre', female: 'Mujer', other: 'Otro' },
+    units: { tablets: 'comprimido(s)', capsules: 'cápsula(s)', puffs: 'inhalación(es)', drops: 'gota(s)', units: 'unidades' },
+    routes: {
+      oral: 'por vía oral',
+      topical: 'aplicar sobre la piel',
+      injection: 'inyectable',
+      inhalation: 'inhalado',
+      sublingual: 'debajo de la lengua',
+      rectal: 'por vía rectal',
+      ophthalmic: 'en el ojo',
+      otic: 'en el oído',
+      nasal: 'en la nariz'
+    },
+    frequency: {
+      daily: { 1: 'una vez al día', 2: 'dos veces al día', other: '{times} veces al día' },
+      weekly: { 1: 'una vez a la semana', other: '{times} veces a la semana' },
+      monthly: { 1: 'una vez al mes', other: '{times} veces al mes' },
+      'as needed': 'cuando sea necesario'
+    },
+    interval: 'cada {interval} horas',
+    durationText: 'durante {amount} {unit}',
+    durationUnits: { days: ['día', 'días'], weeks: ['semana', 'semanas'], months: ['mes', 'meses'] },
+    ongoing: 'hasta nueva indicación'
+  }
+};
+
+const supportedLanguages = Object.keys(prescriptionLabels);
+
+module.exports = {
+  prescriptionLabels,
+  supportedLanguages
+};
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { UnauthorizedError, ForbiddenError } = require('../utils/error-handler');
+const { createRequirePermission } = require('@dr-assistant/auth');
 
 /**
  * Verify JWT token
@@ -92,6 +93,11 @@ const requireAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Require every listed permission
+ */
+const requirePermission = createRequirePermission({ UnauthorizedError, ForbiddenError });
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -139,5 +145,6 @@ module.exports = {
   verifyToken,
   requireDoctor,
   requireAdmin,
+  requirePermission,
   optionalAuth
 };
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// Reproductive safety ratings (see data/medications.js)
+const REPRODUCTIVE_RATINGS = ['compatible', 'caution', 'avoid', 'contraindicated'];
+
+// Branded product of a generic drug
+const brandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  manufacturer: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  strength: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  form: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  }
+}, { _id: false });
+
+// Interaction with another generic drug
+const interactionSchema = new mongoose.Schema({
+  drug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['minor', 'moderate', 'major', 'contraindicated']
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  recommendation: {
+    type: String,
+    maxlength: 500
+  }
+}, { _id: false });
+
+// Earlier state of a drug, kept when an import changes it
+const revisionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  fields: [String],
+  previous: mongoose.Schema.Types.Mixed,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Formulary Drug Schema (one document per generic drug)
+const formularyDrugSchema = new mongoose.Schema({
+  genericName: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 200
+  },
+  synonyms: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  brands: [brandSchema],
+  strengths: [String],
+  forms: [String],
+  category: {
+    type: String,
+    enum: ['cardiovascular', 'endocrine', 'antibiotic', 'analgesic', 'respiratory', 'psychiatric', 'gastrointestinal', 'dermatologic', 'other'],
+    default: 'other'
+  },
+  class: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  frequencies: [String],
+  routes: [String],
+  indications: [String],
+  contraindications: [String],
+  sideEffects: [String],
+  maxDailyDose: String,
+  renalAdjustment: {
+    type: Boolean,
+    default: false
+  },
+  hepaticAdjustment: {
+    type: Boolean,
+    default: false
+  },
+  pregnancy: {
+    type: String,
+    enum: REPRODUCTIVE_RATINGS
+  },
+  lactation: {
+    type: String,
+    enum: REPRODUCTIVE_RATINGS
+  },
+  // Weight-based paediatric dose, e.g. "10-15mg/kg every 4-6 hours"
+  pediatricDosing: String,
+  interactions: [interactionSchema],
+
+  // Lowercased generic, synonym and brand names for typeahead search
+  searchNames: {
+    type: [String],
+    index: true
+  },
+
+  // Discontinued drugs stay for history but are not used or suggested
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  revisions: [revisionSchema]
+}, {
+  timestamps: true
+});
+
+// Static methods
+formularyDrugSchema.statics.searchNamesFor = function(drug) {
+  return Array.from(new Set([
+    drug.genericName,
+    ...(drug.synonyms || []),
+    ...(drug.brands || []).map(brand => brand.name.toLowerCase())
+  ]));
+};
+
+formularyDrugSchema.statics.findActive = function() {
+  return this.find({ active: true }).select('-revisions').lean();
+};
+
+formularyDrugSchema.statics.findByGenericName = function(genericName) {
+  return this.findOne({ genericName: genericName.toLowerCase() });
+};
+
+formularyDrugSchema.statics.REPRODUCTIVE_RATINGS = REPRODUCTIVE_RATINGS;
+
+module.exports = mongoose.model('FormularyDrug', formularyDrugSchema);
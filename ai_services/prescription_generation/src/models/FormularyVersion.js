@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One formulary import, numbered in the order they were applied
+const formularyVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    enum: ['seed', 'csv', 'json'],
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  importedBy: String,
+  summary: {
+    added: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    discontinued: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+  changes: [{
+    genericName: String,
+    action: {
+      type: String,
+      enum: ['added', 'updated', 'discontinued']
+    },
+    fields: [String]
+  }],
+  rejected: [{
+    row: Number,
+    genericName: String,
+    message: String
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static methods
+formularyVersionSchema.statics.findLatest = function() {
+  return this.findOne().sort({ version: -1 });
+};
+
+formularyVersionSchema.statics.list = function(limit = 20) {
+  return this.find()
+    .sort({ version: -1 })
+    .limit(limit)
+    .select('-changes -rejected');
+};
+
+module.exports = mongoose.model('FormularyVersion', formularyVersionSchema);
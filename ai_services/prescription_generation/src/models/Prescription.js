@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { supportedLanguages } = require('../data/prescriptionLabels');
 
 // Medication Item Schema
 const medicationItemSchema = new mongoose.Schema({
@@ -145,6 +146,49 @@ const drugInteractionSchema = new mongoose.Schema({
   }
 });
 
+// Safety Alert Schema (see drugSafety.service)
+const safetyAlertSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'allergy', 'interaction', 'duplicate_therapy', 'renal', 'hepatic', 'pregnancy',
+      'lactation', 'max_dose', 'pediatric_dose', 'geriatric', 'incomplete_patient_data',
+      'unrecognised_drug'
+    ]
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['minor', 'moderate', 'major', 'contraindicated']
+  },
+  medication: String,
+  relatedTo: String,
+  description: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  recommendation: {
+    type: String,
+    maxlength: 500
+  },
+  requiresAcknowledgement: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  acknowledgementReason: {
+    type: String,
+    maxlength: 500
+  }
+});
+
 // Prescription Schema
 const prescriptionSchema = new mongoose.Schema({
   // Core Identifiers
@@ -171,6 +215,10 @@ const prescriptionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     index: true
   },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
 
   // Prescription Details
   medications: [medicationItemSchema],
@@ -204,8 +252,33 @@ const prescriptionSchema = new mongoose.Schema({
     type: Date
   },
 
+  // Prescriber details printed on the prescription, as they were at signing
+  prescriber: {
+    name: String,
+    specialty: String,
+    registrationNumber: String,
+    registrationCouncil: String
+  },
+  // Code in the printed QR code; the public verification endpoint looks it up
+  verification: {
+    code: {
+      type: String,
+      index: { unique: true, sparse: true }
+    },
+    issuedAt: Date
+  },
+  // Language the patient's copy is printed in
+  patientLanguage: {
+    type: String,
+    enum: supportedLanguages,
+    default: 'en'
+  },
+
   // AI Processing Metadata
   aiMetadata: {
+    provider: {
+      type: String
+    },
     model: {
       type: String,
       default: 'gemini-1.5-pro'
@@ -236,6 +309,10 @@ const prescriptionSchema = new mongoose.Schema({
   },
 
   // Drug Interactions and Safety
+  safetyAlerts: [safetyAlertSchema],
+  safetyCheckedAt: {
+    type: Date
+  },
   drugInteractions: [drugInteractionSchema],
   allergyAlerts: [{
     allergen: String,
@@ -289,7 +366,7 @@ const prescriptionSchema = new mongoose.Schema({
     },
     action: {
       type: String,
-      enum: ['created', 'updated', 'reviewed', 'approved', 'signed', 'sent', 'cancelled', 'regenerated'],
+      enum: ['created', 'updated', 'reviewed', 'approved', 'signed', 'sent', 'cancelled', 'regenerated', 'alert_acknowledged'],
       required: true
     },
     changes: [{
@@ -335,14 +412,24 @@ prescriptionSchema.virtual('hasInteractions').get(function() {
 });
 
 prescriptionSchema.virtual('hasAlerts').get(function() {
-  return (this.allergyAlerts && this.allergyAlerts.length > 0) || 
+  return (this.safetyAlerts && this.safetyAlerts.length > 0) ||
+         (this.allergyAlerts && this.allergyAlerts.length > 0) || 
          (this.dosageAlerts && this.dosageAlerts.length > 0);
 });
 
+prescriptionSchema.virtual('unacknowledgedAlerts').get(function() {
+  return (this.safetyAlerts || []).filter(alert => alert.requiresAcknowledgement && !alert.acknowledgedAt);
+});
+
 prescriptionSchema.virtual('isSigned').get(function() {
   return this.status === 'signed' && this.signedAt;
 });
 
+// Signed prescriptions stay printable after they are sent or dispensed
+prescriptionSchema.virtual('isPrintable').get(function() {
+  return ['signed', 'sent', 'dispensed'].includes(this.status) && Boolean(this.verification?.code);
+});
+
 // Instance methods
 prescriptionSchema.methods.addMedication = function(medicationData) {
   this.medications.push(medicationData);
@@ -359,6 +446,49 @@ prescriptionSchema.methods.addDrugInteraction = function(interaction) {
   return this.save();
 };
 
+// Replace the safety alerts with a fresh check, keeping acknowledgements of
+// problems that are still there at the same or lower severity
+prescriptionSchema.methods.setSafetyAlerts = function(alerts) {
+  const severities = ['minor', 'moderate', 'major', 'contraindicated'];
+  const previous = new Map((this.safetyAlerts || [])
+    .filter(alert => alert.acknowledgedAt)
+    .map(alert => [alert.key, alert]));
+
+  this.safetyAlerts = alerts.map(alert => {
+    const acknowledged = previous.get(alert.key);
+    if (acknowledged && severities.indexOf(alert.severity) <= severities.indexOf(acknowledged.severity)) {
+      return {
+        ...alert,
+        acknowledgedBy: acknowledged.acknowledgedBy,
+        acknowledgedAt: acknowledged.acknowledgedAt,
+        acknowledgementReason: acknowledged.acknowledgementReason
+      };
+    }
+    return alert;
+  });
+  this.safetyCheckedAt = new Date();
+};
+
+prescriptionSchema.methods.acknowledgeAlert = function(alertId, userId, reason) {
+  const alert = this.safetyAlerts.id(alertId);
+  if (!alert) {
+    return null;
+  }
+
+  alert.acknowledgedBy = userId;
+  alert.acknowledgedAt = new Date();
+  alert.acknowledgementReason = reason;
+
+  this.editHistory.push({
+    editedBy: userId,
+    editedAt: new Date(),
+    action: 'alert_acknowledged',
+    changes: [],
+    reason: `${alert.severity} ${alert.type} alert: ${reason || 'acknowledged'}`
+  });
+  return alert;
+};
+
 prescriptionSchema.methods.addComplianceFlag = function(type, description, severity = 'info') {
   this.complianceFlags.push({
     type,
@@ -390,9 +520,11 @@ prescriptionSchema.methods.markAsApproved = function(approverId) {
   return this.addEdit(approverId, 'approved', [], 'Prescription approved');
 };
 
-prescriptionSchema.methods.markAsSigned = function(signerId) {
+prescriptionSchema.methods.markAsSigned = function(signerId, prescriber, verificationCode) {
   this.status = 'signed';
   this.signedAt = new Date();
+  this.prescriber = prescriber;
+  this.verification = { code: verificationCode, issuedAt: this.signedAt };
   return this.addEdit(signerId, 'signed', [], 'Prescription digitally signed');
 };
 
@@ -410,6 +542,10 @@ prescriptionSchema.statics.findByEncounter = function(encounterId) {
   return this.findOne({ encounterId }).sort({ createdAt: -1 });
 };
 
+prescriptionSchema.statics.findByVerificationCode = function(code) {
+  return this.findOne({ 'verification.code': code });
+};
+
 prescriptionSchema.statics.findByPatient = function(patientId, limit = 10) {
   return this.find({ patientId })
     .sort({ createdAt: -1 })
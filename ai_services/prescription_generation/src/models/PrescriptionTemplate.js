@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Prescription = require('./Prescription');
+
+// Template medications use the prescription's medication schema, so an applied
+// template produces exactly what a doctor could have entered by hand
+const medicationItemSchema = Prescription.schema.path('medications').schema;
+
+// How often one doctor has used a template
+const usageSchema = new mongoose.Schema({
+  doctorId: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, { _id: false });
+
+// Prescription Template Schema (a saved regimen, e.g. "URTI adult")
+const prescriptionTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 50
+  }],
+  doctorId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // private: only the owner sees it; clinic: every prescriber in the clinic can use it
+  visibility: {
+    type: String,
+    enum: ['private', 'clinic'],
+    default: 'private',
+    index: true
+  },
+  medications: {
+    type: [medicationItemSchema],
+    validate: {
+      validator: medications => medications.length > 0,
+      message: 'A template needs at least one medication'
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  sourcePrescriptionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Usage statistics for ranking favourites
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+  usage: [usageSchema],
+
+  // Deleted templates are archived so prescriptions made from them keep their reference
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+prescriptionTemplateSchema.index({ doctorId: 1, name: 1 });
+prescriptionTemplateSchema.index({ name: 'text', description: 'text', tags: 'text' });
+
+// Instance methods
+prescriptionTemplateSchema.methods.isAccessibleBy = function(doctorId) {
+  return this.active && (this.doctorId === doctorId || this.visibility === 'clinic');
+};
+
+prescriptionTemplateSchema.methods.usageFor = function(doctorId) {
+  return this.usage.find(entry => entry.doctorId === doctorId) || { count: 0, lastUsedAt: null };
+};
+
+// Static methods
+prescriptionTemplateSchema.statics.findAccessible = function(doctorId, filters = {}) {
+  return this.find({
+    ...filters,
+    active: true,
+    $or: [{ doctorId }, { visibility: 'clinic' }]
+  });
+};
+
+prescriptionTemplateSchema.statics.recordUse = async function(templateId, doctorId) {
+  const now = new Date();
+
+  const { matchedCount } = await this.updateOne(
+    { _id: templateId, 'usage.doctorId': doctorId },
+    {
+      $inc: { useCount: 1, 'usage.$.count': 1 },
+      $set: { lastUsedAt: now, 'usage.$.lastUsedAt': now }
+    }
+  );
+
+  if (matchedCount === 0) {
+    // Skipped if a concurrent first use has added the entry since
+    await this.updateOne(
+      { _id: templateId, 'usage.doctorId': { $ne: doctorId } },
+      {
+        $inc: { useCount: 1 },
+        $set: { lastUsedAt: now },
+        $push: { usage: { doctorId, count: 1, lastUsedAt: now } }
+      }
+    );
+  }
+};
+
+module.exports = mongoose.model('PrescriptionTemplate', prescriptionTemplateSchema);
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const formularyController = require('../controllers/formulary.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { defaultRateLimit } = require('../middleware/rateLimit.middleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/formulary/search
+ * @desc Typeahead search over generic and brand names
+ * @access Private (Doctor, Nurse)
+ */
+router.get('/search',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('formulary:read'),
+  [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search text must be between 1 and 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  validate,
+  formularyController.search
+);
+
+/**
+ * @route GET /api/formulary/drugs/:genericName
+ * @desc Get a drug with its brands and revision history
+ * @access Private (Doctor, Nurse)
+ */
+router.get('/drugs/:genericName',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('formulary:read'),
+  [
+    param('genericName')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Generic name must be between 1 and 200 characters')
+  ],
+  validate,
+  formularyController.getDrug
+);
+
+/**
+ * @route POST /api/formulary/import
+ * @desc Import drugs as a new formulary version (JSON body or text/csv)
+ * @access Private (Admin)
+ */
+router.post('/import',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('formulary:manage'),
+  express.text({ type: 'text/csv', limit: '20mb' }),
+  [
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    query('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean')
+  ],
+  validate,
+  formularyController.importFormulary
+);
+
+/**
+ * @route GET /api/formulary/versions
+ * @desc List formulary versions, newest first
+ * @access Private (Doctor, Nurse)
+ */
+router.get('/versions',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('formulary:read'),
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  formularyController.listVersions
+);
+
+/**
+ * @route GET /api/formulary/versions/:version
+ * @desc Get a formulary version with the drugs it changed
+ * @access Private (Doctor, Nurse)
+ */
+router.get('/versions/:version',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('formulary:read'),
+  [
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer')
+  ],
+  validate,
+  formularyController.getVersion
+);
+
+module.exports = router;
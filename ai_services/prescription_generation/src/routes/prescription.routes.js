@@ -1,9 +1,10 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const prescriptionController = require('../controllers/prescription.controller');
-const { verifyToken, requireDoctor, requireAdmin } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validation.middleware');
 const { aiGenerationRateLimit, defaultRateLimit } = require('../middleware/rateLimit.middleware');
+const { supportedLanguages } = require('../data/prescriptionLabels');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ const router = express.Router();
 router.post('/generate/clinical-note',
   aiGenerationRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:create'),
   [
     body('clinicalNoteId')
       .isMongoId()
@@ -46,7 +47,7 @@ router.post('/generate/clinical-note',
 router.post('/generate/transcription',
   aiGenerationRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:create'),
   [
     body('transcriptionId')
       .isMongoId()
@@ -72,7 +73,7 @@ router.post('/generate/transcription',
 router.post('/generate/text',
   aiGenerationRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:create'),
   [
     body('text')
       .isString()
@@ -95,6 +96,41 @@ router.post('/generate/text',
   prescriptionController.generateFromText
 );
 
+/**
+ * @route POST /api/prescriptions/generate/template
+ * @desc Create a draft prescription from a saved template (no LLM call)
+ * @access Private (Doctor)
+ */
+router.post('/generate/template',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:create'),
+  [
+    body('templateId')
+      .isMongoId()
+      .withMessage('Template ID must be a valid MongoDB ObjectId'),
+    body('context')
+      .isObject()
+      .withMessage('Context must be an object'),
+    body('context.patientId')
+      .isUUID()
+      .withMessage('Patient ID must be a valid UUID'),
+    body('context.encounterId')
+      .isUUID()
+      .withMessage('Encounter ID must be a valid UUID'),
+    body('context.priority')
+      .optional()
+      .isIn(['low', 'normal', 'high', 'urgent'])
+      .withMessage('Invalid priority level'),
+    body('context.patientInfo')
+      .optional()
+      .isObject()
+      .withMessage('Patient info must be an object')
+  ],
+  validate,
+  prescriptionController.generateFromTemplate
+);
+
 /**
  * @route GET /api/prescriptions/:prescriptionId
  * @desc Get prescription by ID
@@ -103,7 +139,7 @@ router.post('/generate/text',
 router.get('/:prescriptionId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:read'),
   [
     param('prescriptionId')
       .isMongoId()
@@ -121,7 +157,7 @@ router.get('/:prescriptionId',
 router.get('/encounter/:encounterId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:read'),
   [
     param('encounterId')
       .isUUID()
@@ -139,7 +175,7 @@ router.get('/encounter/:encounterId',
 router.put('/:prescriptionId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:update'),
   [
     param('prescriptionId')
       .isMongoId()
@@ -163,12 +199,16 @@ router.put('/:prescriptionId',
       .withMessage('Invalid dosage unit'),
     body('status')
       .optional()
-      .isIn(['generating', 'draft', 'review', 'approved', 'signed', 'sent', 'dispensed', 'cancelled'])
-      .withMessage('Invalid status'),
+      .isIn(['draft', 'review', 'approved', 'cancelled'])
+      .withMessage('Status must be draft, review, approved or cancelled; sign and send have their own endpoints'),
     body('priority')
       .optional()
       .isIn(['low', 'normal', 'high', 'urgent'])
-      .withMessage('Invalid priority level')
+      .withMessage('Invalid priority level'),
+    body('patientLanguage')
+      .optional()
+      .isIn(supportedLanguages)
+      .withMessage(`Patient language must be one of ${supportedLanguages.join(', ')}`)
   ],
   validate,
   prescriptionController.updatePrescription
@@ -182,7 +222,7 @@ router.put('/:prescriptionId',
 router.post('/:prescriptionId/review',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:update'),
   [
     param('prescriptionId')
       .isMongoId()
@@ -205,7 +245,7 @@ router.post('/:prescriptionId/review',
 router.post('/:prescriptionId/approve',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:sign'),
   [
     param('prescriptionId')
       .isMongoId()
@@ -223,7 +263,7 @@ router.post('/:prescriptionId/approve',
 router.post('/:prescriptionId/sign',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:sign'),
   [
     param('prescriptionId')
       .isMongoId()
@@ -233,6 +273,105 @@ router.post('/:prescriptionId/sign',
   prescriptionController.signPrescription
 );
 
+/**
+ * @route GET /api/prescriptions/:prescriptionId/pdf
+ * @desc Download a signed prescription as a printable PDF
+ * @access Private (Doctor)
+ */
+router.get('/:prescriptionId/pdf',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:read'),
+  [
+    param('prescriptionId')
+      .isMongoId()
+      .withMessage('Prescription ID must be a valid MongoDB ObjectId'),
+    query('language')
+      .optional()
+      .isIn(supportedLanguages)
+      .withMessage(`Language must be one of ${supportedLanguages.join(', ')}`)
+  ],
+  validate,
+  prescriptionController.getPrescriptionPdf
+);
+
+/**
+ * @route GET /api/prescriptions/verify/:code
+ * @desc Confirm a printed prescription is genuine (linked from its QR code)
+ * @access Public
+ */
+router.get('/verify/:code',
+  defaultRateLimit,
+  [
+    param('code')
+      .matches(/^[A-Za-z0-9_-]{24}$/)
+      .withMessage('Invalid verification code')
+  ],
+  validate,
+  prescriptionController.verifyPrescription
+);
+
+/**
+ * @route POST /api/prescriptions/:prescriptionId/safety-check
+ * @desc Re-run drug safety checks against the patient's current record
+ * @access Private (Doctor)
+ */
+router.post('/:prescriptionId/safety-check',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:update'),
+  [
+    param('prescriptionId')
+      .isMongoId()
+      .withMessage('Prescription ID must be a valid MongoDB ObjectId'),
+    body('patientInfo')
+      .optional()
+      .isObject()
+      .withMessage('Patient info must be an object'),
+    body('patientInfo.weight')
+      .optional()
+      .isFloat({ min: 0.2, max: 500 })
+      .withMessage('Weight must be in kilograms'),
+    body('patientInfo.pregnant')
+      .optional()
+      .isBoolean()
+      .withMessage('Pregnant must be a boolean'),
+    body('patientInfo.lactating')
+      .optional()
+      .isBoolean()
+      .withMessage('Lactating must be a boolean')
+  ],
+  validate,
+  prescriptionController.runSafetyChecks
+);
+
+/**
+ * @route POST /api/prescriptions/:prescriptionId/alerts/:alertId/acknowledge
+ * @desc Acknowledge a safety alert so the prescription can be signed
+ * @access Private (Doctor)
+ */
+router.post('/:prescriptionId/alerts/:alertId/acknowledge',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:sign'),
+  [
+    param('prescriptionId')
+      .isMongoId()
+      .withMessage('Prescription ID must be a valid MongoDB ObjectId'),
+    param('alertId')
+      .isMongoId()
+      .withMessage('Alert ID must be a valid MongoDB ObjectId'),
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason must be between 1 and 500 characters')
+  ],
+  validate,
+  prescriptionController.acknowledgeSafetyAlert
+);
+
 /**
  * @route POST /api/prescriptions/:prescriptionId/send
  * @desc Send prescription to pharmacy
@@ -241,7 +380,7 @@ router.post('/:prescriptionId/sign',
 router.post('/:prescriptionId/send',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:sign'),
   [
     param('prescriptionId')
       .isMongoId()
@@ -264,7 +403,7 @@ router.post('/:prescriptionId/send',
 router.get('/patient/:patientId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:read'),
   [
     param('patientId')
       .isUUID()
@@ -286,7 +425,7 @@ router.get('/patient/:patientId',
 router.get('/doctor/:doctorId',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:read'),
   [
     param('doctorId')
       .isUUID()
@@ -312,7 +451,7 @@ router.get('/doctor/:doctorId',
 router.get('/pending',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:read'),
   [
     query('doctorId')
       .optional()
@@ -331,7 +470,7 @@ router.get('/pending',
 router.get('/stats',
   defaultRateLimit,
   verifyToken,
-  requireDoctor,
+  requirePermission('prescription:read'),
   [
     query('startDate')
       .optional()
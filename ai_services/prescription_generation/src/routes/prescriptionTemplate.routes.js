@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const prescriptionTemplateController = require('../controllers/prescriptionTemplate.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { defaultRateLimit } = require('../middleware/rateLimit.middleware');
+
+const router = express.Router();
+
+// Validators shared by create and update
+const templateFieldValidators = (optionalName) => [
+  (optionalName ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 items'),
+  body('tags.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  body('visibility')
+    .optional()
+    .isIn(['private', 'clinic'])
+    .withMessage('Visibility must be private or clinic'),
+  body('medications')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Medications must be an array of 1 to 20 items'),
+  body('medications.*.medicationName')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Medication name must be between 1 and 200 characters'),
+  body('medications.*.dosage.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Dosage amount must be a positive number'),
+  body('medications.*.dosage.unit')
+    .isIn(['mg', 'mcg', 'g', 'ml', 'units', 'puffs', 'drops', 'tablets', 'capsules'])
+    .withMessage('Invalid dosage unit'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const templateIdValidator = param('templateId')
+  .isMongoId()
+  .withMessage('Template ID must be a valid MongoDB ObjectId');
+
+/**
+ * @route POST /api/prescriptions/templates
+ * @desc Save a regimen as a template, from medications or an existing prescription
+ * @access Private (Doctor)
+ */
+router.post('/',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:create'),
+  [
+    ...templateFieldValidators(false),
+    body('prescriptionId')
+      .optional()
+      .isMongoId()
+      .withMessage('Prescription ID must be a valid MongoDB ObjectId')
+  ],
+  validate,
+  prescriptionTemplateController.createTemplate
+);
+
+/**
+ * @route GET /api/prescriptions/templates
+ * @desc List own and clinic-shared templates
+ * @access Private (Doctor)
+ */
+router.get('/',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:read'),
+  [
+    query('q')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Search text cannot exceed 100 characters'),
+    query('tag')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Tag cannot exceed 50 characters'),
+    query('scope')
+      .optional()
+      .isIn(['mine', 'clinic', 'all'])
+      .withMessage('Scope must be mine, clinic or all')
+  ],
+  validate,
+  prescriptionTemplateController.listTemplates
+);
+
+/**
+ * @route GET /api/prescriptions/templates/favourites
+ * @desc The doctor's templates ranked by their own use
+ * @access Private (Doctor)
+ */
+router.get('/favourites',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:read'),
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  validate,
+  prescriptionTemplateController.getFavourites
+);
+
+/**
+ * @route GET /api/prescriptions/templates/:templateId
+ * @desc Get a template
+ * @access Private (Doctor)
+ */
+router.get('/:templateId',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:read'),
+  [templateIdValidator],
+  validate,
+  prescriptionTemplateController.getTemplate
+);
+
+/**
+ * @route PUT /api/prescriptions/templates/:templateId
+ * @desc Update a template (owner only)
+ * @access Private (Doctor)
+ */
+router.put('/:templateId',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:create'),
+  [templateIdValidator, ...templateFieldValidators(true)],
+  validate,
+  prescriptionTemplateController.updateTemplate
+);
+
+/**
+ * @route DELETE /api/prescriptions/templates/:templateId
+ * @desc Archive a template (owner only)
+ * @access Private (Doctor)
+ */
+router.delete('/:templateId',
+  defaultRateLimit,
+  verifyToken,
+  requirePermission('prescription:create'),
+  [templateIdValidator],
+  validate,
+  prescriptionTemplateController.deleteTemplate
+);
+
+module.exports = router;
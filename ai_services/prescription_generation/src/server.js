@@ -1,7 +1,9 @@
 require('dotenv').config();
 const app = require('./app');
 const database = require('./config/database');
+const formularyService = require('./services/formulary.service');
 const logger = require('./utils/logger');
+const { getLLM } = require('./services/llm');
 
 const PORT = process.env.PORT || 9003;
 
@@ -16,6 +18,10 @@ async function startServer() {
     await database.connect();
     logger.info('Database connected successfully');
 
+    // Load the drug formulary used for lookups and safety checks
+    await formularyService.load();
+    formularyService.startAutoRefresh();
+
     // Validate required environment variables
     validateEnvironment();
 
@@ -119,6 +125,10 @@ function validateEnvironment() {
     }
   });
 
+  // Build the LLM client now, so a misconfigured provider stops startup
+  // rather than the first prescription request
+  getLLM();
+
   logger.info('Environment validation passed');
 }
 
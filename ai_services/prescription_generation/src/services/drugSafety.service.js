@@ -0,0 +1,433 @@
+const { dosageGuidelines, allergyGroups } = require('../data/medications');
+const formularyService = require('./formulary.service');
+const geminiService = require('./gemini.service');
+
+// Alert severities, least to most serious
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// Alerts at or above this severity must be acknowledged before signing
+const ACKNOWLEDGEMENT_SEVERITY = 'moderate';
+
+// Kidney function (eGFR or creatinine clearance, mL/min) below which doses need review
+const RENAL_MODERATE_THRESHOLD = 60;
+const RENAL_SEVERE_THRESHOLD = 30;
+
+// Upper limits of normal for liver tests
+const ALT_ULN = 40;
+const AST_ULN = 40;
+const BILIRUBIN_ULN = 1.2;
+
+// Conditions that mean severe liver disease whatever the latest labs say
+const SEVERE_HEPATIC_CONDITIONS = /cirrhosis|hepatic failure|liver failure/i;
+
+// Pregnancy and lactation ratings, mapped to alert severity
+const REPRODUCTIVE_SEVERITY = {
+  caution: 'moderate',
+  avoid: 'major',
+  contraindicated: 'contraindicated'
+};
+
+// Dose units converted to mg for comparison with mg-based guidelines
+const MG_PER_UNIT = { mg: 1, g: 1000, mcg: 0.001 };
+
+class DrugSafetyService {
+  /**
+   * Run every safety check on a prescription's medications
+   * @param {Array} medications - Prescribed medications
+   * @param {Object} patient - Safety profile from prescription.service getPatientSafetyProfile:
+   *   { age, weightKg, allergies, currentMedications, labs, conditions, pregnant, lactating }
+   * @returns {Array} Alerts ({ key, type, severity, medication, relatedTo, description, recommendation })
+   */
+  checkPrescription(medications = [], patient = {}) {
+    const prescribed = medications.map(medication => ({
+      medication,
+      name: medication.medicationName,
+      drug: formularyService.findDrug(medication.medicationName)
+    }));
+
+    const alerts = [
+      ...this.checkUnrecognised(prescribed),
+      ...this.checkAllergies(prescribed, patient.allergies),
+      ...this.checkInteractions(prescribed, patient.currentMedications),
+      ...this.checkDuplicateTherapy(prescribed, patient.currentMedications),
+      ...this.checkRenalFunction(prescribed, patient.labs),
+      ...this.checkHepaticFunction(prescribed, patient.labs, patient.conditions),
+      ...this.checkPregnancyAndLactation(prescribed, patient),
+      ...this.checkDosing(prescribed, patient)
+    ];
+
+    if (patient.missing?.length > 0) {
+      alerts.push(this.createAlert('incomplete_patient_data', 'moderate', null, {
+        description: `Safety checks ran without the patient's ${patient.missing.join(' and ')}`,
+        recommendation: 'Confirm allergies and relevant history with the patient before signing'
+      }));
+    }
+
+    return alerts.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  }
+
+  /**
+   * Check whether an alert must be acknowledged before signing
+   * @param {Object} alert - Alert
+   * @returns {boolean} True if acknowledgement is required
+   */
+  requiresAcknowledgement(alert) {
+    return SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(ACKNOWLEDGEMENT_SEVERITY);
+  }
+
+  /**
+   * Build an alert
+   * The key identifies the same problem across re-checks, so an acknowledgement
+   * survives edits that don't change it.
+   * @param {string} type - Alert type
+   * @param {string} severity - Alert severity
+   * @param {string} medication - Medication the alert is about
+   * @param {Object} details - { relatedTo, description, recommendation }
+   * @returns {Object} Alert
+   */
+  createAlert(type, severity, medication, { relatedTo, description, recommendation }) {
+    return {
+      key: [type, medication, relatedTo].filter(Boolean).join(':').toLowerCase(),
+      type,
+      severity,
+      medication,
+      relatedTo,
+      description,
+      recommendation
+    };
+  }
+
+  /**
+   * Flag medications the formulary doesn't recognise, since no other check covers them
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @returns {Array} Alerts
+   */
+  checkUnrecognised(prescribed) {
+    return prescribed
+      .filter(({ name, drug }) => name && !drug)
+      .map(({ name }) => this.createAlert('unrecognised_drug', 'moderate', name, {
+        description: `${name} is not in the formulary, so it was not checked for allergies, interactions or dosing`,
+        recommendation: 'Check the drug name, or review its safety manually before signing'
+      }));
+  }
+
+  /**
+   * Check medications against the patient's recorded allergies
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Array} allergies - Allergies ({ allergen, severity, reaction })
+   * @returns {Array} Alerts
+   */
+  checkAllergies(prescribed, allergies = []) {
+    const alerts = [];
+
+    prescribed.forEach(({ name, drug }) => {
+      const group = allergyGroups[drug?.class] || {};
+      const names = [name, drug?.genericName, ...(drug?.brandNames || [])].filter(Boolean).map(value => value.toLowerCase());
+      const direct = [...names, ...(group.allergens || [])];
+
+      allergies.forEach(allergy => {
+        const allergen = allergy.allergen.toLowerCase();
+        const reaction = allergy.reaction ? ` (${allergy.reaction})` : '';
+
+        if (direct.some(term => allergen.includes(term))) {
+          alerts.push(this.createAlert('allergy', 'contraindicated', name, {
+            relatedTo: allergy.allergen,
+            description: `Patient is allergic to ${allergy.allergen}${reaction}; ${name} is ${drug?.class ? `a ${drug.class}` : 'the same drug'}`,
+            recommendation: 'Choose an alternative from a different class'
+          }));
+        } else if ((group.crossReactive || []).some(term => allergen.includes(term))) {
+          alerts.push(this.createAlert('allergy', 'major', name, {
+            relatedTo: allergy.allergen,
+            description: `Patient is allergic to ${allergy.allergen}${reaction}, which may cross-react with ${name}`,
+            recommendation: 'Confirm the reaction history or choose an alternative'
+          }));
+        }
+      });
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Check for interactions within the prescription and with current medications
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Array} currentMedications - Names of medications the patient already takes
+   * @returns {Array} Alerts
+   */
+  checkInteractions(prescribed, currentMedications = []) {
+    const alerts = [];
+    const prescribedNames = prescribed.map(({ name, drug }) => drug?.genericName || name.toLowerCase());
+    const currentNames = currentMedications.map(name =>
+      formularyService.findDrug(name)?.genericName || name.toLowerCase());
+
+    const pairs = [];
+    prescribedNames.forEach((first, i) => {
+      prescribedNames.slice(i + 1).forEach(second => pairs.push([first, second, false]));
+      currentNames.forEach(second => pairs.push([first, second, true]));
+    });
+
+    pairs.forEach(([first, second, current]) => {
+      const interaction = formularyService.getInteraction(first, second);
+      if (!interaction) return;
+
+      alerts.push(this.createAlert('interaction', interaction.severity, first, {
+        relatedTo: second,
+        description: `${first} with ${second}${current ? ' (current medication)' : ''}: ${interaction.description}`,
+        recommendation: interaction.recommendation || 'Monitor closely'
+      }));
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Check for more than one drug from the same class
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Array} currentMedications - Names of medications the patient already takes
+   * @returns {Array} Alerts
+   */
+  checkDuplicateTherapy(prescribed, currentMedications = []) {
+    const alerts = [];
+    const current = currentMedications
+      .map(name => ({ name, drug: formularyService.findDrug(name) }))
+      .filter(({ drug }) => drug);
+
+    prescribed.forEach(({ name, drug }, i) => {
+      if (!drug) return;
+
+      prescribed.slice(i + 1)
+        .filter(other => other.drug?.class === drug.class)
+        .forEach(other => {
+          alerts.push(this.createAlert('duplicate_therapy', 'major', name, {
+            relatedTo: other.name,
+            description: `${name} and ${other.name} are both ${drug.class}s`,
+            recommendation: 'Prescribe one drug from this class'
+          }));
+        });
+
+      current
+        .filter(other => other.drug.class === drug.class)
+        .forEach(other => {
+          const sameDrug = other.drug.genericName === drug.genericName;
+          alerts.push(this.createAlert('duplicate_therapy', sameDrug ? 'minor' : 'moderate', name, {
+            relatedTo: other.name,
+            description: sameDrug
+              ? `Patient already takes ${other.name}`
+              : `Patient already takes ${other.name}, also a ${drug.class}`,
+            recommendation: sameDrug
+              ? 'Confirm this replaces the current prescription'
+              : 'Stop the current drug or choose one from another class'
+          }));
+        });
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Check drugs needing renal adjustment against kidney function
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Object} labs - Latest lab values ({ egfr, creatinineClearance })
+   * @returns {Array} Alerts
+   */
+  checkRenalFunction(prescribed, labs = {}) {
+    const clearance = labs.creatinineClearance ?? labs.egfr;
+    if (clearance === undefined || clearance >= RENAL_MODERATE_THRESHOLD) return [];
+
+    const measure = labs.creatinineClearance !== undefined ? 'CrCl' : 'eGFR';
+    const severe = clearance < RENAL_SEVERE_THRESHOLD;
+
+    return prescribed
+      .filter(({ drug }) => drug?.renalAdjustment ||
+        (severe && drug?.contraindications?.includes('severe renal impairment')))
+      .map(({ name, drug }) => {
+        const contraindicated = severe && drug.contraindications?.includes('severe renal impairment');
+
+        return this.createAlert('renal', contraindicated ? 'contraindicated' : severe ? 'major' : 'moderate', name, {
+          relatedTo: measure,
+          description: `${measure} is ${clearance} mL/min; ${name} ${contraindicated ? 'is contraindicated in severe renal impairment' : 'needs renal dose adjustment'}`,
+          recommendation: contraindicated ? 'Choose an alternative' : 'Reduce the dose or extend the interval per renal dosing guidance'
+        });
+      });
+  }
+
+  /**
+   * Check drugs needing hepatic adjustment against liver function
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Object} labs - Latest lab values ({ alt, ast, bilirubin })
+   * @param {Array} conditions - Patient's active conditions
+   * @returns {Array} Alerts
+   */
+  checkHepaticFunction(prescribed, labs = {}, conditions = []) {
+    const condition = conditions.find(name => SEVERE_HEPATIC_CONDITIONS.test(name));
+    const raised = [
+      labs.alt > ALT_ULN * 3 && `ALT ${labs.alt} U/L`,
+      labs.ast > AST_ULN * 3 && `AST ${labs.ast} U/L`,
+      labs.bilirubin > BILIRUBIN_ULN * 2 && `bilirubin ${labs.bilirubin} mg/dL`
+    ].filter(Boolean);
+
+    if (!condition && raised.length === 0) return [];
+
+    const severe = Boolean(condition);
+    const evidence = condition || raised.join(', ');
+
+    return prescribed
+      .filter(({ drug }) => drug?.hepaticAdjustment ||
+        (severe && drug?.contraindications?.includes('severe hepatic impairment')))
+      .map(({ name, drug }) => {
+        const contraindicated = severe && drug.contraindications?.includes('severe hepatic impairment');
+
+        return this.createAlert('hepatic', contraindicated ? 'contraindicated' : severe ? 'major' : 'moderate', name, {
+          relatedTo: condition ? 'hepatic impairment' : 'liver function tests',
+          description: `Impaired liver function (${evidence}); ${name} ${contraindicated ? 'is contraindicated in severe hepatic impairment' : 'needs hepatic dose adjustment'}`,
+          recommendation: contraindicated ? 'Choose an alternative' : 'Reduce the dose and monitor liver function'
+        });
+      });
+  }
+
+  /**
+   * Check drugs against pregnancy and breastfeeding
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Object} patient - { pregnant, lactating }
+   * @returns {Array} Alerts
+   */
+  checkPregnancyAndLactation(prescribed, { pregnant, lactating } = {}) {
+    const alerts = [];
+
+    prescribed.forEach(({ name, drug }) => {
+      if (!drug) return;
+
+      if (pregnant) {
+        const rating = drug.contraindications?.includes('pregnancy') ? 'contraindicated' : drug.pregnancy;
+        if (REPRODUCTIVE_SEVERITY[rating]) {
+          alerts.push(this.createAlert('pregnancy', REPRODUCTIVE_SEVERITY[rating], name, {
+            description: `${name} is rated "${rating}" in pregnancy`,
+            recommendation: rating === 'caution' ? 'Use only if the benefit outweighs the risk' : 'Choose a pregnancy-compatible alternative'
+          }));
+        }
+      }
+
+      if (lactating && REPRODUCTIVE_SEVERITY[drug.lactation]) {
+        alerts.push(this.createAlert('lactation', REPRODUCTIVE_SEVERITY[drug.lactation], name, {
+          description: `${name} is rated "${drug.lactation}" while breastfeeding`,
+          recommendation: drug.lactation === 'caution' ? 'Monitor the infant for adverse effects' : 'Choose an alternative compatible with breastfeeding'
+        }));
+      }
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Check doses against the maximum daily dose and age-specific guidelines
+   * @param {Array} prescribed - Prescribed medications with database entries
+   * @param {Object} patient - { age, weightKg }
+   * @returns {Array} Alerts
+   */
+  checkDosing(prescribed, { age, weightKg } = {}) {
+    const alerts = [];
+
+    prescribed.forEach(({ medication, name, drug }) => {
+      if (!drug) return;
+
+      const dailyDose = geminiService.calculateDailyDose(medication);
+      const maxDose = parseFloat(drug.maxDailyDose);
+      if (drug.maxDailyDose && medication.dosage.unit === drug.maxDailyDose.replace(/[\d.\s]/g, '') && dailyDose > maxDose) {
+        alerts.push(this.createAlert('max_dose', 'major', name, {
+          description: `Daily dose (${dailyDose}${medication.dosage.unit}) exceeds maximum (${drug.maxDailyDose})`,
+          recommendation: `Reduce to at most ${drug.maxDailyDose} a day`
+        }));
+      }
+
+      if (age === undefined || age === null) return;
+
+      if (age < 18) {
+        alerts.push(...this.checkPediatricDose(medication, name, drug, weightKg));
+      } else if (age >= dosageGuidelines.geriatric.ageThreshold) {
+        alerts.push(...this.checkGeriatricDose(name, drug));
+      }
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Check a child's dose against the weight-based guideline
+   * Guidelines read like "10-15mg/kg every 4-6 hours" (per dose) or
+   * "20-40mg/kg/day divided every 8 hours" (per day).
+   * @param {Object} medication - Prescribed medication
+   * @param {string} name - Medication name
+   * @param {Object} drug - Database entry
+   * @param {number} weightKg - Patient weight
+   * @returns {Array} Alerts
+   */
+  checkPediatricDose(medication, name, drug, weightKg) {
+    const guideline = drug.pediatricDosing;
+
+    if (!guideline) {
+      return [this.createAlert('pediatric_dose', 'moderate', name, {
+        description: `No paediatric dosing guideline for ${name}`,
+        recommendation: 'Verify the dose against a paediatric formulary'
+      })];
+    }
+
+    const match = guideline.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)mg\/kg(\/day)?/);
+    const mgPerUnit = MG_PER_UNIT[medication.dosage.unit];
+
+    if (!weightKg || !match || !mgPerUnit) {
+      return [this.createAlert('pediatric_dose', 'moderate', name, {
+        description: `${name} is dosed by weight in children (${guideline})${weightKg ? '' : ' but no weight is recorded'}`,
+        recommendation: 'Record the patient\'s weight and check the dose'
+      })];
+    }
+
+    const [, min, max, perDay] = match;
+    const dose = (perDay ? geminiService.calculateDailyDose(medication) : medication.dosage.amount) * mgPerUnit;
+    const dosePerKg = Math.round((dose / weightKg) * 10) / 10;
+    const basis = perDay ? 'mg/kg/day' : 'mg/kg per dose';
+
+    if (dosePerKg > parseFloat(max)) {
+      return [this.createAlert('pediatric_dose', 'major', name, {
+        description: `${dosePerKg} ${basis} at ${weightKg} kg is above the ${guideline} guideline`,
+        recommendation: `Reduce to at most ${Math.floor(parseFloat(max) * weightKg)} mg ${perDay ? 'a day' : 'per dose'}`
+      })];
+    }
+
+    if (dosePerKg < parseFloat(min)) {
+      return [this.createAlert('pediatric_dose', 'moderate', name, {
+        description: `${dosePerKg} ${basis} at ${weightKg} kg is below the ${guideline} guideline`,
+        recommendation: `Increase to at least ${Math.ceil(parseFloat(min) * weightKg)} mg ${perDay ? 'a day' : 'per dose'}`
+      })];
+    }
+
+    return [];
+  }
+
+  /**
+   * Check a drug against the geriatric guidelines
+   * @param {string} name - Medication name
+   * @param {Object} drug - Database entry
+   * @returns {Array} Alerts
+   */
+  checkGeriatricDose(name, drug) {
+    const { avoidMedications, adjustmentFactors } = dosageGuidelines.geriatric;
+
+    if (avoidMedications.includes(drug.genericName)) {
+      return [this.createAlert('geriatric', 'moderate', name, {
+        description: `${name} is best avoided in older adults`,
+        recommendation: 'Choose an alternative or use the lowest effective dose'
+      })];
+    }
+
+    if (adjustmentFactors[drug.genericName]) {
+      return [this.createAlert('geriatric', 'minor', name, {
+        description: `Older adults usually start ${name} at ${adjustmentFactors[drug.genericName] * 100}% of the adult dose`,
+        recommendation: 'Start low and titrate slowly'
+      })];
+    }
+
+    return [];
+  }
+}
+
+module.exports = new DrugSafetyService();
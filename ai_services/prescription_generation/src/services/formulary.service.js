@@ -0,0 +1,593 @@
+const FormularyDrug = require('../models/FormularyDrug');
+const FormularyVersion = require('../models/FormularyVersion');
+const { medications, drugInteractions, dosageGuidelines } = require('../data/medications');
+const { parseCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, InternalServerError } = require('../utils/error-handler');
+
+// Drug fields that hold lists; CSV cells separate their items with |
+const LIST_FIELDS = ['synonyms', 'strengths', 'forms', 'frequencies', 'routes', 'indications', 'contraindications', 'sideEffects'];
+
+// Drug fields an import can set, besides lists, brands and interactions
+const TEXT_FIELDS = ['class', 'maxDailyDose', 'pediatricDosing'];
+const BOOLEAN_FIELDS = ['renalAdjustment', 'hepaticAdjustment'];
+const RATING_FIELDS = ['pregnancy', 'lactation'];
+
+// Shortest generic name that findDrug will match as a word inside a longer name
+const MIN_PARTIAL_MATCH_LENGTH = 4;
+
+// Every field compared to decide whether an import changed a drug
+const TRACKED_FIELDS = [
+  ...LIST_FIELDS, ...TEXT_FIELDS, ...BOOLEAN_FIELDS, ...RATING_FIELDS,
+  'category', 'brands', 'interactions', 'active'
+];
+
+// CSV columns for the drug fields
+const CSV_COLUMNS = {
+  generic_name: 'genericName',
+  synonyms: 'synonyms',
+  category: 'category',
+  class: 'class',
+  strengths: 'strengths',
+  forms: 'forms',
+  frequencies: 'frequencies',
+  routes: 'routes',
+  indications: 'indications',
+  contraindications: 'contraindications',
+  side_effects: 'sideEffects',
+  max_daily_dose: 'maxDailyDose',
+  renal_adjustment: 'renalAdjustment',
+  hepatic_adjustment: 'hepaticAdjustment',
+  pregnancy: 'pregnancy',
+  lactation: 'lactation',
+  pediatric_dosing: 'pediatricDosing',
+  discontinued: 'discontinued'
+};
+
+const MAX_IMPORT_DRUGS = 20000;
+const INTERACTION_SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const parseBoolean = (value) => (typeof value === 'boolean' ? value : /^(true|yes|y|1)$/i.test(String(value).trim()));
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Formulary Service
+ * The drug catalogue behind medication lookups and safety checks. Drugs live in
+ * MongoDB and are held in memory for synchronous lookups; until the catalogue
+ * has loaded, and in tests, the starter formulary in data/medications.js is used.
+ */
+class FormularyService {
+  constructor() {
+    this.refreshInterval = parseInt(process.env.FORMULARY_REFRESH_INTERVAL) || 300000;
+    this.refreshTimer = null;
+    this.loadedAt = null;
+    this.setDrugs(this.buildSeedDrugs());
+  }
+
+  /**
+   * Turn the starter formulary into catalogue records
+   * @returns {Array} Drugs
+   */
+  buildSeedDrugs() {
+    return Object.values(medications).map(({ brandNames = [], commonDosages = [], ...drug }) => ({
+      ...drug,
+      synonyms: drug.synonyms || [],
+      brands: brandNames.map(name => ({ name })),
+      strengths: commonDosages,
+      forms: [],
+      pediatricDosing: dosageGuidelines.pediatric.weightBasedDosing[drug.genericName],
+      interactions: Object.entries(drugInteractions[drug.genericName] || {})
+        .map(([other, interaction]) => ({ drug: other, ...interaction }))
+    }));
+  }
+
+  /**
+   * Replace the in-memory catalogue
+   * @param {Array} drugs - Active drugs
+   */
+  setDrugs(drugs) {
+    this.drugs = new Map();
+    this.names = new Map();
+
+    drugs.forEach(drug => {
+      const entry = {
+        ...drug,
+        brandNames: Array.from(new Set((drug.brands || []).map(brand => brand.name)))
+      };
+      this.drugs.set(entry.genericName, entry);
+
+      [entry.genericName, ...(entry.synonyms || []), ...entry.brandNames].forEach(name => {
+        const key = this.normalizeName(name);
+        if (!this.names.has(key)) this.names.set(key, entry);
+
+        // "Dolo 650" is also found as "Dolo"
+        const base = this.stripStrength(key);
+        if (base && !this.names.has(base)) this.names.set(base, entry);
+      });
+    });
+  }
+
+  /**
+   * Lowercase a drug name and collapse its whitespace
+   * @param {string} name - Drug name
+   * @returns {string} Normalized name
+   */
+  normalizeName(name = '') {
+    return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Remove a trailing strength from a drug name ("dolo 650 mg" -> "dolo")
+   * @param {string} name - Normalized drug name
+   * @returns {string} Name without strength
+   */
+  stripStrength(name) {
+    return name.replace(/\s+\d.*$/, '').trim();
+  }
+
+  /**
+   * Find a drug by generic name, synonym or brand
+   * @param {string} medicationName - Name as written in the prescription
+   * @returns {Object|null} Catalogue entry or null
+   */
+  findDrug(medicationName) {
+    const name = this.normalizeName(medicationName);
+    if (!name) return null;
+
+    const match = this.names.get(name) || this.names.get(this.stripStrength(name));
+    if (match) return match;
+
+    // Generic name as whole words of a longer name, e.g. "metformin er".
+    // Names matching none or several drugs are left unrecognised rather than guessed.
+    const tokens = ` ${this.tokenize(name).join(' ')} `;
+    const matches = [...this.drugs.values()].filter(drug =>
+      drug.genericName.length >= MIN_PARTIAL_MATCH_LENGTH &&
+      tokens.includes(` ${this.tokenize(drug.genericName).join(' ')} `));
+
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Split a drug name into lowercase words
+   * @param {string} name - Drug name
+   * @returns {Array} Words
+   */
+  tokenize(name) {
+    return this.normalizeName(name).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  /**
+   * Find the interaction between two generic drugs, in either direction
+   * @param {string} first - Generic name
+   * @param {string} second - Generic name
+   * @returns {Object|null} Interaction ({ severity, description, recommendation }) or null
+   */
+  getInteraction(first, second) {
+    const lookup = (from, to) => this.drugs.get(from)?.interactions?.find(interaction => interaction.drug === to);
+    return lookup(first, second) || lookup(second, first) || null;
+  }
+
+  /**
+   * List the generic names in the catalogue
+   * @returns {Array<string>} Generic names
+   */
+  listGenericNames() {
+    return Array.from(this.drugs.keys());
+  }
+
+  /**
+   * Load the catalogue from the database, seeding it on first start
+   * @returns {Promise<number>} Number of active drugs
+   */
+  async load() {
+    const drugs = await FormularyDrug.findActive();
+
+    if (drugs.length === 0 && !(await FormularyVersion.findLatest())) {
+      logger.info('Formulary is empty; importing the starter formulary');
+      await this.importDrugs(this.buildSeedDrugs(), { source: 'seed', description: 'Starter formulary' });
+      return this.drugs.size;
+    }
+
+    this.setDrugs(drugs);
+    this.loadedAt = new Date();
+
+    logger.info('Formulary loaded', { drugs: drugs.length });
+    return drugs.length;
+  }
+
+  /**
+   * Reload the catalogue periodically, so imports on other instances are picked up
+   */
+  startAutoRefresh() {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setInterval(() => {
+      this.load().catch(error => logger.error('Failed to refresh formulary', { error: error.message }));
+    }, this.refreshInterval);
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Turn an import file into drug records
+   * CSV files have one row per brand product; rows with the same generic_name
+   * are combined into one drug. JSON is an array of drugs, or { drugs: [...] }.
+   * @param {string|Object|Array} content - CSV text or parsed JSON
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Array} Drug records with their source row number
+   */
+  parseImport(content, format) {
+    if (format === 'csv') {
+      if (typeof content !== 'string' || !content.trim()) {
+        throw new ValidationError('CSV import must have a header row and at least one drug');
+      }
+      return parseCsv(content).map((row, index) => ({ row: index + 2, record: this.csvRowToRecord(row) }));
+    }
+
+    const drugs = Array.isArray(content) ? content : content?.drugs;
+    if (!Array.isArray(drugs)) {
+      throw new ValidationError('JSON import must be an array of drugs or { drugs: [...] }');
+    }
+    return drugs.map((record, index) => ({ row: index + 1, record }));
+  }
+
+  /**
+   * Convert one CSV row into a drug record
+   * @param {Object} row - Row keyed by column
+   * @returns {Object} Drug record
+   */
+  csvRowToRecord(row) {
+    const record = {};
+
+    Object.entries(CSV_COLUMNS).forEach(([column, field]) => {
+      if (isBlank(row[column])) return;
+      record[field] = LIST_FIELDS.includes(field) ? row[column].split('|') : row[column];
+    });
+
+    if (!isBlank(row.brand_name)) {
+      record.brands = [{
+        name: row.brand_name,
+        manufacturer: row.manufacturer || undefined,
+        strength: row.strength || undefined,
+        form: row.form || undefined
+      }];
+    } else {
+      if (!isBlank(row.strength)) record.strengths = [...(record.strengths || []), row.strength];
+      if (!isBlank(row.form)) record.forms = [...(record.forms || []), row.form];
+    }
+
+    return record;
+  }
+
+  /**
+   * Validate a drug record and coerce its values
+   * Only the fields present in the record are returned, so an import can update
+   * some fields of a drug without clearing the rest.
+   * @param {Object} record - Drug record
+   * @returns {Object} Normalized drug
+   */
+  normalizeRecord(record) {
+    if (!record || typeof record !== 'object' || isBlank(record.genericName)) {
+      throw new ValidationError('genericName is required');
+    }
+
+    const drug = { genericName: this.normalizeName(record.genericName) };
+    const toList = (value) => (Array.isArray(value) ? value : [value])
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    LIST_FIELDS.filter(field => !isBlank(record[field])).forEach(field => {
+      drug[field] = Array.from(new Set(toList(record[field])));
+    });
+    if (drug.synonyms) drug.synonyms = drug.synonyms.map(name => this.normalizeName(name));
+
+    TEXT_FIELDS.filter(field => !isBlank(record[field])).forEach(field => {
+      drug[field] = String(record[field]).trim();
+    });
+
+    BOOLEAN_FIELDS.filter(field => !isBlank(record[field])).forEach(field => {
+      drug[field] = parseBoolean(record[field]);
+    });
+
+    RATING_FIELDS.filter(field => !isBlank(record[field])).forEach(field => {
+      const rating = String(record[field]).trim().toLowerCase();
+      if (!FormularyDrug.REPRODUCTIVE_RATINGS.includes(rating)) {
+        throw new ValidationError(`${field} must be one of ${FormularyDrug.REPRODUCTIVE_RATINGS.join(', ')}`);
+      }
+      drug[field] = rating;
+    });
+
+    if (!isBlank(record.category)) {
+      const category = String(record.category).trim().toLowerCase();
+      drug.category = FormularyDrug.schema.path('category').enumValues.includes(category) ? category : 'other';
+    }
+
+    if (!isBlank(record.brands)) {
+      drug.brands = [].concat(record.brands).map(brand => {
+        if (isBlank(brand?.name)) throw new ValidationError('Every brand needs a name');
+        return {
+          name: String(brand.name).trim(),
+          manufacturer: brand.manufacturer ? String(brand.manufacturer).trim() : undefined,
+          strength: brand.strength ? String(brand.strength).trim() : undefined,
+          form: brand.form ? String(brand.form).trim().toLowerCase() : undefined
+        };
+      });
+    }
+
+    if (!isBlank(record.interactions)) {
+      if (!Array.isArray(record.interactions)) throw new ValidationError('interactions must be an array');
+      drug.interactions = record.interactions.map(interaction => {
+        if (isBlank(interaction?.drug) || isBlank(interaction?.description) ||
+            !INTERACTION_SEVERITIES.includes(interaction?.severity)) {
+          throw new ValidationError(`Every interaction needs a drug, a description and a severity (${INTERACTION_SEVERITIES.join(', ')})`);
+        }
+        return {
+          drug: this.normalizeName(interaction.drug),
+          severity: interaction.severity,
+          description: String(interaction.description).trim(),
+          recommendation: interaction.recommendation ? String(interaction.recommendation).trim() : undefined
+        };
+      });
+    }
+
+    if (!isBlank(record.discontinued)) {
+      drug.discontinued = parseBoolean(record.discontinued);
+    }
+
+    return drug;
+  }
+
+  /**
+   * Combine records for the same generic drug
+   * Brands and list fields are combined; for other fields the later record wins.
+   * @param {Object} into - Drug so far
+   * @param {Object} from - Later record
+   * @returns {Object} Combined drug
+   */
+  mergeRecords(into, from) {
+    const merged = { ...into, ...from };
+
+    LIST_FIELDS.forEach(field => {
+      if (into[field] && from[field]) merged[field] = Array.from(new Set([...into[field], ...from[field]]));
+    });
+    if (into.brands && from.brands) merged.brands = this.mergeBrands(into.brands, from.brands);
+
+    return merged;
+  }
+
+  /**
+   * Merge brand products, matching on name, strength and form
+   * @param {Array} existing - Current brands
+   * @param {Array} incoming - Imported brands (win on conflict)
+   * @returns {Array} Brands
+   */
+  mergeBrands(existing = [], incoming = []) {
+    const key = ({ name, strength, form }) => [name, strength, form].map(value => (value || '').toLowerCase()).join('|');
+    const brands = new Map(existing.map(brand => [key(brand), brand]));
+
+    incoming.forEach(brand => brands.set(key(brand), { ...brands.get(key(brand)), ...brand }));
+    return Array.from(brands.values());
+  }
+
+  /**
+   * Apply an imported drug to its current catalogue entry
+   * @param {Object} current - Current drug (plain object) or null for a new drug
+   * @param {Object} incoming - Normalized imported drug
+   * @returns {Object} { drug, fields } with the changed fields
+   */
+  applyImport(current, incoming) {
+    const { discontinued, ...fields } = incoming;
+    const base = current || {
+      synonyms: [], brands: [], strengths: [], forms: [], frequencies: [], routes: [],
+      indications: [], contraindications: [], sideEffects: [], interactions: [],
+      category: 'other', renalAdjustment: false, hepaticAdjustment: false
+    };
+
+    const drug = { ...base, ...fields };
+    if (fields.brands) drug.brands = this.mergeBrands(base.brands, fields.brands);
+
+    // A brand product's strength and form are strengths and forms of the drug
+    drug.strengths = Array.from(new Set([...(drug.strengths || []), ...drug.brands.map(brand => brand.strength).filter(Boolean)]));
+    drug.forms = Array.from(new Set([...(drug.forms || []), ...drug.brands.map(brand => brand.form).filter(Boolean)]));
+    drug.active = discontinued === undefined ? true : !discontinued;
+
+    const changed = current
+      ? TRACKED_FIELDS.filter(field => JSON.stringify(current[field] ?? null) !== JSON.stringify(drug[field] ?? null))
+      : TRACKED_FIELDS.filter(field => !isBlank(drug[field]) && !(Array.isArray(drug[field]) && drug[field].length === 0));
+
+    return { drug, fields: changed };
+  }
+
+  /**
+   * Import drugs into the catalogue as a new formulary version
+   * Drugs are matched on generic name. Changed drugs keep their previous values
+   * as a revision; drugs marked discontinued are deactivated, not deleted.
+   * @param {Array} records - Drug records (or { row, record } from parseImport)
+   * @param {Object} options - { source, importedBy, description, dryRun }
+   * @returns {Promise<Object>} Version ({ version, summary, changes, rejected })
+   */
+  async importDrugs(records, { source = 'json', importedBy, description, dryRun = false } = {}) {
+    if (records.length === 0) {
+      throw new ValidationError('Import contains no drugs');
+    }
+    if (records.length > MAX_IMPORT_DRUGS) {
+      throw new ValidationError(`Import is limited to ${MAX_IMPORT_DRUGS} rows`);
+    }
+
+    try {
+      // Validate every record and combine those for the same drug
+      const rejected = [];
+      const incoming = new Map();
+
+      records.map((entry, index) => (entry.record ? entry : { row: index + 1, record: entry }))
+        .forEach(({ row, record }) => {
+          try {
+            const drug = this.normalizeRecord(record);
+            incoming.set(drug.genericName, incoming.has(drug.genericName)
+              ? this.mergeRecords(incoming.get(drug.genericName), drug)
+              : drug);
+          } catch (error) {
+            rejected.push({ row, genericName: record?.genericName, message: error.message });
+          }
+        });
+
+      const latest = await FormularyVersion.findLatest();
+      const version = (latest?.version || 0) + 1;
+      const existing = new Map((await FormularyDrug.find({ genericName: { $in: Array.from(incoming.keys()) } }).lean())
+        .map(drug => [drug.genericName, drug]));
+
+      const summary = { added: 0, updated: 0, unchanged: 0, discontinued: 0, rejected: rejected.length };
+      const changes = [];
+      const operations = [];
+
+      incoming.forEach((record, genericName) => {
+        const current = existing.get(genericName) || null;
+        const { drug, fields } = this.applyImport(current, record);
+
+        if (current && fields.length === 0) {
+          summary.unchanged++;
+          return;
+        }
+
+        const action = !current ? 'added' : drug.active ? 'updated' : 'discontinued';
+        summary[action]++;
+        changes.push({ genericName, action, fields });
+
+        const { _id, revisions, createdAt, updatedAt, __v, ...values } = drug;
+        const update = {
+          ...values,
+          searchNames: FormularyDrug.searchNamesFor(drug),
+          version
+        };
+
+        operations.push(current
+          ? {
+            updateOne: {
+              filter: { _id: current._id },
+              update: {
+                $set: update,
+                $push: {
+                  revisions: {
+                    version,
+                    fields,
+                    previous: Object.fromEntries(fields.map(field => [field, current[field]])),
+                    changedAt: new Date()
+                  }
+                }
+              }
+            }
+          }
+          : { insertOne: { document: update } });
+      });
+
+      const result = { version, source, description, importedBy, summary, changes, rejected };
+      if (dryRun) {
+        return { ...result, dryRun: true };
+      }
+
+      if (operations.length > 0) {
+        await FormularyDrug.bulkWrite(operations, { ordered: false });
+      }
+      const formularyVersion = await FormularyVersion.create(result);
+
+      logger.info('Formulary imported', { version, source, importedBy, ...summary });
+
+      await this.load();
+      return formularyVersion;
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      logger.error('Formulary import failed', { source, error: error.message });
+      throw new InternalServerError('Failed to import formulary');
+    }
+  }
+
+  /**
+   * Suggest drugs for a partly typed name
+   * Matches the start of generic names, synonyms and brand names. A brand is
+   * suggested once per strength and form, so picking one fills in the dose.
+   * @param {string} query - Typed text
+   * @param {number} limit - Maximum suggestions
+   * @returns {Promise<Array>} Suggestions ({ label, genericName, brandName, manufacturer, strength, form })
+   */
+  async search(query, limit = 10) {
+    const prefix = this.normalizeName(query);
+    if (!prefix) return [];
+
+    const drugs = await FormularyDrug.find({
+      active: true,
+      searchNames: { $regex: `^${escapeRegExp(prefix)}` }
+    })
+      .select('genericName synonyms brands strengths forms category class')
+      .limit(limit * 2)
+      .lean();
+
+    const suggestions = drugs.flatMap(drug => {
+      const generic = [drug.genericName, ...(drug.synonyms || [])].some(name => name.startsWith(prefix))
+        ? [{
+          label: drug.genericName,
+          genericName: drug.genericName,
+          strengths: drug.strengths,
+          forms: drug.forms,
+          drugClass: drug.class,
+          category: drug.category
+        }]
+        : [];
+
+      const brands = (drug.brands || [])
+        .filter(brand => brand.name.toLowerCase().startsWith(prefix))
+        .map(brand => ({
+          label: [brand.name, brand.strength, brand.form].filter(Boolean).join(' ') + ` (${drug.genericName})`,
+          genericName: drug.genericName,
+          brandName: brand.name,
+          manufacturer: brand.manufacturer,
+          strength: brand.strength,
+          form: brand.form,
+          drugClass: drug.class,
+          category: drug.category
+        }));
+
+      return [...generic, ...brands];
+    });
+
+    return suggestions
+      .sort((a, b) => (a.brandName ? 1 : 0) - (b.brandName ? 1 : 0) || a.label.localeCompare(b.label))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a drug with its revision history
+   * @param {string} genericName - Generic name
+   * @returns {Promise<Object>} Drug
+   */
+  async getDrug(genericName) {
+    const drug = await FormularyDrug.findByGenericName(genericName);
+    if (!drug) {
+      throw new NotFoundError('Drug not found in formulary');
+    }
+    return drug;
+  }
+
+  /**
+   * List formulary versions, newest first
+   * @param {number} limit - Maximum versions
+   * @returns {Promise<Array>} Versions without their change lists
+   */
+  listVersions(limit) {
+    return FormularyVersion.list(limit);
+  }
+
+  /**
+   * Get one formulary version with its changes
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Version
+   */
+  async getVersion(version) {
+    const formularyVersion = await FormularyVersion.findOne({ version });
+    if (!formularyVersion) {
+      throw new NotFoundError('Formulary version not found');
+    }
+    return formularyVersion;
+  }
+}
+
+module.exports = new FormularyService();
@@ -1,15 +1,9 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getLLM, estimateTokens } = require('./llm');
 const logger = require('../utils/logger');
-const { medications, drugInteractions, prescriptionPatterns, frequencyMappings } = require('../data/medications');
+const formularyService = require('./formulary.service');
+const { prescriptionPatterns } = require('../data/medications');
 
 class GeminiService {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-1.5-pro'
-    });
-    this.medicationNames = Object.keys(medications);
-  }
 
   /**
    * Generate prescription from transcription or clinical note
@@ -33,20 +27,15 @@ class GeminiService {
         maxOutputTokens: options.maxOutputTokens || parseInt(process.env.GEMINI_MAX_OUTPUT_TOKENS) || 4096
       };
 
-      logger.info('Generating prescription with Gemini', {
+      logger.info('Generating prescription', {
         textLength: text.length,
         context: Object.keys(context),
         config: generationConfig
       });
 
       // Generate content
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig
-      });
-
-      const response = result.response;
-      const generatedText = response.text();
+      const result = await getLLM().generate(prompt, generationConfig);
+      const generatedText = result.text;
 
       // Parse prescription data
       const prescriptionData = this.parsePrescriptionData(generatedText);
@@ -60,8 +49,7 @@ class GeminiService {
       // Assess quality
       const qualityMetrics = this.assessQuality(enhancedPrescription);
 
-      // Estimate token usage
-      const tokenUsage = this.estimateTokenUsage(prompt, generatedText);
+      const tokenUsage = result.usage;
 
       const processingTime = Date.now() - startTime;
 
@@ -75,7 +63,8 @@ class GeminiService {
       return {
         prescription: enhancedPrescription,
         metadata: {
-          model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+          provider: result.provider,
+          model: result.model,
           version: '1.0',
           confidenceScore,
           processingTime,
@@ -141,7 +130,7 @@ ${text}
    - Drug interactions with current medications
 
 **COMMON MEDICATIONS DATABASE:**
-${this.medicationNames.slice(0, 20).join(', ')}... (and many more)
+${formularyService.listGenericNames().slice(0, 20).join(', ')}... (and many more)
 
 **OUTPUT FORMAT:**
 Provide your response as a JSON object with the following structure:
@@ -196,8 +185,8 @@ Please analyze the text and extract prescription information following these gui
   }
 
   /**
-   * Parse prescription data from Gemini response
-   * @param {string} response - Raw response from Gemini
+   * Parse prescription data from the model response
+   * @param {string} response - Raw response from the model
    * @returns {Object} Parsed prescription data
    */
   parsePrescriptionData(response) {
@@ -375,11 +364,12 @@ Please analyze the text and extract prescription information following these gui
         enhancedMed.drugClass = dbMed.class;
         enhancedMed.indication = enhancedMed.indication || dbMed.indications?.[0];
 
-        // Validate dosage against common dosages
-        if (dbMed.commonDosages) {
+        // Validate dosage against the strengths in the formulary ("500 mg" matches 500mg)
+        if (dbMed.strengths?.length) {
           const dosageStr = `${enhancedMed.dosage.amount}${enhancedMed.dosage.unit}`;
-          if (!dbMed.commonDosages.includes(dosageStr)) {
-            enhancedMed.dosageAlert = `Unusual dosage: ${dosageStr}. Common dosages: ${dbMed.commonDosages.join(', ')}`;
+          const strengths = dbMed.strengths.map(strength => strength.replace(/\s+/g, '').toLowerCase());
+          if (!strengths.includes(dosageStr.toLowerCase())) {
+            enhancedMed.dosageAlert = `Unusual dosage: ${dosageStr}. Common dosages: ${dbMed.strengths.join(', ')}`;
           }
         }
       }
@@ -391,35 +381,12 @@ Please analyze the text and extract prescription information following these gui
   }
 
   /**
-   * Find medication in database
-   * @param {string} medicationName - Medication name to search
+   * Find medication in the formulary
+   * @param {string} medicationName - Generic, synonym or brand name
    * @returns {Object|null} Medication data or null
    */
   findMedicationInDatabase(medicationName) {
-    const name = medicationName.toLowerCase();
-
-    // Direct match
-    if (medications[name]) {
-      return medications[name];
-    }
-
-    // Search by brand names
-    for (const [key, med] of Object.entries(medications)) {
-      if (med.brandNames && med.brandNames.some(brand =>
-        brand.toLowerCase() === name
-      )) {
-        return med;
-      }
-    }
-
-    // Partial match
-    for (const [key, med] of Object.entries(medications)) {
-      if (key.includes(name) || name.includes(key)) {
-        return med;
-      }
-    }
-
-    return null;
+    return formularyService.findDrug(medicationName);
   }
 
   /**
@@ -564,9 +531,8 @@ Please analyze the text and extract prescription information following these gui
    * @returns {Object} Token usage estimate
    */
   estimateTokenUsage(prompt, response) {
-    // Rough estimation: 1 token ≈ 4 characters
-    const inputTokens = Math.ceil(prompt.length / 4);
-    const outputTokens = Math.ceil(response.length / 4);
+    const inputTokens = estimateTokens(prompt);
+    const outputTokens = estimateTokens(response);
 
     return {
       inputTokens,
@@ -585,11 +551,10 @@ Please analyze the text and extract prescription information following these gui
 
     for (let i = 0; i < medications.length; i++) {
       for (let j = i + 1; j < medications.length; j++) {
-        const med1 = medications[i].medicationName.toLowerCase();
-        const med2 = medications[j].medicationName.toLowerCase();
+        const med1 = this.findMedicationInDatabase(medications[i].medicationName)?.genericName || medications[i].medicationName.toLowerCase();
+        const med2 = this.findMedicationInDatabase(medications[j].medicationName)?.genericName || medications[j].medicationName.toLowerCase();
 
-        // Check both directions
-        const interaction = drugInteractions[med1]?.[med2] || drugInteractions[med2]?.[med1];
+        const interaction = formularyService.getInteraction(med1, med2);
 
         if (interaction) {
           interactions.push({
@@ -0,0 +1,11 @@
+/**
+ * LLM Provider
+ * The shared LLM layer (shared/llm), logging through this service's logger
+ */
+
+const llm = require('@dr-assistant/llm');
+const logger = require('../utils/logger');
+
+llm.setLogger(logger);
+
+module.exports = llm;
@@ -1,8 +1,23 @@
+const crypto = require('crypto');
 const Prescription = require('../models/Prescription');
 const geminiService = require('./gemini.service');
+const drugSafetyService = require('./drugSafety.service');
+const prescriptionPdfService = require('./prescriptionPdf.service');
 const logger = require('../utils/logger');
 const axios = require('axios');
-const { InternalServerError, ValidationError, NotFoundError } = require('../utils/error-handler');
+const { InternalServerError, ValidationError, NotFoundError, ConflictError, ServiceUnavailableError } = require('../utils/error-handler');
+
+// Lab tests the safety checks use, matched against the test names in the patient's lab results
+const SAFETY_LABS = {
+  egfr: /egfr|glomerular filtration/i,
+  creatinineClearance: /creatinine clearance|crcl/i,
+  alt: /\balt\b|alanine/i,
+  ast: /\bast\b|aspartate/i,
+  bilirubin: /bilirubin/i
+};
+
+// Fields set only by the safety checks and signing, never by a plain update
+const PROTECTED_FIELDS = ['safetyAlerts', 'safetyCheckedAt', 'drugInteractions', 'signedAt', 'sentAt', 'prescriber', 'verification', 'templateId'];
 
 class PrescriptionService {
   constructor() {
@@ -43,7 +58,7 @@ class PrescriptionService {
       // Extract text for processing
       const textToProcess = this.extractTextFromSource(sourceData);
 
-      // Generate prescription using Gemini
+      // Generate prescription with the configured LLM
       const generationResult = await geminiService.generatePrescription(
         textToProcess,
         enrichedContext,
@@ -205,11 +220,19 @@ class PrescriptionService {
     try {
       const prescription = await this.getPrescriptionById(prescriptionId);
 
+      if (['signed', 'sent', 'dispensed'].includes(prescription.status)) {
+        throw new ConflictError(`Prescription is already ${prescription.status}`);
+      }
+
+      const allowedUpdates = Object.fromEntries(
+        Object.entries(updates).filter(([field]) => !PROTECTED_FIELDS.includes(field))
+      );
+
       // Track changes for audit
-      const changes = this.trackChanges(prescription, updates);
+      const changes = this.trackChanges(prescription, allowedUpdates);
 
       // Apply updates
-      Object.assign(prescription, updates);
+      Object.assign(prescription, allowedUpdates);
 
       // Add edit history
       if (changes.length > 0) {
@@ -294,14 +317,37 @@ class PrescriptionService {
 
   /**
    * Sign prescription
+   * Every safety alert that needs acknowledgement must have been acknowledged.
    * @param {string} prescriptionId - Prescription ID
    * @param {string} signerId - Signer ID
+   * @param {Object} prescriber - Printed prescriber details ({ name, specialty, registrationNumber, registrationCouncil })
    * @returns {Promise<Object>} Signed prescription
    */
-  async signPrescription(prescriptionId, signerId) {
+  async signPrescription(prescriptionId, signerId, prescriber = {}) {
     try {
+      if (!prescriber.registrationNumber) {
+        throw new ValidationError('No medical registration number is on file for this doctor; ask an administrator to record it before signing');
+      }
+
       const prescription = await this.getPrescriptionById(prescriptionId);
-      await prescription.markAsSigned(signerId);
+
+      // Signing again would replace the verification code on printed copies
+      if (!['draft', 'review', 'approved'].includes(prescription.status)) {
+        throw new ConflictError(`A ${prescription.status} prescription cannot be signed`);
+      }
+
+      if (!prescription.safetyCheckedAt) {
+        throw new ConflictError('Run safety checks before signing');
+      }
+
+      const pending = prescription.unacknowledgedAlerts;
+      if (pending.length > 0) {
+        throw new ConflictError(`${pending.length} safety alert(s) must be acknowledged before signing`);
+      }
+
+      // Unguessable code for the QR verification link
+      const verificationCode = crypto.randomBytes(18).toString('base64url');
+      await prescription.markAsSigned(signerId, prescriber, verificationCode);
 
       logger.info('Prescription signed', {
         prescriptionId,
@@ -318,6 +364,265 @@ class PrescriptionService {
     }
   }
 
+  /**
+   * Render a signed prescription as a printable PDF
+   * @param {string} prescriptionId - Prescription ID
+   * @param {Object} options - { language } overrides the prescription's patientLanguage
+   * @returns {Promise<Object>} { buffer, language }
+   */
+  async getPrescriptionPdf(prescriptionId, { language } = {}) {
+    const prescription = await this.getPrescriptionById(prescriptionId);
+
+    if (!prescription.isPrintable) {
+      throw new ConflictError('Only signed prescriptions can be printed');
+    }
+
+    const patient = await this.getPatientInfo(prescription.patientId);
+
+    return prescriptionPdfService.render(prescription, {
+      patient,
+      language: language || prescription.patientLanguage
+    });
+  }
+
+  /**
+   * Confirm a printed prescription is genuine
+   * Public: returns only what a pharmacy needs to trust the paper copy, never
+   * patient details or medications.
+   * @param {string} code - Verification code from the QR code
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyPrescription(code) {
+    const prescription = await Prescription.findByVerificationCode(code);
+    if (!prescription) {
+      throw new NotFoundError('Prescription not found');
+    }
+
+    const expired = Boolean(prescription.validUntil) && prescription.validUntil < new Date();
+
+    logger.info('Prescription verification lookup', {
+      prescriptionId: prescription._id,
+      status: prescription.status
+    });
+
+    return {
+      authentic: true,
+      valid: prescription.isPrintable && !expired,
+      status: prescription.status,
+      expired,
+      prescriptionId: prescription._id,
+      signedAt: prescription.signedAt,
+      validUntil: prescription.validUntil,
+      prescriber: {
+        name: prescription.prescriber?.name,
+        registrationNumber: prescription.prescriber?.registrationNumber,
+        registrationCouncil: prescription.prescriber?.registrationCouncil
+      },
+      medicationCount: prescription.medications.length
+    };
+  }
+
+  /**
+   * Check a prescription's medications against the patient and store the alerts
+   * @param {Object} prescription - Prescription
+   * @param {Object} context - Context ({ patientInfo } overrides what the patient service has)
+   * @returns {Promise<Array>} Safety alerts
+   */
+  async performSafetyChecks(prescription, context = {}) {
+    const patient = await this.getPatientSafetyProfile(prescription.patientId, context.patientInfo);
+    const alerts = drugSafetyService.checkPrescription(prescription.medications, patient)
+      .map(alert => ({ ...alert, requiresAcknowledgement: drugSafetyService.requiresAcknowledgement(alert) }));
+
+    prescription.setSafetyAlerts(alerts);
+
+    // Interactions are also kept in their own list for statistics
+    prescription.drugInteractions = alerts
+      .filter(alert => alert.type === 'interaction')
+      .map(alert => ({
+        medication1: alert.medication,
+        medication2: alert.relatedTo,
+        severity: alert.severity,
+        description: alert.description,
+        recommendation: alert.recommendation
+      }));
+
+    await prescription.save();
+
+    logger.info('Prescription safety checks completed', {
+      prescriptionId: prescription._id,
+      alerts: alerts.length,
+      requiringAcknowledgement: alerts.filter(alert => alert.requiresAcknowledgement).length
+    });
+
+    return prescription.safetyAlerts;
+  }
+
+  /**
+   * Re-run safety checks, e.g. after the patient's record changed
+   * @param {string} prescriptionId - Prescription ID
+   * @param {Object} context - Context ({ patientInfo })
+   * @returns {Promise<Object>} Checked prescription
+   */
+  async runSafetyChecks(prescriptionId, context = {}) {
+    const prescription = await this.getPrescriptionById(prescriptionId);
+
+    if (['signed', 'sent', 'dispensed'].includes(prescription.status)) {
+      throw new ConflictError(`Prescription is already ${prescription.status}`);
+    }
+
+    await this.performSafetyChecks(prescription, context);
+    return prescription;
+  }
+
+  /**
+   * Acknowledge a safety alert
+   * Major and contraindicated alerts need a reason, which is kept with the
+   * acknowledgement and in the edit history.
+   * @param {string} prescriptionId - Prescription ID
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - ID of the acknowledging user
+   * @param {string} reason - Why the prescription goes ahead despite the alert
+   * @returns {Promise<Object>} Prescription
+   */
+  async acknowledgeSafetyAlert(prescriptionId, alertId, userId, reason) {
+    try {
+      const prescription = await this.getPrescriptionById(prescriptionId);
+
+      if (['signed', 'sent', 'dispensed'].includes(prescription.status)) {
+        throw new ConflictError(`Prescription is already ${prescription.status}`);
+      }
+
+      const alert = prescription.safetyAlerts.id(alertId);
+      if (!alert) {
+        throw new NotFoundError('Safety alert not found');
+      }
+
+      if (['major', 'contraindicated'].includes(alert.severity) && !reason) {
+        throw new ValidationError(`A reason is required to acknowledge a ${alert.severity} alert`);
+      }
+
+      prescription.acknowledgeAlert(alertId, userId, reason);
+      await prescription.save();
+
+      logger.info('Prescription safety alert acknowledged', {
+        prescriptionId,
+        alertId,
+        type: alert.type,
+        severity: alert.severity,
+        userId
+      });
+
+      return prescription;
+    } catch (error) {
+      logger.error('Failed to acknowledge safety alert', {
+        prescriptionId,
+        alertId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Gather what the safety checks need to know about a patient
+   * Combines the patient record, their medical history and any details passed
+   * in with the request, which take precedence.
+   * @param {string} patientId - Patient ID
+   * @param {Object} overrides - Details from the request ({ age, weight, allergies, pregnant, lactating })
+   * @returns {Promise<Object>} Safety profile (see drugSafety.service checkPrescription)
+   */
+  async getPatientSafetyProfile(patientId, overrides = {}) {
+    const [patient, history] = await Promise.all([
+      this.getPatientInfo(patientId),
+      this.getMedicalHistory(patientId)
+    ]);
+
+    const conditions = (history?.chronic_conditions || [])
+      .filter(condition => !condition.status || condition.status === 'active')
+      .map(condition => (typeof condition === 'string' ? condition : condition.name || condition.condition))
+      .filter(Boolean);
+
+    const allergies = [
+      ...(patient?.allergies || []),
+      ...(history?.allergies || []),
+      ...(overrides.allergies || [])
+    ]
+      .map(allergy => (typeof allergy === 'string'
+        ? { allergen: allergy }
+        : { allergen: allergy.allergen || allergy.name || allergy.substance, severity: allergy.severity, reaction: allergy.reaction }))
+      .filter(allergy => allergy.allergen);
+
+    const currentMedications = (history?.medication_history || [])
+      .filter(medication => typeof medication === 'string' || !medication.status || medication.status === 'active')
+      .map(medication => (typeof medication === 'string' ? medication : medication.name || medication.medication))
+      .filter(Boolean);
+
+    const missing = [];
+    if (!patient && !overrides.allergies) missing.push('allergies');
+    if (!history) missing.push('medical history');
+
+    return {
+      age: overrides.age ?? patient?.age ?? this.calculateAge(patient?.date_of_birth || patient?.dateOfBirth),
+      weightKg: overrides.weight ?? this.latestWeight(history?.vital_signs_history),
+      allergies,
+      currentMedications,
+      labs: this.latestLabValues(history?.lab_results),
+      conditions,
+      pregnant: overrides.pregnant ?? conditions.some(condition => /pregnan/i.test(condition)),
+      lactating: overrides.lactating ?? conditions.some(condition => /lactat|breastfeed/i.test(condition)),
+      missing
+    };
+  }
+
+  /**
+   * Calculate age in years
+   * @param {string} dateOfBirth - Date of birth
+   * @returns {number|undefined} Age
+   */
+  calculateAge(dateOfBirth) {
+    if (!dateOfBirth) return undefined;
+
+    const birthDate = new Date(dateOfBirth);
+    const today = new Date();
+    const age = today.getFullYear() - birthDate.getFullYear();
+    const beforeBirthday = today.getMonth() < birthDate.getMonth() ||
+      (today.getMonth() === birthDate.getMonth() && today.getDate() < birthDate.getDate());
+
+    return beforeBirthday ? age - 1 : age;
+  }
+
+  /**
+   * Get the most recent weight from vital signs history
+   * @param {Array} vitalSigns - Vital signs records ({ weight, date })
+   * @returns {number|undefined} Weight in kg
+   */
+  latestWeight(vitalSigns = []) {
+    const record = [...vitalSigns]
+      .filter(entry => parseFloat(entry.weight) > 0)
+      .sort((a, b) => new Date(b.date || b.recorded_at || 0) - new Date(a.date || a.recorded_at || 0))[0];
+
+    return record ? parseFloat(record.weight) : undefined;
+  }
+
+  /**
+   * Get the most recent value of each lab the safety checks use
+   * @param {Array} labResults - Lab results ({ test_name, value, date })
+   * @returns {Object} Values keyed by lab ({ egfr, creatinineClearance, alt, ast, bilirubin })
+   */
+  latestLabValues(labResults = []) {
+    const labs = {};
+    const sorted = [...labResults]
+      .sort((a, b) => new Date(b.date || b.result_date || 0) - new Date(a.date || a.result_date || 0));
+
+    Object.entries(SAFETY_LABS).forEach(([lab, pattern]) => {
+      const result = sorted.find(entry => pattern.test(entry.test_name || entry.testName || entry.name || ''));
+      const value = parseFloat(result?.value ?? result?.result);
+      if (!Number.isNaN(value)) labs[lab] = value;
+    });
+
+    return labs;
+  }
+
   /**
    * Send prescription to pharmacy
    * @param {string} prescriptionId - Prescription ID
@@ -403,6 +708,35 @@ class PrescriptionService {
     }
   }
 
+  /**
+   * Get the signing doctor's stored profile from auth_service
+   * The registration number printed on a prescription must come from here,
+   * never from the request or the token claims.
+   * @param {string} authorization - The caller's Authorization header
+   * @returns {Promise<Object>} The user profile
+   */
+  async getPrescriberProfile(authorization) {
+    try {
+      const response = await axios.get(
+        `${process.env.AUTH_SERVICE_URL}/api/auth/me`,
+        {
+          timeout: 5000,
+          headers: {
+            'Authorization': authorization,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return response.data.data.user;
+    } catch (error) {
+      logger.warn('Failed to get prescriber profile', {
+        error: error.message
+      });
+      throw new ServiceUnavailableError('The prescriber\'s registration could not be confirmed; try again later');
+    }
+  }
+
   /**
    * Get patient information
    * @param {string} patientId - Patient ID
@@ -430,6 +764,33 @@ class PrescriptionService {
     }
   }
 
+  /**
+   * Get patient medical history
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Latest medical history, or null if unavailable
+   */
+  async getMedicalHistory(patientId) {
+    try {
+      const response = await axios.get(
+        `${process.env.PATIENT_SERVICE_URL}/api/patients/medical-history/${patientId}`,
+        {
+          timeout: 5000,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return response.data.data;
+    } catch (error) {
+      logger.warn('Failed to get medical history', {
+        patientId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Get encounter information
    * @param {string} encounterId - Encounter ID
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const logger = require('../utils/logger');
+const { prescriptionLabels } = require('../data/prescriptionLabels');
+
+const MARGIN = 50;
+const QR_SIZE = 90;
+const COLORS = {
+  text: '#1a1a1a',
+  muted: '#666666',
+  rule: '#cccccc',
+  accent: '#1f4e79'
+};
+
+/**
+ * Prescription PDF Service
+ * Renders signed prescriptions as printable A4 documents with the clinic
+ * letterhead and a QR code linking to the public verification endpoint.
+ */
+class PrescriptionPdfService {
+  constructor() {
+    this.clinic = {
+      name: process.env.CLINIC_NAME || 'Dr. Assistant Clinic',
+      address: process.env.CLINIC_ADDRESS,
+      phone: process.env.CLINIC_PHONE,
+      email: process.env.CLINIC_EMAIL,
+      logoPath: process.env.CLINIC_LOGO_PATH
+    };
+    this.fontsDir = process.env.PRESCRIPTION_FONTS_DIR || path.join(__dirname, '../../assets/fonts');
+    this.verifyUrl = process.env.PRESCRIPTION_VERIFY_URL ||
+      `http://localhost:${process.env.PORT || 9003}/api/prescriptions/verify`;
+  }
+
+  /**
+   * Get the URL a prescription's QR code points to
+   * @param {string} code - Verification code
+   * @returns {string} Verification URL
+   */
+  getVerificationUrl(code) {
+    return `${this.verifyUrl.replace(/\/$/, '')}/${code}`;
+  }
+
+  /**
+   * Pick the labels and font for a language
+   * Falls back to English when the language's font is not installed.
+   * @param {string} language - Language code
+   * @returns {Object} { language, labels, font }
+   */
+  resolveLanguage(language) {
+    const labels = prescriptionLabels[language] || prescriptionLabels.en;
+    if (!labels.font) {
+      return { language: prescriptionLabels[language] ? language : 'en', labels, font: null };
+    }
+
+    const font = path.join(this.fontsDir, labels.font);
+    if (!fs.existsSync(font)) {
+      logger.warn('Prescription font not installed; printing in English', { language, font });
+      return { language: 'en', labels: prescriptionLabels.en, font: null };
+    }
+
+    return { language, labels, font };
+  }
+
+  /**
+   * Replace {placeholders} in a label
+   * @param {string} text - Label
+   * @param {Object} values - Placeholder values
+   * @returns {string} Text
+   */
+  fill(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match));
+  }
+
+  /**
+   * Write the dosing directions for a medication
+   * @param {Object} medication - Prescribed medication
+   * @param {Object} labels - Language labels
+   * @returns {string} Directions, e.g. "500 mg, by mouth, twice a day"
+   */
+  formatDirections(medication, labels) {
+    const { dosage = {}, frequency = {}, route } = medication;
+    const parts = [`${dosage.amount} ${labels.units[dosage.unit] || dosage.unit}`];
+
+    if (labels.routes[route]) parts.push(labels.routes[route]);
+
+    const phrases = labels.frequency[frequency.period];
+    if (typeof phrases === 'string') {
+      parts.push(phrases);
+    } else if (phrases) {
+      parts.push(this.fill(phrases[frequency.times] || phrases.other, { times: frequency.times }));
+    }
+
+    if (frequency.interval) {
+      parts.push(this.fill(labels.interval, { interval: frequency.interval }));
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Write how long a medication is taken for
+   * @param {Object} duration - { amount, unit }
+   * @param {Object} labels - Language labels
+   * @returns {string|null} Duration text
+   */
+  formatDuration(duration, labels) {
+    if (!duration?.unit) return null;
+    if (duration.unit === 'ongoing') return labels.ongoing;
+    if (!duration.amount) return null;
+
+    const [singular, plural] = labels.durationUnits[duration.unit];
+    return this.fill(labels.durationText, {
+      amount: duration.amount,
+      unit: duration.amount === 1 ? singular : plural
+    });
+  }
+
+  /**
+   * Describe the patient for the header
+   * @param {Object} patient - Patient from patient_service (may be null)
+   * @param {string} patientId - Patient ID, shown when the record is unavailable
+   * @param {Object} labels - Language labels
+   * @returns {Array<string>} Lines
+   */
+  formatPatient(patient, patientId, labels) {
+    if (!patient) {
+      return [`${labels.patient}: ${patientId}`];
+    }
+
+    const name = [patient.first_name, patient.last_name].filter(Boolean).join(' ');
+    const details = [];
+    if (patient.date_of_birth) {
+      const dob = new Date(patient.date_of_birth);
+      const age = Math.floor((Date.now() - dob.getTime()) / (365.25 * 24 * 60 * 60 * 1000));
+      details.push(`${labels.age}: ${age} ${labels.years}`);
+    }
+    if (patient.gender) details.push(`${labels.sex}: ${labels.sexes[patient.gender] || patient.gender}`);
+    if (patient.mrn) details.push(`${labels.mrn}: ${patient.mrn}`);
+
+    return [`${labels.patient}: ${name || patientId}`, details.join('   ')].filter(Boolean);
+  }
+
+  /**
+   * Render a signed prescription as a PDF
+   * @param {Object} prescription - Signed prescription
+   * @param {Object} options - { patient, language }
+   * @returns {Promise<Object>} { buffer, language }
+   */
+  async render(prescription, { patient = null, language = 'en' } = {}) {
+    const { language: printedLanguage, labels, font } = this.resolveLanguage(language);
+    const qrCode = await QRCode.toBuffer(this.getVerificationUrl(prescription.verification.code), {
+      width: QR_SIZE * 3,
+      margin: 1
+    });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: {
+        Title: `${labels.title} ${prescription._id}`,
+        Author: prescription.prescriber?.name,
+        Creator: this.clinic.name
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const regular = font ? 'body' : 'Helvetica';
+    const bold = font ? 'body' : 'Helvetica-Bold';
+    const italic = font ? 'body' : 'Helvetica-Oblique';
+    if (font) doc.registerFont('body', font);
+
+    this.drawLetterhead(doc, bold, regular);
+    this.drawPrescriber(doc, prescription.prescriber, labels, bold, regular);
+    this.drawPatient(doc, prescription, patient, labels, regular);
+    this.drawMedications(doc, prescription.medications, labels, bold, regular, italic);
+    this.drawFooter(doc, prescription, qrCode, labels, bold, regular);
+
+    doc.end();
+
+    const buffer = await finished;
+    logger.info('Prescription PDF rendered', {
+      prescriptionId: prescription._id,
+      language: printedLanguage,
+      bytes: buffer.length
+    });
+
+    return { buffer, language: printedLanguage };
+  }
+
+  /**
+   * Draw the clinic name, logo and contact details
+   */
+  drawLetterhead(doc, bold, regular) {
+    const width = doc.page.width - MARGIN * 2;
+    const hasLogo = Boolean(this.clinic.logoPath) && fs.existsSync(this.clinic.logoPath);
+    let textX = MARGIN;
+
+    if (hasLogo) {
+      doc.image(this.clinic.logoPath, MARGIN, MARGIN, { fit: [60, 60] });
+      textX += 72;
+    }
+
+    doc.font(bold).fontSize(16).fillColor(COLORS.accent)
+      .text(this.clinic.name, textX, MARGIN, { width: width - (textX - MARGIN) });
+
+    const contact = [this.clinic.address, [this.clinic.phone, this.clinic.email].filter(Boolean).join('  |  ')]
+      .filter(Boolean);
+    doc.font(regular).fontSize(9).fillColor(COLORS.muted);
+    contact.forEach(line => doc.text(line, textX, doc.y, { width: width - (textX - MARGIN) }));
+
+    const ruleY = Math.max(doc.y, hasLogo ? MARGIN + 60 : 0) + 8;
+    doc.moveTo(MARGIN, ruleY).lineTo(MARGIN + width, ruleY).strokeColor(COLORS.rule).stroke();
+    doc.y = ruleY + 10;
+  }
+
+  /**
+   * Draw the prescriber's name, specialty and registration number
+   */
+  drawPrescriber(doc, prescriber = {}, labels, bold, regular) {
+    doc.font(bold).fontSize(11).fillColor(COLORS.text).text(prescriber.name || '', MARGIN, doc.y);
+
+    const details = [
+      prescriber.specialty,
+      prescriber.registrationNumber &&
+        `${labels.registration}: ${prescriber.registrationNumber}${prescriber.registrationCouncil ? ` (${prescriber.registrationCouncil})` : ''}`
+    ].filter(Boolean);
+    doc.font(regular).fontSize(9).fillColor(COLORS.muted).text(details.join('   '));
+    doc.moveDown(0.8);
+  }
+
+  /**
+   * Draw the patient details and prescription date
+   */
+  drawPatient(doc, prescription, patient, labels, regular) {
+    const [nameLine, ...detailLines] = this.formatPatient(patient, prescription.patientId, labels);
+    const signedAt = prescription.signedAt ? new Date(prescription.signedAt).toISOString().slice(0, 10) : '';
+
+    doc.font(regular).fontSize(10).fillColor(COLORS.text).text(nameLine, MARGIN, doc.y);
+    detailLines.forEach(line => doc.fontSize(9).fillColor(COLORS.muted).text(line));
+    doc.fontSize(9).fillColor(COLORS.muted).text(`${labels.date}: ${signedAt}`);
+    doc.moveDown(1);
+  }
+
+  /**
+   * Draw each medication with its directions in the patient's language
+   */
+  drawMedications(doc, medications = [], labels, bold, regular, italic) {
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.accent).text('Rx', MARGIN, doc.y);
+    doc.moveDown(0.3);
+
+    medications.forEach((medication, index) => {
+      const name = medication.genericName && medication.genericName.toLowerCase() !== medication.medicationName.toLowerCase()
+        ? `${medication.medicationName} (${medication.genericName})`
+        : medication.medicationName;
+
+      doc.font(bold).fontSize(11).fillColor(COLORS.text).text(`${index + 1}. ${name}`, MARGIN, doc.y);
+
+      const lines = [
+        [labels.directions, this.formatDirections(medication, labels)],
+        [labels.duration, this.formatDuration(medication.duration, labels)],
+        [labels.quantity, medication.quantity?.amount && `${medication.quantity.amount} ${labels.units[medication.quantity.unit] || medication.quantity.unit}`],
+        [labels.refills, medication.refills > 0 && String(medication.refills)]
+      ].filter(([, value]) => value);
+
+      doc.font(regular).fontSize(10);
+      lines.forEach(([label, value]) => doc.text(`${label}: ${value}`, MARGIN + 16));
+
+      if (medication.instructions) {
+        doc.font(italic).text(`${labels.instructions}: ${medication.instructions}`, MARGIN + 16);
+      }
+      doc.moveDown(0.6);
+    });
+  }
+
+  /**
+   * Draw the signature block and verification QR code at the foot of the page
+   */
+  drawFooter(doc, prescription, qrCode, labels, bold, regular) {
+    const top = doc.page.height - MARGIN - QR_SIZE;
+    if (doc.y > top - 10) doc.addPage();
+
+    const width = doc.page.width - MARGIN * 2;
+    doc.moveTo(MARGIN, top - 10).lineTo(MARGIN + width, top - 10).strokeColor(COLORS.rule).stroke();
+    doc.image(qrCode, MARGIN, top, { width: QR_SIZE, height: QR_SIZE });
+
+    const textX = MARGIN + QR_SIZE + 14;
+    const textWidth = width - QR_SIZE - 14;
+    doc.font(bold).fontSize(10).fillColor(COLORS.text)
+      .text(`${labels.signedBy} ${prescription.prescriber?.name || ''}`, textX, top, { width: textWidth });
+
+    doc.font(regular).fontSize(9).fillColor(COLORS.muted);
+    doc.text(`${new Date(prescription.signedAt).toISOString().replace('T', ' ').slice(0, 16)} UTC`, { width: textWidth });
+    if (prescription.validUntil) {
+      doc.text(`${labels.validUntil}: ${new Date(prescription.validUntil).toISOString().slice(0, 10)}`, { width: textWidth });
+    }
+    doc.text(`${labels.prescriptionId}: ${prescription._id}`, { width: textWidth });
+    doc.moveDown(0.4).text(labels.verify, { width: textWidth });
+  }
+}
+
+module.exports = new PrescriptionPdfService();
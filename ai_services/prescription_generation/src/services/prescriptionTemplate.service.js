@@ -0,0 +1,261 @@
+const Prescription = require('../models/Prescription');
+const PrescriptionTemplate = require('../models/PrescriptionTemplate');
+const prescriptionService = require('./prescription.service');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ForbiddenError, InternalServerError } = require('../utils/error-handler');
+
+// Template fields the owner can change
+const EDITABLE_FIELDS = ['name', 'description', 'tags', 'visibility', 'medications', 'notes'];
+
+// Medication fields that describe the prescription they were extracted from, not the regimen
+const PRESCRIPTION_ONLY_FIELDS = ['_id', 'createdAt', 'updatedAt', 'confidenceScore'];
+
+/**
+ * Prescription Template Service
+ * Saved regimens doctors apply to new encounters without an LLM call. Applying
+ * a template creates a draft prescription and runs the safety checks against
+ * the new patient.
+ */
+class PrescriptionTemplateService {
+  /**
+   * Copy medications without the fields tied to a particular prescription
+   * @param {Array} medications - Medications
+   * @returns {Array} Regimen medications
+   */
+  toRegimen(medications = []) {
+    return medications.map(medication => {
+      const plain = typeof medication.toObject === 'function' ? medication.toObject() : { ...medication };
+      PRESCRIPTION_ONLY_FIELDS.forEach(field => delete plain[field]);
+      return plain;
+    });
+  }
+
+  /**
+   * Create a template from medications or from an existing prescription
+   * @param {Object} data - { name, description, tags, visibility, notes, medications, prescriptionId }
+   * @param {string} doctorId - Owner
+   * @returns {Promise<Object>} Template
+   */
+  async createTemplate(data, doctorId) {
+    const { prescriptionId, ...fields } = data;
+    let medications = fields.medications;
+
+    if (prescriptionId) {
+      const prescription = await prescriptionService.getPrescriptionById(prescriptionId);
+      medications = prescription.medications;
+      fields.notes = fields.notes ?? prescription.notes;
+    }
+
+    if (!medications || medications.length === 0) {
+      throw new ValidationError('A template needs medications or a prescription with medications to copy');
+    }
+
+    try {
+      const template = await PrescriptionTemplate.create({
+        ...Object.fromEntries(EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])),
+        medications: this.toRegimen(medications),
+        doctorId,
+        sourcePrescriptionId: prescriptionId
+      });
+
+      logger.info('Prescription template created', {
+        templateId: template._id,
+        doctorId,
+        sourcePrescriptionId: prescriptionId,
+        medications: template.medications.length
+      });
+
+      return template;
+    } catch (error) {
+      if (error.name === 'ValidationError' && error.errors) {
+        throw new ValidationError(Object.values(error.errors).map(err => err.message).join(', '));
+      }
+      logger.error('Failed to create prescription template', { doctorId, error: error.message });
+      throw new InternalServerError('Failed to create prescription template');
+    }
+  }
+
+  /**
+   * Get a template the doctor may use
+   * @param {string} templateId - Template ID
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplate(templateId, doctorId) {
+    const template = await PrescriptionTemplate.findById(templateId);
+
+    // Other doctors' private templates are reported as missing, not forbidden
+    if (!template || !template.isAccessibleBy(doctorId)) {
+      throw new NotFoundError('Prescription template not found');
+    }
+    return template;
+  }
+
+  /**
+   * Get a template the doctor owns
+   * @param {string} templateId - Template ID
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object>} Template
+   */
+  async getOwnTemplate(templateId, doctorId) {
+    const template = await this.getTemplate(templateId, doctorId);
+    if (template.doctorId !== doctorId) {
+      throw new ForbiddenError('Only the template\'s owner can change it');
+    }
+    return template;
+  }
+
+  /**
+   * List the templates a doctor may use
+   * @param {string} doctorId - Doctor ID
+   * @param {Object} filters - { q, tag, scope: 'mine' | 'clinic' | 'all' }
+   * @returns {Promise<Array>} Templates, most used first
+   */
+  async listTemplates(doctorId, { q, tag, scope = 'all' } = {}) {
+    const filters = {};
+    if (q) filters.$text = { $search: q };
+    if (tag) filters.tags = tag.toLowerCase();
+    if (scope === 'mine') filters.doctorId = doctorId;
+    if (scope === 'clinic') filters.visibility = 'clinic';
+
+    const templates = await PrescriptionTemplate.findAccessible(doctorId, filters)
+      .sort({ useCount: -1, name: 1 })
+      .limit(200);
+
+    return templates.map(template => this.withStats(template, doctorId));
+  }
+
+  /**
+   * Rank a doctor's favourite templates
+   * The doctor's own use counts first, then how recently they used it; templates
+   * they have never used are ranked by use across the clinic.
+   * @param {string} doctorId - Doctor ID
+   * @param {number} limit - Maximum templates
+   * @returns {Promise<Array>} Templates with usage stats
+   */
+  async getFavourites(doctorId, limit = 10) {
+    const templates = await PrescriptionTemplate.findAccessible(doctorId);
+
+    return templates
+      .map(template => this.withStats(template, doctorId))
+      .sort((a, b) =>
+        b.stats.myUses - a.stats.myUses ||
+        (b.stats.myLastUsedAt?.getTime() || 0) - (a.stats.myLastUsedAt?.getTime() || 0) ||
+        b.stats.clinicUses - a.stats.clinicUses)
+      .slice(0, limit);
+  }
+
+  /**
+   * Add the doctor's usage stats to a template, without other doctors' usage
+   * @param {Object} template - Template
+   * @param {string} doctorId - Doctor ID
+   * @returns {Object} Template with stats
+   */
+  withStats(template, doctorId) {
+    const { usage, ...fields } = template.toObject();
+    const mine = template.usageFor(doctorId);
+
+    return {
+      ...fields,
+      isOwner: template.doctorId === doctorId,
+      stats: {
+        myUses: mine.count,
+        myLastUsedAt: mine.lastUsedAt,
+        clinicUses: template.useCount,
+        lastUsedAt: template.lastUsedAt
+      }
+    };
+  }
+
+  /**
+   * Update a template
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - Editable fields
+   * @param {string} doctorId - Doctor ID (must own the template)
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(templateId, updates, doctorId) {
+    const template = await this.getOwnTemplate(templateId, doctorId);
+
+    EDITABLE_FIELDS.filter(field => updates[field] !== undefined).forEach(field => {
+      template[field] = field === 'medications' ? this.toRegimen(updates.medications) : updates[field];
+    });
+
+    try {
+      await template.save();
+    } catch (error) {
+      if (error.name === 'ValidationError' && error.errors) {
+        throw new ValidationError(Object.values(error.errors).map(err => err.message).join(', '));
+      }
+      throw error;
+    }
+
+    logger.info('Prescription template updated', { templateId, doctorId });
+    return template;
+  }
+
+  /**
+   * Archive a template
+   * @param {string} templateId - Template ID
+   * @param {string} doctorId - Doctor ID (must own the template)
+   */
+  async deleteTemplate(templateId, doctorId) {
+    const template = await this.getOwnTemplate(templateId, doctorId);
+
+    template.active = false;
+    await template.save();
+
+    logger.info('Prescription template archived', { templateId, doctorId });
+  }
+
+  /**
+   * Create a draft prescription for an encounter from a template
+   * Safety checks run against the new patient, so alerts are specific to them.
+   * @param {string} templateId - Template ID
+   * @param {Object} context - { encounterId, patientId, priority, patientInfo }
+   * @param {string} doctorId - Prescribing doctor
+   * @returns {Promise<Object>} Draft prescription
+   */
+  async applyTemplate(templateId, context, doctorId) {
+    const template = await this.getTemplate(templateId, doctorId);
+    const startTime = Date.now();
+
+    const prescription = new Prescription({
+      encounterId: context.encounterId,
+      patientId: context.patientId,
+      doctorId,
+      templateId: template._id,
+      medications: this.toRegimen(template.medications),
+      status: 'draft',
+      priority: context.priority || 'normal',
+      notes: template.notes,
+      aiMetadata: {
+        provider: 'template',
+        model: 'none',
+        extractedMedications: template.medications.length
+      }
+    });
+    prescription.editHistory.push({
+      editedBy: doctorId,
+      action: 'created',
+      reason: `Created from template "${template.name}"`
+    });
+
+    await prescriptionService.performSafetyChecks(prescription, { patientInfo: context.patientInfo });
+    await PrescriptionTemplate.recordUse(template._id, doctorId);
+
+    prescription.aiMetadata.processingTime = Date.now() - startTime;
+    await prescription.save();
+
+    logger.info('Prescription created from template', {
+      prescriptionId: prescription._id,
+      templateId,
+      doctorId,
+      safetyAlerts: prescription.safetyAlerts.length
+    });
+
+    return prescription;
+  }
+}
+
+module.exports = new PrescriptionTemplateService();
@@ -0,0 +1,73 @@
+/**
+ * CSV Utility
+ * Parses RFC 4180 CSV (quoted fields, escaped quotes, embedded newlines) into
+ * objects keyed by the header row.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV with a header row
+ * Header names are trimmed and lowercased; values are trimmed.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records keyed by header
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(String(text).replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(fields => Object.fromEntries(
+    keys.map((key, index) => [key, (fields[index] ?? '').trim()])
+  ));
+};
+
+module.exports = {
+  parseCsv
+};
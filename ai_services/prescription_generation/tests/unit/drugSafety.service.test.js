@@ -0,0 +1,190 @@
+const drugSafetyService = require('../../src/services/drugSafety.service');
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const medication = (medicationName, amount, unit = 'mg', times = 1) => ({
+  medicationName,
+  dosage: { amount, unit },
+  frequency: { times, period: 'daily' }
+});
+
+const alertsOfType = (alerts, type) => alerts.filter(alert => alert.type === type);
+
+describe('DrugSafetyService', () => {
+  describe('checkAllergies', () => {
+    it('should contraindicate a drug in an allergen\'s class', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('Amoxil', 500, 'mg', 3)],
+        { allergies: [{ allergen: 'Penicillin', reaction: 'rash' }] }
+      );
+
+      const [alert] = alertsOfType(alerts, 'allergy');
+      expect(alert.severity).toBe('contraindicated');
+      expect(alert.description).toContain('penicillin');
+    });
+
+    it('should warn about cross-reactive allergens', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('ibuprofen', 400, 'mg', 3)],
+        { allergies: [{ allergen: 'Aspirin' }] }
+      );
+
+      expect(alertsOfType(alerts, 'allergy')[0].severity).toBe('major');
+    });
+  });
+
+  describe('checkInteractions', () => {
+    it('should check prescribed drugs against current medications', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('ibuprofen', 400, 'mg', 3)],
+        { currentMedications: ['warfarin'] }
+      );
+
+      const [alert] = alertsOfType(alerts, 'interaction');
+      expect(alert.severity).toBe('major');
+      expect(alert.relatedTo).toBe('warfarin');
+    });
+  });
+
+  describe('checkDuplicateTherapy', () => {
+    it('should flag a drug from the same class as a current medication', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('Zoloft', 50)],
+        { currentMedications: ['sertraline'] }
+      );
+
+      expect(alertsOfType(alerts, 'duplicate_therapy')[0].severity).toBe('minor');
+    });
+  });
+
+  describe('checkRenalFunction', () => {
+    it('should contraindicate metformin in severe renal impairment', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('metformin', 500, 'mg', 2), medication('amlodipine', 5)],
+        { labs: { egfr: 25 } }
+      );
+
+      const renal = alertsOfType(alerts, 'renal');
+      expect(renal).toHaveLength(1);
+      expect(renal[0].severity).toBe('contraindicated');
+    });
+
+    it('should ask for dose adjustment in moderate renal impairment', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('lisinopril', 10)],
+        { labs: { creatinineClearance: 45 } }
+      );
+
+      expect(alertsOfType(alerts, 'renal')[0]).toMatchObject({ severity: 'moderate', relatedTo: 'CrCl' });
+    });
+  });
+
+  describe('checkHepaticFunction', () => {
+    it('should use raised liver enzymes', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('acetaminophen', 500, 'mg', 4)],
+        { labs: { alt: 200 } }
+      );
+
+      expect(alertsOfType(alerts, 'hepatic')[0].severity).toBe('moderate');
+    });
+
+    it('should contraindicate drugs in cirrhosis', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('acetaminophen', 500, 'mg', 4)],
+        { conditions: ['Alcoholic cirrhosis'] }
+      );
+
+      expect(alertsOfType(alerts, 'hepatic')[0].severity).toBe('contraindicated');
+    });
+  });
+
+  describe('checkPregnancyAndLactation', () => {
+    it('should contraindicate ACE inhibitors in pregnancy', () => {
+      const alerts = drugSafetyService.checkPrescription([medication('lisinopril', 10)], { pregnant: true });
+
+      expect(alertsOfType(alerts, 'pregnancy')[0].severity).toBe('contraindicated');
+    });
+
+    it('should not flag drugs compatible with breastfeeding', () => {
+      const alerts = drugSafetyService.checkPrescription([medication('amoxicillin', 500, 'mg', 3)], { lactating: true });
+
+      expect(alertsOfType(alerts, 'lactation')).toHaveLength(0);
+    });
+  });
+
+  describe('checkDosing', () => {
+    it('should flag a paediatric dose above the weight-based guideline', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('acetaminophen', 500, 'mg', 4)],
+        { age: 4, weightKg: 16 }
+      );
+
+      const [alert] = alertsOfType(alerts, 'pediatric_dose');
+      expect(alert.severity).toBe('major');
+      expect(alert.recommendation).toContain('240 mg per dose');
+    });
+
+    it('should check per-day paediatric guidelines against the daily dose', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('amoxicillin', 250, 'mg', 3)],
+        { age: 6, weightKg: 20 }
+      );
+
+      expect(alertsOfType(alerts, 'pediatric_dose')).toHaveLength(0);
+    });
+
+    it('should ask for a weight when a child has none recorded', () => {
+      const alerts = drugSafetyService.checkPrescription([medication('ibuprofen', 100, 'mg', 3)], { age: 3 });
+
+      expect(alertsOfType(alerts, 'pediatric_dose')[0].description).toContain('no weight is recorded');
+    });
+
+    it('should flag doses above the maximum daily dose', () => {
+      const alerts = drugSafetyService.checkPrescription([medication('amlodipine', 10, 'mg', 2)], { age: 50 });
+
+      expect(alertsOfType(alerts, 'max_dose')[0].severity).toBe('major');
+    });
+  });
+
+  describe('checkPrescription', () => {
+    it('should flag checks run without patient data, most severe alerts first', () => {
+      const alerts = drugSafetyService.checkPrescription(
+        [medication('lisinopril', 10)],
+        { pregnant: true, missing: ['allergies'] }
+      );
+
+      expect(alerts.map(alert => alert.type)).toEqual(['pregnancy', 'incomplete_patient_data']);
+    });
+
+    it('should flag medications the formulary does not recognise', () => {
+      const alerts = drugSafetyService.checkPrescription([medication('Notadrug', 10)], {});
+
+      const [alert] = alertsOfType(alerts, 'unrecognised_drug');
+      expect(alert.severity).toBe('moderate');
+      expect(alert.medication).toBe('Notadrug');
+    });
+
+    it('should give the same key to the same problem', () => {
+      const patient = { allergies: [{ allergen: 'penicillin' }] };
+      const [first] = drugSafetyService.checkPrescription([medication('amoxicillin', 500)], patient);
+      const [second] = drugSafetyService.checkPrescription([medication('amoxicillin', 250)], patient);
+
+      expect(first.key).toBe(second.key);
+    });
+  });
+
+  describe('requiresAcknowledgement', () => {
+    it('should require acknowledgement from moderate severity up', () => {
+      expect(drugSafetyService.requiresAcknowledgement({ severity: 'minor' })).toBe(false);
+      expect(drugSafetyService.requiresAcknowledgement({ severity: 'moderate' })).toBe(true);
+      expect(drugSafetyService.requiresAcknowledgement({ severity: 'contraindicated' })).toBe(true);
+    });
+  });
+});
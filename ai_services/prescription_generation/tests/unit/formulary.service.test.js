@@ -0,0 +1,176 @@
+const formularyService = require('../../src/services/formulary.service');
+const FormularyDrug = require('../../src/models/FormularyDrug');
+const FormularyVersion = require('../../src/models/FormularyVersion');
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const lean = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('FormularyService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    formularyService.setDrugs(formularyService.buildSeedDrugs());
+  });
+
+  describe('findDrug', () => {
+    it('should find drugs by generic name, brand, synonym and brand with strength', () => {
+      expect(formularyService.findDrug('Metformin').genericName).toBe('metformin');
+      expect(formularyService.findDrug('Glucophage').genericName).toBe('metformin');
+      expect(formularyService.findDrug('paracetamol').genericName).toBe('acetaminophen');
+      expect(formularyService.findDrug('Tylenol 500 mg').genericName).toBe('acetaminophen');
+    });
+
+    it('should return null for unknown drugs', () => {
+      expect(formularyService.findDrug('notadrug')).toBeNull();
+    });
+
+    it('should match a generic name only as whole words of a longer name', () => {
+      expect(formularyService.findDrug('Metformin ER 500 mg').genericName).toBe('metformin');
+      expect(formularyService.findDrug('pro')).toBeNull();
+      expect(formularyService.findDrug('metforminx')).toBeNull();
+    });
+
+    it('should return null when a name contains several generic names', () => {
+      expect(formularyService.findDrug('amlodipine lisinopril combo')).toBeNull();
+    });
+  });
+
+  describe('getInteraction', () => {
+    it('should find interactions in either direction', () => {
+      expect(formularyService.getInteraction('warfarin', 'ibuprofen')).toMatchObject({ severity: 'major' });
+      expect(formularyService.getInteraction('ibuprofen', 'warfarin')).toMatchObject({ severity: 'major' });
+    });
+  });
+
+  describe('parseImport', () => {
+    it('should turn CSV rows into drug records with brands', () => {
+      const csv = [
+        'generic_name,brand_name,manufacturer,strength,form,indications',
+        'paracetamol,Dolo,Micro Labs,650 mg,tablet,fever|pain',
+        'paracetamol,Calpol,GSK,"120 mg/5 ml",syrup,'
+      ].join('\n');
+
+      const [first, second] = formularyService.parseImport(csv, 'csv');
+
+      expect(first.row).toBe(2);
+      expect(first.record).toEqual({
+        genericName: 'paracetamol',
+        indications: ['fever', 'pain'],
+        brands: [{ name: 'Dolo', manufacturer: 'Micro Labs', strength: '650 mg', form: 'tablet' }]
+      });
+      expect(second.record.brands[0].strength).toBe('120 mg/5 ml');
+    });
+
+    it('should reject JSON that is not a list of drugs', () => {
+      expect(() => formularyService.parseImport({ name: 'x' }, 'json')).toThrow('JSON import');
+    });
+  });
+
+  describe('normalizeRecord', () => {
+    it('should coerce values and keep only provided fields', () => {
+      const drug = formularyService.normalizeRecord({
+        genericName: ' Cetirizine ',
+        category: 'antihistamine',
+        renalAdjustment: 'yes',
+        pregnancy: 'Caution'
+      });
+
+      expect(drug).toEqual({
+        genericName: 'cetirizine',
+        category: 'other',
+        renalAdjustment: true,
+        pregnancy: 'caution'
+      });
+    });
+
+    it('should reject invalid reproductive ratings and interactions', () => {
+      expect(() => formularyService.normalizeRecord({ genericName: 'x', lactation: 'unsafe' })).toThrow('lactation');
+      expect(() => formularyService.normalizeRecord({
+        genericName: 'x',
+        interactions: [{ drug: 'y', severity: 'severe', description: 'z' }]
+      })).toThrow('interaction');
+    });
+  });
+
+  describe('importDrugs', () => {
+    beforeEach(() => {
+      jest.spyOn(FormularyVersion, 'findLatest').mockResolvedValue({ version: 3 });
+      jest.spyOn(FormularyVersion, 'create').mockImplementation(async (version) => version);
+      jest.spyOn(FormularyDrug, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(formularyService, 'load').mockResolvedValue(0);
+    });
+
+    it('should add new drugs, revise changed ones and report rejected rows', async () => {
+      const existing = {
+        _id: 'drug-1',
+        genericName: 'cetirizine',
+        synonyms: [],
+        brands: [{ name: 'Zyrtec', strength: '10 mg', form: 'tablet' }],
+        strengths: ['10 mg'],
+        forms: ['tablet'],
+        category: 'other',
+        indications: ['allergic rhinitis'],
+        active: true
+      };
+      jest.spyOn(FormularyDrug, 'find').mockReturnValue(lean([existing]));
+
+      const result = await formularyService.importDrugs([
+        { genericName: 'cetirizine', brands: [{ name: 'Alerid', strength: '10 mg', form: 'tablet' }] },
+        { genericName: 'loratadine', class: 'Antihistamine' },
+        { genericName: 'bad', pregnancy: 'maybe' }
+      ], { source: 'json', importedBy: 'user-1' });
+
+      expect(result.version).toBe(4);
+      expect(result.summary).toMatchObject({ added: 1, updated: 1, unchanged: 0, rejected: 1 });
+      expect(result.rejected[0]).toMatchObject({ row: 3, genericName: 'bad' });
+
+      const [operations] = FormularyDrug.bulkWrite.mock.calls[0];
+      const update = operations.find(operation => operation.updateOne).updateOne.update;
+      expect(update.$set.brands.map(brand => brand.name)).toEqual(['Zyrtec', 'Alerid']);
+      expect(update.$set.searchNames).toEqual(['cetirizine', 'zyrtec', 'alerid']);
+      expect(update.$push.revisions).toMatchObject({ version: 4, fields: ['brands'] });
+      expect(formularyService.load).toHaveBeenCalled();
+    });
+
+    it('should discontinue drugs without writing on a dry run', async () => {
+      jest.spyOn(FormularyDrug, 'find').mockReturnValue(lean([{ _id: 'drug-1', genericName: 'ranitidine', brands: [], strengths: ['150 mg'], forms: ['tablet'], active: true }]));
+
+      const result = await formularyService.importDrugs(
+        [{ genericName: 'ranitidine', discontinued: 'true' }],
+        { dryRun: true }
+      );
+
+      expect(result.dryRun).toBe(true);
+      expect(result.changes).toEqual([{ genericName: 'ranitidine', action: 'discontinued', fields: ['active'] }]);
+      expect(FormularyDrug.bulkWrite).not.toHaveBeenCalled();
+      expect(FormularyVersion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search', () => {
+    it('should suggest generics before brands', async () => {
+      jest.spyOn(FormularyDrug, 'find').mockReturnValue({
+        select: () => ({
+          limit: () => lean([{
+            genericName: 'amoxicillin',
+            brands: [{ name: 'Amoxil', strength: '500 mg', form: 'capsule' }, { name: 'Moxatag' }]
+          }])
+        })
+      });
+
+      const suggestions = await formularyService.search('Amox');
+
+      expect(suggestions.map(suggestion => suggestion.label)).toEqual([
+        'amoxicillin',
+        'Amoxil 500 mg capsule (amoxicillin)'
+      ]);
+      expect(FormularyDrug.find.mock.calls[0][0].searchNames).toEqual({ $regex: '^amox' });
+    });
+  });
+});
@@ -1,4 +1,6 @@
+const path = require('path');
 const geminiService = require('../../src/services/gemini.service');
+const { createLLM, setLLM } = require('../../src/services/llm');
 
 // Mock Google Generative AI
 jest.mock('@google/generative-ai', () => ({
@@ -397,4 +399,26 @@ describe('GeminiService', () => {
       expect(usage.totalTokens).toBe(usage.inputTokens + usage.outputTokens);
     });
   });
+
+  describe('generatePrescription', () => {
+    afterEach(() => {
+      setLLM(null);
+    });
+
+    it('should generate a prescription from the configured LLM provider', async () => {
+      setLLM(createLLM({
+        provider: 'fixture',
+        fixturesDir: path.join(__dirname, '../fixtures/llm'),
+        timeoutMs: 1000,
+        maxRetries: 0
+      }));
+
+      const result = await geminiService.generatePrescription('Start paracetamol 500 mg four times a day for five days.');
+
+      expect(result.prescription.medications).toHaveLength(1);
+      expect(result.prescription.medications[0].medicationName).toBe('Paracetamol');
+      expect(result.metadata.provider).toBe('fixture');
+      expect(result.metadata.model).toBe('fixture');
+    });
+  });
 });
@@ -0,0 +1,85 @@
+const prescriptionService = require('../../src/services/prescription.service');
+const Prescription = require('../../src/models/Prescription');
+const axios = require('axios');
+
+jest.mock('axios');
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const prescriber = {
+  name: 'Dr. Asha Rao',
+  registrationNumber: 'KMC-12345',
+  registrationCouncil: 'Karnataka Medical Council'
+};
+
+const prescription = (fields) => new Prescription({
+  encounterId: 'encounter-1',
+  patientId: 'patient-1',
+  doctorId: 'doctor-1',
+  status: 'approved',
+  safetyCheckedAt: new Date(),
+  ...fields
+});
+
+describe('PrescriptionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('signPrescription', () => {
+    it('should sign an approved prescription with a verification code', async () => {
+      const approved = prescription();
+      jest.spyOn(prescriptionService, 'getPrescriptionById').mockResolvedValue(approved);
+      jest.spyOn(approved, 'markAsSigned').mockResolvedValue(approved);
+
+      await prescriptionService.signPrescription('id', 'doctor-1', prescriber);
+
+      expect(approved.markAsSigned).toHaveBeenCalledWith('doctor-1', prescriber, expect.any(String));
+    });
+
+    it.each(['signed', 'sent', 'dispensed', 'cancelled', 'generating'])('should not sign a %s prescription', async (status) => {
+      const existing = prescription({ status, verification: { code: 'printed-code' } });
+      jest.spyOn(prescriptionService, 'getPrescriptionById').mockResolvedValue(existing);
+      jest.spyOn(existing, 'markAsSigned');
+
+      await expect(prescriptionService.signPrescription('id', 'doctor-1', prescriber))
+        .rejects.toThrow(`A ${status} prescription cannot be signed`);
+      expect(existing.markAsSigned).not.toHaveBeenCalled();
+    });
+
+    it('should not sign without a registration number on file', async () => {
+      jest.spyOn(prescriptionService, 'getPrescriptionById');
+
+      await expect(prescriptionService.signPrescription('id', 'doctor-1', { name: 'Dr. Asha Rao' }))
+        .rejects.toThrow('No medical registration number is on file');
+      expect(prescriptionService.getPrescriptionById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPrescriberProfile', () => {
+    it('should read the profile from auth_service with the caller\'s token', async () => {
+      axios.get.mockResolvedValue({ data: { data: { user: { id: 'doctor-1', registration_number: 'KMC-12345' } } } });
+
+      const profile = await prescriptionService.getPrescriberProfile('Bearer token');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringMatching(/\/api\/auth\/me$/),
+        expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer token' }) })
+      );
+      expect(profile).toEqual({ id: 'doctor-1', registration_number: 'KMC-12345' });
+    });
+
+    it('should refuse when auth_service is unreachable', async () => {
+      axios.get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(prescriptionService.getPrescriberProfile('Bearer token'))
+        .rejects.toThrow('registration could not be confirmed');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const prescriptionPdfService = require('../../src/services/prescriptionPdf.service');
+const { prescriptionLabels } = require('../../src/data/prescriptionLabels');
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const medication = {
+  medicationName: 'Amoxil',
+  genericName: 'amoxicillin',
+  dosage: { amount: 500, unit: 'mg' },
+  frequency: { times: 3, period: 'daily' },
+  duration: { amount: 7, unit: 'days' },
+  quantity: { amount: 21, unit: 'capsules' },
+  route: 'oral',
+  instructions: 'Complete the full course'
+};
+
+describe('PrescriptionPdfService', () => {
+  describe('formatDirections', () => {
+    it('should write directions in the patient\'s language', () => {
+      expect(prescriptionPdfService.formatDirections(medication, prescriptionLabels.en))
+        .toBe('500 mg, by mouth, 3 times a day');
+      expect(prescriptionPdfService.formatDirections(medication, prescriptionLabels.hi))
+        .toBe('500 mg, मुँह से, दिन में तीन बार');
+      expect(prescriptionPdfService.formatDirections(
+        { ...medication, dosage: { amount: 2, unit: 'puffs' }, route: 'inhalation', frequency: { times: 1, period: 'as needed', interval: 4 } },
+        prescriptionLabels.es
+      )).toBe('2 inhalación(es), inhalado, cuando sea necesario, cada 4 horas');
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should handle singular, plural and ongoing durations', () => {
+      expect(prescriptionPdfService.formatDuration({ amount: 1, unit: 'weeks' }, prescriptionLabels.en)).toBe('for 1 week');
+      expect(prescriptionPdfService.formatDuration({ amount: 7, unit: 'days' }, prescriptionLabels.es)).toBe('durante 7 días');
+      expect(prescriptionPdfService.formatDuration({ unit: 'ongoing' }, prescriptionLabels.en)).toBe('until told to stop');
+      expect(prescriptionPdfService.formatDuration(undefined, prescriptionLabels.en)).toBeNull();
+    });
+  });
+
+  describe('resolveLanguage', () => {
+    it('should fall back to English when a script\'s font is not installed', () => {
+      prescriptionPdfService.fontsDir = '/nonexistent';
+
+      expect(prescriptionPdfService.resolveLanguage('hi').language).toBe('en');
+      expect(prescriptionPdfService.resolveLanguage('es').language).toBe('es');
+      expect(prescriptionPdfService.resolveLanguage('xx').language).toBe('en');
+    });
+  });
+
+  describe('render', () => {
+    it('should render a PDF with the verification link', async () => {
+      const { buffer, language } = await prescriptionPdfService.render({
+        _id: '65a1c0f4e4b0a1b2c3d4e5f6',
+        patientId: 'patient-1',
+        medications: [medication],
+        signedAt: new Date('2024-01-15T10:30:00Z'),
+        prescriber: { name: 'Dr. Asha Rao', specialty: 'General Medicine', registrationNumber: 'KMC-12345' },
+        verification: { code: 'abcdefghijklmnopqrstuvwx' }
+      }, {
+        patient: { first_name: 'Ravi', last_name: 'Kumar', date_of_birth: '1980-05-01', gender: 'male', mrn: 'MRN-1' },
+        language: 'es'
+      });
+
+      expect(language).toBe('es');
+      expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+
+  describe('getVerificationUrl', () => {
+    it('should append the code to the verification URL', () => {
+      prescriptionPdfService.verifyUrl = 'https://rx.example.com/verify/';
+
+      expect(prescriptionPdfService.getVerificationUrl('abc')).toBe('https://rx.example.com/verify/abc');
+    });
+  });
+});
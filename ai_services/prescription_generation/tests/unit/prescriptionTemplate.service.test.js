@@ -0,0 +1,101 @@
+const prescriptionTemplateService = require('../../src/services/prescriptionTemplate.service');
+const prescriptionService = require('../../src/services/prescription.service');
+const Prescription = require('../../src/models/Prescription');
+const PrescriptionTemplate = require('../../src/models/PrescriptionTemplate');
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const amoxicillin = {
+  medicationName: 'amoxicillin',
+  dosage: { amount: 500, unit: 'mg' },
+  frequency: { times: 3, period: 'daily' },
+  duration: { amount: 5, unit: 'days' },
+  route: 'oral'
+};
+
+const template = (fields) => new PrescriptionTemplate({
+  name: 'URTI adult',
+  doctorId: 'doctor-1',
+  medications: [amoxicillin],
+  ...fields
+});
+
+describe('PrescriptionTemplateService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('toRegimen', () => {
+    it('should drop fields tied to the source prescription', () => {
+      const prescription = new Prescription({ medications: [{ ...amoxicillin, confidenceScore: 0.8 }] });
+
+      const [medication] = prescriptionTemplateService.toRegimen(prescription.medications);
+
+      expect(medication._id).toBeUndefined();
+      expect(medication.confidenceScore).toBeUndefined();
+      expect(medication.dosage).toEqual({ amount: 500, unit: 'mg' });
+    });
+  });
+
+  describe('getTemplate', () => {
+    it('should hide other doctors\' private templates', async () => {
+      jest.spyOn(PrescriptionTemplate, 'findById').mockResolvedValue(template({ visibility: 'private' }));
+
+      await expect(prescriptionTemplateService.getTemplate('id', 'doctor-2')).rejects.toThrow('not found');
+    });
+
+    it('should allow clinic templates to other doctors but not changes to them', async () => {
+      jest.spyOn(PrescriptionTemplate, 'findById').mockResolvedValue(template({ visibility: 'clinic' }));
+
+      await expect(prescriptionTemplateService.getTemplate('id', 'doctor-2')).resolves.toBeDefined();
+      await expect(prescriptionTemplateService.updateTemplate('id', { name: 'x' }, 'doctor-2')).rejects.toThrow('owner');
+    });
+  });
+
+  describe('getFavourites', () => {
+    it('should rank by the doctor\'s own use, then by clinic use', async () => {
+      const now = Date.now();
+      jest.spyOn(PrescriptionTemplate, 'findAccessible').mockResolvedValue([
+        template({ name: 'Clinic favourite', visibility: 'clinic', doctorId: 'doctor-2', useCount: 40 }),
+        template({ name: 'Used once', useCount: 1, usage: [{ doctorId: 'doctor-1', count: 1, lastUsedAt: new Date(now) }] }),
+        template({ name: 'Used often', useCount: 6, usage: [{ doctorId: 'doctor-1', count: 6, lastUsedAt: new Date(now - 86400000) }] }),
+        template({ name: 'Unused', useCount: 0 })
+      ]);
+
+      const favourites = await prescriptionTemplateService.getFavourites('doctor-1', 3);
+
+      expect(favourites.map(favourite => favourite.name)).toEqual(['Used often', 'Used once', 'Clinic favourite']);
+      expect(favourites[0].stats).toMatchObject({ myUses: 6, clinicUses: 6 });
+      expect(favourites[0].usage).toBeUndefined();
+      expect(favourites[2].isOwner).toBe(false);
+    });
+  });
+
+  describe('applyTemplate', () => {
+    it('should create a draft prescription and run safety checks for the patient', async () => {
+      const saved = template({ notes: 'Review in 5 days' });
+      jest.spyOn(PrescriptionTemplate, 'findById').mockResolvedValue(saved);
+      jest.spyOn(PrescriptionTemplate, 'recordUse').mockResolvedValue();
+      jest.spyOn(Prescription.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(prescriptionService, 'performSafetyChecks').mockResolvedValue([]);
+
+      const prescription = await prescriptionTemplateService.applyTemplate(saved._id, {
+        encounterId: 'encounter-1',
+        patientId: 'patient-1',
+        patientInfo: { weight: 70 }
+      }, 'doctor-1');
+
+      expect(prescription).toMatchObject({ status: 'draft', patientId: 'patient-1', notes: 'Review in 5 days' });
+      expect(prescription.templateId).toEqual(saved._id);
+      expect(prescription.medications[0].medicationName).toBe('amoxicillin');
+      expect(prescriptionService.performSafetyChecks).toHaveBeenCalledWith(prescription, { patientInfo: { weight: 70 } });
+      expect(PrescriptionTemplate.recordUse).toHaveBeenCalledWith(saved._id, 'doctor-1');
+    });
+  });
+});
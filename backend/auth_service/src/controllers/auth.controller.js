@@ -368,3 +368,269 @@ exports.disableMFA = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Request a password reset email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const ipAddress = req.ip ||
+      req.connection.remoteAddress ||
+      req.socket.remoteAddress ||
+      req.connection.socket?.remoteAddress;
+
+    const result = await authService.requestPasswordReset(email, { ipAddress });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Reset a password with a reset token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await authService.resetPassword(token, password);
+
+    // Every session was signed out, including this browser's
+    res.clearCookie('refreshToken', {
+      path: '/api/auth/refresh-token'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Verify an email address with a verification token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const result = await authService.verifyEmail(token);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const ipAddress = req.ip ||
+      req.connection.remoteAddress ||
+      req.socket.remoteAddress ||
+      req.connection.socket?.remoteAddress;
+
+    const result = await authService.resendEmailVerification(req.user.id, { ipAddress });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Resend verification error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List active sessions for the current user, or for any user with session:manage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSessions = async (req, res, next) => {
+  try {
+    const userId = req.query.userId || req.user.id;
+
+    const sessions = await authService.listSessions(userId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    logger.error(`List sessions error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const { family } = req.params;
+
+    const result = await authService.revokeSession(family, req.user);
+
+    // Revoking this browser's own session signs it out
+    if (family === req.user.sessionId) {
+      res.clearCookie('refreshToken', {
+        path: '/api/auth/refresh-token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Revoke session error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the permission matrix
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPermissionMatrix = async (req, res, next) => {
+  try {
+    const matrix = await authService.getPermissionMatrix();
+
+    res.status(200).json({
+      success: true,
+      data: matrix
+    });
+  } catch (error) {
+    logger.error(`Get permission matrix error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a user's permissions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getUserPermissions = async (req, res, next) => {
+  try {
+    const result = await authService.getUserPermissions(req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Get user permissions error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Record a user's medical council registration
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateMedicalRegistration = async (req, res, next) => {
+  try {
+    const user = await authService.updateMedicalRegistration(req.params.userId, {
+      registration_number: req.body.registration_number,
+      registration_council: req.body.registration_council
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    logger.error(`Update medical registration error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Grant a user a permission
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.grantUserPermission = async (req, res, next) => {
+  try {
+    const result = await authService.grantUserPermission(
+      req.params.userId,
+      req.body.permission,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Grant permission error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a permission granted to a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeUserPermission = async (req, res, next) => {
+  try {
+    const result = await authService.revokeUserPermission(
+      req.params.userId,
+      req.params.permission
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Revoke permission error: ${error.message}`);
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
 const { logger } = require('../utils/logger');
-const { User, Role, Permission } = require('../models');
+const { User, Token } = require('../models');
 const { verifyToken } = require('../utils/jwt');
+const { createRequirePermission } = require('@dr-assistant/auth');
+const { PERMISSION_INCLUDE, collectPermissions } = require('../utils/permissions');
 const { AuthenticationError, AuthorizationError } = require('../utils/error-handler');
 
 /**
@@ -28,16 +30,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Find user
-    const user = await User.findByPk(decoded.sub, {
-      include: [{
-        model: Role,
-        as: 'roles',
-        include: [{
-          model: Permission,
-          as: 'permissions'
-        }]
-      }]
-    });
+    const user = await User.findByPk(decoded.sub, { include: PERMISSION_INCLUDE });
 
     if (!user) {
       throw new AuthenticationError('User not found');
@@ -48,13 +41,18 @@ const authenticate = async (req, res, next) => {
       throw new AuthenticationError(`User account is ${user.status}`);
     }
 
-    // Format permissions
-    const permissions = user.roles.reduce((acc, role) => {
-      role.permissions.forEach(permission => {
-        acc.push(`${permission.resource}:${permission.action}`);
+    // Access tokens stop working as soon as their session is revoked
+    if (decoded.sid) {
+      const session = await Token.findOne({
+        where: { family: decoded.sid, type: 'refresh', blacklisted: false }
       });
-      return acc;
-    }, []);
+
+      if (!session) {
+        throw new AuthenticationError('Session has been revoked');
+      }
+    }
+
+    const permissions = collectPermissions(user);
 
     // Add user and permissions to request
     req.user = {
@@ -65,7 +63,8 @@ const authenticate = async (req, res, next) => {
       role: user.role,
       roles: user.roles.map(role => role.name),
       permissions,
-      tokenId: decoded.jti
+      tokenId: decoded.jti,
+      sessionId: decoded.sid || null
     };
 
     next();
@@ -196,10 +195,21 @@ const authorizePermissions = (requiredPermissions) => {
   };
 };
 
+/**
+ * Require every listed permission, e.g. requirePermission('appointment:update')
+ * @param {...string} permissions - Required permissions (format: 'resource:action')
+ * @returns {Function} Middleware function
+ */
+const requirePermission = createRequirePermission({
+  UnauthorizedError: AuthenticationError,
+  ForbiddenError: AuthorizationError
+});
+
 module.exports = {
   authenticate,
   authorizeRoles,
   authorizePermissions,
+  requirePermission,
   // Legacy alias for backward compatibility
   authorize: authorizeRoles
 };
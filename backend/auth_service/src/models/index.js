@@ -37,7 +37,9 @@ const Role = require('./role.model')(sequelize);
 const Permission = require('./permission.model')(sequelize);
 const RolePermission = require('./role-permission.model')(sequelize);
 const UserRole = require('./user-role.model')(sequelize);
+const UserPermission = require('./user-permission.model')(sequelize);
 const Token = require('./token.model')(sequelize);
+const VerificationToken = require('./verification-token.model')(sequelize);
 
 // Define associations
 // User and Role (many-to-many)
@@ -48,10 +50,18 @@ Role.belongsToMany(User, { through: UserRole, foreignKey: 'roleId', as: 'users'
 Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'roleId', as: 'permissions' });
 Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permissionId', as: 'roles' });
 
+// User and Permission (many-to-many), for grants on top of the user's roles
+User.belongsToMany(Permission, { through: UserPermission, foreignKey: 'userId', as: 'grantedPermissions' });
+Permission.belongsToMany(User, { through: UserPermission, foreignKey: 'permissionId', as: 'users' });
+
 // User and Token (one-to-many)
 User.hasMany(Token, { foreignKey: 'userId', as: 'tokens' });
 Token.belongsTo(User, { foreignKey: 'userId' });
 
+// User and VerificationToken (one-to-many)
+User.hasMany(VerificationToken, { foreignKey: 'userId', as: 'verificationTokens' });
+VerificationToken.belongsTo(User, { foreignKey: 'userId' });
+
 module.exports = {
   sequelize,
   User,
@@ -59,5 +69,7 @@ module.exports = {
   Permission,
   RolePermission,
   UserRole,
-  Token
+  UserPermission,
+  Token,
+  VerificationToken
 };
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserPermission = sequelize.define('UserPermission', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    permissionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'permissions',
+        key: 'id'
+      }
+    },
+    granted_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Admin who granted the permission on top of the user\'s roles'
+    }
+  }, {
+    timestamps: true,
+    tableName: 'user_permissions',
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'permissionId']
+      }
+    ]
+  });
+
+  return UserPermission;
+};
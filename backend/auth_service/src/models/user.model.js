@@ -35,6 +35,15 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(50),
       allowNull: true
     },
+    // Medical council registration, printed on signed prescriptions; set by an administrator
+    registration_number: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    registration_council: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
     phone: {
       type: DataTypes.STRING(20),
       allowNull: true
@@ -59,6 +68,14 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    email_verified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    email_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     mfa_enabled: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VerificationToken = sequelize.define('VerificationToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 of the emailed token; the token itself is never stored'
+    },
+    purpose: {
+      type: DataTypes.ENUM('password_reset', 'email_verification'),
+      allowNull: false
+    },
+    expires: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the token is redeemed or superseded; tokens are single-use'
+    },
+    ip_address: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'verification_tokens',
+    indexes: [
+      {
+        fields: ['userId', 'purpose']
+      },
+      {
+        fields: ['expires']
+      }
+    ]
+  });
+
+  return VerificationToken;
+};
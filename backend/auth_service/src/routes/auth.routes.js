@@ -1,19 +1,49 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const authController = require('../controllers/auth.controller');
 const validateRequest = require('../middleware/validate-request');
 const {
   authenticate,
   authorizeRoles,
-  authorizePermissions
+  authorizePermissions,
+  requirePermission
 } = require('../middleware/auth.middleware');
 const cookieParser = require('cookie-parser');
+const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
 // Apply cookie parser middleware
 router.use(cookieParser());
 
+/**
+ * Validation rules for a new password
+ * @returns {Object} Validation chain
+ */
+const newPasswordRules = () => body('password')
+  .isLength({ min: 12 })
+  .withMessage('Password must be at least 12 characters long')
+  .matches(/[A-Z]/)
+  .withMessage('Password must contain at least one uppercase letter')
+  .matches(/[a-z]/)
+  .withMessage('Password must contain at least one lowercase letter')
+  .matches(/[0-9]/)
+  .withMessage('Password must contain at least one number')
+  .matches(/[^A-Za-z0-9]/)
+  .withMessage('Password must contain at least one special character');
+
+// Stricter limit for endpoints that send email or take emailed tokens
+const accountRecoveryLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many requests, please try again later.'
+    }
+  }
+});
+
 // Register a new user
 router.post(
   '/register',
@@ -26,17 +56,7 @@ router.post(
     body('email')
       .isEmail()
       .withMessage('Please provide a valid email'),
-    body('password')
-      .isLength({ min: 12 })
-      .withMessage('Password must be at least 12 characters long')
-      .matches(/[A-Z]/)
-      .withMessage('Password must contain at least one uppercase letter')
-      .matches(/[a-z]/)
-      .withMessage('Password must contain at least one lowercase letter')
-      .matches(/[0-9]/)
-      .withMessage('Password must contain at least one number')
-      .matches(/[^A-Za-z0-9]/)
-      .withMessage('Password must contain at least one special character'),
+    newPasswordRules(),
     body('full_name')
       .notEmpty()
       .withMessage('Full name is required'),
@@ -93,6 +113,164 @@ router.post('/logout', authenticate, authController.logout);
 // Logout from all devices
 router.post('/logout-all', authenticate, authController.logoutAll);
 
+// List active sessions (users with session:manage may pass another user's ID)
+router.get(
+  '/sessions',
+  [
+    query('userId')
+      .optional()
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    validateRequest,
+  ],
+  authenticate,
+  authController.listSessions
+);
+
+// Revoke a single session
+router.delete(
+  '/sessions/:family',
+  [
+    param('family')
+      .isUUID()
+      .withMessage('Invalid session ID'),
+    validateRequest,
+  ],
+  authenticate,
+  authController.revokeSession
+);
+
+// Get the permission matrix
+router.get(
+  '/permissions',
+  authenticate,
+  requirePermission('permission:manage'),
+  authController.getPermissionMatrix
+);
+
+// Get a user's roles, granted permissions and effective permissions
+router.get(
+  '/users/:userId/permissions',
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    validateRequest,
+  ],
+  authenticate,
+  requirePermission('permission:manage'),
+  authController.getUserPermissions
+);
+
+// Record a doctor's medical council registration, printed on signed prescriptions
+router.put(
+  '/users/:userId/registration',
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    body('registration_number')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Registration number must be between 1 and 50 characters'),
+    body('registration_council')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Registration council cannot exceed 100 characters'),
+    validateRequest,
+  ],
+  authenticate,
+  requirePermission('user:update'),
+  authController.updateMedicalRegistration
+);
+
+// Grant a user a permission on top of their roles
+router.post(
+  '/users/:userId/permissions',
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    body('permission')
+      .matches(/^[a-z_]+:[a-z_]+$/)
+      .withMessage('Permission must be in resource:action format'),
+    validateRequest,
+  ],
+  authenticate,
+  requirePermission('permission:manage'),
+  authController.grantUserPermission
+);
+
+// Revoke a permission granted to a user
+router.delete(
+  '/users/:userId/permissions/:permission',
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    param('permission')
+      .matches(/^[a-z_]+:[a-z_]+$/)
+      .withMessage('Permission must be in resource:action format'),
+    validateRequest,
+  ],
+  authenticate,
+  requirePermission('permission:manage'),
+  authController.revokeUserPermission
+);
+
+// Request a password reset email
+router.post(
+  '/forgot-password',
+  accountRecoveryLimiter,
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email'),
+    validateRequest,
+  ],
+  authController.forgotPassword
+);
+
+// Reset password with an emailed token
+router.post(
+  '/reset-password',
+  accountRecoveryLimiter,
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid or expired token'),
+    newPasswordRules(),
+    validateRequest,
+  ],
+  authController.resetPassword
+);
+
+// Verify email address with an emailed token
+router.post(
+  '/verify-email',
+  accountRecoveryLimiter,
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid or expired token'),
+    validateRequest,
+  ],
+  authController.verifyEmail
+);
+
+// Resend the email verification link
+router.post(
+  '/verify-email/resend',
+  accountRecoveryLimiter,
+  authenticate,
+  authController.resendVerification
+);
+
 // MFA setup
 router.post('/mfa/setup', authenticate, authController.setupMFA);
 
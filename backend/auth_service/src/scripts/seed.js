@@ -1,6 +1,6 @@
 const dotenv = require('dotenv');
 const { v4: uuidv4 } = require('uuid');
-const { sequelize, Role, Permission, RolePermission } = require('../models');
+const { sequelize, Role, Permission, RolePermission, UserRole } = require('../models');
 const { logger } = require('../utils/logger');
 const { hashPassword } = require('../utils/password');
 
@@ -31,254 +31,210 @@ const roles = [
   }
 ];
 
-// Define default permissions
-const permissions = [
-  // User permissions
-  {
-    id: uuidv4(),
-    name: 'user:read',
-    description: 'Read user information',
-    resource: 'user',
-    action: 'read'
-  },
-  {
-    id: uuidv4(),
-    name: 'user:create',
-    description: 'Create new users',
-    resource: 'user',
-    action: 'create'
-  },
-  {
-    id: uuidv4(),
-    name: 'user:update',
-    description: 'Update user information',
-    resource: 'user',
-    action: 'update'
-  },
-  {
-    id: uuidv4(),
-    name: 'user:delete',
-    description: 'Delete users',
-    resource: 'user',
-    action: 'delete'
-  },
+// Define the permission matrix: each resource and the actions that can be granted on it.
+// A 'manage' action covers records that belong to other users, e.g. appointment:manage
+// lets front-desk staff book into any doctor's schedule.
+const permissionMatrix = {
+  user: {
+    read: 'Read user information',
+    create: 'Create new users',
+    update: 'Update user information',
+    delete: 'Delete users'
+  },
+  permission: {
+    manage: 'View the permission matrix and grant or revoke user permissions'
+  },
+  session: {
+    manage: 'List and revoke other users\' sessions'
+  },
+  patient: {
+    read: 'Read patient information',
+    create: 'Create new patients',
+    update: 'Update patient information',
+    delete: 'Delete patients'
+  },
+  medical_history: {
+    read: 'Read patient medical history',
+    update: 'Record and update patient medical history'
+  },
+  abha: {
+    manage: 'Verify ABHA IDs, request consent and sync health records'
+  },
+  appointment: {
+    read: 'Read appointment information',
+    create: 'Create new appointments',
+    update: 'Update, reschedule and cancel appointments',
+    delete: 'Delete appointments',
+    manage: 'Manage appointments for any doctor'
+  },
+  availability: {
+    read: 'Read doctor availability and exceptions',
+    update: 'Set availability and exceptions',
+    manage: 'Manage availability for any doctor'
+  },
+  calendar: {
+    read: 'Read calendar feed settings',
+    update: 'Manage calendar feeds and imports',
+    manage: 'Manage calendars for any doctor'
+  },
+  waitlist: {
+    read: 'Read the waitlist',
+    update: 'Add to, update and offer slots from the waitlist',
+    manage: 'Manage the waitlist for any doctor'
+  },
+  queue: {
+    read: 'View the check-in queue',
+    check_in: 'Check patients in',
+    call: 'Call the next patient',
+    manage: 'Work the check-in queue for any doctor'
+  },
+  encounter: {
+    read: 'Read encounter information',
+    create: 'Create new encounters',
+    update: 'Update encounter information',
+    delete: 'Delete encounters'
+  },
+  clinical_note: {
+    read: 'Read clinical notes',
+    create: 'Draft clinical notes',
+    update: 'Edit clinical notes',
+    sign: 'Sign clinical notes',
+    delete: 'Delete clinical notes',
+    manage: 'Manage clinical notes for any doctor'
+  },
+  diagnosis: {
+    write: 'Record and update encounter diagnoses'
+  },
+  vitals: {
+    read: 'Read vital signs',
+    write: 'Record and update vital signs'
+  },
+  prescription: {
+    read: 'Read prescriptions',
+    create: 'Draft prescriptions',
+    update: 'Edit prescriptions',
+    sign: 'Sign prescriptions',
+    manage: 'Manage prescriptions for any doctor'
+  },
+  formulary: {
+    read: 'Search the drug formulary',
+    manage: 'Import and update the drug formulary'
+  },
+  pre_diagnosis: {
+    read: 'Read pre-diagnosis summaries',
+    create: 'Generate pre-diagnosis summaries',
+    update: 'Update pre-diagnosis summary status',
+    delete: 'Delete pre-diagnosis summaries',
+    manage: 'Manage pre-diagnosis summaries for any doctor'
+  },
+  recording: {
+    read: 'Listen to voice recordings',
+    create: 'Upload voice recordings',
+    update: 'Update voice recording status and retention',
+    delete: 'Delete voice recordings',
+    manage: 'Manage voice recordings for any doctor, including retention'
+  },
+  transcription: {
+    read: 'Read transcriptions',
+    create: 'Request transcriptions',
+    update: 'Retry transcriptions and edit their metadata',
+    export: 'Export de-identified transcripts and audio for teaching and QA',
+    manage: 'Manage transcriptions for any doctor'
+  },
+  task: {
+    read: 'Read tasks',
+    create: 'Create tasks',
+    update: 'Update and assign tasks',
+    delete: 'Delete tasks',
+    manage: 'Manage tasks created by or assigned to anyone'
+  },
+  dashboard: {
+    read: 'View the dashboard'
+  }
+};
 
-  // Patient permissions
-  {
-    id: uuidv4(),
-    name: 'patient:read',
-    description: 'Read patient information',
-    resource: 'patient',
-    action: 'read'
-  },
-  {
-    id: uuidv4(),
-    name: 'patient:create',
-    description: 'Create new patients',
-    resource: 'patient',
-    action: 'create'
-  },
-  {
-    id: uuidv4(),
-    name: 'patient:update',
-    description: 'Update patient information',
-    resource: 'patient',
-    action: 'update'
-  },
-  {
-    id: uuidv4(),
-    name: 'patient:delete',
-    description: 'Delete patients',
-    resource: 'patient',
-    action: 'delete'
-  },
+const permissions = Object.entries(permissionMatrix).flatMap(([resource, actions]) =>
+  Object.entries(actions).map(([action, description]) => ({
+    id: uuidv4(),
+    name: `${resource}:${action}`,
+    description,
+    resource,
+    action
+  }))
+);
 
-  // Appointment permissions
-  {
-    id: uuidv4(),
-    name: 'appointment:read',
-    description: 'Read appointment information',
-    resource: 'appointment',
-    action: 'read'
-  },
-  {
-    id: uuidv4(),
-    name: 'appointment:create',
-    description: 'Create new appointments',
-    resource: 'appointment',
-    action: 'create'
-  },
-  {
-    id: uuidv4(),
-    name: 'appointment:update',
-    description: 'Update appointment information',
-    resource: 'appointment',
-    action: 'update'
-  },
-  {
-    id: uuidv4(),
-    name: 'appointment:delete',
-    description: 'Delete appointments',
-    resource: 'appointment',
-    action: 'delete'
-  },
-
-  // Encounter permissions
-  {
-    id: uuidv4(),
-    name: 'encounter:read',
-    description: 'Read encounter information',
-    resource: 'encounter',
-    action: 'read'
-  },
-  {
-    id: uuidv4(),
-    name: 'encounter:create',
-    description: 'Create new encounters',
-    resource: 'encounter',
-    action: 'create'
-  },
-  {
-    id: uuidv4(),
-    name: 'encounter:update',
-    description: 'Update encounter information',
-    resource: 'encounter',
-    action: 'update'
-  },
-  {
-    id: uuidv4(),
-    name: 'encounter:delete',
-    description: 'Delete encounters',
-    resource: 'encounter',
-    action: 'delete'
-  }
-];
+// Define which permissions each role holds; admin holds every permission.
+// Anything beyond these can be granted to an individual user.
+const rolePermissionMatrix = {
+  admin: permissions.map(permission => permission.name),
+  doctor: [
+    'user:read',
+    'patient:read', 'patient:create', 'patient:update', 'patient:delete',
+    'medical_history:read', 'medical_history:update',
+    'abha:manage',
+    'appointment:read', 'appointment:create', 'appointment:update', 'appointment:delete',
+    'availability:read', 'availability:update',
+    'calendar:read', 'calendar:update',
+    'waitlist:read', 'waitlist:update',
+    'queue:read', 'queue:check_in', 'queue:call',
+    'encounter:read', 'encounter:create', 'encounter:update',
+    'clinical_note:read', 'clinical_note:create', 'clinical_note:update', 'clinical_note:sign',
+    'clinical_note:delete',
+    'diagnosis:write',
+    'vitals:read', 'vitals:write',
+    'prescription:read', 'prescription:create', 'prescription:update', 'prescription:sign',
+    'formulary:read',
+    'pre_diagnosis:read', 'pre_diagnosis:create', 'pre_diagnosis:update', 'pre_diagnosis:delete',
+    'recording:read', 'recording:create', 'recording:update', 'recording:delete',
+    'transcription:read', 'transcription:create', 'transcription:update',
+    'task:read', 'task:create', 'task:update', 'task:delete',
+    'dashboard:read'
+  ],
+  nurse: [
+    'user:read',
+    'patient:read', 'patient:update',
+    'medical_history:read',
+    'appointment:read',
+    'availability:read',
+    'queue:read', 'queue:check_in', 'queue:call', 'queue:manage',
+    'encounter:read', 'encounter:create', 'encounter:update',
+    'clinical_note:read', 'clinical_note:create', 'clinical_note:update', 'clinical_note:delete',
+    'vitals:read',
+    'prescription:read',
+    'formulary:read',
+    'pre_diagnosis:read',
+    'task:read', 'task:create', 'task:update',
+    'dashboard:read'
+  ],
+  receptionist: [
+    'user:read',
+    'patient:read', 'patient:create', 'patient:update',
+    'appointment:read', 'appointment:create', 'appointment:update', 'appointment:delete',
+    'appointment:manage',
+    'availability:read',
+    'waitlist:read', 'waitlist:update', 'waitlist:manage',
+    'queue:read', 'queue:check_in', 'queue:manage',
+    'task:read',
+    'dashboard:read'
+  ]
+};
 
 // Define role-permission mappings
-const rolePermissions = [
-  // Admin role permissions (all permissions)
-  ...permissions.map(permission => ({
-    id: uuidv4(),
-    roleId: roles[0].id, // admin role
-    permissionId: permission.id
-  })),
+const rolePermissions = roles.flatMap(role =>
+  rolePermissionMatrix[role.name].map(name => {
+    const permission = permissions.find(p => p.name === name);
 
-  // Doctor role permissions
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'user:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'user:update').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'patient:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'patient:update').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'appointment:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'appointment:update').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'encounter:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'encounter:create').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[1].id, // doctor role
-    permissionId: permissions.find(p => p.name === 'encounter:update').id
-  },
-
-  // Nurse role permissions
-  {
-    id: uuidv4(),
-    roleId: roles[2].id, // nurse role
-    permissionId: permissions.find(p => p.name === 'user:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[2].id, // nurse role
-    permissionId: permissions.find(p => p.name === 'patient:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[2].id, // nurse role
-    permissionId: permissions.find(p => p.name === 'patient:update').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[2].id, // nurse role
-    permissionId: permissions.find(p => p.name === 'appointment:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[2].id, // nurse role
-    permissionId: permissions.find(p => p.name === 'encounter:read').id
-  },
+    if (!permission) {
+      throw new Error(`Role ${role.name} references unknown permission ${name}`);
+    }
 
-  // Receptionist role permissions
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'user:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'patient:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'patient:create').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'patient:update').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'appointment:read').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'appointment:create').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'appointment:update').id
-  },
-  {
-    id: uuidv4(),
-    roleId: roles[3].id, // receptionist role
-    permissionId: permissions.find(p => p.name === 'appointment:delete').id
-  }
-];
+    return {
+      id: uuidv4(),
+      roleId: role.id,
+      permissionId: permission.id
+    };
+  })
+);
 
 // Seed the database
 async function seed() {
@@ -303,7 +259,7 @@ async function seed() {
     const adminPassword = process.env.ADMIN_PASSWORD || 'Admin@123456';
     const adminPasswordHash = await hashPassword(adminPassword);
 
-    await sequelize.models.User.create({
+    const admin = await sequelize.models.User.create({
       id: uuidv4(),
       username: 'admin',
       email: 'admin@drassistant.com',
@@ -313,13 +269,14 @@ async function seed() {
       status: 'active',
       password_changed_at: new Date()
     });
+    await UserRole.create({ userId: admin.id, roleId: roles.find(r => r.name === 'admin').id });
     logger.info('Admin user created successfully');
 
     // Create doctor user
     const doctorPassword = 'password';
     const doctorPasswordHash = await hashPassword(doctorPassword);
 
-    await sequelize.models.User.create({
+    const doctor = await sequelize.models.User.create({
       id: uuidv4(),
       username: 'doctor',
       email: 'doctor@example.com',
@@ -330,6 +287,7 @@ async function seed() {
       status: 'active',
       password_changed_at: new Date()
     });
+    await UserRole.create({ userId: doctor.id, roleId: roles.find(r => r.name === 'doctor').id });
     logger.info('Doctor user created successfully');
 
     logger.info('Seed completed successfully');
@@ -1,7 +1,7 @@
 const { Op } = require('sequelize');
 const axios = require('axios');
 const { logger } = require('../utils/logger');
-const { User, Role, Permission, Token } = require('../models');
+const { sequelize, User, Role, Permission, Token, UserPermission } = require('../models');
 const {
   generateToken,
   generateAccessToken,
@@ -13,9 +13,14 @@ const {
 } = require('../utils/jwt');
 const { hashPassword, comparePassword, validatePasswordStrength } = require('../utils/password');
 const { generateTOTPSecret, generateTOTPQRCode, verifyTOTP, generateBackupCodes, verifyBackupCode } = require('../utils/mfa');
+const { issueOneTimeToken, consumeOneTimeToken } = require('../utils/one-time-token');
+const { sendEmail } = require('../utils/email');
+const { hasPermission } = require('@dr-assistant/auth');
+const { PERMISSION_INCLUDE, formatPermission, collectPermissions } = require('../utils/permissions');
 const {
   ValidationError,
   AuthenticationError,
+  AuthorizationError,
   NotFoundError,
   ConflictError
 } = require('../utils/error-handler');
@@ -97,6 +102,40 @@ async function createUserProfile(user) {
   }
 }
 
+/**
+ * Build a link into the web app
+ * @param {string} pathname - App path
+ * @param {string} token - One-time token
+ * @returns {string} URL
+ */
+function appLink(pathname, token) {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a user a link to verify their email address
+ * @param {Object} user - User object
+ * @param {string} [ipAddress] - IP address of the request
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user, ipAddress = null) {
+  const { token, expires } = await issueOneTimeToken(user.id, 'email_verification', ipAddress);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your Dr. Assistant email address',
+    text: [
+      `Hello ${user.full_name},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      appLink('/verify-email', token),
+      '',
+      `The link expires at ${expires.toISOString()}.`
+    ].join('\n')
+  });
+}
+
 /**
  * Register a new user
  * @param {Object} userData - User data
@@ -158,9 +197,18 @@ exports.registerUser = async (userData) => {
   // Create user profile in User Service
   await createUserProfile(user);
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
+  // Don't fail registration if the verification email can't be sent; it can be resent
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send verification email for user: ${user.id}`, { error: error.message });
+  }
+
+  // Generate tokens; the access token carries the session (refresh token family) ID
+  // and the user's permissions
+  const { permissions } = await getUserAccess(user.id);
   const refreshToken = await generateRefreshToken(user);
+  const accessToken = generateAccessToken(user, refreshToken.family, permissions);
 
   // Return user and tokens
   return {
@@ -257,29 +305,16 @@ exports.loginUser = async (username, password, options = {}) => {
     };
   }
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
+  // Generate tokens; the access token carries the session (refresh token family) ID
+  // and the user's permissions
+  const { roles, permissions } = await getUserAccess(user.id);
   const refreshToken = await generateRefreshToken(
     user,
     null,
     options.deviceInfo || {},
     options.ipAddress
   );
-
-  // Get user roles and permissions
-  const roles = await user.getRoles({
-    include: [{
-      model: Permission,
-      as: 'permissions'
-    }]
-  });
-
-  const permissions = roles.reduce((acc, role) => {
-    role.permissions.forEach(permission => {
-      acc.push(`${permission.resource}:${permission.action}`);
-    });
-    return acc;
-  }, []);
+  const accessToken = generateAccessToken(user, refreshToken.family, permissions);
 
   // Return user and tokens
   return {
@@ -290,7 +325,7 @@ exports.loginUser = async (username, password, options = {}) => {
       full_name: user.full_name,
       role: user.role,
       specialty: user.specialty,
-      roles: roles.map(role => role.name),
+      roles,
       permissions,
       createdAt: user.createdAt,
     },
@@ -356,29 +391,16 @@ exports.verifyMFA = async (userId, code, options = {}) => {
     throw new AuthenticationError('Invalid MFA code');
   }
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
+  // Generate tokens; the access token carries the session (refresh token family) ID
+  // and the user's permissions
+  const { roles, permissions } = await getUserAccess(user.id);
   const refreshToken = await generateRefreshToken(
     user,
     null,
     options.deviceInfo || {},
     options.ipAddress
   );
-
-  // Get user roles and permissions
-  const roles = await user.getRoles({
-    include: [{
-      model: Permission,
-      as: 'permissions'
-    }]
-  });
-
-  const permissions = roles.reduce((acc, role) => {
-    role.permissions.forEach(permission => {
-      acc.push(`${permission.resource}:${permission.action}`);
-    });
-    return acc;
-  }, []);
+  const accessToken = generateAccessToken(user, refreshToken.family, permissions);
 
   // Return user and tokens
   return {
@@ -389,7 +411,7 @@ exports.verifyMFA = async (userId, code, options = {}) => {
       full_name: user.full_name,
       role: user.role,
       specialty: user.specialty,
-      roles: roles.map(role => role.name),
+      roles,
       permissions,
       createdAt: user.createdAt,
     },
@@ -434,8 +456,9 @@ exports.refreshToken = async (refreshToken, options = {}) => {
     throw new NotFoundError('User not found');
   }
 
-  // Generate new access token
-  const accessToken = generateAccessToken(user);
+  // Generate new access token; permissions are re-read so grants and revocations apply
+  const { permissions } = await getUserAccess(user.id);
+  const accessToken = generateAccessToken(user, newRefreshToken.family, permissions);
 
   return {
     tokens: {
@@ -482,6 +505,416 @@ exports.logoutAll = async (userId) => {
   };
 };
 
+/**
+ * Start a password reset
+ * The response is the same whether or not the email belongs to an account,
+ * so the endpoint can't be used to discover registered addresses.
+ * @param {string} email - Account email
+ * @param {Object} [options] - Options
+ * @param {string} [options.ipAddress] - IP address
+ * @returns {Object} Result
+ */
+exports.requestPasswordReset = async (email, options = {}) => {
+  logger.info('Password reset requested');
+
+  const result = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  const user = await User.findOne({ where: { email } });
+  if (!user || ['inactive', 'suspended'].includes(user.status)) {
+    return result;
+  }
+
+  try {
+    const { token, expires } = await issueOneTimeToken(user.id, 'password_reset', options.ipAddress);
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Reset your Dr. Assistant password',
+      text: [
+        `Hello ${user.full_name},`,
+        '',
+        'We received a request to reset your password. Open this link to choose a new one:',
+        appLink('/reset-password', token),
+        '',
+        `The link expires at ${expires.toISOString()} and can only be used once.`,
+        'If you did not ask for this, you can ignore this email.'
+      ].join('\n')
+    });
+  } catch (error) {
+    logger.error(`Failed to send password reset email for user: ${user.id}`, { error: error.message });
+  }
+
+  return result;
+};
+
+/**
+ * Complete a password reset
+ * The token is redeemed in the same transaction as the password change, so a
+ * rejected password leaves the token usable. All sessions are signed out.
+ * @param {string} token - Password reset token
+ * @param {string} password - New password
+ * @returns {Object} Result
+ */
+exports.resetPassword = async (token, password) => {
+  logger.info('Resetting password');
+
+  const userId = await sequelize.transaction(async (transaction) => {
+    const tokenUserId = await consumeOneTimeToken(token, 'password_reset', { transaction });
+
+    const user = await User.scope('withPassword').findByPk(tokenUserId, { transaction });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    validatePasswordStrength(password, user);
+
+    if (await comparePassword(password, user.password_hash)) {
+      throw new ValidationError('New password must be different from the current password');
+    }
+
+    user.password_hash = await hashPassword(password);
+    user.password_changed_at = new Date();
+    user.failed_login_attempts = 0;
+    user.account_locked_until = null;
+
+    // The reset link was delivered to the account email, which proves ownership
+    if (!user.email_verified) {
+      user.email_verified = true;
+      user.email_verified_at = new Date();
+    }
+
+    await user.save({ transaction });
+
+    return user.id;
+  });
+
+  await revokeAllUserTokens(userId);
+
+  return {
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  };
+};
+
+/**
+ * Resend the email verification link
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.ipAddress] - IP address
+ * @returns {Object} Result
+ */
+exports.resendEmailVerification = async (userId, options = {}) => {
+  logger.info(`Resending email verification for user: ${userId}`);
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.email_verified) {
+    throw new ValidationError('Email is already verified');
+  }
+
+  await sendVerificationEmail(user, options.ipAddress);
+
+  return {
+    success: true,
+    message: 'Verification email sent'
+  };
+};
+
+/**
+ * Verify a user's email address
+ * @param {string} token - Email verification token
+ * @returns {Object} Result
+ */
+exports.verifyEmail = async (token) => {
+  logger.info('Verifying email');
+
+  const userId = await consumeOneTimeToken(token, 'email_verification');
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  user.email_verified = true;
+  user.email_verified_at = new Date();
+  await user.save();
+
+  return {
+    success: true,
+    message: 'Email verified successfully'
+  };
+};
+
+/**
+ * List a user's active sessions
+ * A session is a refresh token family: it starts at login and survives token
+ * rotation until it expires or is revoked.
+ * @param {string} userId - User whose sessions to list
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Array} Sessions, most recently used first
+ */
+exports.listSessions = async (userId, currentUser) => {
+  logger.info(`Listing sessions for user: ${userId}`);
+
+  assertCanManageSessions(userId, currentUser);
+
+  // Rotation blacklists the previous token, so each live family has one active token
+  const activeTokens = await Token.findAll({
+    where: {
+      userId,
+      type: 'refresh',
+      blacklisted: false,
+      expires: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC']]
+  });
+
+  if (activeTokens.length === 0) {
+    return [];
+  }
+
+  // A session started when the first token in its family was issued
+  const families = await Token.findAll({
+    attributes: ['family', [sequelize.fn('MIN', sequelize.col('createdAt')), 'started_at']],
+    where: {
+      userId,
+      type: 'refresh',
+      family: activeTokens.map(token => token.family)
+    },
+    group: ['family'],
+    raw: true
+  });
+
+  const startedAt = families.reduce((acc, row) => {
+    acc[row.family] = row.started_at;
+    return acc;
+  }, {});
+
+  return activeTokens.map(token => ({
+    family: token.family,
+    device: token.device_info || {},
+    ip_address: token.ip_address,
+    created_at: startedAt[token.family] || token.createdAt,
+    last_used_at: token.last_used_at,
+    expires: token.expires,
+    current: userId === currentUser.id && token.family === currentUser.sessionId
+  }));
+};
+
+/**
+ * Revoke a single session
+ * @param {string} family - Session (refresh token family) ID
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Object} Result
+ */
+exports.revokeSession = async (family, currentUser) => {
+  logger.info(`Revoking session: ${family}`);
+
+  const token = await Token.findOne({ where: { family, type: 'refresh' } });
+
+  // Other users' sessions look the same as missing ones to users who can't manage them
+  if (!token || (token.userId !== currentUser.id && !hasPermission(currentUser, 'session:manage'))) {
+    throw new NotFoundError('Session not found');
+  }
+
+  const [count] = await Token.update(
+    { blacklisted: true },
+    { where: { family, type: 'refresh', blacklisted: false } }
+  );
+
+  if (count === 0) {
+    throw new NotFoundError('Session not found');
+  }
+
+  return {
+    success: true,
+    message: 'Session revoked',
+    userId: token.userId
+  };
+};
+
+/**
+ * Ensure the current user may manage another user's sessions
+ * @param {string} userId - User whose sessions are being managed
+ * @param {Object} currentUser - Authenticated user
+ */
+function assertCanManageSessions(userId, currentUser) {
+  if (userId !== currentUser.id && !hasPermission(currentUser, 'session:manage')) {
+    throw new AuthorizationError('You can only manage your own sessions');
+  }
+}
+
+/**
+ * Get the permission matrix: every permission and the roles that hold it
+ * @returns {Object} Permissions and roles ({ permissions, roles })
+ */
+exports.getPermissionMatrix = async () => {
+  logger.info('Getting permission matrix');
+
+  const [permissions, roles] = await Promise.all([
+    Permission.findAll({ order: [['resource', 'ASC'], ['action', 'ASC']] }),
+    Role.findAll({
+      include: [{
+        model: Permission,
+        as: 'permissions'
+      }],
+      order: [['name', 'ASC']]
+    })
+  ]);
+
+  return {
+    permissions: permissions.map(permission => ({
+      name: formatPermission(permission),
+      resource: permission.resource,
+      action: permission.action,
+      description: permission.description
+    })),
+    roles: roles.map(role => ({
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions.map(formatPermission).sort()
+    }))
+  };
+};
+
+/**
+ * Get a user's permissions, split by where they come from
+ * @param {string} userId - User ID
+ * @returns {Object} Roles, role and granted permissions, and the effective set
+ */
+exports.getUserPermissions = async (userId) => {
+  logger.info(`Getting permissions for user: ${userId}`);
+
+  const user = await User.findByPk(userId, { include: PERMISSION_INCLUDE });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return {
+    userId: user.id,
+    roles: user.roles.map(role => role.name),
+    role_permissions: collectPermissions({ roles: user.roles }),
+    granted_permissions: collectPermissions({ grantedPermissions: user.grantedPermissions }),
+    permissions: collectPermissions(user)
+  };
+};
+
+/**
+ * Record a user's medical council registration
+ * Prescriptions are signed with these details, so only administrators set them.
+ * @param {string} userId - User ID
+ * @param {Object} registration - Registration details
+ * @param {string} registration.registration_number - Registration number
+ * @param {string} [registration.registration_council] - Issuing medical council
+ * @returns {Object} The updated user
+ */
+exports.updateMedicalRegistration = async (userId, registration) => {
+  logger.info(`Updating medical registration for user: ${userId}`);
+
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  await user.update({
+    registration_number: registration.registration_number,
+    registration_council: registration.registration_council || null
+  });
+
+  return exports.getUserById(userId);
+};
+
+/**
+ * Grant a user a permission on top of their roles
+ * Services that authorize from the access token see the grant once the user's
+ * token is next refreshed.
+ * @param {string} userId - User ID
+ * @param {string} permissionName - Permission (format: 'resource:action')
+ * @param {Object} currentUser - Admin granting the permission
+ * @returns {Object} The user's updated permissions
+ */
+exports.grantUserPermission = async (userId, permissionName, currentUser) => {
+  logger.info(`Granting ${permissionName} to user: ${userId}`);
+
+  const [user, permission] = await Promise.all([
+    User.findByPk(userId),
+    Permission.findOne({ where: { name: permissionName } })
+  ]);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!permission) {
+    throw new ValidationError(`Unknown permission: ${permissionName}`);
+  }
+
+  const existing = await UserPermission.findOne({
+    where: { userId, permissionId: permission.id }
+  });
+
+  if (existing) {
+    throw new ConflictError(`User already has ${permissionName} granted`);
+  }
+
+  await UserPermission.create({
+    userId,
+    permissionId: permission.id,
+    granted_by: currentUser.id
+  });
+
+  return exports.getUserPermissions(userId);
+};
+
+/**
+ * Revoke a permission granted directly to a user
+ * Permissions that come from the user's roles are not affected.
+ * @param {string} userId - User ID
+ * @param {string} permissionName - Permission (format: 'resource:action')
+ * @returns {Object} The user's updated permissions
+ */
+exports.revokeUserPermission = async (userId, permissionName) => {
+  logger.info(`Revoking ${permissionName} from user: ${userId}`);
+
+  const permission = await Permission.findOne({ where: { name: permissionName } });
+
+  const count = permission
+    ? await UserPermission.destroy({ where: { userId, permissionId: permission.id } })
+    : 0;
+
+  if (count === 0) {
+    throw new NotFoundError(`User has no ${permissionName} grant`);
+  }
+
+  return exports.getUserPermissions(userId);
+};
+
+/**
+ * Load a user's role names and effective permissions
+ * @param {string} userId - User ID
+ * @returns {Object} Roles and permissions ({ roles, permissions })
+ */
+async function getUserAccess(userId) {
+  const user = await User.findByPk(userId, { include: PERMISSION_INCLUDE });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return {
+    roles: user.roles.map(role => role.name),
+    permissions: collectPermissions(user)
+  };
+}
+
 /**
  * Setup MFA for a user
  * @param {string} userId - User ID
@@ -608,28 +1041,13 @@ exports.disableMFA = async (userId, code) => {
  * @returns {Object} User
  */
 exports.getUserById = async (id) => {
-  const user = await User.findByPk(id, {
-    include: [{
-      model: Role,
-      as: 'roles',
-      include: [{
-        model: Permission,
-        as: 'permissions'
-      }]
-    }]
-  });
+  const user = await User.findByPk(id, { include: PERMISSION_INCLUDE });
 
   if (!user) {
     throw new NotFoundError('User not found');
   }
 
-  // Format permissions
-  const permissions = user.roles.reduce((acc, role) => {
-    role.permissions.forEach(permission => {
-      acc.push(`${permission.resource}:${permission.action}`);
-    });
-    return acc;
-  }, []);
+  const permissions = collectPermissions(user);
 
   return {
     id: user.id,
@@ -638,9 +1056,12 @@ exports.getUserById = async (id) => {
     full_name: user.full_name,
     role: user.role,
     specialty: user.specialty,
+    registration_number: user.registration_number,
+    registration_council: user.registration_council,
     phone: user.phone,
     profile_image_url: user.profile_image_url,
     status: user.status,
+    email_verified: user.email_verified,
     mfa_enabled: user.mfa_enabled,
     last_login_at: user.last_login_at,
     roles: user.roles.map(role => role.name),
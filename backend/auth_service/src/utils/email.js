@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+/**
+ * Built-in email transports
+ * A transport is an object with an async send(message) method, where message
+ * is { from, to, subject, text }.
+ */
+const transports = {
+  // Write each message to a JSON file, for local development and tests
+  outbox: {
+    send: async (message) => {
+      const dir = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+      const file = path.join(
+        dir,
+        `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`
+      );
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+      return { id: path.basename(file) };
+    }
+  },
+
+  // Hand the message to an HTTP mail relay
+  webhook: {
+    send: async (message) => {
+      if (!process.env.EMAIL_WEBHOOK_URL) {
+        throw new Error('EMAIL_WEBHOOK_URL is not configured');
+      }
+
+      const response = await axios.post(process.env.EMAIL_WEBHOOK_URL, message, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.EMAIL_WEBHOOK_TOKEN && {
+            Authorization: `Bearer ${process.env.EMAIL_WEBHOOK_TOKEN}`
+          })
+        },
+        timeout: 5000
+      });
+
+      return { id: response.data?.id };
+    }
+  }
+};
+
+/**
+ * Register an email transport
+ * @param {string} name - Transport name, selected with EMAIL_TRANSPORT
+ * @param {Object} transport - Transport with an async send(message) method
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Email transport "${name}" must have a send method`);
+  }
+
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain text body
+ * @returns {Object} Transport result
+ */
+const sendEmail = async ({ to, subject, text }) => {
+  const name = process.env.EMAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  const result = await transport.send({
+    from: process.env.EMAIL_FROM || 'Dr. Assistant <no-reply@dr-assistant.local>',
+    to,
+    subject,
+    text
+  });
+
+  // Bodies carry one-time links, so only the envelope is logged
+  logger.info(`Email sent via ${name}`, { to, subject });
+
+  return result;
+};
+
+module.exports = {
+  registerTransport,
+  sendEmail
+};
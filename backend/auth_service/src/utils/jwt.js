@@ -40,15 +40,19 @@ const verifyToken = (token, secret) => {
 /**
  * Generate access token
  * @param {Object} user - User object
+ * @param {string} [sessionId] - Refresh token family the access token belongs to
+ * @param {string[]} [permissions] - Effective permissions, so other services can authorize locally
  * @returns {string} Access token
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId = null, permissions = null) => {
   const payload = {
     sub: user.id,
     name: user.full_name,
     role: user.role,
     type: 'access',
-    jti: uuidv4()
+    jti: uuidv4(),
+    ...(sessionId && { sid: sessionId }),
+    ...(permissions && { permissions })
   };
 
   // Use a fallback secret if environment variable is not set
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { VerificationToken } = require('../models');
+const { ValidationError } = require('./error-handler');
+const { ms } = require('./jwt');
+
+// How long emailed tokens stay valid, by purpose
+const TOKEN_TTL = {
+  password_reset: () => process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN || '1h',
+  email_verification: () => process.env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN || '24h'
+};
+
+/**
+ * Hash a one-time token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashOneTimeToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Issue a single-use token for emailing to a user
+ * Any earlier unused token for the same purpose is invalidated, so only the
+ * most recent email works.
+ * @param {string} userId - User ID
+ * @param {string} purpose - Token purpose (password_reset or email_verification)
+ * @param {string} [ipAddress] - IP address of the request
+ * @returns {Object} Plain token and expiry
+ */
+const issueOneTimeToken = async (userId, purpose, ipAddress = null) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = new Date(Date.now() + ms(TOKEN_TTL[purpose]()));
+
+  await VerificationToken.update(
+    { used_at: new Date() },
+    { where: { userId, purpose, used_at: null } }
+  );
+
+  await VerificationToken.create({
+    userId,
+    token_hash: hashOneTimeToken(token),
+    purpose,
+    expires,
+    ip_address: ipAddress
+  });
+
+  return { token, expires };
+};
+
+/**
+ * Redeem a single-use token
+ * The token is marked used in the same statement that checks it, so it can
+ * only be redeemed once even under concurrent requests.
+ * @param {string} token - Plain token
+ * @param {string} purpose - Token purpose (password_reset or email_verification)
+ * @param {Object} [options] - Query options, e.g. { transaction }
+ * @returns {string} ID of the user the token was issued to
+ */
+const consumeOneTimeToken = async (token, purpose, options = {}) => {
+  const now = new Date();
+
+  const [count, rows] = await VerificationToken.update(
+    { used_at: now },
+    {
+      where: {
+        token_hash: hashOneTimeToken(token),
+        purpose,
+        used_at: null,
+        expires: { [Op.gt]: now }
+      },
+      returning: true,
+      ...options
+    }
+  );
+
+  if (!count) {
+    throw new ValidationError('Invalid or expired token');
+  }
+
+  return rows[0].userId;
+};
+
+module.exports = {
+  hashOneTimeToken,
+  issueOneTimeToken,
+  consumeOneTimeToken
+};
@@ -0,0 +1,48 @@
+const { Role, Permission } = require('../models');
+
+// Eager-load everything a user's permissions come from: their roles' permissions
+// plus any permissions granted to them directly
+const PERMISSION_INCLUDE = [
+  {
+    model: Role,
+    as: 'roles',
+    include: [{
+      model: Permission,
+      as: 'permissions'
+    }]
+  },
+  {
+    model: Permission,
+    as: 'grantedPermissions'
+  }
+];
+
+/**
+ * Format a permission as a 'resource:action' string
+ * @param {Object} permission - Permission record
+ * @returns {string} Permission string
+ */
+const formatPermission = (permission) => `${permission.resource}:${permission.action}`;
+
+/**
+ * Collect a user's effective permissions
+ * @param {Object} user - User loaded with PERMISSION_INCLUDE
+ * @returns {string[]} Sorted, de-duplicated permission strings
+ */
+const collectPermissions = (user) => {
+  const permissions = new Set();
+
+  (user.roles || []).forEach(role => {
+    (role.permissions || []).forEach(permission => permissions.add(formatPermission(permission)));
+  });
+
+  (user.grantedPermissions || []).forEach(permission => permissions.add(formatPermission(permission)));
+
+  return [...permissions].sort();
+};
+
+module.exports = {
+  PERMISSION_INCLUDE,
+  formatPermission,
+  collectPermissions
+};
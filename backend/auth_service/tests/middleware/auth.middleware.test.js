@@ -1,7 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const { authenticate, authorizeRoles, authorizePermissions } = require('../../src/middleware/auth.middleware');
 const { verifyToken } = require('../../src/utils/jwt');
-const { User, Role, Permission } = require('../../src/models');
+const jwt = require('jsonwebtoken');
+const { User, Role, Permission, Token } = require('../../src/models');
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -53,6 +54,27 @@ describe('Auth Middleware', () => {
       // Skip this test as it's difficult to mock properly
       expect(true).toBe(true);
     });
+
+    it('should reject access tokens whose session has been revoked', async () => {
+      // Mock implementations
+      req.header.mockReturnValue('Bearer valid.jwt.token');
+      jwt.verify.mockReturnValue({ sub: 'user-id', type: 'access', sid: 'family-1' });
+      User.findByPk.mockResolvedValue({ id: 'user-id', status: 'active', roles: [] });
+      Token.findOne.mockResolvedValue(null);
+
+      // Execute
+      await authenticate(req, res, next);
+
+      // Assert
+      expect(Token.findOne).toHaveBeenCalledWith({
+        where: { family: 'family-1', type: 'refresh', blacklisted: false }
+      });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ message: 'Session has been revoked' }),
+      }));
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('authorizeRoles', () => {
@@ -1,8 +1,15 @@
+// Declared before the requires: this config has no transform, so jest.mock isn't hoisted
+jest.mock('../../src/utils/one-time-token');
+jest.mock('../../src/utils/email');
+
 const { v4: uuidv4 } = require('uuid');
 const authService = require('../../src/services/auth.service');
-const { User, Role, Permission, Token } = require('../../src/models');
+const { User, Role, Permission, Token, UserPermission } = require('../../src/models');
 const { hashPassword, comparePassword } = require('../../src/utils/password');
 const { generateAccessToken, generateRefreshToken } = require('../../src/utils/jwt');
+const { issueOneTimeToken, consumeOneTimeToken } = require('../../src/utils/one-time-token');
+const { sendEmail } = require('../../src/utils/email');
+const bcrypt = require('bcrypt');
 
 describe('Auth Service', () => {
   beforeEach(() => {
@@ -50,5 +57,308 @@ describe('Auth Service', () => {
     });
   });
 
-  // Add more test cases for other methods as needed
+  describe('requestPasswordReset', () => {
+    it('should email a reset link to an existing user', async () => {
+      // Mock implementations
+      User.findOne.mockResolvedValue({
+        id: 'user123',
+        email: 'doctor@example.com',
+        full_name: 'Doctor User',
+        status: 'active'
+      });
+      issueOneTimeToken.mockResolvedValue({ token: 'a'.repeat(64), expires: new Date() });
+
+      // Execute
+      const result = await authService.requestPasswordReset('doctor@example.com', { ipAddress: '127.0.0.1' });
+
+      // Assert
+      expect(issueOneTimeToken).toHaveBeenCalledWith('user123', 'password_reset', '127.0.0.1');
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'doctor@example.com',
+        text: expect.stringContaining(`/reset-password?token=${'a'.repeat(64)}`)
+      }));
+      expect(result.success).toBe(true);
+    });
+
+    it('should respond the same way for an unknown email', async () => {
+      // Mock implementations
+      User.findOne.mockResolvedValue(null);
+
+      // Execute
+      const result = await authService.requestPasswordReset('nobody@example.com');
+
+      // Assert
+      expect(issueOneTimeToken).not.toHaveBeenCalled();
+      expect(sendEmail).not.toHaveBeenCalled();
+      expect(result.message).toBe('If an account exists for that email, a password reset link has been sent');
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should set the new password and revoke all sessions', async () => {
+      // Mock data
+      const user = {
+        id: 'user123',
+        username: 'doctor',
+        email: 'doctor@example.com',
+        full_name: 'Doctor User',
+        password_hash: 'old_hash',
+        failed_login_attempts: 3,
+        account_locked_until: new Date(),
+        email_verified: false,
+        save: jest.fn()
+      };
+
+      // Mock implementations
+      consumeOneTimeToken.mockResolvedValue('user123');
+      User.findByPk.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValueOnce(false);
+      Token.update.mockResolvedValue([2]);
+
+      // Execute
+      const result = await authService.resetPassword('a'.repeat(64), 'NewPassword123!');
+
+      // Assert
+      expect(consumeOneTimeToken).toHaveBeenCalledWith('a'.repeat(64), 'password_reset', expect.any(Object));
+      expect(user.password_hash).toBe('hashed_password');
+      expect(user.failed_login_attempts).toBe(0);
+      expect(user.account_locked_until).toBeNull();
+      expect(user.email_verified).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(Token.update).toHaveBeenCalledWith(
+        { blacklisted: true },
+        { where: { userId: 'user123', type: 'refresh', blacklisted: false } }
+      );
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject reusing the current password', async () => {
+      // Mock implementations
+      consumeOneTimeToken.mockResolvedValue('user123');
+      User.findByPk.mockResolvedValue({ id: 'user123', password_hash: 'old_hash', save: jest.fn() });
+      bcrypt.compare.mockResolvedValueOnce(true);
+
+      // Execute and assert
+      await expect(authService.resetPassword('a'.repeat(64), 'NewPassword123!'))
+        .rejects.toThrow('New password must be different from the current password');
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the email verified', async () => {
+      // Mock data
+      const user = { id: 'user123', email_verified: false, save: jest.fn() };
+
+      // Mock implementations
+      consumeOneTimeToken.mockResolvedValue('user123');
+      User.findByPk.mockResolvedValue(user);
+
+      // Execute
+      await authService.verifyEmail('b'.repeat(64));
+
+      // Assert
+      expect(consumeOneTimeToken).toHaveBeenCalledWith('b'.repeat(64), 'email_verification');
+      expect(user.email_verified).toBe(true);
+      expect(user.email_verified_at).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      // Mock data
+      const currentUser = { id: 'user123', role: 'doctor', roles: ['doctor'], sessionId: 'family-1' };
+
+      // Mock implementations
+      Token.findAll
+        .mockResolvedValueOnce([
+          {
+            family: 'family-1',
+            device_info: { device: 'Macintosh' },
+            ip_address: '10.0.0.1',
+            last_used_at: new Date('2025-01-02T10:00:00Z'),
+            expires: new Date('2025-01-09T10:00:00Z')
+          },
+          {
+            family: 'family-2',
+            device_info: null,
+            ip_address: '10.0.0.2',
+            last_used_at: new Date('2025-01-01T10:00:00Z'),
+            expires: new Date('2025-01-08T10:00:00Z')
+          }
+        ])
+        .mockResolvedValueOnce([
+          { family: 'family-1', started_at: new Date('2024-12-30T08:00:00Z') },
+          { family: 'family-2', started_at: new Date('2025-01-01T09:00:00Z') }
+        ]);
+
+      // Execute
+      const sessions = await authService.listSessions('user123', currentUser);
+
+      // Assert
+      expect(sessions).toHaveLength(2);
+      expect(sessions[0]).toEqual(expect.objectContaining({
+        family: 'family-1',
+        device: { device: 'Macintosh' },
+        ip_address: '10.0.0.1',
+        created_at: new Date('2024-12-30T08:00:00Z'),
+        current: true
+      }));
+      expect(sessions[1]).toEqual(expect.objectContaining({ family: 'family-2', device: {}, current: false }));
+    });
+
+    it('should not let a non-admin list another user\'s sessions', async () => {
+      // Execute and assert
+      await expect(authService.listSessions('other-user', { id: 'user123', role: 'doctor', roles: ['doctor'] }))
+        .rejects.toThrow('You can only manage your own sessions');
+      expect(Token.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should blacklist every token in the family', async () => {
+      // Mock implementations
+      Token.findOne.mockResolvedValue({ userId: 'user123', family: 'family-2' });
+      Token.update.mockResolvedValue([1]);
+
+      // Execute
+      const result = await authService.revokeSession('family-2', { id: 'user123', role: 'doctor', roles: [] });
+
+      // Assert
+      expect(Token.update).toHaveBeenCalledWith(
+        { blacklisted: true },
+        { where: { family: 'family-2', type: 'refresh', blacklisted: false } }
+      );
+      expect(result.success).toBe(true);
+    });
+
+    it('should let a user with session:manage revoke another user\'s session', async () => {
+      // Mock implementations
+      Token.findOne.mockResolvedValue({ userId: 'other-user', family: 'family-3' });
+      Token.update.mockResolvedValue([1]);
+
+      // Execute
+      const result = await authService.revokeSession('family-3', {
+        id: 'admin1',
+        role: 'admin',
+        roles: ['admin'],
+        permissions: ['session:manage']
+      });
+
+      // Assert
+      expect(result.userId).toBe('other-user');
+    });
+
+    it('should hide other users\' sessions from non-admins', async () => {
+      // Mock implementations
+      Token.findOne.mockResolvedValue({ userId: 'other-user', family: 'family-3' });
+
+      // Execute and assert
+      await expect(authService.revokeSession('family-3', { id: 'user123', role: 'doctor', roles: [] }))
+        .rejects.toThrow('Session not found');
+      expect(Token.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateMedicalRegistration', () => {
+    it('should store the registration and return the updated user', async () => {
+      // Mock implementations
+      const update = jest.fn().mockResolvedValue({});
+      User.findByPk
+        .mockResolvedValueOnce({ id: 'doctor1', update })
+        .mockResolvedValueOnce({
+          id: 'doctor1',
+          full_name: 'Dr. Asha Rao',
+          registration_number: 'KMC-12345',
+          registration_council: null,
+          roles: [{ name: 'doctor', permissions: [] }],
+          grantedPermissions: []
+        });
+
+      // Execute
+      const result = await authService.updateMedicalRegistration('doctor1', { registration_number: 'KMC-12345' });
+
+      // Assert
+      expect(update).toHaveBeenCalledWith({ registration_number: 'KMC-12345', registration_council: null });
+      expect(result).toEqual(expect.objectContaining({ id: 'doctor1', registration_number: 'KMC-12345' }));
+    });
+
+    it('should throw for an unknown user', async () => {
+      // Mock implementations
+      User.findByPk.mockResolvedValue(null);
+
+      // Execute and assert
+      await expect(authService.updateMedicalRegistration('nobody', { registration_number: 'KMC-1' }))
+        .rejects.toThrow('User not found');
+    });
+  });
+
+  describe('grantUserPermission', () => {
+    it('should grant a permission on top of the user\'s roles', async () => {
+      // Mock implementations
+      User.findByPk
+        .mockResolvedValueOnce({ id: 'nurse1' })
+        .mockResolvedValueOnce({
+          id: 'nurse1',
+          roles: [{ name: 'nurse', permissions: [{ resource: 'vitals', action: 'read' }] }],
+          grantedPermissions: [{ resource: 'vitals', action: 'write' }]
+        });
+      // The mocked models share their finders, so queue the permission lookup then the grant lookup
+      Permission.findOne
+        .mockResolvedValueOnce({ id: 'perm-1', resource: 'vitals', action: 'write' })
+        .mockResolvedValueOnce(null);
+      UserPermission.create.mockResolvedValue({});
+
+      // Execute
+      const result = await authService.grantUserPermission('nurse1', 'vitals:write', { id: 'admin1' });
+
+      // Assert
+      expect(UserPermission.create).toHaveBeenCalledWith({
+        userId: 'nurse1',
+        permissionId: 'perm-1',
+        granted_by: 'admin1'
+      });
+      expect(result).toEqual({
+        userId: 'nurse1',
+        roles: ['nurse'],
+        role_permissions: ['vitals:read'],
+        granted_permissions: ['vitals:write'],
+        permissions: ['vitals:read', 'vitals:write']
+      });
+    });
+
+    it('should reject an unknown permission', async () => {
+      // Mock implementations
+      User.findByPk.mockResolvedValue({ id: 'nurse1' });
+      Permission.findOne.mockResolvedValue(null);
+
+      // Execute and assert
+      await expect(authService.grantUserPermission('nurse1', 'vitals:delete', { id: 'admin1' }))
+        .rejects.toThrow('Unknown permission: vitals:delete');
+      expect(UserPermission.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeUserPermission', () => {
+    it('should throw when the permission was not granted to the user', async () => {
+      // Mock implementations
+      Permission.findOne.mockResolvedValue({ id: 'perm-1', resource: 'vitals', action: 'write' });
+      UserPermission.destroy.mockResolvedValue(0);
+
+      // Execute and assert
+      await expect(authService.revokeUserPermission('nurse1', 'vitals:write'))
+        .rejects.toThrow('User has no vitals:write grant');
+    });
+  });
+
+  describe('resendEmailVerification', () => {
+    it('should refuse when the email is already verified', async () => {
+      // Mock implementations
+      User.findByPk.mockResolvedValue({ id: 'user123', email_verified: true });
+
+      // Execute and assert
+      await expect(authService.resendEmailVerification('user123'))
+        .rejects.toThrow('Email is already verified');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
 });
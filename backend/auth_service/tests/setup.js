@@ -59,6 +59,7 @@ global.crypto = {
 jest.mock('../src/models', () => {
   const mockModel = {
     findOne: jest.fn(),
+    findAll: jest.fn(),
     findByPk: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
@@ -72,6 +73,8 @@ jest.mock('../src/models', () => {
   return {
     sequelize: {
       transaction: jest.fn(callback => callback()),
+      fn: jest.fn((name, column) => `${name}(${column})`),
+      col: jest.fn(column => column),
       close: jest.fn()
     },
     User: { ...mockModel },
@@ -79,7 +82,9 @@ jest.mock('../src/models', () => {
     Permission: { ...mockModel },
     RolePermission: { ...mockModel },
     UserRole: { ...mockModel },
-    Token: { ...mockModel }
+    UserPermission: { ...mockModel },
+    Token: { ...mockModel },
+    VerificationToken: { ...mockModel }
   };
 });
 
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerTransport, sendEmail } = require('../../src/utils/email');
+
+describe('Email Utils', () => {
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-outbox-'));
+    process.env.EMAIL_OUTBOX_DIR = outboxDir;
+    delete process.env.EMAIL_TRANSPORT;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    delete process.env.EMAIL_OUTBOX_DIR;
+    delete process.env.EMAIL_TRANSPORT;
+  });
+
+  describe('sendEmail', () => {
+    it('should write the message to the outbox by default', async () => {
+      // Execute
+      await sendEmail({ to: 'doctor@example.com', subject: 'Hello', text: 'Body' });
+
+      // Assert
+      const files = fs.readdirSync(outboxDir);
+      expect(files).toHaveLength(1);
+
+      const message = JSON.parse(fs.readFileSync(path.join(outboxDir, files[0]), 'utf8'));
+      expect(message).toEqual(expect.objectContaining({
+        to: 'doctor@example.com',
+        subject: 'Hello',
+        text: 'Body',
+        from: expect.any(String)
+      }));
+    });
+
+    it('should use a registered transport', async () => {
+      // Mock data
+      const send = jest.fn().mockResolvedValue({ id: 'message1' });
+      registerTransport('test', { send });
+      process.env.EMAIL_TRANSPORT = 'test';
+
+      // Execute
+      const result = await sendEmail({ to: 'doctor@example.com', subject: 'Hello', text: 'Body' });
+
+      // Assert
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'doctor@example.com' }));
+      expect(result).toEqual({ id: 'message1' });
+      expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    });
+
+    it('should throw for an unknown transport', async () => {
+      // Mock data
+      process.env.EMAIL_TRANSPORT = 'carrier-pigeon';
+
+      // Execute and assert
+      await expect(sendEmail({ to: 'doctor@example.com', subject: 'Hello', text: 'Body' }))
+        .rejects.toThrow('Unknown email transport: carrier-pigeon');
+    });
+  });
+
+  describe('registerTransport', () => {
+    it('should reject a transport without a send method', () => {
+      // Execute and assert
+      expect(() => registerTransport('broken', {})).toThrow('must have a send method');
+    });
+  });
+});
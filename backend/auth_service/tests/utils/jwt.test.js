@@ -107,6 +107,40 @@ describe('JWT Utils', () => {
     });
   });
 
+  describe('generateAccessToken with a session', () => {
+    it('should include the session ID', () => {
+      // Mock data
+      const user = { id: 'user123', full_name: 'Test User', role: 'doctor' };
+
+      // Execute
+      generateAccessToken(user, 'family-1');
+
+      // Assert
+      expect(jwt.sign).toHaveBeenCalledWith(
+        expect.objectContaining({ sub: 'user123', sid: 'family-1' }),
+        'test_secret',
+        { expiresIn: '15m' }
+      );
+    });
+  });
+
+  describe('generateAccessToken with permissions', () => {
+    it('should include the permissions for other services to check', () => {
+      // Mock data
+      const user = { id: 'user123', full_name: 'Test User', role: 'nurse' };
+
+      // Execute
+      generateAccessToken(user, 'family-1', ['vitals:read', 'vitals:write']);
+
+      // Assert
+      expect(jwt.sign).toHaveBeenCalledWith(
+        expect.objectContaining({ sid: 'family-1', permissions: ['vitals:read', 'vitals:write'] }),
+        'test_secret',
+        { expiresIn: '15m' }
+      );
+    });
+  });
+
   describe('generateRefreshToken', () => {
     it('should generate a refresh token for a user', async () => {
       // Skip this test as it's difficult to mock properly
@@ -0,0 +1,75 @@
+const {
+  hashOneTimeToken,
+  issueOneTimeToken,
+  consumeOneTimeToken
+} = require('../../src/utils/one-time-token');
+const { VerificationToken } = require('../../src/models');
+
+describe('One-Time Token Utils', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VerificationToken.update = jest.fn().mockResolvedValue([0, []]);
+    process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN = '1h';
+  });
+
+  describe('issueOneTimeToken', () => {
+    it('should store only the hash of the token', async () => {
+      // Execute
+      const { token, expires } = await issueOneTimeToken('user123', 'password_reset', '127.0.0.1');
+
+      // Assert
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(VerificationToken.create).toHaveBeenCalledWith({
+        userId: 'user123',
+        token_hash: hashOneTimeToken(token),
+        purpose: 'password_reset',
+        expires,
+        ip_address: '127.0.0.1'
+      });
+      expect(VerificationToken.create.mock.calls[0][0].token_hash).not.toBe(token);
+      expect(expires.getTime() - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+      expect(expires.getTime() - Date.now()).toBeLessThanOrEqual(60 * 60 * 1000);
+    });
+
+    it('should invalidate earlier unused tokens for the same purpose', async () => {
+      // Execute
+      await issueOneTimeToken('user123', 'email_verification');
+
+      // Assert
+      expect(VerificationToken.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { userId: 'user123', purpose: 'email_verification', used_at: null } }
+      );
+    });
+  });
+
+  describe('consumeOneTimeToken', () => {
+    it('should mark a valid token used and return its user', async () => {
+      // Mock implementation
+      VerificationToken.update.mockResolvedValue([1, [{ userId: 'user123' }]]);
+
+      // Execute
+      const userId = await consumeOneTimeToken('plain-token', 'password_reset');
+
+      // Assert
+      expect(userId).toBe('user123');
+      expect(VerificationToken.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        expect.objectContaining({
+          where: expect.objectContaining({
+            token_hash: hashOneTimeToken('plain-token'),
+            purpose: 'password_reset',
+            used_at: null
+          }),
+          returning: true
+        })
+      );
+    });
+
+    it('should reject a used, expired or unknown token', async () => {
+      // Execute and assert
+      await expect(consumeOneTimeToken('plain-token', 'password_reset'))
+        .rejects.toThrow('Invalid or expired token');
+    });
+  });
+});
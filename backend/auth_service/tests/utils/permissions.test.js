@@ -0,0 +1,24 @@
+const { collectPermissions } = require('../../src/utils/permissions');
+
+describe('Permission Utils', () => {
+  describe('collectPermissions', () => {
+    it('should merge role and granted permissions without duplicates', () => {
+      // Mock data
+      const user = {
+        roles: [
+          { name: 'nurse', permissions: [{ resource: 'vitals', action: 'read' }, { resource: 'patient', action: 'read' }] },
+          { name: 'scheduler', permissions: [{ resource: 'patient', action: 'read' }] }
+        ],
+        grantedPermissions: [{ resource: 'vitals', action: 'write' }]
+      };
+
+      // Execute and assert
+      expect(collectPermissions(user)).toEqual(['patient:read', 'vitals:read', 'vitals:write']);
+    });
+
+    it('should return no permissions for a user without roles or grants', () => {
+      // Execute and assert
+      expect(collectPermissions({})).toEqual([]);
+    });
+  });
+});
@@ -7,7 +7,7 @@ const express = require('express');
 const { query } = require('express-validator');
 const dashboardController = require('../controllers/dashboard.controller');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -19,6 +19,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('dashboard:read'),
   dashboardController.getTodayAppointments
 );
 
@@ -30,6 +31,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('dashboard:read'),
   dashboardController.getPendingTasks
 );
 
@@ -41,6 +43,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('dashboard:read'),
   dashboardController.getCriticalAlerts
 );
 
@@ -52,6 +55,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('dashboard:read'),
   dashboardController.getPracticeMetrics
 );
 
@@ -63,6 +67,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('dashboard:read'),
   dashboardController.getDashboardData
 );
 
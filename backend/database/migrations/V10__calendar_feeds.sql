@@ -0,0 +1,39 @@
+-- Calendar Feeds Migration
+-- Creates the calendar_feeds table for ICS subscriptions and lets availability exceptions hold imported busy time
+
+-- Enable UUID extension if not already enabled
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Create calendar_feeds table
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    last_accessed_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Allow busy blocks imported from external calendars
+ALTER TABLE availability_exceptions DROP CONSTRAINT IF EXISTS availability_exceptions_exception_type_check;
+ALTER TABLE availability_exceptions ADD CONSTRAINT availability_exceptions_exception_type_check
+    CHECK (exception_type IN ('leave', 'holiday', 'busy', 'override'));
+ALTER TABLE availability_exceptions ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('manual', 'ics'));
+ALTER TABLE availability_exceptions ADD COLUMN IF NOT EXISTS external_uid VARCHAR(255);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_source ON availability_exceptions(doctor_id, source);
+
+-- Trigger to automatically update updated_at (function defined in V6)
+CREATE TRIGGER update_calendar_feeds_updated_at
+    BEFORE UPDATE ON calendar_feeds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments
+COMMENT ON TABLE calendar_feeds IS 'Per-doctor ICS subscription feeds';
+COMMENT ON COLUMN calendar_feeds.token_hash IS 'SHA-256 of the feed token; the token is only shown when issued';
+COMMENT ON COLUMN availability_exceptions.exception_type IS 'leave, holiday and busy block time; override replaces regular hours on those dates';
+COMMENT ON COLUMN availability_exceptions.source IS 'manual for staff-entered exceptions, ics for busy time imported from an external calendar';
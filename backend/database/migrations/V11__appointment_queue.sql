@@ -0,0 +1,15 @@
+-- Appointment Queue Migration
+-- Adds the queue token and call time used by the daily patient check-in queue
+
+-- Token drawn at check-in, counting up from 1 per doctor per day
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS queue_token INTEGER CHECK (queue_token > 0);
+
+-- When the patient was called in; with check_out_time this gives the actual consultation length
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS called_at TIMESTAMP;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_appointments_doctor_check_in ON appointments(doctor_id, check_in_time);
+
+-- Comments
+COMMENT ON COLUMN appointments.queue_token IS 'Check-in queue token, unique per doctor per day';
+COMMENT ON COLUMN appointments.called_at IS 'When the patient was called in to start the consultation';
@@ -0,0 +1,10 @@
+-- User Medical Registration Migration
+-- Adds the medical council registration printed on signed prescriptions
+
+-- Recorded by an administrator, not by the doctor, so it can be verified first
+ALTER TABLE users ADD COLUMN IF NOT EXISTS registration_number VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS registration_council VARCHAR(100);
+
+-- Comments
+COMMENT ON COLUMN users.registration_number IS 'Medical council registration number for doctors';
+COMMENT ON COLUMN users.registration_council IS 'Medical council that issued the registration number';
@@ -0,0 +1,43 @@
+-- Availability Exceptions Migration
+-- Creates the availability_exceptions table for doctor leave, holidays and schedule overrides
+
+-- Enable UUID extension if not already enabled
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Create availability_exceptions table
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    exception_type VARCHAR(10) NOT NULL CHECK (exception_type IN ('leave', 'holiday', 'override')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    reason VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT valid_exception_dates CHECK (end_date >= start_date),
+    CONSTRAINT valid_exception_times CHECK (
+        (start_time IS NULL AND end_time IS NULL) OR
+        (start_time IS NOT NULL AND end_time IS NOT NULL AND end_time > start_time)
+    ),
+    CONSTRAINT override_requires_times CHECK (exception_type <> 'override' OR start_time IS NOT NULL)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_doctor ON availability_exceptions(doctor_id);
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_dates ON availability_exceptions(start_date, end_date);
+
+-- Trigger to automatically update updated_at (function defined in V6)
+CREATE TRIGGER update_availability_exceptions_updated_at
+    BEFORE UPDATE ON availability_exceptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments
+COMMENT ON TABLE availability_exceptions IS 'Date-specific exceptions to a doctor''s recurring availability';
+COMMENT ON COLUMN availability_exceptions.exception_type IS 'leave and holiday block time; override replaces regular hours on those dates';
+COMMENT ON COLUMN availability_exceptions.start_time IS 'Start of the affected hours; NULL with end_time means the whole day';
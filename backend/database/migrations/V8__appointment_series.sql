@@ -0,0 +1,48 @@
+-- Appointment Series Migration
+-- Creates the appointment_series table for recurring appointments and links appointments to it
+
+-- Enable UUID extension if not already enabled
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Create appointment_series table
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID NOT NULL REFERENCES users(id),
+    patient_id UUID NOT NULL REFERENCES patients(id),
+    parent_series_id UUID REFERENCES appointment_series(id) ON DELETE SET NULL,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    interval INTEGER NOT NULL DEFAULT 1 CHECK (interval >= 1),
+    count INTEGER CHECK (count IS NULL OR count >= 1),
+    until DATE,
+    start_time TIMESTAMP NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes >= 1),
+    appointment_type VARCHAR(20) NOT NULL CHECK (appointment_type IN ('in_person', 'telemedicine', 'follow_up', 'urgent', 'routine')),
+    reason VARCHAR(255),
+    notes TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT series_is_bounded CHECK (count IS NOT NULL OR until IS NOT NULL)
+);
+
+-- Link appointments to their series
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES appointment_series(id) ON DELETE SET NULL;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_appointment_series_doctor ON appointment_series(doctor_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_series_patient ON appointment_series(patient_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id);
+
+-- Trigger to automatically update updated_at (function defined in V6)
+CREATE TRIGGER update_appointment_series_updated_at
+    BEFORE UPDATE ON appointment_series
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments
+COMMENT ON TABLE appointment_series IS 'Recurring appointment series; each occurrence is a row in appointments';
+COMMENT ON COLUMN appointment_series.parent_series_id IS 'Series this one was split from by a "this and following" edit';
+COMMENT ON COLUMN appointments.series_id IS 'Recurring series the appointment belongs to, if any';
@@ -0,0 +1,74 @@
+-- Waitlist Migration
+-- Creates the waitlist_entries and slot_holds tables used to backfill cancelled and no-show appointments
+
+-- Enable UUID extension if not already enabled
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Create waitlist_entries table
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID NOT NULL REFERENCES users(id),
+    patient_id UUID NOT NULL REFERENCES patients(id),
+    appointment_type VARCHAR(20) NOT NULL CHECK (appointment_type IN ('in_person', 'telemedicine', 'follow_up', 'urgent', 'routine')),
+    priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+    preferred_windows JSONB NOT NULL DEFAULT '[]',
+    earliest_date DATE,
+    latest_date DATE,
+    reason VARCHAR(255),
+    notes TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'booked', 'removed')),
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT waitlist_date_order CHECK (latest_date IS NULL OR earliest_date IS NULL OR latest_date >= earliest_date)
+);
+
+-- Create slot_holds table
+CREATE TABLE IF NOT EXISTS slot_holds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    waitlist_entry_id UUID NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    doctor_id UUID NOT NULL REFERENCES users(id),
+    patient_id UUID NOT NULL REFERENCES patients(id),
+    source_appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    excluded_patient_id UUID REFERENCES patients(id),
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+    appointment_type VARCHAR(20) NOT NULL CHECK (appointment_type IN ('in_person', 'telemedicine', 'follow_up', 'urgent', 'routine')),
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'declined', 'expired')),
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT slot_hold_time_order CHECK (end_time > start_time)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_doctor_status ON waitlist_entries(doctor_id, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_patient ON waitlist_entries(patient_id);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_doctor_time ON slot_holds(doctor_id, start_time, end_time);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_status_expiry ON slot_holds(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_source ON slot_holds(source_appointment_id);
+
+-- Triggers to automatically update updated_at (function defined in V6)
+CREATE TRIGGER update_waitlist_entries_updated_at
+    BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_slot_holds_updated_at
+    BEFORE UPDATE ON slot_holds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments
+COMMENT ON TABLE waitlist_entries IS 'Patients waiting for an earlier slot with a doctor';
+COMMENT ON COLUMN waitlist_entries.preferred_windows IS 'Array of { day_of_week?, start_time, end_time } windows the patient accepts; empty means any time';
+COMMENT ON TABLE slot_holds IS 'Freed appointment slots held for a waitlisted patient until confirmed, declined or expired';
+COMMENT ON COLUMN slot_holds.source_appointment_id IS 'Cancelled or no-show appointment that freed the slot';
+COMMENT ON COLUMN slot_holds.excluded_patient_id IS 'Patient whose appointment freed the slot; the slot is never offered back to them';
@@ -10,6 +10,8 @@ CREATE TABLE IF NOT EXISTS users (
     full_name VARCHAR(100) NOT NULL,
     role VARCHAR(20) NOT NULL,  -- 'doctor', 'nurse', 'admin', etc.
     specialty VARCHAR(50),      -- For doctors
+    registration_number VARCHAR(50),   -- Medical council registration, for doctors
+    registration_council VARCHAR(100),
     phone VARCHAR(20),
     profile_image_url VARCHAR(255),
     password_hash VARCHAR(255) NOT NULL,
@@ -49,6 +51,8 @@ COMMENT ON COLUMN users.email IS 'Email address of the user';
 COMMENT ON COLUMN users.full_name IS 'Full name of the user';
 COMMENT ON COLUMN users.role IS 'Role of the user in the system (doctor, nurse, admin, receptionist)';
 COMMENT ON COLUMN users.specialty IS 'Medical specialty for doctors';
+COMMENT ON COLUMN users.registration_number IS 'Medical council registration number for doctors';
+COMMENT ON COLUMN users.registration_council IS 'Medical council that issued the registration number';
 COMMENT ON COLUMN users.phone IS 'Contact phone number';
 COMMENT ON COLUMN users.profile_image_url IS 'URL to the user profile image';
 COMMENT ON COLUMN users.password_hash IS 'Hashed password for authentication';
@@ -0,0 +1,251 @@
+/**
+ * Clinical Notes Controller
+ * Handles HTTP requests for encounter clinical notes
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const clinicalNotesService = require('../services/clinicalNotes.service');
+
+/**
+ * List clinical notes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listNotes = async (req, res, next) => {
+  try {
+    const { page, limit, encounterId, providerId, status, noteType, unsigned } = req.query;
+
+    const result = await clinicalNotesService.listNotes({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      encounterId,
+      providerId,
+      status,
+      noteType,
+      unsignedOnly: unsigned === 'true'
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List clinical notes for an encounter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getNotesByEncounter = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await clinicalNotesService.listNotes({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      encounterId: req.params.encounterId
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List clinical notes for a patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getNotesByPatient = async (req, res, next) => {
+  try {
+    const notes = await clinicalNotesService.getNotesByPatient(req.params.patientId);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: notes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List clinical notes authored by a provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getNotesByProvider = async (req, res, next) => {
+  try {
+    const { page, limit, status, unsigned } = req.query;
+
+    const result = await clinicalNotesService.listNotes({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      providerId: req.params.providerId,
+      status,
+      unsignedOnly: unsigned === 'true'
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get clinical note by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getNoteById = async (req, res, next) => {
+  try {
+    const note = await clinicalNotesService.getNoteById(req.params.noteId);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a clinical note
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createNote = async (req, res, next) => {
+  try {
+    const note = await clinicalNotesService.createNote(req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a clinical note
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateNote = async (req, res, next) => {
+  try {
+    const note = await clinicalNotesService.updateNote(req.params.noteId, req.body, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update clinical note status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateNoteStatus = async (req, res, next) => {
+  try {
+    const { status, reviewComments } = req.body;
+
+    const note = await clinicalNotesService.updateNoteStatus(
+      req.params.noteId,
+      status,
+      req.user,
+      { reviewComments }
+    );
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign a clinical note
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.signNote = async (req, res, next) => {
+  try {
+    const note = await clinicalNotesService.signNote(
+      req.params.noteId,
+      req.user,
+      req.body.signatureMethod
+    );
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Amend a signed clinical note
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.amendNote = async (req, res, next) => {
+  try {
+    const note = await clinicalNotesService.amendNote(req.params.noteId, req.body, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an unsigned clinical note
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deleteNote = async (req, res, next) => {
+  try {
+    await clinicalNotesService.updateNoteStatus(req.params.noteId, 'deleted', req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: { message: 'Clinical note deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
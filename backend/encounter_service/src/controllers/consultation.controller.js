@@ -0,0 +1,198 @@
+/**
+ * Consultation Controller
+ * Handles HTTP requests for consultations
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const consultationService = require('../services/consultation.service');
+
+/**
+ * List consultations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listConsultations = async (req, res, next) => {
+  try {
+    const { page, limit, encounterId, patientId, providerId, status, consultationType, startDate, endDate } = req.query;
+
+    const result = await consultationService.listConsultations({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      encounterId,
+      patientId,
+      providerId,
+      status,
+      consultationType,
+      startDate,
+      endDate
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List consultations for a patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getConsultationsByPatient = async (req, res, next) => {
+  try {
+    const { page, limit, status } = req.query;
+
+    const result = await consultationService.listConsultations({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      patientId: req.params.patientId,
+      status
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List consultations for a provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getConsultationsByProvider = async (req, res, next) => {
+  try {
+    const { providerId } = req.params;
+    const { page, limit, status, active } = req.query;
+
+    if (active === 'true') {
+      const consultations = await consultationService.getActiveConsultations(providerId);
+      return res.status(StatusCodes.OK).json({
+        success: true,
+        data: { consultations }
+      });
+    }
+
+    const result = await consultationService.listConsultations({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      providerId,
+      status
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List consultations for an encounter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getConsultationsByEncounter = async (req, res, next) => {
+  try {
+    const consultations = await consultationService.getConsultationsByEncounter(req.params.encounterId);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: consultations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get consultation by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getConsultationById = async (req, res, next) => {
+  try {
+    const consultation = await consultationService.getConsultationById(req.params.id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: consultation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a consultation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createConsultation = async (req, res, next) => {
+  try {
+    const consultation = await consultationService.createConsultation(req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: consultation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a consultation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateConsultation = async (req, res, next) => {
+  try {
+    const consultation = await consultationService.updateConsultation(req.params.id, req.body, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: consultation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update consultation status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateConsultationStatus = async (req, res, next) => {
+  try {
+    const consultation = await consultationService.updateConsultationStatus(
+      req.params.id,
+      req.body.status,
+      req.user
+    );
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: consultation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,348 @@
+/**
+ * Encounter Controller
+ * Handles HTTP requests for encounters and their participants, diagnoses and treatments
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const encounterService = require('../services/encounter.service');
+
+/**
+ * List encounters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listEncounters = async (req, res, next) => {
+  try {
+    const { page, limit, patientId, providerId, status, encounterType, startDate, endDate, sort, order } = req.query;
+
+    const result = await encounterService.listEncounters({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      patientId,
+      providerId,
+      status,
+      encounterType,
+      startDate,
+      endDate,
+      sort: sort || 'created_at',
+      order: order || 'DESC'
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List encounters for a patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getEncountersByPatient = async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    const { page, limit, status } = req.query;
+
+    const result = await encounterService.listEncounters({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      patientId,
+      status
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List encounters for a provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getEncountersByProvider = async (req, res, next) => {
+  try {
+    const { providerId } = req.params;
+    const { page, limit, status, active } = req.query;
+
+    if (active === 'true') {
+      const encounters = await encounterService.getActiveEncounters(providerId);
+      return res.status(StatusCodes.OK).json({
+        success: true,
+        data: { encounters }
+      });
+    }
+
+    const result = await encounterService.listEncounters({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      providerId,
+      status
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get encounter by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getEncounterById = async (req, res, next) => {
+  try {
+    const encounter = await encounterService.getEncounterById(req.params.id, {
+      includeDetails: req.query.include === 'details'
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new encounter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createEncounter = async (req, res, next) => {
+  try {
+    const encounter = await encounterService.createEncounter(req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an encounter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateEncounter = async (req, res, next) => {
+  try {
+    const encounter = await encounterService.updateEncounter(req.params.id, req.body, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update encounter status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateEncounterStatus = async (req, res, next) => {
+  try {
+    const { status, disposition, discharge_instructions, notes } = req.body;
+
+    const encounter = await encounterService.updateEncounterStatus(
+      req.params.id,
+      status,
+      req.user,
+      { disposition, discharge_instructions, notes }
+    );
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get encounter participants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getParticipants = async (req, res, next) => {
+  try {
+    const participants = await encounterService.getParticipants(req.params.id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: participants
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an encounter participant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.addParticipant = async (req, res, next) => {
+  try {
+    const participant = await encounterService.addParticipant(req.params.id, req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: participant
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get encounter diagnoses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getDiagnoses = async (req, res, next) => {
+  try {
+    const diagnoses = await encounterService.getDiagnoses(req.params.id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: diagnoses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an encounter diagnosis
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.addDiagnosis = async (req, res, next) => {
+  try {
+    const diagnosis = await encounterService.addDiagnosis(req.params.id, req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: diagnosis
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an encounter diagnosis
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateDiagnosis = async (req, res, next) => {
+  try {
+    const diagnosis = await encounterService.updateDiagnosis(
+      req.params.id,
+      req.params.diagnosisId,
+      req.body,
+      req.user
+    );
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: diagnosis
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get encounter treatments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getTreatments = async (req, res, next) => {
+  try {
+    const treatments = await encounterService.getTreatments(req.params.id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: treatments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an encounter treatment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.addTreatment = async (req, res, next) => {
+  try {
+    const treatment = await encounterService.addTreatment(req.params.id, req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: treatment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an encounter treatment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateTreatment = async (req, res, next) => {
+  try {
+    const treatment = await encounterService.updateTreatment(
+      req.params.id,
+      req.params.treatmentId,
+      req.body,
+      req.user
+    );
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: treatment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Vital Signs Controller
+ * Handles HTTP requests for vital signs measurements
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const vitalSignsService = require('../services/vitalSigns.service');
+
+/**
+ * Get vital signs record by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getVitalSignsById = async (req, res, next) => {
+  try {
+    const vitalSigns = await vitalSignsService.getVitalSignsById(req.params.id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: vitalSigns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record vital signs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.recordVitalSigns = async (req, res, next) => {
+  try {
+    const vitalSigns = await vitalSignsService.recordVitalSigns(req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: vitalSigns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update vital signs record
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateVitalSigns = async (req, res, next) => {
+  try {
+    const vitalSigns = await vitalSignsService.updateVitalSigns(req.params.id, req.body, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: vitalSigns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get vital signs for an encounter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getVitalSignsByEncounter = async (req, res, next) => {
+  try {
+    const vitalSigns = await vitalSignsService.getVitalSignsByEncounter(req.params.encounterId);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: vitalSigns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get vital signs history for a patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getVitalSignsByPatient = async (req, res, next) => {
+  try {
+    const vitalSigns = await vitalSignsService.getVitalSignsByPatient(req.params.patientId, {
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: vitalSigns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get latest vital signs for a patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getLatestVitalSigns = async (req, res, next) => {
+  try {
+    const vitalSigns = await vitalSignsService.getLatestVitalSigns(req.params.patientId);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: vitalSigns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
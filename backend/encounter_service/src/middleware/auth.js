@@ -6,6 +6,8 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { logger } = require('../utils/logger');
+const { hasPermission, createRequirePermission } = require('@dr-assistant/auth');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
 
 // Cache for validated tokens to reduce auth service calls
 const tokenCache = new Map();
@@ -117,17 +119,21 @@ const authMiddleware = async (req, res, next) => {
       });
 
       // If auth service is down, fall back to local JWT validation
-      if (decoded && decoded.id) {
+      // auth_service puts the user ID in `sub`; older tokens used `id`
+      const userId = decoded && (decoded.sub || decoded.id);
+
+      if (userId) {
         logger.warn('Auth service unavailable, using local JWT validation', {
-          userId: decoded.id,
+          userId,
           url: req.url
         });
         
         req.user = {
-          id: decoded.id,
+          id: userId,
           email: decoded.email,
           role: decoded.role || 'user',
-          name: decoded.name || 'Unknown User'
+          name: decoded.name || 'Unknown User',
+          permissions: decoded.permissions || []
         };
         
         return next();
@@ -200,6 +206,18 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Middleware to check if user holds every required permission
+ */
+const requirePermission = createRequirePermission({
+  UnauthorizedError,
+  ForbiddenError,
+  onDenied: (req, missing) => logger.logSecurityEvent('insufficient_permissions', req.user.id, req.ip, {
+    missingPermissions: missing,
+    url: req.url
+  })
+});
+
 /**
  * Middleware to check if user has permission to access specific patient data
  */
@@ -218,11 +236,9 @@ const requirePatientAccess = async (req, res, next) => {
       });
     }
 
-    // For now, allow all authenticated healthcare providers access
+    // For now, anyone who may read patients may read their records
     // In a real implementation, you would check specific patient-provider relationships
-    const allowedRoles = ['doctor', 'nurse', 'admin', 'healthcare_provider'];
-    
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!hasPermission(req.user, 'patient:read')) {
       logger.logSecurityEvent('unauthorized_patient_access', req.user.id, req.ip, {
         patientId,
         userRole: req.user.role,
@@ -285,6 +301,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   requireRole,
+  requirePermission,
   requirePatientAccess,
   optionalAuth
 };
@@ -0,0 +1,33 @@
+/**
+ * Validation Middleware
+ * Collects express-validator results and forwards them to the error handler
+ */
+
+const { validationResult } = require('express-validator');
+const { ValidationError } = require('./errorHandler');
+
+/**
+ * Validate request middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const details = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    return next(new ValidationError('Validation failed', details));
+  }
+
+  next();
+};
+
+module.exports = {
+  validateRequest
+};
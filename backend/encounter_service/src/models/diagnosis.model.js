@@ -4,6 +4,10 @@
  */
 
 const { DataTypes } = require('sequelize');
+const terminology = require('@dr-assistant/terminology');
+
+// Code systems the local terminology can check
+const CHECKED_CODE_SYSTEMS = Object.values(terminology.SYSTEMS);
 
 module.exports = (sequelize) => {
   const Diagnosis = sequelize.define('Diagnosis', {
@@ -327,6 +331,19 @@ module.exports = (sequelize) => {
     }
   }, {
     tableName: 'diagnoses',
+    validate: {
+      diagnosisCodeIsValid() {
+        if (!this.diagnosis_code || !CHECKED_CODE_SYSTEMS.includes(this.diagnosis_code_system)) {
+          return;
+        }
+
+        // Codes outside the bundled subset may still be real; only malformed ones are rejected
+        const result = terminology.validateCode(this.diagnosis_code, this.diagnosis_code_system);
+        if (result.status === 'invalid') {
+          throw new Error(result.message);
+        }
+      }
+    },
     indexes: [
       {
         fields: ['encounter_id']
@@ -383,6 +400,14 @@ module.exports = (sequelize) => {
     return this.certainty === 'confirmed' && this.status === 'confirmed';
   };
 
+  Diagnosis.prototype.checkCode = function() {
+    return terminology.checkDiagnosis({
+      code: this.diagnosis_code,
+      system: this.diagnosis_code_system,
+      description: this.diagnosis_name
+    });
+  };
+
   // Class methods
   Diagnosis.findByEncounter = function(encounterId) {
     return this.findAll({
@@ -425,5 +450,9 @@ module.exports = (sequelize) => {
     });
   };
 
+  Diagnosis.suggestCodes = function(description, options = {}) {
+    return terminology.suggest(description, options);
+  };
+
   return Diagnosis;
 };
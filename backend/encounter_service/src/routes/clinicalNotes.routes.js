@@ -0,0 +1,164 @@
+/**
+ * Clinical Notes Routes
+ * Defines routes for encounter clinical notes
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const clinicalNotesController = require('../controllers/clinicalNotes.controller');
+const { validateRequest } = require('../middleware/validation');
+const { requirePermission, requirePatientAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+const NOTE_TYPES = ['progress_note', 'admission_note', 'discharge_note', 'consultation_note', 'procedure_note', 'operative_note', 'nursing_note', 'therapy_note', 'social_work_note', 'psychiatric_note', 'emergency_note'];
+const WORKFLOW_STATUSES = ['draft', 'in_progress', 'pending_review', 'reviewed'];
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// List clinical notes
+router.get(
+  '/',
+  [
+    ...paginationValidation,
+    query('encounterId').optional().isUUID().withMessage('Encounter ID must be a valid UUID'),
+    query('providerId').optional().isUUID().withMessage('Provider ID must be a valid UUID'),
+    query('status').optional().isIn([...WORKFLOW_STATUSES, 'signed', 'amended']).withMessage('Invalid status'),
+    query('noteType').optional().isIn(NOTE_TYPES).withMessage('Invalid note type'),
+    query('unsigned').optional().isBoolean().withMessage('Unsigned must be a boolean'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:read'),
+  clinicalNotesController.listNotes
+);
+
+// List clinical notes for an encounter
+router.get(
+  '/encounter/:encounterId',
+  [
+    param('encounterId').isUUID().withMessage('Invalid encounter ID'),
+    ...paginationValidation,
+    validateRequest
+  ],
+  requirePermission('clinical_note:read'),
+  clinicalNotesController.getNotesByEncounter
+);
+
+// List clinical notes for a patient
+router.get(
+  '/patient/:patientId',
+  [
+    param('patientId').isUUID().withMessage('Invalid patient ID'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:read'),
+  requirePatientAccess,
+  clinicalNotesController.getNotesByPatient
+);
+
+// List clinical notes by author
+router.get(
+  '/provider/:providerId',
+  [
+    param('providerId').isUUID().withMessage('Invalid provider ID'),
+    ...paginationValidation,
+    query('unsigned').optional().isBoolean().withMessage('Unsigned must be a boolean'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:read'),
+  clinicalNotesController.getNotesByProvider
+);
+
+// Get clinical note by ID
+router.get(
+  '/:noteId',
+  [
+    param('noteId').isString().notEmpty().withMessage('Invalid note ID'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:read'),
+  clinicalNotesController.getNoteById
+);
+
+// Create clinical note
+router.post(
+  '/',
+  [
+    body('encounterId').isUUID().withMessage('Encounter ID is required and must be a valid UUID'),
+    body('consultationId').optional().isUUID().withMessage('Consultation ID must be a valid UUID'),
+    body('noteType').optional().isIn(NOTE_TYPES).withMessage('Invalid note type'),
+    body('serviceDate').optional().isISO8601().withMessage('Service date must be a valid ISO 8601 date'),
+    body('freeTextNote').optional().isString().isLength({ max: 50000 }).withMessage('Free text note must be at most 50000 characters'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:create'),
+  clinicalNotesController.createNote
+);
+
+// Update clinical note
+router.put(
+  '/:noteId',
+  [
+    param('noteId').isString().notEmpty().withMessage('Invalid note ID'),
+    body('noteType').optional().isIn(NOTE_TYPES).withMessage('Invalid note type'),
+    body('freeTextNote').optional().isString().isLength({ max: 50000 }).withMessage('Free text note must be at most 50000 characters'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:update'),
+  clinicalNotesController.updateNote
+);
+
+// Update clinical note workflow status
+router.patch(
+  '/:noteId/status',
+  [
+    param('noteId').isString().notEmpty().withMessage('Invalid note ID'),
+    body('status').isIn(WORKFLOW_STATUSES).withMessage('Invalid status'),
+    body('reviewComments').optional().isString().withMessage('Review comments must be a string'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:update'),
+  clinicalNotesController.updateNoteStatus
+);
+
+// Sign clinical note
+router.post(
+  '/:noteId/sign',
+  [
+    param('noteId').isString().notEmpty().withMessage('Invalid note ID'),
+    body('signatureMethod').optional().isIn(['electronic', 'digital', 'biometric']).withMessage('Invalid signature method'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:sign'),
+  clinicalNotesController.signNote
+);
+
+// Amend signed clinical note
+router.post(
+  '/:noteId/amendments',
+  [
+    param('noteId').isString().notEmpty().withMessage('Invalid note ID'),
+    body('reason').isString().notEmpty().withMessage('Amendment reason is required'),
+    body('amendedContent').isString().notEmpty().withMessage('Amended content is required'),
+    body('amendmentType').optional().isIn(['correction', 'addition', 'deletion', 'clarification']).withMessage('Invalid amendment type'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:sign'),
+  clinicalNotesController.amendNote
+);
+
+// Delete unsigned clinical note
+router.delete(
+  '/:noteId',
+  [
+    param('noteId').isString().notEmpty().withMessage('Invalid note ID'),
+    validateRequest
+  ],
+  requirePermission('clinical_note:delete'),
+  clinicalNotesController.deleteNote
+);
+
+module.exports = router;
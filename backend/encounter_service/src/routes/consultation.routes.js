@@ -0,0 +1,132 @@
+/**
+ * Consultation Routes
+ * Defines routes for consultation operations
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const consultationController = require('../controllers/consultation.controller');
+const { validateRequest } = require('../middleware/validation');
+const { requirePermission, requirePatientAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+const STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'];
+const CONSULTATION_TYPES = ['primary_care', 'specialist', 'emergency', 'follow_up', 'second_opinion', 'multidisciplinary', 'telemedicine', 'nursing', 'therapy'];
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// List consultations
+router.get(
+  '/',
+  [
+    ...paginationValidation,
+    query('encounterId').optional().isUUID().withMessage('Encounter ID must be a valid UUID'),
+    query('patientId').optional().isUUID().withMessage('Patient ID must be a valid UUID'),
+    query('providerId').optional().isUUID().withMessage('Provider ID must be a valid UUID'),
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('consultationType').optional().isIn(CONSULTATION_TYPES).withMessage('Invalid consultation type'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  consultationController.listConsultations
+);
+
+// List consultations for a patient
+router.get(
+  '/patient/:patientId',
+  [
+    param('patientId').isUUID().withMessage('Invalid patient ID'),
+    ...paginationValidation,
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  requirePatientAccess,
+  consultationController.getConsultationsByPatient
+);
+
+// List consultations for a provider
+router.get(
+  '/provider/:providerId',
+  [
+    param('providerId').isUUID().withMessage('Invalid provider ID'),
+    ...paginationValidation,
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('active').optional().isBoolean().withMessage('Active must be a boolean'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  consultationController.getConsultationsByProvider
+);
+
+// List consultations for an encounter
+router.get(
+  '/encounter/:encounterId',
+  [
+    param('encounterId').isUUID().withMessage('Invalid encounter ID'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  consultationController.getConsultationsByEncounter
+);
+
+// Get consultation by ID
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid consultation ID'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  consultationController.getConsultationById
+);
+
+// Create consultation
+router.post(
+  '/',
+  [
+    body('encounter_id').isUUID().withMessage('Encounter ID is required and must be a valid UUID'),
+    body('provider_id').optional().isUUID().withMessage('Provider ID must be a valid UUID'),
+    body('consultation_type').optional().isIn(CONSULTATION_TYPES).withMessage('Invalid consultation type'),
+    body('specialty').optional().isString().withMessage('Specialty must be a string'),
+    body('chief_complaint').optional().isString().withMessage('Chief complaint must be a string'),
+    validateRequest
+  ],
+  requirePermission('encounter:create'),
+  consultationController.createConsultation
+);
+
+// Update consultation
+router.put(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid consultation ID'),
+    body('consultation_type').optional().isIn(CONSULTATION_TYPES).withMessage('Invalid consultation type'),
+    body('complexity_level').optional().isIn(['low', 'moderate', 'high']).withMessage('Invalid complexity level'),
+    body('decision_making_complexity').optional().isIn(['straightforward', 'moderate', 'high']).withMessage('Invalid decision making complexity'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    validateRequest
+  ],
+  requirePermission('encounter:update'),
+  consultationController.updateConsultation
+);
+
+// Update consultation status
+router.patch(
+  '/:id/status',
+  [
+    param('id').isUUID().withMessage('Invalid consultation ID'),
+    body('status').isIn(STATUSES).withMessage('Invalid status'),
+    validateRequest
+  ],
+  requirePermission('encounter:update'),
+  consultationController.updateConsultationStatus
+);
+
+module.exports = router;
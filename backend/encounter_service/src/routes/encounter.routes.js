@@ -0,0 +1,238 @@
+/**
+ * Encounter Routes
+ * Defines routes for encounters and their participants, diagnoses and treatments
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const encounterController = require('../controllers/encounter.controller');
+const { validateRequest } = require('../middleware/validation');
+const { requirePermission, requirePatientAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+const STATUSES = ['planned', 'arrived', 'triaged', 'in_progress', 'on_hold', 'finished', 'cancelled', 'entered_in_error'];
+const ENCOUNTER_CLASSES = ['inpatient', 'outpatient', 'emergency', 'urgent_care', 'home_health', 'virtual', 'observation', 'day_surgery'];
+const ENCOUNTER_TYPES = ['initial_consultation', 'follow_up', 'routine_checkup', 'emergency_visit', 'specialist_consultation', 'procedure', 'diagnostic', 'preventive_care', 'chronic_care_management', 'telemedicine'];
+const DISPOSITIONS = ['discharged_home', 'admitted', 'transferred', 'left_ama', 'expired', 'referred', 'follow_up_scheduled', 'observation'];
+const PARTICIPANT_TYPES = ['primary_provider', 'consulting_provider', 'specialist', 'nurse', 'resident', 'student', 'technician', 'therapist', 'social_worker', 'interpreter', 'family_member', 'caregiver', 'observer'];
+const TREATMENT_TYPES = ['medication', 'procedure', 'surgery', 'therapy', 'counseling', 'education', 'monitoring', 'diagnostic_test', 'preventive_care', 'rehabilitation', 'palliative_care'];
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// List encounters
+router.get(
+  '/',
+  [
+    ...paginationValidation,
+    query('patientId').optional().isUUID().withMessage('Patient ID must be a valid UUID'),
+    query('providerId').optional().isUUID().withMessage('Provider ID must be a valid UUID'),
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('encounterType').optional().isIn(ENCOUNTER_TYPES).withMessage('Invalid encounter type'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+    query('sort').optional().isIn(['created_at', 'planned_start_time', 'actual_start_time', 'status']).withMessage('Invalid sort field'),
+    query('order').optional().isIn(['ASC', 'DESC']).withMessage('Order must be ASC or DESC'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  encounterController.listEncounters
+);
+
+// List encounters for a patient
+router.get(
+  '/patient/:patientId',
+  [
+    param('patientId').isUUID().withMessage('Invalid patient ID'),
+    ...paginationValidation,
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  requirePatientAccess,
+  encounterController.getEncountersByPatient
+);
+
+// List encounters for a provider
+router.get(
+  '/provider/:providerId',
+  [
+    param('providerId').isUUID().withMessage('Invalid provider ID'),
+    ...paginationValidation,
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('active').optional().isBoolean().withMessage('Active must be a boolean'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  encounterController.getEncountersByProvider
+);
+
+// Get encounter by ID
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    query('include').optional().isIn(['details']).withMessage('Include must be "details"'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  encounterController.getEncounterById
+);
+
+// Create encounter
+router.post(
+  '/',
+  [
+    body('patient_id').isUUID().withMessage('Patient ID is required and must be a valid UUID'),
+    body('primary_provider_id').optional().isUUID().withMessage('Primary provider ID must be a valid UUID'),
+    body('encounter_class').optional().isIn(ENCOUNTER_CLASSES).withMessage('Invalid encounter class'),
+    body('encounter_type').optional().isIn(ENCOUNTER_TYPES).withMessage('Invalid encounter type'),
+    body('priority').optional().isIn(['routine', 'urgent', 'asap', 'stat']).withMessage('Invalid priority'),
+    body('planned_start_time').optional().isISO8601().withMessage('Planned start time must be a valid ISO 8601 date'),
+    body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
+    body('facility_id').optional().isUUID().withMessage('Facility ID must be a valid UUID'),
+    body('chief_complaint').optional().isString().withMessage('Chief complaint must be a string'),
+    body('reason_for_visit').optional().isString().withMessage('Reason for visit must be a string'),
+    validateRequest
+  ],
+  requirePermission('encounter:create'),
+  encounterController.createEncounter
+);
+
+// Update encounter
+router.put(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    body('encounter_class').optional().isIn(ENCOUNTER_CLASSES).withMessage('Invalid encounter class'),
+    body('encounter_type').optional().isIn(ENCOUNTER_TYPES).withMessage('Invalid encounter type'),
+    body('priority').optional().isIn(['routine', 'urgent', 'asap', 'stat']).withMessage('Invalid priority'),
+    body('planned_start_time').optional().isISO8601().withMessage('Planned start time must be a valid ISO 8601 date'),
+    body('disposition').optional().isIn(DISPOSITIONS).withMessage('Invalid disposition'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    validateRequest
+  ],
+  requirePermission('encounter:update'),
+  encounterController.updateEncounter
+);
+
+// Update encounter status
+router.patch(
+  '/:id/status',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    body('status').isIn(STATUSES).withMessage('Invalid status'),
+    body('disposition').optional().isIn(DISPOSITIONS).withMessage('Invalid disposition'),
+    body('discharge_instructions').optional().isString().withMessage('Discharge instructions must be a string'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validateRequest
+  ],
+  requirePermission('encounter:update'),
+  encounterController.updateEncounterStatus
+);
+
+// Get encounter participants
+router.get(
+  '/:id/participants',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  encounterController.getParticipants
+);
+
+// Add encounter participant
+router.post(
+  '/:id/participants',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    body('participant_id').isUUID().withMessage('Participant ID is required and must be a valid UUID'),
+    body('participant_type').isIn(PARTICIPANT_TYPES).withMessage('Invalid participant type'),
+    body('participant_role').optional().isString().withMessage('Participant role must be a string'),
+    validateRequest
+  ],
+  requirePermission('encounter:update'),
+  encounterController.addParticipant
+);
+
+// Get encounter diagnoses
+router.get(
+  '/:id/diagnoses',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  encounterController.getDiagnoses
+);
+
+// Add encounter diagnosis
+router.post(
+  '/:id/diagnoses',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    body('diagnosis_name').isString().notEmpty().withMessage('Diagnosis name is required'),
+    body('diagnosis_code').optional().isString().isLength({ max: 20 }).withMessage('Diagnosis code must be at most 20 characters'),
+    body('consultation_id').optional().isUUID().withMessage('Consultation ID must be a valid UUID'),
+    validateRequest
+  ],
+  requirePermission('diagnosis:write'),
+  encounterController.addDiagnosis
+);
+
+// Update encounter diagnosis
+router.put(
+  '/:id/diagnoses/:diagnosisId',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    param('diagnosisId').isUUID().withMessage('Invalid diagnosis ID'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    validateRequest
+  ],
+  requirePermission('diagnosis:write'),
+  encounterController.updateDiagnosis
+);
+
+// Get encounter treatments
+router.get(
+  '/:id/treatments',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    validateRequest
+  ],
+  requirePermission('encounter:read'),
+  encounterController.getTreatments
+);
+
+// Add encounter treatment
+router.post(
+  '/:id/treatments',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    body('treatment_name').isString().notEmpty().withMessage('Treatment name is required'),
+    body('treatment_type').isIn(TREATMENT_TYPES).withMessage('Invalid treatment type'),
+    body('consultation_id').optional().isUUID().withMessage('Consultation ID must be a valid UUID'),
+    validateRequest
+  ],
+  requirePermission('prescription:create'),
+  encounterController.addTreatment
+);
+
+// Update encounter treatment
+router.put(
+  '/:id/treatments/:treatmentId',
+  [
+    param('id').isUUID().withMessage('Invalid encounter ID'),
+    param('treatmentId').isUUID().withMessage('Invalid treatment ID'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    validateRequest
+  ],
+  requirePermission('encounter:update'),
+  encounterController.updateTreatment
+);
+
+module.exports = router;
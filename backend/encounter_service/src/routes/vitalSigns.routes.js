@@ -0,0 +1,105 @@
+/**
+ * Vital Signs Routes
+ * Defines routes for vital signs measurements
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const vitalSignsController = require('../controllers/vitalSigns.controller');
+const { validateRequest } = require('../middleware/validation');
+const { requirePermission, requirePatientAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Range checks mirror the model validators so clients get a 400 before hitting the database
+const measurementValidation = [
+  body('measured_at').optional().isISO8601().withMessage('Measured at must be a valid ISO 8601 date'),
+  body('measurement_method').optional().isIn(['manual', 'automated', 'patient_reported']).withMessage('Invalid measurement method'),
+  body('systolic_bp').optional().isInt({ min: 50, max: 300 }).withMessage('Systolic BP must be between 50 and 300'),
+  body('diastolic_bp').optional().isInt({ min: 30, max: 200 }).withMessage('Diastolic BP must be between 30 and 200'),
+  body('heart_rate').optional().isInt({ min: 30, max: 250 }).withMessage('Heart rate must be between 30 and 250'),
+  body('respiratory_rate').optional().isInt({ min: 8, max: 60 }).withMessage('Respiratory rate must be between 8 and 60'),
+  body('temperature').optional().isFloat({ min: 90, max: 115 }).withMessage('Temperature (F) must be between 90 and 115'),
+  body('temperature_celsius').optional().isFloat({ min: 32, max: 46 }).withMessage('Temperature (C) must be between 32 and 46'),
+  body('oxygen_saturation').optional().isFloat({ min: 70, max: 100 }).withMessage('Oxygen saturation must be between 70 and 100'),
+  body('height').optional().isFloat({ min: 20, max: 300 }).withMessage('Height (cm) must be between 20 and 300'),
+  body('weight').optional().isFloat({ min: 1, max: 1000 }).withMessage('Weight (kg) must be between 1 and 1000'),
+  body('pain_scale').optional().isInt({ min: 0, max: 10 }).withMessage('Pain scale must be between 0 and 10'),
+  body('blood_glucose').optional().isInt({ min: 20, max: 800 }).withMessage('Blood glucose must be between 20 and 800'),
+  body('glasgow_coma_scale').optional().isInt({ min: 3, max: 15 }).withMessage('Glasgow Coma Scale must be between 3 and 15')
+];
+
+// Get vital signs for an encounter
+router.get(
+  '/encounter/:encounterId',
+  [
+    param('encounterId').isUUID().withMessage('Invalid encounter ID'),
+    validateRequest
+  ],
+  requirePermission('vitals:read'),
+  vitalSignsController.getVitalSignsByEncounter
+);
+
+// Get latest vital signs for a patient
+router.get(
+  '/patient/:patientId/latest',
+  [
+    param('patientId').isUUID().withMessage('Invalid patient ID'),
+    validateRequest
+  ],
+  requirePermission('vitals:read'),
+  requirePatientAccess,
+  vitalSignsController.getLatestVitalSigns
+);
+
+// Get vital signs history for a patient
+router.get(
+  '/patient/:patientId',
+  [
+    param('patientId').isUUID().withMessage('Invalid patient ID'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    validateRequest
+  ],
+  requirePermission('vitals:read'),
+  requirePatientAccess,
+  vitalSignsController.getVitalSignsByPatient
+);
+
+// Get vital signs record by ID
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid vital signs ID'),
+    validateRequest
+  ],
+  requirePermission('vitals:read'),
+  vitalSignsController.getVitalSignsById
+);
+
+// Record vital signs
+router.post(
+  '/',
+  [
+    body('encounter_id').isUUID().withMessage('Encounter ID is required and must be a valid UUID'),
+    body('consultation_id').optional().isUUID().withMessage('Consultation ID must be a valid UUID'),
+    ...measurementValidation,
+    validateRequest
+  ],
+  requirePermission('vitals:write'),
+  vitalSignsController.recordVitalSigns
+);
+
+// Update vital signs record
+router.put(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid vital signs ID'),
+    ...measurementValidation,
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    validateRequest
+  ],
+  requirePermission('vitals:write'),
+  vitalSignsController.updateVitalSigns
+);
+
+module.exports = router;
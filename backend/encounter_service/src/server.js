@@ -14,8 +14,8 @@ require('dotenv').config();
 
 const { logger } = require('./utils/logger');
 const { sequelize, connectMongo } = require('./models');
-const errorHandler = require('./middleware/errorHandler');
-const authMiddleware = require('./middleware/auth');
+const { errorHandler } = require('./middleware/errorHandler');
+const { authMiddleware } = require('./middleware/auth');
 
 // Import routes
 const encounterRoutes = require('./routes/encounter.routes');
@@ -0,0 +1,346 @@
+/**
+ * Clinical Notes Service
+ * Business logic for encounter clinical notes stored in MongoDB
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ClinicalNote } = require('../models');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  ForbiddenError,
+  DatabaseError
+} = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const encounterService = require('./encounter.service');
+
+// Valid note status transitions (signing and amending have dedicated operations)
+const STATUS_TRANSITIONS = {
+  draft: ['in_progress', 'pending_review', 'deleted'],
+  in_progress: ['draft', 'pending_review', 'deleted'],
+  pending_review: ['in_progress', 'reviewed'],
+  reviewed: ['in_progress'],
+  signed: [],
+  amended: [],
+  corrected: [],
+  deleted: []
+};
+
+// Sections of the note that make up its signed content
+const CONTENT_FIELDS = ['subjective', 'objective', 'assessment', 'plan', 'freeTextNote'];
+
+// Fields that may not be changed through a generic update
+const PROTECTED_FIELDS = [
+  '_id',
+  'noteId',
+  'encounterId',
+  'status',
+  'signature',
+  'review',
+  'amendments',
+  'compliance',
+  'author'
+];
+
+/**
+ * Ensure MongoDB is available before touching clinical notes
+ * @returns {void}
+ */
+function assertMongoConnected() {
+  if (mongoose.connection.readyState !== 1) {
+    throw new DatabaseError('Clinical notes storage is unavailable');
+  }
+}
+
+/**
+ * Append an entry to a note's audit trail
+ * @param {Object} note - Clinical note document
+ * @param {string} action - Action performed
+ * @param {string} userId - Acting user
+ * @param {string} [details] - Free-text details
+ * @returns {void}
+ */
+function addAuditEntry(note, action, userId, details) {
+  note.compliance = note.compliance || {};
+  note.compliance.auditTrail = note.compliance.auditTrail || [];
+  note.compliance.auditTrail.push({
+    action,
+    userId,
+    timestamp: new Date(),
+    details
+  });
+}
+
+/**
+ * Compute a stable hash over a note's clinical content
+ * @param {Object} note - Clinical note document
+ * @returns {string} SHA-256 hex digest
+ */
+function hashNoteContent(note) {
+  const content = CONTENT_FIELDS.reduce((acc, field) => {
+    acc[field] = note[field] && note[field].toObject ? note[field].toObject() : note[field];
+    return acc;
+  }, {});
+
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * List clinical notes with filtering and pagination
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Notes with pagination metadata
+ */
+exports.listNotes = async (options = {}) => {
+  assertMongoConnected();
+
+  const {
+    page = 1,
+    limit = 20,
+    encounterId,
+    providerId,
+    status,
+    noteType,
+    unsignedOnly
+  } = options;
+
+  const filter = { status: { $ne: 'deleted' } };
+
+  if (encounterId) filter.encounterId = encounterId;
+  if (providerId) filter['author.providerId'] = providerId;
+  if (status) filter.status = status;
+  if (noteType) filter.noteType = noteType;
+  if (unsignedOnly) filter['signature.isSigned'] = false;
+
+  const [notes, total] = await Promise.all([
+    ClinicalNote.find(filter)
+      .sort({ documentationDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ClinicalNote.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    notes,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * List clinical notes for all encounters of a patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} [options] - Query options
+ * @returns {Promise<Array>} Notes, newest first
+ */
+exports.getNotesByPatient = async (patientId, options = {}) => {
+  assertMongoConnected();
+
+  const { encounters } = await encounterService.listEncounters({
+    patientId,
+    page: 1,
+    limit: options.encounterLimit || 100
+  });
+
+  if (encounters.length === 0) {
+    return [];
+  }
+
+  return ClinicalNote.find({
+    encounterId: { $in: encounters.map(encounter => encounter.id) },
+    status: { $ne: 'deleted' }
+  }).sort({ documentationDate: -1 });
+};
+
+/**
+ * Get clinical note by noteId
+ * @param {string} noteId - Note identifier
+ * @returns {Promise<Object>} Clinical note
+ */
+exports.getNoteById = async (noteId) => {
+  assertMongoConnected();
+
+  const note = await ClinicalNote.findOne({ noteId });
+
+  if (!note || note.status === 'deleted') {
+    throw new NotFoundError('Clinical note');
+  }
+
+  return note;
+};
+
+/**
+ * Create a clinical note for an encounter
+ * @param {Object} noteData - Note content (must include encounterId)
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created note
+ */
+exports.createNote = async (noteData, currentUser) => {
+  assertMongoConnected();
+
+  const encounter = await encounterService.getEncounterById(noteData.encounterId);
+
+  if (encounter.status === 'entered_in_error') {
+    throw new ConflictError('Cannot document on an encounter entered in error');
+  }
+
+  const data = encounterService.omitFields(noteData, PROTECTED_FIELDS);
+
+  const note = new ClinicalNote({
+    ...data,
+    encounterId: encounter.id,
+    noteId: `NOTE-${Date.now()}-${crypto.randomBytes(5).toString('hex')}`,
+    serviceDate: data.serviceDate || encounter.actual_start_time || encounter.planned_start_time || new Date(),
+    author: {
+      providerId: currentUser.id,
+      providerName: currentUser.name,
+      providerRole: currentUser.role,
+      specialty: data.specialty
+    },
+    status: 'draft'
+  });
+
+  addAuditEntry(note, 'created', currentUser.id);
+  await note.save();
+
+  logger.logUserAction(currentUser.id, 'clinical_note_created', note.noteId, {
+    encounterId: encounter.id
+  });
+
+  return note;
+};
+
+/**
+ * Update an unsigned clinical note
+ * @param {string} noteId - Note identifier
+ * @param {Object} noteData - Fields to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated note
+ */
+exports.updateNote = async (noteId, noteData, currentUser) => {
+  const note = await exports.getNoteById(noteId);
+
+  if (!note.canBeModified()) {
+    throw new ConflictError(`A ${note.status} note cannot be edited; add an amendment instead`);
+  }
+
+  const data = encounterService.omitFields(noteData, PROTECTED_FIELDS);
+  note.set(data);
+
+  addAuditEntry(note, 'updated', currentUser.id, Object.keys(data).join(','));
+  await note.save();
+
+  return note;
+};
+
+/**
+ * Transition a clinical note to a new workflow status
+ * @param {string} noteId - Note identifier
+ * @param {string} status - New status
+ * @param {Object} currentUser - Authenticated user
+ * @param {Object} [details] - Review comments
+ * @returns {Promise<Object>} Updated note
+ */
+exports.updateNoteStatus = async (noteId, status, currentUser, details = {}) => {
+  const note = await exports.getNoteById(noteId);
+
+  const allowed = STATUS_TRANSITIONS[note.status] || [];
+  if (!allowed.includes(status)) {
+    throw new ValidationError(
+      `Invalid status transition from ${note.status} to ${status}`,
+      { from: note.status, to: status, allowed }
+    );
+  }
+
+  note.status = status;
+
+  if (status === 'reviewed') {
+    note.review = {
+      isReviewed: true,
+      reviewedBy: currentUser.id,
+      reviewedDate: new Date(),
+      reviewComments: details.reviewComments,
+      approvalStatus: 'approved'
+    };
+  }
+
+  addAuditEntry(note, `status_${status}`, currentUser.id, details.reviewComments);
+  await note.save();
+
+  return note;
+};
+
+/**
+ * Sign a clinical note
+ * Only the author may sign, and signed notes become immutable.
+ * @param {string} noteId - Note identifier
+ * @param {Object} currentUser - Authenticated user
+ * @param {string} [signatureMethod='electronic'] - Signature method
+ * @returns {Promise<Object>} Signed note
+ */
+exports.signNote = async (noteId, currentUser, signatureMethod = 'electronic') => {
+  const note = await exports.getNoteById(noteId);
+
+  if (note.isSigned()) {
+    throw new ConflictError('Clinical note is already signed');
+  }
+
+  if (note.author.providerId !== currentUser.id) {
+    throw new ForbiddenError('Only the author can sign this clinical note');
+  }
+
+  note.status = 'signed';
+  note.signature = {
+    isSigned: true,
+    signedBy: currentUser.id,
+    signedDate: new Date(),
+    signatureMethod,
+    signatureHash: hashNoteContent(note)
+  };
+
+  addAuditEntry(note, 'signed', currentUser.id);
+  await note.save();
+
+  logger.logUserAction(currentUser.id, 'clinical_note_signed', note.noteId, {
+    encounterId: note.encounterId
+  });
+
+  return note;
+};
+
+/**
+ * Add an amendment to a signed clinical note
+ * @param {string} noteId - Note identifier
+ * @param {Object} amendmentData - Amendment (reason, amendedContent, amendmentType, originalContent)
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Amended note
+ */
+exports.amendNote = async (noteId, amendmentData, currentUser) => {
+  const note = await exports.getNoteById(noteId);
+
+  if (!note.isSigned()) {
+    throw new ConflictError('Only signed notes can be amended; edit the draft instead');
+  }
+
+  note.status = 'amended';
+  addAuditEntry(note, 'amended', currentUser.id, amendmentData.reason);
+
+  await note.addAmendment({
+    amendedBy: currentUser.id,
+    reason: amendmentData.reason,
+    originalContent: amendmentData.originalContent,
+    amendedContent: amendmentData.amendedContent,
+    amendmentType: amendmentData.amendmentType || 'correction'
+  });
+
+  return note;
+};
@@ -0,0 +1,240 @@
+/**
+ * Consultation Service
+ * Business logic for consultations recorded within an encounter
+ */
+
+const { Op } = require('sequelize');
+const { Consultation, Encounter } = require('../models');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const encounterService = require('./encounter.service');
+
+// Valid consultation status transitions
+const STATUS_TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled', 'no_show', 'rescheduled'],
+  rescheduled: ['scheduled', 'in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Fields that may not be changed through a generic update
+const PROTECTED_FIELDS = [
+  'id',
+  'encounter_id',
+  'consultation_number',
+  'status',
+  'start_time',
+  'end_time',
+  'duration_minutes',
+  'created_by',
+  'version'
+];
+
+/**
+ * List consultations with filtering and pagination
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Consultations with pagination metadata
+ */
+exports.listConsultations = async (options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    encounterId,
+    patientId,
+    providerId,
+    status,
+    consultationType,
+    startDate,
+    endDate
+  } = options;
+
+  const where = {};
+
+  if (encounterId) where.encounter_id = encounterId;
+  if (providerId) where.provider_id = providerId;
+  if (status) where.status = status;
+  if (consultationType) where.consultation_type = consultationType;
+
+  if (startDate || endDate) {
+    where.start_time = {
+      ...(startDate && { [Op.gte]: new Date(startDate) }),
+      ...(endDate && { [Op.lte]: new Date(endDate) })
+    };
+  }
+
+  // Consultations carry no patient column; filter through the parent encounter
+  const include = [{
+    model: Encounter,
+    as: 'encounter',
+    attributes: ['id', 'patient_id', 'encounter_number', 'status'],
+    ...(patientId && { where: { patient_id: patientId } })
+  }];
+
+  const { count, rows } = await Consultation.findAndCountAll({
+    where,
+    include,
+    limit,
+    offset: (page - 1) * limit,
+    order: [['created_at', 'DESC']]
+  });
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    consultations: rows,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Get consultation by ID
+ * @param {string} id - Consultation ID
+ * @returns {Promise<Object>} Consultation
+ */
+exports.getConsultationById = async (id) => {
+  const consultation = await Consultation.findByPk(id, {
+    include: [{
+      model: Encounter,
+      as: 'encounter',
+      attributes: ['id', 'patient_id', 'encounter_number', 'status']
+    }]
+  });
+
+  if (!consultation) {
+    throw new NotFoundError('Consultation');
+  }
+
+  return consultation;
+};
+
+/**
+ * Create a consultation within an encounter
+ * @param {Object} consultationData - Consultation data (must include encounter_id)
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created consultation
+ */
+exports.createConsultation = async (consultationData, currentUser) => {
+  const encounter = await encounterService.getEncounterById(consultationData.encounter_id);
+
+  if (encounter.isCompleted() || encounter.status === 'entered_in_error') {
+    throw new ConflictError(`Cannot add a consultation to a ${encounter.status} encounter`);
+  }
+
+  const data = encounterService.omitFields(consultationData, PROTECTED_FIELDS);
+
+  const consultation = await Consultation.create({
+    ...data,
+    encounter_id: encounter.id,
+    provider_id: data.provider_id || currentUser.id,
+    status: 'scheduled',
+    created_by: currentUser.id
+  });
+
+  logger.logUserAction(currentUser.id, 'consultation_created', consultation.id, {
+    encounterId: encounter.id
+  });
+
+  return consultation;
+};
+
+/**
+ * Update a consultation
+ * @param {string} id - Consultation ID
+ * @param {Object} consultationData - Fields to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated consultation
+ */
+exports.updateConsultation = async (id, consultationData, currentUser) => {
+  const consultation = await exports.getConsultationById(id);
+
+  if (['completed', 'cancelled', 'no_show'].includes(consultation.status)) {
+    throw new ConflictError(`Cannot update a ${consultation.status} consultation`);
+  }
+
+  encounterService.assertVersion(consultation, consultationData.version);
+
+  const data = encounterService.omitFields(consultationData, PROTECTED_FIELDS);
+  await consultation.update({ ...data, updated_by: currentUser.id });
+
+  logger.logUserAction(currentUser.id, 'consultation_updated', consultation.id, {
+    fields: Object.keys(data)
+  });
+
+  return consultation;
+};
+
+/**
+ * Transition a consultation to a new status
+ * Starting a consultation also moves a waiting encounter to in_progress.
+ * @param {string} id - Consultation ID
+ * @param {string} status - New status
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated consultation
+ */
+exports.updateConsultationStatus = async (id, status, currentUser) => {
+  const consultation = await exports.getConsultationById(id);
+
+  const allowed = STATUS_TRANSITIONS[consultation.status] || [];
+  if (!allowed.includes(status)) {
+    throw new ValidationError(
+      `Invalid status transition from ${consultation.status} to ${status}`,
+      { from: consultation.status, to: status, allowed }
+    );
+  }
+
+  const now = new Date();
+  const updates = { status, updated_by: currentUser.id };
+
+  if (status === 'in_progress' && !consultation.start_time) {
+    updates.start_time = now;
+  }
+
+  if (status === 'completed') {
+    updates.end_time = now;
+  }
+
+  await consultation.update(updates);
+
+  if (status === 'in_progress' && consultation.encounter &&
+    ['planned', 'arrived', 'triaged', 'on_hold'].includes(consultation.encounter.status)) {
+    await encounterService.updateEncounterStatus(consultation.encounter_id, 'in_progress', currentUser);
+  }
+
+  logger.logUserAction(currentUser.id, 'consultation_status_changed', consultation.id, {
+    status
+  });
+
+  return consultation;
+};
+
+/**
+ * Get consultations for an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Consultations
+ */
+exports.getConsultationsByEncounter = async (encounterId) => {
+  await encounterService.getEncounterById(encounterId);
+
+  return Consultation.findAll({
+    where: { encounter_id: encounterId },
+    order: [['created_at', 'ASC']]
+  });
+};
+
+/**
+ * Get in-progress consultations for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<Array>} Active consultations
+ */
+exports.getActiveConsultations = async (providerId) => {
+  return Consultation.findActiveConsultations(providerId);
+};
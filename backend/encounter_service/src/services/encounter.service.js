@@ -0,0 +1,435 @@
+/**
+ * Encounter Service
+ * Business logic for patient encounters, their participants, diagnoses and treatments
+ */
+
+const { Op } = require('sequelize');
+const {
+  Encounter,
+  Consultation,
+  VitalSigns,
+  Diagnosis,
+  Treatment,
+  EncounterParticipant
+} = require('../models');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Valid encounter status transitions
+const STATUS_TRANSITIONS = {
+  planned: ['arrived', 'in_progress', 'cancelled', 'entered_in_error'],
+  arrived: ['triaged', 'in_progress', 'cancelled', 'entered_in_error'],
+  triaged: ['in_progress', 'cancelled', 'entered_in_error'],
+  in_progress: ['on_hold', 'finished', 'entered_in_error'],
+  on_hold: ['in_progress', 'cancelled', 'entered_in_error'],
+  finished: ['entered_in_error'],
+  cancelled: ['entered_in_error'],
+  entered_in_error: []
+};
+
+// Fields that may not be changed through a generic update
+const PROTECTED_FIELDS = [
+  'id',
+  'encounter_number',
+  'status',
+  'actual_start_time',
+  'actual_end_time',
+  'duration_minutes',
+  'created_by',
+  'version'
+];
+
+/**
+ * List encounters with filtering and pagination
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Encounters with pagination metadata
+ */
+exports.listEncounters = async (options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    patientId,
+    providerId,
+    status,
+    encounterType,
+    startDate,
+    endDate,
+    sort = 'created_at',
+    order = 'DESC'
+  } = options;
+
+  const where = {};
+
+  if (patientId) where.patient_id = patientId;
+  if (providerId) where.primary_provider_id = providerId;
+  if (status) where.status = status;
+  if (encounterType) where.encounter_type = encounterType;
+
+  if (startDate || endDate) {
+    where.planned_start_time = {
+      ...(startDate && { [Op.gte]: new Date(startDate) }),
+      ...(endDate && { [Op.lte]: new Date(endDate) })
+    };
+  }
+
+  const { count, rows } = await Encounter.findAndCountAll({
+    where,
+    limit,
+    offset: (page - 1) * limit,
+    order: [[sort, order]]
+  });
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    encounters: rows,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Get encounter by ID
+ * @param {string} id - Encounter ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeDetails=false] - Include consultations, vitals, diagnoses, treatments and participants
+ * @returns {Promise<Object>} Encounter
+ */
+exports.getEncounterById = async (id, { includeDetails = false } = {}) => {
+  const include = includeDetails
+    ? [
+      { model: Consultation, as: 'consultations' },
+      { model: VitalSigns, as: 'vitalSigns' },
+      { model: Diagnosis, as: 'diagnoses' },
+      { model: Treatment, as: 'treatments' },
+      { model: EncounterParticipant, as: 'participants' }
+    ]
+    : [];
+
+  const encounter = await Encounter.findByPk(id, { include });
+
+  if (!encounter) {
+    throw new NotFoundError('Encounter');
+  }
+
+  return encounter;
+};
+
+/**
+ * Create a new encounter
+ * The primary provider is registered as the first participant.
+ * @param {Object} encounterData - Encounter data
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created encounter
+ */
+exports.createEncounter = async (encounterData, currentUser) => {
+  const data = omitFields(encounterData, PROTECTED_FIELDS);
+
+  const encounter = await Encounter.sequelize.transaction(async (transaction) => {
+    const created = await Encounter.create({
+      ...data,
+      primary_provider_id: data.primary_provider_id || currentUser.id,
+      status: 'planned',
+      created_by: currentUser.id
+    }, { transaction });
+
+    await EncounterParticipant.create({
+      encounter_id: created.id,
+      participant_id: created.primary_provider_id,
+      participant_type: 'primary_provider',
+      primary_responsibility: true,
+      added_by: currentUser.id
+    }, { transaction });
+
+    return created;
+  });
+
+  logger.logUserAction(currentUser.id, 'encounter_created', encounter.id, {
+    patientId: encounter.patient_id
+  });
+
+  return encounter;
+};
+
+/**
+ * Update an encounter
+ * @param {string} id - Encounter ID
+ * @param {Object} encounterData - Fields to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated encounter
+ */
+exports.updateEncounter = async (id, encounterData, currentUser) => {
+  const encounter = await exports.getEncounterById(id);
+
+  if (encounter.isCompleted() || encounter.status === 'entered_in_error') {
+    throw new ConflictError(`Cannot update an encounter with status ${encounter.status}`);
+  }
+
+  assertVersion(encounter, encounterData.version);
+
+  const data = omitFields(encounterData, PROTECTED_FIELDS);
+
+  await encounter.update({ ...data, updated_by: currentUser.id });
+
+  logger.logUserAction(currentUser.id, 'encounter_updated', encounter.id, {
+    fields: Object.keys(data)
+  });
+
+  return encounter;
+};
+
+/**
+ * Transition an encounter to a new status
+ * @param {string} id - Encounter ID
+ * @param {string} status - New status
+ * @param {Object} currentUser - Authenticated user
+ * @param {Object} [details] - Additional fields (disposition, discharge_instructions, notes)
+ * @returns {Promise<Object>} Updated encounter
+ */
+exports.updateEncounterStatus = async (id, status, currentUser, details = {}) => {
+  const encounter = await exports.getEncounterById(id);
+
+  validateStatusTransition(encounter.status, status);
+
+  const now = new Date();
+  const updates = {
+    status,
+    updated_by: currentUser.id
+  };
+
+  if (status === 'in_progress' && !encounter.actual_start_time) {
+    updates.actual_start_time = now;
+  }
+
+  if (status === 'finished') {
+    updates.actual_end_time = now;
+    if (details.disposition) updates.disposition = details.disposition;
+    if (details.discharge_instructions) {
+      updates.discharge_instructions = details.discharge_instructions;
+    }
+  }
+
+  if (details.notes) {
+    updates.notes = details.notes;
+  }
+
+  await encounter.update(updates);
+
+  logger.logUserAction(currentUser.id, 'encounter_status_changed', encounter.id, {
+    status
+  });
+
+  return encounter;
+};
+
+/**
+ * Get active encounters for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<Array>} Active encounters
+ */
+exports.getActiveEncounters = async (providerId) => {
+  return Encounter.findActiveEncounters(providerId);
+};
+
+/**
+ * Get participants of an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Participants
+ */
+exports.getParticipants = async (encounterId) => {
+  await exports.getEncounterById(encounterId);
+  return EncounterParticipant.findByEncounter(encounterId);
+};
+
+/**
+ * Add a participant to an encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} participantData - Participant data
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created participant
+ */
+exports.addParticipant = async (encounterId, participantData, currentUser) => {
+  const encounter = await exports.getEncounterById(encounterId);
+
+  if (encounter.isCompleted()) {
+    throw new ConflictError(`Cannot add participants to a ${encounter.status} encounter`);
+  }
+
+  const existing = await EncounterParticipant.findOne({
+    where: {
+      encounter_id: encounterId,
+      participant_id: participantData.participant_id,
+      participation_status: 'active'
+    }
+  });
+
+  if (existing) {
+    throw new ConflictError('Participant is already active on this encounter');
+  }
+
+  return EncounterParticipant.create({
+    ...participantData,
+    encounter_id: encounterId,
+    start_time: participantData.start_time || new Date(),
+    added_by: currentUser.id
+  });
+};
+
+/**
+ * Get diagnoses recorded on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Diagnoses, primary first
+ */
+exports.getDiagnoses = async (encounterId) => {
+  await exports.getEncounterById(encounterId);
+  return Diagnosis.findByEncounter(encounterId);
+};
+
+/**
+ * Record a diagnosis on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} diagnosisData - Diagnosis data
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created diagnosis
+ */
+exports.addDiagnosis = async (encounterId, diagnosisData, currentUser) => {
+  await exports.getEncounterById(encounterId);
+
+  return Diagnosis.create({
+    ...diagnosisData,
+    encounter_id: encounterId,
+    diagnosed_by: diagnosisData.diagnosed_by || currentUser.id,
+    created_by: currentUser.id
+  });
+};
+
+/**
+ * Update a diagnosis on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {string} diagnosisId - Diagnosis ID
+ * @param {Object} diagnosisData - Fields to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated diagnosis
+ */
+exports.updateDiagnosis = async (encounterId, diagnosisId, diagnosisData, currentUser) => {
+  const diagnosis = await Diagnosis.findOne({
+    where: { id: diagnosisId, encounter_id: encounterId }
+  });
+
+  if (!diagnosis) {
+    throw new NotFoundError('Diagnosis');
+  }
+
+  assertVersion(diagnosis, diagnosisData.version);
+
+  const data = omitFields(diagnosisData, ['id', 'encounter_id', 'created_by', 'version']);
+  await diagnosis.update({ ...data, updated_by: currentUser.id });
+
+  return diagnosis;
+};
+
+/**
+ * Get treatments ordered on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Treatments
+ */
+exports.getTreatments = async (encounterId) => {
+  await exports.getEncounterById(encounterId);
+  return Treatment.findByEncounter(encounterId);
+};
+
+/**
+ * Order a treatment on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} treatmentData - Treatment data
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created treatment
+ */
+exports.addTreatment = async (encounterId, treatmentData, currentUser) => {
+  await exports.getEncounterById(encounterId);
+
+  return Treatment.create({
+    ...treatmentData,
+    encounter_id: encounterId,
+    ordered_by: treatmentData.ordered_by || currentUser.id,
+    created_by: currentUser.id
+  });
+};
+
+/**
+ * Update a treatment on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {string} treatmentId - Treatment ID
+ * @param {Object} treatmentData - Fields to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated treatment
+ */
+exports.updateTreatment = async (encounterId, treatmentId, treatmentData, currentUser) => {
+  const treatment = await Treatment.findOne({
+    where: { id: treatmentId, encounter_id: encounterId }
+  });
+
+  if (!treatment) {
+    throw new NotFoundError('Treatment');
+  }
+
+  assertVersion(treatment, treatmentData.version);
+
+  const data = omitFields(treatmentData, ['id', 'encounter_id', 'created_by', 'version']);
+  await treatment.update({ ...data, updated_by: currentUser.id });
+
+  return treatment;
+};
+
+/**
+ * Validate encounter status transition
+ * @param {string} currentStatus - Current status
+ * @param {string} newStatus - Requested status
+ * @returns {void}
+ */
+function validateStatusTransition(currentStatus, newStatus) {
+  const allowed = STATUS_TRANSITIONS[currentStatus] || [];
+
+  if (!allowed.includes(newStatus)) {
+    throw new ValidationError(
+      `Invalid status transition from ${currentStatus} to ${newStatus}`,
+      { from: currentStatus, to: newStatus, allowed }
+    );
+  }
+}
+
+/**
+ * Reject stale writes when the client supplies the version it last read
+ * @param {Object} record - Sequelize instance with a version column
+ * @param {number} [expectedVersion] - Version supplied by the client
+ * @returns {void}
+ */
+function assertVersion(record, expectedVersion) {
+  if (expectedVersion !== undefined && Number(expectedVersion) !== record.version) {
+    throw new ConflictError(
+      `Record has been modified (current version ${record.version}, supplied ${expectedVersion})`
+    );
+  }
+}
+
+/**
+ * Copy an object without the given keys
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Keys to drop
+ * @returns {Object} Shallow copy without the keys
+ */
+function omitFields(source, fields) {
+  const copy = { ...source };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+exports.assertVersion = assertVersion;
+exports.omitFields = omitFields;
@@ -0,0 +1,143 @@
+/**
+ * Vital Signs Service
+ * Business logic for vital signs measurements
+ */
+
+const { VitalSigns, Encounter } = require('../models');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const encounterService = require('./encounter.service');
+
+// Fields that may not be changed through a generic update
+const PROTECTED_FIELDS = ['id', 'encounter_id', 'bmi', 'abnormal_flags', 'created_by', 'version'];
+
+/**
+ * Get vital signs record by ID
+ * @param {string} id - Vital signs ID
+ * @returns {Promise<Object>} Vital signs record
+ */
+exports.getVitalSignsById = async (id) => {
+  const vitalSigns = await VitalSigns.findByPk(id);
+
+  if (!vitalSigns) {
+    throw new NotFoundError('Vital signs record');
+  }
+
+  return vitalSigns;
+};
+
+/**
+ * Record vital signs for an encounter
+ * @param {Object} vitalSignsData - Measurements (must include encounter_id)
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Created vital signs record
+ */
+exports.recordVitalSigns = async (vitalSignsData, currentUser) => {
+  const encounter = await encounterService.getEncounterById(vitalSignsData.encounter_id);
+
+  if (['cancelled', 'entered_in_error'].includes(encounter.status)) {
+    throw new ConflictError(`Cannot record vital signs on a ${encounter.status} encounter`);
+  }
+
+  if (vitalSignsData.consultation_id) {
+    const consultations = await encounter.getConsultations({
+      where: { id: vitalSignsData.consultation_id }
+    });
+    if (consultations.length === 0) {
+      throw new ValidationError('Consultation does not belong to this encounter', {
+        field: 'consultation_id',
+        value: vitalSignsData.consultation_id
+      });
+    }
+  }
+
+  const data = encounterService.omitFields(vitalSignsData, PROTECTED_FIELDS);
+
+  const vitalSigns = VitalSigns.build({
+    ...data,
+    encounter_id: encounter.id,
+    measured_by: data.measured_by || currentUser.id,
+    created_by: currentUser.id
+  });
+  vitalSigns.abnormal_flags = vitalSigns.hasAbnormalValues();
+  await vitalSigns.save();
+
+  if (vitalSigns.abnormal_flags.length > 0) {
+    logger.warn('Abnormal vital signs recorded', {
+      encounterId: encounter.id,
+      vitalSignsId: vitalSigns.id,
+      abnormal: vitalSigns.abnormal_flags
+    });
+  }
+
+  return vitalSigns;
+};
+
+/**
+ * Update a vital signs record
+ * @param {string} id - Vital signs ID
+ * @param {Object} vitalSignsData - Fields to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated vital signs record
+ */
+exports.updateVitalSigns = async (id, vitalSignsData, currentUser) => {
+  const vitalSigns = await exports.getVitalSignsById(id);
+
+  encounterService.assertVersion(vitalSigns, vitalSignsData.version);
+
+  const data = encounterService.omitFields(vitalSignsData, PROTECTED_FIELDS);
+  vitalSigns.set({ ...data, updated_by: currentUser.id });
+  vitalSigns.abnormal_flags = vitalSigns.hasAbnormalValues();
+  await vitalSigns.save();
+
+  logger.logUserAction(currentUser.id, 'vital_signs_updated', vitalSigns.id, {
+    fields: Object.keys(data)
+  });
+
+  return vitalSigns;
+};
+
+/**
+ * Get vital signs recorded on an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Vital signs, newest first
+ */
+exports.getVitalSignsByEncounter = async (encounterId) => {
+  await encounterService.getEncounterById(encounterId);
+  return VitalSigns.findByEncounter(encounterId);
+};
+
+/**
+ * Get vital signs history for a patient across encounters
+ * @param {string} patientId - Patient ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=50] - Maximum records
+ * @returns {Promise<Array>} Vital signs, newest first
+ */
+exports.getVitalSignsByPatient = async (patientId, { limit = 50 } = {}) => {
+  return VitalSigns.findAll({
+    include: [{
+      model: Encounter,
+      as: 'encounter',
+      attributes: ['id', 'encounter_number', 'planned_start_time'],
+      where: { patient_id: patientId }
+    }],
+    order: [['measured_at', 'DESC']],
+    limit
+  });
+};
+
+/**
+ * Get the most recent vital signs for a patient
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object>} Latest vital signs record
+ */
+exports.getLatestVitalSigns = async (patientId) => {
+  const vitalSigns = await VitalSigns.findLatestByPatient(patientId);
+
+  if (!vitalSigns) {
+    throw new NotFoundError('Vital signs record');
+  }
+
+  return vitalSigns;
+};
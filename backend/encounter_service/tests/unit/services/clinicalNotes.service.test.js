@@ -0,0 +1,165 @@
+/**
+ * Clinical Notes Service Tests
+ * This module tests creating, editing and signing clinical notes
+ */
+
+const mongoose = require('mongoose');
+const clinicalNotesService = require('../../../src/services/clinicalNotes.service');
+const { Encounter, ClinicalNote } = require('../../../src/models');
+const { ConflictError, ForbiddenError, DatabaseError } = require('../../../src/middleware/errorHandler');
+
+// Mock the models, the MongoDB connection and logger
+jest.mock('mongoose', () => ({ connection: { readyState: 1 } }));
+jest.mock('../../../src/models', () => {
+  // Stand-in for the mongoose model; methods follow the clinical note schema
+  const ClinicalNote = jest.fn(function ClinicalNote(data) {
+    Object.assign(this, { signature: { isSigned: false }, ...data });
+    this.save = jest.fn().mockResolvedValue(this);
+    this.set = (fields) => Object.assign(this, fields);
+    this.isSigned = () => this.signature.isSigned;
+    this.canBeModified = () => ['draft', 'in_progress', 'pending_review'].includes(this.status);
+  });
+  ClinicalNote.findOne = jest.fn();
+
+  return {
+    Encounter: { findByPk: jest.fn() },
+    Consultation: {},
+    VitalSigns: {},
+    Diagnosis: {},
+    Treatment: {},
+    EncounterParticipant: {},
+    ClinicalNote
+  };
+});
+jest.mock('../../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logUserAction: jest.fn()
+  }
+}));
+
+describe('Clinical Notes Service', () => {
+  const doctor = { id: 'doctor1', name: 'Dr. Asha Rao', role: 'doctor' };
+
+  const note = (fields = {}) => new ClinicalNote({
+    noteId: 'NOTE-1',
+    encounterId: 'encounter1',
+    status: 'draft',
+    author: { providerId: 'doctor1' },
+    assessment: 'Viral fever',
+    ...fields
+  });
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+    mongoose.connection.readyState = 1;
+  });
+
+  describe('createNote', () => {
+    it('should create a draft authored by the current user', async () => {
+      // Arrange
+      const startedAt = new Date('2024-01-01T09:00:00Z');
+      Encounter.findByPk.mockResolvedValue({ id: 'encounter1', status: 'in_progress', actual_start_time: startedAt });
+
+      // Act
+      const result = await clinicalNotesService.createNote(
+        { encounterId: 'encounter1', subjective: 'Fever for 3 days', status: 'signed', author: { providerId: 'x' } },
+        doctor
+      );
+
+      // Assert
+      expect(result).toEqual(expect.objectContaining({
+        encounterId: 'encounter1',
+        subjective: 'Fever for 3 days',
+        status: 'draft',
+        serviceDate: startedAt,
+        author: expect.objectContaining({ providerId: 'doctor1', providerName: 'Dr. Asha Rao' })
+      }));
+      expect(result.noteId).toMatch(/^NOTE-\d+-[0-9a-f]{10}$/);
+      expect(result.compliance.auditTrail).toEqual([expect.objectContaining({ action: 'created', userId: 'doctor1' })]);
+      expect(result.save).toHaveBeenCalled();
+    });
+
+    it('should not document on an encounter entered in error', async () => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue({ id: 'encounter1', status: 'entered_in_error' });
+
+      // Act & Assert
+      await expect(clinicalNotesService.createNote({ encounterId: 'encounter1' }, doctor))
+        .rejects.toThrow(ConflictError);
+    });
+
+    it('should throw DatabaseError while MongoDB is unavailable', async () => {
+      // Arrange
+      mongoose.connection.readyState = 0;
+
+      // Act & Assert
+      await expect(clinicalNotesService.createNote({ encounterId: 'encounter1' }, doctor))
+        .rejects.toThrow(DatabaseError);
+      expect(Encounter.findByPk).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateNote', () => {
+    it('should update the content but not protected fields', async () => {
+      // Arrange
+      const existing = note();
+      ClinicalNote.findOne.mockResolvedValue(existing);
+
+      // Act
+      const result = await clinicalNotesService.updateNote(
+        'NOTE-1',
+        { assessment: 'Dengue fever', status: 'signed', signature: { isSigned: true } },
+        doctor
+      );
+
+      // Assert
+      expect(result.assessment).toBe('Dengue fever');
+      expect(result.status).toBe('draft');
+      expect(result.signature.isSigned).toBe(false);
+      expect(result.compliance.auditTrail).toEqual([
+        expect.objectContaining({ action: 'updated', details: 'assessment' })
+      ]);
+    });
+
+    it('should not edit a signed note', async () => {
+      // Arrange
+      ClinicalNote.findOne.mockResolvedValue(note({ status: 'signed', signature: { isSigned: true } }));
+
+      // Act & Assert
+      await expect(clinicalNotesService.updateNote('NOTE-1', { assessment: 'Dengue fever' }, doctor))
+        .rejects.toThrow('A signed note cannot be edited; add an amendment instead');
+    });
+  });
+
+  describe('signNote', () => {
+    it('should sign with a hash of the note content', async () => {
+      // Arrange
+      ClinicalNote.findOne.mockResolvedValue(note());
+
+      // Act
+      const result = await clinicalNotesService.signNote('NOTE-1', doctor);
+
+      // Assert
+      expect(result.status).toBe('signed');
+      expect(result.signature).toEqual(expect.objectContaining({
+        isSigned: true,
+        signedBy: 'doctor1',
+        signatureMethod: 'electronic',
+        signatureHash: expect.stringMatching(/^[0-9a-f]{64}$/)
+      }));
+    });
+
+    it('should only let the author sign', async () => {
+      // Arrange
+      ClinicalNote.findOne.mockResolvedValue(note({ author: { providerId: 'doctor2' } }));
+
+      // Act & Assert
+      await expect(clinicalNotesService.signNote('NOTE-1', doctor)).rejects.toThrow(ForbiddenError);
+    });
+  });
+});
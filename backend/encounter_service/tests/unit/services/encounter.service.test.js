@@ -0,0 +1,255 @@
+/**
+ * Encounter Service Tests
+ * This module tests encounter status transitions, version checks and participants
+ */
+
+const encounterService = require('../../../src/services/encounter.service');
+const { Encounter, EncounterParticipant } = require('../../../src/models');
+const { ValidationError, ConflictError, NotFoundError } = require('../../../src/middleware/errorHandler');
+
+// Mock the models and logger
+jest.mock('../../../src/models', () => ({
+  Encounter: {
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    sequelize: { transaction: jest.fn(work => work('transaction')) }
+  },
+  Consultation: {},
+  VitalSigns: {},
+  Diagnosis: {},
+  Treatment: {},
+  EncounterParticipant: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findByEncounter: jest.fn()
+  }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logUserAction: jest.fn()
+  }
+}));
+
+describe('Encounter Service', () => {
+  const doctor = { id: 'doctor1', role: 'doctor' };
+
+  // Stand-in for a Sequelize instance; update writes the fields back like the real one
+  const encounter = (fields = {}) => ({
+    id: 'encounter1',
+    patient_id: 'patient1',
+    status: 'planned',
+    version: 3,
+    actual_start_time: null,
+    isCompleted() {
+      return ['finished', 'cancelled'].includes(this.status);
+    },
+    update: jest.fn(function update(data) {
+      Object.assign(this, data);
+      return Promise.resolve(this);
+    }),
+    ...fields
+  });
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+  });
+
+  describe('getEncounterById', () => {
+    it('should throw NotFoundError for an unknown encounter', async () => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(encounterService.getEncounterById('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('createEncounter', () => {
+    it('should start planned and register the primary provider as a participant', async () => {
+      // Arrange
+      Encounter.create.mockImplementation(data => Promise.resolve({ id: 'encounter1', ...data }));
+
+      // Act
+      const result = await encounterService.createEncounter(
+        { patient_id: 'patient1', status: 'finished', version: 9 },
+        doctor
+      );
+
+      // Assert
+      expect(Encounter.create).toHaveBeenCalledWith(
+        { patient_id: 'patient1', primary_provider_id: 'doctor1', status: 'planned', created_by: 'doctor1' },
+        { transaction: 'transaction' }
+      );
+      expect(EncounterParticipant.create).toHaveBeenCalledWith(expect.objectContaining({
+        encounter_id: 'encounter1',
+        participant_id: 'doctor1',
+        participant_type: 'primary_provider',
+        primary_responsibility: true
+      }), { transaction: 'transaction' });
+      expect(result.status).toBe('planned');
+    });
+  });
+
+  describe('updateEncounterStatus', () => {
+    it.each([
+      ['planned', 'arrived'],
+      ['arrived', 'triaged'],
+      ['triaged', 'in_progress'],
+      ['in_progress', 'on_hold'],
+      ['on_hold', 'in_progress'],
+      ['in_progress', 'finished'],
+      ['finished', 'entered_in_error']
+    ])('should allow %s to %s', async (from, to) => {
+      // Arrange
+      const existing = encounter({ status: from });
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act
+      const result = await encounterService.updateEncounterStatus('encounter1', to, doctor);
+
+      // Assert
+      expect(result.status).toBe(to);
+    });
+
+    it.each([
+      ['planned', 'finished'],
+      ['in_progress', 'cancelled'],
+      ['finished', 'in_progress'],
+      ['cancelled', 'planned'],
+      ['entered_in_error', 'planned']
+    ])('should reject %s to %s', async (from, to) => {
+      // Arrange
+      const existing = encounter({ status: from });
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act & Assert
+      await expect(encounterService.updateEncounterStatus('encounter1', to, doctor))
+        .rejects.toThrow(ValidationError);
+      expect(existing.update).not.toHaveBeenCalled();
+    });
+
+    it('should stamp the start time once and the end time on finishing', async () => {
+      // Arrange
+      const startedAt = new Date('2024-01-01T09:00:00Z');
+      const existing = encounter({ status: 'on_hold', actual_start_time: startedAt });
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act
+      await encounterService.updateEncounterStatus('encounter1', 'in_progress', doctor);
+      await encounterService.updateEncounterStatus('encounter1', 'finished', doctor, {
+        disposition: 'home',
+        discharge_instructions: 'Rest for two days'
+      });
+
+      // Assert
+      expect(existing.actual_start_time).toBe(startedAt);
+      expect(existing.actual_end_time).toEqual(expect.any(Date));
+      expect(existing.disposition).toBe('home');
+      expect(existing.discharge_instructions).toBe('Rest for two days');
+    });
+  });
+
+  describe('updateEncounter', () => {
+    it('should update when the supplied version matches', async () => {
+      // Arrange
+      const existing = encounter();
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act
+      await encounterService.updateEncounter(
+        'encounter1',
+        { chief_complaint: 'Cough', version: '3', status: 'finished' },
+        doctor
+      );
+
+      // Assert
+      expect(existing.update).toHaveBeenCalledWith({ chief_complaint: 'Cough', updated_by: 'doctor1' });
+    });
+
+    it('should throw ConflictError for a stale version', async () => {
+      // Arrange
+      const existing = encounter();
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act & Assert
+      await expect(encounterService.updateEncounter('encounter1', { chief_complaint: 'Cough', version: 2 }, doctor))
+        .rejects.toThrow('Record has been modified (current version 3, supplied 2)');
+      expect(existing.update).not.toHaveBeenCalled();
+    });
+
+    it('should update without a version check when none is supplied', async () => {
+      // Arrange
+      const existing = encounter();
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act
+      await encounterService.updateEncounter('encounter1', { chief_complaint: 'Cough' }, doctor);
+
+      // Assert
+      expect(existing.update).toHaveBeenCalled();
+    });
+
+    it.each(['finished', 'cancelled', 'entered_in_error'])('should not update a %s encounter', async (status) => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(encounter({ status }));
+
+      // Act & Assert
+      await expect(encounterService.updateEncounter('encounter1', { chief_complaint: 'Cough' }, doctor))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('addParticipant', () => {
+    it('should add a participant from now by default', async () => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(encounter({ status: 'in_progress' }));
+      EncounterParticipant.findOne.mockResolvedValue(null);
+      EncounterParticipant.create.mockImplementation(data => Promise.resolve(data));
+
+      // Act
+      const result = await encounterService.addParticipant(
+        'encounter1',
+        { participant_id: 'nurse1', participant_type: 'nurse' },
+        doctor
+      );
+
+      // Assert
+      expect(EncounterParticipant.findOne).toHaveBeenCalledWith({
+        where: { encounter_id: 'encounter1', participant_id: 'nurse1', participation_status: 'active' }
+      });
+      expect(result).toEqual({
+        participant_id: 'nurse1',
+        participant_type: 'nurse',
+        encounter_id: 'encounter1',
+        start_time: expect.any(Date),
+        added_by: 'doctor1'
+      });
+    });
+
+    it('should throw ConflictError for a participant who is already active', async () => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(encounter({ status: 'in_progress' }));
+      EncounterParticipant.findOne.mockResolvedValue({ id: 'participant1' });
+
+      // Act & Assert
+      await expect(encounterService.addParticipant('encounter1', { participant_id: 'nurse1' }, doctor))
+        .rejects.toThrow('Participant is already active on this encounter');
+      expect(EncounterParticipant.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw ConflictError for a completed encounter', async () => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(encounter({ status: 'finished' }));
+
+      // Act & Assert
+      await expect(encounterService.addParticipant('encounter1', { participant_id: 'nurse1' }, doctor))
+        .rejects.toThrow(ConflictError);
+      expect(EncounterParticipant.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
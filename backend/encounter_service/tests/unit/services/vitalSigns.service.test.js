@@ -0,0 +1,145 @@
+/**
+ * Vital Signs Service Tests
+ * This module tests recording and updating vital signs
+ */
+
+const vitalSignsService = require('../../../src/services/vitalSigns.service');
+const { Encounter, VitalSigns } = require('../../../src/models');
+const { ValidationError, ConflictError, NotFoundError } = require('../../../src/middleware/errorHandler');
+
+// Mock the models and logger
+jest.mock('../../../src/models', () => ({
+  Encounter: { findByPk: jest.fn() },
+  Consultation: {},
+  VitalSigns: { build: jest.fn(), findByPk: jest.fn() },
+  Diagnosis: {},
+  Treatment: {},
+  EncounterParticipant: {}
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logUserAction: jest.fn()
+  }
+}));
+
+describe('Vital Signs Service', () => {
+  const nurse = { id: 'nurse1', role: 'nurse' };
+
+  const encounter = (fields = {}) => ({
+    id: 'encounter1',
+    status: 'in_progress',
+    getConsultations: jest.fn().mockResolvedValue([{ id: 'consultation1' }]),
+    ...fields
+  });
+
+  // Stand-in for a Sequelize instance; flags are worked out from the heart rate only
+  const vitalSigns = (fields = {}) => ({
+    id: 'vitals1',
+    version: 2,
+    set(data) {
+      Object.assign(this, data);
+    },
+    hasAbnormalValues() {
+      return this.heart_rate > 100 ? ['heart_rate'] : [];
+    },
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+    VitalSigns.build.mockImplementation(data => vitalSigns(data));
+  });
+
+  describe('recordVitalSigns', () => {
+    it('should record measurements with their abnormal flags', async () => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(encounter());
+
+      // Act
+      const result = await vitalSignsService.recordVitalSigns(
+        { encounter_id: 'encounter1', heart_rate: 120, bmi: 99, abnormal_flags: [] },
+        nurse
+      );
+
+      // Assert
+      expect(VitalSigns.build).toHaveBeenCalledWith({
+        heart_rate: 120,
+        encounter_id: 'encounter1',
+        measured_by: 'nurse1',
+        created_by: 'nurse1'
+      });
+      expect(result.abnormal_flags).toEqual(['heart_rate']);
+      expect(result.save).toHaveBeenCalled();
+    });
+
+    it('should check the consultation belongs to the encounter', async () => {
+      // Arrange
+      const existing = encounter({ getConsultations: jest.fn().mockResolvedValue([]) });
+      Encounter.findByPk.mockResolvedValue(existing);
+
+      // Act & Assert
+      await expect(vitalSignsService.recordVitalSigns(
+        { encounter_id: 'encounter1', consultation_id: 'other' },
+        nurse
+      )).rejects.toThrow(ValidationError);
+      expect(existing.getConsultations).toHaveBeenCalledWith({ where: { id: 'other' } });
+      expect(VitalSigns.build).not.toHaveBeenCalled();
+    });
+
+    it.each(['cancelled', 'entered_in_error'])('should not record on a %s encounter', async (status) => {
+      // Arrange
+      Encounter.findByPk.mockResolvedValue(encounter({ status }));
+
+      // Act & Assert
+      await expect(vitalSignsService.recordVitalSigns({ encounter_id: 'encounter1' }, nurse))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('updateVitalSigns', () => {
+    it('should update and recompute the abnormal flags', async () => {
+      // Arrange
+      const existing = vitalSigns({ heart_rate: 120, abnormal_flags: ['heart_rate'] });
+      VitalSigns.findByPk.mockResolvedValue(existing);
+
+      // Act
+      const result = await vitalSignsService.updateVitalSigns(
+        'vitals1',
+        { heart_rate: 80, version: 2, encounter_id: 'other' },
+        nurse
+      );
+
+      // Assert
+      expect(result.heart_rate).toBe(80);
+      expect(result.encounter_id).toBeUndefined();
+      expect(result.updated_by).toBe('nurse1');
+      expect(result.abnormal_flags).toEqual([]);
+      expect(result.save).toHaveBeenCalled();
+    });
+
+    it('should throw ConflictError for a stale version', async () => {
+      // Arrange
+      const existing = vitalSigns();
+      VitalSigns.findByPk.mockResolvedValue(existing);
+
+      // Act & Assert
+      await expect(vitalSignsService.updateVitalSigns('vitals1', { heart_rate: 80, version: 1 }, nurse))
+        .rejects.toThrow(ConflictError);
+      expect(existing.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError for an unknown record', async () => {
+      // Arrange
+      VitalSigns.findByPk.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(vitalSignsService.updateVitalSigns('missing', {}, nurse)).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const { createRequirePermission } = require('@dr-assistant/auth');
 const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const { logger } = require('../utils/logger');
 
@@ -86,3 +87,11 @@ exports.authorizeRoles = (roles) => {
     next();
   };
 };
+
+/**
+ * Require permissions middleware
+ * Permissions come from the user returned by the Auth Service.
+ * @param {...string} permissions - Required permissions (format: 'resource:action')
+ * @returns {Function} Middleware function
+ */
+exports.requirePermission = createRequirePermission({ UnauthorizedError, ForbiddenError });
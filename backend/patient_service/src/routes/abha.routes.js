@@ -7,7 +7,7 @@ const express = require('express');
 const { param, body } = require('express-validator');
 const abhaService = require('../services/abha.service');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -19,7 +19,7 @@ router.post(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('abha:manage'),
   async (req, res) => {
     const { abhaId } = req.body;
     const result = await abhaService.verifyABHAId(abhaId);
@@ -37,7 +37,7 @@ router.post(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('abha:manage'),
   async (req, res) => {
     const { patientId } = req.params;
     const { abhaId, purpose } = req.body;
@@ -55,7 +55,7 @@ router.post(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('abha:manage'),
   async (req, res) => {
     const { patientId } = req.params;
     const { patientData } = req.body;
@@ -7,7 +7,7 @@ const express = require('express');
 const { param, query } = require('express-validator');
 const medicalHistoryController = require('../controllers/medical.history.controller');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -20,6 +20,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('medical_history:read'),
   medicalHistoryController.getMedicalHistory
 );
 
@@ -31,6 +32,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('medical_history:read'),
   medicalHistoryController.getMedicalHistoryVersions
 );
 
@@ -43,6 +45,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('medical_history:read'),
   medicalHistoryController.getMedicalHistoryByVersion
 );
 
@@ -54,7 +57,7 @@ router.post(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('medical_history:update'),
   medicalHistoryController.createMedicalHistory
 );
 
@@ -66,7 +69,7 @@ router.put(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('medical_history:update'),
   medicalHistoryController.updateMedicalHistory
 );
 
@@ -80,6 +83,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('medical_history:read'),
   medicalHistoryController.compareVersions
 );
 
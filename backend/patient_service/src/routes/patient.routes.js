@@ -7,7 +7,7 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const patientController = require('../controllers/patient.controller');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -23,6 +23,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('patient:read'),
   patientController.getAllPatients
 );
 
@@ -34,6 +35,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('patient:read'),
   patientController.getPatientById
 );
 
@@ -57,6 +59,7 @@ router.post(
     validateRequest
   ],
   authenticate,
+  requirePermission('patient:create'),
   patientController.createPatient
 );
 
@@ -81,6 +84,7 @@ router.put(
     validateRequest
   ],
   authenticate,
+  requirePermission('patient:update'),
   patientController.updatePatient
 );
 
@@ -92,7 +96,7 @@ router.delete(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('patient:delete'),
   patientController.deletePatient
 );
 
@@ -104,6 +108,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('medical_history:read'),
   patientController.getPatientMedicalHistory
 );
 
@@ -116,7 +121,7 @@ router.put(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('medical_history:update'),
   patientController.updatePatientMedicalHistory
 );
 
@@ -7,7 +7,7 @@ const express = require('express');
 const { query } = require('express-validator');
 const searchService = require('../services/search.service');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -31,6 +31,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('patient:read'),
   async (req, res) => {
     const filters = {
       query: req.query.query,
@@ -71,7 +72,7 @@ router.get(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('medical_history:read'),
   async (req, res) => {
     const filters = {
       patientId: req.query.patientId,
@@ -11,7 +11,8 @@ const abhaService = require('../../services/abha.service');
 jest.mock('../../services/abha.service');
 jest.mock('../../middleware/auth.middleware', () => ({
   authenticate: (req, res, next) => next(),
-  authorizeRoles: (roles) => (req, res, next) => next()
+  authorizeRoles: (roles) => (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next()
 }));
 
 describe('ABHA Routes', () => {
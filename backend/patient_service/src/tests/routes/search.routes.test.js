@@ -11,7 +11,8 @@ const searchService = require('../../services/search.service');
 jest.mock('../../services/search.service');
 jest.mock('../../middleware/auth.middleware', () => ({
   authenticate: (req, res, next) => next(),
-  authorizeRoles: (roles) => (req, res, next) => next()
+  authorizeRoles: (roles) => (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next()
 }));
 
 describe('Search Routes', () => {
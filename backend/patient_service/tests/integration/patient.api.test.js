@@ -16,7 +16,7 @@ jest.mock('../../src/middleware/auth.middleware', () => ({
     };
     next();
   },
-  authorizeRoles: (roles) => (req, res, next) => next()
+  requirePermission: () => (req, res, next) => next()
 }));
 
 describe('Patient API', () => {
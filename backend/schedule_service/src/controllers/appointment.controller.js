@@ -5,6 +5,7 @@
 
 const { StatusCodes } = require('http-status-codes');
 const appointmentService = require('../services/appointment.service');
+const waitlistService = require('../services/waitlist.service');
 const cacheService = require('../services/cache.service');
 const { logger } = require('../utils/logger');
 
@@ -305,7 +306,9 @@ exports.updateAppointmentStatus = async (req, res, next) => {
     const { id } = req.params;
     const { status } = req.body;
 
-    const appointment = await appointmentService.updateAppointmentStatus(id, status);
+    const appointment = await appointmentService.updateAppointmentStatus(id, status, {
+      onSlotFreed: waitlistService.backfillSlot
+    });
 
     // Clear relevant caches
     await clearAppointmentCaches(appointment);
@@ -319,6 +322,132 @@ exports.updateAppointmentStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Create a recurring appointment series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createAppointmentSeries = async (req, res, next) => {
+  try {
+    const seriesData = req.body;
+
+    // Set created_by if not provided
+    if (!seriesData.created_by && req.user) {
+      seriesData.created_by = req.user.id;
+    }
+
+    // Extract auth token from header
+    const authToken = req.headers.authorization?.split(' ')[1];
+
+    const result = await appointmentService.createAppointmentSeries(
+      seriesData,
+      authToken,
+      req.user
+    );
+
+    // Clear relevant caches
+    await clearSeriesCaches(result.appointments);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an appointment series with its occurrences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getAppointmentSeries = async (req, res, next) => {
+  try {
+    const { seriesId } = req.params;
+
+    // Extract auth token from header
+    const authToken = req.headers.authorization?.split(' ')[1];
+
+    const result = await appointmentService.getAppointmentSeries(seriesId, authToken);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit one, following or all occurrences of a series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateSeriesOccurrence = async (req, res, next) => {
+  try {
+    const { seriesId, id } = req.params;
+    const { scope = 'this', ...changes } = req.body;
+
+    // Extract auth token from header
+    const authToken = req.headers.authorization?.split(' ')[1];
+
+    const result = await appointmentService.updateSeriesOccurrence(
+      seriesId,
+      id,
+      scope,
+      changes,
+      authToken,
+      req.user
+    );
+
+    // Clear relevant caches
+    await clearSeriesCaches(result.appointments);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel one, following or all occurrences of a series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.cancelSeriesOccurrences = async (req, res, next) => {
+  try {
+    const { seriesId, id = null } = req.params;
+    const scope = id ? req.query.scope || 'this' : 'all';
+
+    const result = await appointmentService.cancelSeriesOccurrences(
+      seriesId,
+      id,
+      scope,
+      req.user,
+      { onSlotFreed: waitlistService.backfillSlot }
+    );
+
+    // Clear relevant caches
+    await clearSeriesCaches(result.appointments);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Clear appointment-related caches
  * @param {Object} appointment - Appointment object
@@ -365,3 +494,19 @@ async function clearAppointmentCaches(appointment) {
     logger.error('Error clearing appointment caches', { error: error.message, stack: error.stack });
   }
 }
+
+/**
+ * Clear caches for the occurrences touched by a series operation
+ * @param {Array} appointments - Affected appointments
+ * @returns {Promise<void>}
+ */
+async function clearSeriesCaches(appointments) {
+  if (!appointments || appointments.length === 0) return;
+
+  await Promise.all(
+    appointments.map(appointment => cacheService.del(`appointment:${appointment.id}`))
+  );
+
+  // Every occurrence shares the doctor, so one sweep clears the list and slot caches
+  await clearAppointmentCaches(appointments[0]);
+}
@@ -0,0 +1,161 @@
+/**
+ * Availability Exception Controller
+ * This module handles HTTP requests for leave, holidays and schedule overrides
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const availabilityExceptionService = require('../services/availabilityException.service');
+const cacheService = require('../services/cache.service');
+
+/**
+ * Get exceptions for a doctor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getDoctorExceptions = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+    const { startDate, endDate, type } = req.query;
+
+    const exceptions = await availabilityExceptionService.getDoctorExceptions(doctorId, {
+      startDate: startDate || null,
+      endDate: endDate || null,
+      exceptionType: type || null
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: exceptions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get exception by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getExceptionById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const exception = await availabilityExceptionService.getExceptionById(id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: exception
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createException = async (req, res, next) => {
+  try {
+    const exception = await availabilityExceptionService.createException(req.body, req.user);
+
+    // Clear relevant caches
+    await clearExceptionCaches(exception);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: exception
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateException = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const exception = await availabilityExceptionService.updateException(id, req.body, req.user);
+
+    // Clear relevant caches
+    await clearExceptionCaches(exception);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: exception
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deleteException = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Get exception before deletion for cache clearing
+    const exception = await availabilityExceptionService.getExceptionById(id);
+
+    await availabilityExceptionService.deleteException(id, req.user);
+
+    // Clear relevant caches
+    await clearExceptionCaches(exception);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: { message: 'Availability exception deleted successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get appointments affected by an exception
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getAffectedAppointments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const appointments = await availabilityExceptionService.getAffectedAppointments(id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: appointments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear caches that depend on a doctor's exceptions
+ * @param {Object} exception - Availability exception
+ * @returns {Promise<void>}
+ */
+async function clearExceptionCaches(exception) {
+  if (!exception) return;
+
+  // Time slots are computed from exceptions
+  await cacheService.clearByPattern(`timeslots:${exception.doctor_id}:*`);
+}
@@ -0,0 +1,124 @@
+/**
+ * Calendar Controller
+ * This module handles HTTP requests for ICS feeds and calendar imports
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const calendarService = require('../services/calendar.service');
+const cacheService = require('../services/cache.service');
+
+/**
+ * Get a doctor's feed settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getFeed = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+
+    const feed = await calendarService.getFeed(doctorId, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue or rotate a doctor's feed token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.issueFeed = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { feed, token } = await calendarService.issueFeed(doctorId, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        feed,
+        token,
+        url: `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a doctor's feed token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.revokeFeed = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+
+    await calendarService.revokeFeed(doctorId, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: { message: 'Calendar feed revoked successfully' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve the ICS feed for a feed token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getFeedCalendar = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const calendar = await calendarService.renderFeed(token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="appointments.ics"',
+      'Cache-Control': 'private, no-store'
+    });
+    res.status(StatusCodes.OK).send(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import busy time from an external calendar
+ * Accepts a raw text/calendar body or JSON with an `ics` field.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.importCalendar = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+    const ics = typeof req.body === 'string' ? req.body : req.body.ics;
+
+    const result = await calendarService.importCalendar(doctorId, ics, req.user);
+
+    // Time slots are computed from exceptions
+    await cacheService.clearByPattern(`timeslots:${doctorId}:*`);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Queue Controller
+ * This module handles HTTP requests for the patient check-in queue and its live stream
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const queueService = require('../services/queue.service');
+const queueEvents = require('../services/queueEvents.service');
+const cacheService = require('../services/cache.service');
+const { logger } = require('../utils/logger');
+
+// Comment lines sent to keep idle proxies from closing the stream
+const STREAM_HEARTBEAT_MS = 25000;
+
+/**
+ * Get a doctor's queue for today
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+
+    const queue = await queueService.getQueue(doctorId, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: queue
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream a doctor's queue as server-sent events
+ * The current queue is sent straight away and again after every change.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.streamQueue = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+
+    // Load the queue before opening the stream so access errors are ordinary responses
+    const queue = await queueService.getQueue(doctorId, req.user);
+
+    res.status(StatusCodes.OK).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (data) => res.write(`event: queue\ndata: ${JSON.stringify(data)}\n\n`);
+    send(queue);
+
+    // Bursts of changes (e.g. complete then call) collapse into one refresh
+    let refreshing = false;
+    const unsubscribe = queueEvents.subscribe(doctorId, () => {
+      if (refreshing) return;
+      refreshing = true;
+
+      setImmediate(async () => {
+        try {
+          send(await queueService.getQueue(doctorId, req.user));
+        } catch (error) {
+          logger.warn('Failed to refresh queue stream', { error: error.message, doctorId });
+        } finally {
+          refreshing = false;
+        }
+      });
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a patient in and assign a queue token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.checkIn = async (req, res, next) => {
+  try {
+    const { appointmentId } = req.params;
+
+    const appointment = await queueService.checkIn(appointmentId, req.user);
+
+    await cacheService.clearByPattern('appointments:*');
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Call the next waiting patient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.callNext = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+
+    const result = await queueService.callNext(doctorId, req.body, req.user);
+
+    await cacheService.clearByPattern('appointments:*');
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
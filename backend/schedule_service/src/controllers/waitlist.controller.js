@@ -0,0 +1,178 @@
+/**
+ * Waitlist Controller
+ * This module handles HTTP requests for the doctor waitlist and slot holds
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const waitlistService = require('../services/waitlist.service');
+const cacheService = require('../services/cache.service');
+
+/**
+ * Get waitlist entries for a doctor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getDoctorWaitlist = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+    const { status, patientId } = req.query;
+
+    const entries = await waitlistService.getDoctorWaitlist(doctorId, {
+      status: status || null,
+      patientId: patientId || null
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get waitlist entry by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getEntryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await waitlistService.getEntryById(id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a patient to a doctor's waitlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createEntry = async (req, res, next) => {
+  try {
+    const entry = await waitlistService.createEntry(req.body, req.user);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a waitlist entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await waitlistService.updateEntry(id, req.body, req.user);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a patient from the waitlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.removeEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await waitlistService.removeEntry(id, req.user);
+
+    // A released hold frees its slot
+    await clearWaitlistCaches(entry.doctor_id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a slot hold and book the appointment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.confirmHold = async (req, res, next) => {
+  try {
+    const { holdId } = req.params;
+    const authToken = req.headers.authorization?.split(' ')[1];
+
+    const result = await waitlistService.confirmHold(holdId, authToken, req.user);
+
+    await clearWaitlistCaches(result.hold.doctor_id);
+
+    // The booking shows up in appointment lists
+    await cacheService.clearByPattern('appointments:*');
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a slot hold
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.declineHold = async (req, res, next) => {
+  try {
+    const { holdId } = req.params;
+
+    const result = await waitlistService.declineHold(holdId, req.user);
+
+    await clearWaitlistCaches(result.hold.doctor_id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear caches that depend on a doctor's holds
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<void>}
+ */
+async function clearWaitlistCaches(doctorId) {
+  // Time slots are computed from active holds
+  await cacheService.clearByPattern(`timeslots:${doctorId}:*`);
+}
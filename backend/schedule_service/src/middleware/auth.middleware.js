@@ -6,6 +6,7 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { createRequirePermission } = require('@dr-assistant/auth');
 const { logger } = require('../utils/logger');
 
 // Simple in-memory cache for token verification
@@ -66,7 +67,8 @@ exports.authenticate = async (req, res, next) => {
           username: decoded.username || 'unknown',
           name: decoded.name || 'Unknown User',
           role: decoded.role || 'user',
-          email: decoded.email || ''
+          email: decoded.email || '',
+          permissions: decoded.permissions || []
         };
 
         // Cache the user data
@@ -118,3 +120,10 @@ exports.authorizeRoles = (roles) => {
     next();
   };
 };
+
+/**
+ * Require permissions middleware
+ * @param {...string} permissions - Required permissions (format: 'resource:action')
+ * @returns {Function} Middleware function
+ */
+exports.requirePermission = createRequirePermission({ UnauthorizedError, ForbiddenError });
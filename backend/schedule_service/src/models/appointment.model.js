@@ -56,6 +56,11 @@ module.exports = (sequelize) => {
       type: DataTypes.UUID,
       allowNull: true
     },
+    // Recurring series this appointment is an occurrence of
+    series_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
     check_in_time: {
       type: DataTypes.DATE,
       allowNull: true
@@ -64,6 +69,16 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    // Token number drawn at check-in; counts up from 1 per doctor per day
+    queue_token: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // When the patient was called in, i.e. the consultation started
+    called_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -103,6 +118,14 @@ module.exports = (sequelize) => {
       {
         name: 'idx_appointments_start_time',
         fields: ['start_time']
+      },
+      {
+        name: 'idx_appointments_series',
+        fields: ['series_id']
+      },
+      {
+        name: 'idx_appointments_doctor_check_in',
+        fields: ['doctor_id', 'check_in_time']
       }
     ]
   });
@@ -0,0 +1,113 @@
+/**
+ * Appointment Series Model
+ * This module defines recurring appointment series (RRULE-style) using Sequelize
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AppointmentSeries = sequelize.define('AppointmentSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    doctor_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Set when the series was split off another by a "this and following" edit
+    parent_series_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    frequency: {
+      type: DataTypes.ENUM('daily', 'weekly', 'monthly'),
+      allowNull: false
+    },
+    interval: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    // Either count or until bounds the series
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Start of the first occurrence
+    start_time: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    appointment_type: {
+      type: DataTypes.ENUM('in_person', 'telemedicine', 'follow_up', 'urgent', 'routine'),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'cancelled'),
+      defaultValue: 'active',
+      allowNull: false
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'appointment_series',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_appointment_series_doctor',
+        fields: ['doctor_id']
+      },
+      {
+        name: 'idx_appointment_series_patient',
+        fields: ['patient_id']
+      }
+    ]
+  });
+
+  return AppointmentSeries;
+};
@@ -49,6 +49,11 @@ module.exports = (sequelize) => {
       defaultValue: 'weekly',
       allowNull: false
     },
+    effective_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'First date the block applies; biweekly and monthly blocks repeat from its first occurrence on or after this date'
+    },
     recurrence_end_date: {
       type: DataTypes.DATE,
       allowNull: true
@@ -0,0 +1,100 @@
+/**
+ * Availability Exception Model
+ * This module defines date-specific exceptions to a doctor's recurring availability
+ * (leave, public holidays, imported busy time and one-off schedule overrides) using Sequelize
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AvailabilityException = sequelize.define('AvailabilityException', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    doctor_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // leave, holiday and busy block time; override replaces the regular hours on those dates
+    exception_type: {
+      type: DataTypes.ENUM('leave', 'holiday', 'busy', 'override'),
+      allowNull: false
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isOnOrAfterStartDate(value) {
+          if (value < this.start_date) {
+            throw new Error('End date must be on or after start date');
+          }
+        }
+      }
+    },
+    // Null times mean the exception covers the whole day
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // manual exceptions are entered by staff; ics exceptions come from a calendar import
+    source: {
+      type: DataTypes.ENUM('manual', 'ics'),
+      defaultValue: 'manual',
+      allowNull: false
+    },
+    // UID of the imported calendar event
+    external_uid: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'availability_exceptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_availability_exceptions_doctor',
+        fields: ['doctor_id']
+      },
+      {
+        name: 'idx_availability_exceptions_dates',
+        fields: ['start_date', 'end_date']
+      },
+      {
+        name: 'idx_availability_exceptions_source',
+        fields: ['doctor_id', 'source']
+      }
+    ]
+  });
+
+  return AvailabilityException;
+};
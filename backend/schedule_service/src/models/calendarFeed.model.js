@@ -0,0 +1,55 @@
+/**
+ * Calendar Feed Model
+ * This module defines a doctor's token-protected ICS subscription feed using Sequelize
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CalendarFeed = sequelize.define('CalendarFeed', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    doctor_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true
+    },
+    // SHA-256 of the feed token; the token itself is only shown when issued
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    last_accessed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'calendar_feeds',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    defaultScope: {
+      attributes: { exclude: ['token_hash'] }
+    }
+  });
+
+  return CalendarFeed;
+};
@@ -31,14 +31,27 @@ const sequelize = new Sequelize(
 // Import models
 const Appointment = require('./appointment.model')(sequelize);
 const DoctorAvailability = require('./availability.model')(sequelize);
+const AvailabilityException = require('./availabilityException.model')(sequelize);
+const AppointmentSeries = require('./appointmentSeries.model')(sequelize);
+const WaitlistEntry = require('./waitlistEntry.model')(sequelize);
+const SlotHold = require('./slotHold.model')(sequelize);
+const CalendarFeed = require('./calendarFeed.model')(sequelize);
 
 // Define associations
-// Both models reference the same doctor_id from the user service
-// No direct association needed between them
+// All models reference the same doctor_id from the user service
+AppointmentSeries.hasMany(Appointment, { foreignKey: 'series_id', as: 'occurrences' });
+Appointment.belongsTo(AppointmentSeries, { foreignKey: 'series_id', as: 'series' });
+WaitlistEntry.hasMany(SlotHold, { foreignKey: 'waitlist_entry_id', as: 'holds' });
+SlotHold.belongsTo(WaitlistEntry, { foreignKey: 'waitlist_entry_id', as: 'entry' });
 
 // Export models and Sequelize instance
 module.exports = {
   sequelize,
   Appointment,
-  DoctorAvailability
+  DoctorAvailability,
+  AvailabilityException,
+  AppointmentSeries,
+  WaitlistEntry,
+  SlotHold,
+  CalendarFeed
 };
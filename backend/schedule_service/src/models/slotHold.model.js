@@ -0,0 +1,104 @@
+/**
+ * Slot Hold Model
+ * This module defines a freed slot held for a waitlisted patient until it is confirmed or expires
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SlotHold = sequelize.define('SlotHold', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    waitlist_entry_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    doctor_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Cancelled or no-show appointment that freed the slot
+    source_appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Patient whose appointment freed the slot, never offered it back
+    excluded_patient_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    start_time: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    end_time: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    appointment_type: {
+      type: DataTypes.ENUM('in_person', 'telemedicine', 'follow_up', 'urgent', 'routine'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'confirmed', 'declined', 'expired'),
+      defaultValue: 'pending',
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    responded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Appointment created when the hold is confirmed
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'slot_holds',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_slot_holds_doctor_time',
+        fields: ['doctor_id', 'start_time', 'end_time']
+      },
+      {
+        name: 'idx_slot_holds_status_expiry',
+        fields: ['status', 'expires_at']
+      },
+      {
+        name: 'idx_slot_holds_source',
+        fields: ['source_appointment_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  SlotHold.prototype.isActive = function () {
+    return this.status === 'pending' && new Date(this.expires_at) > new Date();
+  };
+
+  return SlotHold;
+};
@@ -0,0 +1,96 @@
+/**
+ * Waitlist Entry Model
+ * This module defines a patient waiting for an earlier slot with a doctor using Sequelize
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WaitlistEntry = sequelize.define('WaitlistEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    doctor_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    appointment_type: {
+      type: DataTypes.ENUM('in_person', 'telemedicine', 'follow_up', 'urgent', 'routine'),
+      allowNull: false
+    },
+    priority: {
+      type: DataTypes.ENUM('low', 'normal', 'high', 'urgent'),
+      defaultValue: 'normal',
+      allowNull: false
+    },
+    // [{ day_of_week?, start_time, end_time }]; an empty list accepts any time
+    preferred_windows: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      allowNull: false
+    },
+    earliest_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    latest_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'offered', 'booked', 'removed'),
+      defaultValue: 'waiting',
+      allowNull: false
+    },
+    // Appointment booked from this entry
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'waitlist_entries',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_waitlist_entries_doctor_status',
+        fields: ['doctor_id', 'status']
+      },
+      {
+        name: 'idx_waitlist_entries_patient',
+        fields: ['patient_id']
+      }
+    ]
+  });
+
+  return WaitlistEntry;
+};
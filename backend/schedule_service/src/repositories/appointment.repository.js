@@ -4,7 +4,7 @@
  */
 
 const { Op } = require('sequelize');
-const { Appointment } = require('../models');
+const { sequelize, Appointment } = require('../models');
 const { logger } = require('../utils/logger');
 const moment = require('moment');
 
@@ -155,6 +155,43 @@ exports.findByDateRange = async (startDate, endDate, options = {}) => {
   }
 };
 
+/**
+ * Find the occurrences of an appointment series
+ * @param {string} seriesId - Series ID
+ * @param {Object} options - Additional options
+ * @returns {Promise<Array>} Appointments ordered by start time
+ */
+exports.findBySeries = async (seriesId, options = {}) => {
+  const { fromTime = null, status = null } = options;
+
+  const where = {
+    series_id: seriesId
+  };
+
+  if (fromTime) {
+    where.start_time = { [Op.gte]: new Date(fromTime) };
+  }
+
+  if (status) {
+    where.status = Array.isArray(status) ? { [Op.in]: status } : status;
+  }
+
+  try {
+    return await Appointment.findAll({
+      where,
+      order: [['start_time', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error finding appointments by series', {
+      error: error.message,
+      stack: error.stack,
+      seriesId,
+      options
+    });
+    throw error;
+  }
+};
+
 /**
  * Find appointments for today
  * @param {Object} options - Additional options
@@ -287,6 +324,98 @@ exports.update = async (id, appointmentData) => {
   }
 };
 
+/**
+ * Check an appointment in and hand out the doctor's next queue token for the day
+ * Check-ins for a doctor are serialised with an advisory lock so two patients
+ * arriving together cannot draw the same token.
+ * @param {string} id - Appointment ID
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} checkInTime - Check-in time
+ * @returns {Promise<Object>} Checked-in appointment
+ */
+exports.checkIn = async (id, doctorId, checkInTime = new Date()) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:doctorId))', {
+        replacements: { doctorId },
+        transaction
+      });
+
+      const lastToken = await Appointment.max('queue_token', {
+        where: {
+          doctor_id: doctorId,
+          check_in_time: {
+            [Op.between]: [
+              moment(checkInTime).startOf('day').toDate(),
+              moment(checkInTime).endOf('day').toDate()
+            ]
+          }
+        },
+        transaction
+      });
+
+      const appointment = await Appointment.findByPk(id, { transaction });
+
+      if (!appointment) {
+        return null;
+      }
+
+      await appointment.update({
+        status: 'checked_in',
+        check_in_time: checkInTime,
+        queue_token: (lastToken || 0) + 1
+      }, { transaction });
+
+      return appointment;
+    });
+  } catch (error) {
+    logger.error('Error checking in appointment', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a doctor's recently completed consultations with recorded start and end times
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} options - Query options ({ since, limit })
+ * @returns {Promise<Array>} Completed appointments, most recent first
+ */
+exports.findRecentConsultations = async (doctorId, options = {}) => {
+  const { since = null, limit = 20 } = options;
+
+  const where = {
+    doctor_id: doctorId,
+    status: 'completed',
+    called_at: { [Op.ne]: null },
+    check_out_time: { [Op.ne]: null }
+  };
+
+  if (since) {
+    where.check_out_time = { [Op.ne]: null, [Op.gte]: new Date(since) };
+  }
+
+  try {
+    return await Appointment.findAll({
+      where,
+      order: [['check_out_time', 'DESC']],
+      limit
+    });
+  } catch (error) {
+    logger.error('Error finding recent consultations', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      options
+    });
+    throw error;
+  }
+};
+
 /**
  * Delete an appointment
  * @param {string} id - Appointment ID
@@ -0,0 +1,158 @@
+/**
+ * Appointment Series Repository
+ * This module provides data access methods for the Appointment Series model
+ */
+
+const { sequelize, AppointmentSeries, Appointment } = require('../models');
+const { logger } = require('../utils/logger');
+
+/**
+ * Find series by ID
+ * @param {string} id - Series ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Appointment series
+ */
+exports.findById = async (id, options = {}) => {
+  const { includeOccurrences = false } = options;
+
+  try {
+    return await AppointmentSeries.findByPk(id, {
+      ...(includeOccurrences && {
+        include: [{ model: Appointment, as: 'occurrences' }],
+        order: [[{ model: Appointment, as: 'occurrences' }, 'start_time', 'ASC']]
+      })
+    });
+  } catch (error) {
+    logger.error('Error finding appointment series by ID', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      options
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a series together with its occurrences
+ * @param {Object} seriesData - Series data
+ * @param {Array<Object>} occurrences - Appointment data for each occurrence
+ * @returns {Promise<Object>} Created series and appointments
+ */
+exports.createWithOccurrences = async (seriesData, occurrences) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const series = await AppointmentSeries.create(seriesData, { transaction });
+
+      const appointments = await Appointment.bulkCreate(
+        occurrences.map(occurrence => ({ ...occurrence, series_id: series.id })),
+        { transaction, validate: true }
+      );
+
+      return { series, appointments };
+    });
+  } catch (error) {
+    logger.error('Error creating appointment series', {
+      error: error.message,
+      stack: error.stack,
+      seriesData,
+      occurrenceCount: occurrences.length
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a series and a set of its occurrences atomically
+ * @param {string} id - Series ID
+ * @param {Object} seriesData - Series changes
+ * @param {Array<Object>} updates - Occurrence changes ({ id, data })
+ * @returns {Promise<Object>} Updated series and appointments
+ */
+exports.updateWithOccurrences = async (id, seriesData, updates) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const series = await AppointmentSeries.findByPk(id, { transaction });
+
+      if (!series) {
+        return null;
+      }
+
+      await series.update(seriesData, { transaction });
+      const appointments = await applyOccurrenceUpdates(updates, {}, transaction);
+
+      return { series, appointments };
+    });
+  } catch (error) {
+    logger.error('Error updating appointment series', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      seriesData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Split a series: truncate the original and move occurrences to a new series
+ * @param {string} id - Original series ID
+ * @param {Object} seriesData - Changes to the original series
+ * @param {Object} newSeriesData - Data for the new series
+ * @param {Array<Object>} updates - Occurrence changes ({ id, data }) for the moved occurrences
+ * @returns {Promise<Object>} Original series, new series and moved appointments
+ */
+exports.split = async (id, seriesData, newSeriesData, updates) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const series = await AppointmentSeries.findByPk(id, { transaction });
+
+      if (!series) {
+        return null;
+      }
+
+      await series.update(seriesData, { transaction });
+      const newSeries = await AppointmentSeries.create({
+        ...newSeriesData,
+        parent_series_id: series.id
+      }, { transaction });
+      const appointments = await applyOccurrenceUpdates(
+        updates,
+        { series_id: newSeries.id },
+        transaction
+      );
+
+      return { series: newSeries, previousSeries: series, appointments };
+    });
+  } catch (error) {
+    logger.error('Error splitting appointment series', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      newSeriesData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Apply occurrence updates inside a transaction
+ * @param {Array<Object>} updates - Occurrence changes ({ id, data })
+ * @param {Object} common - Changes applied to every occurrence
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Updated appointments
+ */
+async function applyOccurrenceUpdates(updates, common, transaction) {
+  const appointments = [];
+
+  for (const { id, data } of updates) {
+    const appointment = await Appointment.findByPk(id, { transaction });
+
+    if (appointment) {
+      await appointment.update({ ...data, ...common }, { transaction });
+      appointments.push(appointment);
+    }
+  }
+
+  return appointments;
+}
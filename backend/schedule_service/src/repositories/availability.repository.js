@@ -6,6 +6,20 @@
 const { Op } = require('sequelize');
 const { DoctorAvailability } = require('../models');
 const { logger } = require('../utils/logger');
+const appointmentRepository = require('./appointment.repository');
+const availabilityExceptionRepository = require('./availabilityException.repository');
+const slotHoldRepository = require('./slotHold.repository');
+const {
+  BLOCKING_EXCEPTION_TYPES,
+  formatDate,
+  toInterval,
+  overlaps,
+  getExceptionInterval
+} = require('../utils/schedule');
+const moment = require('moment');
+
+// Appointment statuses that no longer occupy the doctor's time
+const NON_BLOCKING_STATUSES = ['cancelled', 'no_show'];
 
 /**
  * Find all availabilities for a doctor
@@ -72,12 +86,15 @@ exports.findById = async (id) => {
  * @returns {Promise<Array>} Conflicting availabilities
  */
 exports.checkConflicts = async (availabilityData, excludeId = null) => {
-  const { doctor_id, day_of_week, start_time, end_time } = availabilityData;
+  const { doctor_id, day_of_week, start_time, end_time, is_available = true } = availabilityData;
 
   try {
+    // Unavailable blocks are carved out of available ones, so only blocks of
+    // the same kind conflict
     const where = {
       doctor_id,
       day_of_week,
+      is_available,
       [Op.or]: [
         // Case 1: New slot starts during an existing slot
         {
@@ -186,31 +203,152 @@ exports.delete = async (id) => {
   }
 };
 
+/**
+ * Get the first date a recurring availability falls on
+ * Rows created before effective_from existed fall back to their creation date.
+ * @param {Object} availability - Availability
+ * @returns {moment.Moment} First occurrence (start of day)
+ */
+function getFirstOccurrence(availability) {
+  const from = availability.effective_from
+    ? moment(availability.effective_from, 'YYYY-MM-DD')
+    : moment(availability.created_at).startOf('day');
+
+  return from.add((availability.day_of_week - from.day() + 7) % 7, 'days');
+}
+
+/**
+ * Check whether a recurring availability applies to a given date
+ * Biweekly and monthly blocks repeat from their first occurrence on or after
+ * effective_from, e.g. every other week or every second Tuesday from there.
+ * @param {Object} availability - Availability
+ * @param {moment.Moment} day - Date to check (start of day)
+ * @returns {boolean} True if the availability applies
+ */
+function occursOn(availability, day) {
+  if (availability.recurrence_end_date &&
+      day.isAfter(moment(availability.recurrence_end_date), 'day')) {
+    return false;
+  }
+
+  const first = getFirstOccurrence(availability);
+
+  if (day.isBefore(first, 'day')) {
+    return false;
+  }
+
+  if (availability.recurrence_type === 'biweekly') {
+    return day.diff(first, 'weeks') % 2 === 0;
+  }
+
+  if (availability.recurrence_type === 'monthly') {
+    // Same nth weekday of the month, e.g. "second Tuesday"
+    return Math.ceil(day.date() / 7) === Math.ceil(first.date() / 7);
+  }
+
+  // weekly and custom blocks repeat every week
+  return true;
+}
+
 /**
  * Get available time slots for a doctor on a specific date
+ * Overrides replace the regular schedule for the day; unavailable blocks of the
+ * regular schedule, leave and holidays are subtracted along with existing
+ * appointments and slots held for the waitlist.
  * @param {string} doctorId - Doctor ID
- * @param {Date} date - Date to check
+ * @param {Date|string} date - Date to check (YYYY-MM-DD)
  * @param {number} duration - Appointment duration in minutes
- * @returns {Promise<Array>} Available time slots
+ * @returns {Promise<Array>} Bookable slots ({ start_time, end_time, availability_id | exception_id })
  */
 exports.getAvailableTimeSlots = async (doctorId, date, duration = 30) => {
   try {
-    const dayOfWeek = new Date(date).getDay(); // 0 = Sunday, 6 = Saturday
+    const dayString = formatDate(date);
+    const day = moment(dayString, 'YYYY-MM-DD');
+
+    const exceptions = await availabilityExceptionRepository.findByDoctor(doctorId, {
+      startDate: dayString,
+      endDate: dayString
+    });
+    const isBlocking = exception => BLOCKING_EXCEPTION_TYPES.includes(exception.exception_type);
+    const overrides = exceptions.filter(exception => !isBlocking(exception));
+
+    let blocks;
+    let unavailable = [];
 
-    // Get doctor's availability for this day of week
-    const availabilities = await this.findByDoctor(doctorId, { dayOfWeek });
+    if (overrides.length > 0) {
+      blocks = overrides.map(override => ({
+        exception_id: override.id,
+        ...getExceptionInterval(override, dayString)
+      }));
+    } else {
+      // Get doctor's availability for this day of week
+      const availabilities = await this.findByDoctor(doctorId, { dayOfWeek: day.day(), sort: 'start_time' });
+
+      blocks = (availabilities || [])
+        .filter(availability => occursOn(availability, day))
+        .map(availability => ({
+          availability_id: availability.id,
+          ...toInterval(dayString, availability.start_time, availability.end_time)
+        }));
+
+      if (blocks.length > 0) {
+        const unavailabilities = await this.findByDoctor(doctorId, { isAvailable: false, dayOfWeek: day.day() });
+
+        unavailable = (unavailabilities || [])
+          .filter(availability => occursOn(availability, day))
+          .map(availability => toInterval(dayString, availability.start_time, availability.end_time));
+      }
+    }
 
-    if (!availabilities || availabilities.length === 0) {
+    if (blocks.length === 0) {
       return [];
     }
 
-    // TODO: Implement logic to get available time slots based on existing appointments
-    // This would involve:
-    // 1. Getting all appointments for the doctor on the specified date
-    // 2. Calculating available slots based on the doctor's availability and existing appointments
-    // 3. Returning the available slots
+    // Get the appointments already booked on this date
+    const appointments = await appointmentRepository.findByDateRange(
+      day.toDate(),
+      day.clone().endOf('day').toDate(),
+      { doctorId }
+    );
+    const holds = await slotHoldRepository.findActive(
+      doctorId,
+      day.toDate(),
+      day.clone().endOf('day').toDate()
+    );
+    const busy = appointments
+      .filter(appointment => !NON_BLOCKING_STATUSES.includes(appointment.status))
+      .map(appointment => ({ start: appointment.start_time, end: appointment.end_time }))
+      .concat(holds.map(hold => ({ start: hold.start_time, end: hold.end_time })))
+      .concat(unavailable)
+      .concat(exceptions
+        .filter(isBlocking)
+        .map(exception => getExceptionInterval(exception, dayString)));
+
+    const now = new Date();
+    const slots = [];
+
+    for (const { start, end, ...source } of blocks) {
+      const slotStart = moment(start);
+      let slotEnd = slotStart.clone().add(duration, 'minutes');
+
+      while (!slotEnd.isAfter(end)) {
+        const slot = { start: slotStart.toDate(), end: slotEnd.toDate() };
+
+        // Skip slots that have already started or collide with a booking or leave
+        if (slot.start >= now && !busy.some(interval => overlaps(interval, slot))) {
+          slots.push({
+            start_time: slotStart.toISOString(),
+            end_time: slotEnd.toISOString(),
+            ...source
+          });
+        }
+
+        slotStart.add(duration, 'minutes');
+        slotEnd = slotStart.clone().add(duration, 'minutes');
+      }
+    }
 
-    return availabilities;
+    return slots;
   } catch (error) {
     logger.error('Error getting available time slots', {
       error: error.message,
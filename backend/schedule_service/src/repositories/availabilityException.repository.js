@@ -0,0 +1,252 @@
+/**
+ * Availability Exception Repository
+ * This module provides data access methods for the Availability Exception model
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, AvailabilityException } = require('../models');
+const { logger } = require('../utils/logger');
+const {
+  BLOCKING_EXCEPTION_TYPES,
+  formatDate,
+  datesBetween,
+  getExceptionInterval,
+  overlaps
+} = require('../utils/schedule');
+
+/**
+ * Find exceptions for a doctor, optionally limited to those touching a date range
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Availability exceptions
+ */
+exports.findByDoctor = async (doctorId, options = {}) => {
+  const {
+    startDate = null,
+    endDate = null,
+    exceptionType = null,
+    excludeId = null
+  } = options;
+
+  // Build where clause
+  const where = {
+    doctor_id: doctorId
+  };
+
+  // An exception touches the range if it starts before the range ends and ends after it starts
+  if (endDate) {
+    where.start_date = { [Op.lte]: formatDate(endDate) };
+  }
+
+  if (startDate) {
+    where.end_date = { [Op.gte]: formatDate(startDate) };
+  }
+
+  if (exceptionType) {
+    where.exception_type = exceptionType;
+  }
+
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  try {
+    return await AvailabilityException.findAll({
+      where,
+      order: [['start_date', 'ASC'], ['start_time', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error finding availability exceptions', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      options
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find exception by ID
+ * @param {string} id - Exception ID
+ * @returns {Promise<Object>} Availability exception
+ */
+exports.findById = async (id) => {
+  try {
+    return await AvailabilityException.findByPk(id);
+  } catch (error) {
+    logger.error('Error finding availability exception by ID', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Check whether a booking violates a doctor's exceptions
+ * A booking conflicts with leave or holidays it overlaps, and with the overrides
+ * of any day where it does not fit inside the override hours.
+ * @param {Date} startTime - Booking start time
+ * @param {Date} endTime - Booking end time
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Array>} Conflicting exceptions
+ */
+exports.checkConflicts = async (startTime, endTime, doctorId) => {
+  try {
+    const booking = { start: new Date(startTime), end: new Date(endTime) };
+    const exceptions = await this.findByDoctor(doctorId, {
+      startDate: startTime,
+      endDate: endTime
+    });
+    const conflicts = new Set();
+
+    for (const date of datesBetween(startTime, endTime)) {
+      const overrides = [];
+
+      for (const exception of exceptions) {
+        const interval = getExceptionInterval(exception, date);
+        if (!interval) continue;
+
+        if (BLOCKING_EXCEPTION_TYPES.includes(exception.exception_type)) {
+          if (overlaps(interval, booking)) {
+            conflicts.add(exception);
+          }
+        } else {
+          overrides.push({ exception, interval });
+        }
+      }
+
+      const fitsOverride = overrides.some(({ interval }) =>
+        interval.start <= booking.start && interval.end >= booking.end
+      );
+
+      if (overrides.length > 0 && !fitsOverride) {
+        overrides.forEach(({ exception }) => conflicts.add(exception));
+      }
+    }
+
+    return [...conflicts];
+  } catch (error) {
+    logger.error('Error checking availability exception conflicts', {
+      error: error.message,
+      stack: error.stack,
+      startTime,
+      endTime,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a new exception
+ * @param {Object} exceptionData - Exception data
+ * @returns {Promise<Object>} Created exception
+ */
+exports.create = async (exceptionData) => {
+  try {
+    return await AvailabilityException.create(exceptionData);
+  } catch (error) {
+    logger.error('Error creating availability exception', {
+      error: error.message,
+      stack: error.stack,
+      exceptionData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Replace a doctor's imported exceptions from a date onwards
+ * Imported blocks that ended before `fromDate` are kept as history.
+ * @param {string} doctorId - Doctor ID
+ * @param {Date|string} fromDate - First date to replace
+ * @param {Array<Object>} exceptions - Imported exception data
+ * @returns {Promise<Object>} Created exceptions and the number removed
+ */
+exports.replaceImported = async (doctorId, fromDate, exceptions) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const removed = await AvailabilityException.destroy({
+        where: {
+          doctor_id: doctorId,
+          source: 'ics',
+          end_date: { [Op.gte]: formatDate(fromDate) }
+        },
+        transaction
+      });
+
+      const created = await AvailabilityException.bulkCreate(
+        exceptions.map(exception => ({ ...exception, doctor_id: doctorId, source: 'ics' })),
+        { transaction, validate: true }
+      );
+
+      return { created, removed };
+    });
+  } catch (error) {
+    logger.error('Error replacing imported availability exceptions', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      fromDate,
+      exceptionCount: exceptions.length
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update an exception
+ * @param {string} id - Exception ID
+ * @param {Object} exceptionData - Exception data
+ * @returns {Promise<Object>} Updated exception
+ */
+exports.update = async (id, exceptionData) => {
+  try {
+    const exception = await AvailabilityException.findByPk(id);
+
+    if (!exception) {
+      return null;
+    }
+
+    await exception.update(exceptionData);
+
+    return exception;
+  } catch (error) {
+    logger.error('Error updating availability exception', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      exceptionData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete an exception
+ * @param {string} id - Exception ID
+ * @returns {Promise<boolean>} Success flag
+ */
+exports.delete = async (id) => {
+  try {
+    const exception = await AvailabilityException.findByPk(id);
+
+    if (!exception) {
+      return false;
+    }
+
+    await exception.destroy();
+
+    return true;
+  } catch (error) {
+    logger.error('Error deleting availability exception', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
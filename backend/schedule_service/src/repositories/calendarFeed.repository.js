@@ -0,0 +1,117 @@
+/**
+ * Calendar Feed Repository
+ * This module provides data access methods for the Calendar Feed model
+ */
+
+const { CalendarFeed } = require('../models');
+const { logger } = require('../utils/logger');
+
+/**
+ * Find a doctor's feed
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object>} Calendar feed
+ */
+exports.findByDoctor = async (doctorId) => {
+  try {
+    return await CalendarFeed.findOne({ where: { doctor_id: doctorId } });
+  } catch (error) {
+    logger.error('Error finding calendar feed by doctor', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a feed by the hash of its token
+ * @param {string} tokenHash - SHA-256 of the feed token
+ * @returns {Promise<Object>} Calendar feed
+ */
+exports.findByTokenHash = async (tokenHash) => {
+  try {
+    return await CalendarFeed.findOne({ where: { token_hash: tokenHash } });
+  } catch (error) {
+    // The hash identifies a credential, so it is not logged
+    logger.error('Error finding calendar feed by token', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a doctor's feed, or replace its token if one exists
+ * @param {Object} feedData - Calendar feed data
+ * @returns {Promise<Object>} Calendar feed
+ */
+exports.upsert = async (feedData) => {
+  try {
+    const feed = await CalendarFeed.findOne({ where: { doctor_id: feedData.doctor_id } });
+
+    if (!feed) {
+      return await CalendarFeed.create(feedData);
+    }
+
+    await feed.update(feedData);
+
+    return feed;
+  } catch (error) {
+    logger.error('Error saving calendar feed', {
+      error: error.message,
+      stack: error.stack,
+      doctorId: feedData.doctor_id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a doctor's feed
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} feedData - Calendar feed data
+ * @returns {Promise<Object>} Updated calendar feed
+ */
+exports.update = async (doctorId, feedData) => {
+  try {
+    const feed = await CalendarFeed.findOne({ where: { doctor_id: doctorId } });
+
+    if (!feed) {
+      return null;
+    }
+
+    await feed.update(feedData);
+
+    return feed;
+  } catch (error) {
+    logger.error('Error updating calendar feed', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      feedData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a doctor's feed, revoking its token
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<boolean>} Success flag
+ */
+exports.delete = async (doctorId) => {
+  try {
+    const deleted = await CalendarFeed.destroy({ where: { doctor_id: doctorId } });
+
+    return deleted > 0;
+  } catch (error) {
+    logger.error('Error deleting calendar feed', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,169 @@
+/**
+ * Slot Hold Repository
+ * This module provides data access methods for the Slot Hold model
+ */
+
+const { Op } = require('sequelize');
+const { SlotHold } = require('../models');
+const { logger } = require('../utils/logger');
+
+/**
+ * Find slot hold by ID
+ * @param {string} id - Slot hold ID
+ * @returns {Promise<Object>} Slot hold
+ */
+exports.findById = async (id) => {
+  try {
+    return await SlotHold.findByPk(id);
+  } catch (error) {
+    logger.error('Error finding slot hold by ID', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find the holds offered for a freed appointment slot
+ * @param {string} sourceAppointmentId - Cancelled or no-show appointment ID
+ * @returns {Promise<Array>} Slot holds
+ */
+exports.findBySource = async (sourceAppointmentId) => {
+  try {
+    return await SlotHold.findAll({
+      where: { source_appointment_id: sourceAppointmentId },
+      order: [['created_at', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error finding slot holds by source appointment', {
+      error: error.message,
+      stack: error.stack,
+      sourceAppointmentId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find the holds offered to a waitlist entry
+ * @param {string} waitlistEntryId - Waitlist entry ID
+ * @returns {Promise<Array>} Slot holds, newest first
+ */
+exports.findByEntry = async (waitlistEntryId) => {
+  try {
+    return await SlotHold.findAll({
+      where: { waitlist_entry_id: waitlistEntryId },
+      order: [['created_at', 'DESC']]
+    });
+  } catch (error) {
+    logger.error('Error finding slot holds by waitlist entry', {
+      error: error.message,
+      stack: error.stack,
+      waitlistEntryId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find unexpired pending holds for a doctor that overlap a time range
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @returns {Promise<Array>} Active slot holds
+ */
+exports.findActive = async (doctorId, startTime, endTime) => {
+  try {
+    return await SlotHold.findAll({
+      where: {
+        doctor_id: doctorId,
+        status: 'pending',
+        expires_at: { [Op.gt]: new Date() },
+        start_time: { [Op.lt]: new Date(endTime) },
+        end_time: { [Op.gt]: new Date(startTime) }
+      },
+      order: [['start_time', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error finding active slot holds', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      startTime,
+      endTime
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find pending holds whose expiry has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} Expired slot holds
+ */
+exports.findExpired = async (now = new Date()) => {
+  try {
+    return await SlotHold.findAll({
+      where: {
+        status: 'pending',
+        expires_at: { [Op.lte]: now }
+      },
+      order: [['expires_at', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error finding expired slot holds', {
+      error: error.message,
+      stack: error.stack,
+      now
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a new slot hold
+ * @param {Object} holdData - Slot hold data
+ * @returns {Promise<Object>} Created slot hold
+ */
+exports.create = async (holdData) => {
+  try {
+    return await SlotHold.create(holdData);
+  } catch (error) {
+    logger.error('Error creating slot hold', {
+      error: error.message,
+      stack: error.stack,
+      holdData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a slot hold
+ * @param {string} id - Slot hold ID
+ * @param {Object} holdData - Slot hold data
+ * @returns {Promise<Object>} Updated slot hold
+ */
+exports.update = async (id, holdData) => {
+  try {
+    const hold = await SlotHold.findByPk(id);
+
+    if (!hold) {
+      return null;
+    }
+
+    await hold.update(holdData);
+
+    return hold;
+  } catch (error) {
+    logger.error('Error updating slot hold', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      holdData
+    });
+    throw error;
+  }
+};
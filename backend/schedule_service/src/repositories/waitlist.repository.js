@@ -0,0 +1,113 @@
+/**
+ * Waitlist Repository
+ * This module provides data access methods for the Waitlist Entry model
+ */
+
+const { Op } = require('sequelize');
+const { WaitlistEntry } = require('../models');
+const { logger } = require('../utils/logger');
+
+/**
+ * Find waitlist entries for a doctor
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Waitlist entries, oldest first
+ */
+exports.findByDoctor = async (doctorId, options = {}) => {
+  const {
+    status = null,
+    patientId = null
+  } = options;
+
+  // Build where clause
+  const where = {
+    doctor_id: doctorId
+  };
+
+  if (status) {
+    where.status = Array.isArray(status) ? { [Op.in]: status } : status;
+  }
+
+  if (patientId) {
+    where.patient_id = patientId;
+  }
+
+  try {
+    return await WaitlistEntry.findAll({
+      where,
+      order: [['created_at', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error finding waitlist entries', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      options
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find waitlist entry by ID
+ * @param {string} id - Waitlist entry ID
+ * @returns {Promise<Object>} Waitlist entry
+ */
+exports.findById = async (id) => {
+  try {
+    return await WaitlistEntry.findByPk(id);
+  } catch (error) {
+    logger.error('Error finding waitlist entry by ID', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a new waitlist entry
+ * @param {Object} entryData - Waitlist entry data
+ * @returns {Promise<Object>} Created waitlist entry
+ */
+exports.create = async (entryData) => {
+  try {
+    return await WaitlistEntry.create(entryData);
+  } catch (error) {
+    logger.error('Error creating waitlist entry', {
+      error: error.message,
+      stack: error.stack,
+      entryData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a waitlist entry
+ * @param {string} id - Waitlist entry ID
+ * @param {Object} entryData - Waitlist entry data
+ * @returns {Promise<Object>} Updated waitlist entry
+ */
+exports.update = async (id, entryData) => {
+  try {
+    const entry = await WaitlistEntry.findByPk(id);
+
+    if (!entry) {
+      return null;
+    }
+
+    await entry.update(entryData);
+
+    return entry;
+  } catch (error) {
+    logger.error('Error updating waitlist entry', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      entryData
+    });
+    throw error;
+  }
+};
@@ -7,7 +7,7 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const appointmentController = require('../controllers/appointment.controller');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -28,6 +28,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:read'),
   appointmentController.getAllAppointments
 );
 
@@ -43,6 +44,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:read'),
   appointmentController.getAppointmentsByDateRange
 );
 
@@ -56,9 +58,90 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:read'),
   appointmentController.getTodayAppointments
 );
 
+// Create a recurring appointment series
+router.post(
+  '/series',
+  [
+    body('doctor_id').isUUID().withMessage('Doctor ID is required and must be a valid UUID'),
+    body('patient_id').isUUID().withMessage('Patient ID is required and must be a valid UUID'),
+    body('start_time').isISO8601().withMessage('Start time is required and must be a valid ISO 8601 date'),
+    body('end_time').isISO8601().withMessage('End time is required and must be a valid ISO 8601 date'),
+    body('appointment_type').isIn(['in_person', 'telemedicine', 'follow_up', 'urgent', 'routine']).withMessage('Invalid appointment type'),
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    body('recurrence.frequency').isIn(['daily', 'weekly', 'monthly']).withMessage('Recurrence frequency must be daily, weekly or monthly'),
+    body('recurrence.interval').optional().isInt({ min: 1, max: 12 }).withMessage('Recurrence interval must be between 1 and 12'),
+    body('recurrence.count').optional().isInt({ min: 1, max: 100 }).withMessage('Recurrence count must be between 1 and 100'),
+    body('recurrence.until').optional().isISO8601().withMessage('Recurrence until must be a valid ISO 8601 date'),
+    body('skip_conflicts').optional().isBoolean().withMessage('Skip conflicts must be a boolean'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('appointment:create'),
+  appointmentController.createAppointmentSeries
+);
+
+// Get an appointment series with its occurrences
+router.get(
+  '/series/:seriesId',
+  [
+    param('seriesId').isUUID().withMessage('Invalid series ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('appointment:read'),
+  appointmentController.getAppointmentSeries
+);
+
+// Edit one, following or all occurrences of a series
+router.put(
+  '/series/:seriesId/occurrences/:id',
+  [
+    param('seriesId').isUUID().withMessage('Invalid series ID'),
+    param('id').isUUID().withMessage('Invalid appointment ID'),
+    body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all'),
+    body('start_time').optional().isISO8601().withMessage('Start time must be a valid ISO 8601 date'),
+    body('end_time').optional().isISO8601().withMessage('End time must be a valid ISO 8601 date'),
+    body('appointment_type').optional().isIn(['in_person', 'telemedicine', 'follow_up', 'urgent', 'routine']).withMessage('Invalid appointment type'),
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('appointment:update'),
+  appointmentController.updateSeriesOccurrence
+);
+
+// Cancel one, or this and following, occurrences of a series
+router.delete(
+  '/series/:seriesId/occurrences/:id',
+  [
+    param('seriesId').isUUID().withMessage('Invalid series ID'),
+    param('id').isUUID().withMessage('Invalid appointment ID'),
+    query('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('appointment:update'),
+  appointmentController.cancelSeriesOccurrences
+);
+
+// Cancel a whole appointment series
+router.delete(
+  '/series/:seriesId',
+  [
+    param('seriesId').isUUID().withMessage('Invalid series ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('appointment:update'),
+  appointmentController.cancelSeriesOccurrences
+);
+
 // Get appointment by ID
 router.get(
   '/:id',
@@ -67,6 +150,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:read'),
   appointmentController.getAppointmentById
 );
 
@@ -86,6 +170,7 @@ router.post(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:create'),
   appointmentController.createAppointment
 );
 
@@ -105,6 +190,7 @@ router.put(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:update'),
   appointmentController.updateAppointment
 );
 
@@ -116,7 +202,7 @@ router.delete(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('appointment:delete'),
   appointmentController.deleteAppointment
 );
 
@@ -129,6 +215,7 @@ router.patch(
     validateRequest
   ],
   authenticate,
+  requirePermission('appointment:update'),
   appointmentController.updateAppointmentStatus
 );
 
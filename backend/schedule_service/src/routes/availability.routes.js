@@ -7,7 +7,7 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const availabilityController = require('../controllers/availability.controller');
 const { validateRequest } = require('../middleware/validation.middleware');
-const { authenticate, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -23,6 +23,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('availability:read'),
   availabilityController.getDoctorAvailabilities
 );
 
@@ -34,6 +35,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('availability:read'),
   availabilityController.getAvailabilityById
 );
 
@@ -47,6 +49,7 @@ router.get(
     validateRequest
   ],
   authenticate,
+  requirePermission('availability:read'),
   availabilityController.getAvailableTimeSlots
 );
 
@@ -60,11 +63,12 @@ router.post(
     body('end_time').matches(/^([0-1][0-9]|2[0-3]):([0-5][0-9]):([0-5][0-9])$/).withMessage('End time must be in HH:MM:SS format'),
     body('is_available').optional().isBoolean().withMessage('Is available must be a boolean'),
     body('recurrence_type').optional().isIn(['weekly', 'biweekly', 'monthly', 'custom']).withMessage('Invalid recurrence type'),
+    body('effective_from').optional().isISO8601().withMessage('Effective from must be a valid ISO 8601 date'),
     body('recurrence_end_date').optional().isISO8601().withMessage('Recurrence end date must be a valid ISO 8601 date'),
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('availability:update'),
   availabilityController.createAvailability
 );
 
@@ -79,11 +83,12 @@ router.put(
     body('end_time').optional().matches(/^([0-1][0-9]|2[0-3]):([0-5][0-9]):([0-5][0-9])$/).withMessage('End time must be in HH:MM:SS format'),
     body('is_available').optional().isBoolean().withMessage('Is available must be a boolean'),
     body('recurrence_type').optional().isIn(['weekly', 'biweekly', 'monthly', 'custom']).withMessage('Invalid recurrence type'),
+    body('effective_from').optional().isISO8601().withMessage('Effective from must be a valid ISO 8601 date'),
     body('recurrence_end_date').optional().isISO8601().withMessage('Recurrence end date must be a valid ISO 8601 date'),
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('availability:update'),
   availabilityController.updateAvailability
 );
 
@@ -95,7 +100,7 @@ router.delete(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['doctor', 'admin']),
+  requirePermission('availability:update'),
   availabilityController.deleteAvailability
 );
 
@@ -0,0 +1,108 @@
+/**
+ * Availability Exception Routes
+ * This module defines the routes for leave, holidays and schedule overrides
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const availabilityExceptionController = require('../controllers/availabilityException.controller');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const EXCEPTION_TYPES = ['leave', 'holiday', 'override'];
+
+// busy exceptions are created by calendar imports but can be listed alongside the rest
+const LISTED_EXCEPTION_TYPES = [...EXCEPTION_TYPES, 'busy'];
+const TIME_FORMAT = /^([0-1][0-9]|2[0-3]):([0-5][0-9]):([0-5][0-9])$/;
+
+// Get all exceptions for a doctor
+router.get(
+  '/doctor/:doctorId',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+    query('type').optional().isIn(LISTED_EXCEPTION_TYPES).withMessage('Invalid exception type'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('availability:read'),
+  availabilityExceptionController.getDoctorExceptions
+);
+
+// Get exception by ID
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid availability exception ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('availability:read'),
+  availabilityExceptionController.getExceptionById
+);
+
+// Get appointments affected by an exception
+router.get(
+  '/:id/affected-appointments',
+  [
+    param('id').isUUID().withMessage('Invalid availability exception ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('availability:read'),
+  availabilityExceptionController.getAffectedAppointments
+);
+
+// Create a new exception
+router.post(
+  '/',
+  [
+    body('doctor_id').isUUID().withMessage('Doctor ID is required and must be a valid UUID'),
+    body('exception_type').isIn(EXCEPTION_TYPES).withMessage('Exception type must be leave, holiday or override'),
+    body('start_date').isISO8601().withMessage('Start date is required and must be a valid ISO 8601 date'),
+    body('end_date').isISO8601().withMessage('End date is required and must be a valid ISO 8601 date'),
+    body('start_time').optional({ nullable: true }).matches(TIME_FORMAT).withMessage('Start time must be in HH:MM:SS format'),
+    body('end_time').optional({ nullable: true }).matches(TIME_FORMAT).withMessage('End time must be in HH:MM:SS format'),
+    body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('availability:update'),
+  availabilityExceptionController.createException
+);
+
+// Update exception
+router.put(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid availability exception ID'),
+    body('doctor_id').optional().isUUID().withMessage('Doctor ID must be a valid UUID'),
+    body('exception_type').optional().isIn(EXCEPTION_TYPES).withMessage('Exception type must be leave, holiday or override'),
+    body('start_date').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    body('end_date').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+    body('start_time').optional({ nullable: true }).matches(TIME_FORMAT).withMessage('Start time must be in HH:MM:SS format'),
+    body('end_time').optional({ nullable: true }).matches(TIME_FORMAT).withMessage('End time must be in HH:MM:SS format'),
+    body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('availability:update'),
+  availabilityExceptionController.updateException
+);
+
+// Delete exception
+router.delete(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid availability exception ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('availability:update'),
+  availabilityExceptionController.deleteException
+);
+
+module.exports = router;
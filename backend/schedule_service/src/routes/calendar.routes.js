@@ -0,0 +1,73 @@
+/**
+ * Calendar Routes
+ * This module defines the routes for ICS feeds and calendar imports
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const calendarController = require('../controllers/calendar.controller');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Calendar apps cannot send bearer tokens, so the feed URL carries its own token
+router.get(
+  '/feed/:token.ics',
+  [
+    param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid calendar feed token'),
+    validateRequest
+  ],
+  calendarController.getFeedCalendar
+);
+
+// Get a doctor's feed settings
+router.get(
+  '/doctor/:doctorId/feed',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('calendar:read'),
+  calendarController.getFeed
+);
+
+// Issue or rotate a doctor's feed token
+router.post(
+  '/doctor/:doctorId/feed',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('calendar:update'),
+  calendarController.issueFeed
+);
+
+// Revoke a doctor's feed token
+router.delete(
+  '/doctor/:doctorId/feed',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('calendar:update'),
+  calendarController.revokeFeed
+);
+
+// Import busy time from an external calendar
+router.post(
+  '/doctor/:doctorId/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('calendar:update'),
+  calendarController.importCalendar
+);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Queue Routes
+ * This module defines the routes for the patient check-in queue
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const queueController = require('../controllers/queue.controller');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Get today's queue for a doctor
+router.get(
+  '/doctor/:doctorId',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('queue:read'),
+  queueController.getQueue
+);
+
+// Stream today's queue for a doctor as server-sent events
+router.get(
+  '/doctor/:doctorId/stream',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('queue:read'),
+  queueController.streamQueue
+);
+
+// Check a patient in
+router.post(
+  '/check-in/:appointmentId',
+  [
+    param('appointmentId').isUUID().withMessage('Invalid appointment ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('queue:check_in'),
+  queueController.checkIn
+);
+
+// Call the next waiting patient
+router.post(
+  '/doctor/:doctorId/call-next',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    body('complete_current').optional().isBoolean().withMessage('Complete current must be a boolean'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('queue:call'),
+  queueController.callNext
+);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Waitlist Routes
+ * This module defines the routes for the doctor waitlist and slot holds
+ */
+
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const waitlistController = require('../controllers/waitlist.controller');
+const { validateRequest } = require('../middleware/validation.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const APPOINTMENT_TYPES = ['in_person', 'telemedicine', 'follow_up', 'urgent', 'routine'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const ENTRY_STATUSES = ['waiting', 'offered', 'booked', 'removed'];
+const TIME_FORMAT = /^([0-1][0-9]|2[0-3]):([0-5][0-9]):([0-5][0-9])$/;
+
+const preferredWindowRules = [
+  body('preferred_windows').optional().isArray({ max: 14 }).withMessage('Preferred windows must be an array of at most 14 windows'),
+  body('preferred_windows.*.day_of_week').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 and 6'),
+  body('preferred_windows.*.start_time').matches(TIME_FORMAT).withMessage('Window start time must be in HH:MM:SS format'),
+  body('preferred_windows.*.end_time').matches(TIME_FORMAT).withMessage('Window end time must be in HH:MM:SS format')
+];
+
+// Get the waitlist for a doctor
+router.get(
+  '/doctor/:doctorId',
+  [
+    param('doctorId').isUUID().withMessage('Doctor ID must be a valid UUID'),
+    query('status').optional().isIn(ENTRY_STATUSES).withMessage('Invalid waitlist status'),
+    query('patientId').optional().isUUID().withMessage('Patient ID must be a valid UUID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:read'),
+  waitlistController.getDoctorWaitlist
+);
+
+// Confirm a slot hold
+router.post(
+  '/holds/:holdId/confirm',
+  [
+    param('holdId').isUUID().withMessage('Invalid slot hold ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:update'),
+  waitlistController.confirmHold
+);
+
+// Decline a slot hold
+router.post(
+  '/holds/:holdId/decline',
+  [
+    param('holdId').isUUID().withMessage('Invalid slot hold ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:update'),
+  waitlistController.declineHold
+);
+
+// Get waitlist entry by ID
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid waitlist entry ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:read'),
+  waitlistController.getEntryById
+);
+
+// Add a patient to the waitlist
+router.post(
+  '/',
+  [
+    body('doctor_id').isUUID().withMessage('Doctor ID is required and must be a valid UUID'),
+    body('patient_id').isUUID().withMessage('Patient ID is required and must be a valid UUID'),
+    body('appointment_type').isIn(APPOINTMENT_TYPES).withMessage('Invalid appointment type'),
+    body('priority').optional().isIn(PRIORITIES).withMessage('Priority must be low, normal, high or urgent'),
+    ...preferredWindowRules,
+    body('earliest_date').optional({ nullable: true }).isISO8601().withMessage('Earliest date must be a valid ISO 8601 date'),
+    body('latest_date').optional({ nullable: true }).isISO8601().withMessage('Latest date must be a valid ISO 8601 date'),
+    body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:update'),
+  waitlistController.createEntry
+);
+
+// Update a waitlist entry
+router.put(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid waitlist entry ID'),
+    body('appointment_type').optional().isIn(APPOINTMENT_TYPES).withMessage('Invalid appointment type'),
+    body('priority').optional().isIn(PRIORITIES).withMessage('Priority must be low, normal, high or urgent'),
+    ...preferredWindowRules,
+    body('earliest_date').optional({ nullable: true }).isISO8601().withMessage('Earliest date must be a valid ISO 8601 date'),
+    body('latest_date').optional({ nullable: true }).isISO8601().withMessage('Latest date must be a valid ISO 8601 date'),
+    body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:update'),
+  waitlistController.updateEntry
+);
+
+// Remove a patient from the waitlist
+router.delete(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid waitlist entry ID'),
+    validateRequest
+  ],
+  authenticate,
+  requirePermission('waitlist:update'),
+  waitlistController.removeEntry
+);
+
+module.exports = router;
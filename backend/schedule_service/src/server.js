@@ -11,6 +11,7 @@ const { logger } = require('./utils/logger');
 const { errorHandler } = require('./middleware/error.middleware');
 const { sequelize } = require('./models');
 const cacheService = require('./services/cache.service');
+const waitlistService = require('./services/waitlist.service');
 
 // Load environment variables
 require('dotenv').config();
@@ -50,9 +51,12 @@ app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`, {
+  // Calendar feed URLs carry their access token
+  const path = req.path.replace(/\/calendar\/feed\/[^/]+/, '/calendar/feed/[REDACTED]');
+
+  logger.info(`${req.method} ${path}`, {
     method: req.method,
-    path: req.path,
+    path,
     query: req.query,
     headers: {
       authorization: req.headers.authorization ? 'Bearer [REDACTED]' : 'None',
@@ -65,6 +69,10 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/appointments', require('./routes/appointment.routes'));
 app.use('/api/availability', require('./routes/availability.routes'));
+app.use('/api/availability-exceptions', require('./routes/availabilityException.routes'));
+app.use('/api/waitlist', require('./routes/waitlist.routes'));
+app.use('/api/calendar', require('./routes/calendar.routes'));
+app.use('/api/queue', require('./routes/queue.routes'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -94,6 +102,9 @@ app.use((req, res) => {
 // Set port
 const PORT = process.env.PORT || 8004;
 
+// How often expired waitlist holds are released and re-offered
+const HOLD_SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS, 10) || 60000;
+
 // Start server
 const server = app.listen(PORT, async () => {
   try {
@@ -108,6 +119,13 @@ const server = app.listen(PORT, async () => {
     // Initialize Redis
     await cacheService.initRedis();
 
+    // Release expired waitlist holds so their slots move down the waitlist
+    setInterval(() => {
+      waitlistService.expireHolds().catch(error => {
+        logger.error('Waitlist hold sweep failed', { error: error.message });
+      });
+    }, HOLD_SWEEP_INTERVAL_MS).unref();
+
     logger.info(`Schedule Service running on port ${PORT}`);
   } catch (error) {
     logger.error('Unable to connect to the database:', error);
@@ -4,11 +4,35 @@
  */
 
 const appointmentRepository = require('../repositories/appointment.repository');
+const availabilityExceptionRepository = require('../repositories/availabilityException.repository');
+const appointmentSeriesRepository = require('../repositories/appointmentSeries.repository');
+const slotHoldRepository = require('../repositories/slotHold.repository');
+const queueEvents = require('./queueEvents.service');
 const { NotFoundError, ConflictError, ScheduleConflictError, BadRequestError } = require('../utils/errors');
+const { MAX_SERIES_OCCURRENCES, expandRecurrence } = require('../utils/schedule');
+const { hasPermission } = require('@dr-assistant/auth');
 const { logger } = require('../utils/logger');
 const axios = require('axios');
 const moment = require('moment');
 
+// Series occurrences that can still be moved or cancelled
+const MUTABLE_OCCURRENCE_STATUSES = ['scheduled', 'confirmed'];
+
+// Statuses that free an appointment's slot for the waitlist
+const BACKFILL_STATUSES = ['cancelled', 'no_show'];
+
+// Statuses that change a doctor's check-in queue
+const QUEUE_STATUSES = ['checked_in', 'in_progress', 'completed', 'cancelled', 'no_show'];
+
+// Fields a series-wide edit applies to every occurrence
+const SERIES_EDITABLE_FIELDS = ['appointment_type', 'reason', 'notes'];
+
+// Fields carried over when a series is split
+const SERIES_COPIED_FIELDS = [
+  'doctor_id', 'patient_id', 'frequency', 'interval', 'until',
+  'duration_minutes', 'appointment_type', 'reason', 'notes'
+];
+
 /**
  * Get all appointments
  * @param {Object} options - Query options
@@ -136,6 +160,21 @@ exports.createAppointment = async (appointmentData, authToken, currentUser) => {
       throw new ScheduleConflictError('Schedule conflict detected', conflicts);
     }
 
+    // Check for leave, holidays and schedule overrides
+    await assertNoExceptionConflicts(
+      appointmentData.start_time,
+      appointmentData.end_time,
+      appointmentData.doctor_id
+    );
+
+    // Slots held for the waitlist can only be booked by the patient they are held for
+    await assertNoHoldConflicts(
+      appointmentData.start_time,
+      appointmentData.end_time,
+      appointmentData.doctor_id,
+      appointmentData.patient_id
+    );
+
     // Create appointment
     const appointment = await appointmentRepository.create(appointmentData);
 
@@ -170,7 +209,7 @@ exports.updateAppointment = async (id, appointmentData, authToken, currentUser)
     }
 
     // Check if user can edit this appointment
-    if (appointment.doctor_id !== currentUser.id && !['admin'].includes(currentUser.role)) {
+    if (appointment.doctor_id !== currentUser.id && !hasPermission(currentUser, 'appointment:manage')) {
       throw new BadRequestError('You can only edit your own appointments');
     }
 
@@ -195,6 +234,14 @@ exports.updateAppointment = async (id, appointmentData, authToken, currentUser)
       if (conflicts && conflicts.length > 0) {
         throw new ScheduleConflictError('Schedule conflict detected', conflicts);
       }
+
+      await assertNoExceptionConflicts(startTime, endTime, doctorId);
+      await assertNoHoldConflicts(
+        startTime,
+        endTime,
+        doctorId,
+        appointmentData.patient_id || appointment.patient_id
+      );
     }
 
     // Update appointment
@@ -240,11 +287,14 @@ exports.deleteAppointment = async (id) => {
 
 /**
  * Update appointment status
+ * The waitlist service depends on this one to book confirmed holds, so the
+ * backfill for a cancelled or no-show slot is passed in by the caller.
  * @param {string} id - Appointment ID
  * @param {string} status - New status
+ * @param {Object} options - Options ({ onSlotFreed: called with the appointment when its slot is freed })
  * @returns {Promise<Object>} Updated appointment
  */
-exports.updateAppointmentStatus = async (id, status) => {
+exports.updateAppointmentStatus = async (id, status, { onSlotFreed = null } = {}) => {
   try {
     // Check if appointment exists
     const appointment = await appointmentRepository.findById(id);
@@ -256,12 +306,22 @@ exports.updateAppointmentStatus = async (id, status) => {
     // Validate status transition
     validateStatusTransition(appointment.status, status);
 
-    // Update status
-    const updatedAppointment = await appointmentRepository.update(id, {
-      status,
-      ...(status === 'checked_in' && { check_in_time: new Date() }),
-      ...(status === 'completed' && { check_out_time: new Date() })
-    });
+    // Update status; checking in also draws the patient's queue token
+    const updatedAppointment = status === 'checked_in'
+      ? await appointmentRepository.checkIn(id, appointment.doctor_id, new Date())
+      : await appointmentRepository.update(id, {
+        status,
+        ...(status === 'in_progress' && { called_at: new Date() }),
+        ...(status === 'completed' && { check_out_time: new Date() })
+      });
+
+    if (onSlotFreed && BACKFILL_STATUSES.includes(status)) {
+      await offerFreedSlot(updatedAppointment, onSlotFreed);
+    }
+
+    if (QUEUE_STATUSES.includes(status)) {
+      queueEvents.publish(appointment.doctor_id);
+    }
 
     return updatedAppointment;
   } catch (error) {
@@ -275,6 +335,323 @@ exports.updateAppointmentStatus = async (id, status) => {
   }
 };
 
+/**
+ * Create a recurring appointment series
+ * The first occurrence is described by the usual appointment fields; `recurrence`
+ * holds the RRULE-style rule. Every occurrence is conflict-checked, and the whole
+ * series is rejected unless `skip_conflicts` is set, in which case colliding
+ * dates are left out and reported.
+ * @param {Object} seriesData - First occurrence data with recurrence ({ frequency, interval, count, until })
+ * @param {string} authToken - Authorization token
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Series, created appointments and skipped occurrences
+ */
+exports.createAppointmentSeries = async (seriesData, authToken, currentUser) => {
+  try {
+    const { recurrence = {}, skip_conflicts: skipConflicts, ...appointmentData } = seriesData;
+    const { doctor_id: doctorId, patient_id: patientId } = appointmentData;
+
+    await validateDoctorAndPatient(doctorId, patientId, authToken, currentUser);
+
+    if (!recurrence.count && !recurrence.until) {
+      throw new BadRequestError('Recurrence requires a count or an until date');
+    }
+
+    const durationMinutes = moment(appointmentData.end_time).diff(moment(appointmentData.start_time), 'minutes');
+
+    if (durationMinutes <= 0) {
+      throw new BadRequestError('End time must be after start time');
+    }
+
+    const starts = expandRecurrence(appointmentData.start_time, recurrence);
+
+    if (starts.length > MAX_SERIES_OCCURRENCES) {
+      throw new BadRequestError(
+        `A series cannot have more than ${MAX_SERIES_OCCURRENCES} occurrences`
+      );
+    }
+
+    const occurrences = starts.map(start => ({
+      ...appointmentData,
+      status: 'scheduled',
+      start_time: start,
+      end_time: moment(start).add(durationMinutes, 'minutes').toDate()
+    }));
+
+    const collisions = await findOccurrenceConflicts(occurrences, doctorId, patientId);
+
+    if (collisions.length > 0 && !skipConflicts) {
+      throw new ScheduleConflictError(
+        `Schedule conflicts detected for ${collisions.length} occurrence(s)`,
+        collisions
+      );
+    }
+
+    const colliding = new Set(collisions.map(collision => collision.start_time.getTime()));
+    const bookable = occurrences.filter(
+      occurrence => !colliding.has(occurrence.start_time.getTime())
+    );
+
+    if (bookable.length === 0) {
+      throw new ScheduleConflictError('Every occurrence of the series conflicts', collisions);
+    }
+
+    const { series, appointments } = await appointmentSeriesRepository.createWithOccurrences({
+      doctor_id: doctorId,
+      patient_id: patientId,
+      frequency: recurrence.frequency,
+      interval: recurrence.interval || 1,
+      count: recurrence.count || null,
+      until: recurrence.until || null,
+      start_time: occurrences[0].start_time,
+      duration_minutes: durationMinutes,
+      appointment_type: appointmentData.appointment_type,
+      reason: appointmentData.reason,
+      notes: appointmentData.notes,
+      created_by: appointmentData.created_by
+    }, bookable);
+
+    return {
+      series,
+      appointments: await enrichAppointmentsWithPatientInfo(appointments, authToken),
+      skipped: collisions
+    };
+  } catch (error) {
+    logger.error('Error creating appointment series', {
+      error: error.message,
+      stack: error.stack,
+      seriesData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get an appointment series with its occurrences
+ * @param {string} seriesId - Series ID
+ * @param {string} authToken - Authorization token
+ * @returns {Promise<Object>} Series and occurrences
+ */
+exports.getAppointmentSeries = async (seriesId, authToken = null) => {
+  try {
+    const series = await appointmentSeriesRepository.findById(seriesId);
+
+    if (!series) {
+      throw new NotFoundError('Appointment series not found');
+    }
+
+    const appointments = await appointmentRepository.findBySeries(seriesId);
+
+    return {
+      series,
+      appointments: await enrichAppointmentsWithPatientInfo(appointments, authToken)
+    };
+  } catch (error) {
+    logger.error('Error getting appointment series', {
+      error: error.message,
+      stack: error.stack,
+      seriesId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Edit an occurrence of a series
+ * Scope `this` edits only the given occurrence, `following` splits the series so
+ * the occurrence and everything after it form a new series with the changes, and
+ * `all` applies the changes to every open occurrence. Time changes move each
+ * affected occurrence by the same number of days and to the same time of day.
+ * @param {string} seriesId - Series ID
+ * @param {string} appointmentId - Occurrence (appointment) ID
+ * @param {string} scope - Edit scope (this, following or all)
+ * @param {Object} changes - Appointment changes (start_time, end_time, appointment_type, reason, notes)
+ * @param {string} authToken - Authorization token
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Series and updated appointments
+ */
+exports.updateSeriesOccurrence = async (
+  seriesId, appointmentId, scope, changes, authToken, currentUser
+) => {
+  try {
+    const { series, occurrence } = await findSeriesOccurrence(seriesId, appointmentId, currentUser);
+
+    if (scope === 'this') {
+      const appointment = await exports.updateAppointment(
+        appointmentId, changes, authToken, currentUser
+      );
+      return { series, appointments: [appointment] };
+    }
+
+    const fromTime = scope === 'following' ? occurrence.start_time : null;
+    const targets = await appointmentRepository.findBySeries(seriesId, {
+      fromTime,
+      status: MUTABLE_OCCURRENCE_STATUSES
+    });
+
+    if (targets.length === 0) {
+      throw new BadRequestError('The series has no open occurrences to update');
+    }
+
+    const shift = getOccurrenceShift(occurrence, changes);
+    const fieldChanges = pickFields(changes, SERIES_EDITABLE_FIELDS);
+    const updates = targets.map(target => ({
+      id: target.id,
+      data: { ...fieldChanges, ...shift(target) }
+    }));
+
+    const isReschedule = Boolean(changes.start_time || changes.end_time);
+
+    // Occurrences being moved together cannot conflict with each other's old times
+    const collisions = isReschedule
+      ? await findOccurrenceConflicts(
+        updates.map(update => ({ id: update.id, ...update.data })),
+        series.doctor_id,
+        series.patient_id,
+        targets.map(target => target.id)
+      )
+      : [];
+
+    if (collisions.length > 0) {
+      throw new ScheduleConflictError(
+        `Schedule conflicts detected for ${collisions.length} occurrence(s)`,
+        collisions
+      );
+    }
+
+    const seriesChanges = { ...fieldChanges };
+
+    if (isReschedule) {
+      const moved = shift(occurrence);
+
+      seriesChanges.start_time = scope === 'following' ? moved.start_time : shift(series).start_time;
+      seriesChanges.duration_minutes = moment(moved.end_time).diff(moved.start_time, 'minutes');
+    }
+
+    const precedingCount = await countPrecedingOccurrences(seriesId, occurrence);
+    let result;
+
+    if (scope === 'all' || precedingCount === 0) {
+      result = await appointmentSeriesRepository.updateWithOccurrences(
+        seriesId,
+        seriesChanges,
+        updates
+      );
+    } else {
+      result = await appointmentSeriesRepository.split(
+        seriesId,
+        truncateSeriesBefore(series, occurrence, precedingCount),
+        {
+          ...pickFields(series, SERIES_COPIED_FIELDS),
+          ...seriesChanges,
+          start_time: seriesChanges.start_time || occurrence.start_time,
+          count: series.count ? Math.max(series.count - precedingCount, 1) : null,
+          created_by: currentUser.id
+        },
+        updates
+      );
+    }
+
+    return {
+      series: result.series,
+      appointments: await enrichAppointmentsWithPatientInfo(result.appointments, authToken)
+    };
+  } catch (error) {
+    logger.error('Error updating appointment series occurrence', {
+      error: error.message,
+      stack: error.stack,
+      seriesId,
+      appointmentId,
+      scope,
+      changes
+    });
+    throw error;
+  }
+};
+
+/**
+ * Cancel occurrences of a series
+ * Scope `this` cancels one occurrence, `following` cancels it and everything after
+ * it and ends the series there, and `all` cancels every open occurrence and the series.
+ * As with updateAppointmentStatus, the waitlist backfill is passed in by the caller.
+ * @param {string} seriesId - Series ID
+ * @param {string|null} appointmentId - Occurrence (appointment) ID; not needed for scope `all`
+ * @param {string} scope - Cancel scope (this, following or all)
+ * @param {Object} currentUser - Current authenticated user
+ * @param {Object} options - Options ({ onSlotFreed: called with each cancelled appointment })
+ * @returns {Promise<Object>} Series and cancelled appointments
+ */
+exports.cancelSeriesOccurrences = async (
+  seriesId, appointmentId, scope, currentUser, { onSlotFreed = null } = {}
+) => {
+  try {
+    let series;
+    let occurrence = null;
+
+    if (scope === 'all') {
+      series = await appointmentSeriesRepository.findById(seriesId);
+
+      if (!series) {
+        throw new NotFoundError('Appointment series not found');
+      }
+
+      assertCanEditSeries(series, currentUser);
+    } else {
+      ({ series, occurrence } = await findSeriesOccurrence(seriesId, appointmentId, currentUser));
+    }
+
+    const targets = scope === 'this'
+      ? [occurrence].filter(target => MUTABLE_OCCURRENCE_STATUSES.includes(target.status))
+      : await appointmentRepository.findBySeries(seriesId, {
+        fromTime: occurrence ? occurrence.start_time : null,
+        status: MUTABLE_OCCURRENCE_STATUSES
+      });
+
+    if (scope === 'this' && targets.length === 0) {
+      throw new BadRequestError(`Cannot cancel an appointment that is ${occurrence.status}`);
+    }
+
+    let seriesChanges = {};
+
+    if (scope === 'all') {
+      seriesChanges = { status: 'cancelled' };
+    } else if (scope === 'following') {
+      const precedingCount = await countPrecedingOccurrences(seriesId, occurrence);
+
+      seriesChanges = precedingCount === 0
+        ? { status: 'cancelled' }
+        : truncateSeriesBefore(series, occurrence, precedingCount);
+    }
+
+    const result = await appointmentSeriesRepository.updateWithOccurrences(
+      seriesId,
+      seriesChanges,
+      targets.map(target => ({ id: target.id, data: { status: 'cancelled' } }))
+    );
+
+    if (onSlotFreed) {
+      for (const appointment of result.appointments) {
+        await offerFreedSlot(appointment, onSlotFreed);
+      }
+    }
+
+    if (targets.some(target => moment(target.start_time).isSame(moment(), 'day'))) {
+      queueEvents.publish(series.doctor_id);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error cancelling appointment series occurrences', {
+      error: error.message,
+      stack: error.stack,
+      seriesId,
+      appointmentId,
+      scope
+    });
+    throw error;
+  }
+};
+
 /**
  * Validate doctor and patient existence
  * @param {string} doctorId - Doctor ID
@@ -286,8 +663,8 @@ exports.updateAppointmentStatus = async (id, status) => {
 async function validateDoctorAndPatient(doctorId, patientId, authToken, currentUser) {
   try {
     // Validate doctor - check if the doctor ID matches the authenticated user
-    // or if the user has admin permissions to create appointments for other doctors
-    if (doctorId !== currentUser.id && !['admin'].includes(currentUser.role)) {
+    // or if the user holds appointment:manage to create appointments for other doctors
+    if (doctorId !== currentUser.id && !hasPermission(currentUser, 'appointment:manage')) {
       throw new BadRequestError('You can only create appointments for yourself');
     }
 
@@ -318,6 +695,231 @@ async function validateDoctorAndPatient(doctorId, patientId, authToken, currentU
   }
 }
 
+/**
+ * Load a series and one of its occurrences, checking the user may edit them
+ * @param {string} seriesId - Series ID
+ * @param {string} appointmentId - Occurrence (appointment) ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Series and occurrence
+ */
+async function findSeriesOccurrence(seriesId, appointmentId, currentUser) {
+  const series = await appointmentSeriesRepository.findById(seriesId);
+
+  if (!series) {
+    throw new NotFoundError('Appointment series not found');
+  }
+
+  const occurrence = await appointmentRepository.findById(appointmentId);
+
+  if (!occurrence || occurrence.series_id !== series.id) {
+    throw new NotFoundError('Appointment not found in series');
+  }
+
+  assertCanEditSeries(series, currentUser);
+
+  return { series, occurrence };
+}
+
+/**
+ * Ensure the current user may edit a series
+ * @param {Object} series - Appointment series
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {void}
+ */
+function assertCanEditSeries(series, currentUser) {
+  if (series.doctor_id !== currentUser.id && !hasPermission(currentUser, 'appointment:manage')) {
+    throw new BadRequestError('You can only edit your own appointments');
+  }
+}
+
+/**
+ * Check each occurrence for clashes with other appointments, availability
+ * exceptions and slots held for other waitlisted patients
+ * @param {Array<Object>} occurrences - Occurrences ({ id?, start_time, end_time })
+ * @param {string} doctorId - Doctor ID
+ * @param {string} patientId - Patient being booked
+ * @param {Array<string>} ignoreIds - Appointment IDs that are not counted as conflicts
+ * @returns {Promise<Array>} Colliding occurrences with the dates and what they collide with
+ */
+async function findOccurrenceConflicts(occurrences, doctorId, patientId, ignoreIds = []) {
+  const collisions = [];
+
+  for (const occurrence of occurrences) {
+    const appointmentConflicts = await appointmentRepository.checkConflicts(
+      occurrence.start_time,
+      occurrence.end_time,
+      doctorId,
+      occurrence.id || null
+    );
+    const exceptionConflicts = await availabilityExceptionRepository.checkConflicts(
+      occurrence.start_time,
+      occurrence.end_time,
+      doctorId
+    );
+    const holds = await slotHoldRepository.findActive(
+      doctorId,
+      occurrence.start_time,
+      occurrence.end_time
+    );
+    const conflicts = [
+      ...(appointmentConflicts || []).filter(conflict => !ignoreIds.includes(conflict.id)),
+      ...(exceptionConflicts || []),
+      ...(holds || []).filter(hold => hold.patient_id !== patientId)
+    ];
+
+    if (conflicts.length > 0) {
+      collisions.push({
+        ...(occurrence.id && { appointment_id: occurrence.id }),
+        date: moment(occurrence.start_time).format('YYYY-MM-DD'),
+        start_time: new Date(occurrence.start_time),
+        end_time: new Date(occurrence.end_time),
+        conflicts
+      });
+    }
+  }
+
+  return collisions;
+}
+
+/**
+ * Build a function that applies an occurrence time change to other occurrences
+ * The edited occurrence's day offset and new time of day are applied to each
+ * occurrence, so series keep their wall-clock time across DST changes.
+ * @param {Object} occurrence - Edited occurrence
+ * @param {Object} changes - Requested changes (start_time, end_time)
+ * @returns {Function} Maps an occurrence (or series) to its new { start_time, end_time }
+ */
+function getOccurrenceShift(occurrence, changes) {
+  if (!changes.start_time && !changes.end_time) {
+    return () => ({});
+  }
+
+  const originalStart = moment(occurrence.start_time);
+  const newStart = changes.start_time ? moment(changes.start_time) : originalStart.clone();
+  const newEnd = changes.end_time
+    ? moment(changes.end_time)
+    : newStart.clone().add(moment(occurrence.end_time).diff(originalStart, 'minutes'), 'minutes');
+  const durationMinutes = newEnd.diff(newStart, 'minutes');
+
+  if (durationMinutes <= 0) {
+    throw new BadRequestError('End time must be after start time');
+  }
+
+  const dayOffset = newStart.clone().startOf('day').diff(originalStart.clone().startOf('day'), 'days');
+
+  return (target) => {
+    const start = moment(target.start_time)
+      .add(dayOffset, 'days')
+      .set({
+        hour: newStart.hour(),
+        minute: newStart.minute(),
+        second: newStart.second(),
+        millisecond: 0
+      });
+
+    return {
+      start_time: start.toDate(),
+      end_time: start.clone().add(durationMinutes, 'minutes').toDate()
+    };
+  };
+}
+
+/**
+ * Count the occurrences of a series that start before a given occurrence
+ * @param {string} seriesId - Series ID
+ * @param {Object} occurrence - Occurrence
+ * @returns {Promise<number>} Number of earlier occurrences
+ */
+async function countPrecedingOccurrences(seriesId, occurrence) {
+  const appointments = await appointmentRepository.findBySeries(seriesId);
+  const start = new Date(occurrence.start_time);
+
+  return appointments.filter(appointment => new Date(appointment.start_time) < start).length;
+}
+
+/**
+ * Build the changes that end a series just before an occurrence
+ * @param {Object} series - Appointment series
+ * @param {Object} occurrence - First occurrence to drop from the series
+ * @param {number} precedingCount - Number of occurrences before it
+ * @returns {Object} Series changes
+ */
+function truncateSeriesBefore(series, occurrence, precedingCount) {
+  return {
+    until: moment(occurrence.start_time).subtract(1, 'day').format('YYYY-MM-DD'),
+    count: series.count ? precedingCount : null
+  };
+}
+
+/**
+ * Pick defined fields from an object
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} Object with only the given fields
+ */
+function pickFields(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+    return picked;
+  }, {});
+}
+
+/**
+ * Ensure a booking does not fall on the doctor's leave, a holiday or outside overridden hours
+ * @param {Date} startTime - Booking start time
+ * @param {Date} endTime - Booking end time
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<void>}
+ */
+async function assertNoExceptionConflicts(startTime, endTime, doctorId) {
+  const conflicts = await availabilityExceptionRepository.checkConflicts(
+    startTime,
+    endTime,
+    doctorId
+  );
+
+  if (conflicts && conflicts.length > 0) {
+    throw new ScheduleConflictError('Doctor is unavailable at the requested time', conflicts);
+  }
+}
+
+/**
+ * Ensure a booking does not take a slot held for another waitlisted patient
+ * @param {Date} startTime - Booking start time
+ * @param {Date} endTime - Booking end time
+ * @param {string} doctorId - Doctor ID
+ * @param {string} patientId - Patient being booked
+ * @returns {Promise<void>}
+ */
+async function assertNoHoldConflicts(startTime, endTime, doctorId, patientId) {
+  const holds = await slotHoldRepository.findActive(doctorId, startTime, endTime);
+  const conflicts = holds.filter(hold => hold.patient_id !== patientId);
+
+  if (conflicts.length > 0) {
+    throw new ScheduleConflictError('Slot is held for a waitlisted patient', conflicts);
+  }
+}
+
+/**
+ * Offer a cancelled or no-show appointment's slot to the waitlist
+ * Backfill is best effort: a failure is logged and does not undo the status change.
+ * @param {Object} appointment - Freed appointment
+ * @param {Function} backfill - Backfill hook, e.g. waitlistService.backfillSlot
+ * @returns {Promise<void>}
+ */
+async function offerFreedSlot(appointment, backfill) {
+  try {
+    await backfill(appointment);
+  } catch (error) {
+    logger.warn('Failed to offer freed slot to waitlist', {
+      error: error.message,
+      appointmentId: appointment.id
+    });
+  }
+}
+
 /**
  * Validate appointment status transition
  * @param {string} currentStatus - Current status
@@ -5,6 +5,8 @@
 
 const availabilityRepository = require('../repositories/availability.repository');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errors');
+const { hasPermission } = require('@dr-assistant/auth');
+const { formatDate } = require('../utils/schedule');
 const { logger } = require('../utils/logger');
 const axios = require('axios');
 const moment = require('moment');
@@ -62,8 +64,8 @@ exports.getAvailabilityById = async (id) => {
 exports.createAvailability = async (availabilityData, currentUser) => {
   try {
     // Validate doctor - check if the doctor ID matches the authenticated user
-    // or if the user has admin permissions to create availability for other doctors
-    if (availabilityData.doctor_id !== currentUser.id && !['admin'].includes(currentUser.role)) {
+    // or if the user holds availability:manage to create availability for other doctors
+    if (availabilityData.doctor_id !== currentUser.id && !hasPermission(currentUser, 'availability:manage')) {
       throw new BadRequestError('You can only create availability for yourself');
     }
 
@@ -77,8 +79,11 @@ exports.createAvailability = async (availabilityData, currentUser) => {
       throw new ConflictError('Availability conflict detected');
     }
 
-    // Create availability
-    return await availabilityRepository.create(availabilityData);
+    // Create availability; recurrence starts today unless a start date is given
+    return await availabilityRepository.create({
+      effective_from: formatDate(new Date()),
+      ...availabilityData
+    });
   } catch (error) {
     logger.error('Error creating availability', {
       error: error.message,
@@ -122,7 +127,8 @@ exports.updateAvailability = async (id, availabilityData) => {
       doctor_id: availabilityData.doctor_id || availability.doctor_id,
       day_of_week: availabilityData.day_of_week !== undefined ? availabilityData.day_of_week : availability.day_of_week,
       start_time: availabilityData.start_time || availability.start_time,
-      end_time: availabilityData.end_time || availability.end_time
+      end_time: availabilityData.end_time || availability.end_time,
+      is_available: availabilityData.is_available !== undefined ? availabilityData.is_available : availability.is_available
     };
 
     const conflicts = await availabilityRepository.checkConflicts(conflictData, id);
@@ -177,7 +183,7 @@ exports.deleteAvailability = async (id) => {
  * @param {string} doctorId - Doctor ID
  * @param {Date} date - Date to check
  * @param {number} duration - Appointment duration in minutes
- * @returns {Promise<Array>} Available time slots
+ * @returns {Promise<Array>} Bookable slots ({ start_time, end_time, availability_id })
  */
 exports.getAvailableTimeSlots = async (doctorId, date, duration = 30) => {
   try {
@@ -0,0 +1,255 @@
+/**
+ * Availability Exception Service
+ * This module provides business logic for leave, holidays and one-off schedule overrides
+ */
+
+const availabilityExceptionRepository = require('../repositories/availabilityException.repository');
+const appointmentRepository = require('../repositories/appointment.repository');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { hasPermission } = require('@dr-assistant/auth');
+const { logger } = require('../utils/logger');
+const {
+  BLOCKING_EXCEPTION_TYPES,
+  formatDate,
+  toInterval,
+  datesBetween,
+  getExceptionInterval,
+  overlaps
+} = require('../utils/schedule');
+
+// Appointment statuses that still need the doctor's time
+const ACTIVE_APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'checked_in', 'in_progress'];
+
+/**
+ * Get exceptions for a doctor
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Availability exceptions
+ */
+exports.getDoctorExceptions = async (doctorId, options = {}) => {
+  try {
+    return await availabilityExceptionRepository.findByDoctor(doctorId, options);
+  } catch (error) {
+    logger.error('Error getting doctor availability exceptions', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      options
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get exception by ID
+ * @param {string} id - Exception ID
+ * @returns {Promise<Object>} Availability exception
+ */
+exports.getExceptionById = async (id) => {
+  try {
+    const exception = await availabilityExceptionRepository.findById(id);
+
+    if (!exception) {
+      throw new NotFoundError('Availability exception not found');
+    }
+
+    return exception;
+  } catch (error) {
+    logger.error('Error getting availability exception by ID', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a new exception
+ * @param {Object} exceptionData - Exception data
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Created exception
+ */
+exports.createException = async (exceptionData, currentUser) => {
+  try {
+    // Doctors manage their own exceptions; availability:manage covers anyone's
+    assertCanManage(exceptionData.doctor_id, currentUser);
+
+    validateException(exceptionData);
+
+    return await availabilityExceptionRepository.create({
+      ...exceptionData,
+      created_by: currentUser.id
+    });
+  } catch (error) {
+    logger.error('Error creating availability exception', {
+      error: error.message,
+      stack: error.stack,
+      exceptionData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update exception
+ * @param {string} id - Exception ID
+ * @param {Object} exceptionData - Exception data
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Updated exception
+ */
+exports.updateException = async (id, exceptionData, currentUser) => {
+  try {
+    const exception = await availabilityExceptionRepository.findById(id);
+
+    if (!exception) {
+      throw new NotFoundError('Availability exception not found');
+    }
+
+    assertCanManage(exception.doctor_id, currentUser);
+
+    if (exceptionData.doctor_id && exceptionData.doctor_id !== exception.doctor_id) {
+      throw new BadRequestError('Cannot change doctor for existing availability exception');
+    }
+
+    validateException({
+      exception_type: exception.exception_type,
+      start_date: exception.start_date,
+      end_date: exception.end_date,
+      start_time: exception.start_time,
+      end_time: exception.end_time,
+      ...exceptionData
+    });
+
+    return await availabilityExceptionRepository.update(id, exceptionData);
+  } catch (error) {
+    logger.error('Error updating availability exception', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      exceptionData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete exception
+ * @param {string} id - Exception ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<boolean>} Success flag
+ */
+exports.deleteException = async (id, currentUser) => {
+  try {
+    const exception = await availabilityExceptionRepository.findById(id);
+
+    if (!exception) {
+      throw new NotFoundError('Availability exception not found');
+    }
+
+    assertCanManage(exception.doctor_id, currentUser);
+
+    return await availabilityExceptionRepository.delete(id);
+  } catch (error) {
+    logger.error('Error deleting availability exception', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the active appointments an exception collides with
+ * Leave and holidays affect bookings they overlap; overrides affect bookings
+ * on their dates that fall outside the override hours.
+ * @param {string} id - Exception ID
+ * @returns {Promise<Array>} Affected appointments
+ */
+exports.getAffectedAppointments = async (id) => {
+  try {
+    const exception = await availabilityExceptionRepository.findById(id);
+
+    if (!exception) {
+      throw new NotFoundError('Availability exception not found');
+    }
+
+    // Search whole days so overrides also catch bookings outside their hours
+    const appointments = await appointmentRepository.findByDateRange(
+      toInterval(exception.start_date).start,
+      toInterval(exception.end_date).end,
+      { doctorId: exception.doctor_id }
+    );
+
+    return appointments.filter(appointment =>
+      ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status) &&
+      isAffected(exception, appointment)
+    );
+  } catch (error) {
+    logger.error('Error getting appointments affected by availability exception', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Check whether an appointment collides with an exception
+ * @param {Object} exception - Availability exception
+ * @param {Object} appointment - Appointment
+ * @returns {boolean} True if the appointment is affected
+ */
+function isAffected(exception, appointment) {
+  const booking = { start: new Date(appointment.start_time), end: new Date(appointment.end_time) };
+
+  return datesBetween(booking.start, booking.end).some(date => {
+    const interval = getExceptionInterval(exception, date);
+    if (!interval) return false;
+
+    if (BLOCKING_EXCEPTION_TYPES.includes(exception.exception_type)) {
+      return overlaps(interval, booking);
+    }
+
+    return booking.start < interval.start || booking.end > interval.end;
+  });
+}
+
+/**
+ * Ensure the current user may manage a doctor's exceptions
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {void}
+ */
+function assertCanManage(doctorId, currentUser) {
+  if (doctorId !== currentUser.id && !hasPermission(currentUser, 'availability:manage')) {
+    throw new BadRequestError('You can only manage availability exceptions for yourself');
+  }
+}
+
+/**
+ * Validate exception dates and times
+ * @param {Object} exceptionData - Exception data
+ * @returns {void}
+ */
+function validateException(exceptionData) {
+  const { exception_type, start_date, end_date, start_time, end_time } = exceptionData;
+
+  if (formatDate(end_date) < formatDate(start_date)) {
+    throw new BadRequestError('End date must be on or after start date');
+  }
+
+  if (Boolean(start_time) !== Boolean(end_time)) {
+    throw new BadRequestError('Start time and end time must be provided together');
+  }
+
+  if (start_time && end_time <= start_time) {
+    throw new BadRequestError('End time must be after start time');
+  }
+
+  if (exception_type === 'override' && !start_time) {
+    throw new BadRequestError('Schedule overrides require a start time and end time');
+  }
+}
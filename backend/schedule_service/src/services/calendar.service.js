@@ -0,0 +1,342 @@
+/**
+ * Calendar Service
+ * This module provides business logic for doctors' ICS subscription feeds and for
+ * importing busy time from external calendars as availability exceptions
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const calendarFeedRepository = require('../repositories/calendarFeed.repository');
+const appointmentRepository = require('../repositories/appointment.repository');
+const availabilityExceptionRepository = require('../repositories/availabilityException.repository');
+const { NotFoundError, BadRequestError, UnauthorizedError } = require('../utils/errors');
+const { formatDate } = require('../utils/schedule');
+const { UID_DOMAIN, buildCalendar, parseEvents, expandEvent } = require('../utils/ics');
+const { hasPermission } = require('@dr-assistant/auth');
+const { logger } = require('../utils/logger');
+
+// Window of appointments published in a feed
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+const FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
+
+// How far ahead imported busy time is kept
+const IMPORT_HORIZON_DAYS = parseInt(process.env.CALENDAR_IMPORT_HORIZON_DAYS, 10) || 180;
+
+// Upper bound on the exceptions a single import may create
+const MAX_IMPORTED_BLOCKS = 2000;
+
+const APPOINTMENT_TYPE_LABELS = {
+  in_person: 'In-person',
+  telemedicine: 'Telemedicine',
+  follow_up: 'Follow-up',
+  urgent: 'Urgent',
+  routine: 'Routine'
+};
+
+const EVENT_STATUSES = {
+  scheduled: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+/**
+ * Get a doctor's feed settings
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Calendar feed
+ */
+exports.getFeed = async (doctorId, currentUser) => {
+  try {
+    assertCanManage(doctorId, currentUser);
+
+    const feed = await calendarFeedRepository.findByDoctor(doctorId);
+
+    if (!feed) {
+      throw new NotFoundError('Calendar feed not found');
+    }
+
+    return feed;
+  } catch (error) {
+    logger.error('Error getting calendar feed', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Issue a feed token for a doctor, replacing any previous token
+ * The token is returned once; only its hash is stored.
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Calendar feed and token
+ */
+exports.issueFeed = async (doctorId, currentUser) => {
+  try {
+    assertCanManage(doctorId, currentUser);
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const feed = await calendarFeedRepository.upsert({
+      doctor_id: doctorId,
+      token_hash: hashToken(token),
+      created_by: currentUser.id
+    });
+
+    return { feed, token };
+  } catch (error) {
+    logger.error('Error issuing calendar feed', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Revoke a doctor's feed token
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<boolean>} Success flag
+ */
+exports.revokeFeed = async (doctorId, currentUser) => {
+  try {
+    assertCanManage(doctorId, currentUser);
+
+    const deleted = await calendarFeedRepository.delete(doctorId);
+
+    if (!deleted) {
+      throw new NotFoundError('Calendar feed not found');
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Error revoking calendar feed', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Render the ICS feed for a feed token
+ * @param {string} token - Feed token
+ * @returns {Promise<string>} ICS document
+ */
+exports.renderFeed = async (token) => {
+  try {
+    const feed = await calendarFeedRepository.findByTokenHash(hashToken(token));
+
+    if (!feed) {
+      throw new UnauthorizedError('Invalid calendar feed token');
+    }
+
+    const now = moment();
+    const appointments = await appointmentRepository.findByDateRange(
+      now.clone().subtract(FEED_PAST_DAYS, 'days').startOf('day').toDate(),
+      now.clone().add(FEED_FUTURE_DAYS, 'days').endOf('day').toDate(),
+      { doctorId: feed.doctor_id }
+    );
+
+    await calendarFeedRepository.update(feed.doctor_id, { last_accessed_at: new Date() });
+
+    return buildCalendar({
+      name: 'Dr Assistant Appointments',
+      events: appointments.map(toEvent)
+    });
+  } catch (error) {
+    // The token is a credential, so it is never logged
+    logger.error('Error rendering calendar feed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Import busy time from an external calendar
+ * Each import replaces the doctor's previously imported future blocks. Free
+ * (transparent) and cancelled events are ignored, as are events from this
+ * service's own feed so a subscribed calendar does not block its own bookings.
+ * Events whose times cannot be worked out reliably are rejected and listed in
+ * the summary rather than imported as guesses.
+ * @param {string} doctorId - Doctor ID
+ * @param {string} ics - ICS document
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Import summary ({ imported, removed, skipped, rejected })
+ */
+exports.importCalendar = async (doctorId, ics, currentUser) => {
+  try {
+    assertCanManage(doctorId, currentUser);
+
+    if (typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+      throw new BadRequestError('A valid iCalendar document is required');
+    }
+
+    const window = {
+      start: new Date(),
+      end: moment().add(IMPORT_HORIZON_DAYS, 'days').endOf('day').toDate()
+    };
+
+    const events = parseEvents(ics);
+    let skipped = 0;
+    const rejected = [];
+    const exceptions = [];
+
+    // Moved or cancelled instances of a recurring event replace the occurrence they came from
+    const movedInstances = events.filter(event => event.recurrenceId).reduce((moved, event) => {
+      moved[event.uid] = [...(moved[event.uid] || []), event.recurrenceId];
+      return moved;
+    }, {});
+
+    for (const event of events) {
+      if (event.unsupported) {
+        rejected.push({
+          uid: event.uid || null,
+          summary: event.summary || null,
+          reason: event.unsupported
+        });
+        continue;
+      }
+
+      if (isIgnoredEvent(event)) {
+        skipped++;
+        continue;
+      }
+
+      const excluded = event.recurrence && !event.recurrenceId ? movedInstances[event.uid] : [];
+
+      for (const occurrence of expandEvent(event, window, excluded)) {
+        exceptions.push(...toBusyExceptions(occurrence).map(exception => ({
+          ...exception,
+          reason: (event.summary || 'Busy').slice(0, 255),
+          external_uid: event.uid || null,
+          created_by: currentUser.id
+        })));
+      }
+    }
+
+    if (exceptions.length > MAX_IMPORTED_BLOCKS) {
+      throw new BadRequestError(
+        `An import cannot create more than ${MAX_IMPORTED_BLOCKS} busy blocks`
+      );
+    }
+
+    const { created, removed } = await availabilityExceptionRepository.replaceImported(
+      doctorId,
+      window.start,
+      exceptions
+    );
+
+    return { imported: created.length, removed, skipped, rejected };
+  } catch (error) {
+    logger.error('Error importing calendar', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token - Feed token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Convert an appointment to a feed event
+ * Feeds are fetched without a user session, so events never carry patient
+ * details and only show the appointment type.
+ * @param {Object} appointment - Appointment
+ * @returns {Object} Feed event
+ */
+function toEvent(appointment) {
+  const label = APPOINTMENT_TYPE_LABELS[appointment.appointment_type] || 'Patient';
+
+  return {
+    uid: `${appointment.id}@${UID_DOMAIN}`,
+    start: appointment.start_time,
+    end: appointment.end_time,
+    updatedAt: appointment.updated_at,
+    status: EVENT_STATUSES[appointment.status] || 'CONFIRMED',
+    summary: `${label} appointment`
+  };
+}
+
+/**
+ * Check whether an imported event should not block time
+ * @param {Object} event - Parsed ICS event
+ * @returns {boolean} True if the event is ignored
+ */
+function isIgnoredEvent(event) {
+  return event.transparent ||
+    event.status === 'CANCELLED' ||
+    Boolean(event.uid && event.uid.endsWith(`@${UID_DOMAIN}`)) ||
+    !(event.end > event.start);
+}
+
+/**
+ * Convert a busy occurrence into availability exceptions
+ * Exceptions repeat their hours on every date they cover, so timed blocks that
+ * cross midnight are split into one exception per day.
+ * @param {Object} occurrence - Occurrence ({ start, end, allDay })
+ * @returns {Array<Object>} Exception data
+ */
+function toBusyExceptions(occurrence) {
+  if (occurrence.allDay) {
+    return [{
+      exception_type: 'busy',
+      start_date: formatDate(occurrence.start),
+      // All-day DTEND is exclusive
+      end_date: formatDate(moment(occurrence.end).subtract(1, 'day')),
+      start_time: null,
+      end_time: null
+    }];
+  }
+
+  const exceptions = [];
+  const day = moment(occurrence.start).startOf('day');
+
+  while (day.isBefore(occurrence.end)) {
+    const nextDay = day.clone().add(1, 'day');
+    const blockStart = moment.max(day, moment(occurrence.start));
+    const blockEnd = moment.min(nextDay, moment(occurrence.end));
+    const wholeDay = blockStart.isSame(day) && blockEnd.isSame(nextDay);
+
+    exceptions.push({
+      exception_type: 'busy',
+      start_date: day.format('YYYY-MM-DD'),
+      end_date: day.format('YYYY-MM-DD'),
+      start_time: wholeDay ? null : blockStart.format('HH:mm:ss'),
+      // TIME cannot hold 24:00, so blocks running to midnight end a second early
+      end_time: wholeDay ? null : (blockEnd.isSame(nextDay) ? '23:59:59' : blockEnd.format('HH:mm:ss'))
+    });
+
+    day.add(1, 'day');
+  }
+
+  return exceptions;
+}
+
+/**
+ * Ensure the current user may manage a doctor's calendar
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {void}
+ */
+function assertCanManage(doctorId, currentUser) {
+  if (doctorId !== currentUser.id && !hasPermission(currentUser, 'calendar:manage')) {
+    throw new BadRequestError('You can only manage your own calendar');
+  }
+}
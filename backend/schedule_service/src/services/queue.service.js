@@ -0,0 +1,255 @@
+/**
+ * Queue Service
+ * This module provides business logic for the daily patient check-in queue:
+ * token numbers, wait estimates from actual consultation times, and calling
+ * the next patient
+ */
+
+const appointmentRepository = require('../repositories/appointment.repository');
+const appointmentService = require('./appointment.service');
+const queueEvents = require('./queueEvents.service');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const { DATE_FORMAT } = require('../utils/schedule');
+const { hasPermission } = require('@dr-assistant/auth');
+const { logger } = require('../utils/logger');
+const moment = require('moment');
+
+// Appointment statuses that can be checked in
+const CHECK_IN_STATUSES = ['scheduled', 'confirmed'];
+
+// Appointment statuses that make up a day's queue
+const QUEUE_STATUSES = ['checked_in', 'in_progress', 'completed'];
+
+// Used until the doctor has enough completed consultations to average
+const DEFAULT_CONSULTATION_MINUTES =
+  parseInt(process.env.QUEUE_DEFAULT_CONSULTATION_MINUTES, 10) || 15;
+
+// How many recent consultations the wait estimate averages over
+const CONSULTATION_SAMPLE_SIZE = parseInt(process.env.QUEUE_SAMPLE_SIZE, 10) || 20;
+
+// How far back consultations count towards the wait estimate
+const CONSULTATION_SAMPLE_DAYS = 30;
+
+// Durations outside this range are treated as bookkeeping mistakes
+const MAX_CONSULTATION_MINUTES = 240;
+
+/**
+ * Get a doctor's queue for today with estimated waits
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Queue ({ now_serving, waiting, completed_count, ... })
+ */
+exports.getQueue = async (doctorId, currentUser) => {
+  try {
+    assertCanAccess(doctorId, currentUser);
+
+    const [appointments, averageMinutes] = await Promise.all([
+      appointmentRepository.findToday({ doctorId, status: QUEUE_STATUSES }),
+      getAverageConsultation(doctorId)
+    ]);
+
+    return buildQueue(doctorId, appointments, averageMinutes, new Date());
+  } catch (error) {
+    logger.error('Error getting queue', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Check a patient in for today's appointment and give them a queue token
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Checked-in appointment
+ */
+exports.checkIn = async (appointmentId, currentUser) => {
+  try {
+    const appointment = await appointmentRepository.findById(appointmentId);
+
+    if (!appointment) {
+      throw new NotFoundError('Appointment not found');
+    }
+
+    assertCanAccess(appointment.doctor_id, currentUser);
+
+    if (!CHECK_IN_STATUSES.includes(appointment.status)) {
+      throw new BadRequestError(`Cannot check in an appointment that is ${appointment.status}`);
+    }
+
+    if (!moment(appointment.start_time).isSame(moment(), 'day')) {
+      throw new BadRequestError('Only today\'s appointments can be checked in');
+    }
+
+    const checkedIn = await appointmentRepository.checkIn(
+      appointmentId,
+      appointment.doctor_id,
+      new Date()
+    );
+
+    queueEvents.publish(appointment.doctor_id);
+
+    return checkedIn;
+  } catch (error) {
+    logger.error('Error checking in appointment', {
+      error: error.message,
+      stack: error.stack,
+      appointmentId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Call the lowest-token waiting patient in to see the doctor
+ * Fails while a consultation is still in progress unless `complete_current`
+ * is set, in which case that consultation is completed first.
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} options - Options ({ complete_current })
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Completed and called appointments ({ completed, called })
+ */
+exports.callNext = async (doctorId, options = {}, currentUser) => {
+  try {
+    assertCanAccess(doctorId, currentUser);
+
+    const appointments = await appointmentRepository.findToday({
+      doctorId,
+      status: ['checked_in', 'in_progress']
+    });
+
+    const current = appointments.find(appointment => appointment.status === 'in_progress');
+    const next = appointments
+      .filter(appointment => appointment.status === 'checked_in')
+      .sort(byToken)[0];
+
+    if (current && !options.complete_current) {
+      throw new ConflictError('A consultation is already in progress');
+    }
+
+    if (!current && !next) {
+      throw new NotFoundError('No patients are waiting');
+    }
+
+    const completed = current
+      ? await appointmentService.updateAppointmentStatus(current.id, 'completed')
+      : null;
+    const called = next
+      ? await appointmentService.updateAppointmentStatus(next.id, 'in_progress')
+      : null;
+
+    return { completed, called };
+  } catch (error) {
+    logger.error('Error calling next patient', {
+      error: error.message,
+      stack: error.stack,
+      doctorId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Average a doctor's recent consultation durations
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object>} Average ({ minutes, sampleSize })
+ */
+async function getAverageConsultation(doctorId) {
+  const consultations = await appointmentRepository.findRecentConsultations(doctorId, {
+    since: moment().subtract(CONSULTATION_SAMPLE_DAYS, 'days').toDate(),
+    limit: CONSULTATION_SAMPLE_SIZE
+  });
+
+  const durations = consultations
+    .map(consultation =>
+      moment(consultation.check_out_time).diff(moment(consultation.called_at), 'minutes', true)
+    )
+    .filter(minutes => minutes > 0 && minutes <= MAX_CONSULTATION_MINUTES);
+
+  if (durations.length === 0) {
+    return { minutes: DEFAULT_CONSULTATION_MINUTES, sampleSize: 0 };
+  }
+
+  const total = durations.reduce((sum, minutes) => sum + minutes, 0);
+
+  return { minutes: total / durations.length, sampleSize: durations.length };
+}
+
+/**
+ * Build the queue view from today's appointments
+ * Each waiting patient's estimate is the time left in the current consultation
+ * plus one average consultation per patient ahead of them.
+ * @param {string} doctorId - Doctor ID
+ * @param {Array} appointments - Today's checked-in, in-progress and completed appointments
+ * @param {Object} average - Average consultation ({ minutes, sampleSize })
+ * @param {Date} now - Current time
+ * @returns {Object} Queue
+ */
+function buildQueue(doctorId, appointments, average, now) {
+  const current = appointments
+    .filter(appointment => appointment.status === 'in_progress')
+    .sort(byToken)[0];
+  const waiting = appointments
+    .filter(appointment => appointment.status === 'checked_in')
+    .sort(byToken);
+
+  const elapsedMinutes = current && current.called_at
+    ? moment(now).diff(moment(current.called_at), 'minutes', true)
+    : 0;
+  const remainingMinutes = current ? Math.max(average.minutes - elapsedMinutes, 0) : 0;
+
+  return {
+    doctor_id: doctorId,
+    date: moment(now).format(DATE_FORMAT),
+    average_consultation_minutes: Math.round(average.minutes),
+    sample_size: average.sampleSize,
+    now_serving: current
+      ? {
+        appointment_id: current.id,
+        token: current.queue_token,
+        patient_id: current.patient_id,
+        called_at: current.called_at
+      }
+      : null,
+    waiting: waiting.map((appointment, index) => {
+      const waitMinutes = Math.round(remainingMinutes + index * average.minutes);
+
+      return {
+        appointment_id: appointment.id,
+        token: appointment.queue_token,
+        patient_id: appointment.patient_id,
+        checked_in_at: appointment.check_in_time,
+        position: index + 1,
+        estimated_wait_minutes: waitMinutes,
+        estimated_call_time: moment(now).add(waitMinutes, 'minutes').toDate()
+      };
+    }),
+    completed_count: appointments.filter(appointment => appointment.status === 'completed').length
+  };
+}
+
+/**
+ * Order appointments by queue token, then check-in time
+ * @param {Object} a - Appointment
+ * @param {Object} b - Appointment
+ * @returns {number} Sort order
+ */
+function byToken(a, b) {
+  return (a.queue_token || 0) - (b.queue_token || 0) ||
+    new Date(a.check_in_time) - new Date(b.check_in_time);
+}
+
+/**
+ * Ensure the user may work a doctor's queue
+ * Everyone may work their own queue; queue:manage covers every doctor's.
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {void}
+ */
+function assertCanAccess(doctorId, currentUser) {
+  if (doctorId !== currentUser.id && !hasPermission(currentUser, 'queue:manage')) {
+    throw new BadRequestError('You can only manage your own queue');
+  }
+}
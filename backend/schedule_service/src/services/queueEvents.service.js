@@ -0,0 +1,32 @@
+/**
+ * Queue Events Service
+ * This module broadcasts check-in queue changes to live subscribers within this process
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+// Every open waiting-room stream holds a listener
+emitter.setMaxListeners(0);
+
+/**
+ * Notify subscribers that a doctor's queue changed
+ * @param {string} doctorId - Doctor ID
+ * @returns {void}
+ */
+exports.publish = (doctorId) => {
+  emitter.emit(`queue:${doctorId}`);
+};
+
+/**
+ * Listen for changes to a doctor's queue
+ * @param {string} doctorId - Doctor ID
+ * @param {Function} listener - Called after each change
+ * @returns {Function} Unsubscribe function
+ */
+exports.subscribe = (doctorId, listener) => {
+  emitter.on(`queue:${doctorId}`, listener);
+
+  return () => emitter.off(`queue:${doctorId}`, listener);
+};
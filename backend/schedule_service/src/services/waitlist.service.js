@@ -0,0 +1,512 @@
+/**
+ * Waitlist Service
+ * This module provides business logic for the per-doctor waitlist and for
+ * backfilling cancelled or no-show slots through expiring holds
+ */
+
+const waitlistRepository = require('../repositories/waitlist.repository');
+const slotHoldRepository = require('../repositories/slotHold.repository');
+const appointmentRepository = require('../repositories/appointment.repository');
+const availabilityExceptionRepository = require('../repositories/availabilityException.repository');
+const appointmentService = require('./appointment.service');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const { formatDate, toInterval } = require('../utils/schedule');
+const { hasPermission } = require('@dr-assistant/auth');
+const { logger } = require('../utils/logger');
+const moment = require('moment');
+
+// Higher ranks are offered freed slots first
+const PRIORITY_RANK = {
+  urgent: 3,
+  high: 2,
+  normal: 1,
+  low: 0
+};
+
+// Freed slots shorter than this are not worth offering
+const MIN_BACKFILL_MINUTES = 10;
+
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+
+/**
+ * Get waitlist entries for a doctor
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} options - Query options ({ status, patientId })
+ * @returns {Promise<Array>} Waitlist entries
+ */
+exports.getDoctorWaitlist = async (doctorId, options = {}) => {
+  try {
+    return await waitlistRepository.findByDoctor(doctorId, options);
+  } catch (error) {
+    logger.error('Error getting doctor waitlist', {
+      error: error.message,
+      stack: error.stack,
+      doctorId,
+      options
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get waitlist entry by ID, with the holds it has been offered
+ * @param {string} id - Waitlist entry ID
+ * @returns {Promise<Object>} Waitlist entry and holds
+ */
+exports.getEntryById = async (id) => {
+  try {
+    const entry = await waitlistRepository.findById(id);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found');
+    }
+
+    const holds = await slotHoldRepository.findByEntry(id);
+
+    return { entry, holds };
+  } catch (error) {
+    logger.error('Error getting waitlist entry by ID', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Add a patient to a doctor's waitlist
+ * @param {Object} entryData - Waitlist entry data
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Created waitlist entry
+ */
+exports.createEntry = async (entryData, currentUser) => {
+  try {
+    assertCanManage(entryData.doctor_id, currentUser);
+
+    validateEntry(entryData);
+
+    const existing = await waitlistRepository.findByDoctor(entryData.doctor_id, {
+      patientId: entryData.patient_id,
+      status: ['waiting', 'offered']
+    });
+
+    if (existing.length > 0) {
+      throw new ConflictError('Patient is already on this doctor\'s waitlist');
+    }
+
+    return await waitlistRepository.create({
+      ...entryData,
+      status: 'waiting',
+      created_by: currentUser.id
+    });
+  } catch (error) {
+    logger.error('Error creating waitlist entry', {
+      error: error.message,
+      stack: error.stack,
+      entryData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a waitlist entry's preferences
+ * @param {string} id - Waitlist entry ID
+ * @param {Object} entryData - Waitlist entry data
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Updated waitlist entry
+ */
+exports.updateEntry = async (id, entryData, currentUser) => {
+  try {
+    const entry = await waitlistRepository.findById(id);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found');
+    }
+
+    assertCanManage(entry.doctor_id, currentUser);
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      throw new BadRequestError(`Cannot update a waitlist entry that is ${entry.status}`);
+    }
+
+    if (entryData.doctor_id && entryData.doctor_id !== entry.doctor_id) {
+      throw new BadRequestError('Cannot change doctor for existing waitlist entry');
+    }
+
+    if (entryData.patient_id && entryData.patient_id !== entry.patient_id) {
+      throw new BadRequestError('Cannot change patient for existing waitlist entry');
+    }
+
+    validateEntry({
+      preferred_windows: entry.preferred_windows,
+      earliest_date: entry.earliest_date,
+      latest_date: entry.latest_date,
+      ...entryData
+    });
+
+    return await waitlistRepository.update(id, entryData);
+  } catch (error) {
+    logger.error('Error updating waitlist entry', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      entryData
+    });
+    throw error;
+  }
+};
+
+/**
+ * Remove a patient from the waitlist
+ * A pending hold for the entry is released and its slot offered to the next patient.
+ * @param {string} id - Waitlist entry ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Removed waitlist entry
+ */
+exports.removeEntry = async (id, currentUser) => {
+  try {
+    const entry = await waitlistRepository.findById(id);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found');
+    }
+
+    assertCanManage(entry.doctor_id, currentUser);
+
+    if (entry.status === 'booked') {
+      throw new BadRequestError('Cannot remove a waitlist entry that has been booked');
+    }
+
+    const removed = await waitlistRepository.update(id, { status: 'removed' });
+
+    const holds = await slotHoldRepository.findByEntry(id);
+    for (const hold of holds.filter(hold => hold.status === 'pending')) {
+      await slotHoldRepository.update(hold.id, { status: 'declined', responded_at: new Date() });
+      await offerSlot(hold);
+    }
+
+    return removed;
+  } catch (error) {
+    logger.error('Error removing waitlist entry', {
+      error: error.message,
+      stack: error.stack,
+      id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Offer the slot freed by a cancelled or no-show appointment to the waitlist
+ * @param {Object} appointment - Freed appointment
+ * @returns {Promise<Object|null>} Created hold, or null if nobody matched
+ */
+exports.backfillSlot = async (appointment) => {
+  try {
+    return await offerSlot({
+      doctor_id: appointment.doctor_id,
+      source_appointment_id: appointment.id,
+      excluded_patient_id: appointment.patient_id,
+      appointment_type: appointment.appointment_type,
+      start_time: appointment.start_time,
+      end_time: appointment.end_time
+    });
+  } catch (error) {
+    logger.error('Error backfilling freed slot', {
+      error: error.message,
+      stack: error.stack,
+      appointmentId: appointment.id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Confirm a hold, booking the held slot for the waitlisted patient
+ * @param {string} holdId - Slot hold ID
+ * @param {string} authToken - Authorization token
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Confirmed hold and booked appointment
+ */
+exports.confirmHold = async (holdId, authToken, currentUser) => {
+  try {
+    const hold = await findPendingHold(holdId, currentUser);
+    const entry = await waitlistRepository.findById(hold.waitlist_entry_id);
+
+    const appointment = await appointmentService.createAppointment({
+      doctor_id: hold.doctor_id,
+      patient_id: hold.patient_id,
+      start_time: hold.start_time,
+      end_time: hold.end_time,
+      appointment_type: hold.appointment_type,
+      status: 'scheduled',
+      reason: entry && entry.reason,
+      notes: entry && entry.notes,
+      created_by: currentUser.id
+    }, authToken, currentUser);
+
+    const confirmed = await slotHoldRepository.update(holdId, {
+      status: 'confirmed',
+      responded_at: new Date(),
+      appointment_id: appointment.id
+    });
+
+    await waitlistRepository.update(hold.waitlist_entry_id, {
+      status: 'booked',
+      appointment_id: appointment.id
+    });
+
+    return { hold: confirmed, appointment };
+  } catch (error) {
+    logger.error('Error confirming slot hold', {
+      error: error.message,
+      stack: error.stack,
+      holdId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Decline a hold; the patient stays on the waitlist and the slot moves to the next match
+ * @param {string} holdId - Slot hold ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Declined hold and the next hold, if any
+ */
+exports.declineHold = async (holdId, currentUser) => {
+  try {
+    const hold = await findPendingHold(holdId, currentUser);
+
+    const declined = await slotHoldRepository.update(holdId, {
+      status: 'declined',
+      responded_at: new Date()
+    });
+
+    await waitlistRepository.update(hold.waitlist_entry_id, { status: 'waiting' });
+
+    const nextHold = await offerSlot(hold);
+
+    return { hold: declined, next_hold: nextHold };
+  } catch (error) {
+    logger.error('Error declining slot hold', {
+      error: error.message,
+      stack: error.stack,
+      holdId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Expire pending holds past their deadline and re-offer their slots
+ * @returns {Promise<number>} Number of holds expired
+ */
+exports.expireHolds = async () => {
+  try {
+    const holds = await slotHoldRepository.findExpired(new Date());
+
+    for (const hold of holds) {
+      await expireHold(hold);
+    }
+
+    return holds.length;
+  } catch (error) {
+    logger.error('Error expiring slot holds', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a hold for the best waitlist match for a slot
+ * Only the part of the slot still in the future is offered. The slot's
+ * `excluded_patient_id` and entries already offered the same freed appointment
+ * are skipped, so a slot walks down the waitlist one patient at a time. The
+ * exclusion is stored on the hold, so a hold passed back in when it is
+ * declined or expires keeps it.
+ * @param {Object} slot - Slot or earlier hold ({ doctor_id, start_time, end_time, appointment_type, ... })
+ * @returns {Promise<Object|null>} Created hold, or null if the slot cannot be offered
+ */
+async function offerSlot(slot) {
+  const start = moment.max(moment(slot.start_time), moment()).toDate();
+  const end = new Date(slot.end_time);
+
+  if (moment(end).diff(moment(start), 'minutes') < MIN_BACKFILL_MINUTES) {
+    return null;
+  }
+
+  // The slot may have been booked, held or blocked since it was freed
+  const conflicts = await appointmentRepository.checkConflicts(start, end, slot.doctor_id);
+  const exceptionConflicts = await availabilityExceptionRepository.checkConflicts(
+    start,
+    end,
+    slot.doctor_id
+  );
+  const activeHolds = await slotHoldRepository.findActive(slot.doctor_id, start, end);
+
+  if (conflicts.length > 0 || exceptionConflicts.length > 0 || activeHolds.length > 0) {
+    return null;
+  }
+
+  const offered = slot.source_appointment_id
+    ? await slotHoldRepository.findBySource(slot.source_appointment_id)
+    : [];
+  const offeredEntryIds = offered.map(hold => hold.waitlist_entry_id);
+
+  const entries = await waitlistRepository.findByDoctor(slot.doctor_id, { status: 'waiting' });
+  const candidates = entries.filter(entry =>
+    entry.patient_id !== slot.excluded_patient_id &&
+    !offeredEntryIds.includes(entry.id) &&
+    matchesSlot(entry, { start, end })
+  );
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const [best] = rankCandidates(candidates, slot.appointment_type);
+
+  const hold = await slotHoldRepository.create({
+    waitlist_entry_id: best.id,
+    doctor_id: slot.doctor_id,
+    patient_id: best.patient_id,
+    source_appointment_id: slot.source_appointment_id || null,
+    excluded_patient_id: slot.excluded_patient_id || null,
+    start_time: start,
+    end_time: end,
+    appointment_type: best.appointment_type,
+    status: 'pending',
+    expires_at: moment().add(HOLD_MINUTES, 'minutes').toDate()
+  });
+
+  await waitlistRepository.update(best.id, { status: 'offered' });
+
+  logger.info('Offered freed slot to waitlisted patient', {
+    holdId: hold.id,
+    waitlistEntryId: best.id,
+    doctorId: slot.doctor_id,
+    startTime: start
+  });
+
+  return hold;
+}
+
+/**
+ * Check whether a slot falls inside a waitlist entry's dates and preferred windows
+ * @param {Object} entry - Waitlist entry
+ * @param {Object} slot - Slot interval ({ start, end })
+ * @returns {boolean} True if the patient would accept the slot
+ */
+function matchesSlot(entry, slot) {
+  const day = formatDate(slot.start);
+
+  if (entry.earliest_date && day < formatDate(entry.earliest_date)) return false;
+  if (entry.latest_date && day > formatDate(entry.latest_date)) return false;
+
+  const windows = entry.preferred_windows || [];
+
+  if (windows.length === 0) {
+    return true;
+  }
+
+  return windows.some(window => {
+    const hasDay = window.day_of_week !== undefined && window.day_of_week !== null;
+    if (hasDay && window.day_of_week !== slot.start.getDay()) return false;
+
+    const interval = toInterval(day, window.start_time, window.end_time);
+    return interval.start <= slot.start && interval.end >= slot.end;
+  });
+}
+
+/**
+ * Order waitlist candidates by priority, then matching appointment type, then waiting time
+ * @param {Array} entries - Matching waitlist entries
+ * @param {string} appointmentType - Appointment type of the freed slot
+ * @returns {Array} Ranked entries
+ */
+function rankCandidates(entries, appointmentType) {
+  return [...entries].sort((a, b) => {
+    const byPriority = PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority];
+    if (byPriority !== 0) return byPriority;
+
+    const byType = Number(b.appointment_type === appointmentType) -
+      Number(a.appointment_type === appointmentType);
+    if (byType !== 0) return byType;
+
+    return new Date(a.created_at) - new Date(b.created_at);
+  });
+}
+
+/**
+ * Find a hold the current user can still answer
+ * Holds found past their deadline are expired on the spot.
+ * @param {string} holdId - Slot hold ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Pending slot hold
+ */
+async function findPendingHold(holdId, currentUser) {
+  const hold = await slotHoldRepository.findById(holdId);
+
+  if (!hold) {
+    throw new NotFoundError('Slot hold not found');
+  }
+
+  assertCanManage(hold.doctor_id, currentUser);
+
+  if (hold.status !== 'pending') {
+    throw new BadRequestError(`Slot hold is already ${hold.status}`);
+  }
+
+  if (new Date(hold.expires_at) <= new Date()) {
+    await expireHold(hold);
+    throw new ConflictError('Slot hold has expired');
+  }
+
+  return hold;
+}
+
+/**
+ * Expire a hold, return its patient to the waitlist and offer the slot onwards
+ * @param {Object} hold - Slot hold
+ * @returns {Promise<void>}
+ */
+async function expireHold(hold) {
+  await slotHoldRepository.update(hold.id, { status: 'expired' });
+  await waitlistRepository.update(hold.waitlist_entry_id, { status: 'waiting' });
+  await offerSlot(hold);
+}
+
+/**
+ * Ensure the current user may manage a doctor's waitlist
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {void}
+ */
+function assertCanManage(doctorId, currentUser) {
+  if (doctorId !== currentUser.id && !hasPermission(currentUser, 'waitlist:manage')) {
+    throw new BadRequestError('You can only manage your own waitlist');
+  }
+}
+
+/**
+ * Validate waitlist dates and preferred windows
+ * @param {Object} entryData - Waitlist entry data
+ * @returns {void}
+ */
+function validateEntry(entryData) {
+  const { earliest_date, latest_date, preferred_windows: windows = [] } = entryData;
+
+  if (earliest_date && latest_date && formatDate(latest_date) < formatDate(earliest_date)) {
+    throw new BadRequestError('Latest date must be on or after earliest date');
+  }
+
+  for (const window of windows || []) {
+    if (!window.start_time || !window.end_time || window.end_time <= window.start_time) {
+      throw new BadRequestError('Preferred windows require a start time before their end time');
+    }
+  }
+}
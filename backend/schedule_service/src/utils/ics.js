@@ -0,0 +1,433 @@
+/**
+ * iCalendar Utility
+ * This module provides helpers for writing and reading RFC 5545 (ICS) calendars
+ */
+
+const moment = require('moment-timezone');
+
+const PRODUCT_ID = '-//Dr Assistant//Schedule Service//EN';
+
+// UID domain for events generated by this service
+const UID_DOMAIN = 'dr-assistant';
+
+// Content lines longer than this must be folded
+const MAX_LINE_OCTETS = 75;
+
+const UTC_FORMAT = 'YYYYMMDD[T]HHmmss[Z]';
+
+const FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// RRULE parts expandEvent understands; rules with any other part are rejected
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+
+/**
+ * Escape a text value for an ICS property
+ * @param {string} value - Text value
+ * @returns {string} Escaped value
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Reverse ICS text escaping
+ * @param {string} value - Escaped value
+ * @returns {string} Text value
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+  (char === 'n' || char === 'N' ? '\n' : char)
+);
+
+/**
+ * Format a date as an ICS UTC date-time
+ * @param {Date|string} date - Date
+ * @returns {string} Date-time (YYYYMMDDTHHmmssZ)
+ */
+const formatDateTime = (date) => moment(date).utc().format(UTC_FORMAT);
+
+/**
+ * Fold a content line at 75 octets, continuing with a leading space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build an ICS calendar
+ * @param {Object} calendar - Calendar ({ name, events })
+ * @param {Array} calendar.events - Events ({ uid, start, end, summary, description, status, updatedAt })
+ * @returns {string} ICS document
+ */
+const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+
+    if (event.status) {
+      lines.push(`STATUS:${event.status}`);
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Get the IANA zone named by a TZID parameter
+ * @param {Object} params - Property parameters
+ * @returns {string|null|undefined} Zone name, null without a TZID, or undefined if unknown
+ */
+const getTimeZone = (params) => {
+  if (!params.TZID) return null;
+
+  // A leading slash marks a globally unique zone name
+  const name = params.TZID.replace(/^\//, '');
+  return moment.tz.zone(name) ? name : undefined;
+};
+
+/**
+ * Parse an ICS date or date-time value
+ * UTC values end in Z and TZID values are read in that zone; floating values
+ * are read as server local time.
+ * @param {string} value - ICS value
+ * @param {Object} params - Property parameters
+ * @returns {Object|null} Parsed value ({ date, allDay, timeZone }), or null if invalid
+ */
+const parseDateValue = (value, params) => {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = moment(value, 'YYYYMMDD', true);
+    return date.isValid() ? { date: date.toDate(), allDay: true, timeZone: null } : null;
+  }
+
+  if (value.endsWith('Z')) {
+    const date = moment.utc(value, UTC_FORMAT, true);
+    return date.isValid() ? { date: date.toDate(), allDay: false, timeZone: 'UTC' } : null;
+  }
+
+  const timeZone = getTimeZone(params);
+  const date = timeZone
+    ? moment.tz(value, 'YYYYMMDD[T]HHmmss', true, timeZone)
+    : moment(value, 'YYYYMMDD[T]HHmmss', true);
+
+  return date.isValid() ? { date: date.toDate(), allDay: false, timeZone } : null;
+};
+
+/**
+ * Parse an RRULE value into a recurrence understood by expandEvent
+ * @param {string} value - RRULE value
+ * @returns {Object|null} Recurrence ({ frequency, interval, count, until, byDay, weekStart }),
+ *   or null if the rule uses anything unsupported
+ */
+const parseRecurrenceRule = (value) => {
+  const parts = value.split(';').reduce((rule, part) => {
+    const [key, partValue] = part.split('=');
+    rule[key.toUpperCase()] = (partValue || '').toUpperCase();
+    return rule;
+  }, {});
+
+  const frequency = FREQUENCIES[parts.FREQ];
+  if (!frequency || Object.keys(parts).some(key => !SUPPORTED_RULE_PARTS.includes(key))) {
+    return null;
+  }
+
+  let byDay = null;
+  if (parts.BYDAY) {
+    byDay = parts.BYDAY.split(',').map((entry) => {
+      const match = entry.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+      return match && {
+        ordinal: match[1] ? parseInt(match[1], 10) : null,
+        weekday: WEEKDAYS[match[2]]
+      };
+    });
+
+    // Ordinals such as 2TU only mean something within a month
+    if (byDay.some(day => !day || (day.ordinal !== null && (frequency !== 'monthly' || day.ordinal === 0)))) {
+      return null;
+    }
+  }
+
+  const weekStart = parts.WKST ? WEEKDAYS[parts.WKST] : WEEKDAYS.MO;
+  if (weekStart === undefined) return null;
+
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL, {}) : null;
+  if (parts.UNTIL && !until) return null;
+
+  return {
+    frequency,
+    interval: parseInt(parts.INTERVAL, 10) || 1,
+    count: parseInt(parts.COUNT, 10) || null,
+    // A date-only UNTIL includes the whole of that day
+    until: until ? (until.allDay ? moment(until.date).endOf('day').toDate() : until.date) : null,
+    byDay,
+    weekStart
+  };
+};
+
+/**
+ * Parse the events of an ICS document
+ * Only the properties needed to find busy time are read. Events that cannot be
+ * placed correctly, such as those in an unknown time zone or with a recurrence
+ * rule expandEvent does not understand, carry the reason in `unsupported`.
+ * @param {string} text - ICS document
+ * @returns {Array} Events ({ uid, summary, start, end, allDay, timeZone, status, transparent,
+ *   recurrence, exdates, recurrenceId, unsupported })
+ */
+const parseEvents = (text) => {
+  // Unfold continuation lines before splitting into properties
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [rawName, ...rawParams] = line.slice(0, separator).split(';');
+    const name = rawName.toUpperCase();
+    const value = line.slice(separator + 1).trim();
+    const params = rawParams.reduce((parsed, param) => {
+      const [key, paramValue = ''] = param.split('=');
+      parsed[key.toUpperCase()] = paramValue.replace(/"/g, '');
+      return parsed;
+    }, {});
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = {
+        transparent: false,
+        recurrence: null,
+        exdates: [],
+        recurrenceId: null,
+        unsupported: null
+      };
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (event && event.start) {
+        events.push(event);
+      }
+      event = null;
+    } else if (event) {
+      // Times in an unknown zone are still read, as floating times, so the event can be reported
+      if (['DTSTART', 'DTEND', 'EXDATE', 'RECURRENCE-ID'].includes(name) && getTimeZone(params) === undefined) {
+        event.unsupported = event.unsupported || `Unknown time zone ${params.TZID}`;
+      }
+
+      if (name === 'UID') {
+        event.uid = value;
+      } else if (name === 'SUMMARY') {
+        event.summary = unescapeText(value);
+      } else if (name === 'DTSTART') {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          event.start = parsed.date;
+          event.allDay = parsed.allDay;
+          event.timeZone = parsed.timeZone;
+        }
+      } else if (name === 'DTEND') {
+        const parsed = parseDateValue(value, params);
+        if (parsed) event.end = parsed.date;
+      } else if (name === 'DURATION') {
+        event.duration = moment.duration(value);
+      } else if (name === 'STATUS') {
+        event.status = value.toUpperCase();
+      } else if (name === 'TRANSP') {
+        event.transparent = value.toUpperCase() === 'TRANSPARENT';
+      } else if (name === 'RRULE') {
+        event.recurrence = parseRecurrenceRule(value);
+        if (!event.recurrence) {
+          event.unsupported = event.unsupported || `Unsupported recurrence rule ${value}`;
+        }
+      } else if (name === 'RDATE') {
+        event.unsupported = event.unsupported || 'Extra occurrence dates (RDATE) are not supported';
+      } else if (name === 'EXDATE') {
+        event.exdates.push(...value.split(',').map(date => parseDateValue(date, params)).filter(Boolean));
+      } else if (name === 'RECURRENCE-ID') {
+        const parsed = parseDateValue(value, params);
+        if (parsed) event.recurrenceId = parsed.date;
+      }
+    }
+  }
+
+  return events.map(({ duration, ...parsed }) => ({
+    ...parsed,
+    end: parsed.end || defaultEnd(parsed, duration)
+  }));
+};
+
+/**
+ * Expand an event into the occurrences that overlap a window
+ * Recurring events are expanded from DTSTART, so COUNT and the BYDAY positions
+ * are counted from the first occurrence, but only occurrences that reach into
+ * the window are returned. Times keep their wall-clock hour in the event's
+ * time zone across daylight saving changes.
+ * @param {Object} event - Parsed event
+ * @param {Object} window - Window ({ start, end })
+ * @param {Array<Date>} [excluded] - Further occurrence starts to leave out, such as moved instances
+ * @returns {Array<Object>} Occurrences ({ start, end, allDay })
+ */
+const expandEvent = (event, window, excluded = []) => {
+  const durationMs = event.end - event.start;
+  const starts = event.recurrence
+    ? expandRule(event, new Date(window.start.getTime() - durationMs), window.end)
+    : [event.start];
+
+  const isExcluded = (start) => excluded.some(date => date.getTime() === start.getTime()) ||
+    event.exdates.some(exdate => (exdate.allDay && !event.allDay
+      ? moment(exdate.date).isSame(start, 'day')
+      : exdate.date.getTime() === start.getTime()));
+
+  return starts
+    .filter(start => !isExcluded(start))
+    .map(start => ({
+      start,
+      end: new Date(start.getTime() + durationMs),
+      allDay: event.allDay
+    }))
+    .filter(occurrence => occurrence.end > window.start && occurrence.start < window.end);
+};
+
+/**
+ * List the occurrence starts of a recurring event up to a date
+ * Each period (day, week or month, every INTERVAL) yields its candidate dates
+ * in order; candidates before DTSTART are not occurrences.
+ * @param {Object} event - Parsed event with a recurrence
+ * @param {Date} from - Earliest start worth returning
+ * @param {Date} to - Stop at the first start on or after this
+ * @returns {Array<Date>} Occurrence starts
+ */
+function expandRule(event, from, to) {
+  const { frequency, interval, count, until, byDay, weekStart } = event.recurrence;
+  const zoned = date => (event.timeZone ? moment.tz(date, event.timeZone) : moment(date));
+  const first = zoned(event.start);
+  const timeOfDay = { hour: first.hour(), minute: first.minute(), second: first.second() };
+
+  // Periods are counted from the one holding DTSTART
+  const origin = {
+    daily: first.clone(),
+    weekly: first.clone().subtract((first.day() - weekStart + 7) % 7, 'days'),
+    monthly: first.clone().startOf('month').set(timeOfDay)
+  }[frequency];
+  const unit = { daily: 'days', weekly: 'weeks', monthly: 'months' }[frequency];
+
+  const candidates = (periodStart) => {
+    if (frequency === 'daily') {
+      return !byDay || byDay.some(day => day.weekday === periodStart.day()) ? [periodStart] : [];
+    }
+
+    if (frequency === 'weekly') {
+      const weekdays = byDay ? byDay.map(day => day.weekday) : [first.day()];
+      return weekdays
+        .map(weekday => periodStart.clone().add((weekday - weekStart + 7) % 7, 'days').set(timeOfDay))
+        .sort((a, b) => a - b);
+    }
+
+    if (!byDay) {
+      // Months without DTSTART's day (such as the 31st) are skipped, not clamped
+      const date = periodStart.clone().date(first.date()).set(timeOfDay);
+      return date.month() === periodStart.month() ? [date] : [];
+    }
+
+    const days = byDay.flatMap(({ ordinal, weekday }) => {
+      const matching = [];
+      for (const day = periodStart.clone(); day.month() === periodStart.month(); day.add(1, 'day')) {
+        if (day.day() === weekday) matching.push(day.clone().set(timeOfDay));
+      }
+
+      if (ordinal === null) return matching;
+      const match = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      return match ? [match] : [];
+    });
+
+    return days.sort((a, b) => a - b);
+  };
+
+  // Without COUNT the periods wholly before the window need not be walked
+  let index = count ? 0 : Math.max(0, Math.floor(zoned(from).diff(origin, unit) / interval) - 1);
+  let seen = 0;
+  const starts = [];
+
+  for (; ; index++) {
+    const periodStart = origin.clone().add(index * interval, unit);
+    if (!periodStart.isBefore(to)) return starts;
+
+    for (const candidate of candidates(periodStart)) {
+      if (candidate.isBefore(first)) continue;
+      const ended = (count && seen >= count) || (until && candidate.isAfter(until));
+      if (ended || !candidate.isBefore(to)) {
+        return starts;
+      }
+
+      seen++;
+      if (!candidate.isBefore(from)) {
+        starts.push(candidate.toDate());
+      }
+    }
+  }
+}
+
+/**
+ * Work out an event end when DTEND is missing
+ * @param {Object} event - Parsed event
+ * @param {Object} [duration] - DURATION value as a moment duration
+ * @returns {Date} Event end
+ */
+function defaultEnd(event, duration) {
+  if (duration && duration.asMilliseconds() > 0) {
+    return moment(event.start).add(duration).toDate();
+  }
+
+  // All-day events last a day; timed events without an end are instantaneous
+  return event.allDay ? moment(event.start).add(1, 'day').toDate() : event.start;
+}
+
+module.exports = {
+  UID_DOMAIN,
+  buildCalendar,
+  parseEvents,
+  expandEvent,
+  formatDateTime
+};
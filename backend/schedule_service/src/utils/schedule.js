@@ -0,0 +1,140 @@
+/**
+ * Schedule Utility
+ * This module provides helpers for turning wall-clock schedule times into concrete intervals
+ */
+
+const moment = require('moment');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const DATETIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// Availability exception types that take the doctor out of the schedule
+const BLOCKING_EXCEPTION_TYPES = ['leave', 'holiday', 'busy'];
+
+// Upper bound on the occurrences a single appointment series may generate
+const MAX_SERIES_OCCURRENCES = 100;
+
+const FREQUENCY_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+};
+
+/**
+ * Normalise a date to a YYYY-MM-DD string in local time
+ * @param {Date|string} date - Date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  // Plain dates are parsed as local dates rather than UTC midnight
+  const value = typeof date === 'string' && date.length === DATE_FORMAT.length
+    ? moment(date, DATE_FORMAT)
+    : moment(date);
+
+  return value.format(DATE_FORMAT);
+};
+
+/**
+ * Build a concrete interval for a date from HH:MM:SS times
+ * Missing times default to the whole day.
+ * @param {Date|string} date - Date
+ * @param {string} [startTime] - Start time (HH:MM:SS)
+ * @param {string} [endTime] - End time (HH:MM:SS)
+ * @returns {Object} Interval ({ start, end } as Date)
+ */
+const toInterval = (date, startTime = null, endTime = null) => {
+  const day = formatDate(date);
+
+  const start = startTime
+    ? moment(`${day} ${startTime}`, DATETIME_FORMAT)
+    : moment(day, DATE_FORMAT).startOf('day');
+  const end = endTime
+    ? moment(`${day} ${endTime}`, DATETIME_FORMAT)
+    : moment(day, DATE_FORMAT).add(1, 'day').startOf('day');
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+/**
+ * Check whether two intervals overlap
+ * @param {Object} a - Interval ({ start, end })
+ * @param {Object} b - Interval ({ start, end })
+ * @returns {boolean} True if the intervals overlap
+ */
+const overlaps = (a, b) =>
+  new Date(a.start) < new Date(b.end) && new Date(a.end) > new Date(b.start);
+
+/**
+ * List the calendar dates touched by a time range
+ * @param {Date|string} startTime - Range start
+ * @param {Date|string} endTime - Range end
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+const datesBetween = (startTime, endTime) => {
+  const dates = [];
+  const day = moment(startTime).startOf('day');
+  const last = moment(endTime);
+
+  while (day.isBefore(last) || dates.length === 0) {
+    dates.push(day.format(DATE_FORMAT));
+    day.add(1, 'day');
+  }
+
+  return dates;
+};
+
+/**
+ * Get the interval an availability exception covers on a date
+ * @param {Object} exception - Availability exception
+ * @param {Date|string} date - Date
+ * @returns {Object|null} Interval, or null if the exception does not cover the date
+ */
+const getExceptionInterval = (exception, date) => {
+  const day = formatDate(date);
+
+  if (day < formatDate(exception.start_date) || day > formatDate(exception.end_date)) {
+    return null;
+  }
+
+  return toInterval(day, exception.start_time, exception.end_time);
+};
+
+/**
+ * Expand an RRULE-style recurrence into occurrence start times
+ * Occurrences are computed from the first start so monthly series do not drift
+ * after short months. Unbounded expansion stops one past MAX_SERIES_OCCURRENCES
+ * so callers can detect an oversized series.
+ * @param {Date|string} startTime - Start of the first occurrence
+ * @param {Object} rule - Recurrence ({ frequency, interval, count, until })
+ * @returns {Array<Date>} Occurrence start times
+ */
+const expandRecurrence = (startTime, rule) => {
+  const { frequency, interval = 1, count = null, until = null } = rule;
+  const unit = FREQUENCY_UNITS[frequency];
+  const first = moment(startTime);
+  const last = until ? moment(formatDate(until), DATE_FORMAT).endOf('day') : null;
+  const limit = count || MAX_SERIES_OCCURRENCES + 1;
+  const occurrences = [];
+
+  for (let index = 0; occurrences.length < limit; index++) {
+    const occurrence = first.clone().add(index * interval, unit);
+
+    if (last && occurrence.isAfter(last)) break;
+
+    occurrences.push(occurrence.toDate());
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  DATE_FORMAT,
+  BLOCKING_EXCEPTION_TYPES,
+  MAX_SERIES_OCCURRENCES,
+  formatDate,
+  toInterval,
+  overlaps,
+  datesBetween,
+  getExceptionInterval,
+  expandRecurrence
+};
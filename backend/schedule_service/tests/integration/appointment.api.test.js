@@ -17,7 +17,7 @@ jest.mock('../../src/middleware/auth.middleware', () => ({
     };
     next();
   },
-  authorizeRoles: (roles) => (req, res, next) => next()
+  requirePermission: () => (req, res, next) => next()
 }));
 
 // Mock external service calls
@@ -0,0 +1,267 @@
+/**
+ * Doctor Availability Repository Tests
+ * This module tests time slot computation in the availability repository
+ */
+
+const moment = require('moment');
+const { DoctorAvailability } = require('../../../src/models');
+const appointmentRepository = require('../../../src/repositories/appointment.repository');
+const availabilityExceptionRepository = require('../../../src/repositories/availabilityException.repository');
+const slotHoldRepository = require('../../../src/repositories/slotHold.repository');
+const availabilityRepository = require('../../../src/repositories/availability.repository');
+
+// Mock the models and the appointment repository
+jest.mock('../../../src/models', () => ({
+  DoctorAvailability: { findAll: jest.fn() },
+  Appointment: {}
+}));
+jest.mock('../../../src/repositories/appointment.repository');
+jest.mock('../../../src/repositories/availabilityException.repository');
+jest.mock('../../../src/repositories/slotHold.repository');
+
+describe('Doctor Availability Repository', () => {
+  const doctorId = 'doctor1';
+  // Monday, far enough in the future that no slot is in the past
+  const date = '2099-06-01';
+
+  const at = (time) => moment(`${date} ${time}`, 'YYYY-MM-DD HH:mm').toISOString();
+
+  // Answer each findAll with the rows matching its is_available filter
+  const mockAvailabilities = (rows) => {
+    DoctorAvailability.findAll.mockImplementation(({ where }) => Promise.resolve(
+      rows.filter(row => (row.is_available !== false) === where.is_available)
+    ));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    appointmentRepository.findByDateRange.mockResolvedValue([]);
+    availabilityExceptionRepository.findByDoctor.mockResolvedValue([]);
+    slotHoldRepository.findActive.mockResolvedValue([]);
+  });
+
+  describe('getAvailableTimeSlots', () => {
+    it('should split availability blocks into slots of the requested duration', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '10:00:00', recurrence_type: 'weekly', created_at: '2099-01-05' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 20);
+
+      // Assert
+      expect(DoctorAvailability.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { doctor_id: doctorId, is_available: true, day_of_week: 1 }
+      }));
+      expect(result).toEqual([
+        { start_time: at('09:00'), end_time: at('09:20'), availability_id: 'a1' },
+        { start_time: at('09:20'), end_time: at('09:40'), availability_id: 'a1' },
+        { start_time: at('09:40'), end_time: at('10:00'), availability_id: 'a1' }
+      ]);
+    });
+
+    it('should exclude slots overlapping active appointments', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00', recurrence_type: 'weekly', created_at: '2099-01-05' }
+      ]);
+      appointmentRepository.findByDateRange.mockResolvedValue([
+        { start_time: at('09:15'), end_time: at('09:45'), status: 'scheduled' },
+        { start_time: at('10:00'), end_time: at('10:30'), status: 'cancelled' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(appointmentRepository.findByDateRange).toHaveBeenCalledWith(
+        expect.any(Date),
+        expect.any(Date),
+        { doctorId }
+      );
+      expect(result.map(slot => slot.start_time)).toEqual([at('10:00'), at('10:30')]);
+    });
+
+    it('should exclude slots held for waitlisted patients', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '10:00:00', recurrence_type: 'weekly', created_at: '2099-01-05' }
+      ]);
+      slotHoldRepository.findActive.mockResolvedValue([
+        { start_time: at('09:00'), end_time: at('09:30') }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result.map(slot => slot.start_time)).toEqual([at('09:30')]);
+    });
+
+    it('should skip biweekly blocks on off weeks', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '09:30:00', recurrence_type: 'biweekly', created_at: '2099-05-25' },
+        { id: 'a2', day_of_week: 1, start_time: '14:00:00', end_time: '14:30:00', recurrence_type: 'biweekly', created_at: '2099-05-18' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result.map(slot => slot.availability_id)).toEqual(['a2']);
+    });
+
+    it('should only use monthly blocks on the same weekday of the month', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '09:30:00', recurrence_type: 'monthly', created_at: '2099-05-04' },
+        { id: 'a2', day_of_week: 1, start_time: '14:00:00', end_time: '14:30:00', recurrence_type: 'monthly', created_at: '2099-05-11' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result.map(slot => slot.availability_id)).toEqual(['a1']);
+    });
+
+    it('should repeat biweekly and monthly blocks from effective_from', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '09:30:00', recurrence_type: 'biweekly', created_at: '2099-05-25', effective_from: '2099-05-18' },
+        // First Monday on or after a Tuesday start is the 25th, an off week
+        { id: 'a2', day_of_week: 1, start_time: '10:00:00', end_time: '10:30:00', recurrence_type: 'biweekly', created_at: '2099-05-18', effective_from: '2099-05-19' },
+        // First Monday on or after the 2nd is the first Monday of the month
+        { id: 'a3', day_of_week: 1, start_time: '14:00:00', end_time: '14:30:00', recurrence_type: 'monthly', created_at: '2099-05-11', effective_from: '2099-05-02' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result.map(slot => slot.availability_id)).toEqual(['a1', 'a3']);
+    });
+
+    it('should ignore blocks before their effective_from date', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '09:30:00', recurrence_type: 'weekly', created_at: '2099-01-05', effective_from: '2099-06-02' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result).toEqual([]);
+    });
+
+    it('should subtract unavailable blocks that occur on the date', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00', recurrence_type: 'weekly', created_at: '2099-01-05' },
+        { id: 'u1', day_of_week: 1, start_time: '09:30:00', end_time: '10:00:00', recurrence_type: 'weekly', created_at: '2099-01-05', is_available: false },
+        // Off week, so 10:30 stays bookable
+        { id: 'u2', day_of_week: 1, start_time: '10:30:00', end_time: '11:00:00', recurrence_type: 'biweekly', created_at: '2099-01-05', effective_from: '2099-05-25', is_available: false }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(DoctorAvailability.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { doctor_id: doctorId, is_available: false, day_of_week: 1 }
+      }));
+      expect(result.map(slot => slot.start_time)).toEqual([at('09:00'), at('10:00'), at('10:30')]);
+    });
+
+    it('should ignore blocks whose recurrence has ended', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '09:30:00', recurrence_type: 'weekly', created_at: '2099-01-05', recurrence_end_date: '2099-05-31' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(appointmentRepository.findByDateRange).not.toHaveBeenCalled();
+    });
+
+    it('should exclude slots during leave and holidays', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00', recurrence_type: 'weekly', created_at: '2099-01-05' }
+      ]);
+      availabilityExceptionRepository.findByDoctor.mockResolvedValue([
+        { id: 'e1', exception_type: 'leave', start_date: date, end_date: date, start_time: '09:30:00', end_time: '10:30:00' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(availabilityExceptionRepository.findByDoctor).toHaveBeenCalledWith(doctorId, {
+        startDate: date,
+        endDate: date
+      });
+      expect(result.map(slot => slot.start_time)).toEqual([at('09:00'), at('10:30')]);
+    });
+
+    it('should return no slots on an all-day holiday', async () => {
+      // Arrange
+      mockAvailabilities([
+        { id: 'a1', day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00', recurrence_type: 'weekly', created_at: '2099-01-05' }
+      ]);
+      availabilityExceptionRepository.findByDoctor.mockResolvedValue([
+        { id: 'e1', exception_type: 'holiday', start_date: '2099-05-31', end_date: '2099-06-02', start_time: null, end_time: null }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(result).toEqual([]);
+    });
+
+    it('should use override hours instead of the regular schedule', async () => {
+      // Arrange
+      availabilityExceptionRepository.findByDoctor.mockResolvedValue([
+        { id: 'e1', exception_type: 'override', start_date: date, end_date: date, start_time: '10:00:00', end_time: '11:00:00' }
+      ]);
+
+      // Act
+      const result = await availabilityRepository.getAvailableTimeSlots(doctorId, date, 30);
+
+      // Assert
+      expect(DoctorAvailability.findAll).not.toHaveBeenCalled();
+      expect(result).toEqual([
+        { start_time: at('10:00'), end_time: at('10:30'), exception_id: 'e1' },
+        { start_time: at('10:30'), end_time: at('11:00'), exception_id: 'e1' }
+      ]);
+    });
+  });
+
+  describe('checkConflicts', () => {
+    it('should only compare blocks of the same kind', async () => {
+      // Arrange
+      DoctorAvailability.findAll.mockResolvedValue([]);
+
+      // Act
+      await availabilityRepository.checkConflicts({
+        doctor_id: doctorId,
+        day_of_week: 1,
+        start_time: '12:00:00',
+        end_time: '13:00:00',
+        is_available: false
+      });
+
+      // Assert
+      expect(DoctorAvailability.findAll).toHaveBeenCalledWith({
+        where: expect.objectContaining({ doctor_id: doctorId, day_of_week: 1, is_available: false })
+      });
+    });
+  });
+});
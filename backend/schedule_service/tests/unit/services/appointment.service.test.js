@@ -5,17 +5,25 @@
 
 const appointmentService = require('../../../src/services/appointment.service');
 const appointmentRepository = require('../../../src/repositories/appointment.repository');
+const availabilityExceptionRepository = require('../../../src/repositories/availabilityException.repository');
+const appointmentSeriesRepository = require('../../../src/repositories/appointmentSeries.repository');
+const slotHoldRepository = require('../../../src/repositories/slotHold.repository');
+const queueEvents = require('../../../src/services/queueEvents.service');
 const { NotFoundError, ScheduleConflictError, BadRequestError } = require('../../../src/utils/errors');
 const axios = require('axios');
 
 // Mock the repository and axios
 jest.mock('../../../src/repositories/appointment.repository');
+jest.mock('../../../src/repositories/availabilityException.repository');
+jest.mock('../../../src/repositories/appointmentSeries.repository');
+jest.mock('../../../src/repositories/slotHold.repository');
 jest.mock('axios');
 
 describe('Appointment Service', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    slotHoldRepository.findActive.mockResolvedValue([]);
   });
 
   describe('getAllAppointments', () => {
@@ -178,7 +186,369 @@ describe('Appointment Service', () => {
       );
       expect(appointmentRepository.create).not.toHaveBeenCalled();
     });
+
+    it('should throw ScheduleConflictError if the doctor is on leave', async () => {
+      // Arrange
+      const currentUser = { id: 'doctor1', role: 'doctor' };
+      const appointmentData = {
+        doctor_id: 'doctor1',
+        patient_id: 'patient1',
+        start_time: '2023-06-01T10:00:00Z',
+        end_time: '2023-06-01T10:30:00Z',
+        appointment_type: 'in_person'
+      };
+
+      axios.get.mockResolvedValue({ data: { success: true, data: { id: 'patient1' } } });
+      appointmentRepository.checkConflicts.mockResolvedValue([]);
+      availabilityExceptionRepository.checkConflicts.mockResolvedValue([
+        { id: 'leave1', exception_type: 'leave', start_date: '2023-06-01', end_date: '2023-06-01' }
+      ]);
+
+      // Act & Assert
+      await expect(appointmentService.createAppointment(appointmentData, 'token', currentUser))
+        .rejects.toThrow('Doctor is unavailable at the requested time');
+      expect(availabilityExceptionRepository.checkConflicts).toHaveBeenCalledWith(
+        appointmentData.start_time,
+        appointmentData.end_time,
+        appointmentData.doctor_id
+      );
+      expect(appointmentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw ScheduleConflictError if the slot is held for another patient', async () => {
+      // Arrange
+      const currentUser = { id: 'doctor1', role: 'doctor' };
+      const appointmentData = {
+        doctor_id: 'doctor1',
+        patient_id: 'patient1',
+        start_time: '2023-06-01T10:00:00Z',
+        end_time: '2023-06-01T10:30:00Z',
+        appointment_type: 'in_person'
+      };
+
+      axios.get.mockResolvedValue({ data: { success: true, data: { id: 'patient1' } } });
+      appointmentRepository.checkConflicts.mockResolvedValue([]);
+      availabilityExceptionRepository.checkConflicts.mockResolvedValue([]);
+      slotHoldRepository.findActive.mockResolvedValue([{ id: 'hold1', patient_id: 'patient2' }]);
+
+      // Act & Assert
+      await expect(appointmentService.createAppointment(appointmentData, 'token', currentUser))
+        .rejects.toThrow('Slot is held for a waitlisted patient');
+      expect(appointmentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should allow the patient a slot is held for to book it', async () => {
+      // Arrange
+      const currentUser = { id: 'doctor1', role: 'doctor' };
+      const appointmentData = {
+        doctor_id: 'doctor1',
+        patient_id: 'patient2',
+        start_time: '2023-06-01T10:00:00Z',
+        end_time: '2023-06-01T10:30:00Z',
+        appointment_type: 'in_person'
+      };
+
+      axios.get.mockResolvedValue({ data: { success: true, data: { id: 'patient2' } } });
+      appointmentRepository.checkConflicts.mockResolvedValue([]);
+      availabilityExceptionRepository.checkConflicts.mockResolvedValue([]);
+      slotHoldRepository.findActive.mockResolvedValue([{ id: 'hold1', patient_id: 'patient2' }]);
+      appointmentRepository.create.mockResolvedValue({ id: '1', ...appointmentData });
+
+      // Act
+      await appointmentService.createAppointment(appointmentData, 'token', currentUser);
+
+      // Assert
+      expect(appointmentRepository.create).toHaveBeenCalledWith(appointmentData);
+    });
+  });
+
+  describe('updateAppointmentStatus', () => {
+    const onSlotFreed = jest.fn();
+
+    it('should offer a cancelled slot to the waitlist', async () => {
+      // Arrange
+      const cancelled = { id: '1', doctor_id: 'doctor1', status: 'cancelled' };
+      appointmentRepository.findById.mockResolvedValue({ id: '1', status: 'scheduled' });
+      appointmentRepository.update.mockResolvedValue(cancelled);
+      onSlotFreed.mockResolvedValue({ id: 'hold1' });
+
+      // Act
+      const result = await appointmentService.updateAppointmentStatus('1', 'cancelled', { onSlotFreed });
+
+      // Assert
+      expect(onSlotFreed).toHaveBeenCalledWith(cancelled);
+      expect(result).toEqual(cancelled);
+    });
+
+    it('should not fail the status change if backfill fails', async () => {
+      // Arrange
+      const noShow = { id: '1', doctor_id: 'doctor1', status: 'no_show' };
+      appointmentRepository.findById.mockResolvedValue({ id: '1', status: 'confirmed' });
+      appointmentRepository.update.mockResolvedValue(noShow);
+      onSlotFreed.mockRejectedValue(new Error('Database unavailable'));
+
+      // Act
+      const result = await appointmentService.updateAppointmentStatus('1', 'no_show', { onSlotFreed });
+
+      // Assert
+      expect(result).toEqual(noShow);
+    });
+
+    it('should draw a queue token when an appointment is checked in', async () => {
+      // Arrange
+      appointmentRepository.findById.mockResolvedValue({ id: '1', doctor_id: 'doctor1', status: 'confirmed' });
+      appointmentRepository.checkIn.mockResolvedValue({ id: '1', status: 'checked_in', queue_token: 4 });
+
+      // Act
+      const result = await appointmentService.updateAppointmentStatus('1', 'checked_in');
+
+      // Assert
+      expect(appointmentRepository.checkIn).toHaveBeenCalledWith('1', 'doctor1', expect.any(Date));
+      expect(appointmentRepository.update).not.toHaveBeenCalled();
+      expect(result.queue_token).toBe(4);
+    });
+
+    it('should not backfill when an appointment is confirmed', async () => {
+      // Arrange
+      appointmentRepository.findById.mockResolvedValue({ id: '1', status: 'scheduled' });
+      appointmentRepository.update.mockResolvedValue({ id: '1', status: 'confirmed' });
+
+      // Act
+      await appointmentService.updateAppointmentStatus('1', 'confirmed', { onSlotFreed });
+
+      // Assert
+      expect(onSlotFreed).not.toHaveBeenCalled();
+    });
   });
 
-  // Add more tests for other methods...
+  describe('createAppointmentSeries', () => {
+    const currentUser = { id: 'doctor1', role: 'doctor' };
+    const seriesData = {
+      doctor_id: 'doctor1',
+      patient_id: 'patient1',
+      start_time: new Date(2099, 5, 1, 10, 0).toISOString(),
+      end_time: new Date(2099, 5, 1, 10, 30).toISOString(),
+      appointment_type: 'follow_up',
+      recurrence: { frequency: 'weekly', count: 3 }
+    };
+
+    beforeEach(() => {
+      axios.get.mockResolvedValue({ data: { success: true, data: { id: 'patient1' } } });
+      appointmentRepository.checkConflicts.mockResolvedValue([]);
+      availabilityExceptionRepository.checkConflicts.mockResolvedValue([]);
+      appointmentSeriesRepository.createWithOccurrences.mockImplementation((series, occurrences) =>
+        Promise.resolve({ series: { id: 'series1', ...series }, appointments: occurrences })
+      );
+    });
+
+    it('should create one appointment per occurrence', async () => {
+      // Act
+      const result = await appointmentService.createAppointmentSeries(seriesData, 'token', currentUser);
+
+      // Assert
+      const [series, occurrences] = appointmentSeriesRepository.createWithOccurrences.mock.calls[0];
+      expect(series).toEqual(expect.objectContaining({ frequency: 'weekly', count: 3, duration_minutes: 30 }));
+      expect(occurrences.map(occurrence => occurrence.start_time)).toEqual([
+        new Date(2099, 5, 1, 10, 0),
+        new Date(2099, 5, 8, 10, 0),
+        new Date(2099, 5, 15, 10, 0)
+      ]);
+      expect(occurrences[2].end_time).toEqual(new Date(2099, 5, 15, 10, 30));
+      expect(appointmentRepository.checkConflicts).toHaveBeenCalledTimes(3);
+      expect(result.skipped).toEqual([]);
+    });
+
+    it('should report which dates collide', async () => {
+      // Arrange
+      appointmentRepository.checkConflicts.mockImplementation((start) =>
+        Promise.resolve(new Date(start).getDate() === 8 ? [{ id: 'existing1' }] : [])
+      );
+
+      // Act & Assert
+      const error = await appointmentService.createAppointmentSeries(seriesData, 'token', currentUser)
+        .catch(err => err);
+      expect(error).toBeInstanceOf(ScheduleConflictError);
+      expect(error.conflicts).toEqual([
+        expect.objectContaining({ date: '2099-06-08', conflicts: [{ id: 'existing1' }] })
+      ]);
+      expect(appointmentSeriesRepository.createWithOccurrences).not.toHaveBeenCalled();
+    });
+
+    it('should skip colliding dates when asked to', async () => {
+      // Arrange
+      availabilityExceptionRepository.checkConflicts.mockImplementation((start) =>
+        Promise.resolve(new Date(start).getDate() === 15 ? [{ id: 'leave1', exception_type: 'leave' }] : [])
+      );
+
+      // Act
+      const result = await appointmentService.createAppointmentSeries(
+        { ...seriesData, skip_conflicts: true },
+        'token',
+        currentUser
+      );
+
+      // Assert
+      const [, occurrences] = appointmentSeriesRepository.createWithOccurrences.mock.calls[0];
+      expect(occurrences).toHaveLength(2);
+      expect(result.skipped.map(collision => collision.date)).toEqual(['2099-06-15']);
+    });
+
+    it('should not book slots held for other waitlisted patients', async () => {
+      // Arrange
+      slotHoldRepository.findActive.mockImplementation((doctorId, start) =>
+        Promise.resolve(new Date(start).getDate() === 8
+          ? [{ id: 'hold1', patient_id: 'patient2' }]
+          : [{ id: 'hold2', patient_id: 'patient1' }])
+      );
+
+      // Act & Assert
+      const error = await appointmentService.createAppointmentSeries(seriesData, 'token', currentUser)
+        .catch(err => err);
+      expect(error).toBeInstanceOf(ScheduleConflictError);
+      expect(error.conflicts).toEqual([
+        expect.objectContaining({ date: '2099-06-08', conflicts: [{ id: 'hold1', patient_id: 'patient2' }] })
+      ]);
+    });
+
+    it('should throw BadRequestError for an unbounded recurrence', async () => {
+      // Act & Assert
+      await expect(appointmentService.createAppointmentSeries(
+        { ...seriesData, recurrence: { frequency: 'weekly' } },
+        'token',
+        currentUser
+      )).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('updateSeriesOccurrence', () => {
+    const currentUser = { id: 'doctor1', role: 'doctor' };
+    const series = { id: 'series1', doctor_id: 'doctor1', count: 4, frequency: 'weekly', interval: 1 };
+    const occurrences = [1, 8, 15, 22].map((day, index) => ({
+      id: `appointment${index + 1}`,
+      series_id: 'series1',
+      status: 'scheduled',
+      start_time: new Date(2099, 5, day, 10, 0),
+      end_time: new Date(2099, 5, day, 10, 30)
+    }));
+
+    beforeEach(() => {
+      appointmentSeriesRepository.findById.mockResolvedValue(series);
+      appointmentRepository.findById.mockResolvedValue(occurrences[2]);
+      appointmentRepository.findBySeries.mockImplementation((seriesId, options = {}) =>
+        Promise.resolve(options.fromTime
+          ? occurrences.filter(occurrence => occurrence.start_time >= options.fromTime)
+          : occurrences)
+      );
+      appointmentRepository.checkConflicts.mockResolvedValue([]);
+      availabilityExceptionRepository.checkConflicts.mockResolvedValue([]);
+      appointmentSeriesRepository.split.mockResolvedValue({ series: { id: 'series2' }, appointments: [] });
+    });
+
+    it('should split the series for this and following occurrences', async () => {
+      // Act
+      await appointmentService.updateSeriesOccurrence(
+        'series1',
+        'appointment3',
+        'following',
+        { start_time: new Date(2099, 5, 16, 14, 0).toISOString() },
+        'token',
+        currentUser
+      );
+
+      // Assert
+      const [seriesId, truncated, newSeries, updates] = appointmentSeriesRepository.split.mock.calls[0];
+      expect(seriesId).toBe('series1');
+      expect(truncated).toEqual({ until: '2099-06-14', count: 2 });
+      expect(newSeries).toEqual(expect.objectContaining({ count: 2, start_time: new Date(2099, 5, 16, 14, 0) }));
+      expect(updates).toEqual([
+        { id: 'appointment3', data: { start_time: new Date(2099, 5, 16, 14, 0), end_time: new Date(2099, 5, 16, 14, 30) } },
+        { id: 'appointment4', data: { start_time: new Date(2099, 5, 23, 14, 0), end_time: new Date(2099, 5, 23, 14, 30) } }
+      ]);
+    });
+
+    it('should ignore moved occurrences when checking conflicts', async () => {
+      // Arrange
+      appointmentRepository.checkConflicts.mockResolvedValue([{ id: 'appointment4' }]);
+
+      // Act
+      await appointmentService.updateSeriesOccurrence(
+        'series1',
+        'appointment3',
+        'following',
+        { start_time: new Date(2099, 5, 22, 10, 0).toISOString() },
+        'token',
+        currentUser
+      );
+
+      // Assert
+      expect(appointmentSeriesRepository.split).toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError for an appointment outside the series', async () => {
+      // Arrange
+      appointmentRepository.findById.mockResolvedValue({ ...occurrences[0], series_id: 'other' });
+
+      // Act & Assert
+      await expect(appointmentService.updateSeriesOccurrence(
+        'series1', 'appointment1', 'all', { notes: 'Bring reports' }, 'token', currentUser
+      )).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('cancelSeriesOccurrences', () => {
+    it('should cancel every open occurrence and the series', async () => {
+      // Arrange
+      appointmentSeriesRepository.findById.mockResolvedValue({ id: 'series1', doctor_id: 'doctor1' });
+      appointmentRepository.findBySeries.mockResolvedValue([{ id: 'appointment1' }, { id: 'appointment2' }]);
+      appointmentSeriesRepository.updateWithOccurrences.mockResolvedValue({ series: {}, appointments: [] });
+
+      // Act
+      await appointmentService.cancelSeriesOccurrences('series1', null, 'all', { id: 'doctor1', role: 'doctor' });
+
+      // Assert
+      expect(appointmentRepository.findBySeries).toHaveBeenCalledWith('series1', {
+        fromTime: null,
+        status: ['scheduled', 'confirmed']
+      });
+      expect(appointmentSeriesRepository.updateWithOccurrences).toHaveBeenCalledWith(
+        'series1',
+        { status: 'cancelled' },
+        [
+          { id: 'appointment1', data: { status: 'cancelled' } },
+          { id: 'appointment2', data: { status: 'cancelled' } }
+        ]
+      );
+    });
+
+    it('should offer each freed slot to the waitlist and update today\'s queue', async () => {
+      // Arrange
+      const today = new Date();
+      const cancelled = [
+        { id: 'appointment1', start_time: today, status: 'cancelled' },
+        { id: 'appointment2', start_time: new Date(2099, 5, 8, 10, 0), status: 'cancelled' }
+      ];
+      const onSlotFreed = jest.fn().mockRejectedValueOnce(new Error('Database unavailable'));
+      const publish = jest.spyOn(queueEvents, 'publish');
+      appointmentSeriesRepository.findById.mockResolvedValue({ id: 'series1', doctor_id: 'doctor1' });
+      appointmentRepository.findBySeries.mockResolvedValue([
+        { id: 'appointment1', start_time: today },
+        { id: 'appointment2', start_time: new Date(2099, 5, 8, 10, 0) }
+      ]);
+      appointmentSeriesRepository.updateWithOccurrences.mockResolvedValue({
+        series: {},
+        appointments: cancelled
+      });
+
+      // Act
+      await appointmentService.cancelSeriesOccurrences(
+        'series1', null, 'all', { id: 'doctor1', role: 'doctor' }, { onSlotFreed }
+      );
+
+      // Assert
+      expect(onSlotFreed).toHaveBeenCalledTimes(2);
+      expect(onSlotFreed).toHaveBeenCalledWith(cancelled[1]);
+      expect(publish).toHaveBeenCalledWith('doctor1');
+      publish.mockRestore();
+    });
+  });
 });
@@ -124,7 +124,10 @@ describe('Doctor Availability Service', () => {
       // Assert
       expect(axios.get).toHaveBeenCalledTimes(1);
       expect(availabilityRepository.checkConflicts).toHaveBeenCalledWith(availabilityData);
-      expect(availabilityRepository.create).toHaveBeenCalledWith(availabilityData);
+      expect(availabilityRepository.create).toHaveBeenCalledWith({
+        effective_from: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        ...availabilityData
+      });
       expect(result).toEqual(mockAvailability);
     });
 
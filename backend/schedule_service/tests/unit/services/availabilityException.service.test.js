@@ -0,0 +1,175 @@
+/**
+ * Availability Exception Service Tests
+ * This module tests the availability exception service
+ */
+
+const availabilityExceptionService = require('../../../src/services/availabilityException.service');
+const availabilityExceptionRepository = require('../../../src/repositories/availabilityException.repository');
+const appointmentRepository = require('../../../src/repositories/appointment.repository');
+const { NotFoundError, BadRequestError } = require('../../../src/utils/errors');
+
+// Mock the repositories
+jest.mock('../../../src/repositories/availabilityException.repository');
+jest.mock('../../../src/repositories/appointment.repository');
+
+describe('Availability Exception Service', () => {
+  const doctor = { id: 'doctor1', role: 'doctor' };
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+  });
+
+  describe('createException', () => {
+    it('should create a new exception', async () => {
+      // Arrange
+      const exceptionData = {
+        doctor_id: 'doctor1',
+        exception_type: 'leave',
+        start_date: '2099-06-01',
+        end_date: '2099-06-05',
+        reason: 'Conference'
+      };
+
+      availabilityExceptionRepository.create.mockResolvedValue({ id: '1', ...exceptionData });
+
+      // Act
+      const result = await availabilityExceptionService.createException(exceptionData, doctor);
+
+      // Assert
+      expect(availabilityExceptionRepository.create).toHaveBeenCalledWith({
+        ...exceptionData,
+        created_by: 'doctor1'
+      });
+      expect(result.id).toBe('1');
+    });
+
+    it('should throw BadRequestError for another doctor', async () => {
+      // Arrange
+      const exceptionData = {
+        doctor_id: 'doctor2',
+        exception_type: 'holiday',
+        start_date: '2099-06-01',
+        end_date: '2099-06-01'
+      };
+
+      // Act & Assert
+      await expect(availabilityExceptionService.createException(exceptionData, doctor))
+        .rejects.toThrow(BadRequestError);
+      expect(availabilityExceptionRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should let a user with availability:manage create one for another doctor', async () => {
+      // Arrange
+      const scheduler = { id: 'reception1', role: 'receptionist', permissions: ['availability:manage'] };
+      const exceptionData = {
+        doctor_id: 'doctor2',
+        exception_type: 'holiday',
+        start_date: '2099-06-01',
+        end_date: '2099-06-01'
+      };
+
+      availabilityExceptionRepository.create.mockResolvedValue({ id: '2', ...exceptionData });
+
+      // Act
+      await availabilityExceptionService.createException(exceptionData, scheduler);
+
+      // Assert
+      expect(availabilityExceptionRepository.create).toHaveBeenCalledWith({
+        ...exceptionData,
+        created_by: 'reception1'
+      });
+    });
+
+    it('should throw BadRequestError if end date is before start date', async () => {
+      // Arrange
+      const exceptionData = {
+        doctor_id: 'doctor1',
+        exception_type: 'leave',
+        start_date: '2099-06-05',
+        end_date: '2099-06-01'
+      };
+
+      // Act & Assert
+      await expect(availabilityExceptionService.createException(exceptionData, doctor))
+        .rejects.toThrow('End date must be on or after start date');
+    });
+
+    it('should throw BadRequestError for an override without hours', async () => {
+      // Arrange
+      const exceptionData = {
+        doctor_id: 'doctor1',
+        exception_type: 'override',
+        start_date: '2099-06-06',
+        end_date: '2099-06-06'
+      };
+
+      // Act & Assert
+      await expect(availabilityExceptionService.createException(exceptionData, doctor))
+        .rejects.toThrow('Schedule overrides require a start time and end time');
+    });
+  });
+
+  describe('getAffectedAppointments', () => {
+    it('should return active appointments overlapping leave', async () => {
+      // Arrange
+      availabilityExceptionRepository.findById.mockResolvedValue({
+        id: 'e1',
+        doctor_id: 'doctor1',
+        exception_type: 'leave',
+        start_date: '2099-06-01',
+        end_date: '2099-06-01',
+        start_time: '09:00:00',
+        end_time: '12:00:00'
+      });
+      appointmentRepository.findByDateRange.mockResolvedValue([
+        { id: 'a1', status: 'scheduled', start_time: new Date(2099, 5, 1, 10, 0), end_time: new Date(2099, 5, 1, 10, 30) },
+        { id: 'a2', status: 'cancelled', start_time: new Date(2099, 5, 1, 11, 0), end_time: new Date(2099, 5, 1, 11, 30) },
+        { id: 'a3', status: 'confirmed', start_time: new Date(2099, 5, 1, 14, 0), end_time: new Date(2099, 5, 1, 14, 30) }
+      ]);
+
+      // Act
+      const result = await availabilityExceptionService.getAffectedAppointments('e1');
+
+      // Assert
+      expect(appointmentRepository.findByDateRange).toHaveBeenCalledWith(
+        new Date(2099, 5, 1),
+        new Date(2099, 5, 2),
+        { doctorId: 'doctor1' }
+      );
+      expect(result.map(appointment => appointment.id)).toEqual(['a1']);
+    });
+
+    it('should return appointments outside override hours', async () => {
+      // Arrange
+      availabilityExceptionRepository.findById.mockResolvedValue({
+        id: 'e1',
+        doctor_id: 'doctor1',
+        exception_type: 'override',
+        start_date: '2099-06-01',
+        end_date: '2099-06-01',
+        start_time: '09:00:00',
+        end_time: '12:00:00'
+      });
+      appointmentRepository.findByDateRange.mockResolvedValue([
+        { id: 'a1', status: 'scheduled', start_time: new Date(2099, 5, 1, 10, 0), end_time: new Date(2099, 5, 1, 10, 30) },
+        { id: 'a2', status: 'scheduled', start_time: new Date(2099, 5, 1, 11, 45), end_time: new Date(2099, 5, 1, 12, 15) }
+      ]);
+
+      // Act
+      const result = await availabilityExceptionService.getAffectedAppointments('e1');
+
+      // Assert
+      expect(result.map(appointment => appointment.id)).toEqual(['a2']);
+    });
+
+    it('should throw NotFoundError if exception not found', async () => {
+      // Arrange
+      availabilityExceptionRepository.findById.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(availabilityExceptionService.getAffectedAppointments('missing'))
+        .rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Calendar Service Tests
+ * This module tests ICS feeds and calendar imports
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const calendarService = require('../../../src/services/calendar.service');
+const calendarFeedRepository = require('../../../src/repositories/calendarFeed.repository');
+const appointmentRepository = require('../../../src/repositories/appointment.repository');
+const availabilityExceptionRepository = require('../../../src/repositories/availabilityException.repository');
+const { BadRequestError, UnauthorizedError } = require('../../../src/utils/errors');
+
+// Mock the repositories
+jest.mock('../../../src/repositories/calendarFeed.repository');
+jest.mock('../../../src/repositories/appointment.repository');
+jest.mock('../../../src/repositories/availabilityException.repository');
+
+describe('Calendar Service', () => {
+  const doctor = { id: 'doctor1', role: 'doctor' };
+  const token = 'a'.repeat(64);
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+  const appointment = {
+    id: 'appointment1',
+    doctor_id: 'doctor1',
+    patient_id: 'patient1',
+    appointment_type: 'follow_up',
+    status: 'confirmed',
+    reason: 'Blood pressure review',
+    start_time: new Date(Date.UTC(2099, 5, 1, 10, 0)),
+    end_time: new Date(Date.UTC(2099, 5, 1, 10, 30))
+  };
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+  });
+
+  describe('issueFeed', () => {
+    it('should store only the hash of a new token', async () => {
+      // Arrange
+      calendarFeedRepository.upsert.mockImplementation(data => Promise.resolve({ id: 'feed1', ...data }));
+
+      // Act
+      const result = await calendarService.issueFeed('doctor1', doctor);
+
+      // Assert
+      expect(result.token).toMatch(/^[0-9a-f]{64}$/);
+      expect(calendarFeedRepository.upsert).toHaveBeenCalledWith({
+        doctor_id: 'doctor1',
+        token_hash: crypto.createHash('sha256').update(result.token).digest('hex'),
+        created_by: 'doctor1'
+      });
+    });
+
+    it('should throw BadRequestError for another doctor', async () => {
+      // Act & Assert
+      await expect(calendarService.issueFeed('doctor2', doctor)).rejects.toThrow(BadRequestError);
+      expect(calendarFeedRepository.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderFeed', () => {
+    it('should publish appointments without patient details', async () => {
+      // Arrange
+      calendarFeedRepository.findByTokenHash.mockResolvedValue({ doctor_id: 'doctor1' });
+      appointmentRepository.findByDateRange.mockResolvedValue([appointment]);
+
+      // Act
+      const ics = await calendarService.renderFeed(token);
+
+      // Assert
+      expect(calendarFeedRepository.findByTokenHash).toHaveBeenCalledWith(tokenHash);
+      expect(appointmentRepository.findByDateRange).toHaveBeenCalledWith(
+        expect.any(Date),
+        expect.any(Date),
+        { doctorId: 'doctor1' }
+      );
+      expect(ics).toContain('UID:appointment1@dr-assistant');
+      expect(ics).toContain('SUMMARY:Follow-up appointment');
+      expect(ics).not.toContain('Blood pressure');
+    });
+
+    it('should throw UnauthorizedError for an unknown token', async () => {
+      // Arrange
+      calendarFeedRepository.findByTokenHash.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(calendarService.renderFeed(token)).rejects.toThrow(UnauthorizedError);
+      expect(appointmentRepository.findByDateRange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importCalendar', () => {
+    // Imports only keep busy time inside the horizon, so events are placed next week
+    const day = (offset) => moment().add(7 + offset, 'days');
+    const ymd = (offset) => day(offset).format('YYYYMMDD');
+    const iso = (offset) => day(offset).format('YYYY-MM-DD');
+
+    const calendar = (...events) => [
+      'BEGIN:VCALENDAR',
+      ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    beforeEach(() => {
+      availabilityExceptionRepository.replaceImported.mockImplementation(
+        (doctorId, fromDate, exceptions) => Promise.resolve({ created: exceptions, removed: 0 })
+      );
+    });
+
+    it('should turn busy events into busy exceptions', async () => {
+      // Arrange
+      const ics = calendar(
+        ['UID:e1', 'SUMMARY:Hospital rounds', `DTSTART:${ymd(0)}T090000`, `DTEND:${ymd(0)}T110000`],
+        ['UID:e2', `DTSTART;VALUE=DATE:${ymd(2)}`, `DTEND;VALUE=DATE:${ymd(4)}`]
+      );
+
+      // Act
+      const result = await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      expect(availabilityExceptionRepository.replaceImported).toHaveBeenCalledWith('doctor1', expect.any(Date), [
+        expect.objectContaining({
+          exception_type: 'busy',
+          start_date: iso(0),
+          end_date: iso(0),
+          start_time: '09:00:00',
+          end_time: '11:00:00',
+          reason: 'Hospital rounds',
+          external_uid: 'e1'
+        }),
+        expect.objectContaining({
+          exception_type: 'busy',
+          start_date: iso(2),
+          end_date: iso(3),
+          start_time: null,
+          end_time: null
+        })
+      ]);
+      expect(result).toEqual({ imported: 2, removed: 0, skipped: 0, rejected: [] });
+    });
+
+    it('should split timed events that cross midnight', async () => {
+      // Arrange
+      const ics = calendar(['UID:e1', `DTSTART:${ymd(0)}T220000`, `DTEND:${ymd(1)}T020000`]);
+
+      // Act
+      await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      const [, , exceptions] = availabilityExceptionRepository.replaceImported.mock.calls[0];
+      const blocks = exceptions.map(({ start_date, start_time, end_time }) =>
+        [start_date, start_time, end_time]
+      );
+      expect(blocks).toEqual([
+        [iso(0), '22:00:00', '23:59:59'],
+        [iso(1), '00:00:00', '02:00:00']
+      ]);
+    });
+
+    it('should skip free, cancelled and own feed events', async () => {
+      // Arrange
+      const ics = calendar(
+        ['UID:e1', `DTSTART:${ymd(0)}T090000`, `DTEND:${ymd(0)}T100000`, 'TRANSP:TRANSPARENT'],
+        ['UID:e2', `DTSTART:${ymd(0)}T090000`, `DTEND:${ymd(0)}T100000`, 'STATUS:CANCELLED'],
+        ['UID:appointment1@dr-assistant', `DTSTART:${ymd(0)}T090000`, `DTEND:${ymd(0)}T100000`]
+      );
+
+      // Act
+      const result = await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      expect(result).toEqual({ imported: 0, removed: 0, skipped: 3, rejected: [] });
+    });
+
+    it('should expand recurring events', async () => {
+      // Arrange
+      const ics = calendar([
+        'UID:e1',
+        `DTSTART:${ymd(0)}T090000`,
+        `DTEND:${ymd(0)}T100000`,
+        'RRULE:FREQ=WEEKLY;COUNT=3'
+      ]);
+
+      // Act
+      await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      const [, , exceptions] = availabilityExceptionRepository.replaceImported.mock.calls[0];
+      expect(exceptions.map(exception => exception.start_date)).toEqual([
+        iso(0),
+        iso(7),
+        iso(14)
+      ]);
+    });
+
+    it('should expand recurring events that started before the window', async () => {
+      // Arrange
+      const ics = calendar([
+        'UID:e1',
+        `DTSTART:${day(-700).format('YYYYMMDD')}T090000`,
+        `DTEND:${day(-700).format('YYYYMMDD')}T100000`,
+        'RRULE:FREQ=WEEKLY'
+      ]);
+
+      // Act
+      await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      const [, , exceptions] = availabilityExceptionRepository.replaceImported.mock.calls[0];
+      expect(exceptions.map(exception => exception.start_date)).toContain(iso(0));
+      expect(exceptions.length).toBeGreaterThanOrEqual(25);
+    });
+
+    it('should replace moved instances of a recurring event', async () => {
+      // Arrange
+      const ics = calendar(
+        ['UID:e1', `DTSTART:${ymd(0)}T090000`, `DTEND:${ymd(0)}T100000`, 'RRULE:FREQ=DAILY;COUNT=3'],
+        ['UID:e1', `RECURRENCE-ID:${ymd(1)}T090000`, `DTSTART:${ymd(1)}T150000`, `DTEND:${ymd(1)}T160000`]
+      );
+
+      // Act
+      await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      const [, , exceptions] = availabilityExceptionRepository.replaceImported.mock.calls[0];
+      expect(exceptions.map(({ start_date, start_time }) => [start_date, start_time])).toEqual([
+        [iso(0), '09:00:00'],
+        [iso(2), '09:00:00'],
+        [iso(1), '15:00:00']
+      ]);
+    });
+
+    it('should reject events it cannot place instead of guessing', async () => {
+      // Arrange
+      const ics = calendar(
+        ['UID:e1', 'SUMMARY:Clinic', `DTSTART;TZID=India Standard Time:${ymd(0)}T090000`],
+        ['UID:e2', `DTSTART:${ymd(0)}T090000`, `DTEND:${ymd(0)}T100000`, 'RRULE:FREQ=MONTHLY;BYMONTHDAY=1,15']
+      );
+
+      // Act
+      const result = await calendarService.importCalendar('doctor1', ics, doctor);
+
+      // Assert
+      expect(result).toEqual({
+        imported: 0,
+        removed: 0,
+        skipped: 0,
+        rejected: [
+          { uid: 'e1', summary: 'Clinic', reason: 'Unknown time zone India Standard Time' },
+          { uid: 'e2', summary: null, reason: 'Unsupported recurrence rule FREQ=MONTHLY;BYMONTHDAY=1,15' }
+        ]
+      });
+    });
+
+    it('should throw BadRequestError for a document that is not a calendar', async () => {
+      // Act & Assert
+      await expect(calendarService.importCalendar('doctor1', 'hello', doctor)).rejects.toThrow(BadRequestError);
+    });
+  });
+});
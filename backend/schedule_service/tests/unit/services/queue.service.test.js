@@ -0,0 +1,197 @@
+/**
+ * Queue Service Tests
+ * This module tests the patient check-in queue
+ */
+
+const queueService = require('../../../src/services/queue.service');
+const queueEvents = require('../../../src/services/queueEvents.service');
+const appointmentRepository = require('../../../src/repositories/appointment.repository');
+const appointmentService = require('../../../src/services/appointment.service');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../../src/utils/errors');
+
+// Mock the repository, the appointment service and queue events
+jest.mock('../../../src/repositories/appointment.repository');
+jest.mock('../../../src/services/appointment.service');
+jest.mock('../../../src/services/queueEvents.service');
+
+describe('Queue Service', () => {
+  const doctor = { id: 'doctor1', role: 'doctor' };
+  const receptionist = { id: 'reception1', role: 'receptionist', permissions: ['queue:manage'] };
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+  const consultation = (minutes) => ({
+    called_at: minutesAgo(60 + minutes),
+    check_out_time: minutesAgo(60)
+  });
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+    appointmentRepository.findRecentConsultations.mockResolvedValue([]);
+  });
+
+  describe('getQueue', () => {
+    it('should estimate waits from actual consultation durations', async () => {
+      // Arrange
+      appointmentRepository.findRecentConsultations.mockResolvedValue([
+        consultation(10),
+        consultation(20)
+      ]);
+      appointmentRepository.findToday.mockResolvedValue([
+        { id: 'a3', patient_id: 'p3', status: 'checked_in', queue_token: 3, check_in_time: minutesAgo(5) },
+        { id: 'a1', patient_id: 'p1', status: 'in_progress', queue_token: 1, called_at: minutesAgo(5) },
+        { id: 'a2', patient_id: 'p2', status: 'checked_in', queue_token: 2, check_in_time: minutesAgo(10) },
+        { id: 'a0', patient_id: 'p0', status: 'completed', queue_token: 0 }
+      ]);
+
+      // Act
+      const queue = await queueService.getQueue('doctor1', doctor);
+
+      // Assert
+      expect(appointmentRepository.findToday).toHaveBeenCalledWith({
+        doctorId: 'doctor1',
+        status: ['checked_in', 'in_progress', 'completed']
+      });
+      expect(queue.average_consultation_minutes).toBe(15);
+      expect(queue.sample_size).toBe(2);
+      expect(queue.now_serving).toEqual(expect.objectContaining({ appointment_id: 'a1', token: 1 }));
+      expect(queue.waiting.map(entry => entry.token)).toEqual([2, 3]);
+      expect(queue.waiting.map(entry => [entry.position, entry.estimated_wait_minutes])).toEqual([
+        [1, 10],
+        [2, 25]
+      ]);
+      expect(queue.completed_count).toBe(1);
+    });
+
+    it('should fall back to the default duration and ignore implausible ones', async () => {
+      // Arrange
+      appointmentRepository.findRecentConsultations.mockResolvedValue([
+        consultation(600),
+        { called_at: minutesAgo(10), check_out_time: minutesAgo(20) }
+      ]);
+      appointmentRepository.findToday.mockResolvedValue([
+        { id: 'a1', patient_id: 'p1', status: 'checked_in', queue_token: 1 },
+        { id: 'a2', patient_id: 'p2', status: 'checked_in', queue_token: 2 }
+      ]);
+
+      // Act
+      const queue = await queueService.getQueue('doctor1', doctor);
+
+      // Assert
+      expect(queue.sample_size).toBe(0);
+      expect(queue.now_serving).toBeNull();
+      expect(queue.waiting.map(entry => entry.estimated_wait_minutes)).toEqual([0, 15]);
+    });
+
+    it('should not let a doctor view another doctor\'s queue', async () => {
+      // Act & Assert
+      await expect(queueService.getQueue('doctor2', doctor)).rejects.toThrow(BadRequestError);
+      expect(appointmentRepository.findToday).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkIn', () => {
+    it('should check in today\'s appointment and notify the queue', async () => {
+      // Arrange
+      appointmentRepository.findById.mockResolvedValue({
+        id: 'a1',
+        doctor_id: 'doctor1',
+        status: 'scheduled',
+        start_time: new Date()
+      });
+      appointmentRepository.checkIn.mockResolvedValue({ id: 'a1', status: 'checked_in', queue_token: 7 });
+
+      // Act
+      const result = await queueService.checkIn('a1', receptionist);
+
+      // Assert
+      expect(appointmentRepository.checkIn).toHaveBeenCalledWith('a1', 'doctor1', expect.any(Date));
+      expect(queueEvents.publish).toHaveBeenCalledWith('doctor1');
+      expect(result.queue_token).toBe(7);
+    });
+
+    it('should reject an appointment on another day', async () => {
+      // Arrange
+      appointmentRepository.findById.mockResolvedValue({
+        id: 'a1',
+        doctor_id: 'doctor1',
+        status: 'confirmed',
+        start_time: new Date(Date.now() + 2 * 24 * 60 * 60000)
+      });
+
+      // Act & Assert
+      await expect(queueService.checkIn('a1', receptionist)).rejects.toThrow('Only today\'s appointments can be checked in');
+      expect(appointmentRepository.checkIn).not.toHaveBeenCalled();
+    });
+
+    it('should reject an appointment that is already checked in', async () => {
+      // Arrange
+      appointmentRepository.findById.mockResolvedValue({
+        id: 'a1',
+        doctor_id: 'doctor1',
+        status: 'checked_in',
+        start_time: new Date()
+      });
+
+      // Act & Assert
+      await expect(queueService.checkIn('a1', receptionist)).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('callNext', () => {
+    it('should call the lowest waiting token', async () => {
+      // Arrange
+      appointmentRepository.findToday.mockResolvedValue([
+        { id: 'a3', status: 'checked_in', queue_token: 3 },
+        { id: 'a2', status: 'checked_in', queue_token: 2 }
+      ]);
+      appointmentService.updateAppointmentStatus.mockResolvedValue({ id: 'a2', status: 'in_progress' });
+
+      // Act
+      const result = await queueService.callNext('doctor1', {}, doctor);
+
+      // Assert
+      expect(appointmentService.updateAppointmentStatus).toHaveBeenCalledTimes(1);
+      expect(appointmentService.updateAppointmentStatus).toHaveBeenCalledWith('a2', 'in_progress');
+      expect(result).toEqual({ completed: null, called: { id: 'a2', status: 'in_progress' } });
+    });
+
+    it('should refuse while a consultation is in progress', async () => {
+      // Arrange
+      appointmentRepository.findToday.mockResolvedValue([
+        { id: 'a1', status: 'in_progress', queue_token: 1 },
+        { id: 'a2', status: 'checked_in', queue_token: 2 }
+      ]);
+
+      // Act & Assert
+      await expect(queueService.callNext('doctor1', {}, doctor)).rejects.toThrow(ConflictError);
+      expect(appointmentService.updateAppointmentStatus).not.toHaveBeenCalled();
+    });
+
+    it('should complete the current consultation first when asked', async () => {
+      // Arrange
+      appointmentRepository.findToday.mockResolvedValue([
+        { id: 'a1', status: 'in_progress', queue_token: 1 },
+        { id: 'a2', status: 'checked_in', queue_token: 2 }
+      ]);
+
+      // Act
+      await queueService.callNext('doctor1', { complete_current: true }, doctor);
+
+      // Assert
+      expect(appointmentService.updateAppointmentStatus.mock.calls).toEqual([
+        ['a1', 'completed'],
+        ['a2', 'in_progress']
+      ]);
+    });
+
+    it('should throw NotFoundError when nobody is waiting', async () => {
+      // Arrange
+      appointmentRepository.findToday.mockResolvedValue([]);
+
+      // Act & Assert
+      await expect(queueService.callNext('doctor1', {}, doctor)).rejects.toThrow(NotFoundError);
+    });
+  });
+});
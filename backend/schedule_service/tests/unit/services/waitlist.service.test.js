@@ -0,0 +1,390 @@
+/**
+ * Waitlist Service Tests
+ * This module tests the waitlist service and slot backfill
+ */
+
+const waitlistService = require('../../../src/services/waitlist.service');
+const waitlistRepository = require('../../../src/repositories/waitlist.repository');
+const slotHoldRepository = require('../../../src/repositories/slotHold.repository');
+const appointmentRepository = require('../../../src/repositories/appointment.repository');
+const availabilityExceptionRepository = require('../../../src/repositories/availabilityException.repository');
+const appointmentService = require('../../../src/services/appointment.service');
+const { BadRequestError, ConflictError } = require('../../../src/utils/errors');
+
+// Mock the repositories and the appointment service
+jest.mock('../../../src/repositories/waitlist.repository');
+jest.mock('../../../src/repositories/slotHold.repository');
+jest.mock('../../../src/repositories/appointment.repository');
+jest.mock('../../../src/repositories/availabilityException.repository');
+jest.mock('../../../src/services/appointment.service');
+
+describe('Waitlist Service', () => {
+  const doctor = { id: 'doctor1', role: 'doctor' };
+
+  // Monday 1 June 2099, 10:00-10:30
+  const freed = {
+    id: 'appointment1',
+    doctor_id: 'doctor1',
+    patient_id: 'patient0',
+    appointment_type: 'follow_up',
+    start_time: new Date(2099, 5, 1, 10, 0),
+    end_time: new Date(2099, 5, 1, 10, 30)
+  };
+
+  const entry = (id, fields = {}) => ({
+    id,
+    doctor_id: 'doctor1',
+    patient_id: `patient-${id}`,
+    appointment_type: 'in_person',
+    priority: 'normal',
+    preferred_windows: [],
+    status: 'waiting',
+    created_at: new Date(2099, 0, 1),
+    ...fields
+  });
+
+  beforeEach(() => {
+    // Clear all mocks before each test
+    jest.clearAllMocks();
+    appointmentRepository.checkConflicts.mockResolvedValue([]);
+    availabilityExceptionRepository.checkConflicts.mockResolvedValue([]);
+    slotHoldRepository.findActive.mockResolvedValue([]);
+    slotHoldRepository.findBySource.mockResolvedValue([]);
+    slotHoldRepository.create.mockImplementation(data => Promise.resolve({ id: 'hold1', ...data }));
+  });
+
+  describe('createEntry', () => {
+    it('should add a patient to the waitlist', async () => {
+      // Arrange
+      const entryData = { doctor_id: 'doctor1', patient_id: 'patient1', appointment_type: 'in_person' };
+      waitlistRepository.findByDoctor.mockResolvedValue([]);
+      waitlistRepository.create.mockResolvedValue({ id: 'entry1', ...entryData });
+
+      // Act
+      const result = await waitlistService.createEntry(entryData, doctor);
+
+      // Assert
+      expect(waitlistRepository.create).toHaveBeenCalledWith({
+        ...entryData,
+        status: 'waiting',
+        created_by: 'doctor1'
+      });
+      expect(result.id).toBe('entry1');
+    });
+
+    it('should throw ConflictError if the patient is already waiting', async () => {
+      // Arrange
+      const entryData = { doctor_id: 'doctor1', patient_id: 'patient1', appointment_type: 'in_person' };
+      waitlistRepository.findByDoctor.mockResolvedValue([entry('entry1')]);
+
+      // Act & Assert
+      await expect(waitlistService.createEntry(entryData, doctor)).rejects.toThrow(ConflictError);
+      expect(waitlistRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw BadRequestError for an invalid preferred window', async () => {
+      // Arrange
+      const entryData = {
+        doctor_id: 'doctor1',
+        patient_id: 'patient1',
+        appointment_type: 'in_person',
+        preferred_windows: [{ start_time: '12:00:00', end_time: '09:00:00' }]
+      };
+
+      // Act & Assert
+      await expect(waitlistService.createEntry(entryData, doctor)).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('backfillSlot', () => {
+    it('should hold the slot for the highest priority match', async () => {
+      // Arrange
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e1', { created_at: new Date(2098, 0, 1) }),
+        entry('e2', { priority: 'urgent' }),
+        entry('e3', { priority: 'high' })
+      ]);
+
+      // Act
+      const hold = await waitlistService.backfillSlot(freed);
+
+      // Assert
+      expect(waitlistRepository.findByDoctor).toHaveBeenCalledWith('doctor1', { status: 'waiting' });
+      expect(slotHoldRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        waitlist_entry_id: 'e2',
+        patient_id: 'patient-e2',
+        source_appointment_id: 'appointment1',
+        excluded_patient_id: 'patient0',
+        start_time: freed.start_time,
+        end_time: freed.end_time,
+        status: 'pending',
+        expires_at: expect.any(Date)
+      }));
+      expect(waitlistRepository.update).toHaveBeenCalledWith('e2', { status: 'offered' });
+      expect(hold.waitlist_entry_id).toBe('e2');
+    });
+
+    it('should prefer a matching appointment type, then the longest waiting', async () => {
+      // Arrange
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e1', { created_at: new Date(2098, 0, 1) }),
+        entry('e2', { appointment_type: 'follow_up', created_at: new Date(2099, 0, 2) }),
+        entry('e3', { appointment_type: 'follow_up', created_at: new Date(2099, 0, 1) })
+      ]);
+
+      // Act
+      const hold = await waitlistService.backfillSlot(freed);
+
+      // Assert
+      expect(hold.waitlist_entry_id).toBe('e3');
+    });
+
+    it('should skip entries whose preferred windows or dates exclude the slot', async () => {
+      // Arrange
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e1', { priority: 'urgent', preferred_windows: [{ start_time: '14:00:00', end_time: '17:00:00' }] }),
+        entry('e2', { priority: 'urgent', preferred_windows: [{ day_of_week: 2, start_time: '09:00:00', end_time: '12:00:00' }] }),
+        entry('e3', { priority: 'urgent', earliest_date: '2099-06-02' }),
+        entry('e4', { preferred_windows: [{ day_of_week: 1, start_time: '09:00:00', end_time: '12:00:00' }] })
+      ]);
+
+      // Act
+      const hold = await waitlistService.backfillSlot(freed);
+
+      // Assert
+      expect(hold.waitlist_entry_id).toBe('e4');
+    });
+
+    it('should not offer the slot back to the patient who freed it', async () => {
+      // Arrange
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e1', { patient_id: 'patient0' })
+      ]);
+
+      // Act
+      const hold = await waitlistService.backfillSlot(freed);
+
+      // Assert
+      expect(hold).toBeNull();
+      expect(slotHoldRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should not offer a slot that has been booked since it was freed', async () => {
+      // Arrange
+      appointmentRepository.checkConflicts.mockResolvedValue([{ id: 'appointment2' }]);
+      waitlistRepository.findByDoctor.mockResolvedValue([entry('e1')]);
+
+      // Act
+      const hold = await waitlistService.backfillSlot(freed);
+
+      // Assert
+      expect(hold).toBeNull();
+      expect(slotHoldRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should not offer a slot that has already ended', async () => {
+      // Arrange
+      waitlistRepository.findByDoctor.mockResolvedValue([entry('e1')]);
+
+      // Act
+      const hold = await waitlistService.backfillSlot({
+        ...freed,
+        start_time: new Date(2000, 0, 1, 10, 0),
+        end_time: new Date(2000, 0, 1, 10, 30)
+      });
+
+      // Assert
+      expect(hold).toBeNull();
+    });
+  });
+
+  describe('confirmHold', () => {
+    it('should book the held slot and mark the entry booked', async () => {
+      // Arrange
+      const hold = {
+        id: 'hold1',
+        waitlist_entry_id: 'e1',
+        doctor_id: 'doctor1',
+        patient_id: 'patient1',
+        start_time: freed.start_time,
+        end_time: freed.end_time,
+        appointment_type: 'in_person',
+        status: 'pending',
+        expires_at: new Date(Date.now() + 60000)
+      };
+      slotHoldRepository.findById.mockResolvedValue(hold);
+      waitlistRepository.findById.mockResolvedValue(entry('e1', { reason: 'Earlier review' }));
+      appointmentService.createAppointment.mockResolvedValue({ id: 'appointment2' });
+      slotHoldRepository.update.mockResolvedValue({ ...hold, status: 'confirmed' });
+
+      // Act
+      const result = await waitlistService.confirmHold('hold1', 'token', doctor);
+
+      // Assert
+      expect(appointmentService.createAppointment).toHaveBeenCalledWith(expect.objectContaining({
+        doctor_id: 'doctor1',
+        patient_id: 'patient1',
+        start_time: freed.start_time,
+        end_time: freed.end_time,
+        reason: 'Earlier review'
+      }), 'token', doctor);
+      expect(waitlistRepository.update).toHaveBeenCalledWith('e1', {
+        status: 'booked',
+        appointment_id: 'appointment2'
+      });
+      expect(result.appointment.id).toBe('appointment2');
+    });
+
+    it('should expire a hold past its deadline and re-offer the slot', async () => {
+      // Arrange
+      slotHoldRepository.findById.mockResolvedValue({
+        id: 'hold1',
+        waitlist_entry_id: 'e1',
+        doctor_id: 'doctor1',
+        source_appointment_id: 'appointment1',
+        excluded_patient_id: 'patient0',
+        start_time: freed.start_time,
+        end_time: freed.end_time,
+        status: 'pending',
+        expires_at: new Date(Date.now() - 60000)
+      });
+      slotHoldRepository.findBySource.mockResolvedValue([{ waitlist_entry_id: 'e1' }]);
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e0', { patient_id: 'patient0', priority: 'urgent' }),
+        entry('e1'),
+        entry('e2')
+      ]);
+
+      // Act & Assert
+      await expect(waitlistService.confirmHold('hold1', 'token', doctor)).rejects.toThrow('Slot hold has expired');
+      expect(slotHoldRepository.update).toHaveBeenCalledWith('hold1', { status: 'expired' });
+      expect(waitlistRepository.update).toHaveBeenCalledWith('e1', { status: 'waiting' });
+      expect(slotHoldRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        waitlist_entry_id: 'e2',
+        excluded_patient_id: 'patient0'
+      }));
+      expect(appointmentService.createAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should not let another doctor confirm the hold', async () => {
+      // Arrange
+      slotHoldRepository.findById.mockResolvedValue({
+        id: 'hold1',
+        waitlist_entry_id: 'e1',
+        doctor_id: 'doctor2',
+        status: 'pending',
+        expires_at: new Date(Date.now() - 60000)
+      });
+
+      // Act & Assert
+      await expect(waitlistService.confirmHold('hold1', 'token', doctor)).rejects.toThrow(BadRequestError);
+      expect(slotHoldRepository.update).not.toHaveBeenCalled();
+      expect(appointmentService.createAppointment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('declineHold', () => {
+    it('should return the entry to the waitlist and offer the slot to the next match', async () => {
+      // Arrange
+      const hold = {
+        id: 'hold1',
+        waitlist_entry_id: 'e1',
+        doctor_id: 'doctor1',
+        source_appointment_id: 'appointment1',
+        excluded_patient_id: 'patient0',
+        start_time: freed.start_time,
+        end_time: freed.end_time,
+        appointment_type: 'follow_up',
+        status: 'pending',
+        expires_at: new Date(Date.now() + 60000)
+      };
+      slotHoldRepository.findById.mockResolvedValue(hold);
+      slotHoldRepository.update.mockResolvedValue({ ...hold, status: 'declined' });
+      slotHoldRepository.findBySource.mockResolvedValue([{ waitlist_entry_id: 'e1' }]);
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e0', { patient_id: 'patient0', priority: 'urgent' }),
+        entry('e1'),
+        entry('e2')
+      ]);
+
+      // Act
+      const result = await waitlistService.declineHold('hold1', doctor);
+
+      // Assert
+      expect(waitlistRepository.update).toHaveBeenCalledWith('e1', { status: 'waiting' });
+      expect(result.next_hold.waitlist_entry_id).toBe('e2');
+      expect(result.next_hold.excluded_patient_id).toBe('patient0');
+    });
+
+    it('should not let another doctor decline the hold', async () => {
+      // Arrange
+      slotHoldRepository.findById.mockResolvedValue({
+        id: 'hold1',
+        waitlist_entry_id: 'e1',
+        doctor_id: 'doctor2',
+        status: 'pending',
+        expires_at: new Date(Date.now() + 60000)
+      });
+
+      // Act & Assert
+      await expect(waitlistService.declineHold('hold1', doctor)).rejects.toThrow(BadRequestError);
+      expect(slotHoldRepository.update).not.toHaveBeenCalled();
+      expect(waitlistRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeEntry', () => {
+    it('should release a pending hold without offering it back to the patient who freed it', async () => {
+      // Arrange
+      waitlistRepository.findById.mockResolvedValue(entry('e1', { status: 'offered' }));
+      waitlistRepository.update.mockResolvedValue(entry('e1', { status: 'removed' }));
+      slotHoldRepository.findByEntry.mockResolvedValue([{
+        id: 'hold1',
+        waitlist_entry_id: 'e1',
+        doctor_id: 'doctor1',
+        source_appointment_id: 'appointment1',
+        excluded_patient_id: 'patient0',
+        start_time: freed.start_time,
+        end_time: freed.end_time,
+        status: 'pending'
+      }]);
+      slotHoldRepository.findBySource.mockResolvedValue([{ waitlist_entry_id: 'e1' }]);
+      waitlistRepository.findByDoctor.mockResolvedValue([
+        entry('e0', { patient_id: 'patient0', priority: 'urgent' }),
+        entry('e2')
+      ]);
+
+      // Act
+      await waitlistService.removeEntry('e1', doctor);
+
+      // Assert
+      expect(slotHoldRepository.update).toHaveBeenCalledWith('hold1', {
+        status: 'declined',
+        responded_at: expect.any(Date)
+      });
+      expect(slotHoldRepository.create).toHaveBeenCalledTimes(1);
+      expect(slotHoldRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        waitlist_entry_id: 'e2',
+        excluded_patient_id: 'patient0'
+      }));
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('should expire every overdue hold', async () => {
+      // Arrange
+      slotHoldRepository.findExpired.mockResolvedValue([
+        { id: 'hold1', waitlist_entry_id: 'e1', end_time: new Date(2000, 0, 1) },
+        { id: 'hold2', waitlist_entry_id: 'e2', end_time: new Date(2000, 0, 1) }
+      ]);
+
+      // Act
+      const count = await waitlistService.expireHolds();
+
+      // Assert
+      expect(count).toBe(2);
+      expect(slotHoldRepository.update).toHaveBeenCalledWith('hold1', { status: 'expired' });
+      expect(slotHoldRepository.update).toHaveBeenCalledWith('hold2', { status: 'expired' });
+    });
+  });
+});
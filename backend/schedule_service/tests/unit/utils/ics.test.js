@@ -0,0 +1,270 @@
+/**
+ * iCalendar Utility Tests
+ * This module tests ICS generation and parsing
+ */
+
+const { buildCalendar, parseEvents, expandEvent } = require('../../../src/utils/ics');
+
+describe('iCalendar Utility', () => {
+  const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  describe('buildCalendar', () => {
+    it('should write events with UTC times and escaped text', () => {
+      // Act
+      const ics = buildCalendar({
+        name: 'Appointments',
+        events: [{
+          uid: 'a1@dr-assistant',
+          start: new Date(Date.UTC(2099, 5, 1, 10, 0)),
+          end: new Date(Date.UTC(2099, 5, 1, 10, 30)),
+          updatedAt: new Date(Date.UTC(2099, 4, 1)),
+          summary: 'Review; labs, x-ray',
+          status: 'CONFIRMED'
+        }]
+      });
+
+      // Assert
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain('DTSTART:20990601T100000Z\r\n');
+      expect(ics).toContain('DTEND:20990601T103000Z\r\n');
+      expect(ics).toContain('SUMMARY:Review\\; labs\\, x-ray\r\n');
+      expect(ics).toContain('STATUS:CONFIRMED\r\n');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('should fold lines longer than 75 octets', () => {
+      // Act
+      const ics = buildCalendar({
+        name: 'Appointments',
+        events: [{
+          uid: 'a1@dr-assistant',
+          start: new Date(Date.UTC(2099, 5, 1, 10, 0)),
+          end: new Date(Date.UTC(2099, 5, 1, 10, 30)),
+          summary: 'x'.repeat(200)
+        }]
+      });
+
+      // Assert
+      const lines = ics.split('\r\n');
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(parseEvents(ics)[0].summary).toBe('x'.repeat(200));
+    });
+  });
+
+  describe('parseEvents', () => {
+    it('should read timed, all-day and recurring events', () => {
+      // Arrange
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:e1',
+        'SUMMARY:Board meeting',
+        'DTSTART:20990601T090000Z',
+        'DTEND:20990601T100000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:e2',
+        'DTSTART;VALUE=DATE:20990605',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:e3',
+        'DTSTART;TZID=Europe/London:20990602T140000',
+        'DURATION:PT2H',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      // Act
+      const [timed, allDay, recurring] = parseEvents(ics);
+
+      // Assert
+      expect(timed).toEqual(expect.objectContaining({
+        uid: 'e1',
+        summary: 'Board meeting',
+        start: new Date(Date.UTC(2099, 5, 1, 9, 0)),
+        end: new Date(Date.UTC(2099, 5, 1, 10, 0)),
+        allDay: false
+      }));
+      expect(allDay).toEqual(expect.objectContaining({
+        start: new Date(2099, 5, 5),
+        end: new Date(2099, 5, 6),
+        allDay: true,
+        transparent: true
+      }));
+      // London is on summer time (UTC+1) in June
+      expect(recurring.start).toEqual(new Date(Date.UTC(2099, 5, 2, 13, 0)));
+      expect(recurring.end).toEqual(new Date(Date.UTC(2099, 5, 2, 15, 0)));
+      expect(recurring.timeZone).toBe('Europe/London');
+      expect(recurring.recurrence).toEqual({
+        frequency: 'weekly',
+        interval: 2,
+        count: 3,
+        until: null,
+        byDay: null,
+        weekStart: 1
+      });
+    });
+
+    it('should read exception dates and moved instances', () => {
+      // Arrange
+      const ics = calendar(
+        [
+          'UID:e1',
+          'DTSTART;TZID=Asia/Kolkata:20990601T090000',
+          'DTEND;TZID=Asia/Kolkata:20990601T100000',
+          'RRULE:FREQ=DAILY',
+          'EXDATE;TZID=Asia/Kolkata:20990602T090000,20990603T090000',
+          'EXDATE;VALUE=DATE:20990610'
+        ],
+        ['UID:e1', 'RECURRENCE-ID;TZID=Asia/Kolkata:20990605T090000', 'DTSTART;TZID=Asia/Kolkata:20990605T150000']
+      );
+
+      // Act
+      const [recurring, moved] = parseEvents(ics);
+
+      // Assert
+      expect(recurring.exdates).toEqual([
+        { date: new Date(Date.UTC(2099, 5, 2, 3, 30)), allDay: false, timeZone: 'Asia/Kolkata' },
+        { date: new Date(Date.UTC(2099, 5, 3, 3, 30)), allDay: false, timeZone: 'Asia/Kolkata' },
+        { date: new Date(2099, 5, 10), allDay: true, timeZone: null }
+      ]);
+      expect(moved.recurrenceId).toEqual(new Date(Date.UTC(2099, 5, 5, 3, 30)));
+      expect(moved.start).toEqual(new Date(Date.UTC(2099, 5, 5, 9, 30)));
+    });
+
+    it('should mark events that cannot be placed reliably', () => {
+      // Arrange
+      const ics = calendar(
+        ['UID:e1', 'DTSTART;TZID=India Standard Time:20990601T090000'],
+        ['UID:e2', 'DTSTART:20990601T090000Z', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=1,15'],
+        ['UID:e3', 'DTSTART:20990601T090000Z', 'RRULE:FREQ=YEARLY'],
+        ['UID:e4', 'DTSTART:20990601T090000Z', 'RRULE:FREQ=WEEKLY;BYDAY=2TU'],
+        ['UID:e5', 'DTSTART:20990601T090000Z', 'RDATE:20990605T090000Z'],
+        ['UID:e6', 'DTSTART:20990601T090000Z', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE']
+      );
+
+      // Act
+      const events = parseEvents(ics);
+
+      // Assert
+      expect(events.map(event => event.unsupported)).toEqual([
+        'Unknown time zone India Standard Time',
+        'Unsupported recurrence rule FREQ=MONTHLY;BYMONTHDAY=1,15',
+        'Unsupported recurrence rule FREQ=YEARLY',
+        'Unsupported recurrence rule FREQ=WEEKLY;BYDAY=2TU',
+        'Extra occurrence dates (RDATE) are not supported',
+        null
+      ]);
+    });
+  });
+
+  describe('expandEvent', () => {
+    const utc = (...args) => new Date(Date.UTC(...args));
+    const starts = (lines, window, excluded) =>
+      expandEvent(parseEvents(calendar(lines))[0], window, excluded)
+        .map(occurrence => occurrence.start);
+
+    it('should expand an old rule across the whole window', () => {
+      // Arrange: a daily event from 2020 with no end
+      const lines = ['UID:e1', 'DTSTART:20200101T090000Z', 'DTEND:20200101T100000Z', 'RRULE:FREQ=DAILY'];
+
+      // Act
+      const result = starts(lines, { start: utc(2099, 0, 1), end: utc(2099, 6, 1) });
+
+      // Assert
+      expect(result).toHaveLength(181);
+      expect(result[0]).toEqual(utc(2099, 0, 1, 9));
+      expect(result[180]).toEqual(utc(2099, 5, 30, 9));
+    });
+
+    it('should include an occurrence already under way at the window start', () => {
+      // Arrange
+      const lines = ['UID:e1', 'DTSTART:20200101T220000Z', 'DTEND:20200102T020000Z', 'RRULE:FREQ=DAILY'];
+
+      // Act
+      const result = starts(lines, { start: utc(2099, 0, 1, 1), end: utc(2099, 0, 2) });
+
+      // Assert
+      expect(result).toEqual([utc(2098, 11, 31, 22), utc(2099, 0, 1, 22)]);
+    });
+
+    it('should count COUNT from the first occurrence', () => {
+      // Arrange
+      const lines = ['UID:e1', 'DTSTART:20990601T090000Z', 'DTEND:20990601T100000Z', 'RRULE:FREQ=WEEKLY;COUNT=3'];
+
+      // Act
+      const result = starts(lines, { start: utc(2099, 5, 5), end: utc(2099, 11, 31) });
+
+      // Assert
+      expect(result).toEqual([utc(2099, 5, 8, 9), utc(2099, 5, 15, 9)]);
+    });
+
+    it('should expand weekly BYDAY and daily weekday rules', () => {
+      // Arrange: 1 June 2099 is a Monday
+      const weekly = ['UID:e1', 'DTSTART:20990601T090000Z', 'DTEND:20990601T100000Z', 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'];
+      const daily = ['UID:e2', 'DTSTART:20990605T090000Z', 'DTEND:20990605T100000Z', 'RRULE:FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR'];
+      const window = { start: utc(2099, 5, 1), end: utc(2099, 5, 20) };
+
+      // Act & Assert
+      expect(starts(weekly, window)).toEqual([
+        utc(2099, 5, 1, 9),
+        utc(2099, 5, 4, 9),
+        utc(2099, 5, 15, 9),
+        utc(2099, 5, 18, 9)
+      ]);
+      expect(starts(daily, window).map(date => date.getUTCDate()))
+        .toEqual([5, 8, 9, 10, 11, 12, 15, 16, 17, 18, 19]);
+    });
+
+    it('should expand monthly rules by weekday position and skip short months', () => {
+      // Arrange
+      const lastFriday = ['UID:e1', 'DTSTART:20990130T090000Z', 'DTEND:20990130T100000Z', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR'];
+      const thirtyFirst = ['UID:e2', 'DTSTART:20990131T090000Z', 'DTEND:20990131T100000Z', 'RRULE:FREQ=MONTHLY'];
+      const window = { start: utc(2099, 0, 1), end: utc(2099, 4, 1) };
+
+      // Act & Assert
+      expect(starts(lastFriday, window).map(date => date.getUTCDate())).toEqual([30, 27, 27, 24]);
+      expect(starts(thirtyFirst, window)).toEqual([utc(2099, 0, 31, 9), utc(2099, 2, 31, 9)]);
+    });
+
+    it('should keep the wall-clock time across daylight saving changes', () => {
+      // Arrange: London clocks go forward on 29 March 2099
+      const lines = [
+        'UID:e1',
+        'DTSTART;TZID=Europe/London:20990326T090000',
+        'DTEND;TZID=Europe/London:20990326T100000',
+        'RRULE:FREQ=WEEKLY;COUNT=2'
+      ];
+
+      // Act
+      const result = starts(lines, { start: utc(2099, 2, 1), end: utc(2099, 3, 30) });
+
+      // Assert
+      expect(result).toEqual([utc(2099, 2, 26, 9), utc(2099, 3, 2, 8)]);
+    });
+
+    it('should leave out exception dates and excluded starts', () => {
+      // Arrange
+      const lines = [
+        'UID:e1',
+        'DTSTART:20990601T090000Z',
+        'DTEND:20990601T100000Z',
+        'RRULE:FREQ=DAILY;UNTIL=20990605',
+        'EXDATE:20990602T090000Z'
+      ];
+      const window = { start: utc(2099, 5, 1), end: utc(2099, 5, 30) };
+
+      // Act
+      const result = starts(lines, window, [utc(2099, 5, 4, 9)]);
+
+      // Assert
+      expect(result.map(date => date.getUTCDate())).toEqual([1, 3, 5]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Schedule Utility Tests
+ * This module tests recurrence expansion and interval helpers
+ */
+
+const { expandRecurrence, MAX_SERIES_OCCURRENCES, datesBetween } = require('../../../src/utils/schedule');
+
+describe('Schedule Utility', () => {
+  describe('expandRecurrence', () => {
+    it('should expand a weekly rule by count', () => {
+      // Act
+      const result = expandRecurrence(new Date(2099, 0, 5, 9, 0), { frequency: 'weekly', interval: 2, count: 3 });
+
+      // Assert
+      expect(result).toEqual([
+        new Date(2099, 0, 5, 9, 0),
+        new Date(2099, 0, 19, 9, 0),
+        new Date(2099, 1, 2, 9, 0)
+      ]);
+    });
+
+    it('should stop at the until date inclusively', () => {
+      // Act
+      const result = expandRecurrence(new Date(2099, 0, 5, 9, 0), { frequency: 'daily', until: '2099-01-07' });
+
+      // Assert
+      expect(result).toHaveLength(3);
+    });
+
+    it('should not drift after short months', () => {
+      // Act
+      const result = expandRecurrence(new Date(2099, 0, 31, 9, 0), { frequency: 'monthly', count: 3 });
+
+      // Assert
+      expect(result.map(date => date.getDate())).toEqual([31, 28, 31]);
+    });
+
+    it('should stop one past the maximum for oversized rules', () => {
+      // Act
+      const result = expandRecurrence(new Date(2099, 0, 1, 9, 0), { frequency: 'daily', until: '2100-12-31' });
+
+      // Assert
+      expect(result).toHaveLength(MAX_SERIES_OCCURRENCES + 1);
+    });
+  });
+
+  describe('datesBetween', () => {
+    it('should list every date a range touches', () => {
+      // Act
+      const result = datesBetween(new Date(2099, 0, 1, 23, 0), new Date(2099, 0, 2, 1, 0));
+
+      // Assert
+      expect(result).toEqual(['2099-01-01', '2099-01-02']);
+    });
+  });
+});
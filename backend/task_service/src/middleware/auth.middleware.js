@@ -7,7 +7,8 @@ const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
-const { UnauthorizedError } = require('./error.middleware');
+const { createRequirePermission } = require('@dr-assistant/auth');
+const { UnauthorizedError, ForbiddenError } = require('./error.middleware');
 
 /**
  * Middleware to verify authentication token
@@ -89,6 +90,13 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+/**
+ * Middleware to check if user has every required permission
+ * @param {...string} permissions - Required permissions (format: 'resource:action')
+ * @returns {Function} Middleware function
+ */
+const requirePermission = createRequirePermission({ UnauthorizedError, ForbiddenError });
+
 /**
  * Middleware to check if user can access resource
  * @param {Function} checkAccess - Function to check access
@@ -114,5 +122,6 @@ const checkResourceAccess = (checkAccess) => {
 module.exports = {
   verifyToken,
   requireRole,
+  requirePermission,
   checkResourceAccess
 };
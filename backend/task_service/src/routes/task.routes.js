@@ -8,7 +8,7 @@ const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 const taskController = require('../controllers/task.controller');
-const { verifyToken } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validation.middleware');
 
 /**
@@ -18,6 +18,7 @@ const { validate } = require('../middleware/validation.middleware');
  */
 router.post('/',
   verifyToken,
+  requirePermission('task:create'),
   [
     body('title')
       .notEmpty()
@@ -65,6 +66,7 @@ router.post('/',
  */
 router.get('/',
   verifyToken,
+  requirePermission('task:read'),
   [
     query('status')
       .optional()
@@ -122,6 +124,7 @@ router.get('/',
  */
 router.get('/pending',
   verifyToken,
+  requirePermission('task:read'),
   [
     query('assignedTo')
       .optional()
@@ -147,6 +150,7 @@ router.get('/pending',
  */
 router.get('/overdue',
   verifyToken,
+  requirePermission('task:read'),
   [
     query('assignedTo')
       .optional()
@@ -168,6 +172,7 @@ router.get('/overdue',
  */
 router.get('/due-today',
   verifyToken,
+  requirePermission('task:read'),
   [
     query('assignedTo')
       .optional()
@@ -189,6 +194,7 @@ router.get('/due-today',
  */
 router.get('/assigned/:userId',
   verifyToken,
+  requirePermission('task:read'),
   [
     param('userId')
       .isUUID()
@@ -221,6 +227,7 @@ router.get('/assigned/:userId',
  */
 router.get('/created/:userId',
   verifyToken,
+  requirePermission('task:read'),
   [
     param('userId')
       .isUUID()
@@ -249,6 +256,7 @@ router.get('/created/:userId',
  */
 router.get('/patient/:patientId',
   verifyToken,
+  requirePermission('task:read'),
   [
     param('patientId')
       .isUUID()
@@ -277,6 +285,7 @@ router.get('/patient/:patientId',
  */
 router.get('/:id',
   verifyToken,
+  requirePermission('task:read'),
   [
     param('id')
       .isUUID()
@@ -293,6 +302,7 @@ router.get('/:id',
  */
 router.put('/:id',
   verifyToken,
+  requirePermission('task:update'),
   [
     param('id')
       .isUUID()
@@ -345,6 +355,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   verifyToken,
+  requirePermission('task:delete'),
   [
     param('id')
       .isUUID()
@@ -361,6 +372,7 @@ router.delete('/:id',
  */
 router.patch('/:id/status',
   verifyToken,
+  requirePermission('task:update'),
   [
     param('id')
       .isUUID()
@@ -382,6 +394,7 @@ router.patch('/:id/status',
  */
 router.patch('/:id/assign',
   verifyToken,
+  requirePermission('task:update'),
   [
     param('id')
       .isUUID()
@@ -6,6 +6,7 @@
 const { Task } = require('../models');
 const { Op } = require('sequelize');
 const { logger } = require('../utils/logger');
+const { hasPermission } = require('@dr-assistant/auth');
 const config = require('../config');
 const {
   BadRequestError,
@@ -482,37 +483,37 @@ function validateUpdateData(updateData) {
 }
 
 function canUserAccessTask(task, user) {
-  // User can access task if they created it, it's assigned to them, or they're an admin
+  // User can access task if they created it, it's assigned to them, or they hold task:manage
   const userId = user.id || user.sub; // Handle both id and sub fields
   return task.createdBy === userId ||
          task.assignedTo === userId ||
-         user.role === 'admin';
+         hasPermission(user, 'task:manage');
 }
 
 function canUserUpdateTask(task, user) {
-  // User can update task if they created it, it's assigned to them, or they're an admin
+  // User can update task if they created it, it's assigned to them, or they hold task:manage
   const userId = user.id || user.sub; // Handle both id and sub fields
   return task.createdBy === userId ||
          task.assignedTo === userId ||
-         user.role === 'admin';
+         hasPermission(user, 'task:manage');
 }
 
 function canUserDeleteTask(task, user) {
-  // User can delete task if they created it or they're an admin
+  // User can delete task if they created it or they hold task:manage
   const userId = user.id || user.sub; // Handle both id and sub fields
-  return task.createdBy === userId || user.role === 'admin';
+  return task.createdBy === userId || hasPermission(user, 'task:manage');
 }
 
 function canUserAssignTask(task, user) {
-  // User can assign task if they created it or they're an admin
+  // User can assign task if they created it or they hold task:manage
   const userId = user.id || user.sub; // Handle both id and sub fields
-  return task.createdBy === userId || user.role === 'admin';
+  return task.createdBy === userId || hasPermission(user, 'task:manage');
 }
 
 function addUserAccessFilter(where, user) {
-  // If not admin, only show tasks user created or is assigned to
+  // Without task:manage, only show tasks user created or is assigned to
   const userId = user.id || user.sub; // Handle both id and sub fields
-  if (user.role !== 'admin') {
+  if (!hasPermission(user, 'task:manage')) {
     where[Op.or] = [
       { createdBy: userId },
       { assignedTo: userId }
@@ -12,7 +12,8 @@ jest.mock('../../src/middleware/auth.middleware', () => ({
   verifyToken: (req, res, next) => {
     req.user = { id: 'user-123', role: 'doctor' };
     next();
-  }
+  },
+  requirePermission: () => (req, res, next) => next()
 }));
 
 describe('Task API Endpoints', () => {
@@ -6,6 +6,7 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { logger } = require('../utils/logger');
+const { createRequirePermission } = require('@dr-assistant/auth');
 const { AuthenticationError, AuthorizationError } = require('../utils/error-handler');
 
 // Load environment variables
@@ -120,6 +121,16 @@ exports.authorizePermissions = (requiredPermissions) => {
   };
 };
 
+/**
+ * Require every listed permission, e.g. requirePermission('user:create')
+ * @param {...string} permissions - Required permissions (format: 'resource:action')
+ * @returns {Function} Middleware function
+ */
+exports.requirePermission = createRequirePermission({
+  UnauthorizedError: AuthenticationError,
+  ForbiddenError: AuthorizationError
+});
+
 /**
  * Authenticate service-to-service requests
  * @param {Object} req - Express request object
@@ -6,7 +6,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const userController = require('../controllers/user.controller');
-const { authenticate, authorizeRoles, authenticateService } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission, authenticateService } = require('../middleware/auth.middleware');
 const { validateRequest } = require('../middleware/validation.middleware');
 
 const router = express.Router();
@@ -62,7 +62,7 @@ router.get(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['admin']),
+  requirePermission('user:read'),
   userController.getAllUsers
 );
 
@@ -117,7 +117,7 @@ router.get(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['admin']),
+  requirePermission('user:read'),
   userController.getUserById
 );
 
@@ -155,7 +155,7 @@ router.post(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['admin']),
+  requirePermission('user:create'),
   userController.createUser
 );
 
@@ -197,7 +197,7 @@ router.put(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['admin']),
+  requirePermission('user:update'),
   userController.updateUser
 );
 
@@ -209,7 +209,7 @@ router.delete(
     validateRequest
   ],
   authenticate,
-  authorizeRoles(['admin']),
+  requirePermission('user:delete'),
   userController.deleteUser
 );
 
@@ -11,7 +11,9 @@ const { errorHandler } = require('./utils/error-handler');
 
 // Import routes
 const voiceRecordingRoutes = require('./routes/voiceRecording.routes');
+const audioUploadRoutes = require('./routes/audioUpload.routes');
 const transcriptionRoutes = require('./routes/transcription.routes');
+const voiceEnrollmentRoutes = require('./routes/voiceEnrollment.routes');
 const healthRoutes = require('./routes/health.routes');
 
 // Create Express app
@@ -51,7 +53,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Chunk-Checksum']
 };
 
 app.use(cors(corsOptions));
@@ -91,8 +93,11 @@ app.use((req, res, next) => {
 app.use('/health', healthRoutes);
 
 // API routes
+// Resumable uploads are mounted first so /uploads/:uploadId is not read as a recording ID
+app.use('/api/voice-recordings/uploads', audioUploadRoutes);
 app.use('/api/voice-recordings', voiceRecordingRoutes);
 app.use('/api/transcriptions', transcriptionRoutes);
+app.use('/api/voice-enrollments', voiceEnrollmentRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -105,6 +110,8 @@ app.get('/', (req, res) => {
       health: '/health',
       voiceRecordings: '/api/voice-recordings',
       transcriptions: '/api/transcriptions',
+      transcriptionStream: 'ws /api/transcriptions/stream',
+      voiceEnrollments: '/api/voice-enrollments',
       docs: '/api/docs'
     }
   });
@@ -124,6 +131,11 @@ app.get('/api/docs', (req, res) => {
       'DELETE /api/voice-recordings/:id': 'Delete voice recording',
       'GET /api/voice-recordings/:id/download': 'Download audio file',
       'GET /api/voice-recordings/validation/info': 'Get validation limits and formats',
+      'POST /api/voice-recordings/uploads': 'Start a resumable upload',
+      'PUT /api/voice-recordings/uploads/:uploadId/chunks/:index': 'Upload one chunk (X-Chunk-Checksum: SHA-256)',
+      'GET /api/voice-recordings/uploads/:uploadId': 'Get received chunk ranges to resume an upload',
+      'POST /api/voice-recordings/uploads/:uploadId/complete': 'Join the chunks into a voice recording',
+      'DELETE /api/voice-recordings/uploads/:uploadId': 'Abandon a resumable upload',
       'PUT /api/voice-recordings/:id/retention': 'Update retention policy',
       'PUT /api/voice-recordings/:id/extend-retention': 'Extend retention period',
       'GET /api/voice-recordings/admin/retention/statistics': 'Get retention statistics (admin)',
@@ -131,15 +143,23 @@ app.get('/api/docs', (req, res) => {
 
       // Transcription endpoints
       'POST /api/transcriptions': 'Create and start transcription for a voice recording',
+      'WS /api/transcriptions/stream': 'Stream audio for live captions; saved as a voice recording and transcription',
       'GET /api/transcriptions/:transcriptionId': 'Get transcription by ID',
       'GET /api/transcriptions/voice-recording/:voiceRecordingId': 'Get transcription by voice recording ID',
       'GET /api/transcriptions/encounter/:encounterId': 'Get transcriptions by encounter ID',
       'POST /api/transcriptions/:transcriptionId/retry': 'Retry failed transcription',
       'GET /api/transcriptions/stats': 'Get transcription statistics',
-      'PUT /api/transcriptions/:transcriptionId/metadata': 'Update transcription metadata',
+      'PUT /api/transcriptions/:transcriptionId/metadata': 'Update transcription metadata (correct speaker roles)',
+      'POST /api/transcriptions/:transcriptionId/deidentified-export': 'Export a transcription with PHI redacted (audited)',
+      'POST /api/transcriptions/:transcriptionId/deidentified-export/audio': 'Download the recording with PHI bleeped, as WAV (audited)',
       'GET /api/transcriptions/admin/pending': 'Get pending transcriptions (admin)',
       'POST /api/transcriptions/admin/process-pending': 'Process all pending transcriptions (admin)',
-      'DELETE /api/transcriptions/:transcriptionId': 'Delete transcription (admin)'
+      'DELETE /api/transcriptions/:transcriptionId': 'Delete transcription (admin)',
+
+      // Voice enrollment endpoints
+      'POST /api/voice-enrollments': 'Add a voice sample to the current doctor\'s enrollment',
+      'GET /api/voice-enrollments': 'Get the current doctor\'s voice enrollment',
+      'DELETE /api/voice-enrollments': 'Delete the current doctor\'s voice enrollment'
     },
     authentication: 'Bearer token required for all API endpoints',
     uploadLimits: {
@@ -176,7 +196,14 @@ const gracefulShutdown = (signal) => {
 
   // Close server
   if (app.server) {
-    app.server.close(() => {
+    // Save live transcription sessions first; their sockets keep the server open
+    const streamsClosed = app.transcriptionStream
+      ? app.transcriptionStream.close()
+      : Promise.resolve();
+
+    streamsClosed.catch((error) => {
+      logger.error('Error closing live transcription sessions:', error);
+    }).then(() => app.server.close(() => {
       logger.info('HTTP server closed');
 
       // Close database connection
@@ -188,7 +215,7 @@ const gracefulShutdown = (signal) => {
         logger.error('Error closing database connection:', error);
         process.exit(1);
       });
-    });
+    }));
   } else {
     process.exit(0);
   }
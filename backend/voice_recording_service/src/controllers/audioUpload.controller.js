@@ -0,0 +1,147 @@
+const audioUploadService = require('../services/audioUpload.service');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/error-handler');
+
+/**
+ * Start a resumable upload
+ */
+const initiateUpload = async (req, res, next) => {
+  try {
+    const {
+      encounterId, patientId, doctorId, duration, mimeType, totalSize, checksum,
+      fileName, deviceInfo, retentionReason, retentionDays
+    } = req.body;
+
+    const upload = await audioUploadService.initiateUpload({
+      encounterId,
+      patientId,
+      doctorId: doctorId || req.user.id,
+      duration: parseFloat(duration),
+      mimeType,
+      totalSize: parseInt(totalSize),
+      checksum,
+      originalFileName: fileName,
+      deviceInfo,
+      retentionReason,
+      retentionDays: retentionDays ? parseInt(retentionDays) : null
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        upload: upload
+      },
+      message: 'Upload started'
+    });
+  } catch (error) {
+    logger.error('Initiate upload failed:', error);
+    next(error);
+  }
+};
+
+/**
+ * Upload one chunk of a resumable upload
+ */
+const uploadChunk = async (req, res, next) => {
+  try {
+    const { uploadId, index } = req.params;
+
+    if (!Buffer.isBuffer(req.body)) {
+      throw new ValidationError('Chunk must be sent as application/octet-stream');
+    }
+
+    const result = await audioUploadService.uploadChunk(
+      uploadId,
+      parseInt(index),
+      req.body,
+      req.get('X-Chunk-Checksum'),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        chunk: result
+      }
+    });
+  } catch (error) {
+    logger.error('Upload chunk failed:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the chunks received so far
+ */
+const getUploadStatus = async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+
+    const upload = await audioUploadService.getUploadStatus(uploadId, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        upload: upload
+      }
+    });
+  } catch (error) {
+    logger.error('Get upload status failed:', error);
+    next(error);
+  }
+};
+
+/**
+ * Join the chunks into a voice recording
+ */
+const completeUpload = async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+
+    // Get request info for audit trail
+    const requestInfo = {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    };
+
+    const recording = await audioUploadService.completeUpload(uploadId, req.user, requestInfo);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        recording: recording
+      },
+      message: 'Voice recording uploaded successfully'
+    });
+  } catch (error) {
+    logger.error('Complete upload failed:', error);
+    next(error);
+  }
+};
+
+/**
+ * Abandon a resumable upload
+ */
+const abortUpload = async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+
+    await audioUploadService.abortUpload(uploadId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+  } catch (error) {
+    logger.error('Abort upload failed:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  initiateUpload,
+  uploadChunk,
+  getUploadStatus,
+  completeUpload,
+  abortUpload
+};
@@ -1,7 +1,10 @@
 const transcriptionService = require('../services/transcription.service');
 const voiceRecordingService = require('../services/voiceRecording.service');
+const phiRedactionService = require('../services/phiRedaction.service');
+const participantNamesService = require('../services/participantNames.service');
 const { logger } = require('../utils/logger');
 const { ValidationError, NotFoundError } = require('../utils/error-handler');
+const { hasPermission } = require('@dr-assistant/auth');
 
 class TranscriptionController {
   /**
@@ -25,7 +28,7 @@ class TranscriptionController {
       }
 
       // Check if user has access to this recording
-      if (voiceRecording.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (voiceRecording.doctorId !== req.user.id && !hasPermission(req.user, 'transcription:manage')) {
         throw new ValidationError('Access denied to this voice recording');
       }
 
@@ -82,13 +85,13 @@ class TranscriptionController {
         userId: req.user.id
       });
 
-      const transcription = await transcriptionService.getTranscriptionByVoiceRecording(transcriptionId);
+      const transcription = await transcriptionService.getTranscriptionById(transcriptionId);
       if (!transcription) {
         throw new NotFoundError('Transcription not found');
       }
 
       // Check access
-      if (transcription.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (transcription.doctorId !== req.user.id && !hasPermission(req.user, 'transcription:manage')) {
         throw new ValidationError('Access denied to this transcription');
       }
 
@@ -120,7 +123,7 @@ class TranscriptionController {
       }
 
       // Check access
-      if (transcription.doctorId !== req.user.id && req.user.role !== 'admin') {
+      if (transcription.doctorId !== req.user.id && !hasPermission(req.user, 'transcription:manage')) {
         throw new ValidationError('Access denied to this transcription');
       }
 
@@ -150,7 +153,7 @@ class TranscriptionController {
 
       // Filter by doctor access
       const accessibleTranscriptions = transcriptions.filter(t =>
-        t.doctorId === req.user.id || req.user.role === 'admin'
+        t.doctorId === req.user.id || hasPermission(req.user, 'transcription:manage')
       );
 
       res.status(200).json({
@@ -195,7 +198,7 @@ class TranscriptionController {
   async getTranscriptionStats(req, res, next) {
     try {
       const { startDate, endDate } = req.query;
-      const doctorId = req.user.role === 'admin' ? req.query.doctorId : req.user.id;
+      const doctorId = hasPermission(req.user, 'transcription:manage') ? req.query.doctorId : req.user.id;
 
       logger.info('Getting transcription statistics', {
         doctorId,
@@ -220,13 +223,13 @@ class TranscriptionController {
   }
 
   /**
-   * Get pending transcriptions (admin only)
+   * Get pending transcriptions (transcription:manage)
    * @route GET /api/transcriptions/pending
    */
   async getPendingTranscriptions(req, res, next) {
     try {
-      if (req.user.role !== 'admin') {
-        throw new ValidationError('Admin access required');
+      if (!hasPermission(req.user, 'transcription:manage')) {
+        throw new ValidationError('Missing permission: transcription:manage');
       }
 
       logger.info('Getting pending transcriptions', {
@@ -246,13 +249,13 @@ class TranscriptionController {
   }
 
   /**
-   * Process pending transcriptions (admin only)
+   * Process pending transcriptions (transcription:manage)
    * @route POST /api/transcriptions/process-pending
    */
   async processPendingTranscriptions(req, res, next) {
     try {
-      if (req.user.role !== 'admin') {
-        throw new ValidationError('Admin access required');
+      if (!hasPermission(req.user, 'transcription:manage')) {
+        throw new ValidationError('Missing permission: transcription:manage');
       }
 
       logger.info('Processing pending transcriptions', {
@@ -293,6 +296,7 @@ class TranscriptionController {
 
   /**
    * Update transcription metadata
+   * Currently the speaker roles: `{ metadata: { speakerRoles: [{ speakerTag, role }] } }`
    * @route PUT /api/transcriptions/:transcriptionId/metadata
    */
   async updateTranscriptionMetadata(req, res, next) {
@@ -305,18 +309,126 @@ class TranscriptionController {
         userId: req.user.id
       });
 
-      // This would be implemented based on specific requirements
-      // For now, return a placeholder response
+      if (!metadata.speakerRoles) {
+        throw new ValidationError('No supported metadata to update (supported: speakerRoles)');
+      }
+
+      let transcription = await transcriptionService.getTranscriptionById(transcriptionId);
+      if (!transcription) {
+        throw new NotFoundError('Transcription not found');
+      }
+
+      // Check access
+      if (transcription.doctorId !== req.user.id && !hasPermission(req.user, 'transcription:manage')) {
+        throw new ValidationError('Access denied to this transcription');
+      }
+
+      transcription = await transcriptionService.updateSpeakerRoles(transcription, metadata.speakerRoles, req.user);
+
       res.status(200).json({
         success: true,
-        message: 'Transcription metadata update not yet implemented',
-        data: { transcriptionId, metadata }
+        message: 'Transcription metadata updated',
+        data: transcription
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Export a transcription with PHI redacted, for teaching and QA
+   * Body: `{ names?: string[], includeWords?: boolean }`; names are redacted
+   * besides those found in the transcript and the patient's and doctor's.
+   * @route POST /api/transcriptions/:transcriptionId/deidentified-export
+   */
+  async exportDeidentifiedTranscript(req, res, next) {
+    try {
+      const { transcriptionId } = req.params;
+      const { names = [], includeWords = false } = req.body;
+
+      logger.info('Exporting de-identified transcription', {
+        transcriptionId,
+        userId: req.user.id
+      });
+
+      const transcription = await transcriptionService.getTranscriptionById(transcriptionId);
+      if (!transcription) {
+        throw new NotFoundError('Transcription not found');
+      }
+
+      // Check access
+      if (transcription.doctorId !== req.user.id && !hasPermission(req.user, 'transcription:manage')) {
+        throw new ValidationError('Access denied to this transcription');
+      }
+
+      const recordNames = await participantNamesService.getNames(transcription, req.user, req.headers.authorization);
+
+      const deidentified = await phiRedactionService.exportTranscript(transcription, req.user, {
+        names,
+        includeWords,
+        recordNames
+      }, {
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        success: true,
+        data: deidentified
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download a transcription's recording with PHI bleeped, as WAV
+   * Body: `{ names?: string[] }`
+   * @route POST /api/transcriptions/:transcriptionId/deidentified-export/audio
+   */
+  async exportDeidentifiedAudio(req, res, next) {
+    try {
+      const { transcriptionId } = req.params;
+      const { names = [] } = req.body;
+
+      logger.info('Exporting de-identified audio', {
+        transcriptionId,
+        userId: req.user.id
+      });
+
+      const transcription = await transcriptionService.getTranscriptionById(transcriptionId);
+      if (!transcription) {
+        throw new NotFoundError('Transcription not found');
+      }
+
+      // Check access
+      if (transcription.doctorId !== req.user.id && !hasPermission(req.user, 'transcription:manage')) {
+        throw new ValidationError('Access denied to this transcription');
+      }
+
+      const recordNames = await participantNamesService.getNames(transcription, req.user, req.headers.authorization);
+
+      const audio = await phiRedactionService.exportAudio(transcription, req.user, { names, recordNames }, {
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.set({
+        'Content-Type': audio.mimeType,
+        'Content-Length': audio.size,
+        'Content-Disposition': `attachment; filename="${audio.filename}"`,
+        'X-Export-Id': String(audio.exportId),
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Pragma': 'no-cache',
+        'Expires': '0'
+      });
+
+      res.send(audio.buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Delete transcription
    * @route DELETE /api/transcriptions/:transcriptionId
@@ -0,0 +1,185 @@
+const transcriptionStreamService = require('../services/transcriptionStream.service');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { logger } = require('../utils/logger');
+const { hasPermission } = require('@dr-assistant/auth');
+const {
+  ValidationError,
+  ConflictError,
+  AuthenticationError,
+  AuthorizationError
+} = require('../utils/error-handler');
+
+// How long a connection may stay open without starting a session
+const START_TIMEOUT = parseInt(process.env.STREAM_START_TIMEOUT, 10) || 10000;
+
+/**
+ * Close code for an error, in the application range: 4000 + HTTP status
+ * @param {Error} error - Error
+ * @returns {number} WebSocket close code
+ */
+const closeCode = (error) => 4000 + (error.statusCode || 500);
+
+/**
+ * Parse a control message
+ * @param {Buffer|string} data - Text frame
+ * @returns {Object} Message
+ */
+const parseMessage = (data) => {
+  try {
+    return JSON.parse(data.toString());
+  } catch (error) {
+    throw new ValidationError('Control messages must be JSON');
+  }
+};
+
+/**
+ * Handle a live transcription connection
+ *
+ * Client messages:
+ * - text `{ type: 'start', token, encounterId, patientId, mimeType, languageCode?, deviceInfo? }`
+ * - binary audio frames from MediaRecorder, once `ready` is received
+ * - text `{ type: 'stop' }` to finish and save, or `{ type: 'cancel' }` to discard
+ *
+ * Server messages:
+ * - `{ type: 'ready', sessionId, provider, streaming }`
+ * - `{ type: 'transcript', segment: { isFinal, text, speakerTag?, startTime?, endTime?, confidence? } }`
+ * - `{ type: 'completed', data: { voiceRecording, transcription } }`, then the socket closes
+ * - `{ type: 'error', error: { message, statusCode } }`
+ *
+ * If the connection drops mid-session the audio received so far is saved.
+ */
+const handleConnection = (socket, req) => {
+  let session = null;
+  let starting = false;
+
+  const send = (message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const fail = (error) => {
+    logger.error('Live transcription request failed:', error);
+
+    send({
+      type: 'error',
+      error: {
+        message: error.statusCode ? error.message : 'Live transcription failed',
+        statusCode: error.statusCode || 500
+      }
+    });
+
+    // Keep what was recorded rather than dropping the consultation
+    if (session && session.status === 'streaming') {
+      session.finish();
+    } else if (!session) {
+      // Close reasons are limited to 123 bytes
+      socket.close(closeCode(error), error.statusCode ? error.message.slice(0, 120) : undefined);
+    }
+  };
+
+  const startTimer = setTimeout(() => {
+    if (!session) {
+      fail(new AuthenticationError('Session not started in time'));
+    }
+  }, START_TIMEOUT);
+
+  const start = async (message) => {
+    if (session || starting) {
+      throw new ConflictError('Session already started');
+    }
+    starting = true;
+
+    const user = await authenticateToken(message.token);
+
+    const missing = ['recording:create', 'transcription:create']
+      .filter(permission => !hasPermission(user, permission));
+    if (missing.length > 0) {
+      throw new AuthorizationError(`Missing permission: ${missing.join(', ')}`);
+    }
+
+    clearTimeout(startTimer);
+
+    if (socket.readyState !== socket.OPEN) {
+      return;
+    }
+
+    session = transcriptionStreamService.startSession({
+      encounterId: message.encounterId,
+      patientId: message.patientId,
+      mimeType: message.mimeType,
+      languageCode: message.languageCode,
+      deviceInfo: message.deviceInfo
+    }, user, {
+      send,
+      onClose: () => socket.close(1000, 'Session finished'),
+      requestInfo: {
+        ip: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    send({
+      type: 'ready',
+      sessionId: session.id,
+      provider: session.stt.provider,
+      streaming: session.stt.streaming
+    });
+  };
+
+  socket.on('message', async (data, isBinary) => {
+    try {
+      if (isBinary) {
+        if (!session) {
+          throw new ValidationError('Send a start message and wait for ready before sending audio');
+        }
+        session.pushAudio(Buffer.isBuffer(data) ? data : Buffer.from(data));
+        return;
+      }
+
+      const message = parseMessage(data);
+
+      switch (message.type) {
+        case 'start':
+          await start(message);
+          break;
+        case 'stop':
+          if (!session) {
+            throw new ValidationError('No session started');
+          }
+          // The session reports the outcome to the client and closes the socket
+          await session.finish().catch(() => {});
+          break;
+        case 'cancel':
+          if (!session) {
+            throw new ValidationError('No session started');
+          }
+          session.cancel();
+          break;
+        default:
+          throw new ValidationError(`Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  socket.on('close', () => {
+    clearTimeout(startTimer);
+
+    if (session && session.status === 'streaming') {
+      logger.warn('Live transcription connection lost, saving session', {
+        sessionId: session.id
+      });
+      session.finish();
+    }
+  });
+
+  socket.on('error', (error) => {
+    logger.error('Live transcription socket error:', error);
+  });
+};
+
+module.exports = {
+  handleConnection
+};
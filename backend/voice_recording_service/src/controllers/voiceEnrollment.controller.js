@@ -0,0 +1,72 @@
+const voiceEnrollmentService = require('../services/voiceEnrollment.service');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/error-handler');
+
+/**
+ * Add a voice sample to the current user's enrollment
+ */
+const enrollVoiceSample = async (req, res, next) => {
+  try {
+    if (!req.fileInfo || !req.fileInfo.buffer) {
+      throw new ValidationError('Audio file is required');
+    }
+
+    const enrollment = await voiceEnrollmentService.enroll(req.fileInfo.buffer, {
+      mimeType: req.fileInfo.mimeType,
+      duration: parseFloat(req.body.duration)
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        enrollment: enrollment
+      },
+      message: 'Voice sample enrolled'
+    });
+  } catch (error) {
+    logger.error('Voice enrollment failed:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's enrollment
+ */
+const getVoiceEnrollment = async (req, res, next) => {
+  try {
+    const enrollment = await voiceEnrollmentService.getEnrollment(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enrollment: enrollment
+      }
+    });
+  } catch (error) {
+    logger.error('Get voice enrollment failed:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete the current user's enrollment
+ */
+const deleteVoiceEnrollment = async (req, res, next) => {
+  try {
+    await voiceEnrollmentService.deleteEnrollment(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Voice enrollment deleted'
+    });
+  } catch (error) {
+    logger.error('Delete voice enrollment failed:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  enrollVoiceSample,
+  getVoiceEnrollment,
+  deleteVoiceEnrollment
+};
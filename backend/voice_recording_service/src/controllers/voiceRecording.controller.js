@@ -213,7 +213,7 @@ const getValidationInfo = async (req, res, next) => {
 };
 
 /**
- * Get retention statistics (admin only)
+ * Get retention statistics (recording:manage)
  */
 const getRetentionStatistics = async (req, res, next) => {
   try {
@@ -232,7 +232,7 @@ const getRetentionStatistics = async (req, res, next) => {
 };
 
 /**
- * Cleanup expired recordings (admin only)
+ * Cleanup expired recordings (recording:manage)
  */
 const cleanupExpiredRecordings = async (req, res, next) => {
   try {
@@ -5,6 +5,7 @@ const { connect } = require('./config/database');
 const { logger } = require('./utils/logger');
 const { handleUnhandledRejection, handleUncaughtException } = require('./utils/error-handler');
 const retentionService = require('./services/retention.service');
+const { attachTranscriptionStream } = require('./routes/transcriptionStream.routes');
 
 // Handle uncaught exceptions
 handleUncaughtException();
@@ -33,8 +34,12 @@ const startServer = async () => {
       });
     });
 
-    // Store server reference for graceful shutdown
+    // Live transcription WebSocket shares the HTTP port
+    const transcriptionStream = attachTranscriptionStream(server);
+
+    // Store server references for graceful shutdown
     app.server = server;
+    app.transcriptionStream = transcriptionStream;
 
     // Handle unhandled promise rejections
     handleUnhandledRejection(server);
@@ -2,81 +2,87 @@ const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const { AuthenticationError, AuthorizationError } = require('../utils/error-handler');
+const { createRequirePermission } = require('@dr-assistant/auth');
 
 /**
- * Verify JWT token middleware
+ * Resolve the user behind an access token
+ * Shared by the HTTP middleware and the live transcription WebSocket.
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} User
  */
-const verifyToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthenticationError('Access token required');
+  }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new AuthenticationError('Access token required');
+  // Verify token locally first
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Token expired');
+    } else if (error.name === 'JsonWebTokenError') {
+      throw new AuthenticationError('Invalid token');
+    } else {
+      throw new AuthenticationError('Token verification failed');
     }
+  }
 
-    const token = authHeader.substring(7);
+  const localUser = {
+    id: decoded.userId || decoded.id,
+    username: decoded.username,
+    email: decoded.email,
+    role: decoded.role || 'doctor',
+    specialty: decoded.specialty,
+    permissions: decoded.permissions || []
+  };
 
-    if (!token) {
-      throw new AuthenticationError('Access token required');
+  // Use local verification only
+  if (!process.env.AUTH_SERVICE_URL) {
+    return localUser;
+  }
+
+  // Verify with auth service if configured
+  try {
+    const response = await axios.get(`${process.env.AUTH_SERVICE_URL}/api/auth/me`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      },
+      timeout: 5000
+    });
+
+    if (response.data.success) {
+      return response.data.data.user;
     }
 
-    // Verify token locally first
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        throw new AuthenticationError('Token expired');
-      } else if (error.name === 'JsonWebTokenError') {
-        throw new AuthenticationError('Invalid token');
-      } else {
-        throw new AuthenticationError('Token verification failed');
-      }
+    throw new AuthenticationError('Token verification failed');
+  } catch (error) {
+    if (error.response?.status === 401) {
+      throw new AuthenticationError('Invalid or expired token');
     }
 
-    // Verify with auth service if configured
-    if (process.env.AUTH_SERVICE_URL) {
-      try {
-        const response = await axios.get(`${process.env.AUTH_SERVICE_URL}/api/auth/me`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          },
-          timeout: 5000
-        });
+    logger.warn('Auth service verification failed, using local verification', {
+      error: error.message
+    });
+    // Fall back to local verification
+    return localUser;
+  }
+};
 
-        if (response.data.success) {
-          req.user = response.data.data.user;
-        } else {
-          throw new AuthenticationError('Token verification failed');
-        }
-      } catch (error) {
-        if (error.response?.status === 401) {
-          throw new AuthenticationError('Invalid or expired token');
-        } else {
-          logger.warn('Auth service verification failed, using local verification', {
-            error: error.message
-          });
-          // Fall back to local verification
-          req.user = {
-            id: decoded.userId || decoded.id,
-            username: decoded.username,
-            email: decoded.email,
-            role: decoded.role || 'doctor',
-            specialty: decoded.specialty
-          };
-        }
-      }
-    } else {
-      // Use local verification only
-      req.user = {
-        id: decoded.userId || decoded.id,
-        username: decoded.username,
-        email: decoded.email,
-        role: decoded.role || 'doctor',
-        specialty: decoded.specialty
-      };
+/**
+ * Verify JWT token middleware
+ */
+const verifyToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw new AuthenticationError('Access token required');
     }
 
+    req.user = await authenticateToken(authHeader.substring(7));
+
     logger.debug('User authenticated successfully', {
       userId: req.user.id,
       username: req.user.username,
@@ -145,6 +151,14 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Check if user holds every required permission
+ */
+const requirePermission = createRequirePermission({
+  UnauthorizedError: AuthenticationError,
+  ForbiddenError: AuthorizationError
+});
+
 /**
  * Check if user is doctor
  */
@@ -225,8 +239,10 @@ const rateLimit = (windowMs = 15 * 60 * 1000, maxRequests = 100) => {
 };
 
 module.exports = {
+  authenticateToken,
   verifyToken,
   requireRole,
+  requirePermission,
   requireDoctor,
   requireAdmin,
   optionalAuth,
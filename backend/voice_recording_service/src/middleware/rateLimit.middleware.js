@@ -29,6 +29,18 @@ const uploadLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Chunk rate limiting (a long recording is sent as many chunks, some more than once)
+const chunkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // Limit each IP to 1000 chunks per windowMs
+  message: {
+    error: 'Too many chunk uploads from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Transcription rate limiting
 const transcriptionLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -44,5 +56,6 @@ const transcriptionLimiter = rateLimit({
 module.exports = {
   generalLimiter,
   uploadLimiter,
+  chunkLimiter,
   transcriptionLimiter
 };
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const uuidValidator = (field) => ({
+  validator: function(v) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v);
+  },
+  message: `Invalid ${field} ID format`
+});
+
+// Resumable upload session: the recording's details are fixed when the upload
+// starts, and the chunks are kept in AudioUploadChunk until it is completed
+const AudioUploadSchema = new Schema({
+  encounterId: {
+    type: String,
+    required: true,
+    validate: uuidValidator('encounter')
+  },
+  patientId: {
+    type: String,
+    required: true,
+    validate: uuidValidator('patient')
+  },
+  doctorId: {
+    type: String,
+    required: true,
+    validate: uuidValidator('doctor')
+  },
+  uploadedBy: {
+    type: String,
+    required: true,
+    index: true
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 3600
+  },
+  mimeType: {
+    type: String,
+    required: true,
+    enum: ['audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/webm', 'audio/ogg']
+  },
+  originalFileName: {
+    type: String,
+    maxlength: 255
+  },
+  deviceInfo: {
+    type: String,
+    maxlength: 255
+  },
+  retentionReason: {
+    type: String,
+    enum: ['clinical', 'legal', 'research', 'audit']
+  },
+  retentionDays: {
+    type: Number,
+    min: 1,
+    max: 365
+  },
+  totalSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  chunkSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // SHA-256 of the whole file, checked when the upload is completed
+  checksum: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return /^[a-f0-9]{64}$/i.test(v);
+      },
+      message: 'Invalid checksum format'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'finalizing', 'completed', 'aborted'],
+    default: 'uploading',
+    index: true
+  },
+  recordingId: {
+    type: Schema.Types.ObjectId
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+AudioUploadSchema.index({ uploadedBy: 1, status: 1 });
+
+// Instance methods
+AudioUploadSchema.methods.getExpectedChunkSize = function(index) {
+  return index === this.totalChunks - 1
+    ? this.totalSize - this.chunkSize * (this.totalChunks - 1)
+    : this.chunkSize;
+};
+
+module.exports = mongoose.model('AudioUpload', AudioUploadSchema);
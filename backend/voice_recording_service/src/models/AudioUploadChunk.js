@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One encrypted chunk of a resumable upload
+const AudioUploadChunkSchema = new Schema({
+  uploadId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  authTag: {
+    type: String,
+    required: true
+  },
+  // Size and SHA-256 of the unencrypted chunk
+  size: {
+    type: Number,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  // Chunks of abandoned uploads expire with their upload session
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+AudioUploadChunkSchema.index({ uploadId: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model('AudioUploadChunk', AudioUploadChunkSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Who accessed what, for access to patient data that must be auditable.
+// Details hold counts and options only, never the data itself.
+const AuditLogSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['deidentified_transcript_export', 'deidentified_audio_export'],
+    required: true,
+    index: true
+  },
+  actorId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['transcription'],
+    required: true
+  },
+  resourceId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  details: {
+    type: Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ resourceId: 1, createdAt: -1 });
+
+// Static methods
+AuditLogSchema.statics.logAction = function(data) {
+  return this.create({
+    action: data.action,
+    actorId: data.actorId,
+    resourceType: data.resourceType,
+    resourceId: data.resourceId,
+    details: data.details,
+    ipAddress: data.ipAddress,
+    userAgent: data.userAgent
+  });
+};
+
+AuditLogSchema.statics.getAuditTrail = function(resourceId) {
+  return this.find({ resourceId }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
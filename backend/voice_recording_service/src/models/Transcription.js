@@ -85,6 +85,71 @@ const ProcessingMetadataSchema = new Schema({
   useEnhanced: {
     type: Boolean,
     default: true
+  },
+  // Speech-to-text provider that produced the transcript (STT_PROVIDER)
+  provider: {
+    type: String,
+    default: 'google'
+  }
+}, { _id: false });
+
+// Speaker role schema: who a diarized speaker tag is
+const SpeakerRoleSchema = new Schema({
+  speakerTag: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  role: {
+    type: String,
+    enum: ['doctor', 'patient', 'attendant', 'unknown'],
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  source: {
+    type: String,
+    enum: ['heuristic', 'enrollment', 'manual'],
+    required: true
+  },
+  updatedBy: {
+    type: String
+  },
+  updatedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Turn schema: consecutive words from one speaker
+const TurnSchema = new Schema({
+  speakerTag: {
+    type: Number,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['doctor', 'patient', 'attendant', 'unknown'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: Number,
+    required: true
+  },
+  endTime: {
+    type: Number,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
   }
 }, { _id: false });
 
@@ -181,6 +246,8 @@ const TranscriptionSchema = new Schema({
     min: 1,
     default: 1
   },
+  speakerRoles: [SpeakerRoleSchema],
+  turns: [TurnSchema],
   processingMetadata: {
     type: ProcessingMetadataSchema,
     required: true
@@ -271,6 +338,8 @@ TranscriptionSchema.methods.markAsCompleted = function(transcriptionData) {
   this.duration = transcriptionData.duration;
   this.wordCount = transcriptionData.wordCount;
   this.speakerCount = transcriptionData.speakerCount || 1;
+  this.speakerRoles = transcriptionData.speakerRoles || [];
+  this.turns = transcriptionData.turns || [];
   this.qualityMetrics = transcriptionData.qualityMetrics || {};
   this.medicalTermsDetected = transcriptionData.medicalTermsDetected || [];
 
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A doctor's voiceprint, used to pick out the doctor among diarized speakers.
+// Only the embedding is kept; the enrollment audio is discarded.
+const VoiceEnrollmentSchema = new Schema({
+  doctorId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v);
+      },
+      message: 'Invalid doctor ID format'
+    }
+  },
+  embedding: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'Embedding must not be empty'
+    }
+  },
+  // Embedding model; voiceprints from different models cannot be compared
+  model: {
+    type: String,
+    required: true
+  },
+  sampleCount: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  totalDuration: {
+    type: Number, // in seconds
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the embedding out of API responses
+VoiceEnrollmentSchema.methods.toSummary = function() {
+  return {
+    doctorId: this.doctorId,
+    model: this.model,
+    sampleCount: this.sampleCount,
+    totalDuration: this.totalDuration,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('VoiceEnrollment', VoiceEnrollmentSchema);
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { uploadLimiter, chunkLimiter, generalLimiter } = require('../middleware/rateLimit.middleware');
+
+// Controllers
+const audioUploadController = require('../controllers/audioUpload.controller');
+
+// Validation middleware
+const { body, param, header } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+// Chunks are sent as raw bytes, at most CHUNK_SIZE each
+const rawChunk = express.raw({
+  type: 'application/octet-stream',
+  limit: parseInt(process.env.CHUNK_SIZE || '1048576')
+});
+
+const uploadIdValidator = param('uploadId')
+  .isMongoId()
+  .withMessage('Upload ID must be a valid MongoDB ObjectId');
+
+/**
+ * @route POST /api/voice-recordings/uploads
+ * @desc Start a resumable upload of a voice recording
+ * @access Private (Doctor)
+ */
+router.post('/',
+  uploadLimiter, // Rate limiting for uploads
+  verifyToken,
+  requirePermission('recording:create'),
+  [
+    body('encounterId')
+      .isUUID()
+      .withMessage('Encounter ID must be a valid UUID'),
+    body('patientId')
+      .isUUID()
+      .withMessage('Patient ID must be a valid UUID'),
+    body('doctorId')
+      .optional()
+      .isUUID()
+      .withMessage('Doctor ID must be a valid UUID'),
+    body('duration')
+      .isFloat({ min: 1, max: 3600 })
+      .withMessage('Duration must be between 1 and 3600 seconds'),
+    body('mimeType')
+      .isString()
+      .withMessage('MIME type is required'),
+    body('totalSize')
+      .isInt({ min: 1 })
+      .withMessage('Total size must be a positive number of bytes'),
+    body('checksum')
+      .optional()
+      .matches(/^[a-f0-9]{64}$/i)
+      .withMessage('Checksum must be a SHA-256 hex digest'),
+    body('fileName')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('File name must be less than 255 characters'),
+    body('deviceInfo')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Device info must be less than 255 characters'),
+    body('retentionReason')
+      .optional()
+      .isIn(['clinical', 'legal', 'research', 'audit'])
+      .withMessage('Invalid retention reason'),
+    body('retentionDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Retention days must be between 1 and 365')
+  ],
+  validate,
+  audioUploadController.initiateUpload
+);
+
+/**
+ * @route PUT /api/voice-recordings/uploads/:uploadId/chunks/:index
+ * @desc Upload one chunk (raw bytes, SHA-256 in the X-Chunk-Checksum header)
+ * @access Private (Doctor)
+ */
+router.put('/:uploadId/chunks/:index',
+  chunkLimiter,
+  verifyToken,
+  requirePermission('recording:create'),
+  rawChunk,
+  [
+    uploadIdValidator,
+    param('index')
+      .isInt({ min: 0 })
+      .withMessage('Chunk index must be a non-negative integer'),
+    header('X-Chunk-Checksum')
+      .matches(/^[a-f0-9]{64}$/i)
+      .withMessage('X-Chunk-Checksum must be the SHA-256 hex digest of the chunk')
+  ],
+  validate,
+  audioUploadController.uploadChunk
+);
+
+/**
+ * @route GET /api/voice-recordings/uploads/:uploadId
+ * @desc Get the chunks received so far, to resume an interrupted upload
+ * @access Private (Doctor)
+ */
+router.get('/:uploadId',
+  generalLimiter,
+  verifyToken,
+  requirePermission('recording:create'),
+  [uploadIdValidator],
+  validate,
+  audioUploadController.getUploadStatus
+);
+
+/**
+ * @route POST /api/voice-recordings/uploads/:uploadId/complete
+ * @desc Join the chunks into a voice recording
+ * @access Private (Doctor)
+ */
+router.post('/:uploadId/complete',
+  generalLimiter,
+  verifyToken,
+  requirePermission('recording:create'),
+  [uploadIdValidator],
+  validate,
+  audioUploadController.completeUpload
+);
+
+/**
+ * @route DELETE /api/voice-recordings/uploads/:uploadId
+ * @desc Abandon an upload and delete its chunks
+ * @access Private (Doctor)
+ */
+router.delete('/:uploadId',
+  verifyToken,
+  requirePermission('recording:create'),
+  [uploadIdValidator],
+  validate,
+  audioUploadController.abortUpload
+);
+
+module.exports = router;
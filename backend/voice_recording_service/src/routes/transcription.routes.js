@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const transcriptionController = require('../controllers/transcription.controller');
-const { verifyToken, requireDoctor, requireAdmin } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validation.middleware');
 const { transcriptionLimiter, generalLimiter } = require('../middleware/rateLimit.middleware');
 
@@ -15,7 +15,7 @@ const router = express.Router();
 router.post('/',
   transcriptionLimiter, // Rate limiting for transcription requests
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:create'),
   [
     body('voiceRecordingId')
       .isMongoId()
@@ -53,7 +53,7 @@ router.post('/',
  */
 router.get('/stats',
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:read'),
   [
     query('startDate')
       .optional()
@@ -79,7 +79,7 @@ router.get('/stats',
  */
 router.get('/:transcriptionId',
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:read'),
   [
     param('transcriptionId')
       .isMongoId()
@@ -96,7 +96,7 @@ router.get('/:transcriptionId',
  */
 router.get('/voice-recording/:voiceRecordingId',
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:read'),
   [
     param('voiceRecordingId')
       .isMongoId()
@@ -113,7 +113,7 @@ router.get('/voice-recording/:voiceRecordingId',
  */
 router.get('/encounter/:encounterId',
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:read'),
   [
     param('encounterId')
       .isUUID()
@@ -131,7 +131,7 @@ router.get('/encounter/:encounterId',
 router.post('/:transcriptionId/retry',
   transcriptionLimiter, // Rate limiting for retry requests
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:update'),
   [
     param('transcriptionId')
       .isMongoId()
@@ -145,24 +145,94 @@ router.post('/:transcriptionId/retry',
 
 /**
  * @route PUT /api/transcriptions/:transcriptionId/metadata
- * @desc Update transcription metadata
+ * @desc Update transcription metadata (correct speaker roles)
  * @access Private (Doctor)
  */
 router.put('/:transcriptionId/metadata',
   verifyToken,
-  requireDoctor,
+  requirePermission('transcription:update'),
   [
     param('transcriptionId')
       .isMongoId()
       .withMessage('Transcription ID must be a valid MongoDB ObjectId'),
     body('metadata')
       .isObject()
-      .withMessage('Metadata must be an object')
+      .withMessage('Metadata must be an object'),
+    body('metadata.speakerRoles')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Speaker roles must be a non-empty array'),
+    body('metadata.speakerRoles.*.speakerTag')
+      .isInt({ min: 0 })
+      .withMessage('Speaker tag must be a non-negative integer')
+      .toInt(),
+    body('metadata.speakerRoles.*.role')
+      .isIn(['doctor', 'patient', 'attendant', 'unknown'])
+      .withMessage('Role must be doctor, patient, attendant or unknown')
   ],
   validate,
   transcriptionController.updateTranscriptionMetadata
 );
 
+/**
+ * @route POST /api/transcriptions/:transcriptionId/deidentified-export
+ * @desc Export a transcription with PHI redacted (audited)
+ * @access Private (transcription:export)
+ */
+router.post('/:transcriptionId/deidentified-export',
+  generalLimiter,
+  verifyToken,
+  requirePermission('transcription:export'),
+  [
+    param('transcriptionId')
+      .isMongoId()
+      .withMessage('Transcription ID must be a valid MongoDB ObjectId'),
+    body('names')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Names must be an array of at most 20 names'),
+    body('names.*')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Each name must be 2 to 100 characters'),
+    body('includeWords')
+      .optional()
+      .isBoolean()
+      .withMessage('Include words must be a boolean')
+      .toBoolean()
+  ],
+  validate,
+  transcriptionController.exportDeidentifiedTranscript
+);
+
+/**
+ * @route POST /api/transcriptions/:transcriptionId/deidentified-export/audio
+ * @desc Download the recording with PHI bleeped, as WAV (audited)
+ * @access Private (transcription:export)
+ */
+router.post('/:transcriptionId/deidentified-export/audio',
+  generalLimiter,
+  verifyToken,
+  requirePermission('transcription:export'),
+  [
+    param('transcriptionId')
+      .isMongoId()
+      .withMessage('Transcription ID must be a valid MongoDB ObjectId'),
+    body('names')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Names must be an array of at most 20 names'),
+    body('names.*')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Each name must be 2 to 100 characters')
+  ],
+  validate,
+  transcriptionController.exportDeidentifiedAudio
+);
+
 // Admin-only routes
 /**
  * @route GET /api/transcriptions/admin/pending
@@ -171,7 +241,7 @@ router.put('/:transcriptionId/metadata',
  */
 router.get('/admin/pending',
   verifyToken,
-  requireAdmin,
+  requirePermission('transcription:manage'),
   transcriptionController.getPendingTranscriptions
 );
 
@@ -183,7 +253,7 @@ router.get('/admin/pending',
 router.post('/admin/process-pending',
   generalLimiter, // Rate limiting for admin requests
   verifyToken,
-  requireAdmin,
+  requirePermission('transcription:manage'),
   transcriptionController.processPendingTranscriptions
 );
 
@@ -194,7 +264,7 @@ router.post('/admin/process-pending',
  */
 router.delete('/:transcriptionId',
   verifyToken,
-  requireAdmin,
+  requirePermission('transcription:manage'),
   [
     param('transcriptionId')
       .isMongoId()
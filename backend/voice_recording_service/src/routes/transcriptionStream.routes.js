@@ -0,0 +1,68 @@
+const { WebSocketServer } = require('ws');
+const transcriptionStreamController = require('../controllers/transcriptionStream.controller');
+const transcriptionStreamService = require('../services/transcriptionStream.service');
+const { logger } = require('../utils/logger');
+
+const STREAM_PATH = '/api/transcriptions/stream';
+
+// Browsers send no CORS preflight for WebSockets, so origins are checked here
+const isAllowedOrigin = (origin) => {
+  // Allow requests with no origin (like mobile apps)
+  if (!origin) return true;
+
+  const allowedOrigins = process.env.CORS_ORIGIN
+    ? process.env.CORS_ORIGIN.split(',')
+    : ['http://localhost:3000', 'http://localhost:3001'];
+
+  return allowedOrigins.includes(origin);
+};
+
+/**
+ * @route WS /api/transcriptions/stream
+ * @desc Stream audio for live captions; the session is saved as a voice recording and transcription
+ * @access Private (Doctor) - token sent in the start message
+ * @param {http.Server} server - HTTP server to accept upgrades on
+ * @returns {Object} { wss, close() } - close() saves open sessions and closes their sockets
+ */
+const attachTranscriptionStream = (server) => {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: parseInt(process.env.STREAM_MAX_FRAME_SIZE, 10) || 1024 * 1024
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== STREAM_PATH || !isAllowedOrigin(req.headers.origin)) {
+      logger.warn('WebSocket upgrade rejected', {
+        url: req.url,
+        origin: req.headers.origin
+      });
+      socket.write(`HTTP/1.1 ${pathname !== STREAM_PATH ? '404 Not Found' : '403 Forbidden'}\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', transcriptionStreamController.handleConnection);
+
+  logger.info('Live transcription endpoint ready', { path: STREAM_PATH });
+
+  return {
+    wss,
+    close: async () => {
+      await transcriptionStreamService.finishAll();
+      wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+      wss.close();
+    }
+  };
+};
+
+module.exports = {
+  STREAM_PATH,
+  attachTranscriptionStream
+};
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { uploadLimiter, generalLimiter } = require('../middleware/rateLimit.middleware');
+const {
+  uploadSingle,
+  handleUploadErrors,
+  validateUploadedFile
+} = require('../middleware/upload.middleware');
+
+// Controllers
+const voiceEnrollmentController = require('../controllers/voiceEnrollment.controller');
+
+// Validation middleware
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+/**
+ * @route POST /api/voice-enrollments
+ * @desc Add a sample of the doctor speaking alone to their voice enrollment
+ * @access Private (Doctor)
+ */
+router.post('/',
+  uploadLimiter,
+  verifyToken,
+  requirePermission('recording:create'),
+  uploadSingle,
+  handleUploadErrors,
+  validateUploadedFile,
+  [
+    body('duration')
+      .isFloat({ min: 1, max: 600 })
+      .withMessage('Duration must be between 1 and 600 seconds')
+  ],
+  validate,
+  voiceEnrollmentController.enrollVoiceSample
+);
+
+/**
+ * @route GET /api/voice-enrollments
+ * @desc Get the current doctor's voice enrollment
+ * @access Private (Doctor)
+ */
+router.get('/',
+  generalLimiter,
+  verifyToken,
+  requirePermission('recording:create'),
+  voiceEnrollmentController.getVoiceEnrollment
+);
+
+/**
+ * @route DELETE /api/voice-enrollments
+ * @desc Delete the current doctor's voice enrollment
+ * @access Private (Doctor)
+ */
+router.delete('/',
+  verifyToken,
+  requirePermission('recording:create'),
+  voiceEnrollmentController.deleteVoiceEnrollment
+);
+
+module.exports = router;
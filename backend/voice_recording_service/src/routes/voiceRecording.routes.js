@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 // Middleware
-const { verifyToken, requireDoctor, requireAdmin } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
 const { uploadLimiter, generalLimiter } = require('../middleware/rateLimit.middleware');
 const {
   uploadSingle,
@@ -25,7 +25,7 @@ const { validate } = require('../middleware/validation.middleware');
 router.post('/',
   uploadLimiter, // Rate limiting for uploads
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:create'),
   uploadSingle,
   handleUploadErrors,
   validateUploadedFile,
@@ -67,7 +67,7 @@ router.post('/',
  */
 router.get('/:recordingId',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:read'),
   [
     param('recordingId')
       .isMongoId()
@@ -84,7 +84,7 @@ router.get('/:recordingId',
  */
 router.get('/encounter/:encounterId',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:read'),
   [
     param('encounterId')
       .isUUID()
@@ -101,7 +101,7 @@ router.get('/encounter/:encounterId',
  */
 router.put('/:recordingId/status',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:update'),
   [
     param('recordingId')
       .isMongoId()
@@ -141,7 +141,7 @@ router.put('/:recordingId/status',
  */
 router.delete('/:recordingId',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:delete'),
   [
     param('recordingId')
       .isMongoId()
@@ -159,7 +159,7 @@ router.delete('/:recordingId',
 router.get('/:recordingId/download',
   generalLimiter, // Rate limiting for downloads
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:read'),
   [
     param('recordingId')
       .isMongoId()
@@ -176,7 +176,7 @@ router.get('/:recordingId/download',
  */
 router.get('/validation/info',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:create'),
   voiceRecordingController.getValidationInfo
 );
 
@@ -187,7 +187,7 @@ router.get('/validation/info',
  */
 router.put('/:recordingId/retention',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:update'),
   [
     param('recordingId')
       .isMongoId()
@@ -211,7 +211,7 @@ router.put('/:recordingId/retention',
  */
 router.put('/:recordingId/extend-retention',
   verifyToken,
-  requireDoctor,
+  requirePermission('recording:update'),
   [
     param('recordingId')
       .isMongoId()
@@ -232,7 +232,7 @@ router.put('/:recordingId/extend-retention',
  */
 router.get('/admin/retention/statistics',
   verifyToken,
-  requireAdmin,
+  requirePermission('recording:manage'),
   voiceRecordingController.getRetentionStatistics
 );
 
@@ -243,7 +243,7 @@ router.get('/admin/retention/statistics',
  */
 router.post('/admin/retention/cleanup',
   verifyToken,
-  requireAdmin,
+  requirePermission('recording:manage'),
   [
     query('dryRun')
       .optional()
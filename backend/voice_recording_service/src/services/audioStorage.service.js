@@ -1,6 +1,7 @@
 const { GridFSBucket, ObjectId } = require('mongodb');
 const { Readable } = require('stream');
 const { getGridFSBucket } = require('../config/database');
+const AudioUploadChunk = require('../models/AudioUploadChunk');
 const encryptionService = require('../utils/encryption');
 const { logger } = require('../utils/logger');
 const { InternalServerError, NotFoundError } = require('../utils/error-handler');
@@ -230,33 +231,39 @@ class AudioStorageService {
   }
 
   /**
-   * Store audio chunk for streaming upload
+   * Store an encrypted chunk of a resumable upload
+   * Storing the same index again replaces the earlier chunk.
    * @param {Buffer} chunk - Audio chunk
-   * @param {Object} chunkInfo - Chunk information
+   * @param {Object} chunkInfo - { uploadId, index, checksum, expiresAt }
    * @returns {Promise<Object>} Chunk storage result
    */
   async storeAudioChunk(chunk, chunkInfo) {
     try {
-      // For streaming uploads, we would typically store chunks temporarily
-      // and then combine them when the upload is complete
-      // This is a simplified implementation
+      const encryptionData = encryptionService.encrypt(chunk);
 
-      const encryptedChunk = encryptionService.encrypt(chunk);
-      const chunkId = encryptionService.generateToken(16);
-
-      // In a real implementation, you might store chunks in a temporary collection
-      // or use a different storage mechanism for streaming
+      await AudioUploadChunk.findOneAndUpdate(
+        { uploadId: chunkInfo.uploadId, index: chunkInfo.index },
+        {
+          data: Buffer.from(encryptionData.encrypted, 'base64'),
+          iv: encryptionData.iv,
+          authTag: encryptionData.authTag,
+          size: chunk.length,
+          checksum: chunkInfo.checksum,
+          expiresAt: chunkInfo.expiresAt
+        },
+        { upsert: true }
+      );
 
       logger.info('Audio chunk stored', {
-        chunkId: chunkId,
-        sequence: chunkInfo.sequence,
+        uploadId: chunkInfo.uploadId,
+        index: chunkInfo.index,
         size: chunk.length
       });
 
       return {
-        chunkId: chunkId,
-        sequence: chunkInfo.sequence,
+        index: chunkInfo.index,
         size: chunk.length,
+        checksum: chunkInfo.checksum,
         encrypted: true
       };
     } catch (error) {
@@ -265,6 +272,52 @@ class AudioStorageService {
     }
   }
 
+  /**
+   * List the chunks received for an upload, without their data
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Array>} Chunks ({ index, size, checksum }) in order
+   */
+  async listAudioChunks(uploadId) {
+    return AudioUploadChunk.find({ uploadId })
+      .select('index size checksum')
+      .sort({ index: 1 })
+      .lean();
+  }
+
+  /**
+   * Decrypt an upload's chunks and join them into the complete file
+   * @param {string} uploadId - Upload ID
+   * @param {number} totalChunks - Number of chunks the file was split into
+   * @returns {Promise<Buffer>} Audio file buffer
+   */
+  async assembleAudioChunks(uploadId, totalChunks) {
+    const chunks = await AudioUploadChunk.find({ uploadId }).sort({ index: 1 });
+
+    if (chunks.length !== totalChunks || chunks.some((chunk, position) => chunk.index !== position)) {
+      throw new InternalServerError('Upload is missing chunks');
+    }
+
+    return Buffer.concat(chunks.map(chunk => {
+      const decrypted = this.decryptAudioBuffer(chunk.data, { iv: chunk.iv, authTag: chunk.authTag });
+      if (encryptionService.generateHash(decrypted) !== chunk.checksum) {
+        throw new InternalServerError(`Chunk ${chunk.index} failed its integrity check`);
+      }
+      return decrypted;
+    }));
+  }
+
+  /**
+   * Delete an upload's chunks
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<number>} Number of chunks deleted
+   */
+  async deleteAudioChunks(uploadId) {
+    const { deletedCount } = await AudioUploadChunk.deleteMany({ uploadId });
+
+    logger.info('Audio chunks deleted', { uploadId, deletedCount });
+    return deletedCount;
+  }
+
   /**
    * Get storage statistics
    * @returns {Promise<Object>} Storage statistics
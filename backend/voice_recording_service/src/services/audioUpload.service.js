@@ -0,0 +1,309 @@
+const AudioUpload = require('../models/AudioUpload');
+const audioValidationService = require('./audioValidation.service');
+const audioStorageService = require('./audioStorage.service');
+const voiceRecordingService = require('./voiceRecording.service');
+const encryptionService = require('../utils/encryption');
+const { logger } = require('../utils/logger');
+const { hasPermission } = require('@dr-assistant/auth');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError
+} = require('../utils/error-handler');
+
+class AudioUploadService {
+  constructor() {
+    this.chunkSize = parseInt(process.env.CHUNK_SIZE || '1048576');
+    this.sessionTtlHours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24');
+  }
+
+  /**
+   * Start a resumable upload
+   * The recording's details are validated now, so a long upload is not rejected
+   * only once every chunk has arrived.
+   * @param {Object} uploadData - Recording data plus totalSize and optional checksum
+   * @param {Object} user - User information
+   * @returns {Promise<Object>} Upload status
+   */
+  async initiateUpload(uploadData, user) {
+    try {
+      voiceRecordingService.validateRecordingData(uploadData);
+
+      const { maxFileSize, allowedMimeTypes } = audioValidationService.getValidationLimits();
+      if (uploadData.totalSize > maxFileSize) {
+        throw new ValidationError(`File size ${uploadData.totalSize} exceeds maximum allowed size ${maxFileSize}`);
+      }
+      if (!allowedMimeTypes.includes(uploadData.mimeType)) {
+        throw new ValidationError(`File type ${uploadData.mimeType} is not allowed`);
+      }
+
+      const upload = await AudioUpload.create({
+        encounterId: uploadData.encounterId,
+        patientId: uploadData.patientId,
+        doctorId: uploadData.doctorId || user.id,
+        uploadedBy: user.id,
+        duration: uploadData.duration,
+        mimeType: uploadData.mimeType,
+        originalFileName: uploadData.originalFileName,
+        deviceInfo: uploadData.deviceInfo,
+        retentionReason: uploadData.retentionReason,
+        retentionDays: uploadData.retentionDays,
+        totalSize: uploadData.totalSize,
+        chunkSize: this.chunkSize,
+        totalChunks: Math.ceil(uploadData.totalSize / this.chunkSize),
+        checksum: uploadData.checksum,
+        expiresAt: new Date(Date.now() + this.sessionTtlHours * 60 * 60 * 1000)
+      });
+
+      logger.info('Resumable upload started', {
+        uploadId: upload._id,
+        encounterId: upload.encounterId,
+        userId: user.id,
+        totalSize: upload.totalSize,
+        totalChunks: upload.totalChunks
+      });
+
+      return this.toStatus(upload, []);
+    } catch (error) {
+      logger.error('Failed to start upload:', error);
+      if (error.name === 'ValidationError' && error.errors) {
+        throw new ValidationError(Object.values(error.errors).map(err => err.message).join(', '));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store one chunk of an upload
+   * Chunks may arrive in any order and may be sent again; a chunk already
+   * stored with the same checksum is not stored twice.
+   * @param {string} uploadId - Upload ID
+   * @param {number} index - Zero-based chunk index
+   * @param {Buffer} chunk - Chunk data
+   * @param {string} checksum - SHA-256 of the chunk (hex)
+   * @param {Object} user - User information
+   * @returns {Promise<Object>} { index, size, receivedChunks, totalChunks }
+   */
+  async uploadChunk(uploadId, index, chunk, checksum, user) {
+    const upload = await this.getOwnUpload(uploadId, user);
+    if (upload.status !== 'uploading') {
+      throw new ConflictError(`Upload is ${upload.status}`);
+    }
+
+    const validation = audioValidationService.validateAudioChunk(chunk, {
+      index,
+      checksum,
+      totalChunks: upload.totalChunks,
+      expectedSize: index < upload.totalChunks ? upload.getExpectedChunkSize(index) : undefined
+    });
+    if (!validation.isValid) {
+      throw new ValidationError(`Chunk validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const chunks = await audioStorageService.listAudioChunks(upload._id);
+    const existing = chunks.find(received => received.index === index);
+
+    if (!existing || existing.checksum !== checksum.toLowerCase()) {
+      await audioStorageService.storeAudioChunk(chunk, {
+        uploadId: upload._id,
+        index,
+        checksum: checksum.toLowerCase(),
+        expiresAt: upload.expiresAt
+      });
+    }
+
+    return {
+      index,
+      size: chunk.length,
+      receivedChunks: existing ? chunks.length : chunks.length + 1,
+      totalChunks: upload.totalChunks
+    };
+  }
+
+  /**
+   * Get which chunks of an upload have been received
+   * @param {string} uploadId - Upload ID
+   * @param {Object} user - User information
+   * @returns {Promise<Object>} Upload status
+   */
+  async getUploadStatus(uploadId, user) {
+    const upload = await this.getOwnUpload(uploadId, user);
+    const chunks = upload.status === 'uploading' || upload.status === 'finalizing'
+      ? await audioStorageService.listAudioChunks(upload._id)
+      : [];
+
+    return this.toStatus(upload, chunks);
+  }
+
+  /**
+   * Join an upload's chunks into a voice recording
+   * The recording is stored as a single encrypted GridFS file and transcribed
+   * like a direct upload. Completing an upload twice returns the same recording.
+   * @param {string} uploadId - Upload ID
+   * @param {Object} user - User information
+   * @param {Object} requestInfo - Request information (IP, user agent)
+   * @returns {Promise<Object>} Created recording
+   */
+  async completeUpload(uploadId, user, requestInfo = {}) {
+    const upload = await this.getOwnUpload(uploadId, user);
+
+    if (upload.status === 'completed') {
+      return voiceRecordingService.getVoiceRecording(upload.recordingId, user);
+    }
+    if (upload.status !== 'uploading') {
+      throw new ConflictError(`Upload is ${upload.status}`);
+    }
+
+    const chunks = await audioStorageService.listAudioChunks(upload._id);
+    const missing = this.getMissingChunks(chunks.map(chunk => chunk.index), upload.totalChunks);
+    if (missing.length > 0) {
+      throw new ValidationError(`Upload is missing ${missing.length} chunk(s), starting at chunk ${missing[0]}`);
+    }
+
+    // Claim the upload so a repeated request cannot create a second recording
+    const claimed = await AudioUpload.findOneAndUpdate(
+      { _id: upload._id, status: 'uploading' },
+      { status: 'finalizing' },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ConflictError('Upload is already being completed');
+    }
+
+    try {
+      const audioBuffer = await audioStorageService.assembleAudioChunks(upload._id, upload.totalChunks);
+
+      if (audioBuffer.length !== upload.totalSize) {
+        throw new ValidationError(`Uploaded ${audioBuffer.length} bytes but expected ${upload.totalSize}`);
+      }
+      if (upload.checksum && encryptionService.generateHash(audioBuffer) !== upload.checksum.toLowerCase()) {
+        throw new ValidationError('Uploaded file does not match its checksum');
+      }
+
+      const recording = await voiceRecordingService.createVoiceRecording({
+        encounterId: upload.encounterId,
+        patientId: upload.patientId,
+        doctorId: upload.doctorId,
+        duration: upload.duration,
+        deviceInfo: upload.deviceInfo,
+        retentionReason: upload.retentionReason,
+        retentionDays: upload.retentionDays,
+        originalFileName: upload.originalFileName,
+        mimeType: upload.mimeType
+      }, audioBuffer, user, requestInfo);
+
+      claimed.status = 'completed';
+      claimed.recordingId = recording._id;
+      await claimed.save();
+
+      await audioStorageService.deleteAudioChunks(upload._id);
+
+      logger.info('Resumable upload completed', {
+        uploadId: upload._id,
+        recordingId: recording._id,
+        userId: user.id,
+        fileSize: audioBuffer.length
+      });
+
+      return recording;
+    } catch (error) {
+      // Leave the chunks in place so the upload can be completed again
+      await AudioUpload.updateOne({ _id: upload._id, status: 'finalizing' }, { status: 'uploading' });
+      logger.error('Failed to complete upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Abandon an upload and delete its chunks
+   * @param {string} uploadId - Upload ID
+   * @param {Object} user - User information
+   */
+  async abortUpload(uploadId, user) {
+    const upload = await this.getOwnUpload(uploadId, user);
+    if (upload.status === 'completed' || upload.status === 'finalizing') {
+      throw new ConflictError(`Upload is ${upload.status}`);
+    }
+
+    upload.status = 'aborted';
+    await upload.save();
+    await audioStorageService.deleteAudioChunks(upload._id);
+
+    logger.info('Resumable upload aborted', { uploadId, userId: user.id });
+  }
+
+  /**
+   * Get an upload the user started
+   * @param {string} uploadId - Upload ID
+   * @param {Object} user - User information
+   * @returns {Promise<Object>} Upload session
+   */
+  async getOwnUpload(uploadId, user) {
+    const upload = await AudioUpload.findById(uploadId);
+    if (!upload) {
+      throw new NotFoundError('Upload not found or expired');
+    }
+
+    if (upload.uploadedBy !== user.id && !hasPermission(user, 'recording:manage')) {
+      throw new AuthorizationError('Access denied to this upload');
+    }
+
+    return upload;
+  }
+
+  /**
+   * Describe an upload's progress
+   * @param {Object} upload - Upload session
+   * @param {Array} chunks - Received chunks ({ index, size })
+   * @returns {Object} Upload status
+   */
+  toStatus(upload, chunks) {
+    const indexes = chunks.map(chunk => chunk.index);
+
+    return {
+      uploadId: upload._id,
+      status: upload.status,
+      chunkSize: upload.chunkSize,
+      totalChunks: upload.totalChunks,
+      totalSize: upload.totalSize,
+      receivedChunks: indexes.length,
+      receivedRanges: this.getReceivedRanges(indexes),
+      missingChunks: upload.status === 'uploading' ? this.getMissingChunks(indexes, upload.totalChunks) : [],
+      bytesReceived: chunks.reduce((sum, chunk) => sum + (chunk.size || 0), 0),
+      recordingId: upload.recordingId,
+      expiresAt: upload.expiresAt
+    };
+  }
+
+  /**
+   * Collapse chunk indexes into inclusive ranges, e.g. [0, 1, 2, 5] -> [[0, 2], [5, 5]]
+   * @param {Array<number>} indexes - Received chunk indexes
+   * @returns {Array<Array<number>>} Ranges
+   */
+  getReceivedRanges(indexes) {
+    return [...indexes].sort((a, b) => a - b).reduce((ranges, index) => {
+      const last = ranges[ranges.length - 1];
+      if (last && index === last[1] + 1) {
+        last[1] = index;
+      } else {
+        ranges.push([index, index]);
+      }
+      return ranges;
+    }, []);
+  }
+
+  /**
+   * List the chunk indexes not yet received
+   * @param {Array<number>} indexes - Received chunk indexes
+   * @param {number} totalChunks - Number of chunks in the upload
+   * @returns {Array<number>} Missing indexes
+   */
+  getMissingChunks(indexes, totalChunks) {
+    const received = new Set(indexes);
+    return Array.from({ length: totalChunks }, (value, index) => index)
+      .filter(index => !received.has(index));
+  }
+}
+
+module.exports = new AudioUploadService();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const fileType = require('file-type');
 const { logger } = require('../utils/logger');
 const { ValidationError } = require('../utils/error-handler');
@@ -164,9 +165,9 @@ class AudioValidationService {
   }
 
   /**
-   * Validate audio chunk for streaming upload
+   * Validate a chunk of a resumable upload against its upload session
    * @param {Buffer} chunk - Audio chunk buffer
-   * @param {Object} chunkInfo - Chunk information
+   * @param {Object} chunkInfo - { index, checksum, expectedSize, totalChunks }
    * @returns {Object} Validation result
    */
   validateAudioChunk(chunk, chunkInfo = {}) {
@@ -186,12 +187,33 @@ class AudioValidationService {
     if (chunk.length === 0) {
       validation.isValid = false;
       validation.errors.push('Chunk is empty');
+      return validation;
+    }
+
+    // Check the chunk index is within the upload
+    if (chunkInfo.index !== undefined) {
+      if (!Number.isInteger(chunkInfo.index) || chunkInfo.index < 0) {
+        validation.isValid = false;
+        validation.errors.push('Invalid chunk index');
+      } else if (chunkInfo.totalChunks !== undefined && chunkInfo.index >= chunkInfo.totalChunks) {
+        validation.isValid = false;
+        validation.errors.push(`Chunk index ${chunkInfo.index} is beyond the last chunk ${chunkInfo.totalChunks - 1}`);
+      }
     }
 
-    // Validate chunk sequence if provided
-    if (chunkInfo.sequence !== undefined && chunkInfo.sequence < 0) {
+    // Every chunk but the last must be exactly the upload's chunk size
+    if (chunkInfo.expectedSize !== undefined && chunk.length !== chunkInfo.expectedSize) {
       validation.isValid = false;
-      validation.errors.push('Invalid chunk sequence number');
+      validation.errors.push(`Chunk size ${chunk.length} does not match expected size ${chunkInfo.expectedSize}`);
+    }
+
+    // Check the chunk arrived intact
+    if (chunkInfo.checksum !== undefined) {
+      const checksum = crypto.createHash('sha256').update(chunk).digest('hex');
+      if (checksum !== String(chunkInfo.checksum).toLowerCase()) {
+        validation.isValid = false;
+        validation.errors.push('Chunk checksum does not match');
+      }
     }
 
     return validation;
@@ -0,0 +1,57 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Participant Names Service
+ * Looks up the names of a transcription's patient (patient service) and doctor
+ * (user service), so de-identified exports redact them even when nobody says
+ * them after a cue like "my name is". Lookups are made with the exporting
+ * user's token.
+ */
+class ParticipantNamesService {
+  constructor() {
+    this.patientServiceUrl = (process.env.PATIENT_SERVICE_URL || '').replace(/\/$/, '');
+    this.userServiceUrl = (process.env.USER_SERVICE_URL || '').replace(/\/$/, '');
+    this.timeout = parseInt(process.env.PARTICIPANT_LOOKUP_TIMEOUT || '5000');
+  }
+
+  /**
+   * Get the patient's and doctor's names for a transcription
+   * An export without them could leak either name, so any failed lookup
+   * fails the export.
+   * @param {Object} transcription - Transcription document
+   * @param {Object} user - User exporting
+   * @param {string} authorization - The user's Authorization header
+   * @returns {Promise<Array<string>>} Names to redact
+   */
+  async getNames(transcription, user, authorization) {
+    if (!this.patientServiceUrl || !this.userServiceUrl) {
+      throw new AppError('De-identified export needs PATIENT_SERVICE_URL and USER_SERVICE_URL to look up names', 503);
+    }
+
+    const options = { headers: { Authorization: authorization }, timeout: this.timeout };
+    // Doctors may not read other users, but can always read themselves
+    const doctorPath = transcription.doctorId === user.id ? 'me' : transcription.doctorId;
+
+    try {
+      const [patient, doctor] = await Promise.all([
+        axios.get(`${this.patientServiceUrl}/api/patients/${transcription.patientId}`, options),
+        axios.get(`${this.userServiceUrl}/api/users/${doctorPath}`, options)
+      ]);
+
+      const { first_name: firstName, last_name: lastName } = patient.data.data;
+
+      return [`${firstName} ${lastName}`, doctor.data.data.user.full_name].filter(Boolean);
+    } catch (error) {
+      logger.error('Failed to look up names for de-identified export', {
+        transcriptionId: transcription._id,
+        status: error.response?.status,
+        error: error.message
+      });
+      throw new AppError('The patient and doctor names could not be looked up, so the export cannot be de-identified; try again later', 503);
+    }
+  }
+}
+
+module.exports = new ParticipantNamesService();
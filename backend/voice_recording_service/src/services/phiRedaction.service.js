@@ -0,0 +1,569 @@
+const { spawn } = require('child_process');
+const AuditLog = require('../models/AuditLog');
+const voiceRecordingService = require('./voiceRecording.service');
+const speakerRoleService = require('./speakerRole.service');
+const { logger } = require('../utils/logger');
+const { AppError, ValidationError, InternalServerError } = require('../utils/error-handler');
+
+const MONTHS = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const NAME_WORD = "[A-Z][A-Za-z'-]+";
+const NAME = `${NAME_WORD}(?:\\s+${NAME_WORD}){0,2}`;
+
+// PHI detectors, most specific first: a word belongs to the first entity that
+// claims it. Where a pattern has a `phi` group only that part is redacted,
+// the rest is the cue that gave it away.
+const DETECTORS = [
+  { type: 'ABHA_ADDRESS', pattern: /\b[a-z0-9][a-z0-9._]{2,}\s?(?:@|\bat\s+(?:the\s+rate\s+(?:of\s+)?)?)\s?(?:abdm|sbx)\b/gid },
+  { type: 'EMAIL', pattern: /\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/gid },
+  { type: 'ABHA_NUMBER', pattern: /(?<!\d)\d{2}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}(?!\d)/gd },
+  { type: 'AADHAAR', pattern: /(?<!\d)[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?!\d)/gd },
+  { type: 'PHONE', pattern: /(?<![\d+])(?:\+?91[\s-]?|0)?[6-9](?:[\s-]?\d){9}(?!\d)/gd },
+  { type: 'PHONE', pattern: /(?<!\d)0\d{2,4}[\s-]?\d{6,8}(?!\d)/gd },
+  { type: 'ID', pattern: /\b(?:MRN|UHID|IP number|OP number|[Rr]egistration number|[Pp]atient ID)(?:\s+is)?\s*:?\s*(?<phi>[A-Za-z0-9][A-Za-z0-9-]{3,})/gd },
+  { type: 'DATE', pattern: /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/gd },
+  { type: 'DATE', pattern: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTHS}\\.?,?\\s+\\d{4}\\b`, 'gid') },
+  { type: 'DATE', pattern: new RegExp(`\\b${MONTHS}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`, 'gid') },
+  { type: 'NAME', pattern: new RegExp(`\\b[Nn]ame(?: is|'s)\\s+(?<phi>[A-Za-z][A-Za-z'-]*(?:\\s+${NAME_WORD}){0,2})`, 'gd') },
+  { type: 'NAME', pattern: new RegExp(`\\b(?:[Cc]all me|[Ii] am called)\\s+(?<phi>${NAME})`, 'gd') },
+  { type: 'NAME', pattern: new RegExp(`\\b(?:(?:Mr|Mrs|Ms|Dr|Smt)\\.?|Miss|Mister|Doctor|Shri|Shrimati|Kumari)\\s+(?<phi>${NAME})`, 'gd') },
+  { type: 'NAME', pattern: new RegExp(`\\b(?<phi>${NAME_WORD})\\s+ji\\b`, 'gd') },
+  { type: 'ADDRESS', pattern: /\b(?:[Ii] live (?:in|at|near)|[Ll]iving (?:in|at)|[Ss]taying (?:in|at)|[Rr]esid(?:ent of|ing (?:in|at))|[Aa]ddress is)\s+(?<phi>[^.?!\s]+(?:\s+[^.?!\s]+){0,7})/gd },
+  { type: 'ADDRESS', pattern: /\b(?:sector|block|flat|house|plot)\s+(?:no\.?\s*|number\s+)?\d+[a-z]?\b/gid },
+  { type: 'ADDRESS', pattern: /\b\d+[a-z]?(?:[\s,/-]+[a-z0-9]+){0,4}?[\s,]+(?:road|street|nagar|colony|lane|marg|layout|society|apartments?|chowk|gali)\b/gid },
+  { type: 'ADDRESS', pattern: /\b[Pp]in(?:\s?code)?(?:\s+is)?\s+(?<phi>\d{3}\s?\d{3})(?!\d)/gd }
+];
+
+// Capitalised words a name cue picks up that are not part of the name
+const NOT_NAMES = new Set([
+  'i', 'my', 'the', 'and', 'so', 'yes', 'no', 'okay', 'ok', 'please', 'thank', 'thanks',
+  'good', 'sir', 'madam', 'doctor', 'sister', 'nurse', 'is', 'here', 'speaking'
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * PHI Redaction Service
+ * Finds protected health information in a transcript (names, phone numbers,
+ * ABHA and Aadhaar numbers, addresses, dates) with the times it was spoken,
+ * and builds de-identified exports of the transcript and the audio for
+ * teaching and QA. Detection is pattern-based and errs towards redacting too
+ * much; exports should still be reviewed before they are shared.
+ */
+class PhiRedactionService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.timeout = parseInt(process.env.AUDIO_REDACTION_TIMEOUT || '120000');
+    // Seconds of audio bleeped either side of a redacted word
+    this.bleepPadding = parseFloat(process.env.PHI_BLEEP_PADDING || '0.1');
+    this.bleepFrequency = 1000;
+    this.bleepAmplitude = 0.3;
+  }
+
+  /**
+   * Get the words of a transcription to redact
+   * Transcripts stored without word timings are split on whitespace; their
+   * entities have no times.
+   * @param {Object} transcription - Transcription document
+   * @returns {Array} Words in speaking order
+   */
+  getWords(transcription) {
+    const words = speakerRoleService.getSpeakerWords(transcription.words || [])
+      .map(word => (word.toObject ? word.toObject() : { ...word }));
+
+    if (words.length > 0) {
+      return words;
+    }
+
+    return (transcription.transcript || '').split(/\s+/).filter(Boolean).map(word => ({
+      word,
+      startTime: null,
+      endTime: null,
+      confidence: transcription.confidence || 0,
+      speakerTag: 0
+    }));
+  }
+
+  /**
+   * Detect PHI entities in a run of words
+   * @param {Array} words - Words in speaking order
+   * @param {Object} options - { names: other names to redact, e.g. the patient's from their record }
+   * @returns {Array} Entities ({ type, text, startIndex, endIndex, startTime, endTime })
+   */
+  detectEntities(words, { names = [] } = {}) {
+    const offsets = [];
+    let text = '';
+    words.forEach((word, i) => {
+      if (i > 0) text += ' ';
+      offsets.push({ start: text.length, end: text.length + word.word.length });
+      text += word.word;
+    });
+
+    const spans = [];
+    const collect = (type, pattern) => {
+      for (const match of text.matchAll(pattern)) {
+        let [start, end] = match.indices.groups?.phi || match.indices[0];
+        if (type === 'NAME') {
+          end = start + this.trimName(text.slice(start, end)).length;
+        }
+        if (end > start) {
+          spans.push({ type, start, end });
+        }
+      }
+    };
+
+    DETECTORS.forEach(({ type, pattern }) => collect(type, pattern));
+
+    // A name, once known, is redacted wherever else it is said
+    const nameTokens = this.getNameTokens(
+      spans.filter(span => span.type === 'NAME').map(span => text.slice(span.start, span.end)).concat(names)
+    );
+    if (nameTokens.length > 0) {
+      collect('NAME', new RegExp(`\\b(?:${nameTokens.map(escapeRegExp).join('|')})\\b`, 'gid'));
+    }
+
+    return this.toEntities(words, offsets, spans);
+  }
+
+  /**
+   * Cut a name cue's capture short at the first word that is not a name
+   * @param {string} text - Captured text
+   * @returns {string} Name
+   */
+  trimName(text) {
+    const kept = [];
+
+    for (const token of text.split(/\s+/)) {
+      if (NOT_NAMES.has(token.toLowerCase())) {
+        break;
+      }
+      kept.push(token);
+    }
+
+    return kept.join(' ');
+  }
+
+  /**
+   * Split names into the words to look for
+   * @param {Array<string>} names - Names
+   * @returns {Array<string>} Distinct name words, longest first
+   */
+  getNameTokens(names) {
+    const tokens = new Set();
+
+    names.forEach(name => {
+      name.split(/\s+/)
+        .map(token => token.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, ''))
+        .filter(token => token.length >= 3 && !NOT_NAMES.has(token.toLowerCase()))
+        .forEach(token => tokens.add(token.toLowerCase()));
+    });
+
+    return Array.from(tokens).sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Turn character spans into entities over whole words
+   * Each word goes to the first span that covers it, so overlapping spans
+   * never redact a word twice.
+   * @param {Array} words - Words
+   * @param {Array} offsets - Character range of each word in the joined text
+   * @param {Array} spans - Detected spans in priority order
+   * @returns {Array} Entities in speaking order
+   */
+  toEntities(words, offsets, spans) {
+    const owners = offsets.map(({ start, end }) =>
+      spans.findIndex(span => start < span.end && end > span.start)
+    );
+
+    const runs = [];
+    owners.forEach((spanIndex, i) => {
+      if (spanIndex === -1) {
+        return;
+      }
+
+      const last = runs[runs.length - 1];
+      if (last && last.spanIndex === spanIndex && last.endIndex === i - 1) {
+        last.endIndex = i;
+      } else {
+        runs.push({ spanIndex, startIndex: i, endIndex: i });
+      }
+    });
+
+    return runs.map(({ spanIndex, startIndex, endIndex }) => ({
+      type: spans[spanIndex].type,
+      text: words.slice(startIndex, endIndex + 1).map(word => word.word).join(' '),
+      startIndex,
+      endIndex,
+      startTime: words[startIndex].startTime,
+      endTime: words[endIndex].endTime
+    }));
+  }
+
+  /**
+   * Replace each entity's words with one placeholder word, e.g. `[PHONE]`
+   * @param {Array} words - Words
+   * @param {Array} entities - Entities from detectEntities
+   * @returns {Array} Redacted words
+   */
+  redactWords(words, entities) {
+    const entityAt = new Map(entities.map(entity => [entity.startIndex, entity]));
+    const redacted = [];
+
+    for (let i = 0; i < words.length; i++) {
+      const entity = entityAt.get(i);
+      if (!entity) {
+        redacted.push(words[i]);
+        continue;
+      }
+
+      const last = words[entity.endIndex];
+      const [punctuation] = last.word.match(/[.,!?;:]*$/);
+
+      redacted.push({
+        word: `[${entity.type}]${punctuation}`,
+        startTime: words[i].startTime,
+        endTime: last.endTime,
+        confidence: words[i].confidence,
+        speakerTag: words[i].speakerTag
+      });
+      i = entity.endIndex;
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact a transcription
+   * @param {Object} transcription - Transcription document
+   * @param {Object} options - { names }
+   * @returns {Object} { transcript, turns, words, entities }
+   */
+  redactTranscription(transcription, options = {}) {
+    const words = this.getWords(transcription);
+    const entities = this.detectEntities(words, options);
+    const redactedWords = this.redactWords(words, entities);
+
+    return {
+      transcript: redactedWords.map(word => word.word).join(' '),
+      turns: speakerRoleService.buildTurns(redactedWords, transcription.speakerRoles || []),
+      words: redactedWords,
+      entities
+    };
+  }
+
+  /**
+   * Count entities by type
+   * @param {Array} entities - Entities
+   * @returns {Object} { total, byType }
+   */
+  summarize(entities) {
+    const byType = {};
+    entities.forEach(entity => {
+      byType[entity.type] = (byType[entity.type] || 0) + 1;
+    });
+
+    return { total: entities.length, byType };
+  }
+
+  /**
+   * Time ranges to bleep, padded and merged
+   * @param {Array} entities - Entities with times
+   * @returns {Array} [{ start, end }] in seconds
+   */
+  getBleepSpans(entities) {
+    const spans = entities
+      .map(entity => ({
+        start: Math.max(0, entity.startTime - this.bleepPadding),
+        end: entity.endTime + this.bleepPadding
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    return spans.reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Read a WAV file's format and samples
+   * Streamed WAV (as ffmpeg writes to a pipe) has no data size; the samples
+   * then run to the end of the file.
+   * @param {Buffer} buffer - WAV file
+   * @returns {Object|null} { audioFormat, channels, sampleRate, bitsPerSample, data }, or null if not WAV
+   */
+  parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      return null;
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (id === 'fmt ') {
+        format = {
+          audioFormat: buffer.readUInt16LE(body),
+          channels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14)
+        };
+      } else if (id === 'data' && format) {
+        const end = size === 0 || size === 0xFFFFFFFF ? buffer.length : Math.min(body + size, buffer.length);
+        return { ...format, data: buffer.subarray(body, end) };
+      }
+
+      offset = body + size + (size % 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * Write 16-bit PCM samples as a WAV file
+   * @param {Object} audio - { channels, sampleRate, data }
+   * @returns {Buffer} WAV file
+   */
+  encodeWav({ channels, sampleRate, data }) {
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * Decode audio to 16-bit PCM WAV with ffmpeg
+   * @param {Buffer} audioBuffer - Audio in any format ffmpeg reads
+   * @param {string} mimeType - Audio MIME type, for errors
+   * @returns {Promise<Buffer>} WAV file
+   */
+  decodeToWav(audioBuffer, mimeType) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', 'pipe:0',
+        '-f', 'wav', '-acodec', 'pcm_s16le',
+        'pipe:1'
+      ]);
+      const output = [];
+      let stderr = '';
+      // 'close' follows 'error' when ffmpeg cannot be started
+      let failed = false;
+
+      const timer = setTimeout(() => {
+        ffmpeg.kill('SIGKILL');
+        reject(new InternalServerError('Decoding audio for redaction timed out'));
+      }, this.timeout);
+
+      ffmpeg.stdout.on('data', chunk => output.push(chunk));
+      ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+      // ffmpeg closes its input early on a bad file
+      ffmpeg.stdin.on('error', () => {});
+
+      ffmpeg.on('error', (error) => {
+        clearTimeout(timer);
+        failed = true;
+        if (error.code === 'ENOENT') {
+          reject(new AppError(`Redacting ${mimeType} audio requires ffmpeg; set FFMPEG_PATH`, 503));
+        } else {
+          reject(error);
+        }
+      });
+
+      ffmpeg.on('close', (code) => {
+        clearTimeout(timer);
+        if (failed) {
+          return;
+        }
+        if (code === 0) {
+          resolve(Buffer.concat(output));
+        } else {
+          logger.error('ffmpeg failed to decode audio', { mimeType, code, stderr: stderr.trim() });
+          reject(new InternalServerError('Failed to decode audio for redaction'));
+        }
+      });
+
+      ffmpeg.stdin.end(audioBuffer);
+    });
+  }
+
+  /**
+   * Bleep time ranges of a recording
+   * 16-bit PCM WAV is bleeped as is; anything else is decoded with ffmpeg
+   * first. The result is always 16-bit PCM WAV.
+   * @param {Buffer} audioBuffer - Decrypted audio
+   * @param {string} mimeType - Audio MIME type
+   * @param {Array} spans - [{ start, end }] in seconds
+   * @returns {Promise<Buffer>} WAV file
+   */
+  async bleepAudio(audioBuffer, mimeType, spans) {
+    let audio = this.parseWav(audioBuffer);
+
+    if (!audio || audio.bitsPerSample !== 16 || ![1, 0xFFFE].includes(audio.audioFormat)) {
+      audio = this.parseWav(await this.decodeToWav(audioBuffer, mimeType));
+      if (!audio) {
+        throw new InternalServerError('Failed to decode audio for redaction');
+      }
+    }
+
+    // Copy so the caller's buffer is left alone
+    const data = Buffer.from(audio.data);
+    const { channels, sampleRate } = audio;
+    const frameCount = Math.floor(data.length / (channels * 2));
+    const amplitude = Math.round(32767 * this.bleepAmplitude);
+
+    spans.forEach(({ start, end }) => {
+      const first = Math.max(0, Math.floor(start * sampleRate));
+      const last = Math.min(frameCount, Math.ceil(end * sampleRate));
+
+      for (let frame = first; frame < last; frame++) {
+        const sample = Math.round(amplitude * Math.sin(2 * Math.PI * this.bleepFrequency * frame / sampleRate));
+        for (let channel = 0; channel < channels; channel++) {
+          data.writeInt16LE(sample, (frame * channels + channel) * 2);
+        }
+      }
+    });
+
+    return this.encodeWav({ channels, sampleRate, data: data.subarray(0, frameCount * channels * 2) });
+  }
+
+  /**
+   * Build a de-identified export of a transcription
+   * The export carries no patient, doctor, encounter or recording IDs; the
+   * audit record links it back.
+   * @param {Object} transcription - Transcription document
+   * @param {Object} user - User exporting
+   * @param {Object} options - { names, includeWords, recordNames: the patient's and doctor's names }
+   * @param {Object} requestInfo - { ip, userAgent }
+   * @returns {Promise<Object>} Export
+   */
+  async exportTranscript(transcription, user, { names = [], includeWords = false, recordNames = [] } = {}, requestInfo = {}) {
+    this.assertExportable(transcription);
+
+    const redaction = this.redactTranscription(transcription, { names: [...recordNames, ...names] });
+    const summary = this.summarize(redaction.entities);
+
+    const audit = await this.recordExport('deidentified_transcript_export', transcription, user, requestInfo, {
+      redactions: summary,
+      providedNames: names.length,
+      recordNames: recordNames.length,
+      includeWords
+    });
+
+    return {
+      exportId: audit._id,
+      generatedAt: audit.createdAt,
+      languageCode: transcription.processingMetadata?.languageCode,
+      duration: transcription.duration,
+      speakerCount: transcription.speakerCount,
+      speakerRoles: (transcription.speakerRoles || []).map(({ speakerTag, role }) => ({ speakerTag, role })),
+      transcript: redaction.transcript,
+      turns: redaction.turns,
+      ...(includeWords && { words: redaction.words }),
+      redactions: redaction.entities.map(({ type, startTime, endTime }) => ({ type, startTime, endTime })),
+      summary
+    };
+  }
+
+  /**
+   * Build the recording of a transcription with its PHI bleeped
+   * @param {Object} transcription - Transcription document
+   * @param {Object} user - User exporting
+   * @param {Object} options - { names, recordNames: the patient's and doctor's names }
+   * @param {Object} requestInfo - { ip, userAgent }
+   * @returns {Promise<Object>} { exportId, buffer, mimeType, filename, size }
+   */
+  async exportAudio(transcription, user, { names = [], recordNames = [] } = {}, requestInfo = {}) {
+    this.assertExportable(transcription);
+
+    const { entities } = this.redactTranscription(transcription, { names: [...recordNames, ...names] });
+    if (entities.some(entity => !Number.isFinite(entity.startTime) || !Number.isFinite(entity.endTime))) {
+      throw new ValidationError('Audio cannot be redacted for a transcription without word timings');
+    }
+
+    const audioFile = await voiceRecordingService.getAudioFile(transcription.voiceRecordingId, user);
+    const spans = this.getBleepSpans(entities);
+    const buffer = await this.bleepAudio(audioFile.buffer, audioFile.mimeType, spans);
+
+    const audit = await this.recordExport('deidentified_audio_export', transcription, user, requestInfo, {
+      redactions: this.summarize(entities),
+      providedNames: names.length,
+      recordNames: recordNames.length,
+      bleepedSpans: spans.length,
+      bleepedSeconds: Math.round(spans.reduce((sum, span) => sum + span.end - span.start, 0) * 10) / 10,
+      sourceMimeType: audioFile.mimeType
+    });
+
+    return {
+      exportId: audit._id,
+      buffer,
+      mimeType: 'audio/wav',
+      filename: `deidentified_${audit._id}.wav`,
+      size: buffer.length
+    };
+  }
+
+  /**
+   * Only completed transcriptions can be exported
+   * @param {Object} transcription - Transcription document
+   */
+  assertExportable(transcription) {
+    if (transcription.status !== 'completed') {
+      throw new ValidationError('Only completed transcriptions can be exported');
+    }
+  }
+
+  /**
+   * Record an export in the audit log
+   * Exports are only handed out once recorded.
+   * @param {string} action - Audit action
+   * @param {Object} transcription - Transcription document
+   * @param {Object} user - User exporting
+   * @param {Object} requestInfo - { ip, userAgent }
+   * @param {Object} details - Counts and options; never PHI
+   * @returns {Promise<Object>} Audit log entry
+   */
+  async recordExport(action, transcription, user, requestInfo, details) {
+    const audit = await AuditLog.logAction({
+      action,
+      actorId: user.id,
+      resourceType: 'transcription',
+      resourceId: transcription._id,
+      details,
+      ipAddress: requestInfo.ip,
+      userAgent: requestInfo.userAgent
+    });
+
+    logger.info('De-identified export created', {
+      exportId: audit._id,
+      action,
+      transcriptionId: transcription._id,
+      userId: user.id,
+      redactions: details.redactions.total
+    });
+
+    return audit;
+  }
+}
+
+module.exports = new PhiRedactionService();
@@ -0,0 +1,97 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+/**
+ * Speaker Embedding Service
+ * Client for a speaker-embedding sidecar (e.g. SpeechBrain or pyannote behind
+ * a small HTTP wrapper) at SPEAKER_EMBEDDING_URL.
+ *
+ * `POST {url}/embed` takes multipart `file` (audio) and optional `segments`
+ * (JSON `[{ "start": s, "end": s }]`) and returns
+ * `{ "model": "...", "embeddings": [[...], ...] }`: one embedding per
+ * segment, or a single one for the whole file when no segments are sent.
+ */
+class SpeakerEmbeddingService {
+  constructor() {
+    this.baseUrl = (process.env.SPEAKER_EMBEDDING_URL || '').replace(/\/$/, '');
+    this.timeout = parseInt(process.env.SPEAKER_EMBEDDING_TIMEOUT || '30000');
+  }
+
+  /**
+   * Whether a speaker-embedding server is configured
+   * @returns {boolean} True if voice enrollment can be used
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Get speaker embeddings for audio
+   * @param {Buffer} audioBuffer - Decrypted audio
+   * @param {string} mimeType - Audio MIME type
+   * @param {Array} segments - Optional [{ start, end }] in seconds
+   * @returns {Promise<Object>} { model, embeddings }
+   */
+  async embed(audioBuffer, mimeType, segments = null) {
+    const form = new FormData();
+    form.append('file', new Blob([audioBuffer], { type: mimeType }), 'audio');
+    if (segments) {
+      form.append('segments', JSON.stringify(segments));
+    }
+
+    const response = await axios.post(`${this.baseUrl}/embed`, form, {
+      timeout: this.timeout,
+      maxBodyLength: Infinity
+    });
+
+    const { model, embeddings } = response.data;
+    const expected = segments ? segments.length : 1;
+
+    if (!Array.isArray(embeddings) || embeddings.length !== expected) {
+      logger.error('Unexpected speaker embedding response', {
+        expected,
+        received: Array.isArray(embeddings) ? embeddings.length : typeof embeddings
+      });
+      throw new Error(`Speaker embedding server returned ${Array.isArray(embeddings) ? embeddings.length : 'no'} embeddings, expected ${expected}`);
+    }
+
+    return { model: model || 'unknown', embeddings };
+  }
+
+  /**
+   * Average several embeddings
+   * @param {Array<Array<number>>} embeddings - Embeddings of equal length
+   * @param {Array<number>} weights - Optional weight per embedding
+   * @returns {Array<number>} Mean embedding
+   */
+  average(embeddings, weights = embeddings.map(() => 1)) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return embeddings[0].map((_, i) =>
+      embeddings.reduce((sum, embedding, j) => sum + embedding[i] * weights[j], 0) / total
+    );
+  }
+
+  /**
+   * Cosine similarity between two embeddings
+   * @param {Array<number>} a - Embedding
+   * @param {Array<number>} b - Embedding
+   * @returns {number} Similarity, -1 to 1
+   */
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
+
+module.exports = new SpeakerEmbeddingService();
@@ -0,0 +1,333 @@
+const speakerEmbeddingService = require('./speakerEmbedding.service');
+const voiceEnrollmentService = require('./voiceEnrollment.service');
+const { logger } = require('../utils/logger');
+
+// What doctors tend to say: history questions, examination, plans
+const DOCTOR_CUES = [
+  /\bwhat brings you\b/g,
+  /\bhow (long|often|much|many|are you|is your|have you)\b/g,
+  /\b(any|do you have any) (allergies|medications|other symptoms|history|family history)\b/g,
+  /\bdo you (have|take|smoke|drink|feel|get|notice)\b/g,
+  /\bhave you (had|been|noticed|taken|tried)\b/g,
+  /\b(let's|let us|let me) (check|examine|take|listen|look|start|get)\b/g,
+  /\bi('ll| will| am going to|'m going to) (prescribe|refer|order|examine|check|start you)\b/g,
+  /\b(i recommend|you should|you need to|we'll|we will)\b/g,
+  /\b(prescribe|prescription|diagnosis|examination|follow[- ]up|dosage|milligrams|twice a day|once a day)\b/g,
+  /\btake a deep breath\b/g
+];
+
+// What patients tend to say: first-person symptoms and history
+const PATIENT_CUES = [
+  /\bi('ve| have) (had|been|got|noticed)\b/g,
+  /\bi (feel|felt|get|got|can't|cannot|don't)\b/g,
+  /\bi('m| am) (feeling|having|not|taking|worried)\b/g,
+  /\bmy (chest|head|back|stomach|throat|leg|legs|arm|knee|ear|eyes|pain|skin|heart)\b/g,
+  /\b(it hurts|it's been|it started|it gets worse)\b/g,
+  /\bsince (yesterday|last|this|monday|tuesday|wednesday|thursday|friday|saturday|sunday|morning|the)\b/g,
+  /\b(thank you|thanks),? doctor\b/g
+];
+
+// What someone accompanying the patient tends to say
+const ATTENDANT_CUES = [
+  /\b(he|she) (has|had|is|was|feels|felt|says|said|can't|cannot|doesn't|didn't|keeps)\b/g,
+  /\bmy (mother|father|mom|mum|dad|son|daughter|husband|wife|child|baby|grandmother|grandfather|brother|sister)\b/g,
+  /\b(his|her) (pain|fever|medicine|medication|breathing|sleep|appetite)\b/g
+];
+
+// Audio MIME type for each transcription audio format, for the embedding server
+const MIME_TYPES = {
+  LINEAR16: 'audio/wav',
+  MP3: 'audio/mpeg',
+  WEBM_OPUS: 'audio/webm',
+  OGG_OPUS: 'audio/ogg'
+};
+
+const countMatches = (text, patterns) =>
+  patterns.reduce((sum, pattern) => sum + (text.match(pattern) || []).length, 0);
+
+/**
+ * Confidence from how far the chosen score leads the next one, 0.5 (a tie) to 0.99
+ * @param {number} best - Chosen score
+ * @param {number} next - Runner-up score
+ * @returns {number} Confidence
+ */
+const marginConfidence = (best, next) => {
+  const spread = Math.abs(best) + Math.abs(next) + 1;
+  return Math.round(Math.min(0.99, 0.5 + (best - next) / (2 * spread)) * 100) / 100;
+};
+
+class SpeakerRoleService {
+  constructor() {
+    // Same-speaker words further apart than this start a new turn
+    this.turnPause = 2;
+    // Cosine similarity needed to accept a speaker as the enrolled doctor
+    this.matchThreshold = parseFloat(process.env.SPEAKER_MATCH_THRESHOLD || '0.7');
+    // Seconds of each speaker's audio compared against the voiceprint
+    this.sampleSeconds = parseInt(process.env.SPEAKER_SAMPLE_SECONDS || '30');
+  }
+
+  /**
+   * Assign roles to a transcript's speakers and split it into turns
+   * Roles come from conversational cues; if the doctor has enrolled their
+   * voice, the best-matching speaker is the doctor instead.
+   * @param {Object} transcription - Transcription document
+   * @param {Array} words - Processed words
+   * @param {Buffer} audioBuffer - Decrypted audio
+   * @returns {Promise<Object>} { speakerRoles, turns }
+   */
+  async labelTranscript(transcription, words, audioBuffer) {
+    const speakerWords = this.getSpeakerWords(words);
+    let speakerRoles = this.assignRoles(speakerWords);
+
+    const isDiarized = speakerWords.some(word => word.speakerTag > 0);
+    if (isDiarized && speakerEmbeddingService.isConfigured()) {
+      try {
+        const match = await this.matchEnrolledDoctor(transcription, speakerWords, audioBuffer);
+        if (match) {
+          speakerRoles = this.assignRoles(speakerWords, {
+            doctorTag: match.speakerTag,
+            doctorConfidence: match.similarity
+          });
+        }
+      } catch (error) {
+        logger.warn('Voice enrollment matching failed, using heuristic roles', {
+          transcriptionId: transcription._id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Speaker roles assigned', {
+      transcriptionId: transcription._id,
+      speakerRoles: speakerRoles.map(({ speakerTag, role, source }) => ({ speakerTag, role, source }))
+    });
+
+    return {
+      speakerRoles,
+      turns: this.buildTurns(speakerWords, speakerRoles)
+    };
+  }
+
+  /**
+   * Get the words to split into turns
+   * With diarization Google repeats every word, tagged, in its last result,
+   * so untagged words are dropped whenever tagged ones exist.
+   * @param {Array} words - Processed words
+   * @returns {Array} Words in speaking order
+   */
+  getSpeakerWords(words = []) {
+    const tagged = words.filter(word => word.speakerTag > 0);
+    return tagged.length > 0 ? tagged : words;
+  }
+
+  /**
+   * Score each speaker's lines for doctor, patient and attendant cues
+   * @param {Array} words - Words with speaker tags
+   * @returns {Array} Profiles in order of first appearance
+   */
+  profileSpeakers(words) {
+    const bySpeaker = new Map();
+
+    words.forEach(word => {
+      if (!bySpeaker.has(word.speakerTag)) {
+        bySpeaker.set(word.speakerTag, []);
+      }
+      bySpeaker.get(word.speakerTag).push(word.word);
+    });
+
+    return Array.from(bySpeaker.entries()).map(([speakerTag, speakerWords], index) => {
+      const text = speakerWords.join(' ').toLowerCase();
+      const questions = (text.match(/\?/g) || []).length;
+
+      return {
+        speakerTag,
+        wordCount: speakerWords.length,
+        // Doctors usually open the consultation and ask most of the questions
+        doctorScore: countMatches(text, DOCTOR_CUES) * 2 + questions + (index === 0 ? 1 : 0),
+        patientScore: countMatches(text, PATIENT_CUES) * 2,
+        attendantScore: countMatches(text, ATTENDANT_CUES) * 2
+      };
+    });
+  }
+
+  /**
+   * Assign a role to each speaker
+   * The speaker leaning most towards doctor cues is the doctor, the one
+   * leaning most towards patient cues among the rest is the patient, and
+   * anyone else is an attendant.
+   * @param {Array} words - Words with speaker tags
+   * @param {Object} options - { doctorTag, doctorConfidence } when the doctor is already known
+   * @returns {Array} Speaker roles
+   */
+  assignRoles(words, { doctorTag = null, doctorConfidence = null } = {}) {
+    const profiles = this.profileSpeakers(words);
+
+    if (profiles.length === 0) {
+      return [];
+    }
+
+    // Without diarization there is no telling who said what
+    if (profiles.length === 1 && profiles[0].speakerTag === 0) {
+      return [{ speakerTag: 0, role: 'unknown', confidence: 0, source: 'heuristic' }];
+    }
+
+    const roles = [];
+    let remaining = profiles;
+
+    const doctorLean = profile => profile.doctorScore - profile.patientScore;
+    const enrolledDoctor = doctorTag !== null && profiles.find(profile => profile.speakerTag === doctorTag);
+
+    if (enrolledDoctor) {
+      roles.push({
+        speakerTag: enrolledDoctor.speakerTag,
+        role: 'doctor',
+        confidence: Math.round(doctorConfidence * 100) / 100,
+        source: 'enrollment'
+      });
+      remaining = profiles.filter(profile => profile !== enrolledDoctor);
+    } else {
+      const [doctor, next] = [...profiles].sort((a, b) => doctorLean(b) - doctorLean(a));
+
+      // A lone speaker is only the doctor if they sound like one
+      if (next || doctorLean(doctor) >= 0) {
+        roles.push({
+          speakerTag: doctor.speakerTag,
+          role: 'doctor',
+          confidence: marginConfidence(doctorLean(doctor), next ? doctorLean(next) : 0),
+          source: 'heuristic'
+        });
+        remaining = profiles.filter(profile => profile !== doctor);
+      }
+    }
+
+    const patientLean = profile => profile.patientScore - profile.attendantScore;
+    const [patient, ...others] = [...remaining].sort((a, b) => patientLean(b) - patientLean(a));
+
+    if (patient) {
+      roles.push({
+        speakerTag: patient.speakerTag,
+        role: 'patient',
+        confidence: marginConfidence(patientLean(patient), others.length > 0 ? patientLean(others[0]) : 0),
+        source: 'heuristic'
+      });
+    }
+
+    others.forEach(profile => {
+      roles.push({
+        speakerTag: profile.speakerTag,
+        role: 'attendant',
+        confidence: marginConfidence(profile.attendantScore, profile.patientScore),
+        source: 'heuristic'
+      });
+    });
+
+    return roles.sort((a, b) => a.speakerTag - b.speakerTag);
+  }
+
+  /**
+   * Find the speaker whose voice matches the doctor's enrollment
+   * @param {Object} transcription - Transcription document
+   * @param {Array} words - Words with speaker tags
+   * @param {Buffer} audioBuffer - Decrypted audio
+   * @returns {Promise<Object|null>} { speakerTag, similarity }, or null without a confident match
+   */
+  async matchEnrolledDoctor(transcription, words, audioBuffer) {
+    const voiceprint = await voiceEnrollmentService.findVoiceprint(transcription.doctorId);
+    if (!voiceprint) {
+      return null;
+    }
+
+    // Compare each speaker's longest turns, up to sampleSeconds of audio
+    const samples = [];
+    const turnsBySpeaker = new Map();
+    this.buildTurns(words, []).forEach(turn => {
+      if (!turnsBySpeaker.has(turn.speakerTag)) {
+        turnsBySpeaker.set(turn.speakerTag, []);
+      }
+      turnsBySpeaker.get(turn.speakerTag).push(turn);
+    });
+
+    turnsBySpeaker.forEach((turns, speakerTag) => {
+      let seconds = 0;
+      turns
+        .sort((a, b) => (b.endTime - b.startTime) - (a.endTime - a.startTime))
+        .forEach(turn => {
+          if (seconds >= this.sampleSeconds) return;
+          samples.push({ speakerTag, start: turn.startTime, end: turn.endTime });
+          seconds += turn.endTime - turn.startTime;
+        });
+    });
+
+    const { model, embeddings } = await speakerEmbeddingService.embed(
+      audioBuffer,
+      MIME_TYPES[transcription.processingMetadata.audioFormat] || 'application/octet-stream',
+      samples.map(({ start, end }) => ({ start, end }))
+    );
+
+    if (model !== voiceprint.model) {
+      logger.warn('Voice enrollment was made with another embedding model', {
+        doctorId: transcription.doctorId,
+        enrollmentModel: voiceprint.model,
+        model
+      });
+      return null;
+    }
+
+    let best = null;
+    turnsBySpeaker.forEach((turns, speakerTag) => {
+      const indexes = samples
+        .map((sample, index) => (sample.speakerTag === speakerTag ? index : -1))
+        .filter(index => index !== -1);
+
+      const speakerEmbedding = speakerEmbeddingService.average(
+        indexes.map(index => embeddings[index]),
+        indexes.map(index => samples[index].end - samples[index].start)
+      );
+      const similarity = speakerEmbeddingService.cosineSimilarity(speakerEmbedding, voiceprint.embedding);
+
+      if (!best || similarity > best.similarity) {
+        best = { speakerTag, similarity };
+      }
+    });
+
+    return best && best.similarity >= this.matchThreshold ? best : null;
+  }
+
+  /**
+   * Split words into speaker turns
+   * @param {Array} words - Words in speaking order
+   * @param {Array} speakerRoles - Speaker roles
+   * @returns {Array} Turns ({ speakerTag, role, text, startTime, endTime, confidence })
+   */
+  buildTurns(words, speakerRoles = []) {
+    const roleByTag = new Map(speakerRoles.map(speakerRole => [speakerRole.speakerTag, speakerRole.role]));
+    const turns = [];
+    let current = null;
+
+    words.forEach(word => {
+      if (!current || word.speakerTag !== current.speakerTag || word.startTime - current.endTime > this.turnPause) {
+        current = {
+          speakerTag: word.speakerTag,
+          startTime: word.startTime,
+          endTime: word.endTime,
+          words: []
+        };
+        turns.push(current);
+      }
+
+      current.words.push(word);
+      current.endTime = word.endTime;
+    });
+
+    return turns.map(turn => ({
+      speakerTag: turn.speakerTag,
+      role: roleByTag.get(turn.speakerTag) || 'unknown',
+      text: turn.words.map(word => word.word).join(' '),
+      startTime: turn.startTime,
+      endTime: turn.endTime,
+      confidence: turn.words.reduce((sum, word) => sum + word.confidence, 0) / turn.words.length
+    }));
+  }
+}
+
+module.exports = new SpeakerRoleService();
@@ -0,0 +1,95 @@
+/**
+ * Fixture Provider
+ * STT adapter that replays recorded results, so tests and offline
+ * development need no speech engine at all
+ *
+ * Results live in STT_FIXTURES_DIR as `<key>.json`, where the key is a hash
+ * of the audio, holding `{ "results": [...] }`. Audio with no recording gets
+ * `default.json` if there is one. With STT_FIXTURE_RECORD set to another
+ * provider, unrecorded audio is sent there and the result recorded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../tests/fixtures/stt');
+
+/**
+ * Get the fixture key for an audio buffer
+ * @param {Buffer} audio - Audio
+ * @returns {string} Fixture key
+ */
+const fixtureKey = (audio) =>
+  crypto.createHash('sha256').update(audio).digest('hex').slice(0, 16);
+
+/**
+ * Read a fixture file if it exists
+ * @param {string} file - Fixture path
+ * @returns {Promise<Object|null>} Recorded result
+ */
+const readFixture = async (file) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create the fixture adapter
+ * @param {Object} config - STT config (fixturesDir, recordWith)
+ * @param {Object} helpers - Registry helpers ({ createProvider })
+ * @returns {Object} Provider adapter
+ */
+const create = (config, { createProvider }) => {
+  const dir = config.fixturesDir || DEFAULT_FIXTURES_DIR;
+  const upstream = config.recordWith ? createProvider(config.recordWith) : null;
+
+  const replay = async (audio, record) => {
+    const key = fixtureKey(audio);
+    const recorded = await readFixture(path.join(dir, `${key}.json`));
+
+    if (recorded) {
+      return recorded;
+    }
+
+    if (upstream) {
+      const result = await record();
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, `${key}.json`), JSON.stringify(result, null, 2));
+
+      return result;
+    }
+
+    const fallback = await readFixture(path.join(dir, 'default.json'));
+
+    if (fallback) {
+      return fallback;
+    }
+
+    throw new Error(`No STT fixture recorded for audio ${key} in ${dir}`);
+  };
+
+  return {
+    name: 'fixture',
+    model: upstream ? upstream.model : 'fixture',
+    isConfigured: () => fs.existsSync(dir),
+    recognize: (audio, options, signal) => replay(audio, () =>
+      upstream.recognize(audio, options, signal)
+    ),
+    recognizeLong: (audio, options, hooks, signal) => replay(audio, () => (upstream.recognizeLong
+      ? upstream.recognizeLong(audio, options, hooks, signal)
+      : upstream.recognize(audio, options, signal))
+    )
+  };
+};
+
+module.exports = {
+  fixtureKey,
+  create
+};
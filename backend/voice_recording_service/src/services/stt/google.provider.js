@@ -0,0 +1,237 @@
+/**
+ * Google Provider
+ * STT adapter for Google Cloud Speech-to-Text
+ */
+
+const speech = require('@google-cloud/speech');
+
+/**
+ * Parse time from Google Speech format
+ * @param {Object} time - Time object from Google Speech
+ * @returns {number} Time in seconds
+ */
+const parseTime = (time) => {
+  if (!time) return 0;
+  return parseFloat(time.seconds || 0) + (time.nanos || 0) / 1000000000;
+};
+
+/**
+ * Process words from Google Speech response
+ * @param {Array} words - Raw words from Google Speech
+ * @param {number} offset - Seconds to add to word times
+ * @returns {Array} Processed words
+ */
+const processWords = (words, offset = 0) => words.map(word => ({
+  word: word.word,
+  startTime: offset + parseTime(word.startTime),
+  endTime: offset + parseTime(word.endTime),
+  confidence: word.confidence || 0,
+  speakerTag: word.speakerTag || 0
+}));
+
+/**
+ * Build Google Speech-to-Text recognition config
+ * @param {Object} options - Recognition options (transcription processing metadata and phrases)
+ * @returns {Object} Recognition config
+ */
+const buildRecognitionConfig = (options) => {
+  const config = {
+    encoding: options.audioFormat,
+    sampleRateHertz: options.sampleRate,
+    languageCode: options.languageCode,
+    enableAutomaticPunctuation: options.enableAutomaticPunctuation,
+    enableWordTimeOffsets: options.enableWordTimeOffsets,
+    enableWordConfidence: true,
+    maxAlternatives: 3,
+    model: options.model,
+    useEnhanced: options.useEnhanced
+  };
+
+  // Add speaker diarization if enabled
+  if (options.enableSpeakerDiarization) {
+    config.diarizationConfig = {
+      enableSpeakerDiarization: true,
+      minSpeakerCount: 1,
+      maxSpeakerCount: options.speakerCount || 2
+    };
+  }
+
+  // Add speech contexts for medical terminology
+  if (options.phrases && options.phrases.length > 0) {
+    config.speechContexts = [{
+      phrases: options.phrases,
+      boost: 10.0
+    }];
+  }
+
+  return config;
+};
+
+/**
+ * Build Google Speech-to-Text request
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @param {Object} options - Recognition options (transcription processing metadata and phrases)
+ * @returns {Object} Speech request
+ */
+const buildSpeechRequest = (audioBuffer, options) => ({
+  audio: {
+    content: audioBuffer.toString('base64')
+  },
+  config: buildRecognitionConfig(options)
+});
+
+/**
+ * Convert a Google Speech response into an STT result
+ * @param {Object} response - Google Speech response
+ * @param {number} offset - Seconds of audio before the stream that produced it
+ * @returns {Object} STT result
+ */
+const toResult = (response, offset = 0) => ({
+  results: (response.results || []).map(result => ({
+    ...(typeof result.isFinal === 'boolean' && { isFinal: result.isFinal }),
+    alternatives: (result.alternatives || []).map(alternative => ({
+      transcript: alternative.transcript,
+      confidence: alternative.confidence || 0,
+      words: processWords(alternative.words || [], offset)
+    }))
+  }))
+});
+
+// gRPC status Google ends a stream with once it hits its duration limit
+const OUT_OF_RANGE = 11;
+
+/**
+ * Stream audio to Google for live results
+ * Google caps a stream at about five minutes, so a fresh one is opened every
+ * streamRestartMs (or when Google ends one early) and its word times shifted
+ * by the audio already sent. Each new stream first gets the recording's first
+ * frame again, as the decoder needs the container header it carries.
+ * @param {Function} getClient - Speech client getter
+ * @param {Object} options - Recognition options
+ * @param {Object} handlers - { onResult, onError }
+ * @param {number} restartMs - How long to keep one stream open
+ * @returns {Object} Stream ({ write, end, destroy })
+ */
+const streamRecognize = (getClient, options, { onResult, onError }, restartMs) => {
+  const request = {
+    config: buildRecognitionConfig(options),
+    interimResults: true
+  };
+  const sessionStartedAt = Date.now();
+  let current = null;
+  let header = null;
+  let ending = false;
+
+  const open = () => {
+    const offset = (Date.now() - sessionStartedAt) / 1000;
+    const recognizeStream = getClient().streamingRecognize(request);
+
+    const done = new Promise((resolve, reject) => {
+      recognizeStream
+        .on('data', response => onResult(toResult(response, offset)))
+        .on('error', (error) => {
+          if (error.code === OUT_OF_RANGE && !ending && recognizeStream === current.stream) {
+            open();
+            resolve();
+            return;
+          }
+          onError(error);
+          reject(error);
+        })
+        .on('end', resolve);
+    });
+    // Only the last stream's completion is awaited
+    done.catch(() => {});
+
+    current = { stream: recognizeStream, done, openedAt: Date.now() };
+
+    if (header) {
+      recognizeStream.write(header);
+    }
+  };
+
+  const restart = () => {
+    const previous = current;
+    open();
+    // Lets the old stream deliver its last final results
+    previous.stream.end();
+  };
+
+  return {
+    write: (chunk) => {
+      if (!current) {
+        header = chunk;
+        open();
+      } else if (Date.now() - current.openedAt >= restartMs) {
+        restart();
+      }
+
+      // A failed stream has been reported already; the audio is still kept by the caller
+      if (!current.stream.destroyed) {
+        current.stream.write(chunk);
+      }
+    },
+    end: async () => {
+      ending = true;
+
+      if (current) {
+        current.stream.end();
+        await current.done;
+      }
+    },
+    destroy: () => {
+      ending = true;
+
+      if (current) {
+        current.stream.destroy();
+      }
+    }
+  };
+};
+
+/**
+ * Create the Google adapter
+ * @param {Object} config - STT config (google.projectId, google.keyFilename, google.streamRestartMs)
+ * @returns {Object} Provider adapter
+ */
+const create = (config) => {
+  const { projectId, keyFilename, streamRestartMs = 290000 } = config.google || {};
+  let client = null;
+
+  // Created on first use, so other providers need no Google credentials
+  const getClient = () => {
+    if (!client) {
+      client = new speech.SpeechClient({ projectId, keyFilename });
+    }
+    return client;
+  };
+
+  return {
+    name: 'google',
+    model: 'google-speech',
+    isConfigured: () => Boolean(projectId || keyFilename || process.env.GOOGLE_APPLICATION_CREDENTIALS),
+    streamingRecognize: (options, handlers) => streamRecognize(getClient, options, handlers, streamRestartMs),
+    recognize: async (audio, options) => {
+      const [response] = await getClient().recognize(buildSpeechRequest(audio, options));
+      return toResult(response);
+    },
+    recognizeLong: async (audio, options, { onJobStarted } = {}) => {
+      const [operation] = await getClient().longRunningRecognize(buildSpeechRequest(audio, options));
+
+      if (onJobStarted) {
+        await onJobStarted(operation.name);
+      }
+
+      const [response] = await operation.promise();
+      return toResult(response);
+    }
+  };
+};
+
+module.exports = {
+  buildRecognitionConfig,
+  buildSpeechRequest,
+  processWords,
+  parseTime,
+  create
+};
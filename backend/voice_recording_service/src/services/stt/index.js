@@ -0,0 +1,331 @@
+/**
+ * Speech-to-Text Provider
+ * Gives the transcription service a single recognize() call whichever engine
+ * is configured. Adapters turn audio into recognition results; timeouts and
+ * normalization into the Transcription words/speaker/confidence shape are
+ * handled here, as is live streaming for providers without a streaming API.
+ *
+ * The provider is chosen with STT_PROVIDER:
+ * - google (default) - Google Cloud Speech-to-Text via @google-cloud/speech
+ * - whisper - a local Whisper-compatible HTTP server (faster-whisper, whisper.cpp), for on-prem use
+ * - fixture - replays recorded results, for tests and offline development
+ */
+
+const { logger } = require('../../utils/logger');
+const googleProvider = require('./google.provider');
+const whisperProvider = require('./whisper.provider');
+const fixtureProvider = require('./fixture.provider');
+
+const providers = new Map();
+
+let defaultSTT = null;
+
+/**
+ * Error raised by the STT layer itself, e.g. on timeout
+ */
+class STTError extends Error {
+  constructor(message, { provider } = {}) {
+    super(message);
+    this.name = 'STTError';
+    this.provider = provider;
+  }
+}
+
+/**
+ * Register a provider adapter
+ * A factory receives the STT config and returns
+ * `{ name, model, isConfigured(), recognize(audio, options, signal), recognizeLong? }`,
+ * where recognize resolves to `{ results: [{ alternatives: [{ transcript, confidence, words }] }] }`
+ * with word times in seconds, and the optional
+ * recognizeLong(audio, options, { onJobStarted }) handles long recordings.
+ * Providers with a live API add streamingRecognize(options, { onResult, onError }),
+ * returning `{ write(chunk), end(), destroy() }` and reporting results that
+ * carry `isFinal`.
+ * @param {string} name - Provider name, as used in STT_PROVIDER
+ * @param {Function} factory - Provider factory (config, { createProvider }) => provider
+ */
+const registerProvider = (name, factory) => {
+  providers.set(name, factory);
+};
+
+registerProvider('google', googleProvider.create);
+registerProvider('whisper', whisperProvider.create);
+registerProvider('fixture', fixtureProvider.create);
+
+/**
+ * Read the STT configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} STT config
+ */
+const loadConfig = (env = process.env) => ({
+  provider: env.STT_PROVIDER || 'google',
+  timeoutMs: parseInt(env.TRANSCRIPTION_TIMEOUT, 10) || 300000,
+  longTimeoutMs: parseInt(env.LONG_TRANSCRIPTION_TIMEOUT, 10) || 3600000,
+  streamingIntervalMs: parseInt(env.STREAMING_INTERIM_INTERVAL, 10) || 5000,
+  google: {
+    projectId: env.GOOGLE_CLOUD_PROJECT_ID,
+    keyFilename: env.GOOGLE_CLOUD_KEY_FILE,
+    streamRestartMs: parseInt(env.GOOGLE_STREAMING_RESTART, 10) || 290000
+  },
+  whisper: {
+    baseUrl: env.WHISPER_URL,
+    path: env.WHISPER_TRANSCRIPTION_PATH,
+    model: env.WHISPER_MODEL,
+    apiKey: env.WHISPER_API_KEY
+  },
+  fixturesDir: env.STT_FIXTURES_DIR,
+  recordWith: env.STT_FIXTURE_RECORD
+});
+
+/**
+ * Build a provider adapter by name
+ * @param {string} name - Provider name
+ * @param {Object} config - STT config
+ * @returns {Object} Provider adapter
+ */
+const createProvider = (name, config) => {
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new STTError(`Unknown speech-to-text provider: ${name}`, { provider: name });
+  }
+
+  return factory(config, {
+    createProvider: (upstream) => createProvider(upstream, config)
+  });
+};
+
+/**
+ * Run a provider call, aborting it after the timeout
+ * @param {Function} call - Call taking an AbortSignal
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} provider - Provider name, for the error
+ * @returns {Promise<*>} Call result
+ */
+const withTimeout = (call, timeoutMs, provider) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new STTError(`Speech-to-text request timed out after ${timeoutMs}ms`, { provider }));
+    }, timeoutMs);
+  });
+
+  return Promise.race([call(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+
+/**
+ * Bring a word into the Transcription word shape
+ * @param {Object} word - Word from a provider
+ * @returns {Object} { word, startTime, endTime, confidence, speakerTag }
+ */
+const normalizeWord = (word) => ({
+  word: String(word.word).trim(),
+  startTime: Number(word.startTime) || 0,
+  endTime: Number(word.endTime) || 0,
+  confidence: clamp(word.confidence),
+  speakerTag: Number.isInteger(word.speakerTag) && word.speakerTag > 0 ? word.speakerTag : 0
+});
+
+/**
+ * Bring a provider's result into the shape the transcription service stores
+ * Confidences are clamped to 0-1, unknown speakers are tag 0 and empty words
+ * and results are dropped. Streaming results keep their isFinal flag.
+ * @param {Object} result - Provider result
+ * @returns {Object} { results: [{ alternatives: [{ transcript, confidence, words }], isFinal? }] }
+ */
+const normalizeResult = (result = {}) => ({
+  ...result,
+  results: (result.results || [])
+    .map(entry => ({
+      ...(typeof entry.isFinal === 'boolean' && { isFinal: entry.isFinal }),
+      alternatives: (entry.alternatives || [])
+        .filter(alternative => alternative.transcript && alternative.transcript.trim())
+        .map(alternative => ({
+          transcript: alternative.transcript.trim(),
+          confidence: clamp(alternative.confidence),
+          words: (alternative.words || []).map(normalizeWord).filter(word => word.word)
+        }))
+    }))
+    .filter(entry => entry.alternatives.length > 0)
+});
+
+/**
+ * Create an STT client
+ * @param {Object} config - STT config (see loadConfig)
+ * @returns {Object} STT client ({ provider, model, streaming, recognize, recognizeLong, stream, describe })
+ */
+const createSTT = (config = loadConfig()) => {
+  const provider = createProvider(config.provider, config);
+
+  /**
+   * Transcribe a short recording
+   * @param {Buffer} audio - Decrypted audio
+   * @param {Object} options - Recognition options ({ encoding, sampleRateHertz, languageCode, enableSpeakerDiarization, speakerCount, phrases, ... })
+   * @returns {Promise<Object>} Normalized result
+   */
+  const recognize = async (audio, options = {}) => {
+    const result = await withTimeout(
+      signal => provider.recognize(audio, options, signal),
+      config.timeoutMs,
+      provider.name
+    );
+
+    return normalizeResult(result);
+  };
+
+  /**
+   * Transcribe a long recording
+   * Providers without a separate long-running mode transcribe it in one request
+   * with the longer timeout.
+   * @param {Buffer} audio - Decrypted audio
+   * @param {Object} options - Recognition options, as for recognize()
+   * @param {Object} hooks - { onJobStarted(jobId) } for providers that run a background job
+   * @returns {Promise<Object>} Normalized result
+   */
+  const recognizeLong = async (audio, options = {}, hooks = {}) => {
+    const result = await withTimeout(
+      signal => (provider.recognizeLong
+        ? provider.recognizeLong(audio, options, hooks, signal)
+        : provider.recognize(audio, options, signal)),
+      config.longTimeoutMs,
+      provider.name
+    );
+
+    return normalizeResult(result);
+  };
+
+  /**
+   * Stand-in for a streaming API: the audio so far is transcribed again every
+   * streamingIntervalMs and reported as interim, and once more at the end as
+   * final. Containers like WebM cannot be cut mid-stream, so every pass starts
+   * from the beginning; fine for a local Whisper server, costly for long sessions.
+   * @param {Object} options - Recognition options
+   * @param {Object} handlers - { onResult }
+   * @returns {Object} Stream ({ write, end, destroy })
+   */
+  const recognizeBuffered = (options, { onResult }) => {
+    const chunks = [];
+    let recognizedChunks = 0;
+    let pending = null;
+
+    const pass = async (isFinal) => {
+      recognizedChunks = chunks.length;
+      const audio = Buffer.concat(chunks);
+      const result = isFinal
+        ? await recognizeLong(audio, options)
+        : await recognize(audio, options);
+
+      onResult({
+        ...result,
+        results: result.results.map(entry => ({ ...entry, isFinal }))
+      });
+    };
+
+    const timer = setInterval(() => {
+      if (pending || chunks.length === recognizedChunks) {
+        return;
+      }
+
+      pending = pass(false)
+        .catch(error => logger.warn('Interim transcription failed', {
+          provider: provider.name,
+          error: error.message
+        }))
+        .finally(() => {
+          pending = null;
+        });
+    }, config.streamingIntervalMs || 5000);
+
+    return {
+      write: (chunk) => {
+        chunks.push(chunk);
+      },
+      end: async () => {
+        clearInterval(timer);
+        await pending;
+
+        if (chunks.length > 0) {
+          await pass(true);
+        }
+      },
+      destroy: () => clearInterval(timer)
+    };
+  };
+
+  /**
+   * Transcribe audio as it arrives
+   * Results are normalized and reported as they come; each carries isFinal.
+   * Interim results may be replaced by later ones, final results will not.
+   * @param {Object} options - Recognition options, as for recognize()
+   * @param {Object} handlers - { onResult(result), onError(error) }
+   * @returns {Object} Stream: write(chunk), end() resolving once the final
+   * results are in, destroy() to abandon it
+   */
+  const stream = (options = {}, { onResult, onError }) => {
+    if (!provider.streamingRecognize) {
+      return recognizeBuffered(options, { onResult });
+    }
+
+    return provider.streamingRecognize(options, {
+      onResult: result => onResult(normalizeResult(result)),
+      onError
+    });
+  };
+
+  logger.info('Speech-to-text provider ready', {
+    provider: provider.name,
+    model: provider.model,
+    configured: provider.isConfigured(),
+    streaming: Boolean(provider.streamingRecognize)
+  });
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+    streaming: Boolean(provider.streamingRecognize),
+    recognize,
+    recognizeLong,
+    stream,
+    describe: () => ({
+      provider: provider.name,
+      model: provider.model,
+      configured: provider.isConfigured(),
+      streaming: Boolean(provider.streamingRecognize)
+    })
+  };
+};
+
+/**
+ * Get the service's STT client, configured from the environment
+ * @returns {Object} STT client
+ */
+const getSTT = () => {
+  if (!defaultSTT) {
+    defaultSTT = createSTT();
+  }
+
+  return defaultSTT;
+};
+
+/**
+ * Replace the service's STT client, e.g. with a fixture client in tests
+ * @param {Object|null} stt - STT client, or null to rebuild from the environment
+ */
+const setSTT = (stt) => {
+  defaultSTT = stt;
+};
+
+module.exports = {
+  STTError,
+  registerProvider,
+  loadConfig,
+  normalizeResult,
+  createSTT,
+  getSTT,
+  setSTT
+};
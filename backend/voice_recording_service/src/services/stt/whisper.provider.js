@@ -0,0 +1,132 @@
+/**
+ * Whisper Provider
+ * STT adapter for a local Whisper-compatible server, so audio never leaves
+ * the clinic's network
+ *
+ * Speaks the OpenAI-style `/v1/audio/transcriptions` API served by
+ * faster-whisper-server, LocalAI and friends. whisper.cpp's server takes the
+ * same form on `/inference`; point WHISPER_TRANSCRIPTION_PATH at it.
+ * Whisper does not diarize, so every word is speaker 0.
+ */
+
+const axios = require('axios');
+
+// File extension the server uses to pick a decoder
+const extensionMap = {
+  LINEAR16: 'wav',
+  MP3: 'mp3',
+  WEBM_OPUS: 'webm',
+  OGG_OPUS: 'ogg'
+};
+
+/**
+ * Split a segment's text into evenly timed words, for servers that return
+ * no word timestamps
+ * @param {Object} segment - verbose_json segment
+ * @param {number} confidence - Segment confidence
+ * @returns {Array} Words
+ */
+const spreadWords = (segment, confidence) => {
+  const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+  const step = tokens.length > 0 ? (segment.end - segment.start) / tokens.length : 0;
+
+  return tokens.map((word, i) => ({
+    word,
+    startTime: segment.start + step * i,
+    endTime: segment.start + step * (i + 1),
+    confidence,
+    speakerTag: 0
+  }));
+};
+
+/**
+ * Convert a verbose_json response into an STT result, one result per segment
+ * @param {Object} data - Server response
+ * @returns {Object} STT result
+ */
+const toResult = (data) => {
+  const segments = data.segments && data.segments.length > 0
+    ? data.segments
+    : [{ text: data.text || '', start: 0, end: data.duration || 0 }];
+  const topLevelWords = data.words || [];
+
+  return {
+    language: data.language,
+    results: segments.map(segment => {
+      // Segment confidence from the mean token log-probability
+      const confidence = segment.avg_logprob !== undefined ? Math.exp(segment.avg_logprob) : 0;
+      const segmentWords = segment.words || topLevelWords.filter(word =>
+        word.start >= segment.start && word.start < segment.end
+      );
+
+      const words = segmentWords.length > 0
+        ? segmentWords.map(word => ({
+          word: word.word.trim(),
+          startTime: word.start,
+          endTime: word.end,
+          confidence: word.probability !== undefined ? word.probability : (word.p !== undefined ? word.p : confidence),
+          speakerTag: 0
+        }))
+        : spreadWords(segment, confidence);
+
+      return {
+        alternatives: [{
+          transcript: segment.text,
+          confidence: segmentWords.length > 0
+            ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+            : confidence,
+          words
+        }]
+      };
+    })
+  };
+};
+
+/**
+ * Create the Whisper adapter
+ * @param {Object} config - STT config (whisper.baseUrl, whisper.path, whisper.model, whisper.apiKey)
+ * @returns {Object} Provider adapter
+ */
+const create = (config) => {
+  const { baseUrl = 'http://localhost:8000', path = '/v1/audio/transcriptions', model, apiKey } = config.whisper || {};
+  const url = `${baseUrl.replace(/\/$/, '')}${path}`;
+
+  return {
+    name: 'whisper',
+    model: model || 'whisper',
+    isConfigured: () => true,
+    recognize: async (audio, options, signal) => {
+      const extension = extensionMap[options.audioFormat] || 'wav';
+      const form = new FormData();
+
+      form.append('file', new Blob([audio]), `audio.${extension}`);
+      if (model) {
+        form.append('model', model);
+      }
+      if (options.languageCode) {
+        form.append('language', options.languageCode.split('-')[0]);
+      }
+      // The prompt biases decoding towards the medical vocabulary
+      if (options.phrases && options.phrases.length > 0) {
+        form.append('prompt', options.phrases.join(', '));
+      }
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'word');
+      form.append('timestamp_granularities[]', 'segment');
+      form.append('temperature', '0');
+
+      const response = await axios.post(url, form, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        maxBodyLength: Infinity,
+        signal
+      });
+
+      return toResult(response.data);
+    }
+  };
+};
+
+module.exports = {
+  toResult,
+  create
+};
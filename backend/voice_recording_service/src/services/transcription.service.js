@@ -1,18 +1,13 @@
-const speech = require('@google-cloud/speech');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 const Transcription = require('../models/Transcription');
+const VoiceRecording = require('../models/VoiceRecording');
 const audioStorageService = require('./audioStorage.service');
+const speakerRoleService = require('./speakerRole.service');
+const { getSTT } = require('./stt');
 const { InternalServerError, ValidationError } = require('../utils/error-handler');
 
 class TranscriptionService {
   constructor() {
-    // Initialize Google Speech client
-    this.speechClient = new speech.SpeechClient({
-      // Credentials will be loaded from environment variables or service account file
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-      keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE
-    });
-
     // Medical terminology for enhanced recognition
     this.medicalTerms = [
       'hypertension', 'diabetes', 'pneumonia', 'bronchitis', 'asthma',
@@ -55,9 +50,6 @@ class TranscriptionService {
         encounterId: voiceRecording.encounterId
       });
 
-      // Determine audio format and configuration
-      const audioConfig = this.getAudioConfig(voiceRecording.mimeType, options);
-
       // Create transcription document
       const transcription = new Transcription({
         voiceRecordingId: voiceRecording._id,
@@ -65,18 +57,7 @@ class TranscriptionService {
         patientId: voiceRecording.patientId,
         doctorId: voiceRecording.doctorId,
         status: 'pending',
-        processingMetadata: {
-          audioFormat: audioConfig.encoding,
-          sampleRate: audioConfig.sampleRateHertz,
-          channels: audioConfig.audioChannelCount || 1,
-          languageCode: audioConfig.languageCode,
-          enableSpeakerDiarization: audioConfig.enableSpeakerDiarization,
-          speakerCount: audioConfig.diarizationSpeakerCount,
-          enableAutomaticPunctuation: audioConfig.enableAutomaticPunctuation,
-          enableWordTimeOffsets: audioConfig.enableWordTimeOffsets,
-          model: audioConfig.model,
-          useEnhanced: audioConfig.useEnhanced
-        }
+        processingMetadata: this.buildProcessingMetadata(voiceRecording.mimeType, options)
       });
 
       await transcription.save();
@@ -97,7 +78,7 @@ class TranscriptionService {
   }
 
   /**
-   * Process transcription using Google Speech-to-Text
+   * Process transcription with the configured speech-to-text provider
    * @param {Object} transcription - Transcription document
    * @returns {Promise<Object>} Updated transcription
    */
@@ -114,22 +95,15 @@ class TranscriptionService {
       // Retrieve audio file
       const audioBuffer = await this.getAudioBuffer(transcription.voiceRecordingId);
 
-      // Prepare Google Speech-to-Text request
-      const request = this.buildSpeechRequest(audioBuffer, transcription.processingMetadata);
-
-      // Call Google Speech-to-Text API
-      const [response] = await this.speechClient.recognize(request);
+      // Call the speech-to-text provider
+      const result = await getSTT().recognize(audioBuffer, this.getRecognitionOptions(transcription));
 
-      // Process the response
-      const transcriptionData = this.processGoogleResponse(response, transcription);
-
-      // Mark as completed and save results
-      await transcription.markAsCompleted(transcriptionData);
+      await this.completeTranscription(transcription, result, audioBuffer);
 
       logger.info('Transcription processing completed', {
         transcriptionId: transcription._id,
-        confidence: transcriptionData.confidence,
-        wordCount: transcriptionData.wordCount
+        confidence: transcription.confidence,
+        wordCount: transcription.wordCount
       });
 
       return transcription;
@@ -161,36 +135,27 @@ class TranscriptionService {
       // Mark as processing
       await transcription.markAsProcessing();
 
-      // For long-running operations, we would typically upload to Google Cloud Storage first
-      // For now, we'll use the regular recognize method with a timeout
       const audioBuffer = await this.getAudioBuffer(transcription.voiceRecordingId);
-      const request = this.buildSpeechRequest(audioBuffer, transcription.processingMetadata);
-
-      // Use longRunningRecognize for longer files
-      const [operation] = await this.speechClient.longRunningRecognize(request);
 
-      // Store the operation name for tracking
-      transcription.googleJobId = operation.name;
-      await transcription.save();
+      // Providers that run a background job (Google) report its ID for tracking
+      const result = await getSTT().recognizeLong(audioBuffer, this.getRecognitionOptions(transcription), {
+        onJobStarted: async (jobId) => {
+          transcription.googleJobId = jobId;
+          await transcription.save();
 
-      logger.info('Long-running transcription job started', {
-        transcriptionId: transcription._id,
-        googleJobId: operation.name
+          logger.info('Long-running transcription job started', {
+            transcriptionId: transcription._id,
+            googleJobId: jobId
+          });
+        }
       });
 
-      // Poll for completion (in a real implementation, you might use webhooks)
-      const [response] = await operation.promise();
-
-      // Process the response
-      const transcriptionData = this.processGoogleResponse(response, transcription);
-
-      // Mark as completed and save results
-      await transcription.markAsCompleted(transcriptionData);
+      await this.completeTranscription(transcription, result, audioBuffer);
 
       logger.info('Long-running transcription processing completed', {
         transcriptionId: transcription._id,
-        confidence: transcriptionData.confidence,
-        wordCount: transcriptionData.wordCount
+        confidence: transcription.confidence,
+        wordCount: transcription.wordCount
       });
 
       return transcription;
@@ -205,6 +170,27 @@ class TranscriptionService {
     }
   }
 
+  /**
+   * Store a recognition result on a transcription and mark it completed
+   * Shared by batch processing and live streaming sessions.
+   * @param {Object} transcription - Transcription document
+   * @param {Object} result - Normalized STT result
+   * @param {Buffer} audioBuffer - Decrypted audio, for matching enrolled voices
+   * @returns {Promise<Object>} Completed transcription
+   */
+  async completeTranscription(transcription, result, audioBuffer) {
+    // Process the result and label who is speaking
+    const transcriptionData = this.processRecognitionResult(result, transcription);
+    Object.assign(transcriptionData, await speakerRoleService.labelTranscript(
+      transcription,
+      transcriptionData.words,
+      audioBuffer
+    ));
+
+    // Mark as completed and save results
+    return transcription.markAsCompleted(transcriptionData);
+  }
+
   /**
    * Get audio configuration based on MIME type
    * @param {string} mimeType - Audio MIME type
@@ -236,45 +222,43 @@ class TranscriptionService {
   }
 
   /**
-   * Build Google Speech-to-Text request
-   * @param {Buffer} audioBuffer - Audio file buffer
-   * @param {Object} metadata - Processing metadata
-   * @returns {Object} Speech request
+   * Build the processing metadata stored on a transcription
+   * @param {string} mimeType - Audio MIME type
+   * @param {Object} options - Transcription options
+   * @returns {Object} Processing metadata
    */
-  buildSpeechRequest(audioBuffer, metadata) {
-    const request = {
-      audio: {
-        content: audioBuffer.toString('base64')
-      },
-      config: {
-        encoding: metadata.audioFormat,
-        sampleRateHertz: metadata.sampleRate,
-        languageCode: metadata.languageCode,
-        enableAutomaticPunctuation: metadata.enableAutomaticPunctuation,
-        enableWordTimeOffsets: metadata.enableWordTimeOffsets,
-        enableWordConfidence: true,
-        maxAlternatives: 3,
-        model: metadata.model,
-        useEnhanced: metadata.useEnhanced
-      }
-    };
+  buildProcessingMetadata(mimeType, options = {}) {
+    const audioConfig = this.getAudioConfig(mimeType, options);
 
-    // Add speaker diarization if enabled
-    if (metadata.enableSpeakerDiarization) {
-      request.config.diarizationConfig = {
-        enableSpeakerDiarization: true,
-        minSpeakerCount: 1,
-        maxSpeakerCount: metadata.speakerCount || 2
-      };
-    }
+    return {
+      audioFormat: audioConfig.encoding,
+      sampleRate: audioConfig.sampleRateHertz,
+      channels: audioConfig.audioChannelCount || 1,
+      languageCode: audioConfig.languageCode,
+      enableSpeakerDiarization: audioConfig.enableSpeakerDiarization,
+      speakerCount: audioConfig.diarizationSpeakerCount,
+      enableAutomaticPunctuation: audioConfig.enableAutomaticPunctuation,
+      enableWordTimeOffsets: audioConfig.enableWordTimeOffsets,
+      model: audioConfig.model,
+      useEnhanced: audioConfig.useEnhanced,
+      provider: getSTT().provider
+    };
+  }
 
-    // Add speech contexts for medical terminology
-    request.config.speechContexts = [{
-      phrases: this.medicalTerms,
-      boost: 10.0
-    }];
+  /**
+   * Build speech-to-text options from a transcription's processing metadata
+   * @param {Object} transcription - Transcription document
+   * @returns {Object} Recognition options
+   */
+  getRecognitionOptions(transcription) {
+    const metadata = transcription.processingMetadata.toObject
+      ? transcription.processingMetadata.toObject()
+      : transcription.processingMetadata;
 
-    return request;
+    return {
+      ...metadata,
+      phrases: this.medicalTerms
+    };
   }
 
   /**
@@ -284,8 +268,13 @@ class TranscriptionService {
    */
   async getAudioBuffer(voiceRecordingId) {
     try {
-      const audioData = await audioStorageService.retrieveAudioFile(voiceRecordingId);
-      return audioData.buffer;
+      const recording = await VoiceRecording.findById(voiceRecordingId);
+      if (!recording) {
+        throw new Error('Voice recording not found');
+      }
+
+      const audioData = await audioStorageService.retrieveAudioFile(recording.fileId);
+      return audioStorageService.decryptAudioBuffer(audioData.encryptedBuffer, recording.encryption);
     } catch (error) {
       logger.error('Failed to retrieve audio buffer', {
         voiceRecordingId,
@@ -296,14 +285,14 @@ class TranscriptionService {
   }
 
   /**
-   * Process Google Speech-to-Text response
-   * @param {Object} response - Google Speech response
+   * Process a speech-to-text result
+   * @param {Object} response - Normalized STT result (see services/stt)
    * @param {Object} transcription - Transcription document
    * @returns {Object} Processed transcription data
    */
-  processGoogleResponse(response, transcription) {
+  processRecognitionResult(response, transcription) {
     if (!response.results || response.results.length === 0) {
-      throw new ValidationError('No transcription results received from Google Speech-to-Text');
+      throw new ValidationError('No transcription results received from the speech-to-text provider');
     }
 
     const results = response.results;
@@ -331,22 +320,22 @@ class TranscriptionService {
           alternatives.push({
             transcript: alt.transcript,
             confidence: alt.confidence || 0,
-            words: this.processWords(alt.words || [])
+            words: alt.words || []
           });
         });
 
-        // Process words with timing and speaker information
+        // Words with timing and speaker information
         if (alternative.words) {
-          const processedWords = this.processWords(alternative.words);
-          words.push(...processedWords);
-
-          // Count unique speakers
-          const speakers = new Set(processedWords.map(w => w.speakerTag));
-          speakerCount = Math.max(speakerCount, speakers.size);
+          words.push(...alternative.words);
         }
       }
     });
 
+    // Count unique speakers across results; providers may split turns into separate results.
+    // Tag 0 means no speaker was assigned.
+    const speakers = new Set(words.map(w => w.speakerTag).filter(tag => tag > 0));
+    speakerCount = Math.max(speakerCount, speakers.size);
+
     // Calculate quality metrics
     const qualityMetrics = this.calculateQualityMetrics(words, transcript);
 
@@ -366,31 +355,6 @@ class TranscriptionService {
     };
   }
 
-  /**
-   * Process words from Google Speech response
-   * @param {Array} words - Raw words from Google Speech
-   * @returns {Array} Processed words
-   */
-  processWords(words) {
-    return words.map(word => ({
-      word: word.word,
-      startTime: this.parseTime(word.startTime),
-      endTime: this.parseTime(word.endTime),
-      confidence: word.confidence || 0,
-      speakerTag: word.speakerTag || 0
-    }));
-  }
-
-  /**
-   * Parse time from Google Speech format
-   * @param {Object} time - Time object from Google Speech
-   * @returns {number} Time in seconds
-   */
-  parseTime(time) {
-    if (!time) return 0;
-    return parseFloat(time.seconds || 0) + (time.nanos || 0) / 1000000000;
-  }
-
   /**
    * Calculate duration from words
    * @param {Array} words - Array of words with timing
@@ -571,6 +535,66 @@ class TranscriptionService {
     }
   }
 
+  /**
+   * Get transcription by ID
+   * @param {string} transcriptionId - Transcription ID
+   * @returns {Promise<Object>} Transcription
+   */
+  async getTranscriptionById(transcriptionId) {
+    return await Transcription.findById(transcriptionId);
+  }
+
+  /**
+   * Correct the roles of a transcription's speakers
+   * Corrected speakers are marked as manual, and the turns are rebuilt with
+   * the new roles.
+   * @param {Object} transcription - Transcription document
+   * @param {Array} corrections - [{ speakerTag, role }]
+   * @param {Object} user - User making the correction
+   * @returns {Promise<Object>} Updated transcription
+   */
+  async updateSpeakerRoles(transcription, corrections, user) {
+    if (transcription.status !== 'completed') {
+      throw new ValidationError('Speaker roles can only be corrected on completed transcriptions');
+    }
+
+    const words = speakerRoleService.getSpeakerWords(transcription.words);
+    const speakerTags = new Set(words.map(word => word.speakerTag));
+
+    const unknownTags = corrections
+      .map(correction => correction.speakerTag)
+      .filter(speakerTag => !speakerTags.has(speakerTag));
+    if (unknownTags.length > 0) {
+      throw new ValidationError(`No speaker with tag ${unknownTags.join(', ')} in this transcription`);
+    }
+
+    const speakerRoles = new Map(
+      (transcription.speakerRoles || []).map(speakerRole => [speakerRole.speakerTag, speakerRole.toObject ? speakerRole.toObject() : speakerRole])
+    );
+    corrections.forEach(({ speakerTag, role }) => {
+      speakerRoles.set(speakerTag, {
+        speakerTag,
+        role,
+        confidence: 1,
+        source: 'manual',
+        updatedBy: user.id,
+        updatedAt: new Date()
+      });
+    });
+
+    transcription.speakerRoles = Array.from(speakerRoles.values()).sort((a, b) => a.speakerTag - b.speakerTag);
+    transcription.turns = speakerRoleService.buildTurns(words, transcription.speakerRoles);
+    await transcription.save();
+
+    logger.info('Speaker roles corrected', {
+      transcriptionId: transcription._id,
+      userId: user.id,
+      corrections
+    });
+
+    return transcription;
+  }
+
   /**
    * Get transcription by voice recording ID
    * @param {string} voiceRecordingId - Voice recording ID
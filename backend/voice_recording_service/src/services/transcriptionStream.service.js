@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const voiceRecordingService = require('./voiceRecording.service');
+const transcriptionService = require('./transcription.service');
+const audioValidationService = require('./audioValidation.service');
+const speakerRoleService = require('./speakerRole.service');
+const { getSTT } = require('./stt');
+const { logger } = require('../utils/logger');
+const { ValidationError, ConflictError } = require('../utils/error-handler');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * One live transcription session: audio frames in, transcript segments out
+ * Frames are forwarded to the speech-to-text stream and kept, so the finished
+ * session can be stored as a normal voice recording and transcription.
+ */
+class TranscriptionStreamSession {
+  /**
+   * @param {Object} params - { encounterId, patientId, mimeType, languageCode, deviceInfo }
+   * @param {Object} user - User information
+   * @param {Object} options - { send(message), onClose(session), requestInfo, maxBytes, maxDuration }
+   */
+  constructor(params, user, options) {
+    this.id = crypto.randomUUID();
+    this.params = params;
+    this.user = user;
+    this.send = options.send;
+    this.requestInfo = options.requestInfo || {};
+    this.maxBytes = options.maxBytes;
+    this.maxDuration = options.maxDuration;
+    this.onClose = options.onClose;
+
+    this.status = 'streaming';
+    this.chunks = [];
+    this.bytesReceived = 0;
+    this.finalResults = [];
+    this.startedAt = null;
+    this.endedAt = null;
+    this.captionsFailed = false;
+    this.finishing = null;
+
+    // Same options the stored transcription is created with
+    this.mimeType = params.mimeType.split(';')[0].trim();
+    this.transcriptionOptions = params.languageCode ? { languageCode: params.languageCode } : {};
+    this.metadata = transcriptionService.buildProcessingMetadata(this.mimeType, this.transcriptionOptions);
+    this.recognitionOptions = transcriptionService.getRecognitionOptions({ processingMetadata: this.metadata });
+
+    this.stt = getSTT();
+    this.stream = this.stt.stream(this.recognitionOptions, {
+      onResult: result => this.handleResult(result),
+      onError: error => this.handleError(error)
+    });
+  }
+
+  /**
+   * Add an audio frame from the recorder
+   * @param {Buffer} chunk - Audio frame
+   */
+  pushAudio(chunk) {
+    if (this.status !== 'streaming') {
+      throw new ConflictError('Session is no longer accepting audio');
+    }
+
+    if (this.bytesReceived + chunk.length > this.maxBytes) {
+      throw new ValidationError(`Session exceeds maximum size of ${this.maxBytes} bytes`);
+    }
+
+    if (!this.startedAt) {
+      this.startedAt = Date.now();
+    }
+
+    this.chunks.push(chunk);
+    this.bytesReceived += chunk.length;
+    this.stream.write(chunk);
+
+    if (this.getDuration() >= this.maxDuration) {
+      logger.info('Live transcription reached maximum duration', {
+        sessionId: this.id,
+        maxDuration: this.maxDuration
+      });
+      this.finish();
+    }
+  }
+
+  /**
+   * Seconds of audio received, by the clock; frames arrive in real time
+   * @returns {number} Duration in seconds
+   */
+  getDuration() {
+    return this.startedAt ? ((this.endedAt || Date.now()) - this.startedAt) / 1000 : 0;
+  }
+
+  /**
+   * Push a speech-to-text result to the client
+   * Final results are kept for the stored transcription and sent as one
+   * segment per speaker turn; interim results are sent as a single segment
+   * the client replaces as it is refined.
+   * @param {Object} result - Normalized STT result
+   */
+  handleResult(result) {
+    const interim = [];
+
+    for (const entry of result.results) {
+      const alternative = entry.alternatives[0];
+
+      if (entry.isFinal === false) {
+        interim.push(alternative.transcript);
+        continue;
+      }
+
+      this.finalResults.push(entry);
+
+      const segments = alternative.words.length > 0
+        ? speakerRoleService.buildTurns(alternative.words)
+        : [{ speakerTag: 0, text: alternative.transcript, confidence: alternative.confidence }];
+
+      for (const segment of segments) {
+        this.send({
+          type: 'transcript',
+          segment: {
+            isFinal: true,
+            text: segment.text,
+            speakerTag: segment.speakerTag,
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            confidence: segment.confidence
+          }
+        });
+      }
+    }
+
+    if (interim.length > 0) {
+      this.send({
+        type: 'transcript',
+        segment: {
+          isFinal: false,
+          text: interim.join(' ')
+        }
+      });
+    }
+  }
+
+  /**
+   * Report a speech-to-text failure; audio keeps being collected so the
+   * session can still be stored and transcribed in full afterwards
+   * @param {Error} error - Provider error
+   */
+  handleError(error) {
+    if (this.captionsFailed) {
+      return;
+    }
+    this.captionsFailed = true;
+
+    logger.error('Live transcription stream failed', {
+      sessionId: this.id,
+      provider: this.stt.provider,
+      error: error.message
+    });
+
+    this.send({
+      type: 'error',
+      error: {
+        message: 'Live captions are unavailable; the recording will still be saved',
+        statusCode: 502
+      }
+    });
+  }
+
+  /**
+   * Stop the session and store it
+   * The client is sent the stored recording and transcription, or the error.
+   * Safe to call more than once; later calls get the same result.
+   * @returns {Promise<Object>} { voiceRecording, transcription }
+   */
+  finish() {
+    if (!this.finishing) {
+      this.status = 'finishing';
+      this.endedAt = Date.now();
+      this.finishing = this.persist()
+        .then((data) => {
+          this.send({ type: 'completed', data });
+          return data;
+        })
+        .catch((error) => {
+          logger.error('Failed to save live transcription', {
+            sessionId: this.id,
+            error: error.message
+          });
+          this.send({
+            type: 'error',
+            error: {
+              message: error.message,
+              statusCode: error.statusCode || 500
+            }
+          });
+          throw error;
+        })
+        .finally(() => this.close());
+      // Callers that only trigger the finish need not handle its failure
+      this.finishing.catch(() => {});
+    }
+
+    return this.finishing;
+  }
+
+  /**
+   * Abandon the session without storing anything
+   */
+  cancel() {
+    if (this.status === 'closed' || this.finishing) {
+      return;
+    }
+
+    this.stream.destroy();
+    this.chunks = [];
+    this.close();
+
+    logger.info('Live transcription cancelled', {
+      sessionId: this.id,
+      userId: this.user.id
+    });
+  }
+
+  close() {
+    this.status = 'closed';
+
+    if (this.onClose) {
+      this.onClose(this);
+    }
+  }
+
+  /**
+   * Wait for the final results, then save the audio and transcript
+   * @returns {Promise<Object>} { voiceRecording, transcription }
+   */
+  async persist() {
+    if (this.chunks.length === 0) {
+      this.stream.destroy();
+      throw new ValidationError('No audio received');
+    }
+
+    try {
+      await this.stream.end();
+    } catch (error) {
+      // The audio is stored either way; the transcript is whatever was final
+      this.handleError(error);
+    }
+
+    const audioBuffer = Buffer.concat(this.chunks);
+    const duration = Math.max(0.1, Math.round(this.getDuration() * 10) / 10);
+
+    const voiceRecording = await voiceRecordingService.createVoiceRecording({
+      encounterId: this.params.encounterId,
+      patientId: this.params.patientId,
+      duration,
+      deviceInfo: this.params.deviceInfo,
+      originalFileName: `live_${this.id}.${voiceRecordingService.getFileExtension(this.mimeType)}`,
+      autoTranscribe: false
+    }, audioBuffer, this.user, this.requestInfo);
+
+    const transcription = await transcriptionService.createTranscription(voiceRecording, this.transcriptionOptions);
+
+    await transcription.markAsProcessing();
+    await transcriptionService.completeTranscription(transcription, { results: this.finalResults }, audioBuffer);
+
+    logger.info('Live transcription saved', {
+      sessionId: this.id,
+      voiceRecordingId: voiceRecording._id,
+      transcriptionId: transcription._id,
+      duration,
+      finalResults: this.finalResults.length
+    });
+
+    return { voiceRecording, transcription };
+  }
+}
+
+class TranscriptionStreamService {
+  constructor() {
+    this.sessions = new Map();
+    this.maxBytes = audioValidationService.maxFileSize;
+    this.maxDuration = audioValidationService.maxDuration;
+  }
+
+  /**
+   * Start a live transcription session
+   * @param {Object} params - { encounterId, patientId, mimeType, languageCode, deviceInfo }
+   * @param {Object} user - User information
+   * @param {Object} options - { send(message), onClose(session) once the session is over, requestInfo }
+   * @returns {TranscriptionStreamSession} Session
+   */
+  startSession(params, user, { send, onClose, requestInfo } = {}) {
+    this.validateSessionParams(params);
+
+    const session = new TranscriptionStreamSession(params, user, {
+      send,
+      requestInfo,
+      maxBytes: this.maxBytes,
+      maxDuration: this.maxDuration,
+      onClose: (closed) => {
+        this.sessions.delete(closed.id);
+        if (onClose) {
+          onClose(closed);
+        }
+      }
+    });
+
+    this.sessions.set(session.id, session);
+
+    logger.info('Live transcription started', {
+      sessionId: session.id,
+      encounterId: params.encounterId,
+      userId: user.id,
+      provider: session.stt.provider,
+      streaming: session.stt.streaming
+    });
+
+    return session;
+  }
+
+  /**
+   * Validate the parameters a session is started with, before any audio is sent
+   * @param {Object} params - Session parameters
+   */
+  validateSessionParams(params) {
+    for (const field of ['encounterId', 'patientId', 'mimeType']) {
+      if (!params[field] || typeof params[field] !== 'string') {
+        throw new ValidationError(`${field} is required`);
+      }
+    }
+
+    if (!uuidRegex.test(params.encounterId)) {
+      throw new ValidationError('Invalid encounter ID format');
+    }
+
+    if (!uuidRegex.test(params.patientId)) {
+      throw new ValidationError('Invalid patient ID format');
+    }
+
+    const mimeType = params.mimeType.split(';')[0].trim();
+    if (!['audio/webm', 'audio/ogg'].includes(mimeType)) {
+      throw new ValidationError('Live transcription supports audio/webm and audio/ogg');
+    }
+  }
+
+  /**
+   * Store every open session, e.g. before shutdown
+   * @returns {Promise<void>}
+   */
+  async finishAll() {
+    await Promise.allSettled([...this.sessions.values()].map(session => session.finish()));
+  }
+}
+
+module.exports = new TranscriptionStreamService();
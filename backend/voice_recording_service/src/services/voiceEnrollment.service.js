@@ -0,0 +1,118 @@
+const VoiceEnrollment = require('../models/VoiceEnrollment');
+const audioValidationService = require('./audioValidation.service');
+const speakerEmbeddingService = require('./speakerEmbedding.service');
+const { logger } = require('../utils/logger');
+const { AppError, ValidationError, NotFoundError } = require('../utils/error-handler');
+
+class VoiceEnrollmentService {
+  constructor() {
+    // Shorter samples give unreliable voiceprints
+    this.minDuration = parseInt(process.env.VOICE_ENROLLMENT_MIN_DURATION || '10');
+  }
+
+  /**
+   * Add a voice sample to the user's enrollment
+   * Samples from the same embedding model are averaged, so each one refines
+   * the voiceprint; a sample from a new model starts it over.
+   * @param {Buffer} audioBuffer - Audio of the doctor speaking alone
+   * @param {Object} sample - { mimeType, duration }
+   * @param {Object} user - User information
+   * @returns {Promise<Object>} Enrollment summary
+   */
+  async enroll(audioBuffer, sample, user) {
+    try {
+      if (!speakerEmbeddingService.isConfigured()) {
+        throw new AppError('Voice enrollment is not configured on this server', 503);
+      }
+
+      if (!sample.duration || sample.duration < this.minDuration) {
+        throw new ValidationError(`Enrollment samples must be at least ${this.minDuration} seconds long`);
+      }
+
+      const validation = await audioValidationService.validateAudioFile(audioBuffer, { duration: sample.duration });
+      if (!validation.isValid) {
+        throw new ValidationError(`Audio validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const { model, embeddings: [embedding] } = await speakerEmbeddingService.embed(audioBuffer, sample.mimeType);
+
+      let enrollment = await VoiceEnrollment.findOne({ doctorId: user.id });
+
+      if (enrollment && enrollment.model === model && enrollment.embedding.length === embedding.length) {
+        enrollment.embedding = speakerEmbeddingService.average(
+          [enrollment.embedding, embedding],
+          [enrollment.sampleCount, 1]
+        );
+        enrollment.sampleCount += 1;
+        enrollment.totalDuration += sample.duration;
+      } else {
+        if (enrollment) {
+          logger.info('Replacing voice enrollment from another embedding model', {
+            doctorId: user.id,
+            previousModel: enrollment.model,
+            model
+          });
+        }
+
+        enrollment = enrollment || new VoiceEnrollment({ doctorId: user.id });
+        enrollment.embedding = embedding;
+        enrollment.model = model;
+        enrollment.sampleCount = 1;
+        enrollment.totalDuration = sample.duration;
+      }
+
+      await enrollment.save();
+
+      logger.info('Voice enrollment updated', {
+        doctorId: user.id,
+        sampleCount: enrollment.sampleCount,
+        model
+      });
+
+      return enrollment.toSummary();
+    } catch (error) {
+      logger.error('Failed to enroll voice sample:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a doctor's enrollment summary
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object>} Enrollment summary
+   */
+  async getEnrollment(doctorId) {
+    const enrollment = await VoiceEnrollment.findOne({ doctorId });
+
+    if (!enrollment) {
+      throw new NotFoundError('No voice enrollment found');
+    }
+
+    return enrollment.toSummary();
+  }
+
+  /**
+   * Get a doctor's voiceprint for speaker matching, if they have enrolled
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object|null>} Enrollment document
+   */
+  async findVoiceprint(doctorId) {
+    return await VoiceEnrollment.findOne({ doctorId });
+  }
+
+  /**
+   * Delete a doctor's enrollment
+   * @param {string} doctorId - Doctor ID
+   */
+  async deleteEnrollment(doctorId) {
+    const result = await VoiceEnrollment.deleteOne({ doctorId });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('No voice enrollment found');
+    }
+
+    logger.info('Voice enrollment deleted', { doctorId });
+  }
+}
+
+module.exports = new VoiceEnrollmentService();
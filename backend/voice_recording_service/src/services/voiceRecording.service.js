@@ -3,6 +3,7 @@ const audioValidationService = require('./audioValidation.service');
 const audioStorageService = require('./audioStorage.service');
 const retentionService = require('./retention.service');
 const { logger } = require('../utils/logger');
+const { hasPermission } = require('@dr-assistant/auth');
 const {
   ValidationError,
   NotFoundError,
@@ -82,8 +83,8 @@ class VoiceRecordingService {
         quality: validation.quality
       });
 
-      // Trigger transcription automatically if enabled
-      if (process.env.AUTO_TRANSCRIBE_RECORDINGS !== 'false') {
+      // Trigger transcription automatically if enabled; live sessions bring their own
+      if (recordingData.autoTranscribe !== false && process.env.AUTO_TRANSCRIBE_RECORDINGS !== 'false') {
         setImmediate(async () => {
           try {
             const transcriptionService = require('./transcription.service');
@@ -344,8 +345,8 @@ class VoiceRecordingService {
       return true;
     }
 
-    // Admin can access all recordings
-    if (user.role === 'admin') {
+    // recording:manage covers every doctor's recordings
+    if (hasPermission(user, 'recording:manage')) {
       return true;
     }
 
@@ -370,8 +371,8 @@ class VoiceRecordingService {
    * @returns {boolean} Delete permission
    */
   canDeleteRecording(recording, user) {
-    // Only the doctor who created the recording or admin can delete
-    return recording.doctorId === user.id || user.role === 'admin';
+    // Only the doctor who created the recording or a recording manager can delete
+    return recording.doctorId === user.id || hasPermission(user, 'recording:manage');
   }
 
   /**
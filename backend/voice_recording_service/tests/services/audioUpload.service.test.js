@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const audioUploadService = require('../../src/services/audioUpload.service');
+const AudioUpload = require('../../src/models/AudioUpload');
+const audioStorageService = require('../../src/services/audioStorage.service');
+const voiceRecordingService = require('../../src/services/voiceRecording.service');
+
+// Mock audio storage service
+jest.mock('../../src/services/audioStorage.service', () => ({
+  storeAudioChunk: jest.fn(),
+  listAudioChunks: jest.fn(),
+  assembleAudioChunks: jest.fn(),
+  deleteAudioChunks: jest.fn()
+}));
+
+// Mock voice recording service
+jest.mock('../../src/services/voiceRecording.service', () => ({
+  validateRecordingData: jest.fn(),
+  createVoiceRecording: jest.fn(),
+  getVoiceRecording: jest.fn()
+}));
+
+// Mock encryption (the key is read when the module loads)
+jest.mock('../../src/utils/encryption', () => ({
+  generateHash: (data) => require('crypto').createHash('sha256').update(data).digest('hex')
+}));
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('AudioUploadService', () => {
+  const user = createMockUser();
+  const chunkSize = audioUploadService.chunkSize;
+
+  const startUpload = (overrides = {}) => audioUploadService.initiateUpload({
+    ...createMockRecordingData(),
+    totalSize: chunkSize * 2 + 100,
+    ...overrides
+  }, user);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    audioStorageService.listAudioChunks.mockResolvedValue([]);
+  });
+
+  describe('initiateUpload', () => {
+    it('should split the upload into chunks of the configured size', async () => {
+      const upload = await startUpload();
+
+      expect(upload.status).toBe('uploading');
+      expect(upload.chunkSize).toBe(chunkSize);
+      expect(upload.totalChunks).toBe(3);
+      expect(upload.missingChunks).toEqual([0, 1, 2]);
+    });
+
+    it('should reject uploads larger than the maximum file size', async () => {
+      await expect(startUpload({ totalSize: 200 * 1024 * 1024 })).rejects.toThrow('exceeds maximum allowed size');
+    });
+  });
+
+  describe('uploadChunk', () => {
+    it('should store a chunk that matches its checksum and size', async () => {
+      const { uploadId } = await startUpload();
+      const chunk = createMockAudioBuffer(chunkSize);
+
+      const result = await audioUploadService.uploadChunk(uploadId, 1, chunk, sha256(chunk), user);
+
+      expect(result).toMatchObject({ index: 1, receivedChunks: 1, totalChunks: 3 });
+      expect(audioStorageService.storeAudioChunk).toHaveBeenCalledWith(chunk, expect.objectContaining({
+        index: 1,
+        checksum: sha256(chunk)
+      }));
+    });
+
+    it('should reject a chunk whose checksum does not match', async () => {
+      const { uploadId } = await startUpload();
+      const chunk = createMockAudioBuffer(chunkSize);
+
+      await expect(audioUploadService.uploadChunk(uploadId, 0, chunk, sha256('other'), user))
+        .rejects.toThrow('checksum does not match');
+      expect(audioStorageService.storeAudioChunk).not.toHaveBeenCalled();
+    });
+
+    it('should not store a chunk that was already received', async () => {
+      const { uploadId } = await startUpload();
+      const chunk = createMockAudioBuffer(100);
+      audioStorageService.listAudioChunks.mockResolvedValue([{ index: 2, size: 100, checksum: sha256(chunk) }]);
+
+      const result = await audioUploadService.uploadChunk(uploadId, 2, chunk, sha256(chunk), user);
+
+      expect(result.receivedChunks).toBe(1);
+      expect(audioStorageService.storeAudioChunk).not.toHaveBeenCalled();
+    });
+
+    it('should not accept chunks for another user\'s upload', async () => {
+      const { uploadId } = await startUpload();
+      const chunk = createMockAudioBuffer(chunkSize);
+
+      await expect(audioUploadService.uploadChunk(uploadId, 0, chunk, sha256(chunk), createMockUser({ id: 'other-user' })))
+        .rejects.toThrow('Access denied');
+    });
+  });
+
+  describe('getUploadStatus', () => {
+    it('should report received ranges and missing chunks', async () => {
+      const { uploadId } = await startUpload({ totalSize: chunkSize * 6 });
+      audioStorageService.listAudioChunks.mockResolvedValue(
+        [0, 1, 2, 4].map(index => ({ index, size: chunkSize }))
+      );
+
+      const status = await audioUploadService.getUploadStatus(uploadId, user);
+
+      expect(status.receivedRanges).toEqual([[0, 2], [4, 4]]);
+      expect(status.missingChunks).toEqual([3, 5]);
+      expect(status.bytesReceived).toBe(chunkSize * 4);
+    });
+  });
+
+  describe('completeUpload', () => {
+    it('should refuse to complete while chunks are missing', async () => {
+      const { uploadId } = await startUpload();
+      audioStorageService.listAudioChunks.mockResolvedValue([{ index: 0 }, { index: 2 }]);
+
+      await expect(audioUploadService.completeUpload(uploadId, user)).rejects.toThrow('missing 1 chunk(s), starting at chunk 1');
+    });
+
+    it('should create one recording from the assembled chunks', async () => {
+      const audio = createMockAudioBuffer(chunkSize + 10);
+      const { uploadId } = await startUpload({ totalSize: audio.length, checksum: sha256(audio) });
+      audioStorageService.listAudioChunks.mockResolvedValue([{ index: 0 }, { index: 1 }]);
+      audioStorageService.assembleAudioChunks.mockResolvedValue(audio);
+      voiceRecordingService.createVoiceRecording.mockResolvedValue({ _id: '507f1f77bcf86cd799439011' });
+
+      const recording = await audioUploadService.completeUpload(uploadId, user);
+
+      expect(recording._id).toBe('507f1f77bcf86cd799439011');
+      expect(voiceRecordingService.createVoiceRecording).toHaveBeenCalledWith(
+        expect.objectContaining({ encounterId: createMockRecordingData().encounterId }),
+        audio,
+        user,
+        {}
+      );
+      expect(audioStorageService.deleteAudioChunks).toHaveBeenCalled();
+
+      const upload = await AudioUpload.findById(uploadId);
+      expect(upload.status).toBe('completed');
+
+      // Completing again returns the same recording
+      voiceRecordingService.getVoiceRecording.mockResolvedValue(recording);
+      await audioUploadService.completeUpload(uploadId, user);
+      expect(voiceRecordingService.createVoiceRecording).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reopen the upload when the file does not match its checksum', async () => {
+      const audio = createMockAudioBuffer(100);
+      const { uploadId } = await startUpload({ totalSize: 100, checksum: sha256('something else') });
+      audioStorageService.listAudioChunks.mockResolvedValue([{ index: 0 }]);
+      audioStorageService.assembleAudioChunks.mockResolvedValue(audio);
+
+      await expect(audioUploadService.completeUpload(uploadId, user)).rejects.toThrow('does not match its checksum');
+
+      const upload = await AudioUpload.findById(uploadId);
+      expect(upload.status).toBe('uploading');
+      expect(voiceRecordingService.createVoiceRecording).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReceivedRanges', () => {
+    it('should collapse indexes into inclusive ranges', () => {
+      expect(audioUploadService.getReceivedRanges([6, 0, 1, 2, 3, 4, 9, 7, 8])).toEqual([[0, 4], [6, 9]]);
+      expect(audioUploadService.getReceivedRanges([])).toEqual([]);
+    });
+  });
+});
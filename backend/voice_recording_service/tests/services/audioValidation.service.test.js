@@ -150,6 +150,17 @@ describe('AudioValidationService', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toContain('Chunk is empty');
     });
+
+    it('should reject chunks that do not match their upload', () => {
+      const chunk = createMockAudioBuffer(1000);
+      const sha256 = (data) => require('crypto').createHash('sha256').update(data).digest('hex');
+      const checksum = sha256(chunk);
+
+      expect(audioValidationService.validateAudioChunk(chunk, { index: 2, totalChunks: 3, expectedSize: 1000, checksum }).isValid).toBe(true);
+      expect(audioValidationService.validateAudioChunk(chunk, { index: 3, totalChunks: 3 }).errors[0]).toContain('beyond the last chunk');
+      expect(audioValidationService.validateAudioChunk(chunk, { expectedSize: 1024 }).errors[0]).toContain('does not match expected size');
+      expect(audioValidationService.validateAudioChunk(chunk, { checksum: sha256('other') }).errors).toContain('Chunk checksum does not match');
+    });
   });
 
   describe('getSupportedFormats', () => {
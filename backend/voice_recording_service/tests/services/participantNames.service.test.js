@@ -0,0 +1,94 @@
+const axios = require('axios');
+
+// Mock axios
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+process.env.PATIENT_SERVICE_URL = 'http://patients';
+process.env.USER_SERVICE_URL = 'http://users/';
+
+const participantNamesService = require('../../src/services/participantNames.service');
+
+describe('ParticipantNamesService', () => {
+  const user = createMockUser();
+  const authorization = 'Bearer token';
+
+  const transcription = (overrides = {}) => ({
+    _id: '507f1f77bcf86cd799439012',
+    patientId: '22222222-2222-2222-2222-222222222222',
+    doctorId: user.id,
+    ...overrides
+  });
+
+  const respond = ({ patient = { first_name: 'Ravi', last_name: 'Kumar' }, doctor = { full_name: 'Asha Rao' } } = {}) => {
+    axios.get.mockImplementation(url => Promise.resolve({
+      data: url.startsWith('http://patients') ? { success: true, data: patient } : { success: true, data: { user: doctor } }
+    }));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should look up the patient and the exporting doctor with the user\'s token', async () => {
+    respond();
+
+    const names = await participantNamesService.getNames(transcription(), user, authorization);
+
+    expect(names).toEqual(['Ravi Kumar', 'Asha Rao']);
+    expect(axios.get).toHaveBeenCalledWith('http://patients/api/patients/22222222-2222-2222-2222-222222222222', {
+      headers: { Authorization: authorization },
+      timeout: 5000
+    });
+    expect(axios.get).toHaveBeenCalledWith('http://users/api/users/me', expect.any(Object));
+  });
+
+  it('should look up another doctor by ID', async () => {
+    respond();
+
+    await participantNamesService.getNames(
+      transcription({ doctorId: '33333333-3333-3333-3333-333333333333' }),
+      user,
+      authorization
+    );
+
+    expect(axios.get).toHaveBeenCalledWith(
+      'http://users/api/users/33333333-3333-3333-3333-333333333333',
+      expect.any(Object)
+    );
+  });
+
+  it('should fail the export when a lookup fails', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 403 } }));
+
+    await expect(participantNamesService.getNames(transcription(), user, authorization))
+      .rejects.toMatchObject({
+        statusCode: 503,
+        message: 'The patient and doctor names could not be looked up, so the export cannot be de-identified; try again later'
+      });
+  });
+
+  it('should fail the export when the services are not configured', async () => {
+    const { userServiceUrl } = participantNamesService;
+    participantNamesService.userServiceUrl = '';
+
+    try {
+      await expect(participantNamesService.getNames(transcription(), user, authorization))
+        .rejects.toMatchObject({ statusCode: 503 });
+      expect(axios.get).not.toHaveBeenCalled();
+    } finally {
+      participantNamesService.userServiceUrl = userServiceUrl;
+    }
+  });
+});
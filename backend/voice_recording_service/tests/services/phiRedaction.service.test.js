@@ -0,0 +1,275 @@
+const phiRedactionService = require('../../src/services/phiRedaction.service');
+const voiceRecordingService = require('../../src/services/voiceRecording.service');
+const AuditLog = require('../../src/models/AuditLog');
+
+// Mock voice recording service
+jest.mock('../../src/services/voiceRecording.service', () => ({
+  getAudioFile: jest.fn()
+}));
+
+// Mock audit log model
+jest.mock('../../src/models/AuditLog', () => ({
+  logAction: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Words for one line of dialogue, half a second per word
+const line = (speakerTag, text, startTime = 0) => text.split(' ').map((word, i) => ({
+  word,
+  startTime: startTime + i * 0.5,
+  endTime: startTime + i * 0.5 + 0.4,
+  confidence: 0.9,
+  speakerTag
+}));
+
+const detect = (text, options) =>
+  phiRedactionService.detectEntities(line(1, text), options).map(({ type, text: found }) => [type, found]);
+
+describe('PhiRedactionService', () => {
+  const user = createMockUser();
+
+  const transcription = (words, overrides = {}) => ({
+    _id: '507f1f77bcf86cd799439012',
+    voiceRecordingId: '507f1f77bcf86cd799439011',
+    status: 'completed',
+    transcript: words.map(word => word.word).join(' '),
+    words,
+    duration: 30,
+    speakerCount: 2,
+    speakerRoles: [
+      { speakerTag: 1, role: 'doctor', confidence: 0.9, source: 'heuristic' },
+      { speakerTag: 2, role: 'patient', confidence: 0.9, source: 'heuristic' }
+    ],
+    processingMetadata: { languageCode: 'en-IN' },
+    ...overrides
+  });
+
+  const consultation = () => [
+    ...line(1, 'Good morning. What is your name?', 0),
+    ...line(2, 'My name is Ravi Kumar and my number is 98765 43210.', 4),
+    ...line(1, 'Thank you Ravi. Any fever?', 12)
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuditLog.logAction.mockResolvedValue({ _id: '64b7f1f77bcf86cd79943901', createdAt: new Date() });
+  });
+
+  describe('detectEntities', () => {
+    it('should detect identifiers by pattern', () => {
+      expect(detect('Call me on +91 98765 43210 or 080 23456789.')).toEqual([
+        ['PHONE', '+91 98765 43210'],
+        ['PHONE', '080 23456789.']
+      ]);
+      expect(detect('ABHA number 91-2345-6789-0123, Aadhaar 2345 6789 0123.')).toEqual([
+        ['ABHA_NUMBER', '91-2345-6789-0123,'],
+        ['AADHAAR', '2345 6789 0123.']
+      ]);
+      expect(detect('My ABHA address is ravi.kumar@abdm and email ravi@example.com')).toEqual([
+        ['ABHA_ADDRESS', 'ravi.kumar@abdm'],
+        ['EMAIL', 'ravi@example.com']
+      ]);
+      expect(detect('Born on 12/03/1985, UHID is AB1234.')).toEqual([
+        ['DATE', '12/03/1985,'],
+        ['ID', 'AB1234.']
+      ]);
+    });
+
+    it('should redact only the name after a cue, and the name wherever it recurs', () => {
+      expect(detect('Mr. Sharma sent me. My name is Ravi Kumar. Ravi has a cough. Sharma ji agreed.')).toEqual([
+        ['NAME', 'Sharma'],
+        ['NAME', 'Ravi Kumar.'],
+        ['NAME', 'Ravi'],
+        ['NAME', 'Sharma']
+      ]);
+    });
+
+    it('should not take words after an honorific for a name', () => {
+      expect(detect('Thank you Doctor. My chest hurts, Doctor Please help.')).toEqual([]);
+    });
+
+    it('should redact names given by the caller', () => {
+      expect(detect('Sunita has been unwell since Monday.', { names: ['Sunita Devi'] })).toEqual([
+        ['NAME', 'Sunita']
+      ]);
+    });
+
+    it('should detect addresses', () => {
+      expect(detect('I live in Indiranagar near the metro. Pin code 560038.')).toEqual([
+        ['ADDRESS', 'Indiranagar near the metro.'],
+        ['ADDRESS', '560038.']
+      ]);
+      expect(detect('Flat 4B, 12 MG Road')).toEqual([
+        ['ADDRESS', 'Flat 4B,'],
+        ['ADDRESS', '12 MG Road']
+      ]);
+    });
+
+    it('should leave clinical content alone', () => {
+      expect(detect('Chest pain for 3 days. Take 2 tablets of 500 mg twice a day for 5 days.')).toEqual([]);
+    });
+
+    it('should give each word to the first entity that covers it', () => {
+      const entities = phiRedactionService.detectEntities(line(2, 'I live at 98765 43210 lane', 10));
+
+      expect(entities).toEqual([
+        expect.objectContaining({ type: 'PHONE', text: '98765 43210', startIndex: 3, endIndex: 4, startTime: 11.5, endTime: 12.4 }),
+        expect.objectContaining({ type: 'ADDRESS', text: 'lane', startIndex: 5, endIndex: 5 })
+      ]);
+    });
+  });
+
+  describe('redactTranscription', () => {
+    it('should replace entities with placeholders in the transcript, words and turns', () => {
+      const redaction = phiRedactionService.redactTranscription(transcription(consultation()));
+
+      expect(redaction.transcript).toBe(
+        'Good morning. What is your name? My name is [NAME] and my number is [PHONE]. Thank you [NAME]. Any fever?'
+      );
+      expect(redaction.words).toContainEqual({ word: '[PHONE].', startTime: 8.5, endTime: 9.4, confidence: 0.9, speakerTag: 2 });
+      expect(redaction.turns.map(({ role, text }) => [role, text])).toEqual([
+        ['doctor', 'Good morning. What is your name?'],
+        ['patient', 'My name is [NAME] and my number is [PHONE].'],
+        ['doctor', 'Thank you [NAME]. Any fever?']
+      ]);
+    });
+
+    it('should redact transcripts stored without word timings', () => {
+      const redaction = phiRedactionService.redactTranscription(
+        transcription([], { transcript: 'My name is Ravi.' })
+      );
+
+      expect(redaction.transcript).toBe('My name is [NAME].');
+      expect(redaction.entities[0]).toEqual(expect.objectContaining({ type: 'NAME', startTime: null }));
+    });
+  });
+
+  describe('bleepAudio', () => {
+    it('should put a tone over the spans of a WAV recording', async () => {
+      const sampleRate = 8000;
+      const wav = phiRedactionService.encodeWav({ channels: 1, sampleRate, data: Buffer.alloc(sampleRate * 2) });
+
+      const output = await phiRedactionService.bleepAudio(wav, 'audio/wav', [{ start: 0.25, end: 0.5 }]);
+      const audio = phiRedactionService.parseWav(output);
+      const samples = Array.from({ length: sampleRate }, (_, i) => audio.data.readInt16LE(i * 2));
+
+      expect(audio).toEqual(expect.objectContaining({ channels: 1, sampleRate, bitsPerSample: 16 }));
+      expect(samples.slice(0, 2000).every(sample => sample === 0)).toBe(true);
+      expect(samples.slice(2000, 4000).some(sample => sample !== 0)).toBe(true);
+      expect(samples.slice(4000).every(sample => sample === 0)).toBe(true);
+      expect(wav.readInt16LE(44 + 2001 * 2)).toBe(0);
+    });
+
+    it('should pad and merge the spans to bleep', () => {
+      expect(phiRedactionService.getBleepSpans([
+        { startTime: 4, endTime: 4.4 },
+        { startTime: 1, endTime: 1.4 },
+        { startTime: 1.5, endTime: 2 }
+      ])).toEqual([
+        { start: 0.9, end: expect.closeTo(2.1) },
+        { start: expect.closeTo(3.9), end: expect.closeTo(4.5) }
+      ]);
+    });
+  });
+
+  describe('exportTranscript', () => {
+    it('should record the export and leave out identifiers', async () => {
+      const requestInfo = { ip: '127.0.0.1', userAgent: 'jest' };
+
+      const data = await phiRedactionService.exportTranscript(
+        transcription(consultation(), { encounterId: 'e', patientId: 'p', doctorId: 'd' }),
+        user,
+        { names: ['Kumar'], recordNames: ['Ravi Kumar', 'Asha Rao'] },
+        requestInfo
+      );
+
+      expect(AuditLog.logAction).toHaveBeenCalledWith({
+        action: 'deidentified_transcript_export',
+        actorId: user.id,
+        resourceType: 'transcription',
+        resourceId: '507f1f77bcf86cd799439012',
+        details: { redactions: { total: 3, byType: { NAME: 2, PHONE: 1 } }, providedNames: 1, recordNames: 2, includeWords: false },
+        ipAddress: '127.0.0.1',
+        userAgent: 'jest'
+      });
+      expect(data).toEqual(expect.objectContaining({
+        exportId: '64b7f1f77bcf86cd79943901',
+        languageCode: 'en-IN',
+        speakerRoles: [{ speakerTag: 1, role: 'doctor' }, { speakerTag: 2, role: 'patient' }],
+        redactions: [
+          { type: 'NAME', startTime: 5.5, endTime: 6.4 },
+          { type: 'PHONE', startTime: 8.5, endTime: 9.4 },
+          { type: 'NAME', startTime: 13, endTime: 13.4 }
+        ]
+      }));
+      expect(data).not.toHaveProperty('words');
+      expect(JSON.stringify(data)).not.toMatch(/Ravi|Kumar|98765|"e"|"p"|"d"/);
+    });
+
+    it('should not export unfinished transcriptions', async () => {
+      await expect(phiRedactionService.exportTranscript(transcription([], { status: 'processing' }), user))
+        .rejects.toThrow('Only completed transcriptions can be exported');
+      expect(AuditLog.logAction).not.toHaveBeenCalled();
+    });
+
+    it('should not hand out an export that could not be recorded', async () => {
+      AuditLog.logAction.mockRejectedValue(new Error('write failed'));
+
+      await expect(phiRedactionService.exportTranscript(transcription(consultation()), user))
+        .rejects.toThrow('write failed');
+    });
+  });
+
+  describe('exportAudio', () => {
+    it('should bleep the recording and record the export', async () => {
+      const wav = phiRedactionService.encodeWav({ channels: 1, sampleRate: 8000, data: Buffer.alloc(8000 * 20) });
+      voiceRecordingService.getAudioFile.mockResolvedValue({ buffer: wav, mimeType: 'audio/wav' });
+
+      const audio = await phiRedactionService.exportAudio(transcription(consultation()), user, {}, {});
+
+      expect(voiceRecordingService.getAudioFile).toHaveBeenCalledWith('507f1f77bcf86cd799439011', user);
+      expect(audio).toEqual(expect.objectContaining({
+        exportId: '64b7f1f77bcf86cd79943901',
+        mimeType: 'audio/wav',
+        filename: 'deidentified_64b7f1f77bcf86cd79943901.wav',
+        size: wav.length
+      }));
+      expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'deidentified_audio_export',
+        details: expect.objectContaining({ bleepedSpans: 3, sourceMimeType: 'audio/wav' })
+      }));
+    });
+
+    it('should bleep the patient and doctor names from the record', async () => {
+      const wav = phiRedactionService.encodeWav({ channels: 1, sampleRate: 8000, data: Buffer.alloc(8000 * 20) });
+      voiceRecordingService.getAudioFile.mockResolvedValue({ buffer: wav, mimeType: 'audio/wav' });
+      const words = [...line(1, 'Sit down please, Sunita.', 0), ...line(2, 'Thanks, Rao madam.', 3)];
+
+      await phiRedactionService.exportAudio(transcription(words), user, { recordNames: ['Sunita Devi', 'Asha Rao'] }, {});
+
+      expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        details: expect.objectContaining({
+          redactions: { total: 2, byType: { NAME: 2 } },
+          providedNames: 0,
+          recordNames: 2,
+          bleepedSpans: 2
+        })
+      }));
+    });
+
+    it('should refuse audio for transcripts without word timings', async () => {
+      await expect(phiRedactionService.exportAudio(transcription([], { transcript: 'My name is Ravi.' }), user))
+        .rejects.toThrow('Audio cannot be redacted for a transcription without word timings');
+      expect(voiceRecordingService.getAudioFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const speakerRoleService = require('../../src/services/speakerRole.service');
+const speakerEmbeddingService = require('../../src/services/speakerEmbedding.service');
+const voiceEnrollmentService = require('../../src/services/voiceEnrollment.service');
+const fixture = require('../fixtures/stt/default.json');
+
+// Mock voice enrollment service
+jest.mock('../../src/services/voiceEnrollment.service', () => ({
+  findVoiceprint: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const words = fixture.results.flatMap(result => result.alternatives[0].words);
+
+// Words for one line of dialogue, half a second per word
+const line = (speakerTag, text, startTime) => text.split(' ').map((word, i) => ({
+  word,
+  startTime: startTime + i * 0.5,
+  endTime: startTime + i * 0.5 + 0.4,
+  confidence: 0.9,
+  speakerTag
+}));
+
+describe('SpeakerRoleService', () => {
+  const transcription = {
+    _id: '507f1f77bcf86cd799439012',
+    doctorId: '123e4567-e89b-12d3-a456-426614174002',
+    processingMetadata: { audioFormat: 'WEBM_OPUS' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('assignRoles', () => {
+    it('should tell the doctor from the patient', () => {
+      const roles = speakerRoleService.assignRoles(words);
+
+      expect(roles).toEqual([
+        expect.objectContaining({ speakerTag: 1, role: 'doctor', source: 'heuristic' }),
+        expect.objectContaining({ speakerTag: 2, role: 'patient', source: 'heuristic' })
+      ]);
+      expect(roles[0].confidence).toBeGreaterThan(0.5);
+    });
+
+    it('should label a third speaker talking about the patient as the attendant', () => {
+      const roles = speakerRoleService.assignRoles([
+        ...line(1, 'Good morning, what brings you in today?', 0),
+        ...line(2, 'I have had a cough since last week.', 4),
+        ...line(3, 'She has not been sleeping and her fever keeps coming back.', 9),
+        ...line(1, 'How long have you had the fever?', 16)
+      ]);
+
+      expect(roles.map(({ speakerTag, role }) => [speakerTag, role])).toEqual([
+        [1, 'doctor'],
+        [2, 'patient'],
+        [3, 'attendant']
+      ]);
+    });
+
+    it('should leave an undiarized transcript unlabelled', () => {
+      const roles = speakerRoleService.assignRoles(words.map(word => ({ ...word, speakerTag: 0 })));
+
+      expect(roles).toEqual([{ speakerTag: 0, role: 'unknown', confidence: 0, source: 'heuristic' }]);
+    });
+
+    it('should keep an enrolled doctor even when the cues disagree', () => {
+      const roles = speakerRoleService.assignRoles(words, { doctorTag: 2, doctorConfidence: 0.912 });
+
+      expect(roles).toEqual([
+        expect.objectContaining({ speakerTag: 1, role: 'patient', source: 'heuristic' }),
+        { speakerTag: 2, role: 'doctor', confidence: 0.91, source: 'enrollment' }
+      ]);
+    });
+  });
+
+  describe('buildTurns', () => {
+    it('should group consecutive words by speaker', () => {
+      const turns = speakerRoleService.buildTurns(words, speakerRoleService.assignRoles(words));
+
+      expect(turns).toHaveLength(5);
+      expect(turns[0]).toMatchObject({
+        speakerTag: 1,
+        role: 'doctor',
+        text: 'Good morning, what brings you in today?',
+        startTime: 0
+      });
+      expect(turns[1]).toMatchObject({ speakerTag: 2, role: 'patient' });
+      expect(turns[1].text).toMatch(/^I have had chest pain/);
+    });
+
+    it('should start a new turn after a long pause', () => {
+      const turns = speakerRoleService.buildTurns([
+        ...line(1, 'Take a deep breath.', 0),
+        ...line(1, 'And again.', 10)
+      ]);
+
+      expect(turns.map(turn => [turn.role, turn.text])).toEqual([
+        ['unknown', 'Take a deep breath.'],
+        ['unknown', 'And again.']
+      ]);
+    });
+  });
+
+  describe('getSpeakerWords', () => {
+    it('should drop untagged duplicates of diarized words', () => {
+      const untagged = words.slice(0, 3).map(word => ({ ...word, speakerTag: 0 }));
+
+      expect(speakerRoleService.getSpeakerWords([...untagged, ...words])).toEqual(words);
+    });
+  });
+
+  describe('labelTranscript', () => {
+    it('should use heuristics when voice enrollment is not configured', async () => {
+      jest.spyOn(speakerEmbeddingService, 'isConfigured').mockReturnValue(false);
+
+      const { speakerRoles, turns } = await speakerRoleService.labelTranscript(transcription, words, Buffer.from('audio'));
+
+      expect(speakerRoles.find(role => role.role === 'doctor').speakerTag).toBe(1);
+      expect(turns).toHaveLength(5);
+      expect(voiceEnrollmentService.findVoiceprint).not.toHaveBeenCalled();
+    });
+
+    it('should make the speaker matching the enrolled voiceprint the doctor', async () => {
+      jest.spyOn(speakerEmbeddingService, 'isConfigured').mockReturnValue(true);
+      voiceEnrollmentService.findVoiceprint.mockResolvedValue({ model: 'ecapa', embedding: [0, 1] });
+      const embed = jest.spyOn(speakerEmbeddingService, 'embed').mockImplementation(async (audio, mimeType, segments) => ({
+        model: 'ecapa',
+        // Speaker 2's turns start at 3.2s and 11.9s and sound like the enrolled doctor
+        embeddings: segments.map(segment => ([3.2, 11.9].includes(segment.start) ? [0.1, 1] : [1, 0]))
+      }));
+
+      const { speakerRoles } = await speakerRoleService.labelTranscript(transcription, words, Buffer.from('audio'));
+
+      expect(embed).toHaveBeenCalledWith(expect.any(Buffer), 'audio/webm', expect.any(Array));
+      expect(speakerRoles).toEqual([
+        expect.objectContaining({ speakerTag: 1, role: 'patient' }),
+        expect.objectContaining({ speakerTag: 2, role: 'doctor', source: 'enrollment' })
+      ]);
+    });
+
+    it('should fall back to heuristics when no speaker matches the voiceprint', async () => {
+      jest.spyOn(speakerEmbeddingService, 'isConfigured').mockReturnValue(true);
+      voiceEnrollmentService.findVoiceprint.mockResolvedValue({ model: 'ecapa', embedding: [0, 1] });
+      jest.spyOn(speakerEmbeddingService, 'embed').mockImplementation(async (audio, mimeType, segments) => ({
+        model: 'ecapa',
+        embeddings: segments.map(() => [1, 0])
+      }));
+
+      const { speakerRoles } = await speakerRoleService.labelTranscript(transcription, words, Buffer.from('audio'));
+
+      expect(speakerRoles.find(role => role.role === 'doctor')).toMatchObject({ speakerTag: 1, source: 'heuristic' });
+    });
+
+    it('should not fail the transcription when the embedding server is down', async () => {
+      jest.spyOn(speakerEmbeddingService, 'isConfigured').mockReturnValue(true);
+      voiceEnrollmentService.findVoiceprint.mockResolvedValue({ model: 'ecapa', embedding: [0, 1] });
+      jest.spyOn(speakerEmbeddingService, 'embed').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const { speakerRoles } = await speakerRoleService.labelTranscript(transcription, words, Buffer.from('audio'));
+
+      expect(speakerRoles.find(role => role.role === 'doctor').speakerTag).toBe(1);
+    });
+  });
+});
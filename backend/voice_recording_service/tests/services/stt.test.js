@@ -0,0 +1,334 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const axios = require('axios');
+const speech = require('@google-cloud/speech');
+const { createSTT, loadConfig, normalizeResult } = require('../../src/services/stt');
+const googleProvider = require('../../src/services/stt/google.provider');
+const whisperProvider = require('../../src/services/stt/whisper.provider');
+const { fixtureKey } = require('../../src/services/stt/fixture.provider');
+
+// Mock Google Speech client
+jest.mock('@google-cloud/speech', () => ({
+  SpeechClient: jest.fn().mockImplementation(() => ({
+    recognize: jest.fn(),
+    longRunningRecognize: jest.fn()
+  }))
+}));
+
+jest.mock('axios');
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Speech-to-text providers', () => {
+  const metadata = {
+    audioFormat: 'LINEAR16',
+    sampleRate: 16000,
+    languageCode: 'en-US',
+    enableSpeakerDiarization: true,
+    speakerCount: 2,
+    enableAutomaticPunctuation: true,
+    enableWordTimeOffsets: true,
+    model: 'latest_long',
+    useEnhanced: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('loadConfig', () => {
+    it('should default to Google', () => {
+      expect(loadConfig({}).provider).toBe('google');
+    });
+
+    it('should read the Whisper server settings', () => {
+      const config = loadConfig({
+        STT_PROVIDER: 'whisper',
+        WHISPER_URL: 'http://whisper:9000',
+        WHISPER_MODEL: 'large-v3'
+      });
+
+      expect(config.provider).toBe('whisper');
+      expect(config.whisper).toMatchObject({ baseUrl: 'http://whisper:9000', model: 'large-v3' });
+    });
+  });
+
+  describe('createSTT', () => {
+    it('should reject unknown providers', () => {
+      expect(() => createSTT({ provider: 'nope' })).toThrow('Unknown speech-to-text provider: nope');
+    });
+  });
+
+  describe('normalizeResult', () => {
+    it('should clamp confidences and drop empty results', () => {
+      const result = normalizeResult({
+        results: [
+          { alternatives: [{ transcript: ' hello ', confidence: 1.2, words: [{ word: ' hello', startTime: 0, endTime: 0.4, confidence: -1 }] }] },
+          { alternatives: [{ transcript: '   ', confidence: 0.9 }] }
+        ]
+      });
+
+      expect(result.results).toHaveLength(1);
+      expect(result.results[0].alternatives[0]).toEqual({
+        transcript: 'hello',
+        confidence: 1,
+        words: [{ word: 'hello', startTime: 0, endTime: 0.4, confidence: 0, speakerTag: 0 }]
+      });
+    });
+  });
+
+  describe('google', () => {
+    describe('buildSpeechRequest', () => {
+      it('should build correct speech request', () => {
+        const audioBuffer = Buffer.from('fake audio data');
+
+        const request = googleProvider.buildSpeechRequest(audioBuffer, { ...metadata, phrases: ['hypertension'] });
+
+        expect(request.audio.content).toBe(audioBuffer.toString('base64'));
+        expect(request.config.encoding).toBe('LINEAR16');
+        expect(request.config.sampleRateHertz).toBe(16000);
+        expect(request.config.languageCode).toBe('en-US');
+        expect(request.config.enableAutomaticPunctuation).toBe(true);
+        expect(request.config.enableWordTimeOffsets).toBe(true);
+        expect(request.config.diarizationConfig).toBeDefined();
+        expect(request.config.speechContexts).toBeDefined();
+        expect(request.config.speechContexts[0].phrases).toContain('hypertension');
+      });
+    });
+
+    describe('processWords', () => {
+      it('should process words correctly', () => {
+        const mockWords = [
+          {
+            word: 'hello',
+            startTime: { seconds: 1, nanos: 500000000 },
+            endTime: { seconds: 2, nanos: 0 },
+            confidence: 0.95,
+            speakerTag: 1
+          },
+          {
+            word: 'world',
+            startTime: { seconds: 2, nanos: 100000000 },
+            endTime: { seconds: 2, nanos: 800000000 },
+            confidence: 0.87,
+            speakerTag: 1
+          }
+        ];
+
+        const processedWords = googleProvider.processWords(mockWords);
+
+        expect(processedWords).toHaveLength(2);
+        expect(processedWords[0]).toEqual({
+          word: 'hello',
+          startTime: 1.5,
+          endTime: 2.0,
+          confidence: 0.95,
+          speakerTag: 1
+        });
+        expect(processedWords[1]).toEqual({
+          word: 'world',
+          startTime: 2.1,
+          endTime: 2.8,
+          confidence: 0.87,
+          speakerTag: 1
+        });
+      });
+    });
+
+    describe('parseTime', () => {
+      it('should parse time correctly', () => {
+        expect(googleProvider.parseTime({ seconds: 5, nanos: 500000000 })).toBe(5.5);
+        expect(googleProvider.parseTime({ seconds: 10, nanos: 0 })).toBe(10.0);
+        expect(googleProvider.parseTime(null)).toBe(0);
+      });
+    });
+  });
+
+  describe('whisper', () => {
+    it('should send the audio to the configured server', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Hello there.', segments: [] } });
+      const stt = createSTT({
+        provider: 'whisper',
+        timeoutMs: 1000,
+        whisper: { baseUrl: 'http://whisper:9000/', model: 'large-v3' }
+      });
+
+      await stt.recognize(Buffer.from('fake audio data'), { ...metadata, audioFormat: 'WEBM_OPUS', phrases: ['angina'] });
+
+      const [url, form] = axios.post.mock.calls[0];
+      expect(url).toBe('http://whisper:9000/v1/audio/transcriptions');
+      expect(form.get('file').name).toBe('audio.webm');
+      expect(form.get('model')).toBe('large-v3');
+      expect(form.get('language')).toBe('en');
+      expect(form.get('prompt')).toBe('angina');
+      expect(form.get('response_format')).toBe('verbose_json');
+    });
+
+    it('should turn segments into results with word timings', () => {
+      const result = whisperProvider.toResult({
+        text: ' Any chest pain? No.',
+        segments: [
+          { start: 0, end: 1.5, text: ' Any chest pain?', avg_logprob: -0.1 },
+          { start: 2, end: 2.6, text: ' No.', avg_logprob: -0.3 }
+        ],
+        words: [
+          { word: ' Any', start: 0, end: 0.3, probability: 0.9 },
+          { word: ' chest', start: 0.3, end: 0.8, probability: 0.8 },
+          { word: ' pain?', start: 0.8, end: 1.5, probability: 0.7 },
+          { word: ' No.', start: 2, end: 2.6, probability: 0.95 }
+        ]
+      });
+
+      expect(result.results).toHaveLength(2);
+      expect(result.results[0].alternatives[0].words.map(word => word.word)).toEqual(['Any', 'chest', 'pain?']);
+      expect(result.results[0].alternatives[0].confidence).toBeCloseTo(0.8);
+      expect(result.results[1].alternatives[0].words[0]).toEqual({
+        word: 'No.',
+        startTime: 2,
+        endTime: 2.6,
+        confidence: 0.95,
+        speakerTag: 0
+      });
+    });
+
+    it('should spread segment timings over words when the server gives none', () => {
+      const result = whisperProvider.toResult({
+        segments: [{ start: 1, end: 2, text: ' Take aspirin', avg_logprob: Math.log(0.6) }]
+      });
+
+      const [alternative] = result.results[0].alternatives;
+      expect(alternative.confidence).toBeCloseTo(0.6);
+      expect(alternative.words.map(word => [word.word, word.startTime, word.endTime])).toEqual([
+        ['Take', 1, 1.5],
+        ['aspirin', 1.5, 2]
+      ]);
+    });
+  });
+
+  describe('fixture', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should replay the result recorded for the audio', async () => {
+      const audio = Buffer.from('recorded audio');
+      fs.writeFileSync(path.join(dir, `${fixtureKey(audio)}.json`), JSON.stringify({
+        results: [{ alternatives: [{ transcript: 'recorded', confidence: 0.9, words: [] }] }]
+      }));
+      const stt = createSTT({ provider: 'fixture', fixturesDir: dir, timeoutMs: 1000 });
+
+      const result = await stt.recognize(audio, metadata);
+
+      expect(result.results[0].alternatives[0].transcript).toBe('recorded');
+    });
+
+    it('should fail for unrecorded audio without a default', async () => {
+      const stt = createSTT({ provider: 'fixture', fixturesDir: dir, timeoutMs: 1000 });
+
+      await expect(stt.recognize(Buffer.from('new audio'), metadata)).rejects.toThrow('No STT fixture recorded');
+    });
+
+    it('should record results from another provider', async () => {
+      axios.post.mockResolvedValue({ data: { segments: [{ start: 0, end: 1, text: ' Hello', avg_logprob: 0 }] } });
+      const audio = Buffer.from('new audio');
+      const stt = createSTT({ provider: 'fixture', fixturesDir: dir, recordWith: 'whisper', longTimeoutMs: 1000 });
+
+      await stt.recognizeLong(audio, metadata);
+
+      const recorded = JSON.parse(fs.readFileSync(path.join(dir, `${fixtureKey(audio)}.json`), 'utf8'));
+      expect(recorded.results[0].alternatives[0].transcript).toBe(' Hello');
+    });
+  });
+
+  describe('stream', () => {
+    it('should re-transcribe buffered audio for providers without a streaming API', async () => {
+      const stt = createSTT({ provider: 'fixture', timeoutMs: 1000, longTimeoutMs: 1000, streamingIntervalMs: 10 });
+      const onResult = jest.fn();
+
+      const stream = stt.stream(metadata, { onResult, onError: jest.fn() });
+      stream.write(Buffer.from('first frame'));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      stream.write(Buffer.from('second frame'));
+      await stream.end();
+
+      const interim = onResult.mock.calls[0][0];
+      const final = onResult.mock.calls[onResult.mock.calls.length - 1][0];
+      expect(stt.streaming).toBe(false);
+      expect(interim.results.every(result => result.isFinal === false)).toBe(true);
+      expect(final.results).toHaveLength(5);
+      expect(final.results.every(result => result.isFinal === true)).toBe(true);
+    });
+
+    it('should stream to Google and restart the stream before its time limit', async () => {
+      const streams = [];
+      const streamingRecognize = jest.fn(() => {
+        const recognizeStream = Object.assign(new EventEmitter(), {
+          chunks: [],
+          write: chunk => recognizeStream.chunks.push(chunk),
+          end: jest.fn(),
+          destroy: jest.fn()
+        });
+        streams.push(recognizeStream);
+        return recognizeStream;
+      });
+      speech.SpeechClient.mockImplementationOnce(() => ({ streamingRecognize }));
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      const onResult = jest.fn();
+      const stt = createSTT({ provider: 'google', google: { projectId: 'test', streamRestartMs: 1000 } });
+
+      const stream = stt.stream(metadata, { onResult, onError: jest.fn() });
+      stream.write(Buffer.from('header'));
+      now.mockReturnValue(1500);
+      stream.write(Buffer.from('later'));
+
+      expect(stt.streaming).toBe(true);
+      expect(streamingRecognize).toHaveBeenCalledTimes(2);
+      expect(streamingRecognize.mock.calls[0][0]).toMatchObject({
+        interimResults: true,
+        config: { encoding: 'LINEAR16', diarizationConfig: { maxSpeakerCount: 2 } }
+      });
+      // The fresh stream gets the container header again
+      expect(streams[0].end).toHaveBeenCalled();
+      expect(streams[1].chunks.map(String)).toEqual(['header', 'later']);
+
+      streams[1].emit('data', {
+        results: [{
+          isFinal: true,
+          alternatives: [{
+            transcript: 'Hello',
+            confidence: 0.9,
+            words: [{ word: 'Hello', startTime: { seconds: 1 }, endTime: { seconds: 2 }, speakerTag: 1 }]
+          }]
+        }]
+      });
+
+      // Word times are shifted by the audio sent before the stream opened
+      expect(onResult.mock.calls[0][0].results[0]).toMatchObject({
+        isFinal: true,
+        alternatives: [{ words: [{ word: 'Hello', startTime: 2.5, endTime: 3.5, speakerTag: 1 }] }]
+      });
+
+      const ended = stream.end();
+      streams[1].emit('end');
+      await ended;
+
+      now.mockRestore();
+    });
+  });
+});
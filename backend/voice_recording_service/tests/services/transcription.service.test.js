@@ -2,6 +2,7 @@ const transcriptionService = require('../../src/services/transcription.service')
 const Transcription = require('../../src/models/Transcription');
 const VoiceRecording = require('../../src/models/VoiceRecording');
 const audioStorageService = require('../../src/services/audioStorage.service');
+const { createSTT, setSTT } = require('../../src/services/stt');
 
 // Mock Google Speech client
 jest.mock('@google-cloud/speech', () => ({
@@ -18,16 +19,27 @@ jest.mock('../../src/services/audioStorage.service', () => ({
 
 // Mock logger
 jest.mock('../../src/utils/logger', () => ({
-  info: jest.fn(),
-  error: jest.fn(),
-  warn: jest.fn(),
-  debug: jest.fn()
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
 }));
 
 describe('TranscriptionService', () => {
   let mockVoiceRecording;
   let mockTranscription;
 
+  beforeAll(() => {
+    // Replay tests/fixtures/stt instead of calling a speech engine
+    setSTT(createSTT({ provider: 'fixture', timeoutMs: 1000, longTimeoutMs: 1000 }));
+  });
+
+  afterAll(() => {
+    setSTT(null);
+  });
+
   beforeEach(() => {
     // Reset mocks
     jest.clearAllMocks();
@@ -114,83 +126,92 @@ describe('TranscriptionService', () => {
     });
   });
 
-  describe('buildSpeechRequest', () => {
-    it('should build correct speech request', () => {
-      const audioBuffer = Buffer.from('fake audio data');
-      const metadata = {
-        audioFormat: 'LINEAR16',
-        sampleRate: 16000,
-        languageCode: 'en-US',
-        enableSpeakerDiarization: true,
-        speakerCount: 2,
-        enableAutomaticPunctuation: true,
-        enableWordTimeOffsets: true,
-        model: 'latest_long',
-        useEnhanced: true
-      };
-
-      const request = transcriptionService.buildSpeechRequest(audioBuffer, metadata);
-
-      expect(request.audio.content).toBe(audioBuffer.toString('base64'));
-      expect(request.config.encoding).toBe('LINEAR16');
-      expect(request.config.sampleRateHertz).toBe(16000);
-      expect(request.config.languageCode).toBe('en-US');
-      expect(request.config.enableAutomaticPunctuation).toBe(true);
-      expect(request.config.enableWordTimeOffsets).toBe(true);
-      expect(request.config.diarizationConfig).toBeDefined();
-      expect(request.config.speechContexts).toBeDefined();
-      expect(request.config.speechContexts[0].phrases).toContain('hypertension');
-    });
-  });
-
-  describe('processWords', () => {
-    it('should process words correctly', () => {
-      const mockWords = [
-        {
-          word: 'hello',
-          startTime: { seconds: 1, nanos: 500000000 },
-          endTime: { seconds: 2, nanos: 0 },
-          confidence: 0.95,
-          speakerTag: 1
-        },
-        {
-          word: 'world',
-          startTime: { seconds: 2, nanos: 100000000 },
-          endTime: { seconds: 2, nanos: 800000000 },
-          confidence: 0.87,
-          speakerTag: 1
-        }
-      ];
+  describe('processTranscription', () => {
+    it('should save the provider\'s words with their speakers', async () => {
+      jest.spyOn(transcriptionService, 'getAudioBuffer').mockResolvedValue(Buffer.from('fake audio data'));
 
-      const processedWords = transcriptionService.processWords(mockWords);
+      await transcriptionService.processTranscription(mockTranscription);
 
-      expect(processedWords).toHaveLength(2);
-      expect(processedWords[0]).toEqual({
-        word: 'hello',
-        startTime: 1.5,
-        endTime: 2.0,
-        confidence: 0.95,
-        speakerTag: 1
-      });
-      expect(processedWords[1]).toEqual({
-        word: 'world',
-        startTime: 2.1,
-        endTime: 2.8,
-        confidence: 0.87,
+      const [data] = mockTranscription.markAsCompleted.mock.calls[0];
+      expect(data.transcript).toMatch(/^Good morning, what brings you in today\?/);
+      expect(data.speakerCount).toBe(2);
+      expect(data.words[0]).toEqual({
+        word: 'Good',
+        startTime: 0,
+        endTime: 0.35,
+        confidence: 0.93,
         speakerTag: 1
       });
+      expect(data.medicalTermsDetected.map(term => term.term)).toContain('chest pain');
+      expect(data.speakerRoles.map(({ speakerTag, role }) => [speakerTag, role])).toEqual([[1, 'doctor'], [2, 'patient']]);
+      expect(data.turns[0]).toMatchObject({ role: 'doctor', text: 'Good morning, what brings you in today?' });
+    });
+
+    it('should mark the transcription failed when the provider returns nothing', async () => {
+      jest.spyOn(transcriptionService, 'getAudioBuffer').mockResolvedValue(Buffer.from('fake audio data'));
+      setSTT({ provider: 'fixture', recognize: jest.fn().mockResolvedValue({ results: [] }) });
+
+      await expect(transcriptionService.processTranscription(mockTranscription))
+        .rejects.toThrow('No transcription results received');
+      expect(mockTranscription.markAsFailed).toHaveBeenCalled();
+
+      setSTT(createSTT({ provider: 'fixture', timeoutMs: 1000, longTimeoutMs: 1000 }));
     });
   });
 
-  describe('parseTime', () => {
-    it('should parse time correctly', () => {
-      const time1 = { seconds: 5, nanos: 500000000 };
-      const time2 = { seconds: 10, nanos: 0 };
-      const time3 = null;
+  describe('updateSpeakerRoles', () => {
+    const user = { id: '123e4567-e89b-12d3-a456-426614174002' };
+
+    beforeEach(() => {
+      Object.assign(mockTranscription, {
+        status: 'completed',
+        words: [
+          { word: 'Hello.', startTime: 0, endTime: 0.5, confidence: 0.9, speakerTag: 1 },
+          { word: 'Hi', startTime: 1, endTime: 1.3, confidence: 0.9, speakerTag: 2 },
+          { word: 'doctor.', startTime: 1.3, endTime: 1.8, confidence: 0.9, speakerTag: 2 }
+        ],
+        speakerRoles: [
+          { speakerTag: 1, role: 'patient', confidence: 0.6, source: 'heuristic' },
+          { speakerTag: 2, role: 'doctor', confidence: 0.6, source: 'heuristic' }
+        ]
+      });
+    });
+
+    it('should apply corrections and rebuild the turns', async () => {
+      await transcriptionService.updateSpeakerRoles(mockTranscription, [
+        { speakerTag: 1, role: 'doctor' },
+        { speakerTag: 2, role: 'patient' }
+      ], user);
+
+      expect(mockTranscription.speakerRoles).toEqual([
+        expect.objectContaining({ speakerTag: 1, role: 'doctor', source: 'manual', updatedBy: user.id }),
+        expect.objectContaining({ speakerTag: 2, role: 'patient', source: 'manual', updatedBy: user.id })
+      ]);
+      expect(mockTranscription.turns.map(turn => [turn.role, turn.text])).toEqual([
+        ['doctor', 'Hello.'],
+        ['patient', 'Hi doctor.']
+      ]);
+      expect(mockTranscription.save).toHaveBeenCalled();
+    });
+
+    it('should keep roles that were not corrected', async () => {
+      await transcriptionService.updateSpeakerRoles(mockTranscription, [{ speakerTag: 2, role: 'attendant' }], user);
+
+      expect(mockTranscription.speakerRoles[0]).toMatchObject({ speakerTag: 1, role: 'patient', source: 'heuristic' });
+      expect(mockTranscription.speakerRoles[1]).toMatchObject({ speakerTag: 2, role: 'attendant', source: 'manual' });
+    });
+
+    it('should reject speakers that are not in the transcript', async () => {
+      await expect(transcriptionService.updateSpeakerRoles(mockTranscription, [{ speakerTag: 3, role: 'doctor' }], user))
+        .rejects.toThrow('No speaker with tag 3 in this transcription');
+      expect(mockTranscription.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject corrections before the transcription completes', async () => {
+      mockTranscription.status = 'processing';
 
-      expect(transcriptionService.parseTime(time1)).toBe(5.5);
-      expect(transcriptionService.parseTime(time2)).toBe(10.0);
-      expect(transcriptionService.parseTime(time3)).toBe(0);
+      await expect(transcriptionService.updateSpeakerRoles(mockTranscription, [{ speakerTag: 1, role: 'doctor' }], user))
+        .rejects.toThrow('only be corrected on completed transcriptions');
     });
   });
 
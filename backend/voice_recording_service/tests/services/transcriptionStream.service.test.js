@@ -0,0 +1,261 @@
+const transcriptionStreamService = require('../../src/services/transcriptionStream.service');
+const transcriptionService = require('../../src/services/transcription.service');
+const voiceRecordingService = require('../../src/services/voiceRecording.service');
+const { createSTT, setSTT } = require('../../src/services/stt');
+
+// Mock voice recording service
+jest.mock('../../src/services/voiceRecording.service', () => ({
+  createVoiceRecording: jest.fn(),
+  getFileExtension: jest.fn().mockReturnValue('webm')
+}));
+
+// Mock audio storage service
+jest.mock('../../src/services/audioStorage.service', () => ({
+  retrieveAudioFile: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('TranscriptionStreamService', () => {
+  const user = createMockUser();
+  const params = {
+    encounterId: '123e4567-e89b-12d3-a456-426614174000',
+    patientId: '123e4567-e89b-12d3-a456-426614174001',
+    mimeType: 'audio/webm;codecs=opus'
+  };
+  const voiceRecording = {
+    _id: '507f1f77bcf86cd799439011',
+    encounterId: params.encounterId,
+    patientId: params.patientId,
+    doctorId: user.id,
+    mimeType: 'audio/webm'
+  };
+
+  let transcription;
+  let send;
+  let onClose;
+
+  // A streaming STT client whose results the test pushes by hand
+  const createStreamingSTT = () => {
+    const stt = {
+      provider: 'google',
+      model: 'google-speech',
+      streaming: true,
+      written: [],
+      stream: jest.fn((options, handlers) => {
+        stt.handlers = handlers;
+        return {
+          write: chunk => stt.written.push(chunk),
+          end: jest.fn().mockResolvedValue(),
+          destroy: jest.fn()
+        };
+      })
+    };
+    return stt;
+  };
+
+  const result = (isFinal, transcript, words = []) => ({
+    results: [{ isFinal, alternatives: [{ transcript, confidence: 0.9, words }] }]
+  });
+
+  const word = (text, startTime, speakerTag) => ({
+    word: text,
+    startTime,
+    endTime: startTime + 0.4,
+    confidence: 0.9,
+    speakerTag
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+
+    send = jest.fn();
+    onClose = jest.fn();
+    transcription = {
+      _id: '507f1f77bcf86cd799439012',
+      markAsProcessing: jest.fn().mockResolvedValue(true)
+    };
+
+    voiceRecordingService.createVoiceRecording.mockResolvedValue(voiceRecording);
+    jest.spyOn(transcriptionService, 'createTranscription').mockResolvedValue(transcription);
+    jest.spyOn(transcriptionService, 'completeTranscription').mockResolvedValue(transcription);
+  });
+
+  afterEach(() => {
+    setSTT(null);
+  });
+
+  describe('startSession', () => {
+    it('should reject sessions without a valid encounter', () => {
+      setSTT(createStreamingSTT());
+
+      expect(() => transcriptionStreamService.startSession({ ...params, encounterId: 'abc' }, user, { send }))
+        .toThrow('Invalid encounter ID format');
+    });
+
+    it('should reject audio formats that cannot be streamed', () => {
+      setSTT(createStreamingSTT());
+
+      expect(() => transcriptionStreamService.startSession({ ...params, mimeType: 'audio/wav' }, user, { send }))
+        .toThrow('Live transcription supports audio/webm and audio/ogg');
+    });
+
+    it('should stream with the same options as a stored transcription', () => {
+      const stt = createStreamingSTT();
+      setSTT(stt);
+
+      transcriptionStreamService.startSession(params, user, { send });
+
+      expect(stt.stream).toHaveBeenCalledWith(
+        expect.objectContaining({
+          audioFormat: 'WEBM_OPUS',
+          sampleRate: 48000,
+          enableSpeakerDiarization: true,
+          phrases: transcriptionService.medicalTerms
+        }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('streaming', () => {
+    it('should forward audio and push interim and final segments', () => {
+      const stt = createStreamingSTT();
+      setSTT(stt);
+      const session = transcriptionStreamService.startSession(params, user, { send });
+
+      session.pushAudio(Buffer.from('frame'));
+      stt.handlers.onResult(result(false, 'good mor'));
+      stt.handlers.onResult(result(true, 'Good morning. Morning, doctor.', [
+        word('Good', 0, 1),
+        word('morning.', 0.4, 1),
+        word('Morning,', 1, 2),
+        word('doctor.', 1.4, 2)
+      ]));
+
+      expect(stt.written.map(String)).toEqual(['frame']);
+      expect(send.mock.calls.map(([message]) => message)).toEqual([
+        { type: 'transcript', segment: { isFinal: false, text: 'good mor' } },
+        { type: 'transcript', segment: expect.objectContaining({ isFinal: true, text: 'Good morning.', speakerTag: 1, startTime: 0 }) },
+        { type: 'transcript', segment: expect.objectContaining({ isFinal: true, text: 'Morning, doctor.', speakerTag: 2, startTime: 1 }) }
+      ]);
+    });
+
+    it('should refuse audio beyond the maximum size', () => {
+      setSTT(createStreamingSTT());
+      const session = transcriptionStreamService.startSession(params, user, { send });
+      session.maxBytes = 4;
+
+      expect(() => session.pushAudio(Buffer.from('too long'))).toThrow('Session exceeds maximum size of 4 bytes');
+    });
+
+    it('should report a failed provider once and keep collecting audio', () => {
+      const stt = createStreamingSTT();
+      setSTT(stt);
+      const session = transcriptionStreamService.startSession(params, user, { send });
+
+      stt.handlers.onError(new Error('UNAVAILABLE'));
+      stt.handlers.onError(new Error('UNAVAILABLE'));
+      session.pushAudio(Buffer.from('frame'));
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ type: 'error' }));
+      expect(session.chunks).toHaveLength(1);
+    });
+  });
+
+  describe('finish', () => {
+    it('should save the session as a voice recording and transcription', async () => {
+      const stt = createStreamingSTT();
+      setSTT(stt);
+      const session = transcriptionStreamService.startSession(params, user, { send, onClose });
+      const final = result(true, 'Good morning.', [word('Good', 0, 1), word('morning.', 0.4, 1)]);
+
+      session.pushAudio(Buffer.from('first '));
+      session.pushAudio(Buffer.from('second'));
+      stt.handlers.onResult(final);
+      const data = await session.finish();
+
+      expect(voiceRecordingService.createVoiceRecording).toHaveBeenCalledWith(
+        expect.objectContaining({
+          encounterId: params.encounterId,
+          patientId: params.patientId,
+          duration: expect.any(Number),
+          autoTranscribe: false
+        }),
+        Buffer.from('first second'),
+        user,
+        {}
+      );
+      expect(transcriptionService.createTranscription).toHaveBeenCalledWith(voiceRecording, {});
+      expect(transcription.markAsProcessing).toHaveBeenCalled();
+      expect(transcriptionService.completeTranscription).toHaveBeenCalledWith(
+        transcription,
+        { results: final.results },
+        Buffer.from('first second')
+      );
+      expect(data).toEqual({ voiceRecording, transcription });
+      expect(send).toHaveBeenLastCalledWith({ type: 'completed', data });
+      expect(onClose).toHaveBeenCalledWith(session);
+      expect(transcriptionStreamService.sessions.has(session.id)).toBe(false);
+    });
+
+    it('should use the final results of providers without a streaming API', async () => {
+      setSTT(createSTT({ provider: 'fixture', timeoutMs: 1000, longTimeoutMs: 1000, streamingIntervalMs: 60000 }));
+      const session = transcriptionStreamService.startSession(params, user, { send });
+
+      session.pushAudio(Buffer.from('frame'));
+      await session.finish();
+
+      const [, stored] = transcriptionService.completeTranscription.mock.calls[0];
+      expect(stored.results).toHaveLength(5);
+      expect(send.mock.calls.filter(([message]) => message.type === 'transcript')).toHaveLength(5);
+    });
+
+    it('should fail without audio and tell the client', async () => {
+      setSTT(createStreamingSTT());
+      const session = transcriptionStreamService.startSession(params, user, { send, onClose });
+
+      await expect(session.finish()).rejects.toThrow('No audio received');
+
+      expect(voiceRecordingService.createVoiceRecording).not.toHaveBeenCalled();
+      expect(send).toHaveBeenCalledWith({ type: 'error', error: { message: 'No audio received', statusCode: 400 } });
+      expect(onClose).toHaveBeenCalled();
+    });
+
+    it('should only save once', async () => {
+      setSTT(createStreamingSTT());
+      const session = transcriptionStreamService.startSession(params, user, { send });
+      session.pushAudio(Buffer.from('frame'));
+
+      await Promise.all([session.finish(), session.finish()]);
+
+      expect(voiceRecordingService.createVoiceRecording).toHaveBeenCalledTimes(1);
+      expect(() => session.pushAudio(Buffer.from('late'))).toThrow('Session is no longer accepting audio');
+    });
+  });
+
+  describe('cancel', () => {
+    it('should discard the session without saving', () => {
+      const stt = createStreamingSTT();
+      setSTT(stt);
+      const session = transcriptionStreamService.startSession(params, user, { send, onClose });
+      session.pushAudio(Buffer.from('frame'));
+
+      session.cancel();
+
+      expect(voiceRecordingService.createVoiceRecording).not.toHaveBeenCalled();
+      expect(onClose).toHaveBeenCalledWith(session);
+      expect(session.status).toBe('closed');
+    });
+  });
+});
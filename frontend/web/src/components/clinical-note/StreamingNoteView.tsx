@@ -0,0 +1,337 @@
+/**
+ * Streaming Note View Component
+ * Generates a clinical note from a transcription and shows each SOAP section
+ * as soon as the model has written it. Once saved, statements the transcript
+ * does not support are highlighted.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardContent,
+  Typography,
+  Button,
+  LinearProgress,
+  Skeleton,
+  Alert,
+  Chip,
+  Tooltip
+} from '@mui/material';
+import { AutoAwesome as GenerateIcon } from '@mui/icons-material';
+import clinicalNoteService from '../../services/clinicalNote.service';
+import {
+  ClinicalNote,
+  ClinicalNoteGrounding,
+  GroundedStatement,
+  ClinicalNoteGenerationProgress,
+  ClinicalNoteSectionKey,
+  CLINICAL_NOTE_SECTION_TITLES
+} from '../../types/clinicalNote.types';
+
+const SOAP_SECTIONS: ClinicalNoteSectionKey[] = ['subjective', 'objective', 'assessment', 'plan'];
+
+const STAGE_LABELS: Record<ClinicalNoteGenerationProgress['stage'], string> = {
+  generating: 'Writing note',
+  saving: 'Saving note',
+  quality_checks: 'Running quality checks'
+};
+
+// Highlight colours for statements the transcript doesn't fully support
+const GROUNDING_HIGHLIGHTS: Record<GroundedStatement['status'], string | undefined> = {
+  supported: undefined,
+  partial: 'rgba(255, 193, 7, 0.25)',
+  unsupported: 'rgba(244, 67, 54, 0.25)'
+};
+
+// Grounded statements keyed by field path and sentence
+type GroundingLookup = Map<string, GroundedStatement>;
+
+interface StreamingNoteViewProps {
+  transcriptionId: string;
+  templateId?: string;
+  onComplete?: (note: ClinicalNote) => void;
+}
+
+/**
+ * Turn a camelCase field name into a label
+ * @param key - Field name
+ * @returns Label
+ */
+const toLabel = (key: string): string =>
+  key.replace(/([A-Z])/g, ' $1').replace(/^./, first => first.toUpperCase());
+
+/**
+ * Check whether a value has anything worth showing
+ * @param value - Section value
+ * @returns True if not empty
+ */
+const hasContent = (value: any): boolean => {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.some(hasContent);
+  if (typeof value === 'object') return Object.values(value).some(hasContent);
+  return true;
+};
+
+/**
+ * Format a transcript time as m:ss
+ * @param seconds - Time in seconds
+ * @returns Formatted time
+ */
+const formatTime = (seconds: number): string =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+/**
+ * Index a note's grounded statements for lookup while rendering
+ * @param grounding - Note grounding
+ * @returns Statements keyed by path and sentence
+ */
+const buildGroundingLookup = (grounding?: ClinicalNoteGrounding): GroundingLookup =>
+  new Map((grounding?.statements ?? []).map(statement => [`${statement.path}|${statement.text}`, statement]));
+
+/**
+ * Describe the transcript evidence for a statement
+ * @param statement - Grounded statement
+ * @returns Tooltip text
+ */
+const describeEvidence = (statement: GroundedStatement): string => {
+  if (statement.missingNumbers.length > 0) {
+    return `Not in transcript: ${statement.missingNumbers.join(', ')}`;
+  }
+  if (!statement.evidence || statement.status === 'unsupported') {
+    return 'Not found in transcript';
+  }
+
+  const { startTime, text } = statement.evidence;
+  const prefix = statement.status === 'partial' ? 'Partly supported' : 'Transcript';
+  return `${prefix}${startTime !== undefined ? ` at ${formatTime(startTime)}` : ''}: "${text}"`;
+};
+
+/**
+ * Render a text field sentence by sentence, highlighting unsupported statements
+ * The sentences are split the same way the grounding service splits them.
+ * @param text - Field text
+ * @param path - Field path, e.g. subjective.allergies
+ * @param grounding - Grounded statements
+ * @returns Rendered text
+ */
+const renderText = (text: string, path: string, grounding: GroundingLookup): React.ReactNode => {
+  if (grounding.size === 0) {
+    return <Typography variant="body2" component="span">{text}</Typography>;
+  }
+
+  return text.trim().split(/(?<=[.!?;])\s+/).map((sentence, index) => {
+    const statement = grounding.get(`${path}|${sentence}`);
+    const content = (
+      <Typography
+        variant="body2"
+        component="span"
+        sx={{ backgroundColor: statement ? GROUNDING_HIGHLIGHTS[statement.status] : undefined, borderRadius: 0.5 }}
+      >
+        {sentence}
+      </Typography>
+    );
+
+    return (
+      <React.Fragment key={index}>
+        {index > 0 && ' '}
+        {statement ? <Tooltip title={describeEvidence(statement)}>{content}</Tooltip> : content}
+      </React.Fragment>
+    );
+  });
+};
+
+/**
+ * Render a section value of any shape
+ * @param value - Section value
+ * @param path - Path of the value in the note
+ * @param grounding - Grounded statements
+ * @returns Rendered value
+ */
+const renderValue = (value: any, path: string, grounding: GroundingLookup): React.ReactNode => {
+  if (Array.isArray(value)) {
+    return (
+      <Box component="ul" sx={{ m: 0, pl: 2 }}>
+        {value.map((item, index) => hasContent(item) && (
+          <li key={index}>{renderValue(item, `${path}.${index}`, grounding)}</li>
+        ))}
+      </Box>
+    );
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, fieldValue]) => hasContent(fieldValue))
+      .map(([field, fieldValue]) => (
+        <Box key={field} sx={{ mb: 1 }}>
+          <Typography variant="subtitle2" component="span">
+            {toLabel(field)}:{' '}
+          </Typography>
+          {typeof fieldValue === 'object'
+            ? renderValue(fieldValue, `${path}.${field}`, grounding)
+            : renderText(String(fieldValue), `${path}.${field}`, grounding)}
+        </Box>
+      ));
+  }
+
+  return renderText(String(value), path, grounding);
+};
+
+const StreamingNoteView: React.FC<StreamingNoteViewProps> = ({
+  transcriptionId,
+  templateId,
+  onComplete
+}) => {
+  // Sections received so far
+  const [sections, setSections] = useState<Partial<Record<ClinicalNoteSectionKey, Record<string, any>>>>({});
+
+  // Generation state
+  const [progress, setProgress] = useState<ClinicalNoteGenerationProgress | null>(null);
+  const [generating, setGenerating] = useState<boolean>(false);
+  const [note, setNote] = useState<ClinicalNote | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // Stops listening to the current stream
+  const stopRef = useRef<() => void>(() => {});
+
+  // Stop listening when the view goes away
+  useEffect(() => () => stopRef.current(), []);
+
+  // Start a streamed generation
+  const handleGenerate = useCallback(() => {
+    stopRef.current();
+
+    setSections({});
+    setProgress(null);
+    setNote(null);
+    setError(null);
+    setGenerating(true);
+
+    stopRef.current = clinicalNoteService.generateNoteStream(
+      {
+        transcriptionId,
+        context: templateId ? { templateId } : undefined
+      },
+      {
+        onProgress: setProgress,
+        onSection: ({ section, content }) => {
+          setSections(current => ({ ...current, [section]: content }));
+        },
+        onComplete: (savedNote) => {
+          // The saved note is authoritative, e.g. when a section could not be read mid-stream
+          setSections({
+            subjective: savedNote.subjective,
+            objective: savedNote.objective,
+            assessment: savedNote.assessment,
+            plan: savedNote.plan,
+            ...(hasContent(savedNote.specialtySections) ? { specialtySections: savedNote.specialtySections } : {})
+          });
+          setNote(savedNote);
+          setGenerating(false);
+          onComplete?.(savedNote);
+        },
+        onError: (streamError) => {
+          setError(streamError.message);
+          setGenerating(false);
+        }
+      }
+    );
+  }, [transcriptionId, templateId, onComplete]);
+
+  const expectedSections: ClinicalNoteSectionKey[] =
+    (progress?.totalSections ?? 0) > SOAP_SECTIONS.length || sections.specialtySections
+      ? [...SOAP_SECTIONS, 'specialtySections']
+      : SOAP_SECTIONS;
+
+  const started = generating || note !== null || Object.keys(sections).length > 0;
+
+  // Sections stream in before grounding, so highlights appear once the note is saved
+  const grounding = buildGroundingLookup(note?.grounding);
+  const groundingScore = note?.grounding?.score;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={<GenerateIcon />}
+          onClick={handleGenerate}
+          disabled={generating || !transcriptionId}
+        >
+          {note ? 'Regenerate Note' : 'Generate Note'}
+        </Button>
+        {note && (
+          <Chip
+            label={`Saved as ${note.status}`}
+            color={note.status === 'draft' ? 'success' : 'warning'}
+            size="small"
+          />
+        )}
+        {typeof groundingScore === 'number' && (
+          <Tooltip title="Share of statements found in the transcript; highlighted statements were not">
+            <Chip
+              label={`Transcript support ${Math.round(groundingScore * 100)}%`}
+              color={note?.grounding?.unsupportedCount ? 'warning' : 'success'}
+              variant="outlined"
+              size="small"
+            />
+          </Tooltip>
+        )}
+      </Box>
+
+      {generating && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {progress ? STAGE_LABELS[progress.stage] : 'Starting'}
+            {progress?.stage === 'generating' && progress.totalSections
+              ? ` (${progress.sectionsCompleted ?? 0} of ${progress.totalSections} sections)`
+              : ''}
+          </Typography>
+          <LinearProgress
+            variant={progress?.totalSections ? 'determinate' : 'indeterminate'}
+            value={progress?.totalSections ? ((progress.sectionsCompleted ?? 0) / progress.totalSections) * 100 : 0}
+          />
+        </Box>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {started && expectedSections.map(section => (
+        <Card key={section} sx={{ mb: 2 }}>
+          <CardHeader title={CLINICAL_NOTE_SECTION_TITLES[section]} titleTypographyProps={{ variant: 'h6' }} />
+          <CardContent sx={{ pt: 0 }}>
+            {sections[section] ? (
+              hasContent(sections[section]) ? renderValue(sections[section], section, grounding) : (
+                <Typography variant="body2" color="text.secondary">Not documented</Typography>
+              )
+            ) : generating ? (
+              <>
+                <Skeleton width="80%" />
+                <Skeleton width="60%" />
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary">Not received</Typography>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+
+      {note?.complianceFlags && note.complianceFlags.length > 0 && (
+        <Box>
+          {note.complianceFlags.map((flag, index) => (
+            <Alert key={index} severity={flag.severity} sx={{ mb: 1 }}>
+              {flag.description}
+            </Alert>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default StreamingNoteView;
@@ -0,0 +1,6 @@
+/**
+ * Clinical Note Components Index
+ * Exports all clinical note components
+ */
+
+export { default as StreamingNoteView } from './StreamingNoteView';
@@ -19,9 +19,11 @@ import {
   Security as ConsentIcon,
   Settings as SettingsIcon,
   Help as HelpIcon,
-  Mic as VoiceIcon
+  Mic as VoiceIcon,
+  ManageAccounts as UsersIcon
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
 
 interface SidebarProps {
   open: boolean;
@@ -36,6 +38,7 @@ interface NavItem {
 const Sidebar: React.FC<SidebarProps> = ({ open }) => {
   const navigate = useNavigate();
   const location = useLocation();
+  const { user } = useAuth();
 
   const mainNavItems: NavItem[] = [
     { title: 'Dashboard', path: '/dashboard', icon: <DashboardIcon /> },
@@ -48,6 +51,7 @@ const Sidebar: React.FC<SidebarProps> = ({ open }) => {
 
   const secondaryNavItems: NavItem[] = [
     { title: 'Voice Demo', path: '/voice-recording-demo', icon: <VoiceIcon /> },
+    ...(user?.role === 'admin' ? [{ title: 'Users', path: '/users', icon: <UsersIcon /> }] : []),
     { title: 'Settings', path: '/settings', icon: <SettingsIcon /> },
     { title: 'Help', path: '/help', icon: <HelpIcon /> }
   ];
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Button,
+  Chip,
+  Box,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  Logout as LogoutIcon
+} from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import authService, { Session } from '../../services/auth.service';
+
+interface SessionListProps {
+  userId?: string;
+  onRevokeCurrent?: () => void;
+}
+
+const SessionList: React.FC<SessionListProps> = ({
+  userId,
+  onRevokeCurrent
+}) => {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setSessions(await authService.getSessions(userId));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session: Session) => {
+    try {
+      setRevoking(session.family);
+      await authService.revokeSession(session.family);
+
+      if (session.current && onRevokeCurrent) {
+        onRevokeCurrent();
+        return;
+      }
+
+      setSessions(prev => prev.filter(item => item.family !== session.family));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign out session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const formatDateTime = (value: string | null) =>
+    value ? format(parseISO(value), 'MMM d, yyyy h:mm a') : 'Never';
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Active Sessions
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Devices currently signed in. A signed-out device can no longer refresh its session, but
+        may keep using the access it already holds for up to 15 minutes, until that token expires.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : sessions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No active sessions
+        </Typography>
+      ) : (
+        <List disablePadding>
+          {sessions.map(session => (
+            <ListItem
+              key={session.family}
+              divider
+              secondaryAction={
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<LogoutIcon />}
+                  onClick={() => handleRevoke(session)}
+                  disabled={revoking !== null}
+                >
+                  Sign Out
+                </Button>
+              }
+            >
+              <ListItemIcon>
+                <DevicesIcon />
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {session.device.device || 'Unknown device'}
+                    {session.current && <Chip label="This device" size="small" color="primary" />}
+                  </Box>
+                }
+                secondary={
+                  `${session.ip_address || 'Unknown IP'} · Signed in ${formatDateTime(session.created_at)}` +
+                  ` · Last active ${formatDateTime(session.last_used_at)}`
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
+export default SessionList;
@@ -1,3 +1,4 @@
 export { default as UserProfileCard } from './UserProfileCard';
 export { default as UserPreferencesPanel } from './UserPreferencesPanel';
 export { default as UserEditDialog } from './UserEditDialog';
+export { default as SessionList } from './SessionList';
@@ -15,6 +15,7 @@ import {
 } from '@mui/material';
 import { VoiceRecorderProps, TranscriptionResponse } from '../types';
 import { useVoiceRecording } from '../hooks/useVoiceRecording';
+import { useLiveTranscription } from '../hooks/useLiveTranscription';
 import voiceRecordingAPI from '../services/voiceRecordingAPI';
 import AudioVisualizer from './AudioVisualizer';
 import RecordingButton from './RecordingButton';
@@ -40,6 +41,7 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
   autoStart = false,
   autoStop = false,
   autoTranscribe = true,
+  liveTranscription = false,
   className,
   style
 }) => {
@@ -62,6 +64,18 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
     cleanup
   } = useVoiceRecording(config);
 
+  // Live captions need the encounter to store the session against
+  const {
+    segments: captionSegments,
+    interimText: captionInterimText,
+    error: liveTranscriptionError,
+    start: startLiveTranscription,
+    sendAudio: sendLiveAudio,
+    stop: stopLiveTranscription,
+    cancel: cancelLiveTranscription
+  } = useLiveTranscription();
+  const isLive = Boolean(liveTranscription && encounterId && patientId);
+
   // Local state
   const [transcriptionState, setTranscriptionState] = useState<{
     isTranscribing: boolean;
@@ -93,15 +107,57 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
    */
   const handleRecordingStart = useCallback(async () => {
     try {
-      await startRecording();
+      if (isLive) {
+        startLiveTranscription({ encounterId: encounterId!, patientId: patientId! });
+        await startRecording(sendLiveAudio);
+      } else {
+        await startRecording();
+      }
       onRecordingStart?.();
       showMessage('Recording started', 'success');
     } catch (error) {
+      if (isLive) {
+        cancelLiveTranscription();
+      }
       const errorMessage = error instanceof Error ? error.message : 'Failed to start recording';
       onRecordingError?.(errorMessage);
       showMessage(errorMessage, 'error');
     }
-  }, [startRecording, onRecordingStart, onRecordingError, showMessage]);
+  }, [isLive, startLiveTranscription, sendLiveAudio, cancelLiveTranscription, encounterId, patientId, startRecording, onRecordingStart, onRecordingError, showMessage]);
+
+  /**
+   * Finish live transcription; the service has stored the recording and transcript
+   */
+  const handleLiveTranscription = useCallback(async () => {
+    try {
+      setTranscriptionState({ isTranscribing: true });
+
+      const { transcription } = await stopLiveTranscription();
+
+      setTranscriptionState({ isTranscribing: false, transcriptionId: transcription._id });
+      onTranscriptionComplete?.({
+        id: transcription._id,
+        status: transcription.status === 'completed' ? 'completed' : 'processing',
+        transcript: transcription.transcript,
+        confidence: transcription.confidence,
+        duration: transcription.duration,
+        language: transcription.processingMetadata?.languageCode,
+        createdAt: new Date(transcription.createdAt),
+        completedAt: transcription.processingCompletedAt
+          ? new Date(transcription.processingCompletedAt)
+          : undefined
+      });
+      showMessage('Transcription completed', 'success');
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Transcription failed';
+      setTranscriptionState({
+        isTranscribing: false,
+        error: errorMessage
+      });
+      onTranscriptionError?.(errorMessage);
+      showMessage(errorMessage, 'error');
+    }
+  }, [stopLiveTranscription, onTranscriptionComplete, onTranscriptionError, showMessage]);
 
   /**
    * Handle recording stop
@@ -114,8 +170,10 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
         onRecordingStop?.(result.blob, result.metadata);
         showMessage('Recording completed', 'success');
 
-        // Auto-transcribe if enabled
-        if (autoTranscribe) {
+        // Live sessions are stored by the service; otherwise auto-transcribe if enabled
+        if (isLive) {
+          await handleLiveTranscription();
+        } else if (autoTranscribe) {
           await handleTranscription(result.blob, result.metadata);
         }
       }
@@ -124,7 +182,7 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
       onRecordingError?.(errorMessage);
       showMessage(errorMessage, 'error');
     }
-  }, [stopRecording, onRecordingStop, onRecordingError, autoTranscribe, showMessage]);
+  }, [stopRecording, onRecordingStop, onRecordingError, isLive, handleLiveTranscription, autoTranscribe, showMessage]);
 
   /**
    * Handle transcription
@@ -136,7 +194,7 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
       setTranscriptionState({ isTranscribing: true });
       showMessage('Starting transcription...', 'info');
 
-      // Upload audio for transcription
+      // Upload audio in resumable chunks; the service transcribes it once stored
       const response = await voiceRecordingAPI.uploadAudio(
         blob,
         metadata,
@@ -149,11 +207,21 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
             specialty: 'General Medicine',
             encounterType: 'consultation'
           }
+        },
+        (progress) => {
+          if (progress.percentage < 100) {
+            showMessage(`Uploading recording... ${progress.percentage}%`, 'info');
+          }
         }
       );
 
       if (response.success && response.data) {
-        const transcriptionId = response.data.id;
+        const transcription = await voiceRecordingAPI.getRecordingTranscription(response.data.recording._id);
+        if (!transcription.success || !transcription.data) {
+          throw new Error(transcription.error || 'Failed to start transcription');
+        }
+
+        const transcriptionId = transcription.data.id;
         setTranscriptionState({
           isTranscribing: true,
           transcriptionId
@@ -249,6 +317,39 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
     };
   }, [cleanup]);
 
+  /**
+   * Render live captions
+   */
+  const renderCaptions = (): React.ReactNode => {
+    if (!isLive || (captionSegments.length === 0 && !captionInterimText)) {
+      return null;
+    }
+
+    return (
+      <Box
+        sx={{
+          maxHeight: 200,
+          overflowY: 'auto',
+          p: 1.5,
+          borderRadius: 1,
+          backgroundColor: alpha(theme.palette.text.primary, 0.04)
+        }}
+      >
+        {captionSegments.map((segment, index) => (
+          <Typography key={index} variant="body2" gutterBottom>
+            {segment.speakerTag ? <strong>{`Speaker ${segment.speakerTag}: `}</strong> : null}
+            {segment.text}
+          </Typography>
+        ))}
+        {captionInterimText && (
+          <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+            {captionInterimText}
+          </Typography>
+        )}
+      </Box>
+    );
+  };
+
   /**
    * Render minimal variant
    */
@@ -366,6 +467,8 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
           />
         )}
 
+        {renderCaptions()}
+
         {transcriptionState.isTranscribing && (
           <Alert severity="info" sx={{ mt: 1 }}>
             Transcribing audio... Please wait.
@@ -437,6 +540,9 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
           />
         )}
 
+        {/* Live Captions */}
+        {renderCaptions()}
+
         {/* Recording Controls */}
         <Box sx={{ display: 'flex', justifyContent: 'center' }}>
           <RecordingButton
@@ -462,9 +568,9 @@ const VoiceRecorder: React.FC<VoiceRecorderProps> = ({
         )}
 
         {/* Error Display */}
-        {(recordingState.error || transcriptionState.error) && (
+        {(recordingState.error || transcriptionState.error || liveTranscriptionError) && (
           <Alert severity="error">
-            {recordingState.error || transcriptionState.error}
+            {recordingState.error || transcriptionState.error || liveTranscriptionError}
           </Alert>
         )}
       </Paper>
@@ -0,0 +1,109 @@
+/**
+ * Live Transcription Hook
+ * Captions a recording while it is made; pass sendAudio to startRecording
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  LiveTranscriptionHookReturn,
+  LiveTranscriptionOptions,
+  LiveTranscriptionResult,
+  TranscriptSegment
+} from '../types';
+import voiceRecordingAPI from '../services/voiceRecordingAPI';
+import LiveTranscriptionSession from '../services/liveTranscription';
+
+export const useLiveTranscription = (): LiveTranscriptionHookReturn => {
+  // State
+  const [segments, setSegments] = useState<TranscriptSegment[]>([]);
+  const [interimText, setInterimText] = useState('');
+  const [isActive, setIsActive] = useState(false);
+  const [error, setError] = useState<string | undefined>();
+
+  // Refs
+  const sessionRef = useRef<LiveTranscriptionSession | null>(null);
+
+  /**
+   * Open a session for a new recording
+   */
+  const start = useCallback((options: LiveTranscriptionOptions) => {
+    sessionRef.current?.cancel();
+
+    setSegments([]);
+    setInterimText('');
+    setError(undefined);
+
+    sessionRef.current = voiceRecordingAPI.startLiveTranscription(options, {
+      onSegment: (segment) => {
+        if (segment.isFinal) {
+          setSegments(prev => [...prev, segment]);
+          setInterimText('');
+        } else {
+          setInterimText(segment.text);
+        }
+      },
+      onError: setError
+    });
+    setIsActive(true);
+  }, []);
+
+  /**
+   * Send a recorded frame
+   */
+  const sendAudio = useCallback((chunk: Blob) => {
+    sessionRef.current?.sendAudio(chunk);
+  }, []);
+
+  /**
+   * Finish the session; resolves with the stored recording and transcription
+   */
+  const stop = useCallback(async (): Promise<LiveTranscriptionResult> => {
+    const session = sessionRef.current;
+    if (!session) {
+      throw new Error('No live transcription in progress');
+    }
+
+    try {
+      return await session.stop();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Live transcription failed');
+      throw error;
+    } finally {
+      sessionRef.current = null;
+      setInterimText('');
+      setIsActive(false);
+    }
+  }, []);
+
+  /**
+   * Discard the session
+   */
+  const cancel = useCallback(() => {
+    sessionRef.current?.cancel();
+    sessionRef.current = null;
+
+    setSegments([]);
+    setInterimText('');
+    setIsActive(false);
+  }, []);
+
+  // Discard an unfinished session on unmount
+  useEffect(() => {
+    return () => {
+      sessionRef.current?.cancel();
+    };
+  }, []);
+
+  return {
+    segments,
+    interimText,
+    isActive,
+    error,
+    start,
+    sendAudio,
+    stop,
+    cancel
+  };
+};
+
+export default useLiveTranscription;
@@ -162,8 +162,9 @@ export const useVoiceRecording = (
 
   /**
    * Start recording
+   * onData receives each recorded frame, e.g. to stream it for live transcription
    */
-  const startRecording = useCallback(async () => {
+  const startRecording = useCallback(async (onData?: (chunk: Blob) => void) => {
     if (!audioServiceRef.current) {
       throw new Error('Audio service not initialized');
     }
@@ -180,7 +181,7 @@ export const useVoiceRecording = (
         await requestPermission();
       }
 
-      await audioServiceRef.current.startRecording();
+      await audioServiceRef.current.startRecording(onData);
 
       const startTime = new Date();
       setRecordingState({
@@ -14,10 +14,12 @@ export {
 
 // Hooks
 export { useVoiceRecording } from './hooks/useVoiceRecording';
+export { useLiveTranscription } from './hooks/useLiveTranscription';
 
 // Services
 export { default as AudioService } from './services/audioService';
 export { default as voiceRecordingAPI } from './services/voiceRecordingAPI';
+export { default as LiveTranscriptionSession } from './services/liveTranscription';
 
 // Types
 export type * from './types';
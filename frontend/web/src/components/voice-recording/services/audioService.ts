@@ -169,8 +169,10 @@ export class AudioService {
 
   /**
    * Start recording
+   * onData receives each frame as it is recorded, e.g. for live transcription;
+   * the first frame carries the container header the rest depend on.
    */
-  async startRecording(): Promise<void> {
+  async startRecording(onData?: (chunk: Blob) => void): Promise<void> {
     try {
       if (!this.stream) {
         const permissionState = await this.requestPermission();
@@ -195,6 +197,7 @@ export class AudioService {
       this.mediaRecorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           this.chunks.push(event.data);
+          onData?.(event.data);
         }
       };
 
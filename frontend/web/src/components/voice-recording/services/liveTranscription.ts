@@ -0,0 +1,153 @@
+/**
+ * Live Transcription Session
+ * Streams recorder frames to the voice recording service over a WebSocket and
+ * receives transcript segments while the doctor talks
+ */
+
+import {
+  LiveTranscriptionOptions,
+  LiveTranscriptionResult,
+  TranscriptSegment
+} from '../types';
+
+type ServerMessage =
+  | { type: 'ready'; sessionId: string; provider: string; streaming: boolean }
+  | { type: 'transcript'; segment: TranscriptSegment }
+  | { type: 'completed'; data: LiveTranscriptionResult }
+  | { type: 'error'; error: { message: string; statusCode: number } };
+
+export interface LiveTranscriptionHandlers {
+  onSegment?: (segment: TranscriptSegment) => void;
+  onError?: (message: string) => void;
+}
+
+export class LiveTranscriptionSession {
+  private socket: WebSocket;
+  private token: string;
+  private options: LiveTranscriptionOptions;
+  private handlers: LiveTranscriptionHandlers;
+
+  // Frames recorded before the service is ready; the first carries the container header
+  private pending: Blob[] = [];
+  private started = false;
+  private ready = false;
+  private stopRequested = false;
+  private stopSent = false;
+  private lastError: string | null = null;
+
+  private completion: Promise<LiveTranscriptionResult>;
+  private resolveCompletion!: (result: LiveTranscriptionResult) => void;
+  private rejectCompletion!: (error: Error) => void;
+
+  sessionId?: string;
+
+  constructor(
+    url: string,
+    token: string,
+    options: LiveTranscriptionOptions,
+    handlers: LiveTranscriptionHandlers = {}
+  ) {
+    this.token = token;
+    this.options = options;
+    this.handlers = handlers;
+
+    this.completion = new Promise((resolve, reject) => {
+      this.resolveCompletion = resolve;
+      this.rejectCompletion = reject;
+    });
+    // Only stop() reports the outcome; a cancelled session is never awaited
+    this.completion.catch(() => undefined);
+
+    this.socket = new WebSocket(url);
+    this.socket.onopen = () => this.flush();
+    this.socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+    this.socket.onclose = (event) => {
+      this.rejectCompletion(new Error(
+        this.lastError || event.reason || 'Live transcription connection closed'
+      ));
+    };
+  }
+
+  /**
+   * Send a recorded frame
+   */
+  sendAudio(chunk: Blob): void {
+    this.pending.push(chunk);
+    this.flush();
+  }
+
+  /**
+   * Finish the session once the frames sent so far are delivered
+   * Resolves with the stored voice recording and transcription.
+   */
+  stop(): Promise<LiveTranscriptionResult> {
+    if (!this.started && this.pending.length === 0) {
+      this.socket.close();
+      return Promise.reject(new Error('No audio was recorded'));
+    }
+
+    this.stopRequested = true;
+    this.flush();
+    return this.completion;
+  }
+
+  /**
+   * Discard the session; nothing is stored
+   */
+  cancel(): void {
+    if (this.socket.readyState === WebSocket.OPEN && this.started) {
+      this.socket.send(JSON.stringify({ type: 'cancel' }));
+    }
+    this.socket.close();
+  }
+
+  /**
+   * Send what the connection is ready for: the start message once the first
+   * frame gives the audio format, then frames, then the stop request
+   */
+  private flush(): void {
+    if (this.socket.readyState !== WebSocket.OPEN) return;
+
+    if (!this.started && this.pending.length > 0) {
+      this.socket.send(JSON.stringify({
+        type: 'start',
+        token: this.token,
+        mimeType: this.pending[0].type || 'audio/webm',
+        ...this.options
+      }));
+      this.started = true;
+    }
+
+    if (!this.ready) return;
+
+    this.pending.forEach(chunk => this.socket.send(chunk));
+    this.pending = [];
+
+    if (this.stopRequested && !this.stopSent) {
+      this.socket.send(JSON.stringify({ type: 'stop' }));
+      this.stopSent = true;
+    }
+  }
+
+  private handleMessage(message: ServerMessage): void {
+    switch (message.type) {
+      case 'ready':
+        this.ready = true;
+        this.sessionId = message.sessionId;
+        this.flush();
+        break;
+      case 'transcript':
+        this.handlers.onSegment?.(message.segment);
+        break;
+      case 'completed':
+        this.resolveCompletion(message.data);
+        break;
+      case 'error':
+        this.lastError = message.error.message;
+        this.handlers.onError?.(message.error.message);
+        break;
+    }
+  }
+}
+
+export default LiveTranscriptionSession;
@@ -3,17 +3,26 @@
  * Handles communication with the voice recording backend service
  */
 
-import axios, { AxiosProgressEvent } from 'axios';
+import axios from 'axios';
 import {
   TranscriptionRequest,
   TranscriptionResponse,
   VoiceRecordingApiResponse,
+  VoiceRecordingResponse,
+  AudioUploadStatus,
   UploadProgressEvent,
-  RecordingMetadata
+  RecordingMetadata,
+  LiveTranscriptionOptions
 } from '../types';
+import LiveTranscriptionSession, { LiveTranscriptionHandlers } from './liveTranscription';
 
 const API_BASE_URL = process.env.REACT_APP_VOICE_RECORDING_SERVICE_URL || 'http://localhost:8013';
 
+// Resumable uploads
+const MAX_CHUNK_RETRIES = 5;
+const CHUNK_RETRY_DELAY = 1000; // ms, doubled after each failed attempt
+const UPLOAD_STORAGE_PREFIX = 'voice-recording-upload:';
+
 export class VoiceRecordingAPI {
   private baseURL: string;
   private authToken: string | null = null;
@@ -61,73 +70,242 @@ export class VoiceRecordingAPI {
   }
 
   /**
-   * Upload audio file for transcription
+   * Upload a recording with the resumable upload protocol
+   * The recording is sent in chunks; each chunk is retried on network errors, and
+   * calling this again for the same recording resumes from the chunks the
+   * service already has instead of starting over.
    */
   async uploadAudio(
     audioBlob: Blob,
     metadata: RecordingMetadata,
     request: Partial<TranscriptionRequest> = {},
     onProgress?: (progress: UploadProgressEvent) => void
-  ): Promise<VoiceRecordingApiResponse<TranscriptionResponse>> {
+  ): Promise<VoiceRecordingApiResponse<{ recording: VoiceRecordingResponse }>> {
     try {
-      const formData = new FormData();
+      const upload = await this.resumeOrStartUpload(audioBlob, metadata, request);
 
-      // Create file from blob
-      const audioFile = new File([audioBlob], metadata.filename, {
-        type: audioBlob.type
+      if (upload.status === 'completed') {
+        const response = await this.completeUpload(upload.uploadId);
+        this.forgetUpload(metadata.id);
+        return response;
+      }
+
+      const received = new Set<number>();
+      upload.receivedRanges.forEach(([first, last]) => {
+        for (let index = first; index <= last; index++) {
+          received.add(index);
+        }
       });
 
-      formData.append('audio', audioFile);
-      formData.append('metadata', JSON.stringify(metadata));
+      const reportProgress = () => {
+        if (onProgress) {
+          const loaded = Math.min(received.size * upload.chunkSize, audioBlob.size);
+          onProgress({
+            loaded,
+            total: audioBlob.size,
+            percentage: Math.round((loaded * 100) / audioBlob.size)
+          });
+        }
+      };
+      reportProgress();
 
-      // Add request parameters
-      if (request.encounterId) {
-        formData.append('encounterId', request.encounterId);
-      }
-      if (request.patientId) {
-        formData.append('patientId', request.patientId);
-      }
-      if (request.doctorId) {
-        formData.append('doctorId', request.doctorId);
-      }
-      if (request.language) {
-        formData.append('language', request.language);
-      }
-      if (request.priority) {
-        formData.append('priority', request.priority);
-      }
-      if (request.context) {
-        formData.append('context', JSON.stringify(request.context));
-      }
+      for (let index = 0; index < upload.totalChunks; index++) {
+        if (received.has(index)) continue;
 
-      const response = await axios.post(
-        `${this.baseURL}/api/transcriptions/upload`,
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-          },
-          onUploadProgress: (progressEvent: AxiosProgressEvent) => {
-            if (onProgress && progressEvent.total) {
-              const progress: UploadProgressEvent = {
-                loaded: progressEvent.loaded,
-                total: progressEvent.total,
-                percentage: Math.round((progressEvent.loaded * 100) / progressEvent.total)
-              };
-              onProgress(progress);
-            }
-          },
-          timeout: 300000 // 5 minutes timeout for large files
-        }
-      );
+        const chunk = audioBlob.slice(index * upload.chunkSize, (index + 1) * upload.chunkSize);
+        await this.uploadChunk(upload.uploadId, index, chunk);
+        received.add(index);
+        reportProgress();
+      }
 
-      return response.data;
+      const response = await this.completeUpload(upload.uploadId);
+      this.forgetUpload(metadata.id);
+      return response;
     } catch (error) {
       console.error('Failed to upload audio:', error);
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Get the status of a resumable upload, including the chunk ranges received
+   */
+  async getUploadStatus(uploadId: string): Promise<AudioUploadStatus> {
+    const response = await axios.get(`${this.baseURL}/api/voice-recordings/uploads/${uploadId}`);
+    return response.data.data.upload;
+  }
+
+  /**
+   * Abandon a resumable upload
+   */
+  async abortUpload(recordingId: string): Promise<void> {
+    const uploadId = this.getSavedUploadId(recordingId);
+    if (!uploadId) return;
+
+    try {
+      await axios.delete(`${this.baseURL}/api/voice-recordings/uploads/${uploadId}`);
+    } catch (error) {
+      console.error('Failed to abort upload:', error);
+    } finally {
+      this.forgetUpload(recordingId);
+    }
+  }
+
+  /**
+   * Continue this recording's earlier upload if the service still has it, otherwise start one
+   */
+  private async resumeOrStartUpload(
+    audioBlob: Blob,
+    metadata: RecordingMetadata,
+    request: Partial<TranscriptionRequest>
+  ): Promise<AudioUploadStatus> {
+    const savedUploadId = this.getSavedUploadId(metadata.id);
+
+    if (savedUploadId) {
+      try {
+        const upload = await this.getUploadStatus(savedUploadId);
+        if ((upload.status === 'uploading' || upload.status === 'completed') && upload.totalSize === audioBlob.size) {
+          return upload;
+        }
+      } catch (error) {
+        // Expired or unknown upload: start again
+      }
+      this.forgetUpload(metadata.id);
+    }
+
+    const response = await axios.post(`${this.baseURL}/api/voice-recordings/uploads`, {
+      encounterId: request.encounterId || metadata.encounterId,
+      patientId: request.patientId || metadata.patientId,
+      doctorId: request.doctorId || metadata.doctorId,
+      duration: Math.max(1, Math.round(metadata.duration)),
+      // The service stores the container type, without codec parameters
+      mimeType: audioBlob.type.split(';')[0],
+      totalSize: audioBlob.size,
+      checksum: await this.sha256(audioBlob),
+      fileName: metadata.filename
+    });
+
+    const upload: AudioUploadStatus = response.data.data.upload;
+    this.saveUploadId(metadata.id, upload.uploadId);
+    return upload;
+  }
+
+  /**
+   * Upload one chunk, retrying with backoff while the connection is down
+   */
+  private async uploadChunk(uploadId: string, index: number, chunk: Blob): Promise<void> {
+    const checksum = await this.sha256(chunk);
+    let attempt = 0;
+
+    while (true) {
+      try {
+        await axios.put(
+          `${this.baseURL}/api/voice-recordings/uploads/${uploadId}/chunks/${index}`,
+          chunk,
+          {
+            headers: {
+              'Content-Type': 'application/octet-stream',
+              'X-Chunk-Checksum': checksum
+            },
+            timeout: 60000
+          }
+        );
+        return;
+      } catch (error) {
+        attempt++;
+        // Only network errors and server errors are worth retrying
+        const status = axios.isAxiosError(error) ? error.response?.status : undefined;
+        if (attempt > MAX_CHUNK_RETRIES || (status !== undefined && status < 500 && status !== 429)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, CHUNK_RETRY_DELAY * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  /**
+   * Join the uploaded chunks into a voice recording
+   */
+  private async completeUpload(
+    uploadId: string
+  ): Promise<VoiceRecordingApiResponse<{ recording: VoiceRecordingResponse }>> {
+    const response = await axios.post(
+      `${this.baseURL}/api/voice-recordings/uploads/${uploadId}/complete`,
+      {},
+      { timeout: 300000 } // 5 minutes to assemble and store large files
+    );
+    return response.data;
+  }
+
+  /**
+   * SHA-256 of a blob as hex
+   */
+  private async sha256(blob: Blob): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Remember a recording's upload so it can be resumed after a reload or retry
+   */
+  private saveUploadId(recordingId: string, uploadId: string): void {
+    localStorage.setItem(`${UPLOAD_STORAGE_PREFIX}${recordingId}`, uploadId);
+  }
+
+  private getSavedUploadId(recordingId: string): string | null {
+    return localStorage.getItem(`${UPLOAD_STORAGE_PREFIX}${recordingId}`);
+  }
+
+  private forgetUpload(recordingId: string): void {
+    localStorage.removeItem(`${UPLOAD_STORAGE_PREFIX}${recordingId}`);
+  }
+
+  /**
+   * Start a live transcription session
+   * Frames passed to the session are captioned as they arrive; stopping it
+   * stores the recording and its transcription, so there is nothing to upload.
+   */
+  startLiveTranscription(
+    options: LiveTranscriptionOptions,
+    handlers: LiveTranscriptionHandlers = {}
+  ): LiveTranscriptionSession {
+    if (!this.authToken) {
+      throw new Error('Sign in again to start live transcription');
+    }
+
+    const url = `${this.baseURL.replace(/^http/, 'ws')}/api/transcriptions/stream`;
+    return new LiveTranscriptionSession(url, this.authToken, options, handlers);
+  }
+
+  /**
+   * Get the transcription started for an uploaded recording
+   * The service starts it just after storing the recording, so a missing
+   * transcription is asked for again a few times.
+   */
+  async getRecordingTranscription(
+    recordingId: string,
+    maxAttempts: number = 5,
+    interval: number = 1000
+  ): Promise<VoiceRecordingApiResponse<TranscriptionResponse>> {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.get(
+          `${this.baseURL}/api/transcriptions/voice-recording/${recordingId}`
+        );
+        return response.data;
+      } catch (error) {
+        const notFound = axios.isAxiosError(error) && error.response?.status === 404;
+        if (!notFound || attempt >= maxAttempts) {
+          console.error('Failed to get recording transcription:', error);
+          throw this.handleError(error);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }
+  }
+
   /**
    * Get transcription status
    */
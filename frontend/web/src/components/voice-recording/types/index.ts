@@ -87,7 +87,7 @@ export interface VoiceRecordingHookReturn {
   permissionState: AudioPermissionState;
 
   // Recording controls
-  startRecording: () => Promise<void>;
+  startRecording: (onData?: (chunk: Blob) => void) => Promise<void>;
   stopRecording: () => Promise<{ blob: Blob; metadata: RecordingMetadata } | undefined>;
   pauseRecording: () => void;
   resumeRecording: () => void;
@@ -135,6 +135,9 @@ export interface VoiceRecorderProps {
   autoStop?: boolean;
   autoTranscribe?: boolean;
 
+  // Show captions while recording; the service saves the recording and transcript itself
+  liveTranscription?: boolean;
+
   // Styling
   className?: string;
   style?: React.CSSProperties;
@@ -214,6 +217,77 @@ export interface UploadProgressEvent {
   percentage: number;
 }
 
+export interface VoiceRecordingResponse {
+  _id: string;
+  encounterId: string;
+  patientId: string;
+  doctorId: string;
+  duration: number;
+  fileSize: number;
+  mimeType: string;
+  status: 'uploading' | 'processing' | 'transcribed' | 'error' | 'deleted';
+  transcriptionId?: string;
+  createdAt: string;
+}
+
+// Progress of a resumable upload; receivedRanges are inclusive chunk index ranges
+export interface AudioUploadStatus {
+  uploadId: string;
+  status: 'uploading' | 'finalizing' | 'completed' | 'aborted';
+  chunkSize: number;
+  totalChunks: number;
+  totalSize: number;
+  receivedChunks: number;
+  receivedRanges: Array<[number, number]>;
+  missingChunks: number[];
+  bytesReceived: number;
+  recordingId?: string;
+  expiresAt: string;
+}
+
+// Live transcription
+export interface LiveTranscriptionOptions {
+  encounterId: string;
+  patientId: string;
+  languageCode?: string;
+  deviceInfo?: Record<string, unknown>;
+}
+
+// Interim segments are replaced by the next segment; final ones are kept
+export interface TranscriptSegment {
+  isFinal: boolean;
+  text: string;
+  speakerTag?: number;
+  startTime?: number;
+  endTime?: number;
+  confidence?: number;
+}
+
+export interface LiveTranscriptionResult {
+  voiceRecording: VoiceRecordingResponse;
+  transcription: {
+    _id: string;
+    status: 'pending' | 'processing' | 'completed' | 'failed';
+    transcript?: string;
+    confidence?: number;
+    duration?: number;
+    processingMetadata?: { languageCode?: string };
+    createdAt: string;
+    processingCompletedAt?: string;
+  };
+}
+
+export interface LiveTranscriptionHookReturn {
+  segments: TranscriptSegment[];
+  interimText: string;
+  isActive: boolean;
+  error?: string;
+  start: (options: LiveTranscriptionOptions) => void;
+  sendAudio: (chunk: Blob) => void;
+  stop: () => Promise<LiveTranscriptionResult>;
+  cancel: () => void;
+}
+
 // Event types
 export type RecordingEventType =
   | 'recording-started'
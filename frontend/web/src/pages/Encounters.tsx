@@ -1,17 +1,35 @@
-import React from 'react';
-import { Box, Typography, Paper } from '@mui/material';
+import React, { useState } from 'react';
+import { Box, Typography, Paper, TextField } from '@mui/material';
+import { StreamingNoteView } from '../components/clinical-note';
 
 const Encounters: React.FC = () => {
+  // Transcription to generate a clinical note from
+  const [transcriptionId, setTranscriptionId] = useState<string>('');
+
   return (
     <Box sx={{ p: 3 }}>
       <Typography variant="h1" gutterBottom>
         Encounters
       </Typography>
-      <Paper sx={{ p: 3 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
         <Typography variant="body1">
           This is the Encounters page. It will display the patient encounters and clinical notes.
         </Typography>
       </Paper>
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Generate Clinical Note
+        </Typography>
+        <TextField
+          label="Transcription ID"
+          value={transcriptionId}
+          onChange={(event) => setTranscriptionId(event.target.value.trim())}
+          size="small"
+          fullWidth
+          sx={{ mb: 2 }}
+        />
+        <StreamingNoteView transcriptionId={transcriptionId} />
+      </Paper>
     </Box>
   );
 };
@@ -0,0 +1,301 @@
+/**
+ * Waiting Room Component
+ * This component displays a doctor's live check-in queue with estimated waits
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  Grid,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import {
+  HowToReg as CheckInIcon,
+  Campaign as CallIcon
+} from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import scheduleService from '../../../services/schedule.service';
+import { useAuth } from '../../../contexts/AuthContext';
+import {
+  Appointment,
+  DoctorQueue,
+  APPOINTMENT_STATUS_INFO
+} from '../../../types/schedule.types';
+
+// Delay before reopening a dropped queue stream
+const RECONNECT_DELAY_MS = 5000;
+
+const WaitingRoom: React.FC = () => {
+  // Get current user from auth context
+  const { user } = useAuth();
+  const doctorId = user?.id || '';
+
+  // State for the live queue
+  const [queue, setQueue] = useState<DoctorQueue | null>(null);
+
+  // State for today's appointments, used for check-in and patient names
+  const [appointments, setAppointments] = useState<Appointment[]>([]);
+
+  // State for errors and pending actions
+  const [error, setError] = useState<string | null>(null);
+  const [actionLoading, setActionLoading] = useState<boolean>(false);
+
+  // Whether call-next also completes the consultation in progress
+  const [completeCurrent, setCompleteCurrent] = useState<boolean>(true);
+
+  // Fetch today's appointments
+  const fetchTodayAppointments = useCallback(async () => {
+    if (!doctorId) return;
+
+    try {
+      setAppointments(await scheduleService.getTodayAppointments(doctorId));
+    } catch (err) {
+      console.error('Error fetching today\'s appointments:', err);
+    }
+  }, [doctorId]);
+
+  // Subscribe to the queue stream, reconnecting after failures
+  useEffect(() => {
+    if (!doctorId) return;
+
+    let unsubscribe: () => void = () => {};
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+
+    const connect = () => {
+      unsubscribe = scheduleService.subscribeToQueue(
+        doctorId,
+        (update) => {
+          setQueue(update);
+          setError(null);
+          fetchTodayAppointments();
+        },
+        (err) => {
+          setError(err.message);
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      );
+    };
+
+    connect();
+
+    return () => {
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      unsubscribe();
+    };
+  }, [doctorId, fetchTodayAppointments]);
+
+  // Look up patient names from today's appointments
+  const patientNames = useMemo(() => {
+    const names: Record<string, string> = {};
+    appointments.forEach(appointment => {
+      if (appointment.patient) {
+        names[appointment.id] = `${appointment.patient.first_name} ${appointment.patient.last_name}`;
+      }
+    });
+    return names;
+  }, [appointments]);
+
+  // Appointments that can still be checked in
+  const awaitingCheckIn = useMemo(
+    () => appointments.filter(appointment => ['scheduled', 'confirmed'].includes(appointment.status)),
+    [appointments]
+  );
+
+  // Handle check-in
+  const handleCheckIn = async (appointment: Appointment) => {
+    setActionLoading(true);
+    try {
+      await scheduleService.checkIn(appointment.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to check in patient');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Handle call next
+  const handleCallNext = async () => {
+    setActionLoading(true);
+    try {
+      await scheduleService.callNext(doctorId, completeCurrent);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to call next patient');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Format time
+  const formatTime = (isoString: string): string => {
+    return format(parseISO(isoString), 'h:mm a');
+  };
+
+  if (!queue && !error) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {queue && (
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={4}>
+            <Paper sx={{ p: 3, textAlign: 'center' }}>
+              <Typography variant="overline" color="text.secondary">
+                Now Serving
+              </Typography>
+              <Typography variant="h2" component="div" sx={{ fontWeight: 'bold' }}>
+                {queue.now_serving ? queue.now_serving.token : '—'}
+              </Typography>
+              {queue.now_serving && (
+                <Typography variant="body2" color="text.secondary">
+                  {patientNames[queue.now_serving.appointment_id] || 'Patient'} · since {formatTime(queue.now_serving.called_at)}
+                </Typography>
+              )}
+              <Box sx={{ mt: 2 }}>
+                <Button
+                  variant="contained"
+                  startIcon={<CallIcon />}
+                  onClick={handleCallNext}
+                  disabled={actionLoading || (queue.waiting.length === 0 && !queue.now_serving)}
+                >
+                  Call Next
+                </Button>
+              </Box>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={completeCurrent}
+                    onChange={(event) => setCompleteCurrent(event.target.checked)}
+                    size="small"
+                  />
+                }
+                label="Complete current consultation"
+              />
+              <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 1 }}>
+                Average consultation {queue.average_consultation_minutes} min
+                {queue.sample_size === 0 ? ' (default)' : ` (last ${queue.sample_size})`}
+                {' · '}{queue.completed_count} seen today
+              </Typography>
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={8}>
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Token</TableCell>
+                    <TableCell>Patient</TableCell>
+                    <TableCell>Checked In</TableCell>
+                    <TableCell>Estimated Wait</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {queue.waiting.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={4} align="center">
+                        No patients waiting
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    queue.waiting.map(entry => (
+                      <TableRow key={entry.appointment_id}>
+                        <TableCell>
+                          <Chip label={entry.token} size="small" color="primary" />
+                        </TableCell>
+                        <TableCell>{patientNames[entry.appointment_id] || 'Patient'}</TableCell>
+                        <TableCell>{formatTime(entry.checked_in_at)}</TableCell>
+                        <TableCell>
+                          ~{entry.estimated_wait_minutes} min ({formatTime(entry.estimated_call_time)})
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Typography variant="h6" sx={{ mb: 1 }}>
+              Awaiting Check-in
+            </Typography>
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Time</TableCell>
+                    <TableCell>Patient</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {awaitingCheckIn.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={4} align="center">
+                        No appointments awaiting check-in
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    awaitingCheckIn.map(appointment => (
+                      <TableRow key={appointment.id}>
+                        <TableCell>{formatTime(appointment.start_time)}</TableCell>
+                        <TableCell>{patientNames[appointment.id] || 'Patient'}</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={APPOINTMENT_STATUS_INFO[appointment.status].label}
+                            size="small"
+                            sx={{
+                              bgcolor: APPOINTMENT_STATUS_INFO[appointment.status].color,
+                              color: 'white'
+                            }}
+                          />
+                        </TableCell>
+                        <TableCell align="right">
+                          <Button
+                            size="small"
+                            startIcon={<CheckInIcon />}
+                            onClick={() => handleCheckIn(appointment)}
+                            disabled={actionLoading}
+                          >
+                            Check In
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default WaitingRoom;
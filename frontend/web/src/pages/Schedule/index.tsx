@@ -27,6 +27,7 @@ import CalendarView from './components/CalendarView';
 import AppointmentList from './components/AppointmentList';
 import AppointmentDetail from './components/AppointmentDetail';
 import AppointmentForm from './components/AppointmentForm';
+import WaitingRoom from './components/WaitingRoom';
 import scheduleService from '../../services/schedule.service';
 import {
   Appointment,
@@ -379,6 +380,7 @@ const SchedulePage: React.FC = () => {
         >
           <Tab label="Calendar" />
           <Tab label="List" />
+          <Tab label="Waiting Room" />
         </Tabs>
 
         <Box sx={{ p: 3 }}>
@@ -390,7 +392,7 @@ const SchedulePage: React.FC = () => {
               onDateRangeChange={handleDateRangeChange}
               onAppointmentClick={handleViewAppointment}
             />
-          ) : (
+          ) : activeTab === 1 ? (
             <AppointmentList
               data={appointmentListData}
               loading={loading}
@@ -402,6 +404,8 @@ const SchedulePage: React.FC = () => {
               onDeleteAppointment={handleDeleteAppointment}
               onUpdateStatus={handleUpdateStatus}
             />
+          ) : (
+            <WaitingRoom />
           )}
         </Box>
       </Paper>
@@ -19,7 +19,7 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import userService, { UserProfile, UserPreferences, UserUpdateData } from '../services/user.service';
-import { UserProfileCard, UserPreferencesPanel, UserEditDialog } from '../components/user';
+import { UserProfileCard, UserPreferencesPanel, UserEditDialog, SessionList } from '../components/user';
 
 interface TabPanelProps {
   children?: React.ReactNode;
@@ -44,7 +44,7 @@ function TabPanel(props: TabPanelProps) {
 }
 
 const Settings: React.FC = () => {
-  const { user } = useAuth();
+  const { user, logout } = useAuth();
   const [tabValue, setTabValue] = useState(0);
   const [userProfile, setUserProfile] = useState<UserProfile | null>(null);
   const [userPreferences, setUserPreferences] = useState<UserPreferences | null>(null);
@@ -218,15 +218,7 @@ const Settings: React.FC = () => {
 
         {/* Security Tab */}
         <TabPanel value={tabValue} index={2}>
-          <Paper sx={{ p: 3 }}>
-            <Typography variant="h6" gutterBottom>
-              Security Settings
-            </Typography>
-            <Typography variant="body2" color="text.secondary">
-              Security settings will be implemented in a future update. This will include password change,
-              two-factor authentication, and session management.
-            </Typography>
-          </Paper>
+          <SessionList onRevokeCurrent={logout} />
         </TabPanel>
 
         {/* Notifications Tab */}
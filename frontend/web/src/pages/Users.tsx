@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Breadcrumbs,
+  Link,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { Devices as DevicesIcon } from '@mui/icons-material';
+import userService, { UserProfile } from '../services/user.service';
+import { SessionList } from '../components/user';
+
+const Users: React.FC = () => {
+  const [users, setUsers] = useState<UserProfile[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // User whose sessions are open in the dialog
+  const [sessionUser, setSessionUser] = useState<UserProfile | null>(null);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await userService.getAllUsers({
+        page: page + 1,
+        limit: rowsPerPage,
+        sort: 'full_name',
+        order: 'asc'
+      });
+
+      setUsers(result.users);
+      setTotal(result.pagination.total);
+    } catch (err) {
+      console.error('Error loading users:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleRowsPerPageChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      {/* Breadcrumbs */}
+      <Breadcrumbs sx={{ mb: 2 }}>
+        <Link underline="hover" color="inherit" href="/dashboard">
+          Dashboard
+        </Link>
+        <Typography color="text.primary">Users</Typography>
+      </Breadcrumbs>
+
+      <Typography variant="h1" gutterBottom>
+        Users
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ width: '100%' }}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Username</TableCell>
+                  <TableCell>Email</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {users.map(user => (
+                  <TableRow key={user.id} hover>
+                    <TableCell>{user.full_name}</TableCell>
+                    <TableCell>{user.username}</TableCell>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{user.role}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={user.status}
+                        size="small"
+                        color={user.status === 'active' ? 'success' : 'default'}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        startIcon={<DevicesIcon />}
+                        onClick={() => setSessionUser(user)}
+                      >
+                        Sessions
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 20, 50]}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          onRowsPerPageChange={handleRowsPerPageChange}
+        />
+      </Paper>
+
+      {/* Sessions dialog */}
+      <Dialog open={sessionUser !== null} onClose={() => setSessionUser(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Sessions for {sessionUser?.full_name}</DialogTitle>
+        <DialogContent>
+          {sessionUser && <SessionList userId={sessionUser.id} />}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSessionUser(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Users;
@@ -28,6 +28,7 @@ const Consent = React.lazy(() => import('../pages/Consent'));
 const Settings = React.lazy(() => import('../pages/Settings'));
 const Help = React.lazy(() => import('../pages/Help'));
 const Profile = React.lazy(() => import('../pages/Profile'));
+const Users = React.lazy(() => import('../pages/Users'));
 const VoiceRecordingDemo = React.lazy(() => import('../pages/VoiceRecordingDemo'));
 
 // Loading component for lazy-loaded pages
@@ -167,6 +168,18 @@ const AppRoutes: React.FC = () => {
             }
           />
 
+          {/* User management (admin only) */}
+          <Route element={<ProtectedRoute allowedRoles={['admin']} />}>
+            <Route
+              path="/users"
+              element={
+                <React.Suspense fallback={<LazyLoadingFallback />}>
+                  <Users />
+                </React.Suspense>
+              }
+            />
+          </Route>
+
           {/* Voice Recording Demo */}
           <Route
             path="/voice-recording-demo"
@@ -62,6 +62,19 @@ export interface MFAVerifyData {
   code: string;
 }
 
+export interface Session {
+  family: string;
+  device: {
+    userAgent?: string;
+    device?: string;
+  };
+  ip_address: string | null;
+  created_at: string;
+  last_used_at: string | null;
+  expires: string;
+  current: boolean;
+}
+
 class AuthService {
   /**
    * Login user
@@ -210,6 +223,35 @@ class AuthService {
     }
   }
 
+  /**
+   * Get active sessions
+   * @param userId - User ID (admins only, defaults to the current user)
+   * @returns Session[]
+   */
+  async getSessions(userId?: string): Promise<Session[]> {
+    try {
+      const response = await api.get<{ success: boolean; data: { sessions: Session[] } }>(
+        '/api/auth/sessions',
+        { params: userId ? { userId } : undefined }
+      );
+      return response.data.data.sessions;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Revoke a session, signing its device out
+   * @param family - Session (refresh token family) ID
+   */
+  async revokeSession(family: string): Promise<void> {
+    try {
+      await api.delete(`/api/auth/sessions/${family}`);
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Check if user is authenticated
    * @returns boolean
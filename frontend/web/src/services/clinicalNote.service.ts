@@ -0,0 +1,151 @@
+/**
+ * Clinical Note Service
+ * This module provides methods for interacting with the Clinical Note Generation API
+ */
+
+import api from './api';
+import {
+  ClinicalNote,
+  GenerateClinicalNoteRequest,
+  ClinicalNoteStreamHandlers
+} from '../types/clinicalNote.types';
+
+// Clinical Note Generation API URL
+const CLINICAL_NOTE_API_URL = 'http://localhost:9002/api/clinical-notes';
+
+class ClinicalNoteService {
+  /**
+   * Generate a clinical note, waiting for the whole note
+   * @param request - Generation request data
+   * @returns ClinicalNote
+   */
+  async generateNote(request: GenerateClinicalNoteRequest): Promise<ClinicalNote> {
+    try {
+      const response = await api.post<{ success: boolean; data: ClinicalNote }>(
+        `${CLINICAL_NOTE_API_URL}/generate`,
+        request
+      );
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Error generating clinical note:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Generate a clinical note, receiving each section as soon as it is written
+   * The request is a POST, so the server-sent events are read from a fetch
+   * response rather than an EventSource.
+   * @param request - Generation request data
+   * @param handlers - Callbacks for progress, sections, the saved note and errors
+   * @returns Function that stops listening (generation still finishes on the server)
+   */
+  generateNoteStream(
+    request: GenerateClinicalNoteRequest,
+    handlers: ClinicalNoteStreamHandlers
+  ): () => void {
+    const controller = new AbortController();
+
+    const dispatch = (event: string, data: any) => {
+      switch (event) {
+        case 'progress':
+          handlers.onProgress?.(data);
+          break;
+        case 'section':
+          handlers.onSection?.(data);
+          break;
+        case 'complete':
+          handlers.onComplete(data);
+          break;
+        case 'error':
+          handlers.onError(new Error(data.message || 'Failed to generate clinical note'));
+          break;
+      }
+    };
+
+    const readStream = async () => {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        throw new Error('No authentication token available');
+      }
+
+      const response = await fetch(`${CLINICAL_NOTE_API_URL}/generate/stream`, {
+        method: 'POST',
+        headers: {
+          Accept: 'text/event-stream',
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(request),
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.message || 'Unable to start clinical note generation');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let finished = false;
+
+      while (!finished) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const event of events) {
+          const lines = event.split('\n');
+          const name = lines.find(line => line.startsWith('event:'))?.slice(6).trim() || 'message';
+          const data = lines
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+
+          if (data) {
+            dispatch(name, JSON.parse(data));
+            finished = finished || name === 'complete' || name === 'error';
+          }
+        }
+      }
+
+      if (!finished) {
+        throw new Error('Clinical note stream closed before the note was saved');
+      }
+    };
+
+    readStream().catch(error => {
+      if (!controller.signal.aborted) {
+        console.error('Error streaming clinical note generation:', error);
+        handlers.onError(error instanceof Error ? error : new Error('Clinical note stream failed'));
+      }
+    });
+
+    return () => controller.abort();
+  }
+
+  /**
+   * Handle API errors
+   * @param error - Error object
+   * @returns Error
+   */
+  private handleError(error: any): Error {
+    if (error.response) {
+      const errorMessage = error.response.data?.message || 'An error occurred';
+      return new Error(errorMessage);
+    } else if (error.request) {
+      return new Error('No response received from server');
+    } else {
+      return new Error('Error setting up request');
+    }
+  }
+}
+
+export default new ClinicalNoteService();
@@ -12,12 +12,16 @@ import {
   AppointmentSearchParams,
   DoctorAvailability,
   AvailabilityFormData,
-  TimeSlot
+  TimeSlot,
+  DoctorQueue,
+  CallNextResult
 } from '../types/schedule.types';
 
+const SCHEDULE_API_BASE_URL = 'http://localhost:8014/api';
+
 // Create a separate API instance for schedule service
 const scheduleApi = axios.create({
-  baseURL: 'http://localhost:8014/api',
+  baseURL: SCHEDULE_API_BASE_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
@@ -414,6 +418,134 @@ class ScheduleService {
     }
   }
 
+  /**
+   * Get today's check-in queue for a doctor
+   * @param doctorId - Doctor ID
+   * @returns DoctorQueue
+   */
+  async getQueue(doctorId: string): Promise<DoctorQueue> {
+    try {
+      const response = await scheduleApi.get<{ success: boolean; data: DoctorQueue }>(
+        `/queue/doctor/${doctorId}`
+      );
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error fetching queue for doctor with ID ${doctorId}:`, error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Check a patient in and assign a queue token
+   * @param appointmentId - Appointment ID
+   * @returns Appointment
+   */
+  async checkIn(appointmentId: string): Promise<Appointment> {
+    try {
+      const response = await scheduleApi.post<{ success: boolean; data: Appointment }>(
+        `/queue/check-in/${appointmentId}`
+      );
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error checking in appointment with ID ${appointmentId}:`, error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Call the next waiting patient
+   * @param doctorId - Doctor ID
+   * @param completeCurrent - Complete the consultation in progress first
+   * @returns CallNextResult
+   */
+  async callNext(doctorId: string, completeCurrent: boolean = false): Promise<CallNextResult> {
+    try {
+      const response = await scheduleApi.post<{ success: boolean; data: CallNextResult }>(
+        `/queue/doctor/${doctorId}/call-next`,
+        { complete_current: completeCurrent }
+      );
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error calling next patient for doctor with ID ${doctorId}:`, error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Subscribe to live queue updates for a doctor
+   * Reads the server-sent event stream with fetch, since EventSource cannot
+   * send the Authorization header.
+   * @param doctorId - Doctor ID
+   * @param onUpdate - Called with each queue snapshot
+   * @param onError - Called when the stream fails or closes
+   * @returns Unsubscribe function
+   */
+  subscribeToQueue(
+    doctorId: string,
+    onUpdate: (queue: DoctorQueue) => void,
+    onError: (error: Error) => void
+  ): () => void {
+    const controller = new AbortController();
+
+    const readStream = async () => {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        throw new Error('No authentication token available');
+      }
+
+      const response = await fetch(`${SCHEDULE_API_BASE_URL}/queue/doctor/${doctorId}/stream`, {
+        headers: {
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${token}`
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error?.message || 'Unable to open queue stream');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const event of events) {
+          const data = event
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+
+          if (data) {
+            onUpdate(JSON.parse(data));
+          }
+        }
+      }
+
+      throw new Error('Queue stream closed');
+    };
+
+    readStream().catch(error => {
+      if (!controller.signal.aborted) {
+        console.error(`Error streaming queue for doctor with ID ${doctorId}:`, error);
+        onError(error instanceof Error ? error : new Error('Queue stream failed'));
+      }
+    });
+
+    return () => controller.abort();
+  }
+
   /**
    * Handle API errors
    * @param error - Error object
@@ -0,0 +1,117 @@
+/**
+ * Clinical Note Types
+ * This module defines TypeScript interfaces for clinical note data
+ */
+
+export type ClinicalNoteSectionKey =
+  | 'subjective'
+  | 'objective'
+  | 'assessment'
+  | 'plan'
+  | 'specialtySections';
+
+export type ClinicalNoteStatus =
+  | 'generating'
+  | 'draft'
+  | 'review'
+  | 'approved'
+  | 'signed'
+  | 'amended'
+  | 'cancelled';
+
+export interface ClinicalNoteComplianceFlag {
+  type: string;
+  description: string;
+  severity: 'info' | 'warning' | 'error';
+}
+
+export type GroundingStatus = 'supported' | 'partial' | 'unsupported';
+
+export interface GroundedStatement {
+  path: string;
+  text: string;
+  status: GroundingStatus;
+  support: number;
+  missingNumbers: string[];
+  evidence?: {
+    startWord: number;
+    endWord: number;
+    startTime?: number;
+    endTime?: number;
+    text: string;
+  } | null;
+}
+
+export interface ClinicalNoteGrounding {
+  score: number | null;
+  hasTimings: boolean;
+  unsupportedCount: number;
+  statements: GroundedStatement[];
+  checkedAt: string;
+}
+
+export interface ClinicalNote {
+  _id: string;
+  encounterId: string;
+  patientId: string;
+  doctorId: string;
+  transcriptionId: string;
+  status: ClinicalNoteStatus;
+  noteType: string;
+  noteTemplate?: {
+    id: string;
+    version?: string;
+  };
+  subjective: Record<string, any>;
+  objective: Record<string, any>;
+  assessment: Record<string, any>;
+  plan: Record<string, any>;
+  specialtySections?: Record<string, any>;
+  complianceFlags?: ClinicalNoteComplianceFlag[];
+  grounding?: ClinicalNoteGrounding;
+  aiMetadata?: {
+    confidenceScore: number;
+    [key: string]: any;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface GenerateClinicalNoteRequest {
+  transcriptionId: string;
+  context?: {
+    noteType?: string;
+    priority?: 'low' | 'normal' | 'high' | 'urgent';
+    specialty?: string;
+    templateId?: string;
+  };
+}
+
+export type ClinicalNoteGenerationStage = 'generating' | 'saving' | 'quality_checks';
+
+export interface ClinicalNoteGenerationProgress {
+  stage: ClinicalNoteGenerationStage;
+  clinicalNoteId: string;
+  sectionsCompleted?: number;
+  totalSections?: number;
+}
+
+export interface ClinicalNoteSectionUpdate {
+  section: ClinicalNoteSectionKey;
+  content: Record<string, any>;
+}
+
+export interface ClinicalNoteStreamHandlers {
+  onProgress?: (progress: ClinicalNoteGenerationProgress) => void;
+  onSection?: (update: ClinicalNoteSectionUpdate) => void;
+  onComplete: (note: ClinicalNote) => void;
+  onError: (error: Error) => void;
+}
+
+export const CLINICAL_NOTE_SECTION_TITLES: Record<ClinicalNoteSectionKey, string> = {
+  subjective: 'Subjective',
+  objective: 'Objective',
+  assessment: 'Assessment',
+  plan: 'Plan',
+  specialtySections: 'Specialty Sections'
+};
@@ -16,6 +16,8 @@ export interface Appointment {
   created_by?: string;
   check_in_time?: string;
   check_out_time?: string;
+  queue_token?: number;
+  called_at?: string;
   created_at: string;
   updated_at: string;
   // Additional fields from joins
@@ -113,6 +115,38 @@ export interface TimeSlot {
   is_available: boolean;
 }
 
+export interface QueueEntry {
+  appointment_id: string;
+  token: number;
+  patient_id: string;
+  checked_in_at: string;
+  position: number;
+  estimated_wait_minutes: number;
+  estimated_call_time: string;
+}
+
+export interface QueueNowServing {
+  appointment_id: string;
+  token: number;
+  patient_id: string;
+  called_at: string;
+}
+
+export interface DoctorQueue {
+  doctor_id: string;
+  date: string;
+  average_consultation_minutes: number;
+  sample_size: number;
+  now_serving: QueueNowServing | null;
+  waiting: QueueEntry[];
+  completed_count: number;
+}
+
+export interface CallNextResult {
+  completed: Appointment | null;
+  called: Appointment | null;
+}
+
 export interface CalendarViewType {
   type: 'day' | 'week' | 'month';
   date: Date;
@@ -0,0 +1,48 @@
+/**
+ * Permissions
+ * Checks the 'resource:action' permissions that auth_service puts in access
+ * tokens. Each service builds its requirePermission middleware from its own
+ * error classes, so refusals go through that service's error handler.
+ */
+
+/**
+ * Check whether a user holds a permission
+ * Permissions are never inferred from the role.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - Permission (format: 'resource:action')
+ * @returns {boolean} True if the user holds the permission
+ */
+const hasPermission = (user, permission) =>
+  Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+
+/**
+ * Build a service's requirePermission middleware
+ * @param {Object} options - Options
+ * @param {Function} options.UnauthorizedError - Error class for requests without a user (401)
+ * @param {Function} options.ForbiddenError - Error class for missing permissions (403)
+ * @param {Function} [options.onDenied] - Called with the request and the missing permissions before refusing it
+ * @returns {Function} requirePermission(...permissions), requiring every listed permission
+ */
+const createRequirePermission = ({ UnauthorizedError, ForbiddenError, onDenied = null }) =>
+  (...permissions) => (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Authentication required'));
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      if (onDenied) {
+        onDenied(req, missing);
+      }
+
+      return next(new ForbiddenError(`Missing permission: ${missing.join(', ')}`));
+    }
+
+    next();
+  };
+
+module.exports = {
+  hasPermission,
+  createRequirePermission
+};
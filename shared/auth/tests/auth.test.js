@@ -0,0 +1,57 @@
+const { hasPermission, createRequirePermission } = require('../src');
+
+class UnauthorizedError extends Error {}
+class ForbiddenError extends Error {}
+
+describe('Auth', () => {
+  const nurse = { id: 'nurse1', role: 'nurse', permissions: ['vitals:read', 'vitals:write'] };
+
+  describe('hasPermission', () => {
+    it('should find a permission carried by the user', () => {
+      expect(hasPermission(nurse, 'vitals:write')).toBe(true);
+      expect(hasPermission(nurse, 'appointment:manage')).toBe(false);
+    });
+
+    it('should not infer permissions from the role', () => {
+      expect(hasPermission({ id: 'admin1', role: 'admin' }, 'appointment:manage')).toBe(false);
+      expect(hasPermission(null, 'appointment:read')).toBe(false);
+    });
+  });
+
+  describe('createRequirePermission', () => {
+    const onDenied = jest.fn();
+    const requirePermission = createRequirePermission({ UnauthorizedError, ForbiddenError, onDenied });
+    const next = jest.fn();
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should let a user with every listed permission through', () => {
+      requirePermission('vitals:read', 'vitals:write')({ user: nurse }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(onDenied).not.toHaveBeenCalled();
+    });
+
+    it('should refuse with the service\'s error when a permission is missing', () => {
+      const req = { user: nurse };
+
+      requirePermission('vitals:write', 'prescription:sign', 'patient:read')(req, {}, next);
+
+      const [error] = next.mock.calls[0];
+      expect(error).toBeInstanceOf(ForbiddenError);
+      expect(error.message).toBe('Missing permission: prescription:sign, patient:read');
+      expect(onDenied).toHaveBeenCalledWith(req, ['prescription:sign', 'patient:read']);
+    });
+
+    it('should refuse unauthenticated requests', () => {
+      requirePermission('vitals:read')({}, {}, next);
+
+      const [error] = next.mock.calls[0];
+      expect(error).toBeInstanceOf(UnauthorizedError);
+      expect(error.message).toBe('Authentication required');
+      expect(onDenied).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Fixture Provider
+ * LLM adapter that replays recorded responses, so tests and offline
+ * development need no model at all
+ *
+ * Responses live in LLM_FIXTURES_DIR as `<key>.json`, where the key is a hash
+ * of the prompt, holding `{ "text": "...", "usage": { ... } }`. Prompts with no
+ * recording get `default.json` if there is one. With LLM_FIXTURE_RECORD set to
+ * another provider, missing prompts are sent there and the response recorded.
+ * Streaming replays the recorded text in small chunks.
+ *
+ * LLM_FIXTURES_DIR has no default: a service that silently replayed its test
+ * fixtures would look healthy while returning canned notes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Characters per chunk when streaming a recorded response
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Get the fixture key for a prompt
+ * @param {string} prompt - Prompt
+ * @returns {string} Fixture key
+ */
+const fixtureKey = (prompt) =>
+  crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+
+/**
+ * Read a fixture file if it exists
+ * @param {string} file - Fixture path
+ * @returns {Promise<Object|null>} Recorded response
+ */
+const readFixture = async (file) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create the fixture adapter
+ * @param {Object} config - LLM config (fixturesDir, recordWith)
+ * @param {Object} helpers - Registry helpers ({ createProvider })
+ * @returns {Object} Provider adapter
+ * @throws {Error} If no fixtures directory is configured, or it is missing and nothing is being recorded
+ */
+const create = (config, { createProvider }) => {
+  const dir = config.fixturesDir;
+
+  if (!dir) {
+    throw new Error('LLM_FIXTURES_DIR must be set to use the fixture provider');
+  }
+
+  const upstream = config.recordWith ? createProvider(config.recordWith) : null;
+
+  // Only a recording run may start from an empty directory
+  if (!upstream && !fs.existsSync(dir)) {
+    throw new Error(`LLM fixtures directory not found: ${dir}`);
+  }
+
+  const generate = async (prompt, options, signal) => {
+    const key = fixtureKey(prompt);
+    const recorded = await readFixture(path.join(dir, `${key}.json`));
+
+    if (recorded) {
+      return recorded;
+    }
+
+    if (upstream) {
+      const result = await upstream.generate(prompt, options, signal);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${key}.json`),
+        JSON.stringify({ text: result.text, usage: result.usage }, null, 2)
+      );
+
+      return result;
+    }
+
+    const fallback = await readFixture(path.join(dir, 'default.json'));
+
+    if (fallback) {
+      return fallback;
+    }
+
+    const error = new Error(`No LLM fixture recorded for prompt ${key} in ${dir}`);
+    error.retryable = false;
+    throw error;
+  };
+
+  return {
+    name: 'fixture',
+    model: upstream ? upstream.model : 'fixture',
+    isConfigured: () => fs.existsSync(dir),
+    generate,
+    stream: async function* (prompt, options, signal) {
+      const { text } = await generate(prompt, options, signal);
+
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        yield text.slice(i, i + STREAM_CHUNK_SIZE);
+      }
+    }
+  };
+};
+
+module.exports = {
+  fixtureKey,
+  create
+};
@@ -0,0 +1,59 @@
+/**
+ * Gemini Provider
+ * LLM adapter for Google Gemini
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Create the Gemini adapter
+ * GOOGLE_GEMINI_API_KEY and GEMINI_MODEL are still honoured so existing
+ * deployments keep working.
+ * @param {Object} config - LLM config
+ * @returns {Object} Provider adapter
+ */
+const create = (config) => {
+  const apiKey = config.apiKey || process.env.GOOGLE_GEMINI_API_KEY;
+  const model = config.model || process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+  const client = new GoogleGenerativeAI(apiKey);
+  const generativeModel = client.getGenerativeModel({ model });
+
+  const buildRequest = (prompt, options) => ({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: options
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    isConfigured: () => Boolean(apiKey),
+    generate: async (prompt, options, signal) => {
+      const result = await generativeModel.generateContent(buildRequest(prompt, options), { signal });
+
+      const response = await result.response;
+      const usage = response.usageMetadata;
+
+      return {
+        text: response.text(),
+        usage: usage && {
+          inputTokens: usage.promptTokenCount,
+          outputTokens: usage.candidatesTokenCount
+        }
+      };
+    },
+    stream: async function* (prompt, options, signal) {
+      const result = await generativeModel.generateContentStream(buildRequest(prompt, options), { signal });
+
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  create
+};
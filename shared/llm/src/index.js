@@ -0,0 +1,322 @@
+/**
+ * LLM Provider
+ * Gives the prompt code a single generate() call whichever model vendor is
+ * configured. Adapters only turn a prompt into text; timeouts, retries and
+ * token estimates are handled here.
+ *
+ * The provider is chosen per service with LLM_PROVIDER:
+ * - gemini (default) - Google Gemini via @google/generative-ai
+ * - openai - any OpenAI-compatible chat completions API (OpenAI, llama.cpp server, vLLM)
+ * - ollama - a local Ollama server
+ * - fixture - replays recorded responses, for tests and offline development
+ *
+ * Shared by the AI services; each one hands over its own logger with setLogger().
+ */
+
+const geminiProvider = require('./gemini.provider');
+const openaiProvider = require('./openai.provider');
+const ollamaProvider = require('./ollama.provider');
+const fixtureProvider = require('./fixture.provider');
+
+// HTTP statuses worth retrying: rate limiting and upstream failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const providers = new Map();
+
+let defaultLLM = null;
+
+let logger = console;
+
+/**
+ * Error raised by the LLM layer itself, e.g. on timeout
+ */
+class LLMError extends Error {
+  constructor(message, { provider, retryable = false } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Send the layer's log messages to the service's logger
+ * @param {Object} serviceLogger - Logger with info/warn/error methods
+ */
+const setLogger = (serviceLogger) => {
+  logger = serviceLogger;
+};
+
+/**
+ * Register a provider adapter
+ * A factory receives the LLM config and returns
+ * `{ name, model, isConfigured(), generate(prompt, options, signal), stream? }`,
+ * where generate resolves to `{ text, usage?: { inputTokens, outputTokens } }`
+ * and the optional stream(prompt, options, signal) is an async iterable of text
+ * chunks.
+ * @param {string} name - Provider name, as used in LLM_PROVIDER
+ * @param {Function} factory - Provider factory (config, { createProvider }) => provider
+ */
+const registerProvider = (name, factory) => {
+  providers.set(name, factory);
+};
+
+registerProvider('gemini', geminiProvider.create);
+registerProvider('openai', openaiProvider.create);
+registerProvider('ollama', ollamaProvider.create);
+registerProvider('fixture', fixtureProvider.create);
+
+/**
+ * Read the LLM configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} LLM config
+ */
+const loadConfig = (env = process.env) => ({
+  provider: env.LLM_PROVIDER || 'gemini',
+  model: env.LLM_MODEL,
+  baseUrl: env.LLM_BASE_URL,
+  apiKey: env.LLM_API_KEY,
+  timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 60000,
+  maxRetries: env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES, 10) : 2,
+  retryDelayMs: parseInt(env.LLM_RETRY_DELAY_MS, 10) || 1000,
+  fixturesDir: env.LLM_FIXTURES_DIR,
+  recordWith: env.LLM_FIXTURE_RECORD
+});
+
+/**
+ * Estimate the token count of a text
+ * Rough estimation: 1 token ≈ 4 characters for English text.
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * Build a provider adapter by name
+ * @param {string} name - Provider name
+ * @param {Object} config - LLM config
+ * @returns {Object} Provider adapter
+ */
+const createProvider = (name, config) => {
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new LLMError(`Unknown LLM provider: ${name}`, { provider: name });
+  }
+
+  return factory(config, {
+    createProvider: (upstream) => createProvider(upstream, config)
+  });
+};
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error from the provider
+ * @returns {boolean} True if the request may succeed on retry
+ */
+const isRetryable = (error) => {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const status = error.status || error.response?.status;
+
+  return RETRYABLE_STATUSES.includes(status) || RETRYABLE_CODES.includes(error.code);
+};
+
+/**
+ * Run a provider call, aborting it after the timeout
+ * @param {Function} call - Call taking an AbortSignal
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} provider - Provider name, for the error
+ * @returns {Promise<*>} Call result
+ */
+const withTimeout = (call, timeoutMs, provider) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMError(`LLM request timed out after ${timeoutMs}ms`, { provider, retryable: true }));
+    }, timeoutMs);
+  });
+
+  return Promise.race([call(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Turn a whole response into a one-chunk stream, for providers that cannot stream
+ * @param {Promise<Object>} response - Pending generate() result
+ * @yields {string} The response text
+ */
+async function* singleChunk(response) {
+  yield (await response).text;
+}
+
+/**
+ * Create an LLM client
+ * @param {Object} config - LLM config (see loadConfig)
+ * @returns {Object} LLM client ({ provider, model, generate, stream, estimateTokens, describe })
+ */
+const createLLM = (config = loadConfig()) => {
+  const provider = createProvider(config.provider, config);
+
+  /**
+   * Generate text from a prompt
+   * @param {string} prompt - Prompt
+   * @param {Object} options - Generation options ({ temperature, topP, topK, maxOutputTokens })
+   * @returns {Promise<Object>} Result ({ text, provider, model, usage, attempts })
+   */
+  const generate = async (prompt, options = {}) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await withTimeout(
+          signal => provider.generate(prompt, options, signal),
+          config.timeoutMs,
+          provider.name
+        );
+
+        const inputTokens = result.usage?.inputTokens ?? estimateTokens(prompt);
+        const outputTokens = result.usage?.outputTokens ?? estimateTokens(result.text);
+
+        return {
+          text: result.text,
+          provider: provider.name,
+          model: result.model || provider.model,
+          usage: {
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens
+          },
+          attempts: attempt
+        };
+      } catch (error) {
+        if (attempt > config.maxRetries || !isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = config.retryDelayMs * 2 ** (attempt - 1);
+
+        logger.warn('LLM request failed, retrying', {
+          provider: provider.name,
+          attempt,
+          delay,
+          error: error.message
+        });
+
+        await sleep(delay);
+      }
+    }
+  };
+
+  /**
+   * Stream text from a prompt as the model produces it
+   * The timeout applies to the wait for each chunk rather than the whole
+   * response. Failures before the first chunk are retried like generate();
+   * later ones are not, since the caller has already used part of the text.
+   * @param {string} prompt - Prompt
+   * @param {Object} options - Generation options, as for generate()
+   * @yields {string} Text chunks
+   */
+  async function* stream(prompt, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController();
+      let timer;
+      let received = false;
+
+      const resetTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), config.timeoutMs);
+      };
+
+      try {
+        resetTimer();
+
+        const chunks = provider.stream
+          ? provider.stream(prompt, options, controller.signal)
+          : singleChunk(provider.generate(prompt, options, controller.signal));
+
+        for await (const chunk of chunks) {
+          received = true;
+          resetTimer();
+          yield chunk;
+        }
+
+        return;
+      } catch (error) {
+        const failure = controller.signal.aborted
+          ? new LLMError(`LLM stream stalled for ${config.timeoutMs}ms`, { provider: provider.name, retryable: true })
+          : error;
+
+        if (received || attempt > config.maxRetries || !isRetryable(failure)) {
+          throw failure;
+        }
+
+        const delay = config.retryDelayMs * 2 ** (attempt - 1);
+
+        logger.warn('LLM stream failed, retrying', {
+          provider: provider.name,
+          attempt,
+          delay,
+          error: failure.message
+        });
+
+        await sleep(delay);
+      } finally {
+        clearTimeout(timer);
+        // Stops the upstream request if the caller gave up early
+        controller.abort();
+      }
+    }
+  }
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+    generate,
+    stream,
+    estimateTokens,
+    describe: () => ({
+      provider: provider.name,
+      model: provider.model,
+      configured: provider.isConfigured()
+    })
+  };
+};
+
+/**
+ * Get the service's LLM client, configured from the environment
+ * @returns {Object} LLM client
+ */
+const getLLM = () => {
+  if (!defaultLLM) {
+    defaultLLM = createLLM();
+  }
+
+  return defaultLLM;
+};
+
+/**
+ * Replace the service's LLM client, e.g. with a fixture client in tests
+ * @param {Object|null} llm - LLM client, or null to rebuild from the environment
+ */
+const setLLM = (llm) => {
+  defaultLLM = llm;
+};
+
+module.exports = {
+  LLMError,
+  setLogger,
+  registerProvider,
+  loadConfig,
+  estimateTokens,
+  createLLM,
+  getLLM,
+  setLLM
+};
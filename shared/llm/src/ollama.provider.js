@@ -0,0 +1,68 @@
+/**
+ * Ollama Provider
+ * LLM adapter for a local Ollama server
+ */
+
+const axios = require('axios');
+const readline = require('readline');
+
+/**
+ * Create the Ollama adapter
+ * @param {Object} config - LLM config (baseUrl, model)
+ * @returns {Object} Provider adapter
+ */
+const create = (config) => {
+  const baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+  const model = config.model || 'llama3.1';
+
+  const buildRequest = (prompt, options, stream) => ({
+    model,
+    prompt,
+    stream,
+    options: {
+      temperature: options.temperature,
+      top_p: options.topP,
+      top_k: options.topK,
+      num_predict: options.maxOutputTokens
+    }
+  });
+
+  return {
+    name: 'ollama',
+    model,
+    isConfigured: () => true,
+    generate: async (prompt, options, signal) => {
+      const response = await axios.post(`${baseUrl}/api/generate`, buildRequest(prompt, options, false), { signal });
+
+      const { data } = response;
+
+      return {
+        text: data.response,
+        usage: data.eval_count !== undefined
+          ? { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count }
+          : undefined
+      };
+    },
+    // Newline-delimited JSON, one object per chunk, the last with done: true
+    stream: async function* (prompt, options, signal) {
+      const response = await axios.post(`${baseUrl}/api/generate`, buildRequest(prompt, options, true), {
+        responseType: 'stream',
+        signal
+      });
+
+      for await (const line of readline.createInterface({ input: response.data, crlfDelay: Infinity })) {
+        if (!line.trim()) continue;
+
+        const data = JSON.parse(line);
+        if (data.response) {
+          yield data.response;
+        }
+        if (data.done) return;
+      }
+    }
+  };
+};
+
+module.exports = {
+  create
+};
@@ -0,0 +1,79 @@
+/**
+ * OpenAI-Compatible Provider
+ * LLM adapter for any server implementing the OpenAI chat completions API,
+ * including OpenAI itself, the llama.cpp server and vLLM
+ */
+
+const axios = require('axios');
+const readline = require('readline');
+
+/**
+ * Create the OpenAI-compatible adapter
+ * @param {Object} config - LLM config (baseUrl, apiKey, model)
+ * @returns {Object} Provider adapter
+ */
+const create = (config) => {
+  const baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = config.model || 'gpt-4o-mini';
+
+  const buildRequest = (prompt, options) => ({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: options.temperature,
+    top_p: options.topP,
+    max_tokens: options.maxOutputTokens
+  });
+
+  const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    model,
+    // Local servers usually need no key
+    isConfigured: () => Boolean(config.apiKey || config.baseUrl),
+    generate: async (prompt, options, signal) => {
+      const response = await axios.post(`${baseUrl}/chat/completions`, buildRequest(prompt, options), {
+        headers,
+        signal
+      });
+
+      const { choices, usage } = response.data;
+
+      return {
+        text: choices[0].message.content,
+        model: response.data.model,
+        usage: usage && {
+          inputTokens: usage.prompt_tokens,
+          outputTokens: usage.completion_tokens
+        }
+      };
+    },
+    // Server-sent events, one `data: {json}` line per delta, ending with `data: [DONE]`
+    stream: async function* (prompt, options, signal) {
+      const response = await axios.post(`${baseUrl}/chat/completions`, {
+        ...buildRequest(prompt, options),
+        stream: true
+      }, {
+        headers,
+        responseType: 'stream',
+        signal
+      });
+
+      for await (const line of readline.createInterface({ input: response.data, crlfDelay: Infinity })) {
+        if (!line.startsWith('data:')) continue;
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+
+        const text = JSON.parse(data).choices[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  create
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLLM, registerProvider, setLogger } = require('../src');
+const { fixtureKey } = require('../src/fixture.provider');
+
+// Keep retry warnings out of the test output
+setLogger({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+});
+
+describe('LLM provider', () => {
+  const baseConfig = { timeoutMs: 1000, maxRetries: 2, retryDelayMs: 1 };
+
+  describe('fixture provider', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should replay the response recorded for the prompt', async () => {
+      fs.writeFileSync(path.join(dir, `${fixtureKey('hello')}.json`), JSON.stringify({
+        text: 'recorded',
+        usage: { inputTokens: 3, outputTokens: 5 }
+      }));
+      fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ text: 'default' }));
+
+      const llm = createLLM({ ...baseConfig, provider: 'fixture', fixturesDir: dir });
+      const result = await llm.generate('hello');
+
+      expect(result).toEqual({
+        text: 'recorded',
+        provider: 'fixture',
+        model: 'fixture',
+        usage: { inputTokens: 3, outputTokens: 5, totalTokens: 8 },
+        attempts: 1
+      });
+    });
+
+    it('should fall back to the default response and estimate tokens', async () => {
+      fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ text: 'default!' }));
+
+      const llm = createLLM({ ...baseConfig, provider: 'fixture', fixturesDir: dir });
+      const result = await llm.generate('an unrecorded prompt');
+
+      expect(result.text).toBe('default!');
+      expect(result.usage).toEqual({ inputTokens: 5, outputTokens: 2, totalTokens: 7 });
+    });
+
+    it('should fail without retrying when nothing is recorded', async () => {
+      const llm = createLLM({ ...baseConfig, provider: 'fixture', fixturesDir: dir });
+
+      await expect(llm.generate('hello')).rejects.toThrow(`No LLM fixture recorded for prompt ${fixtureKey('hello')}`);
+    });
+
+    it('should record missing prompts from the upstream provider', async () => {
+      const upstream = jest.fn().mockResolvedValue({ text: 'live' });
+      registerProvider('recorded-upstream', () => ({
+        name: 'recorded-upstream',
+        model: 'upstream-model',
+        isConfigured: () => true,
+        generate: upstream
+      }));
+
+      const llm = createLLM({
+        ...baseConfig,
+        provider: 'fixture',
+        fixturesDir: dir,
+        recordWith: 'recorded-upstream'
+      });
+
+      await llm.generate('hello');
+      const replayed = await llm.generate('hello');
+
+      expect(upstream).toHaveBeenCalledTimes(1);
+      expect(replayed.text).toBe('live');
+      expect(replayed.model).toBe('upstream-model');
+    });
+
+    it('should refuse to start without a fixtures directory', () => {
+      expect(() => createLLM({ ...baseConfig, provider: 'fixture' }))
+        .toThrow('LLM_FIXTURES_DIR must be set to use the fixture provider');
+    });
+
+    it('should refuse to start when the fixtures directory is missing', () => {
+      const missing = path.join(dir, 'missing');
+
+      expect(() => createLLM({ ...baseConfig, provider: 'fixture', fixturesDir: missing }))
+        .toThrow(`LLM fixtures directory not found: ${missing}`);
+    });
+  });
+
+  describe('generate', () => {
+    it('should retry retryable failures', async () => {
+      const generate = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('busy'), { status: 429 }))
+        .mockRejectedValueOnce(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))
+        .mockResolvedValue({ text: 'ok' });
+      registerProvider('flaky', () => ({ name: 'flaky', model: 'm', isConfigured: () => true, generate }));
+
+      const result = await createLLM({ ...baseConfig, provider: 'flaky' }).generate('prompt');
+
+      expect(generate).toHaveBeenCalledTimes(3);
+      expect(result.attempts).toBe(3);
+    });
+
+    it('should not retry client errors', async () => {
+      const generate = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+      registerProvider('broken', () => ({ name: 'broken', model: 'm', isConfigured: () => true, generate }));
+
+      await expect(createLLM({ ...baseConfig, provider: 'broken' }).generate('prompt')).rejects.toThrow('bad request');
+      expect(generate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should time out slow requests and abort them', async () => {
+      let signal;
+      registerProvider('slow', () => ({
+        name: 'slow',
+        model: 'm',
+        isConfigured: () => true,
+        generate: (prompt, options, abortSignal) => {
+          signal = abortSignal;
+          return new Promise(() => {});
+        }
+      }));
+
+      const llm = createLLM({ ...baseConfig, provider: 'slow', timeoutMs: 10, maxRetries: 0 });
+
+      await expect(llm.generate('prompt')).rejects.toThrow('LLM request timed out after 10ms');
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createLLM({ ...baseConfig, provider: 'nope' })).toThrow('Unknown LLM provider: nope');
+    });
+  });
+
+  describe('stream', () => {
+    const collect = async (chunks) => {
+      const collected = [];
+      for await (const chunk of chunks) {
+        collected.push(chunk);
+      }
+      return collected;
+    };
+
+    it('should replay fixtures in chunks', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+      const text = 'A recorded response long enough to be sent as more than one chunk. '.repeat(3);
+      fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ text }));
+
+      try {
+        const chunks = await collect(createLLM({ ...baseConfig, provider: 'fixture', fixturesDir: dir }).stream('anything'));
+
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.join('')).toBe(text);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should stream providers without streaming support as one chunk', async () => {
+      registerProvider('whole', () => ({
+        name: 'whole',
+        model: 'm',
+        isConfigured: () => true,
+        generate: jest.fn().mockResolvedValue({ text: 'all at once' })
+      }));
+
+      const chunks = await collect(createLLM({ ...baseConfig, provider: 'whole' }).stream('prompt'));
+
+      expect(chunks).toEqual(['all at once']);
+    });
+
+    it('should retry failures before the first chunk', async () => {
+      let calls = 0;
+      registerProvider('flaky-stream', () => ({
+        name: 'flaky-stream',
+        model: 'm',
+        isConfigured: () => true,
+        stream: async function* () {
+          calls++;
+          if (calls === 1) {
+            throw Object.assign(new Error('busy'), { status: 503 });
+          }
+          yield 'a';
+          yield 'b';
+        }
+      }));
+
+      const chunks = await collect(createLLM({ ...baseConfig, provider: 'flaky-stream' }).stream('prompt'));
+
+      expect(calls).toBe(2);
+      expect(chunks).toEqual(['a', 'b']);
+    });
+
+    it('should not retry once chunks have been sent', async () => {
+      let calls = 0;
+      registerProvider('broken-stream', () => ({
+        name: 'broken-stream',
+        model: 'm',
+        isConfigured: () => true,
+        stream: async function* () {
+          calls++;
+          yield 'a';
+          throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+        }
+      }));
+
+      await expect(collect(createLLM({ ...baseConfig, provider: 'broken-stream' }).stream('prompt')))
+        .rejects.toThrow('reset');
+      expect(calls).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Terminology
+ * Local ICD-10-CM and SNOMED CT lookup: validates diagnosis codes and suggests
+ * codes for a diagnosis description, with no network calls.
+ *
+ * Codes come from the subset files bundled in ./data. Point
+ * TERMINOLOGY_DATA_DIR at a directory holding icd10cm.tsv and/or snomedct.tsv
+ * in the same format (code, description, |-separated synonyms) to use a fuller
+ * licensed release instead.
+ *
+ * A code is 'valid' when it is in the loaded files, 'unknown' when it is well
+ * formed but not there (the subset is not the whole classification), and
+ * 'invalid' when it cannot be a real code at all.
+ *
+ * Shared by clinical_note_generation and encounter_service.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SYSTEMS = {
+  ICD10: 'ICD-10',
+  SNOMED: 'SNOMED-CT'
+};
+
+const FILES = {
+  [SYSTEMS.ICD10]: 'icd10cm.tsv',
+  [SYSTEMS.SNOMED]: 'snomedct.tsv'
+};
+
+const BUNDLED_DATA_DIR = path.join(__dirname, 'data');
+
+// ICD-10-CM: letter, digit, alphanumeric, then up to four more after the dot
+const ICD10_PATTERN = /^[A-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+
+// SNOMED CT concept IDs: 6-18 digits, no leading zero
+const SNOMED_PATTERN = /^[1-9][0-9]{5,17}$/;
+
+// Words that say nothing about which condition is meant
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'by', 'condition', 'conditions', 'disease', 'disorder',
+  'due', 'for', 'in', 'not', 'nos', 'of', 'on', 'or', 'other', 'site', 'specified',
+  'the', 'to', 'type', 'unspecified', 'with', 'without'
+]);
+
+// Verhoeff tables for the SNOMED CT check digit
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+let loaded = null;
+
+/**
+ * Split text into comparable words
+ * @param {string} text - Text
+ * @returns {Array<string>} Lowercase words without stop words
+ */
+const tokenize = (text = '') =>
+  String(text)
+    .toLowerCase()
+    .replace(/'s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Check whether two words refer to the same thing
+ * Matches exact words and words differing only in their last few letters,
+ * e.g. hypertension/hypertensive but not hypertension/hyperthyroidism.
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {boolean} True if they match
+ */
+const wordsMatch = (a, b) => {
+  if (a === b) return true;
+
+  let shared = 0;
+  while (shared < a.length && a[shared] === b[shared]) shared++;
+
+  return shared >= Math.max(5, Math.max(a.length, b.length) - 3);
+};
+
+/**
+ * Read one terminology file
+ * @param {string} file - TSV path
+ * @param {string} system - Code system
+ * @returns {Map} Entries keyed by code
+ */
+const readFile = (file, system) => {
+  const entries = new Map();
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    const [code, display, synonyms = ''] = line.split('\t');
+    const terms = [display, ...synonyms.split('|').filter(Boolean)];
+
+    entries.set(code, {
+      code,
+      system,
+      display,
+      terms: terms.map(tokenize)
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Load (or reload) the terminology files
+ * @param {string} dataDir - Directory to load from (optional)
+ * @returns {Object} Entries keyed by system, then code
+ */
+const load = (dataDir = process.env.TERMINOLOGY_DATA_DIR) => {
+  const systems = {};
+  for (const [system, fileName] of Object.entries(FILES)) {
+    const custom = dataDir && path.join(dataDir, fileName);
+    const file = custom && fs.existsSync(custom) ? custom : path.join(BUNDLED_DATA_DIR, fileName);
+    systems[system] = readFile(file, system);
+  }
+
+  loaded = systems;
+  return loaded;
+};
+
+/**
+ * Get the loaded entries, loading them on first use
+ * @returns {Object} Entries keyed by system, then code
+ */
+const getEntries = () => loaded || load();
+
+/**
+ * Check a SNOMED CT identifier's Verhoeff check digit
+ * @param {string} code - Concept ID
+ * @returns {boolean} True if the check digit is right
+ */
+const hasValidCheckDigit = (code) => {
+  let check = 0;
+  code.split('').reverse().forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return check === 0;
+};
+
+/**
+ * Normalize a code for lookup
+ * ICD-10 codes are upper-cased and get their dot back, e.g. e119 -> E11.9.
+ * @param {string} code - Code
+ * @param {string} system - Code system
+ * @returns {string} Normalized code
+ */
+const normalizeCode = (code, system) => {
+  const trimmed = String(code || '').trim();
+  if (system !== SYSTEMS.ICD10) return trimmed;
+
+  const upper = trimmed.toUpperCase().replace(/\s+/g, '');
+  return /^[A-Z][0-9][0-9A-Z][0-9A-Z]+$/.test(upper) ? `${upper.slice(0, 3)}.${upper.slice(3)}` : upper;
+};
+
+/**
+ * Guess the code system from the shape of a code
+ * @param {string} code - Code
+ * @returns {string} Code system
+ */
+const detectSystem = (code) => (/^\d+$/.test(String(code || '').trim()) ? SYSTEMS.SNOMED : SYSTEMS.ICD10);
+
+/**
+ * Look up a code
+ * @param {string} code - Code
+ * @param {string} system - Code system (detected if omitted)
+ * @returns {Object|null} Entry ({ code, system, display })
+ */
+const lookup = (code, system = detectSystem(code)) => {
+  const entry = getEntries()[system]?.get(normalizeCode(code, system));
+  return entry ? { code: entry.code, system, display: entry.display } : null;
+};
+
+/**
+ * Validate a code
+ * @param {string} code - Code
+ * @param {string} system - Code system (detected if omitted)
+ * @returns {Object} { code, system, status: 'valid'|'unknown'|'invalid', display?, message? }
+ */
+const validateCode = (code, system = detectSystem(code)) => {
+  const normalized = normalizeCode(code, system);
+
+  if (!FILES[system]) {
+    return { code: normalized, system, status: 'unknown', message: `No terminology loaded for ${system}` };
+  }
+
+  const entry = lookup(normalized, system);
+  if (entry) {
+    return { ...entry, status: 'valid' };
+  }
+
+  const wellFormed = system === SYSTEMS.SNOMED
+    ? SNOMED_PATTERN.test(normalized) && hasValidCheckDigit(normalized)
+    : ICD10_PATTERN.test(normalized);
+
+  return wellFormed
+    ? { code: normalized, system, status: 'unknown', message: `${normalized} is not in the loaded ${system} terminology` }
+    : { code: normalized, system, status: 'invalid', message: `${normalized || '(empty)'} is not a valid ${system} code` };
+};
+
+/**
+ * Score how well a description matches an entry
+ * @param {Array<string>} words - Description words
+ * @param {Object} entry - Terminology entry
+ * @returns {number} Score (0-1)
+ */
+const scoreEntry = (words, entry) =>
+  Math.max(...entry.terms.map(term => {
+    if (term.length === 0) return 0;
+    const matched = words.filter(word => term.some(termWord => wordsMatch(word, termWord))).length;
+    // Mostly how much of the description is covered, then how specific the term is
+    return matched === 0 ? 0 : (0.8 * matched) / words.length + (0.2 * matched) / Math.max(term.length, matched);
+  }));
+
+/**
+ * Suggest codes for a diagnosis description
+ * @param {string} description - Diagnosis description
+ * @param {Object} options - { system, limit, minScore }
+ * @returns {Array} Suggestions ({ code, system, display, score }), best first
+ */
+const suggest = (description, { system = SYSTEMS.ICD10, limit = 5, minScore = 0.3 } = {}) => {
+  const words = tokenize(description);
+  const entries = getEntries()[system];
+  if (words.length === 0 || !entries) return [];
+
+  return Array.from(entries.values())
+    .map(entry => ({ code: entry.code, system, display: entry.display, score: scoreEntry(words, entry) }))
+    .filter(suggestion => suggestion.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(suggestion => ({ ...suggestion, score: Math.round(suggestion.score * 100) / 100 }));
+};
+
+/**
+ * Check a coded diagnosis: is the code real, and does it fit the description?
+ * @param {Object} diagnosis - { code, description, system? }
+ * @param {Object} options - Suggestion options
+ * @returns {Object} Validation result plus { matchesDescription, suggestions }
+ */
+const checkDiagnosis = ({ code, description, system }, options = {}) => {
+  const codeSystem = system || detectSystem(code);
+  const result = validateCode(code, codeSystem);
+  const suggestions = description ? suggest(description, { ...options, system: codeSystem }) : [];
+  const words = tokenize(description);
+  const entry = result.status === 'valid' && getEntries()[codeSystem].get(result.code);
+
+  return {
+    ...result,
+    matchesDescription: entry && words.length > 0 ? scoreEntry(words, entry) > 0 : null,
+    suggestions
+  };
+};
+
+module.exports = {
+  SYSTEMS,
+  load,
+  detectSystem,
+  normalizeCode,
+  lookup,
+  validateCode,
+  suggest,
+  checkDiagnosis
+};
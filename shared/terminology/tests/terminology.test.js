@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const terminology = require('../src');
+
+describe('Terminology', () => {
+  describe('validateCode', () => {
+    it('should accept bundled ICD-10 codes, restoring a missing dot', () => {
+      expect(terminology.validateCode('e119')).toEqual({
+        code: 'E11.9',
+        system: 'ICD-10',
+        display: 'Type 2 diabetes mellitus without complications',
+        status: 'valid'
+      });
+    });
+
+    it('should treat well-formed codes outside the subset as unknown', () => {
+      expect(terminology.validateCode('Q21.1').status).toBe('unknown');
+    });
+
+    it('should reject malformed ICD-10 codes', () => {
+      expect(terminology.validateCode('HTN-1').status).toBe('invalid');
+    });
+
+    it('should check SNOMED CT check digits', () => {
+      expect(terminology.validateCode('38341003').status).toBe('valid');
+      expect(terminology.validateCode('38341004').status).toBe('invalid');
+      expect(terminology.validateCode('22253000').status).toBe('unknown');
+    });
+  });
+
+  describe('suggest', () => {
+    it('should rank the closest codes first', () => {
+      const [best] = terminology.suggest('Tension-type headache');
+
+      expect(best).toEqual(expect.objectContaining({ code: 'G44.209', system: 'ICD-10', score: 1 }));
+    });
+
+    it('should match synonyms and word forms', () => {
+      expect(terminology.suggest('high blood pressure')[0].code).toBe('I10');
+      expect(terminology.suggest('hypertensive')[0].code).toBe('I10');
+      expect(terminology.suggest('asthma', { system: 'SNOMED-CT' })[0].code).toBe('195967001');
+    });
+
+    it('should return nothing for unrelated text', () => {
+      expect(terminology.suggest('unknown condition')).toEqual([]);
+    });
+  });
+
+  describe('checkDiagnosis', () => {
+    it('should flag a real code that does not fit the description', () => {
+      const result = terminology.checkDiagnosis({ code: 'E11.9', description: 'Essential hypertension' });
+
+      expect(result.status).toBe('valid');
+      expect(result.matchesDescription).toBe(false);
+      expect(result.suggestions[0].code).toBe('I10');
+    });
+
+    it('should accept a code that fits the description', () => {
+      const result = terminology.checkDiagnosis({ code: 'I10', description: 'Hypertension' });
+
+      expect(result.matchesDescription).toBe(true);
+    });
+  });
+
+  describe('load', () => {
+    afterEach(() => {
+      terminology.load();
+    });
+
+    it('should load replacement files from a data directory', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminology-'));
+      fs.writeFileSync(path.join(dir, 'icd10cm.tsv'), 'Q21.1\tAtrial septal defect\tasd\n');
+
+      terminology.load(dir);
+
+      expect(terminology.validateCode('Q21.1').status).toBe('valid');
+      expect(terminology.validateCode('I10').status).toBe('unknown');
+      // SNOMED CT still comes from the bundled subset
+      expect(terminology.validateCode('38341003').status).toBe('valid');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});